@@ -1,10 +1,40 @@
 import { spawn } from "node:child_process";
+import readline from "node:readline";
 import path from "node:path";
 import fs from "node:fs";
 
 const PID_FILE = path.join(process.cwd(), ".claude", "router.pid");
 
-export async function start(_argv: string[] = []) {
+interface StartOptions {
+  // Prompt for the passphrase that unlocks stored provider credentials
+  passphrase?: boolean;
+}
+
+// Read a line from the terminal without echoing it
+function promptHidden(question: string): Promise<string> {
+  return new Promise(resolve => {
+    const output = process.stdout;
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output,
+      terminal: true,
+    });
+    let muted = false;
+    // Suppress echo of typed characters once the question is printed
+    (rl as unknown as { _writeToOutput: (s: string) => void })._writeToOutput =
+      (s: string) => {
+        if (!muted) output.write(s);
+      };
+    rl.question(question, answer => {
+      rl.close();
+      output.write("\n");
+      resolve(answer);
+    });
+    muted = true;
+  });
+}
+
+export async function start(_argv: string[] = [], options: StartOptions = {}) {
   try {
     fs.mkdirSync(path.dirname(PID_FILE), { recursive: true });
 
@@ -22,10 +52,21 @@ export async function start(_argv: string[] = []) {
       }
     }
 
+    const env = { ...process.env };
+    if (options.passphrase) {
+      const passphrase = await promptHidden("Credentials passphrase: ");
+      if (!passphrase) {
+        console.error("A passphrase is required with --passphrase");
+        process.exit(1);
+      }
+      env.CREDENTIALS_PASSPHRASE = passphrase;
+    }
+
     const child = spawn("bun", ["run", "dev"], {
       cwd: process.cwd(),
       stdio: "inherit",
       detached: true,
+      env,
     });
 
     fs.writeFileSync(PID_FILE, String(child.pid));
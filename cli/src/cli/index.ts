@@ -28,6 +28,9 @@ export async function runCli(args?: string[]) {
           type: "boolean",
           short: "v",
         },
+        passphrase: {
+          type: "boolean",
+        },
       },
       strict: false,
     });
@@ -39,6 +42,7 @@ Usage: involvexclaude-router-cli [options]
 Options:
   -h, --help     Show this help message
   -v, --version  Show version
+  --passphrase   With start: prompt for the credentials encryption passphrase
 
 Commands:
   start          Start the router dev server
@@ -58,7 +62,9 @@ Commands:
 
     switch (command) {
       case "start":
-        await start(positionals.slice(1));
+        await start(positionals.slice(1), {
+          passphrase: Boolean(values.passphrase),
+        });
         break;
       case "stop":
         stop();
@@ -1,5 +1,5 @@
 // Default pricing rates for AI models
-// All rates are in dollars per million tokens ($/1M tokens)
+// All rates are in dollars per million tokens ($/1M tokens), except search ($/rerank search unit)
 
 export const DEFAULT_PRICING = {
   // Claude Code (cc)
@@ -95,6 +95,9 @@ export const DEFAULT_PRICING = {
       cache_creation: 0.3,
     },
   },
+  cohere: {
+    "rerank-v3.5": { search: 0.002 },
+  },
 };
 
 export function getDefaultPricing() {
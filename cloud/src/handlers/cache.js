@@ -1,3 +1,4 @@
+import { clearResponseCache } from "open-sse/services/responseCache.js";
 import { extractBearerToken, parseApiKey } from "../utils/apiKey.js";
 import { errorResponse } from "open-sse/utils/error.js";
 import * as log from "../utils/logger.js";
@@ -22,21 +23,16 @@ export async function handleCacheClear(request, env) {
       return errorResponse(400, "Missing machineId");
     }
 
-    // No cache layer to clear anymore
-    log.info(
-      "CACHE",
-      `Cache clear requested for machine: ${machineId} (no-op)`,
-    );
+    // Response cache entries are namespaced per machine (this isolate only)
+    const cleared = clearResponseCache(machineId);
+    log.info("CACHE", `Cleared ${cleared} cached responses for ${machineId}`);
 
-    return new Response(
-      JSON.stringify({ success: true, machineId, message: "No cache layer" }),
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "Access-Control-Allow-Origin": "*",
-        },
+    return new Response(JSON.stringify({ success: true, machineId, cleared }), {
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
       },
-    );
+    });
   } catch (error) {
     return errorResponse(500, error.message);
   }
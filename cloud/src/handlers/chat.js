@@ -1,20 +1,34 @@
+import {
+  CIRCUIT_STATE,
+  PROBE_RETRY_AFTER_MS,
+  getCircuitState,
+  canAttemptConnection,
+  isProbeInFlight,
+  acquireProbe,
+  releaseProbe,
+} from "open-sse/services/circuitBreaker.js";
 import {
   checkFallbackError,
-  isAccountUnavailable,
   getUnavailableUntil,
   getEarliestRateLimitedUntil,
   formatRetryAfter,
 } from "open-sse/services/accountFallback.js";
 import {
-  getComboModelsFromData,
-  handleComboChat,
-} from "open-sse/services/combo.js";
+  resolvePlugins,
+  createPluginContext,
+  runRequestHooks,
+} from "open-sse/services/plugins.js";
+import { getComboFromData, handleComboChat } from "open-sse/services/combo.js";
+import { PROVIDER_ID_TO_ALIAS } from "open-sse/config/providerModels.js";
 import { getMachineData, saveMachineData } from "../services/storage.js";
 import { refreshTokenByProvider } from "../services/tokenRefresh.js";
 import { parseApiKey, extractBearerToken } from "../utils/apiKey.js";
+import { getResponseCacheOptions } from "../utils/responseCache.js";
 import { handleChatCore } from "open-sse/handlers/chatCore.js";
 import { getModelInfoCore } from "open-sse/services/model.js";
+import { registerBundledPlugins } from "../plugins/index.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { getDefaultPricing } from "../config/pricing.js";
 import { errorResponse } from "open-sse/utils/error.js";
 import * as log from "../utils/logger.js";
 
@@ -25,6 +39,18 @@ async function getModelInfo(modelStr, machineId, env) {
   return getModelInfoCore(modelStr, data?.modelAliases || {});
 }
 
+async function getModelPricing(modelStr, machineId, env) {
+  const data = await getMachineData(machineId, env);
+  const { provider, model } = await getModelInfoCore(
+    modelStr,
+    data?.modelAliases || {},
+  );
+  if (!provider) return null;
+  const pricing = { ...getDefaultPricing(), ...(data?.pricing || {}) };
+  const alias = PROVIDER_ID_TO_ALIAS[provider] || provider;
+  return pricing[alias]?.[model] || pricing[provider]?.[model] || null;
+}
+
 /**
  * Handle chat request
  * @param {Request} request
@@ -84,29 +110,78 @@ export async function handleChat(request, env, ctx, machineIdOverride = null) {
   const modelStr = body.model;
   if (!modelStr) return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
 
+  const responseCache = getResponseCacheOptions(request, env, machineId);
+
   // Check if model is a combo
   const data = await getMachineData(machineId, env);
-  const comboModels = getComboModelsFromData(modelStr, data?.combos || []);
+  const combo = getComboFromData(modelStr, data?.combos || []);
 
-  if (comboModels) {
-    log.info("COMBO", `"${modelStr}" with ${comboModels.length} models`);
+  // Middleware plugins enabled for this key / combo: onRequest runs once
+  registerBundledPlugins();
+  const apiKeyRecord = data?.apiKeys?.find(
+    k => k.key === extractBearerToken(request),
+  );
+  const plugins = resolvePlugins(apiKeyRecord?.plugins, combo?.plugins);
+  if (plugins.length > 0) {
+    const hooked = await runRequestHooks(
+      plugins,
+      "onRequest",
+      body,
+      createPluginContext({ model: modelStr, combo: combo?.name || null }),
+    );
+    if (hooked.blocked) {
+      log.warn(
+        "PLUGIN",
+        `${hooked.blocked.plugin} | ${hooked.blocked.message}`,
+      );
+      return errorResponse(hooked.blocked.status, hooked.blocked.message);
+    }
+    body = hooked.body;
+  }
+  const options = {
+    responseCache,
+    plugins,
+    pluginContext: { combo: combo?.name || null },
+    apiKey: apiKeyRecord?.key || null,
+  };
+
+  if (combo) {
+    log.info("COMBO", `"${modelStr}" with ${combo.models.length} models`);
     return handleComboChat({
       body,
-      models: comboModels,
-      handleSingleModel: (reqBody, model) =>
-        handleSingleModelChat(reqBody, model, machineId, env),
+      models: combo.models,
+      combo,
+      getModelPricing: m => getModelPricing(m, machineId, env),
+      handleSingleModel: (reqBody, model, signal) =>
+        handleSingleModelChat(reqBody, model, machineId, env, {
+          ...options,
+          signal,
+        }),
       log,
     });
   }
 
   // Single model request
-  return handleSingleModelChat(body, modelStr, machineId, env);
+  return handleSingleModelChat(body, modelStr, machineId, env, options);
 }
 
 /**
  * Handle single model chat request
+ * @param {object} [options] - { responseCache, plugins, pluginContext, apiKey, signal }
  */
-async function handleSingleModelChat(body, modelStr, machineId, env) {
+async function handleSingleModelChat(
+  body,
+  modelStr,
+  machineId,
+  env,
+  {
+    responseCache = null,
+    plugins = [],
+    pluginContext = null,
+    apiKey = null,
+    signal = null,
+  } = {},
+) {
   const modelInfo = await getModelInfo(modelStr, machineId, env);
   if (!modelInfo.provider)
     return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
@@ -176,6 +251,12 @@ async function handleSingleModelChat(body, modelStr, machineId, env) {
       modelInfo: { provider, model },
       credentials: refreshedCredentials,
       log,
+      connectionId: credentials.id,
+      apiKey,
+      responseCache,
+      plugins,
+      pluginContext,
+      signal,
       onCredentialsRefreshed: async newCreds => {
         await updateCredentials(machineId, credentials.id, newCreds, env);
       },
@@ -185,7 +266,11 @@ async function handleSingleModelChat(body, modelStr, machineId, env) {
       },
     });
 
-    if (result.success) return result.response;
+    // Rejected by a plugin or aborted (combo race lost): not the account's
+    // fault, don't try another one
+    if (result.success || result.blocked || signal?.aborted) {
+      return result.response;
+    }
 
     const { shouldFallback } = checkFallbackError(result.status, result.error);
 
@@ -257,7 +342,7 @@ async function getProviderCredentials(
     .filter(([connId, conn]) => {
       if (conn.provider !== provider || !conn.isActive) return false;
       if (excludeConnectionId && connId === excludeConnectionId) return false;
-      if (isAccountUnavailable(conn.rateLimitedUntil)) return false;
+      if (!canAttemptConnection({ ...conn, id: connId })) return false;
       return true;
     })
     .sort((a, b) => (a[1].priority || 999) - (b[1].priority || 999));
@@ -266,7 +351,7 @@ async function getProviderCredentials(
     // Check if accounts exist but all rate limited
     const allConnections = Object.entries(data.providers)
       .filter(([, conn]) => conn.provider === provider && conn.isActive)
-      .map(([, conn]) => conn);
+      .map(([connId, conn]) => ({ ...conn, id: connId }));
     const earliest = getEarliestRateLimitedUntil(allConnections);
     if (earliest) {
       const rateLimitedConns = allConnections.filter(
@@ -285,10 +370,30 @@ async function getProviderCredentials(
         lastErrorCode: earliestConn?.errorCode || null,
       };
     }
+    // Cooldowns expired but a half-open probe is still deciding
+    const probing = allConnections.find(
+      c =>
+        getCircuitState(c) === CIRCUIT_STATE.HALF_OPEN && isProbeInFlight(c.id),
+    );
+    if (probing) {
+      const retryAfter = new Date(
+        Date.now() + PROBE_RETRY_AFTER_MS,
+      ).toISOString();
+      return {
+        allRateLimited: true,
+        retryAfter,
+        retryAfterHuman: formatRetryAfter(retryAfter),
+        lastError: probing.lastError || null,
+        lastErrorCode: probing.errorCode || null,
+      };
+    }
     return null;
   }
 
   const [connectionId, connection] = providerConnections[0];
+  if (acquireProbe({ ...connection, id: connectionId })) {
+    log.info("ACCOUNT", `${connectionId} | half-open probe`);
+  }
 
   return {
     id: connectionId,
@@ -313,6 +418,8 @@ async function markAccountUnavailable(
   errorText,
   env,
 ) {
+  releaseProbe(connectionId);
+
   const data = await getMachineData(machineId, env);
   if (!data?.providers?.[connectionId]) return;
 
@@ -348,6 +455,8 @@ async function clearAccountError(
   currentCredentials,
   env,
 ) {
+  releaseProbe(connectionId);
+
   // Only update if currently has error status (optimization)
   const hasError =
     currentCredentials.status === "unavailable" ||
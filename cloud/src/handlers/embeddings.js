@@ -1,16 +1,18 @@
 import {
-  checkFallbackError,
-  isAccountUnavailable,
-  getEarliestRateLimitedUntil,
-  getUnavailableUntil,
-  formatRetryAfter,
-} from "open-sse/services/accountFallback.js";
+  validateApiKey,
+  getProviderCredentials,
+  markAccountUnavailable,
+  clearAccountError,
+  updateCredentials,
+} from "../services/accounts.js";
 import { handleEmbeddingsCore } from "open-sse/handlers/embeddingsCore.js";
-import { getMachineData, saveMachineData } from "../services/storage.js";
+import { checkFallbackError } from "open-sse/services/accountFallback.js";
 import { parseApiKey, extractBearerToken } from "../utils/apiKey.js";
+import { getResponseCacheOptions } from "../utils/responseCache.js";
 import { getModelInfoCore } from "open-sse/services/model.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
 import { errorResponse } from "open-sse/utils/error.js";
+import { getMachineData } from "../services/storage.js";
 import * as log from "../utils/logger.js";
 
 /**
@@ -98,6 +100,8 @@ export async function handleEmbeddings(
   const { provider, model } = modelInfo;
   log.info("EMBEDDINGS_MODEL", `${provider.toUpperCase()} | ${model}`);
 
+  const responseCache = getResponseCacheOptions(request, env, machineId);
+
   // Provider credential + fallback loop (mirrors handleChat)
   let excludeConnectionId = null;
   let lastError = null;
@@ -154,6 +158,7 @@ export async function handleEmbeddings(
       modelInfo: { provider, model },
       credentials,
       log,
+      responseCache,
       onCredentialsRefreshed: async newCreds => {
         await updateCredentials(machineId, credentials.id, newCreds, env);
       },
@@ -187,154 +192,3 @@ export async function handleEmbeddings(
     return result.response;
   }
 }
-
-// ─── Helpers (same as chat.js) ───────────────────────────────────────────────
-
-async function validateApiKey(request, machineId, env) {
-  const authHeader = request.headers.get("Authorization");
-  if (!authHeader?.startsWith("Bearer ")) return false;
-
-  const apiKey = authHeader.slice(7);
-  const data = await getMachineData(machineId, env);
-  return data?.apiKeys?.some(k => k.key === apiKey) || false;
-}
-
-async function getProviderCredentials(
-  machineId,
-  provider,
-  env,
-  excludeConnectionId = null,
-) {
-  const data = await getMachineData(machineId, env);
-  if (!data?.providers) return null;
-
-  const providerConnections = Object.entries(data.providers)
-    .filter(([connId, conn]) => {
-      if (conn.provider !== provider || !conn.isActive) return false;
-      if (excludeConnectionId && connId === excludeConnectionId) return false;
-      if (isAccountUnavailable(conn.rateLimitedUntil)) return false;
-      return true;
-    })
-    .sort((a, b) => (a[1].priority || 999) - (b[1].priority || 999));
-
-  if (providerConnections.length === 0) {
-    const allConnections = Object.entries(data.providers)
-      .filter(([, conn]) => conn.provider === provider && conn.isActive)
-      .map(([, conn]) => conn);
-    const earliest = getEarliestRateLimitedUntil(allConnections);
-    if (earliest) {
-      const rateLimitedConns = allConnections.filter(
-        c =>
-          c.rateLimitedUntil &&
-          new Date(c.rateLimitedUntil).getTime() > Date.now(),
-      );
-      const earliestConn = rateLimitedConns.sort(
-        (a, b) => new Date(a.rateLimitedUntil) - new Date(b.rateLimitedUntil),
-      )[0];
-      return {
-        allRateLimited: true,
-        retryAfter: earliest,
-        retryAfterHuman: formatRetryAfter(earliest),
-        lastError: earliestConn?.lastError || null,
-        lastErrorCode: earliestConn?.errorCode || null,
-      };
-    }
-    return null;
-  }
-
-  const [connectionId, connection] = providerConnections[0];
-  return {
-    id: connectionId,
-    apiKey: connection.apiKey,
-    accessToken: connection.accessToken,
-    refreshToken: connection.refreshToken,
-    expiresAt: connection.expiresAt,
-    projectId: connection.projectId,
-    providerSpecificData: connection.providerSpecificData,
-    status: connection.status,
-    lastError: connection.lastError,
-    rateLimitedUntil: connection.rateLimitedUntil,
-  };
-}
-
-async function markAccountUnavailable(
-  machineId,
-  connectionId,
-  status,
-  errorText,
-  env,
-) {
-  const data = await getMachineData(machineId, env);
-  if (!data?.providers?.[connectionId]) return;
-
-  const conn = data.providers[connectionId];
-  const backoffLevel = conn.backoffLevel || 0;
-  const { cooldownMs, newBackoffLevel } = checkFallbackError(
-    status,
-    errorText,
-    backoffLevel,
-  );
-  const rateLimitedUntil = getUnavailableUntil(cooldownMs);
-  const reason =
-    typeof errorText === "string" ? errorText.slice(0, 100) : "Provider error";
-
-  data.providers[connectionId].rateLimitedUntil = rateLimitedUntil;
-  data.providers[connectionId].status = "unavailable";
-  data.providers[connectionId].lastError = reason;
-  data.providers[connectionId].errorCode = status || null;
-  data.providers[connectionId].lastErrorAt = new Date().toISOString();
-  data.providers[connectionId].backoffLevel = newBackoffLevel ?? backoffLevel;
-  data.providers[connectionId].updatedAt = new Date().toISOString();
-
-  await saveMachineData(machineId, data, env);
-  log.warn(
-    "EMBEDDINGS_ACCOUNT",
-    `${connectionId} | unavailable until ${rateLimitedUntil}`,
-  );
-}
-
-async function clearAccountError(
-  machineId,
-  connectionId,
-  currentCredentials,
-  env,
-) {
-  const hasError =
-    currentCredentials.status === "unavailable" ||
-    currentCredentials.lastError ||
-    currentCredentials.rateLimitedUntil;
-
-  if (!hasError) return;
-
-  const data = await getMachineData(machineId, env);
-  if (!data?.providers?.[connectionId]) return;
-
-  data.providers[connectionId].status = "active";
-  data.providers[connectionId].lastError = null;
-  data.providers[connectionId].lastErrorAt = null;
-  data.providers[connectionId].rateLimitedUntil = null;
-  data.providers[connectionId].backoffLevel = 0;
-  data.providers[connectionId].updatedAt = new Date().toISOString();
-
-  await saveMachineData(machineId, data, env);
-  log.info("EMBEDDINGS_ACCOUNT", `${connectionId} | error cleared`);
-}
-
-async function updateCredentials(machineId, connectionId, newCredentials, env) {
-  const data = await getMachineData(machineId, env);
-  if (!data?.providers?.[connectionId]) return;
-
-  data.providers[connectionId].accessToken = newCredentials.accessToken;
-  if (newCredentials.refreshToken)
-    data.providers[connectionId].refreshToken = newCredentials.refreshToken;
-  if (newCredentials.expiresIn) {
-    data.providers[connectionId].expiresAt = new Date(
-      Date.now() + newCredentials.expiresIn * 1000,
-    ).toISOString();
-    data.providers[connectionId].expiresIn = newCredentials.expiresIn;
-  }
-  data.providers[connectionId].updatedAt = new Date().toISOString();
-
-  await saveMachineData(machineId, data, env);
-  log.debug("EMBEDDINGS_TOKEN", `credentials updated | ${connectionId}`);
-}
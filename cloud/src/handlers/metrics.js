@@ -0,0 +1,54 @@
+import {
+  renderMetrics,
+  negotiateMetricsFormat,
+} from "open-sse/services/metrics.js";
+import { parseApiKey, extractBearerToken } from "../utils/apiKey.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { errorResponse } from "open-sse/utils/error.js";
+import { getMachineData } from "../services/storage.js";
+
+/**
+ * Prometheus / OpenMetrics scrape endpoint.
+ * Requires a machine API key like /v1 and only exposes that machine's
+ * keys, connections and combos. Values are per worker isolate.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string|null} machineIdOverride - machineId from URL (old format) or null (new format)
+ */
+export async function handleMetrics(request, env, machineIdOverride = null) {
+  const apiKey = extractBearerToken(request);
+  if (!apiKey)
+    return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+
+  let machineId = machineIdOverride;
+  if (!machineId) {
+    const parsed = await parseApiKey(apiKey);
+    if (!parsed?.isNewFormat || !parsed.machineId) {
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key format");
+    }
+    machineId = parsed.machineId;
+  }
+
+  const data = await getMachineData(machineId, env);
+  if (!data?.apiKeys?.some(k => k.key === apiKey)) {
+    return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+  }
+
+  const connections = Object.entries(data.providers || {}).map(
+    ([id, connection]) => ({ ...connection, id }),
+  );
+  const { openMetrics, contentType } = negotiateMetricsFormat(
+    request.headers.get("accept"),
+  );
+  const body = renderMetrics({
+    connections,
+    apiKeyNames: Object.fromEntries(data.apiKeys.map(k => [k.key, k.name])),
+    scope: {
+      apiKeys: new Set(data.apiKeys.map(k => k.key)),
+      connectionIds: new Set(connections.map(c => c.id)),
+      combos: new Set((data.combos || []).map(c => c.name)),
+    },
+    openMetrics,
+  });
+  return new Response(body, { headers: { "Content-Type": contentType } });
+}
@@ -0,0 +1,188 @@
+import {
+  validateApiKey,
+  getProviderCredentials,
+  markAccountUnavailable,
+  clearAccountError,
+} from "../services/accounts.js";
+import { checkFallbackError } from "open-sse/services/accountFallback.js";
+import { parseApiKey, extractBearerToken } from "../utils/apiKey.js";
+import { handleRerankCore } from "open-sse/handlers/rerankCore.js";
+import { getModelInfoCore } from "open-sse/services/model.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { errorResponse } from "open-sse/utils/error.js";
+import { getMachineData } from "../services/storage.js";
+import * as log from "../utils/logger.js";
+
+/**
+ * Handle POST /v1/rerank and /{machineId}/v1/rerank requests.
+ *
+ * Follows the same auth + fallback pattern as handleChat:
+ *  1. Resolve machineId (from URL or API key)
+ *  2. Validate API key
+ *  3. Parse model → provider/model
+ *  4. Get provider credentials with fallback loop
+ *  5. Delegate to handleRerankCore (open-sse)
+ *
+ * @param {Request} request
+ * @param {object} env - Cloudflare env bindings
+ * @param {object} ctx - Execution context
+ * @param {string|null} machineIdOverride - From URL path (old format), or null (new format)
+ */
+export async function handleRerank(
+  request,
+  env,
+  ctx,
+  machineIdOverride = null,
+) {
+  if (request.method === "OPTIONS") {
+    return new Response(null, {
+      headers: {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "*",
+      },
+    });
+  }
+
+  // Resolve machineId
+  let machineId = machineIdOverride;
+
+  if (!machineId) {
+    const apiKey = extractBearerToken(request);
+    if (!apiKey)
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+
+    const parsed = await parseApiKey(apiKey);
+    if (!parsed)
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key format");
+
+    if (!parsed.isNewFormat || !parsed.machineId) {
+      return errorResponse(
+        HTTP_STATUS.BAD_REQUEST,
+        "API key does not contain machineId. Use /{machineId}/v1/... endpoint for old format keys.",
+      );
+    }
+    machineId = parsed.machineId;
+  }
+
+  // Validate API key
+  if (!(await validateApiKey(request, machineId, env))) {
+    return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+  }
+
+  // Parse body
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  }
+
+  const modelStr = body.model;
+  if (!modelStr) return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
+
+  if (!body.query || !body.documents)
+    return errorResponse(
+      HTTP_STATUS.BAD_REQUEST,
+      `Missing required field: ${body.query ? "documents" : "query"}`,
+    );
+
+  log.info("RERANK", `${machineId} | ${modelStr}`);
+
+  // Resolve model info
+  const data = await getMachineData(machineId, env);
+  const modelInfo = await getModelInfoCore(modelStr, data?.modelAliases || {});
+  if (!modelInfo.provider)
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
+
+  const { provider, model } = modelInfo;
+  log.info("RERANK_MODEL", `${provider.toUpperCase()} | ${model}`);
+
+  // Provider credential + fallback loop (mirrors handleChat)
+  let excludeConnectionId = null;
+  let lastError = null;
+  let lastStatus = null;
+
+  while (true) {
+    const credentials = await getProviderCredentials(
+      machineId,
+      provider,
+      env,
+      excludeConnectionId,
+    );
+
+    if (!credentials || credentials.allRateLimited) {
+      if (credentials?.allRateLimited) {
+        const retryAfterSec = Math.ceil(
+          (new Date(credentials.retryAfter).getTime() - Date.now()) / 1000,
+        );
+        const errorMsg = lastError || credentials.lastError || "Unavailable";
+        const msg = `[${provider}/${model}] ${errorMsg} (${credentials.retryAfterHuman})`;
+        const status =
+          lastStatus ||
+          Number(credentials.lastErrorCode) ||
+          HTTP_STATUS.SERVICE_UNAVAILABLE;
+        log.warn("RERANK", `${provider.toUpperCase()} | ${msg}`);
+        return new Response(JSON.stringify({ error: { message: msg } }), {
+          status,
+          headers: {
+            "Content-Type": "application/json",
+            "Retry-After": String(Math.max(retryAfterSec, 1)),
+          },
+        });
+      }
+      if (!excludeConnectionId) {
+        return errorResponse(
+          HTTP_STATUS.BAD_REQUEST,
+          `No credentials for provider: ${provider}`,
+        );
+      }
+      log.warn("RERANK", `${provider.toUpperCase()} | no more accounts`);
+      return new Response(
+        JSON.stringify({ error: lastError || "All accounts unavailable" }),
+        {
+          status: lastStatus || HTTP_STATUS.SERVICE_UNAVAILABLE,
+          headers: { "Content-Type": "application/json" },
+        },
+      );
+    }
+
+    log.debug("RERANK", `account=${credentials.id}`, { provider });
+
+    const result = await handleRerankCore({
+      body,
+      modelInfo: { provider, model },
+      credentials,
+      log,
+      connectionId: credentials.id,
+      endpoint: new URL(request.url).pathname,
+      onRequestSuccess: async () => {
+        await clearAccountError(machineId, credentials.id, credentials, env);
+      },
+    });
+
+    if (result.success) return result.response;
+
+    const { shouldFallback } = checkFallbackError(result.status, result.error);
+
+    if (shouldFallback) {
+      log.warn(
+        "RERANK_FALLBACK",
+        `${provider.toUpperCase()} | ${credentials.id} | ${result.status}`,
+      );
+      await markAccountUnavailable(
+        machineId,
+        credentials.id,
+        result.status,
+        result.error,
+        env,
+      );
+      excludeConnectionId = credentials.id;
+      lastError = result.error;
+      lastStatus = result.status;
+      continue;
+    }
+
+    return result.response;
+  }
+}
@@ -17,9 +17,11 @@ import { handleEmbeddings } from "./handlers/embeddings.js";
 import { handleProviders } from "./handlers/providers.js";
 import { handleCacheClear } from "./handlers/cache.js";
 import { handlePricing } from "./handlers/pricing.js";
+import { handleMetrics } from "./handlers/metrics.js";
 import { handleForward } from "./handlers/forward.js";
 import { handleCleanup } from "./handlers/cleanup.js";
 import { handleVerify } from "./handlers/verify.js";
+import { handleRerank } from "./handlers/rerank.js";
 import { handleModels } from "./handlers/models.js";
 import { handleSync } from "./handlers/sync.js";
 import { handleChat } from "./handlers/chat.js";
@@ -265,6 +267,13 @@ const worker = {
         return addCorsHeaders(response);
       }
 
+      // New format: /v1/rerank (Cohere format)
+      if (path === "/v1/rerank" && request.method === "POST") {
+        const response = await handleRerank(request, env, ctx, null);
+        log.response(response.status, Date.now() - startTime);
+        return addCorsHeaders(response);
+      }
+
       // New format: /v1/responses (OpenAI Responses API - Codex CLI)
       if (path === "/v1/responses" && request.method === "POST") {
         const response = await handleChat(request, env, ctx, null);
@@ -316,6 +325,14 @@ const worker = {
         return addCorsHeaders(response);
       }
 
+      // Machine ID based rerank endpoint
+      if (path.match(/^\/[^\/]+\/v1\/rerank$/) && request.method === "POST") {
+        const machineId = path.split("/")[1];
+        const response = await handleRerank(request, env, ctx, machineId);
+        log.response(response.status, Date.now() - startTime);
+        return addCorsHeaders(response);
+      }
+
       // Machine ID based messages endpoint (Claude format)
       if (path.match(/^\/[^\/]+\/v1\/messages$/) && request.method === "POST") {
         const machineId = path.split("/")[1];
@@ -341,6 +358,20 @@ const worker = {
         return ollamaResponse;
       }
 
+      // Prometheus / OpenMetrics scrape endpoint (machine API key)
+      if (path === "/metrics" && request.method === "GET") {
+        const response = await handleMetrics(request, env, null);
+        log.response(response.status, Date.now() - startTime);
+        return response;
+      }
+
+      if (path.match(/^\/[^\/]+\/metrics$/) && request.method === "GET") {
+        const machineId = path.split("/")[1];
+        const response = await handleMetrics(request, env, machineId);
+        log.response(response.status, Date.now() - startTime);
+        return response;
+      }
+
       // Machine ID based verify endpoint
       if (path.match(/^\/[^\/]+\/v1\/verify$/) && request.method === "GET") {
         const machineId = path.split("/")[1];
@@ -0,0 +1,30 @@
+import { registerPlugin } from "open-sse/services/plugins.js";
+import * as log from "../utils/logger.js";
+
+/**
+ * Middleware plugins bundled into the worker.
+ *
+ * Workers cannot load code at runtime, so plugin modules are imported here
+ * and listed in PLUGINS, e.g.:
+ *
+ *   import redactEmails from "./redactEmails.js";
+ *   const PLUGINS = [redactEmails];
+ *
+ * Enable them per API key or combo with `plugins: ["name"]`, same as the
+ * local server (synced with the rest of the machine data).
+ */
+const PLUGINS = [];
+
+let registered = false;
+
+/**
+ * Register bundled plugins once per isolate
+ */
+export function registerBundledPlugins() {
+  if (registered) return;
+  registered = true;
+  for (const plugin of PLUGINS) {
+    const error = registerPlugin(plugin);
+    if (error) log.warn("PLUGIN", error);
+  }
+}
@@ -0,0 +1,218 @@
+/**
+ * Provider account selection shared by the worker's embeddings and rerank
+ * handlers: API key check, credential pick with circuit breaker and
+ * rate-limit awareness, and connection error bookkeeping in D1.
+ */
+
+import {
+  CIRCUIT_STATE,
+  PROBE_RETRY_AFTER_MS,
+  getCircuitState,
+  canAttemptConnection,
+  isProbeInFlight,
+  acquireProbe,
+  releaseProbe,
+} from "open-sse/services/circuitBreaker.js";
+import {
+  checkFallbackError,
+  getEarliestRateLimitedUntil,
+  getUnavailableUntil,
+  formatRetryAfter,
+} from "open-sse/services/accountFallback.js";
+import { getMachineData, saveMachineData } from "./storage.js";
+import * as log from "../utils/logger.js";
+
+/**
+ * Check the request's Bearer key against the machine's API keys
+ * @returns {Promise<boolean>}
+ */
+export async function validateApiKey(request, machineId, env) {
+  const authHeader = request.headers.get("Authorization");
+  if (!authHeader?.startsWith("Bearer ")) return false;
+
+  const apiKey = authHeader.slice(7);
+  const data = await getMachineData(machineId, env);
+  return data?.apiKeys?.some(k => k.key === apiKey) || false;
+}
+
+/**
+ * Pick the highest-priority usable connection of a provider
+ * @returns {Promise<object|null>} Credentials, { allRateLimited, retryAfter, ... } or null
+ */
+export async function getProviderCredentials(
+  machineId,
+  provider,
+  env,
+  excludeConnectionId = null,
+) {
+  const data = await getMachineData(machineId, env);
+  if (!data?.providers) return null;
+
+  const providerConnections = Object.entries(data.providers)
+    .filter(([connId, conn]) => {
+      if (conn.provider !== provider || !conn.isActive) return false;
+      if (excludeConnectionId && connId === excludeConnectionId) return false;
+      if (!canAttemptConnection({ ...conn, id: connId })) return false;
+      return true;
+    })
+    .sort((a, b) => (a[1].priority || 999) - (b[1].priority || 999));
+
+  if (providerConnections.length === 0) {
+    const allConnections = Object.entries(data.providers)
+      .filter(([, conn]) => conn.provider === provider && conn.isActive)
+      .map(([connId, conn]) => ({ ...conn, id: connId }));
+    const earliest = getEarliestRateLimitedUntil(allConnections);
+    if (earliest) {
+      const rateLimitedConns = allConnections.filter(
+        c =>
+          c.rateLimitedUntil &&
+          new Date(c.rateLimitedUntil).getTime() > Date.now(),
+      );
+      const earliestConn = rateLimitedConns.sort(
+        (a, b) => new Date(a.rateLimitedUntil) - new Date(b.rateLimitedUntil),
+      )[0];
+      return {
+        allRateLimited: true,
+        retryAfter: earliest,
+        retryAfterHuman: formatRetryAfter(earliest),
+        lastError: earliestConn?.lastError || null,
+        lastErrorCode: earliestConn?.errorCode || null,
+      };
+    }
+    // Cooldowns expired but a half-open probe is still deciding
+    const probing = allConnections.find(
+      c =>
+        getCircuitState(c) === CIRCUIT_STATE.HALF_OPEN && isProbeInFlight(c.id),
+    );
+    if (probing) {
+      const retryAfter = new Date(
+        Date.now() + PROBE_RETRY_AFTER_MS,
+      ).toISOString();
+      return {
+        allRateLimited: true,
+        retryAfter,
+        retryAfterHuman: formatRetryAfter(retryAfter),
+        lastError: probing.lastError || null,
+        lastErrorCode: probing.errorCode || null,
+      };
+    }
+    return null;
+  }
+
+  const [connectionId, connection] = providerConnections[0];
+  if (acquireProbe({ ...connection, id: connectionId })) {
+    log.info("ACCOUNT", `${connectionId} | half-open probe`);
+  }
+  return {
+    id: connectionId,
+    apiKey: connection.apiKey,
+    accessToken: connection.accessToken,
+    refreshToken: connection.refreshToken,
+    expiresAt: connection.expiresAt,
+    projectId: connection.projectId,
+    providerSpecificData: connection.providerSpecificData,
+    status: connection.status,
+    lastError: connection.lastError,
+    rateLimitedUntil: connection.rateLimitedUntil,
+  };
+}
+
+/**
+ * Put a connection in cooldown after a fallback-worthy error
+ */
+export async function markAccountUnavailable(
+  machineId,
+  connectionId,
+  status,
+  errorText,
+  env,
+) {
+  releaseProbe(connectionId);
+
+  const data = await getMachineData(machineId, env);
+  if (!data?.providers?.[connectionId]) return;
+
+  const conn = data.providers[connectionId];
+  const backoffLevel = conn.backoffLevel || 0;
+  const { cooldownMs, newBackoffLevel } = checkFallbackError(
+    status,
+    errorText,
+    backoffLevel,
+  );
+  const rateLimitedUntil = getUnavailableUntil(cooldownMs);
+  const reason =
+    typeof errorText === "string" ? errorText.slice(0, 100) : "Provider error";
+
+  data.providers[connectionId].rateLimitedUntil = rateLimitedUntil;
+  data.providers[connectionId].status = "unavailable";
+  data.providers[connectionId].lastError = reason;
+  data.providers[connectionId].errorCode = status || null;
+  data.providers[connectionId].lastErrorAt = new Date().toISOString();
+  data.providers[connectionId].backoffLevel = newBackoffLevel ?? backoffLevel;
+  data.providers[connectionId].updatedAt = new Date().toISOString();
+
+  await saveMachineData(machineId, data, env);
+  log.warn(
+    "ACCOUNT",
+    `${connectionId} | unavailable until ${rateLimitedUntil}`,
+  );
+}
+
+/**
+ * Reset a connection's error state after a successful request
+ */
+export async function clearAccountError(
+  machineId,
+  connectionId,
+  currentCredentials,
+  env,
+) {
+  releaseProbe(connectionId);
+
+  const hasError =
+    currentCredentials.status === "unavailable" ||
+    currentCredentials.lastError ||
+    currentCredentials.rateLimitedUntil;
+
+  if (!hasError) return;
+
+  const data = await getMachineData(machineId, env);
+  if (!data?.providers?.[connectionId]) return;
+
+  data.providers[connectionId].status = "active";
+  data.providers[connectionId].lastError = null;
+  data.providers[connectionId].lastErrorAt = null;
+  data.providers[connectionId].rateLimitedUntil = null;
+  data.providers[connectionId].backoffLevel = 0;
+  data.providers[connectionId].updatedAt = new Date().toISOString();
+
+  await saveMachineData(machineId, data, env);
+  log.info("ACCOUNT", `${connectionId} | error cleared`);
+}
+
+/**
+ * Persist refreshed OAuth credentials of a connection
+ */
+export async function updateCredentials(
+  machineId,
+  connectionId,
+  newCredentials,
+  env,
+) {
+  const data = await getMachineData(machineId, env);
+  if (!data?.providers?.[connectionId]) return;
+
+  data.providers[connectionId].accessToken = newCredentials.accessToken;
+  if (newCredentials.refreshToken)
+    data.providers[connectionId].refreshToken = newCredentials.refreshToken;
+  if (newCredentials.expiresIn) {
+    data.providers[connectionId].expiresAt = new Date(
+      Date.now() + newCredentials.expiresIn * 1000,
+    ).toISOString();
+    data.providers[connectionId].expiresIn = newCredentials.expiresIn;
+  }
+  data.providers[connectionId].updatedAt = new Date().toISOString();
+
+  await saveMachineData(machineId, data, env);
+  log.debug("TOKEN", `credentials updated | ${connectionId}`);
+}
@@ -1,11 +1,27 @@
-// Stub for cloud worker - no-op async functions
-export async function saveRequestUsage() {}
+// Stub for cloud worker - no usage storage, only in-memory /metrics
+import {
+  recordUsageMetrics,
+  trackActiveRequest,
+} from "open-sse/services/metrics.js";
+import { PROVIDER_ID_TO_ALIAS } from "open-sse/config/providerModels.js";
+import { calculateUsageCost } from "open-sse/utils/usageCost.js";
+import { getDefaultPricing } from "../config/pricing.js";
+
+export async function saveRequestUsage(entry) {
+  const pricing = getDefaultPricing();
+  const alias = PROVIDER_ID_TO_ALIAS[entry.provider] || entry.provider;
+  const modelPricing =
+    pricing[alias]?.[entry.model] || pricing[entry.provider]?.[entry.model];
+  recordUsageMetrics({
+    ...entry,
+    cost: calculateUsageCost(entry.tokens, modelPricing),
+  });
+}
 export async function saveRequestDetail() {}
-export function trackPendingRequest() {}
-export async function appendRequestLog() {}
-export async function getUsageDb() {
-  return { data: { history: [] } };
+export function trackPendingRequest(model, provider, connectionId, started) {
+  trackActiveRequest(provider, model, connectionId, started);
 }
+export async function appendRequestLog() {}
 export async function getUsageHistory() {
   return [];
 }
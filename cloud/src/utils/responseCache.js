@@ -0,0 +1,20 @@
+import { resolveResponseCacheOptions } from "open-sse/services/responseCache.js";
+
+/**
+ * Response cache options for a Worker request.
+ * Enabled with RESPONSE_CACHE_ENABLED=true; entries are namespaced per machine.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} machineId
+ */
+export function getResponseCacheOptions(request, env, machineId) {
+  return resolveResponseCacheOptions(
+    {
+      enabled: env.RESPONSE_CACHE_ENABLED === "true",
+      ttlSeconds: env.RESPONSE_CACHE_TTL_SECONDS,
+      maxEntries: env.RESPONSE_CACHE_MAX_ENTRIES,
+      namespace: machineId,
+    },
+    request.headers,
+  );
+}
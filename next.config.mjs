@@ -63,6 +63,7 @@ const nextConfig = {
       { source: "/codex/:path*", destination: "/api/v1/responses" },
       { source: "/v1/:path*", destination: "/api/v1/:path*" },
       { source: "/v1", destination: "/api/v1" },
+      { source: "/metrics", destination: "/api/metrics" },
     ];
   },
 };
@@ -330,6 +330,15 @@ export const PROVIDERS = {
     baseUrl: "https://ai.ezif.in/v1/chat/completions",
     format: "openai",
   },
+  bedrock: {
+    // {region} comes from the connection (providerSpecificData.region)
+    baseUrl: "https://bedrock-runtime.{region}.amazonaws.com",
+    defaultRegion: "us-east-1",
+    format: "bedrock",
+    // Anthropic models (incl. inference profiles) take the Messages body via InvokeModel
+    altFormat: "claude",
+    altFormatModelPattern: /anthropic\./,
+  },
 };
 
 // Claude system prompt
@@ -390,6 +399,7 @@ export const HTTP_STATUS = {
   NOT_FOUND: 404,
   NOT_ACCEPTABLE: 406,
   REQUEST_TIMEOUT: 408,
+  PAYLOAD_TOO_LARGE: 413,
   RATE_LIMITED: 429,
   SERVER_ERROR: 500,
   BAD_GATEWAY: 502,
@@ -163,6 +163,9 @@ export const PROVIDER_MODELS = {
     { id: "gpt-4-turbo", name: "GPT-4 Turbo" },
     { id: "o1", name: "O1" },
     { id: "o1-mini", name: "O1 Mini" },
+    // Image models
+    { id: "gpt-image-1", name: "GPT Image 1", type: "image" },
+    { id: "dall-e-3", name: "DALL-E 3", type: "image" },
   ],
   anthropic: [
     { id: "claude-sonnet-4-20250514", name: "Claude Sonnet 4" },
@@ -186,6 +189,18 @@ export const PROVIDER_MODELS = {
       name: "Text Embedding 004 (Legacy)",
       type: "embedding",
     },
+    // Image models
+    {
+      id: "gemini-2.5-flash-image",
+      name: "Gemini 2.5 Flash Image",
+      type: "image",
+    },
+    { id: "imagen-4.0-generate-001", name: "Imagen 4", type: "image" },
+    {
+      id: "imagen-4.0-fast-generate-001",
+      name: "Imagen 4 Fast",
+      type: "image",
+    },
   ],
   openrouter: [
     { id: "auto", name: "Auto (Best Available)" },
@@ -257,6 +272,13 @@ export const PROVIDER_MODELS = {
       id: "meta-llama/Llama-4-Maverick-17B-128E-Instruct-FP8",
       name: "Llama 4 Maverick",
     },
+    // Rerank models
+    { id: "Salesforce/Llama-Rank-V1", name: "LlamaRank", type: "rerank" },
+    {
+      id: "mixedbread-ai/Mxbai-Rerank-Large-V2",
+      name: "Mxbai Rerank Large V2",
+      type: "rerank",
+    },
   ],
   fireworks: [
     { id: "accounts/fireworks/models/deepseek-v3p1", name: "DeepSeek V3.1" },
@@ -278,6 +300,14 @@ export const PROVIDER_MODELS = {
     { id: "command-r-plus-08-2024", name: "Command R+ (Aug 2024)" },
     { id: "command-r-08-2024", name: "Command R (Aug 2024)" },
     { id: "command-a-03-2025", name: "Command A (Mar 2025)" },
+    // Rerank models
+    { id: "rerank-v3.5", name: "Rerank 3.5", type: "rerank" },
+    { id: "rerank-english-v3.0", name: "Rerank English 3.0", type: "rerank" },
+    {
+      id: "rerank-multilingual-v3.0",
+      name: "Rerank Multilingual 3.0",
+      type: "rerank",
+    },
   ],
   nvidia: [
     { id: "moonshotai/kimi-k2.5", name: "Kimi K2.5" },
@@ -286,6 +316,12 @@ export const PROVIDER_MODELS = {
     { id: "nvidia/llama-3.3-70b-instruct", name: "Llama 3.3 70B" },
     { id: "meta/llama-4-maverick-17b-128e-instruct", name: "Llama 4 Maverick" },
     { id: "deepseek/deepseek-r1", name: "DeepSeek R1" },
+    // Rerank models
+    {
+      id: "nvidia/llama-3.2-nv-rerankqa-1b-v2",
+      name: "Llama 3.2 NV RerankQA 1B v2",
+      type: "rerank",
+    },
   ],
   nebius: [
     { id: "meta-llama/Llama-3.3-70B-Instruct", name: "Llama 3.3 70B Instruct" },
@@ -312,6 +348,19 @@ export const PROVIDER_MODELS = {
     { id: "Qwen/Qwen2.5-Coder-32B-Instruct", name: "Qwen 2.5 Coder 32B" },
     { id: "NousResearch/Hermes-3-Llama-3.1-70B", name: "Hermes 3 70B" },
   ],
+  deepgram: [
+    { id: "nova-3", name: "Nova 3", type: "transcription" },
+    { id: "nova-2", name: "Nova 2", type: "transcription" },
+    { id: "aura-2", name: "Aura 2", type: "speech" },
+    { id: "aura", name: "Aura", type: "speech" },
+  ],
+  assemblyai: [
+    { id: "universal", name: "Universal", type: "transcription" },
+    { id: "slam-1", name: "Slam-1", type: "transcription" },
+    { id: "best", name: "Best", type: "transcription" },
+    { id: "nano", name: "Nano", type: "transcription" },
+  ],
+  nanobanana: [{ id: "nano-banana", name: "Nano Banana", type: "image" }],
   opencode: [
     { id: "minimax-m2.5", name: "MiniMax M2.5" },
     { id: "minimax-m2.5-free", name: "MiniMax M2.5 Free", free: true },
@@ -458,6 +507,29 @@ export const PROVIDER_MODELS = {
     { id: "grok-4.1-fast", name: "Grok 4.1 Fast" },
     { id: "grok-video-normal", name: "Grok Video Normal" },
   ],
+  bedrock: [
+    // Cross-region inference profiles (us.*); Anthropic models use InvokeModel
+    {
+      id: "us.anthropic.claude-sonnet-4-5-20250929-v1:0",
+      name: "Claude Sonnet 4.5",
+    },
+    {
+      id: "us.anthropic.claude-haiku-4-5-20251001-v1:0",
+      name: "Claude Haiku 4.5",
+    },
+    {
+      id: "us.anthropic.claude-opus-4-1-20250805-v1:0",
+      name: "Claude Opus 4.1",
+    },
+    {
+      id: "us.anthropic.claude-sonnet-4-20250514-v1:0",
+      name: "Claude Sonnet 4",
+    },
+    { id: "us.amazon.nova-pro-v1:0", name: "Nova Pro" },
+    { id: "us.amazon.nova-lite-v1:0", name: "Nova Lite" },
+    { id: "us.meta.llama3-3-70b-instruct-v1:0", name: "Llama 3.3 70B" },
+    { id: "us.deepseek.r1-v1:0", name: "DeepSeek R1" },
+  ],
 };
 
 // Merge generated models if available
@@ -510,6 +582,46 @@ export function getModelTargetFormat(aliasOrId, modelId) {
   return found?.targetFormat || null;
 }
 
+// Fallback context windows (input + output tokens) by model family, used when
+// neither the model entry nor the models.dev synced list has a `contextWindow`.
+// First match wins - keep specific patterns above generic ones.
+export const MODEL_CONTEXT_WINDOWS = [
+  { pattern: /claude/i, contextWindow: 200000 },
+  { pattern: /gemini/i, contextWindow: 1048576 },
+  { pattern: /gpt-5/i, contextWindow: 400000 },
+  { pattern: /gpt-4\.1/i, contextWindow: 1047576 },
+  { pattern: /gpt-4o/i, contextWindow: 128000 },
+  { pattern: /^o[34](-mini)?$/i, contextWindow: 200000 },
+  { pattern: /gpt-oss/i, contextWindow: 131072 },
+  { pattern: /grok-4/i, contextWindow: 256000 },
+  { pattern: /kimi-k2/i, contextWindow: 262144 },
+  { pattern: /qwen3-coder/i, contextWindow: 262144 },
+  { pattern: /deepseek/i, contextWindow: 128000 },
+  { pattern: /glm-4\.[5-9]/i, contextWindow: 200000 },
+  { pattern: /minimax/i, contextWindow: 204800 },
+];
+
+/**
+ * Get a model's context window in tokens
+ * Lookup order: model entry, resolver, model family fallback
+ * @param {string} aliasOrId - Provider alias or id
+ * @param {string} modelId
+ * @param {function} [resolveWindow] - (aliasOrId, modelId) => number|null, e.g. models.dev synced models
+ * @returns {number|null} null when unknown
+ */
+export function getModelContextWindow(aliasOrId, modelId, resolveWindow) {
+  if (!modelId) return null;
+  const alias = PROVIDER_ID_TO_ALIAS[aliasOrId] || aliasOrId;
+  const found = getProviderModels(alias).find(m => m.id === modelId);
+  if (found?.contextWindow) return found.contextWindow;
+  const resolved = resolveWindow?.(aliasOrId, modelId);
+  if (resolved) return resolved;
+  return (
+    MODEL_CONTEXT_WINDOWS.find(({ pattern }) => pattern.test(modelId))
+      ?.contextWindow || null
+  );
+}
+
 // Provider ID to alias mapping
 export const PROVIDER_ID_TO_ALIAS = {
   claude: "cc",
@@ -546,6 +658,9 @@ export const PROVIDER_ID_TO_ALIAS = {
   nebius: "nebius",
   siliconflow: "siliconflow",
   hyperbolic: "hyperbolic",
+  deepgram: "deepgram",
+  assemblyai: "assemblyai",
+  nanobanana: "nanobanana",
   opencode: "opencode",
   "opencode-go": "opencode-go",
   "kilo-ai": "kilo-ai",
@@ -553,6 +668,7 @@ export const PROVIDER_ID_TO_ALIAS = {
   cloudflare: "cloudflare",
   mulerouter: "mulerouter",
   ezif: "ezif",
+  bedrock: "bedrock",
 };
 
 export function getModelsByProviderId(providerId) {
@@ -0,0 +1,196 @@
+import { createEventStreamDecoder } from "../utils/awsEventStream.js";
+import { getTargetFormat } from "../services/provider.js";
+import { FORMATS } from "../translator/formats.js";
+import { PROVIDERS } from "../config/constants.js";
+import { signRequest } from "../utils/awsSigV4.js";
+import { BaseExecutor } from "./base.js";
+
+const SIGNING_SERVICE = "bedrock";
+const ANTHROPIC_VERSION = "bedrock-2023-05-31";
+
+/**
+ * BedrockExecutor - Executor for AWS Bedrock Runtime
+ * Requests are SigV4-signed with the connection's access key (apiKey holds
+ * the secret access key, providerSpecificData the key ID and region).
+ * Anthropic models use InvokeModel with the Messages body, others use
+ * Converse. Streaming responses are AWS event streams, re-framed as SSE.
+ */
+export class BedrockExecutor extends BaseExecutor {
+  constructor() {
+    super("bedrock", PROVIDERS.bedrock);
+  }
+
+  isAnthropicModel(model) {
+    return getTargetFormat(this.provider, model) === FORMATS.CLAUDE;
+  }
+
+  getRegion(credentials) {
+    return (
+      credentials?.providerSpecificData?.region || this.config.defaultRegion
+    );
+  }
+
+  buildUrl(model, stream, urlIndex = 0, credentials = null) {
+    const baseUrl = (
+      credentials?.providerSpecificData?.baseUrl ||
+      this.config.baseUrl.replace("{region}", this.getRegion(credentials))
+    ).replace(/\/$/, "");
+    const action = this.isAnthropicModel(model)
+      ? stream
+        ? "invoke-with-response-stream"
+        : "invoke"
+      : stream
+        ? "converse-stream"
+        : "converse";
+    return `${baseUrl}/model/${encodeURIComponent(model)}/${action}`;
+  }
+
+  buildHeaders(credentials, stream = true) {
+    return {
+      "Content-Type": "application/json",
+      Accept: stream
+        ? "application/vnd.amazon.eventstream"
+        : "application/json",
+    };
+  }
+
+  // The model goes in the URL and streaming is chosen by endpoint
+  transformRequest(model, body, stream, credentials) {
+    const transformed = { ...body };
+    delete transformed.model;
+    delete transformed.stream;
+
+    if (this.isAnthropicModel(model)) {
+      transformed.anthropic_version = ANTHROPIC_VERSION;
+      stripCacheTtl(transformed);
+    }
+
+    return transformed;
+  }
+
+  async execute({ model, body, stream, credentials, signal, log }) {
+    const url = this.buildUrl(model, stream, 0, credentials);
+    const transformedBody = this.transformRequest(
+      model,
+      body,
+      stream,
+      credentials,
+    );
+    const payload = JSON.stringify(transformedBody);
+
+    const headers = await signRequest({
+      url,
+      headers: this.buildHeaders(credentials, stream),
+      body: payload,
+      service: SIGNING_SERVICE,
+      region: this.getRegion(credentials),
+      credentials: {
+        accessKeyId: credentials.providerSpecificData?.accessKeyId || "",
+        secretAccessKey: credentials.apiKey || "",
+      },
+    });
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers,
+      body: payload,
+      signal,
+    });
+
+    if (!response.ok || !stream) {
+      return { response, url, headers, transformedBody };
+    }
+
+    log?.debug?.("BEDROCK", `Event stream → SSE (${model})`);
+    const transformedResponse = this.transformEventStreamToSSE(
+      response,
+      this.isAnthropicModel(model),
+    );
+
+    return { response: transformedResponse, url, headers, transformedBody };
+  }
+
+  /**
+   * Transform a Bedrock event stream to SSE text
+   * - InvokeModel: "chunk" events carry base64 Claude stream events → passed on as-is
+   * - Converse: each event becomes data: { [eventType]: payload }
+   * Exception messages error the stream.
+   */
+  transformEventStreamToSSE(response, isAnthropic) {
+    const decoder = new TextDecoder();
+    const encoder = new TextEncoder();
+
+    const toSSE = new TransformStream({
+      transform({ headers, payload }, controller) {
+        const messageType = headers[":message-type"];
+        const text = decoder.decode(payload);
+
+        if (messageType === "exception" || messageType === "error") {
+          let message = headers[":error-message"] || text;
+          try {
+            message = JSON.parse(text).message || message;
+          } catch {
+            // Plain-text payload
+          }
+          const type = headers[":exception-type"] || headers[":error-code"];
+          throw new Error(`Bedrock ${type}: ${message}`);
+        }
+
+        const eventType = headers[":event-type"];
+        const data = text ? JSON.parse(text) : {};
+
+        if (isAnthropic) {
+          if (eventType !== "chunk" || !data.bytes) return;
+          const event = decodeBase64(data.bytes);
+          const type = JSON.parse(event).type;
+          controller.enqueue(
+            encoder.encode(`event: ${type}\ndata: ${event}\n\n`),
+          );
+          return;
+        }
+
+        controller.enqueue(
+          encoder.encode(`data: ${JSON.stringify({ [eventType]: data })}\n\n`),
+        );
+      },
+    });
+
+    return new Response(
+      response.body.pipeThrough(createEventStreamDecoder()).pipeThrough(toSSE),
+      {
+        status: response.status,
+        statusText: response.statusText,
+        headers: {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        },
+      },
+    );
+  }
+}
+
+function decodeBase64(value) {
+  const binary = atob(value);
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+// Bedrock rejects unknown keys, and the Claude translator marks cache
+// breakpoints with a 1h ttl — keep the breakpoint, drop the ttl
+function stripCacheTtl(body) {
+  const blocks = [
+    ...(Array.isArray(body.system) ? body.system : []),
+    ...(body.tools || []),
+    ...(body.messages || []).flatMap(m =>
+      Array.isArray(m.content) ? m.content : [],
+    ),
+  ];
+  for (const block of blocks) {
+    if (block?.cache_control?.ttl) {
+      block.cache_control = { type: block.cache_control.type };
+    }
+  }
+}
+
+export default BedrockExecutor;
@@ -1,6 +1,7 @@
 import { AntigravityExecutor } from "./antigravity.js";
 import { GeminiCLIExecutor } from "./gemini-cli.js";
 import { DefaultExecutor } from "./default.js";
+import { BedrockExecutor } from "./bedrock.js";
 import { GithubExecutor } from "./github.js";
 import { CursorExecutor } from "./cursor.js";
 import { IFlowExecutor } from "./iflow.js";
@@ -13,6 +14,7 @@ const executors = {
   github: new GithubExecutor(),
   iflow: new IFlowExecutor(),
   kiro: new KiroExecutor(),
+  bedrock: new BedrockExecutor(),
   codex: new CodexExecutor(),
   cursor: new CursorExecutor(),
   cu: new CursorExecutor(), // Alias for cursor
@@ -37,6 +39,7 @@ export { GeminiCLIExecutor } from "./gemini-cli.js";
 export { GithubExecutor } from "./github.js";
 export { IFlowExecutor } from "./iflow.js";
 export { KiroExecutor } from "./kiro.js";
+export { BedrockExecutor } from "./bedrock.js";
 export { CodexExecutor } from "./codex.js";
 export { CursorExecutor } from "./cursor.js";
 export { DefaultExecutor } from "./default.js";
@@ -0,0 +1,559 @@
+import {
+  createErrorResult,
+  parseUpstreamError,
+  formatProviderError,
+} from "../utils/error.js";
+import { saveRequestUsage, appendRequestLog } from "@/lib/usageDb.js";
+import { HTTP_STATUS } from "../config/constants.js";
+
+/**
+ * OpenAI-compatible audio endpoints on top of each provider's native API.
+ *
+ *   transcription — /v1/audio/transcriptions (multipart upload)
+ *   translation   — /v1/audio/translations (speech → English text)
+ *   speech        — /v1/audio/speech (text → audio)
+ *
+ * Deepgram and AssemblyAI are translated to their own APIs; OpenAI and
+ * openai-compatible providers are passed through. Usage is recorded as
+ * audio_seconds (speech-to-text) or characters (text-to-speech) and priced
+ * per minute / per million characters.
+ */
+
+export const AUDIO_TASKS = {
+  TRANSCRIPTION: "transcription",
+  TRANSLATION: "translation",
+  SPEECH: "speech",
+};
+
+export const TRANSCRIPTION_FORMATS = [
+  "json",
+  "text",
+  "srt",
+  "verbose_json",
+  "vtt",
+];
+
+const DEEPGRAM_BASE_URL = "https://api.deepgram.com/v1";
+const ASSEMBLYAI_BASE_URL = "https://api.assemblyai.com/v2";
+
+/** AssemblyAI transcribes asynchronously: poll until done or timed out */
+const ASSEMBLYAI_POLL_INTERVAL_MS = 1000;
+const ASSEMBLYAI_TIMEOUT_MS = 10 * 60 * 1000;
+
+/** Deepgram Aura voice used when the model names no voice */
+const DEFAULT_DEEPGRAM_VOICE = "thalia-en";
+
+// OpenAI speech response_format → Deepgram speak encoding / container
+const DEEPGRAM_SPEECH_FORMATS = {
+  mp3: { encoding: "mp3" },
+  opus: { encoding: "opus" },
+  aac: { encoding: "aac" },
+  flac: { encoding: "flac" },
+  wav: { encoding: "linear16", container: "wav" },
+  pcm: { encoding: "linear16", container: "none" },
+};
+
+export const SPEECH_FORMATS = Object.keys(DEEPGRAM_SPEECH_FORMATS);
+
+/** Subtitle cues end at sentence punctuation or after this many words */
+const MAX_WORDS_PER_SEGMENT = 30;
+
+const SUBTITLE_CONTENT_TYPES = {
+  text: "text/plain; charset=utf-8",
+  srt: "application/x-subrip; charset=utf-8",
+  vtt: "text/vtt; charset=utf-8",
+};
+
+function upstreamError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+async function fetchProvider(url, init, provider, model) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw upstreamError(
+      HTTP_STATUS.BAD_GATEWAY,
+      formatProviderError(error, provider, model, HTTP_STATUS.BAD_GATEWAY),
+    );
+  }
+  if (!response.ok) {
+    const { statusCode, message } = await parseUpstreamError(
+      response,
+      provider,
+    );
+    throw upstreamError(
+      statusCode,
+      formatProviderError(new Error(message), provider, model, statusCode),
+    );
+  }
+  return response;
+}
+
+function getApiKey(credentials) {
+  return credentials.apiKey || credentials.accessToken;
+}
+
+function isOpenAIProvider(provider) {
+  return (
+    provider === "openai" ||
+    provider?.startsWith?.("openai-compatible-") === true
+  );
+}
+
+// ── Transcript formatting ───────────────────────────────────────────────────
+
+function groupWordsIntoSegments(words) {
+  const segments = [];
+  let current = [];
+  for (const word of words) {
+    current.push(word);
+    if (/[.?!]$/.test(word.word) || current.length >= MAX_WORDS_PER_SEGMENT) {
+      segments.push(current);
+      current = [];
+    }
+  }
+  if (current.length > 0) segments.push(current);
+
+  return segments.map((group, id) => ({
+    id,
+    start: group[0].start,
+    end: group.at(-1).end,
+    text: group.map(word => word.word).join(" "),
+  }));
+}
+
+function getSegments(transcript) {
+  if (transcript.words?.length > 0) {
+    return groupWordsIntoSegments(transcript.words);
+  }
+  if (!transcript.text) return [];
+  return [
+    { id: 0, start: 0, end: transcript.duration || 0, text: transcript.text },
+  ];
+}
+
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round((seconds || 0) * 1000);
+  const pad = (value, size = 2) => String(value).padStart(size, "0");
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+function toSubtitles(segments, format) {
+  const separator = format === "vtt" ? "." : ",";
+  const cues = segments.map((segment, index) => {
+    const timing = `${formatTimestamp(segment.start, separator)} --> ${formatTimestamp(segment.end, separator)}`;
+    return format === "vtt"
+      ? `${timing}\n${segment.text}`
+      : `${index + 1}\n${timing}\n${segment.text}`;
+  });
+  const body = cues.join("\n\n");
+  return format === "vtt" ? `WEBVTT\n\n${body}\n` : `${body}\n`;
+}
+
+/**
+ * Render a normalized transcript in an OpenAI response_format
+ * @param {object} transcript - { text, language, duration, words: [{ word, start, end }] }
+ * @param {string} format - json / text / srt / verbose_json / vtt
+ * @param {string} task - transcription / translation
+ * @returns {Response}
+ */
+export function formatTranscriptResponse(transcript, format, task) {
+  const headers = { "Access-Control-Allow-Origin": "*" };
+
+  if (SUBTITLE_CONTENT_TYPES[format]) {
+    const body =
+      format === "text"
+        ? transcript.text
+        : toSubtitles(getSegments(transcript), format);
+    return new Response(body, {
+      headers: { ...headers, "Content-Type": SUBTITLE_CONTENT_TYPES[format] },
+    });
+  }
+
+  const usage = { type: "duration", seconds: Math.ceil(transcript.duration) };
+  const body =
+    format === "verbose_json"
+      ? {
+          task: task === AUDIO_TASKS.TRANSLATION ? "translate" : "transcribe",
+          language: transcript.language,
+          duration: transcript.duration,
+          text: transcript.text,
+          segments: getSegments(transcript),
+          ...(transcript.words?.length > 0 && { words: transcript.words }),
+          usage,
+        }
+      : { text: transcript.text, usage };
+
+  return new Response(JSON.stringify(body), {
+    headers: { ...headers, "Content-Type": "application/json" },
+  });
+}
+
+// ── Deepgram ────────────────────────────────────────────────────────────────
+
+async function deepgramTranscribe({ model, input, credentials }) {
+  const params = new URLSearchParams({ model, smart_format: "true" });
+  if (input.language) params.set("language", input.language);
+  else params.set("detect_language", "true");
+
+  const response = await fetchProvider(
+    `${DEEPGRAM_BASE_URL}/listen?${params}`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Token ${getApiKey(credentials)}`,
+        "Content-Type": input.file.type || "application/octet-stream",
+      },
+      body: await input.file.arrayBuffer(),
+    },
+    "deepgram",
+    model,
+  );
+  const data = await response.json();
+  const channel = data.results?.channels?.[0];
+  const alternative = channel?.alternatives?.[0];
+
+  return {
+    text: alternative?.transcript || "",
+    language: channel?.detected_language || input.language || null,
+    duration: data.metadata?.duration || 0,
+    words: (alternative?.words || []).map(word => ({
+      word: word.punctuated_word || word.word,
+      start: word.start,
+      end: word.end,
+    })),
+  };
+}
+
+/**
+ * Deepgram voice model for a model / voice pair: "aura-2" + "luna" →
+ * "aura-2-luna-en". Full voice models ("aura-2-luna-en") are used as is.
+ */
+export function getDeepgramVoiceModel(model, voice) {
+  if (!/^aura(-2)?$/.test(model)) return model;
+  const name = voice || DEFAULT_DEEPGRAM_VOICE;
+  return `${model}-${name.includes("-") ? name : `${name}-en`}`;
+}
+
+async function deepgramSpeak({ model, input, credentials }) {
+  const params = new URLSearchParams({
+    model: getDeepgramVoiceModel(model, input.voice),
+    ...DEEPGRAM_SPEECH_FORMATS[input.responseFormat],
+  });
+
+  const response = await fetchProvider(
+    `${DEEPGRAM_BASE_URL}/speak?${params}`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Token ${getApiKey(credentials)}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ text: input.text }),
+    },
+    "deepgram",
+    model,
+  );
+  return response;
+}
+
+// ── AssemblyAI ──────────────────────────────────────────────────────────────
+
+async function assemblyAITranscribe(
+  { model, input, credentials, pollIntervalMs },
+  translateTo = null,
+) {
+  const headers = { authorization: getApiKey(credentials) };
+
+  const upload = await fetchProvider(
+    `${ASSEMBLYAI_BASE_URL}/upload`,
+    {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/octet-stream" },
+      body: await input.file.arrayBuffer(),
+    },
+    "assemblyai",
+    model,
+  );
+  const { upload_url: audioUrl } = await upload.json();
+
+  const request = { audio_url: audioUrl, speech_model: model };
+  if (input.language) request.language_code = input.language;
+  else request.language_detection = true;
+  if (translateTo) {
+    request.speech_understanding = {
+      request: { translation: { target_languages: [translateTo] } },
+    };
+  }
+
+  const created = await fetchProvider(
+    `${ASSEMBLYAI_BASE_URL}/transcript`,
+    {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(request),
+    },
+    "assemblyai",
+    model,
+  );
+  let transcript = await created.json();
+
+  const deadline = Date.now() + ASSEMBLYAI_TIMEOUT_MS;
+  while (transcript.status !== "completed") {
+    if (transcript.status === "error") {
+      throw upstreamError(
+        HTTP_STATUS.BAD_REQUEST,
+        `[${HTTP_STATUS.BAD_REQUEST}]: ${transcript.error || "Transcription failed"}`,
+      );
+    }
+    if (Date.now() > deadline) {
+      throw upstreamError(
+        HTTP_STATUS.GATEWAY_TIMEOUT,
+        `[${HTTP_STATUS.GATEWAY_TIMEOUT}]: Transcript ${transcript.id} not ready in time`,
+      );
+    }
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    const polled = await fetchProvider(
+      `${ASSEMBLYAI_BASE_URL}/transcript/${transcript.id}`,
+      { headers },
+      "assemblyai",
+      model,
+    );
+    transcript = await polled.json();
+  }
+
+  if (translateTo) {
+    return {
+      text: transcript.translated_texts?.[translateTo] || "",
+      language: translateTo,
+      duration: transcript.audio_duration || 0,
+      words: [],
+    };
+  }
+  return {
+    text: transcript.text || "",
+    language: transcript.language_code || input.language || null,
+    duration: transcript.audio_duration || 0,
+    words: (transcript.words || []).map(word => ({
+      word: word.text,
+      start: word.start / 1000,
+      end: word.end / 1000,
+    })),
+  };
+}
+
+// ── OpenAI / openai-compatible (pass-through) ───────────────────────────────
+
+function getOpenAIAudioUrl(provider, credentials, path) {
+  const baseUrl =
+    provider === "openai"
+      ? "https://api.openai.com/v1"
+      : credentials?.providerSpecificData?.baseUrl ||
+        "https://api.openai.com/v1";
+  return `${baseUrl.replace(/\/$/, "")}/audio/${path}`;
+}
+
+async function openAIUpload({ provider, model, input, credentials }, path) {
+  const form = new FormData();
+  for (const [key, value] of input.form.entries()) {
+    if (key !== "model") form.append(key, value);
+  }
+  form.append("model", model);
+
+  return fetchProvider(
+    getOpenAIAudioUrl(provider, credentials, path),
+    {
+      method: "POST",
+      headers: { Authorization: `Bearer ${getApiKey(credentials)}` },
+      body: form,
+    },
+    provider,
+    model,
+  );
+}
+
+async function openAISpeak({ provider, model, input, credentials }) {
+  return fetchProvider(
+    getOpenAIAudioUrl(provider, credentials, "speech"),
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${getApiKey(credentials)}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ ...input.body, model }),
+    },
+    provider,
+    model,
+  );
+}
+
+// Usage reported by OpenAI transcription responses (duration or tokens)
+async function readOpenAIUsage(response) {
+  if (!response.headers.get("content-type")?.includes("application/json")) {
+    return {};
+  }
+  try {
+    const { usage } = await response.clone().json();
+    if (usage?.type === "duration") return { audio_seconds: usage.seconds };
+    if (usage?.input_tokens !== undefined) {
+      return {
+        prompt_tokens: usage.input_tokens,
+        completion_tokens: usage.output_tokens || 0,
+      };
+    }
+  } catch {
+    // Not a JSON body after all
+  }
+  return {};
+}
+
+// ── Dispatch ────────────────────────────────────────────────────────────────
+
+const AUDIO_PROVIDERS = {
+  deepgram: {
+    [AUDIO_TASKS.TRANSCRIPTION]: deepgramTranscribe,
+    [AUDIO_TASKS.SPEECH]: deepgramSpeak,
+  },
+  assemblyai: {
+    [AUDIO_TASKS.TRANSCRIPTION]: options => assemblyAITranscribe(options),
+    [AUDIO_TASKS.TRANSLATION]: options => assemblyAITranscribe(options, "en"),
+  },
+};
+
+/**
+ * Whether a provider can serve an audio task
+ * @param {string} provider
+ * @param {string} task - transcription / translation / speech
+ */
+export function supportsAudioTask(provider, task) {
+  return isOpenAIProvider(provider) || !!AUDIO_PROVIDERS[provider]?.[task];
+}
+
+async function runAudioTask(task, options) {
+  const { provider } = options;
+
+  if (isOpenAIProvider(provider)) {
+    if (task === AUDIO_TASKS.SPEECH) {
+      const response = await openAISpeak(options);
+      return { response, usage: { characters: options.input.text.length } };
+    }
+    const path =
+      task === AUDIO_TASKS.TRANSLATION ? "translations" : "transcriptions";
+    const upstream = await openAIUpload(options, path);
+    const usage = await readOpenAIUsage(upstream);
+    const response = new Response(upstream.body, {
+      headers: {
+        "Content-Type":
+          upstream.headers.get("content-type") || "application/json",
+        "Access-Control-Allow-Origin": "*",
+      },
+    });
+    return { response, usage };
+  }
+
+  const result = await AUDIO_PROVIDERS[provider][task](options);
+  if (task === AUDIO_TASKS.SPEECH) {
+    const response = new Response(result.body, {
+      headers: {
+        "Content-Type": result.headers.get("content-type") || "audio/mpeg",
+        "Access-Control-Allow-Origin": "*",
+      },
+    });
+    return { response, usage: { characters: options.input.text.length } };
+  }
+
+  return {
+    response: formatTranscriptResponse(
+      result,
+      options.input.responseFormat,
+      task,
+    ),
+    usage: { audio_seconds: result.duration },
+  };
+}
+
+/**
+ * Core audio handler: runs one task against one account and records usage.
+ *
+ * @param {object} options
+ * @param {string} options.task - AUDIO_TASKS value
+ * @param {object} options.input - Transcription: { form, file, language, responseFormat };
+ *   speech: { body, text, voice, responseFormat }
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object} options.credentials - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @param {string} [options.connectionId]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.endpoint] - Client endpoint, recorded with usage
+ * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @param {number} [options.pollIntervalMs] - AssemblyAI poll interval
+ * @returns {Promise<{ success: boolean, response: Response, status?: number, error?: string }>}
+ */
+export async function handleAudioCore({
+  task,
+  input,
+  modelInfo,
+  credentials,
+  log,
+  connectionId,
+  apiKey,
+  endpoint,
+  onRequestSuccess,
+  pollIntervalMs = ASSEMBLYAI_POLL_INTERVAL_MS,
+}) {
+  const { provider, model } = modelInfo;
+
+  if (!supportsAudioTask(provider, task)) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      `Provider '${provider}' does not support audio ${task}`,
+    );
+  }
+
+  log?.debug?.("AUDIO", `${provider.toUpperCase()} | ${model} | ${task}`);
+
+  let result;
+  try {
+    result = await runAudioTask(task, {
+      provider,
+      model,
+      input,
+      credentials,
+      pollIntervalMs,
+    });
+  } catch (error) {
+    const status = error.status || HTTP_STATUS.BAD_GATEWAY;
+    log?.debug?.("AUDIO", `Provider error: ${error.message}`);
+    return createErrorResult(status, error.message);
+  }
+
+  if (onRequestSuccess) {
+    await onRequestSuccess();
+  }
+
+  const tokens = { prompt_tokens: 0, completion_tokens: 0, ...result.usage };
+  log?.debug?.("AUDIO", `Success | usage=${JSON.stringify(result.usage)}`);
+  saveRequestUsage({
+    provider,
+    model,
+    tokens,
+    connectionId: connectionId || undefined,
+    apiKey: apiKey || undefined,
+    endpoint: endpoint || null,
+  }).catch(() => {});
+  appendRequestLog({
+    model,
+    provider,
+    connectionId,
+    tokens,
+    status: "200 OK",
+  }).catch(() => {});
+
+  return { success: true, response: result.response };
+}
@@ -1,37 +1,59 @@
+import {
+  isCacheableChatRequest,
+  getResponseCacheKey,
+  getCachedResponse,
+  cacheResponse,
+  replayCachedResponse,
+} from "../services/responseCache.js";
 import {
   createSSETransformStreamWithLogger,
   createPassthroughStreamWithLogger,
   COLORS,
 } from "../utils/stream.js";
+import {
+  getModelTargetFormat,
+  getModelContextWindow,
+  PROVIDER_ID_TO_ALIAS,
+} from "../config/providerModels.js";
 import {
   saveRequestUsage,
   trackPendingRequest,
   appendRequestLog,
   saveRequestDetail,
 } from "@/lib/usageDb.js";
+import {
+  addBufferToUsage,
+  filterUsageForFormat,
+  estimateInputTokens,
+} from "../utils/usageTracking.js";
+import {
+  createPluginContext,
+  runRequestHooks,
+  applyResponsePlugins,
+} from "../services/plugins.js";
 import {
   createErrorResult,
   parseUpstreamError,
   formatProviderError,
 } from "../utils/error.js";
+import { bedrockToOpenAINonStreamingResponse } from "../translator/response/bedrock-to-openai.js";
+import { openaiToGeminiNonStreamingResponse } from "../translator/response/openai-to-gemini.js";
 import {
-  getModelTargetFormat,
-  PROVIDER_ID_TO_ALIAS,
-} from "../config/providerModels.js";
+  fitContextWindow,
+  CONTEXT_STRATEGY_HEADER,
+} from "../services/contextWindow.js";
 import {
   createStreamController,
   pipeWithDisconnect,
 } from "../utils/streamHandler.js";
-import {
-  addBufferToUsage,
-  filterUsageForFormat,
-} from "../utils/usageTracking.js";
 import { convertResponsesStreamToJson } from "../transformer/streamToJsonConverter.js";
+import { startSpan, startStreamSpan, SPAN_KIND } from "../services/tracing.js";
 import { translateRequest, needsTranslation } from "../translator/index.js";
 import { detectFormat, getTargetFormat } from "../services/provider.js";
 import { createRequestLogger } from "../utils/requestLogger.js";
 import { handleBypassRequest } from "../utils/bypassHandler.js";
 import { refreshWithRetry } from "../services/tokenRefresh.js";
+import { recordRequestMetrics } from "../services/metrics.js";
 import { HTTP_STATUS } from "../config/constants.js";
 import { getExecutor } from "../executors/index.js";
 import { FORMATS } from "../translator/formats.js";
@@ -45,11 +67,23 @@ function translateNonStreamingResponse(
   targetFormat,
   sourceFormat,
 ) {
+  // Native Gemini clients: provider → OpenAI → Gemini
+  if (sourceFormat === FORMATS.GEMINI && targetFormat !== FORMATS.GEMINI) {
+    return openaiToGeminiNonStreamingResponse(
+      translateNonStreamingResponse(responseBody, targetFormat, FORMATS.OPENAI),
+    );
+  }
+
   // If already in source format (usually OpenAI), return as-is
   if (targetFormat === sourceFormat || targetFormat === FORMATS.OPENAI) {
     return responseBody;
   }
 
+  // Handle Bedrock Converse format
+  if (targetFormat === FORMATS.BEDROCK) {
+    return bedrockToOpenAINonStreamingResponse(responseBody);
+  }
+
   // Handle Gemini/Antigravity format
   if (
     targetFormat === FORMATS.GEMINI ||
@@ -263,6 +297,20 @@ function extractUsageFromResponse(responseBody, provider) {
     };
   }
 
+  // Bedrock Converse format
+  if (
+    responseBody.usage &&
+    typeof responseBody.usage === "object" &&
+    responseBody.usage.inputTokens !== undefined
+  ) {
+    return {
+      prompt_tokens: responseBody.usage.inputTokens || 0,
+      completion_tokens: responseBody.usage.outputTokens || 0,
+      cache_read_input_tokens: responseBody.usage.cacheReadInputTokens,
+      cache_creation_input_tokens: responseBody.usage.cacheWriteInputTokens,
+    };
+  }
+
   // Gemini format
   if (
     responseBody.usageMetadata &&
@@ -417,8 +465,131 @@ function parseSSEToOpenAIResponse(rawSSE, fallbackModel) {
  * @param {function} options.onDisconnect - Callback when client disconnects
  * @param {string} options.connectionId - Connection ID for usage tracking
  * @param {string} options.apiKey - API key for usage tracking
+ * @param {object} [options.responseCache] - { ttlMs, maxEntries, namespace } enables the response cache
+ * @param {object[]} [options.plugins] - Enabled middleware plugins (see services/plugins.js)
+ * @param {object} [options.pluginContext] - Extra hook context ({ combo, apiKeyId })
+ * @param {object} [options.contextWindow] - { strategy, reserveTokens, summarize, fallback, resolveWindow } enables context compaction
+ * @param {object} [options.traceSpan] - Parent span (services/tracing.js) for translate / upstream / stream spans
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request while waiting for it (combo race lost)
+ */
+export async function handleChatCore(options) {
+  const startTime = Date.now();
+  const context = await applyContextWindow(options);
+  const result = await runChatPipeline({ ...options, body: context.body });
+  if (!result.blocked) {
+    recordRequestMetrics({
+      provider: options.modelInfo?.provider,
+      model: options.modelInfo?.model,
+      connectionId: options.connectionId,
+      apiKey: options.apiKey,
+      status: result.success ? result.response.status : result.status,
+      durationMs: Date.now() - startTime,
+    });
+  }
+  if (result.success && context.applied.length > 0) {
+    const headers = new Headers(result.response.headers);
+    headers.set(CONTEXT_STRATEGY_HEADER, context.applied.join(", "));
+    result.response = new Response(result.response.body, {
+      status: result.response.status,
+      statusText: result.response.statusText,
+      headers,
+    });
+  }
+  return result;
+}
+
+/**
+ * Compact the client body when it exceeds the target model's context window
+ * @returns {Promise<{ body: object, applied: string[] }>} applied = strategies for the response header
+ */
+async function applyContextWindow({ body, modelInfo, contextWindow, log }) {
+  if (!contextWindow) return { body, applied: [] };
+
+  const { provider, model } = modelInfo;
+  const windowTokens = getModelContextWindow(
+    provider,
+    model,
+    contextWindow.resolveWindow,
+  );
+  const fitted = await fitContextWindow(body, {
+    sourceFormat: detectFormat(body),
+    contextWindow: windowTokens,
+    strategy: contextWindow.strategy,
+    reserveTokens: contextWindow.reserveTokens,
+    summarize: contextWindow.summarize,
+  });
+  if (fitted.applied.length > 0) {
+    log?.info?.(
+      "CONTEXT",
+      `${provider}/${model} (${windowTokens} tokens): ${fitted.applied.join(", ")}`,
+    );
+  }
+  return {
+    body: fitted.body,
+    applied: [
+      ...(contextWindow.fallback ? ["fallback"] : []),
+      ...fitted.applied,
+    ],
+  };
+}
+
+/**
+ * Run the request with middleware plugins and the response cache around it
+ */
+async function runChatPipeline(options) {
+  const plugins = options.plugins?.length ? options.plugins : null;
+  if (!options.responseCache && !plugins) return runChatCore(options);
+
+  const pluginCtx = plugins
+    ? createPluginContext({
+        ...options.pluginContext,
+        provider: options.modelInfo.provider,
+        model: options.modelInfo.model,
+        sourceFormat: detectFormat(options.body),
+      })
+    : null;
+  const cacheContext = options.responseCache ? { key: null } : null;
+  const result = await runChatCore({
+    ...options,
+    plugins,
+    pluginCtx,
+    cacheContext,
+  });
+  if (!result.success || result.cached) return result;
+
+  if (plugins) {
+    try {
+      result.response = await applyResponsePlugins(
+        result.response,
+        plugins,
+        pluginCtx,
+      );
+    } catch (error) {
+      return pluginBlockedResult({
+        status: HTTP_STATUS.SERVER_ERROR,
+        message: `Plugin onResponse failed: ${error.message}`,
+      });
+    }
+  }
+  if (cacheContext?.key) {
+    result.response = cacheResponse(
+      cacheContext.key,
+      result.response,
+      options.responseCache,
+    );
+  }
+  return result;
+}
+
+/**
+ * Error result for a request rejected by a plugin - `blocked` tells callers
+ * not to mark the account unavailable or retry another account
  */
-export async function handleChatCore({
+function pluginBlockedResult({ status, message }) {
+  return { ...createErrorResult(status, message), blocked: true };
+}
+
+async function runChatCore({
   body,
   modelInfo,
   credentials,
@@ -430,6 +601,12 @@ export async function handleChatCore({
   connectionId,
   userAgent,
   apiKey,
+  responseCache,
+  cacheContext,
+  plugins,
+  pluginCtx,
+  traceSpan,
+  signal,
 }) {
   const { provider, model } = modelInfo;
   const requestStartTime = Date.now();
@@ -450,10 +627,11 @@ export async function handleChatCore({
   const targetFormat = modelTargetFormat || getTargetFormat(provider, model);
 
   // Track if client actually wants streaming (before we force it for providers)
+  // Native Gemini clients stream unless the route set stream: false (generateContent)
   const clientRequestedStreaming =
     body.stream === true ||
     sourceFormat === FORMATS.ANTIGRAVITY ||
-    sourceFormat === FORMATS.GEMINI ||
+    (sourceFormat === FORMATS.GEMINI && body.stream !== false) ||
     sourceFormat === FORMATS.GEMINI_CLI;
   const providerRequiresStreaming =
     provider === "openai" || provider === "codex";
@@ -486,17 +664,28 @@ export async function handleChatCore({
   );
 
   // Translate request (pass reqLogger for intermediate logging)
+  const translateSpan = startSpan(traceSpan, "translate", {
+    "router.source_format": sourceFormat,
+    "router.target_format": targetFormat,
+  });
   let translatedBody = body;
-  translatedBody = translateRequest(
-    sourceFormat,
-    targetFormat,
-    model,
-    body,
-    stream,
-    credentials,
-    provider,
-    reqLogger,
-  );
+  try {
+    translatedBody = translateRequest(
+      sourceFormat,
+      targetFormat,
+      model,
+      body,
+      stream,
+      credentials,
+      provider,
+      reqLogger,
+    );
+  } catch (error) {
+    translateSpan?.setError(error);
+    throw error;
+  } finally {
+    translateSpan?.end();
+  }
 
   // Extract toolNameMap for response translation (Claude OAuth)
   const toolNameMap = translatedBody._toolNameMap;
@@ -505,6 +694,57 @@ export async function handleChatCore({
   // Update model in body
   translatedBody.model = model;
 
+  // Middleware: last chance to edit the provider request
+  if (plugins) {
+    pluginCtx.targetFormat = targetFormat;
+    pluginCtx.stream = stream;
+    const hooked = await runRequestHooks(
+      plugins,
+      "onTranslatedRequest",
+      translatedBody,
+      pluginCtx,
+    );
+    if (hooked.blocked) {
+      log?.warn?.(
+        "PLUGIN",
+        `${hooked.blocked.plugin} blocked ${provider}/${model}: ${hooked.blocked.message}`,
+      );
+      return pluginBlockedResult(hooked.blocked);
+    }
+    translatedBody = hooked.body;
+  }
+
+  // Response cache: replay identical deterministic (temperature 0) requests
+  if (responseCache && isCacheableChatRequest(body)) {
+    const responseMode =
+      !stream || (providerRequiresStreaming && !clientRequestedStreaming)
+        ? "json"
+        : "sse";
+    cacheContext.key = getResponseCacheKey({
+      kind: "chat",
+      provider,
+      request: translatedBody,
+      variant: `${sourceFormat}:${responseMode}${plugins ? `:${plugins.map(p => p.name).join(",")}` : ""}`,
+      namespace: responseCache.namespace,
+    });
+    const cached = getCachedResponse(cacheContext.key);
+    if (cached) {
+      log?.info?.("CACHE", `HIT ${provider}/${model} (${responseMode})`);
+      traceSpan?.setAttribute("router.cache_hit", true);
+      appendRequestLog({
+        model,
+        provider,
+        connectionId,
+        status: "200 CACHED",
+      }).catch(() => {});
+      return {
+        success: true,
+        cached: true,
+        response: replayCachedResponse(cached),
+      };
+    }
+  }
+
   // Get executor for this provider
   const executor = getExecutor(provider);
 
@@ -527,28 +767,71 @@ export async function handleChatCore({
     `${provider.toUpperCase()} | ${model} | ${msgCount} msgs`,
   );
 
+  // Streaming duration span, ended on completion / disconnect / error; the
+  // caller's attempt and root spans end with it (startStreamSpan)
+  let streamSpan = null;
+
+  // Cancelled before completion (client gone or combo race lost): the
+  // prompt was still sent upstream, so record it as cancelled usage
+  const saveCancelledUsage = () =>
+    saveRequestUsage({
+      provider: provider || "unknown",
+      model: model || "unknown",
+      tokens: {
+        prompt_tokens: estimateInputTokens(translatedBody),
+        completion_tokens: 0,
+        estimated: true,
+      },
+      status: "cancelled",
+      timestamp: new Date().toISOString(),
+      connectionId: connectionId || undefined,
+      apiKey: apiKey || undefined,
+      endpoint: clientRawRequest?.endpoint || null,
+    }).catch(() => {});
+
   // Create stream controller for disconnect detection
   const streamController = createStreamController({
     onDisconnect: reason => {
       // Track request finished (disconnected)
       trackPendingRequest(model, provider, connectionId, false);
+      streamSpan?.setAttribute("router.cancelled", true).end();
+      saveCancelledUsage();
+
       if (onDisconnect) onDisconnect(reason);
     },
     onError: error => {
       // Track request finished (error/zombie)
       trackPendingRequest(model, provider, connectionId, false);
+      streamSpan?.setError(error).end();
     },
     log,
     provider,
     model,
   });
 
+  // Caller gave up while waiting for response headers (combo race lost)
+  const abortUpstream = () => streamController.abort();
+  if (signal?.aborted) abortUpstream();
+  else signal?.addEventListener("abort", abortUpstream);
+
   // Execute request using executor (handles URL building, headers, fallback, transform)
   let providerResponse;
   let providerUrl;
   let providerHeaders;
   let finalBody;
 
+  // Upstream span ends when response headers arrive (TTFB)
+  const upstreamSpan = startSpan(
+    traceSpan,
+    "upstream",
+    {
+      "router.provider": provider,
+      "router.model": model,
+      "router.stream": stream,
+    },
+    SPAN_KIND.CLIENT,
+  );
+
   try {
     const result = await executor.execute({
       model,
@@ -558,6 +841,7 @@ export async function handleChatCore({
       signal: streamController.signal,
       log,
     });
+    upstreamSpan?.setHttpStatus(result.response.status).end();
 
     providerResponse = result.response;
     providerUrl = result.url;
@@ -567,6 +851,7 @@ export async function handleChatCore({
     // Log target request (final request to provider)
     reqLogger.logTargetRequest(providerUrl, providerHeaders, finalBody);
   } catch (error) {
+    upstreamSpan?.setError(error).end();
     trackPendingRequest(model, provider, connectionId, false, true);
     appendRequestLog({
       model,
@@ -596,6 +881,7 @@ export async function handleChatCore({
 
     if (error.name === "AbortError") {
       streamController.handleError(error);
+      if (signal?.aborted) saveCancelledUsage();
       return createErrorResult(499, "Request aborted");
     }
     const errMsg = formatProviderError(
@@ -606,6 +892,8 @@ export async function handleChatCore({
     );
     console.log(`${COLORS.red}[ERROR] ${errMsg}${COLORS.reset}`);
     return createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg);
+  } finally {
+    signal?.removeEventListener("abort", abortUpstream);
   }
 
   // Handle 401/403 - try token refresh using executor
@@ -613,6 +901,9 @@ export async function handleChatCore({
     providerResponse.status === HTTP_STATUS.UNAUTHORIZED ||
     providerResponse.status === HTTP_STATUS.FORBIDDEN
   ) {
+    const refreshSpan = startSpan(traceSpan, "token_refresh", {
+      "router.provider": provider,
+    });
     const newCredentials = await refreshWithRetry(
       () => executor.refreshCredentials(credentials, log),
       3,
@@ -641,19 +932,23 @@ export async function handleChatCore({
           log,
         });
 
+        refreshSpan?.setHttpStatus(retryResult.response.status);
         if (retryResult.response.ok) {
           providerResponse = retryResult.response;
           providerUrl = retryResult.url;
         }
       } catch (retryError) {
+        refreshSpan?.setError(retryError);
         log?.warn?.(
           "TOKEN",
           `${provider.toUpperCase()} | retry after refresh failed`,
         );
       }
     } else {
+      refreshSpan?.setError("Token refresh failed");
       log?.warn?.("TOKEN", `${provider.toUpperCase()} | refresh failed`);
     }
+    refreshSpan?.end();
   }
 
   // Check provider response - return error info for fallback handling
@@ -834,9 +1129,10 @@ export async function handleChatCore({
 
           // Build client-format response based on sourceFormat
           let finalResp;
-          if (
+          if (sourceFormat === FORMATS.GEMINI) {
+            finalResp = openaiToGeminiNonStreamingResponse(openaiMsg);
+          } else if (
             sourceFormat === FORMATS.ANTIGRAVITY ||
-            sourceFormat === FORMATS.GEMINI ||
             sourceFormat === FORMATS.GEMINI_CLI
           ) {
             // Antigravity/Gemini non-streaming format
@@ -935,9 +1231,14 @@ export async function handleChatCore({
               endpoint: clientRawRequest?.endpoint || null,
             }).catch(() => {});
 
+            const clientBody =
+              sourceFormat === FORMATS.GEMINI
+                ? openaiToGeminiNonStreamingResponse(parsed)
+                : parsed;
+
             return {
               success: true,
-              response: new Response(JSON.stringify(parsed), {
+              response: new Response(JSON.stringify(clientBody), {
                 headers: {
                   "Content-Type": "application/json",
                   "Access-Control-Allow-Origin": "*",
@@ -1052,10 +1353,12 @@ export async function handleChatCore({
       : responseBody;
 
     // Ensure OpenAI-required fields are present (needed for Letta and other strict clients)
-    if (!translatedResponse.object)
-      translatedResponse.object = "chat.completion";
-    if (!translatedResponse.created)
-      translatedResponse.created = Math.floor(Date.now() / 1000);
+    if (sourceFormat !== FORMATS.GEMINI) {
+      if (!translatedResponse.object)
+        translatedResponse.object = "chat.completion";
+      if (!translatedResponse.created)
+        translatedResponse.created = Math.floor(Date.now() / 1000);
+    }
 
     // Strip Azure-specific non-standard fields
     if (translatedResponse.prompt_filter_results !== undefined) {
@@ -1145,6 +1448,12 @@ export async function handleChatCore({
   const onStreamComplete = (contentObj, usage, ttftAt) => {
     // contentObj is object { content, thinking }
     streamUsage = usage;
+    streamSpan
+      ?.setAttributes({
+        "router.usage.input_tokens": usage?.prompt_tokens,
+        "router.usage.output_tokens": usage?.completion_tokens,
+      })
+      .end();
 
     const updatedDetail = {
       provider: provider || "unknown",
@@ -1209,12 +1518,12 @@ export async function handleChatCore({
 
   if (needsCodexTranslation) {
     // Translate Codex (openai-responses) SSE → client's source format
-    // Claude → claude, Antigravity/Gemini → antigravity, others → openai
+    // Claude → claude, Gemini → gemini, Antigravity/Gemini CLI → antigravity, others → openai
     let codexTarget;
     if (sourceFormat === FORMATS.CLAUDE) codexTarget = FORMATS.CLAUDE;
+    else if (sourceFormat === FORMATS.GEMINI) codexTarget = FORMATS.GEMINI;
     else if (
       sourceFormat === FORMATS.ANTIGRAVITY ||
-      sourceFormat === FORMATS.GEMINI ||
       sourceFormat === FORMATS.GEMINI_CLI
     )
       codexTarget = FORMATS.ANTIGRAVITY;
@@ -1235,7 +1544,11 @@ export async function handleChatCore({
       onStreamComplete,
       apiKey,
     );
-  } else if (needsTranslation(targetFormat, sourceFormat)) {
+  } else if (
+    needsTranslation(targetFormat, sourceFormat) ||
+    sourceFormat === FORMATS.GEMINI
+  ) {
+    // Gemini → Gemini also takes this path: passthrough normalizes chunks to OpenAI
     log?.debug?.(
       "STREAM",
       `Translation mode: ${targetFormat} → ${sourceFormat}`,
@@ -1265,6 +1578,10 @@ export async function handleChatCore({
     );
   }
 
+  streamSpan = startStreamSpan(traceSpan, "stream", {
+    "router.provider": provider,
+    "router.model": model,
+  });
   const transformedBody = pipeWithDisconnect(
     providerResponse,
     transformStream,
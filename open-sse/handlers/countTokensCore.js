@@ -0,0 +1,166 @@
+import { countInputTokens } from "../services/tokenCounter.js";
+import { translateRequest } from "../translator/index.js";
+import { getExecutor } from "../executors/index.js";
+import { FORMATS } from "../translator/formats.js";
+import { PROVIDERS } from "../config/constants.js";
+import "../services/tiktoken.js";
+
+/** Native count requests give up after this long and use the local count */
+const NATIVE_COUNT_TIMEOUT_MS = 5000;
+
+// Fields of a Messages request that Anthropic's count_tokens accepts
+const CLAUDE_COUNT_FIELDS = [
+  "messages",
+  "system",
+  "tools",
+  "tool_choice",
+  "thinking",
+];
+
+function isAnthropicProvider(provider) {
+  return (
+    provider === "claude" ||
+    provider?.startsWith?.("anthropic-compatible-") === true
+  );
+}
+
+/**
+ * Whether a provider exposes a token counting endpoint usable with its
+ * credentials (Anthropic Messages API or Gemini API)
+ * @param {string} provider
+ */
+export function hasNativeTokenCount(provider) {
+  return isAnthropicProvider(provider) || provider === "gemini";
+}
+
+function buildClaudeCountRequest(provider, model, body, credentials, format) {
+  if (format !== FORMATS.CLAUDE) {
+    body = translateRequest(
+      format,
+      FORMATS.CLAUDE,
+      model,
+      structuredClone(body),
+      false,
+      credentials,
+      provider,
+    );
+  }
+
+  const baseUrl =
+    provider === "claude"
+      ? PROVIDERS.claude.baseUrl
+      : `${(credentials?.providerSpecificData?.baseUrl || "https://api.anthropic.com/v1").replace(/\/$/, "")}/messages`;
+
+  const payload = { model };
+  for (const field of CLAUDE_COUNT_FIELDS) {
+    if (body[field] !== undefined) payload[field] = body[field];
+  }
+
+  return {
+    url: `${baseUrl}/count_tokens${provider === "claude" ? "?beta=true" : ""}`,
+    payload,
+    parse: data => data?.input_tokens,
+  };
+}
+
+function buildGeminiCountRequest(model, body, credentials, format) {
+  const translated = translateRequest(
+    format,
+    FORMATS.GEMINI,
+    model,
+    structuredClone(body),
+    false,
+    credentials,
+    "gemini",
+  );
+  const modelPath = model.startsWith("models/") ? model : `models/${model}`;
+
+  return {
+    url: `${PROVIDERS.gemini.baseUrl}/${model}:countTokens`,
+    payload: {
+      generateContentRequest: {
+        model: modelPath,
+        contents: translated.contents,
+        ...(translated.systemInstruction && {
+          systemInstruction: translated.systemInstruction,
+        }),
+        ...(translated.tools && { tools: translated.tools }),
+      },
+    },
+    parse: data => data?.totalTokens,
+  };
+}
+
+async function countWithProvider({
+  provider,
+  model,
+  body,
+  credentials,
+  format,
+}) {
+  const request = isAnthropicProvider(provider)
+    ? buildClaudeCountRequest(provider, model, body, credentials, format)
+    : buildGeminiCountRequest(model, body, credentials, format);
+
+  const response = await fetch(request.url, {
+    method: "POST",
+    headers: getExecutor(provider).buildHeaders(credentials, false),
+    body: JSON.stringify(request.payload),
+    signal: AbortSignal.timeout(NATIVE_COUNT_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  const count = request.parse(await response.json());
+  if (!Number.isFinite(count)) {
+    throw new Error("Response has no token count");
+  }
+  return count;
+}
+
+/**
+ * Count the input tokens of a Claude Messages (or Gemini) request.
+ * Uses the provider's own counter when it has one and credentials are
+ * given, otherwise (or when it fails) the local tokenizer count.
+ *
+ * @param {object} options
+ * @param {object} options.body - Claude Messages request body
+ * @param {string} [options.format] - Body format: FORMATS.CLAUDE or FORMATS.GEMINI
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object|null} [options.credentials] - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @returns {Promise<{ inputTokens: number, source: "provider"|"tokenizer" }>}
+ */
+export async function countTokensCore({
+  body,
+  format = FORMATS.CLAUDE,
+  modelInfo,
+  credentials,
+  log,
+}) {
+  const { provider, model } = modelInfo;
+
+  if (credentials && hasNativeTokenCount(provider)) {
+    try {
+      const inputTokens = await countWithProvider({
+        provider,
+        model,
+        body,
+        credentials,
+        format,
+      });
+      return { inputTokens, source: "provider" };
+    } catch (error) {
+      log?.warn?.(
+        "COUNT_TOKENS",
+        `${provider} count failed (${error.message}), using local tokenizer`,
+      );
+    }
+  }
+
+  return {
+    inputTokens: countInputTokens(body, model),
+    source: "tokenizer",
+  };
+}
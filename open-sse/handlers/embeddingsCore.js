@@ -1,3 +1,9 @@
+import {
+  getResponseCacheKey,
+  getCachedResponse,
+  cacheResponse,
+  replayCachedResponse,
+} from "../services/responseCache.js";
 import {
   createErrorResult,
   parseUpstreamError,
@@ -191,6 +197,7 @@ function normalizeEmbeddingsResponse(responseBody, model, provider) {
  * @param {object} [options.log] - Logger
  * @param {function} [options.onCredentialsRefreshed] - Called when creds are refreshed
  * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @param {object} [options.responseCache] - { ttlMs, maxEntries, namespace } enables the response cache
  * @returns {Promise<{ success: boolean, response: Response, status?: number, error?: string }>}
  */
 export async function handleEmbeddingsCore({
@@ -200,6 +207,7 @@ export async function handleEmbeddingsCore({
   log,
   onCredentialsRefreshed,
   onRequestSuccess,
+  responseCache,
 }) {
   const { provider, model } = modelInfo;
 
@@ -237,6 +245,26 @@ export async function handleEmbeddingsCore({
     encodingFormat,
   );
 
+  // Embeddings are deterministic - replay identical requests from cache
+  let cacheKey = null;
+  if (responseCache) {
+    cacheKey = getResponseCacheKey({
+      kind: "embeddings",
+      provider,
+      request: requestBody,
+      namespace: responseCache.namespace,
+    });
+    const cached = getCachedResponse(cacheKey);
+    if (cached) {
+      log?.info?.("CACHE", `HIT embeddings ${provider}/${model}`);
+      return {
+        success: true,
+        cached: true,
+        response: replayCachedResponse(cached),
+      };
+    }
+  }
+
   log?.debug?.(
     "EMBEDDINGS",
     `${provider.toUpperCase()} | ${model} | input_type=${Array.isArray(input) ? `array[${input.length}]` : "string"}`,
@@ -342,13 +370,17 @@ export async function handleEmbeddingsCore({
     `Success | usage=${JSON.stringify(normalized.usage || {})}`,
   );
 
+  const response = new Response(JSON.stringify(normalized), {
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+
   return {
     success: true,
-    response: new Response(JSON.stringify(normalized), {
-      headers: {
-        "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
-      },
-    }),
+    response: cacheKey
+      ? cacheResponse(cacheKey, response, responseCache)
+      : response,
   };
 }
@@ -0,0 +1,548 @@
+import {
+  createErrorResult,
+  parseUpstreamError,
+  formatProviderError,
+} from "../utils/error.js";
+import { saveRequestUsage, appendRequestLog } from "@/lib/usageDb.js";
+import { HTTP_STATUS, PROVIDERS } from "../config/constants.js";
+import { refreshWithRetry } from "../services/tokenRefresh.js";
+import { getExecutor } from "../executors/index.js";
+
+/**
+ * OpenAI-compatible image endpoints on top of each provider's native API.
+ *
+ *   generation — /v1/images/generations (JSON prompt)
+ *   edit       — /v1/images/edits (multipart: image(s) + prompt)
+ *
+ * OpenAI and openai-compatible providers are passed through; Gemini uses
+ * generateContent (image models) or predict (Imagen); NanoBanana creates a
+ * task and is polled. Usage is recorded as the number of images, priced
+ * per image.
+ */
+
+export const IMAGE_TASKS = {
+  GENERATION: "generation",
+  EDIT: "edit",
+};
+
+export const IMAGE_RESPONSE_FORMATS = ["url", "b64_json"];
+
+const NANOBANANA_BASE_URL = "https://api.nanobananaapi.ai/api/v1/nanobanana";
+
+/** NanoBanana generates asynchronously: poll until done or timed out */
+const NANOBANANA_POLL_INTERVAL_MS = 2000;
+const NANOBANANA_TIMEOUT_MS = 5 * 60 * 1000;
+
+// NanoBanana task states (record-info successFlag)
+const NANOBANANA_STATUS = {
+  GENERATING: 0,
+  SUCCESS: 1,
+  CREATE_FAILED: 2,
+  GENERATE_FAILED: 3,
+};
+
+// Aspect ratios each API accepts in place of an OpenAI size
+const GEMINI_ASPECT_RATIOS = [
+  "1:1",
+  "2:3",
+  "3:2",
+  "3:4",
+  "4:3",
+  "4:5",
+  "5:4",
+  "9:16",
+  "16:9",
+  "21:9",
+];
+const IMAGEN_ASPECT_RATIOS = ["1:1", "3:4", "4:3", "9:16", "16:9"];
+
+function upstreamError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function isOpenAIProvider(provider) {
+  return (
+    provider === "openai" ||
+    provider?.startsWith?.("openai-compatible-") === true
+  );
+}
+
+function isImagenModel(model) {
+  return /^(models\/)?imagen-/.test(model);
+}
+
+/**
+ * Send a provider request with the executor's auth headers.
+ * A 401/403 refreshes the credentials once (like embeddings) and retries.
+ */
+async function fetchProvider(ctx, url, init) {
+  const { provider, model, credentials } = ctx;
+  const executor = getExecutor(provider);
+  const send = () => {
+    const headers = executor.buildHeaders(credentials, false);
+    // Let fetch set the multipart boundary
+    if (init.body instanceof FormData) delete headers["Content-Type"];
+    return fetch(url, {
+      ...init,
+      headers: { ...headers, ...init.headers },
+    });
+  };
+
+  let response;
+  try {
+    response = await send();
+
+    if (
+      response.status === HTTP_STATUS.UNAUTHORIZED ||
+      response.status === HTTP_STATUS.FORBIDDEN
+    ) {
+      const newCredentials = await refreshWithRetry(
+        () => executor.refreshCredentials(credentials, ctx.log),
+        3,
+        ctx.log,
+      );
+      if (newCredentials?.accessToken || newCredentials?.apiKey) {
+        ctx.log?.info?.(
+          "TOKEN",
+          `${provider.toUpperCase()} | refreshed for images`,
+        );
+        Object.assign(credentials, newCredentials);
+        await ctx.onCredentialsRefreshed?.(newCredentials);
+        response = await send();
+      }
+    }
+  } catch (error) {
+    throw upstreamError(
+      HTTP_STATUS.BAD_GATEWAY,
+      formatProviderError(error, provider, model, HTTP_STATUS.BAD_GATEWAY),
+    );
+  }
+
+  if (!response.ok) {
+    const { statusCode, message } = await parseUpstreamError(
+      response,
+      provider,
+    );
+    throw upstreamError(
+      statusCode,
+      formatProviderError(new Error(message), provider, model, statusCode),
+    );
+  }
+  return response;
+}
+
+/**
+ * Map an OpenAI size ("1792x1024") to the closest supported aspect ratio
+ * @param {string|null} size
+ * @param {string[]} [ratios] - Supported "w:h" ratios
+ * @returns {string|null} null when no size was requested or it is "auto"
+ */
+export function sizeToAspectRatio(size, ratios = GEMINI_ASPECT_RATIOS) {
+  const match = /^(\d+)x(\d+)$/.exec(size || "");
+  if (!match) return null;
+  const target = Math.log(Number(match[1]) / Number(match[2]));
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const ratio of ratios) {
+    const [w, h] = ratio.split(":").map(Number);
+    const distance = Math.abs(Math.log(w / h) - target);
+    if (distance < bestDistance) {
+      best = ratio;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// ── Image encoding ──────────────────────────────────────────────────────────
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function fileToInlineData(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  return {
+    inlineData: {
+      mimeType: file.type || "image/png",
+      data: bytesToBase64(bytes),
+    },
+  };
+}
+
+/**
+ * Convert one image to the requested response_format.
+ * Inline images become data: URLs; hosted images are downloaded for b64_json.
+ */
+async function toResponseFormat(image, format) {
+  const { revised_prompt: revisedPrompt } = image;
+  const extra = revisedPrompt ? { revised_prompt: revisedPrompt } : {};
+
+  if (format === "url" && !image.url) {
+    const mimeType = image.mimeType || "image/png";
+    return { url: `data:${mimeType};base64,${image.b64_json}`, ...extra };
+  }
+  if (format === "b64_json" && !image.b64_json) {
+    let response;
+    try {
+      response = await fetch(image.url);
+    } catch (error) {
+      throw upstreamError(
+        HTTP_STATUS.BAD_GATEWAY,
+        `Failed to download generated image: ${error.message}`,
+      );
+    }
+    if (!response.ok) {
+      throw upstreamError(
+        HTTP_STATUS.BAD_GATEWAY,
+        `Failed to download generated image: HTTP ${response.status}`,
+      );
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    return { b64_json: bytesToBase64(bytes), ...extra };
+  }
+
+  return image.url
+    ? { url: image.url, ...extra }
+    : { b64_json: image.b64_json, ...extra };
+}
+
+// ── OpenAI / openai-compatible (pass-through) ───────────────────────────────
+
+function getOpenAIImagesUrl(provider, credentials, path) {
+  const baseUrl =
+    provider === "openai"
+      ? "https://api.openai.com/v1"
+      : credentials?.providerSpecificData?.baseUrl ||
+        "https://api.openai.com/v1";
+  return `${baseUrl.replace(/\/$/, "")}/images/${path}`;
+}
+
+async function openAIImages(ctx, task) {
+  const { provider, model, input, credentials } = ctx;
+
+  let init;
+  if (task === IMAGE_TASKS.EDIT) {
+    const form = new FormData();
+    for (const [key, value] of input.form.entries()) {
+      if (key !== "model") form.append(key, value);
+    }
+    form.append("model", model);
+    init = { method: "POST", body: form };
+  } else {
+    init = {
+      method: "POST",
+      body: JSON.stringify({ ...input.body, model }),
+    };
+  }
+
+  const path = task === IMAGE_TASKS.EDIT ? "edits" : "generations";
+  const response = await fetchProvider(
+    ctx,
+    getOpenAIImagesUrl(provider, credentials, path),
+    init,
+  );
+  const body = await response.json();
+
+  return {
+    images: body.data || [],
+    usage: body.usage && {
+      prompt_tokens: body.usage.input_tokens || 0,
+      completion_tokens: body.usage.output_tokens || 0,
+    },
+  };
+}
+
+// ── Gemini ──────────────────────────────────────────────────────────────────
+
+async function geminiGenerateContent(ctx, task) {
+  const { provider, model, input } = ctx;
+  const parts = [];
+  if (task === IMAGE_TASKS.EDIT) {
+    for (const file of input.images) parts.push(await fileToInlineData(file));
+  }
+  parts.push({ text: input.prompt });
+
+  const aspectRatio = sizeToAspectRatio(input.size);
+  const request = {
+    contents: [{ role: "user", parts }],
+    generationConfig: {
+      responseModalities: ["TEXT", "IMAGE"],
+      ...(aspectRatio && { imageConfig: { aspectRatio } }),
+    },
+  };
+  const url = getExecutor(provider).buildUrl(model, false);
+
+  // One image per call: run n calls side by side
+  const results = await Promise.all(
+    Array.from({ length: input.n }, async () => {
+      const response = await fetchProvider(ctx, url, {
+        method: "POST",
+        body: JSON.stringify(request),
+      });
+      return response.json();
+    }),
+  );
+
+  const images = [];
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  for (const result of results) {
+    for (const part of result.candidates?.[0]?.content?.parts || []) {
+      if (part.inlineData?.data) {
+        images.push({
+          b64_json: part.inlineData.data,
+          mimeType: part.inlineData.mimeType,
+        });
+      }
+    }
+    usage.prompt_tokens += result.usageMetadata?.promptTokenCount || 0;
+    usage.completion_tokens += result.usageMetadata?.candidatesTokenCount || 0;
+  }
+  if (images.length === 0) {
+    throw upstreamError(
+      HTTP_STATUS.BAD_GATEWAY,
+      `[${provider}/${model}] No image in response`,
+    );
+  }
+  return { images, usage };
+}
+
+async function imagenPredict(ctx) {
+  const { provider, model, input } = ctx;
+  const aspectRatio = sizeToAspectRatio(input.size, IMAGEN_ASPECT_RATIOS);
+  const response = await fetchProvider(
+    ctx,
+    `${PROVIDERS.gemini.baseUrl}/${model.replace(/^models\//, "")}:predict`,
+    {
+      method: "POST",
+      body: JSON.stringify({
+        instances: [{ prompt: input.prompt }],
+        parameters: {
+          sampleCount: input.n,
+          ...(aspectRatio && { aspectRatio }),
+        },
+      }),
+    },
+  );
+  const body = await response.json();
+
+  const images = (body.predictions || [])
+    .filter(prediction => prediction.bytesBase64Encoded)
+    .map(prediction => ({
+      b64_json: prediction.bytesBase64Encoded,
+      mimeType: prediction.mimeType,
+    }));
+  if (images.length === 0) {
+    throw upstreamError(
+      HTTP_STATUS.BAD_GATEWAY,
+      `[${provider}/${model}] No image in response`,
+    );
+  }
+  return { images };
+}
+
+function geminiImages(ctx, task) {
+  return isImagenModel(ctx.model)
+    ? imagenPredict(ctx)
+    : geminiGenerateContent(ctx, task);
+}
+
+// ── NanoBanana ──────────────────────────────────────────────────────────────
+
+// NanoBanana wraps results as { code, msg, data }; code is HTTP-like
+async function readNanoBananaData(response, ctx) {
+  const body = await response.json();
+  if (body.code !== undefined && body.code !== 200) {
+    const status = body.code >= 400 && body.code < 600 ? body.code : 502;
+    throw upstreamError(
+      status,
+      `[${ctx.provider}/${ctx.model}] ${body.msg || "Request failed"}`,
+    );
+  }
+  return body.data || {};
+}
+
+async function nanoBananaGenerate(ctx) {
+  const { provider, model, input, credentials, pollIntervalMs } = ctx;
+  const request = {
+    prompt: input.prompt,
+    // sic: the API spells the task types this way
+    type: "TEXTTOIAMGE",
+    numImages: input.n,
+  };
+  const aspectRatio = sizeToAspectRatio(input.size);
+  if (aspectRatio) request.image_size = aspectRatio;
+  const callbackUrl = credentials?.providerSpecificData?.callbackUrl;
+  if (callbackUrl) request.callBackUrl = callbackUrl;
+
+  const created = await fetchProvider(ctx, `${NANOBANANA_BASE_URL}/generate`, {
+    method: "POST",
+    body: JSON.stringify(request),
+  });
+  const { taskId } = await readNanoBananaData(created, ctx);
+
+  const deadline = Date.now() + NANOBANANA_TIMEOUT_MS;
+  while (true) {
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    const polled = await fetchProvider(
+      ctx,
+      `${NANOBANANA_BASE_URL}/record-info?taskId=${encodeURIComponent(taskId)}`,
+      { method: "GET" },
+    );
+    const task = await readNanoBananaData(polled, ctx);
+
+    if (task.successFlag === NANOBANANA_STATUS.SUCCESS) {
+      const urls = [].concat(task.response?.resultImageUrl || []);
+      return { images: urls.map(url => ({ url })) };
+    }
+    if (
+      task.successFlag === NANOBANANA_STATUS.CREATE_FAILED ||
+      task.successFlag === NANOBANANA_STATUS.GENERATE_FAILED
+    ) {
+      throw upstreamError(
+        HTTP_STATUS.BAD_REQUEST,
+        `[${provider}/${model}] ${task.errorMessage || "Image generation failed"}`,
+      );
+    }
+    if (Date.now() > deadline) {
+      throw upstreamError(
+        HTTP_STATUS.GATEWAY_TIMEOUT,
+        `[${provider}/${model}] Image generation timed out`,
+      );
+    }
+  }
+}
+
+// ── Dispatch ────────────────────────────────────────────────────────────────
+
+/**
+ * Whether a provider (and model) can serve an image task.
+ * NanoBanana and Imagen only take text prompts, so they cannot edit uploads.
+ * @param {string} provider
+ * @param {string} task - generation / edit
+ * @param {string} [model]
+ */
+export function supportsImageTask(provider, task, model = "") {
+  if (isOpenAIProvider(provider)) return true;
+  if (provider === "gemini") {
+    return task === IMAGE_TASKS.GENERATION || !isImagenModel(model);
+  }
+  return provider === "nanobanana" && task === IMAGE_TASKS.GENERATION;
+}
+
+function runImageTask(task, ctx) {
+  if (isOpenAIProvider(ctx.provider)) return openAIImages(ctx, task);
+  if (ctx.provider === "gemini") return geminiImages(ctx, task);
+  return nanoBananaGenerate(ctx);
+}
+
+/**
+ * Core images handler: runs one request against one account and records usage.
+ *
+ * @param {object} options
+ * @param {string} options.task - IMAGE_TASKS value
+ * @param {object} options.input - { prompt, n, size, responseFormat } plus
+ *   generation: { body }; edit: { form, images: File[] }
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object} options.credentials - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @param {string} [options.connectionId]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.endpoint] - Client endpoint, recorded with usage
+ * @param {function} [options.onCredentialsRefreshed] - Called when creds are refreshed
+ * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @param {number} [options.pollIntervalMs] - NanoBanana poll interval
+ * @returns {Promise<{ success: boolean, response: Response, status?: number, error?: string }>}
+ */
+export async function handleImagesCore({
+  task,
+  input,
+  modelInfo,
+  credentials,
+  log,
+  connectionId,
+  apiKey,
+  endpoint,
+  onCredentialsRefreshed,
+  onRequestSuccess,
+  pollIntervalMs = NANOBANANA_POLL_INTERVAL_MS,
+}) {
+  const { provider, model } = modelInfo;
+
+  if (!supportsImageTask(provider, task, model)) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      `Model '${provider}/${model}' does not support image ${task}`,
+    );
+  }
+
+  log?.debug?.(
+    "IMAGES",
+    `${provider.toUpperCase()} | ${model} | ${task} | n=${input.n}`,
+  );
+
+  let data;
+  let usage;
+  try {
+    const result = await runImageTask(task, {
+      provider,
+      model,
+      input,
+      credentials,
+      log,
+      onCredentialsRefreshed,
+      pollIntervalMs,
+    });
+    usage = result.usage;
+    data = await Promise.all(
+      result.images.map(image => toResponseFormat(image, input.responseFormat)),
+    );
+  } catch (error) {
+    const status = error.status || HTTP_STATUS.BAD_GATEWAY;
+    log?.debug?.("IMAGES", `Provider error: ${error.message}`);
+    return createErrorResult(status, error.message);
+  }
+
+  if (onRequestSuccess) {
+    await onRequestSuccess();
+  }
+
+  const tokens = {
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    ...usage,
+    images: data.length,
+  };
+  log?.debug?.("IMAGES", `Success | images=${data.length}`);
+  saveRequestUsage({
+    provider,
+    model,
+    tokens,
+    connectionId: connectionId || undefined,
+    apiKey: apiKey || undefined,
+    endpoint: endpoint || null,
+  }).catch(() => {});
+  appendRequestLog({
+    model,
+    provider,
+    connectionId,
+    tokens,
+    status: "200 OK",
+  }).catch(() => {});
+
+  const body = { created: Math.floor(Date.now() / 1000), data };
+  return {
+    success: true,
+    response: new Response(JSON.stringify(body), {
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      },
+    }),
+  };
+}
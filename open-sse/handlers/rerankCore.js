@@ -0,0 +1,294 @@
+import {
+  createErrorResult,
+  parseUpstreamError,
+  formatProviderError,
+} from "../utils/error.js";
+import { saveRequestUsage, appendRequestLog } from "@/lib/usageDb.js";
+import { HTTP_STATUS } from "../config/constants.js";
+import { getExecutor } from "../executors/index.js";
+
+/**
+ * Cohere-style /v1/rerank on top of each provider's rerank API.
+ *
+ *   cohere                   — /v2/rerank (native shape)
+ *   nvidia                   — NIM /retrieval/{model}/reranking (passages + logits)
+ *   together / openai-compatible nodes — Jina-style /rerank
+ *
+ * Responses are normalized to { id, results: [{ index, relevance_score,
+ * document? }], meta: { billed_units } }. Usage is recorded as search units
+ * (Cohere) or input tokens (everything else).
+ */
+
+const COHERE_RERANK_URL = "https://api.cohere.com/v2/rerank";
+const NVIDIA_RETRIEVAL_URL = "https://ai.api.nvidia.com/v1/retrieval";
+const TOGETHER_RERANK_URL = "https://api.together.xyz/v1/rerank";
+
+/**
+ * Whether a provider exposes a rerank API
+ * @param {string} provider
+ */
+export function supportsRerank(provider) {
+  return (
+    provider === "cohere" ||
+    provider === "nvidia" ||
+    provider === "together" ||
+    provider?.startsWith?.("openai-compatible-") === true
+  );
+}
+
+/**
+ * Documents may be plain strings or Cohere v1 objects with a text field
+ * @returns {string[]|null} null when any document has no text
+ */
+function getDocumentTexts(documents) {
+  const texts = documents.map(doc =>
+    typeof doc === "string" ? doc : doc?.text,
+  );
+  return texts.every(text => typeof text === "string") ? texts : null;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Build the upstream request for a provider
+ * @returns {{ url: string, body: object, parse: (data: object) => { results, usage } }}
+ */
+function buildRerankRequest(provider, model, request, credentials) {
+  const { query, documents, topN, maxTokensPerDoc } = request;
+
+  if (provider === "cohere") {
+    return {
+      url: COHERE_RERANK_URL,
+      body: {
+        model,
+        query,
+        documents,
+        ...(topN && { top_n: topN }),
+        ...(maxTokensPerDoc && { max_tokens_per_doc: maxTokensPerDoc }),
+      },
+      parse: data => ({
+        results: data.results || [],
+        usage: { searches: data.meta?.billed_units?.search_units || 0 },
+      }),
+    };
+  }
+
+  if (provider === "nvidia") {
+    // NIM puts the model in the path with dots replaced ("llama-3.2" → "llama-3_2")
+    return {
+      url: `${NVIDIA_RETRIEVAL_URL}/${model.replace(/\./g, "_")}/reranking`,
+      body: {
+        model,
+        query: { text: query },
+        passages: documents.map(text => ({ text })),
+        truncate: "END",
+      },
+      parse: data => {
+        // Rankings come sorted by logit; map logits onto 0-1 like Cohere scores
+        const results = (data.rankings || []).map(ranking => ({
+          index: ranking.index,
+          relevance_score: sigmoid(ranking.logit),
+        }));
+        return {
+          results: topN ? results.slice(0, topN) : results,
+          usage: { prompt_tokens: data.usage?.total_tokens || 0 },
+        };
+      },
+    };
+  }
+
+  // Together and openai-compatible nodes share the Jina-style API
+  const url =
+    provider === "together"
+      ? TOGETHER_RERANK_URL
+      : `${(credentials?.providerSpecificData?.baseUrl || "https://api.openai.com/v1").replace(/\/$/, "")}/rerank`;
+  return {
+    url,
+    body: {
+      model,
+      query,
+      documents,
+      ...(topN && { top_n: topN }),
+      return_documents: false,
+    },
+    parse: data => ({
+      results: data.results || [],
+      usage: {
+        prompt_tokens:
+          data.usage?.prompt_tokens || data.usage?.total_tokens || 0,
+      },
+    }),
+  };
+}
+
+/**
+ * Core rerank handler — shared between Worker and SSE server.
+ *
+ * @param {object} options
+ * @param {object} options.body - Cohere rerank body { model, query, documents, top_n?, return_documents?, max_tokens_per_doc? }
+ * @param {object} options.modelInfo - { provider, model }
+ * @param {object} options.credentials - Provider credentials
+ * @param {object} [options.log] - Logger
+ * @param {string} [options.connectionId]
+ * @param {string} [options.apiKey]
+ * @param {string} [options.endpoint] - Client endpoint, recorded with usage
+ * @param {function} [options.onRequestSuccess] - Called on success (clear error state)
+ * @returns {Promise<{ success: boolean, response: Response, status?: number, error?: string }>}
+ */
+export async function handleRerankCore({
+  body,
+  modelInfo,
+  credentials,
+  log,
+  connectionId,
+  apiKey,
+  endpoint,
+  onRequestSuccess,
+}) {
+  const { provider, model } = modelInfo;
+
+  if (typeof body.query !== "string" || !body.query) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      "Missing required field: query",
+    );
+  }
+  if (!Array.isArray(body.documents) || body.documents.length === 0) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      "Missing required field: documents",
+    );
+  }
+  const documents = getDocumentTexts(body.documents);
+  if (!documents) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      "documents must be strings or objects with a text field",
+    );
+  }
+  const topN = body.top_n === undefined ? null : Number(body.top_n);
+  if (topN !== null && (!Number.isInteger(topN) || topN < 1)) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      "top_n must be a positive integer",
+    );
+  }
+
+  if (!supportsRerank(provider)) {
+    return createErrorResult(
+      HTTP_STATUS.BAD_REQUEST,
+      `Provider '${provider}' does not support rerank. Use cohere, nvidia, together, or an openai-compatible provider.`,
+    );
+  }
+
+  const request = buildRerankRequest(
+    provider,
+    model,
+    {
+      query: body.query,
+      documents,
+      topN,
+      maxTokensPerDoc: body.max_tokens_per_doc,
+    },
+    credentials,
+  );
+
+  log?.debug?.(
+    "RERANK",
+    `${provider.toUpperCase()} | ${model} | documents=${documents.length}`,
+  );
+
+  let providerResponse;
+  try {
+    providerResponse = await fetch(request.url, {
+      method: "POST",
+      headers: getExecutor(provider).buildHeaders(credentials, false),
+      body: JSON.stringify(request.body),
+    });
+  } catch (error) {
+    const errMsg = formatProviderError(
+      error,
+      provider,
+      model,
+      HTTP_STATUS.BAD_GATEWAY,
+    );
+    log?.debug?.("RERANK", `Fetch error: ${errMsg}`);
+    return createErrorResult(HTTP_STATUS.BAD_GATEWAY, errMsg);
+  }
+
+  if (!providerResponse.ok) {
+    const { statusCode, message } = await parseUpstreamError(
+      providerResponse,
+      provider,
+    );
+    const errMsg = formatProviderError(
+      new Error(message),
+      provider,
+      model,
+      statusCode,
+    );
+    log?.debug?.("RERANK", `Provider error: ${errMsg}`);
+    return createErrorResult(statusCode, errMsg);
+  }
+
+  let data;
+  try {
+    data = await providerResponse.json();
+  } catch {
+    return createErrorResult(
+      HTTP_STATUS.BAD_GATEWAY,
+      `Invalid JSON response from ${provider}`,
+    );
+  }
+
+  if (onRequestSuccess) {
+    await onRequestSuccess();
+  }
+
+  const { results, usage } = request.parse(data);
+  const normalized = {
+    id: data.id || crypto.randomUUID(),
+    results: results.map(result => ({
+      index: result.index,
+      relevance_score: result.relevance_score,
+      ...(body.return_documents && {
+        document: { text: documents[result.index] },
+      }),
+    })),
+    meta: {
+      billed_units: usage.searches
+        ? { search_units: usage.searches }
+        : { input_tokens: usage.prompt_tokens },
+    },
+  };
+
+  const tokens = { prompt_tokens: 0, completion_tokens: 0, ...usage };
+  log?.debug?.("RERANK", `Success | usage=${JSON.stringify(usage)}`);
+  saveRequestUsage({
+    provider,
+    model,
+    tokens,
+    connectionId: connectionId || undefined,
+    apiKey: apiKey || undefined,
+    endpoint: endpoint || null,
+  }).catch(() => {});
+  appendRequestLog({
+    model,
+    provider,
+    connectionId,
+    tokens,
+    status: "200 OK",
+  }).catch(() => {});
+
+  return {
+    success: true,
+    response: new Response(JSON.stringify(normalized), {
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      },
+    }),
+  };
+}
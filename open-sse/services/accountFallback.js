@@ -99,6 +99,26 @@ export function checkFallbackError(status, errorText, backoffLevel = 0) {
   return { shouldFallback: true, cooldownMs: COOLDOWN_MS.transient };
 }
 
+/**
+ * Check if an upstream error means the prompt exceeds the model's context
+ * window - the account is fine, only a larger model (or compaction) helps
+ * @param {number} status - HTTP status code
+ * @param {string} errorText - Error message text
+ */
+export function isContextLengthError(status, errorText) {
+  if (
+    status !== HTTP_STATUS.BAD_REQUEST &&
+    status !== HTTP_STATUS.PAYLOAD_TOO_LARGE
+  ) {
+    return false;
+  }
+  const errorStr =
+    typeof errorText === "string" ? errorText : JSON.stringify(errorText || "");
+  return /context[_ ]length|context window|prompt is too long|maximum context|input is too long|too many (input )?tokens|exceeds the (maximum )?(token|context)/i.test(
+    errorStr,
+  );
+}
+
 /**
  * Check if account is currently unavailable (cooldown not expired)
  */
@@ -0,0 +1,143 @@
+/**
+ * Per-API-key quotas: requests per minute, tokens per day, USD budget per month
+ */
+
+import { formatRetryAfter } from "./accountFallback.js";
+
+/**
+ * Supported limit fields on an API key's `limits` object.
+ * Missing, null or 0 means unlimited.
+ */
+export const API_KEY_LIMIT_FIELDS = [
+  "requestsPerMinute",
+  "tokensPerDay",
+  "monthlyBudgetUsd",
+];
+
+/** Sliding window for requestsPerMinute */
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Use global to share request windows across Next.js route modules
+if (!global._apiKeyRequestWindows) {
+  global._apiKeyRequestWindows = new Map();
+}
+const requestWindows = global._apiKeyRequestWindows;
+
+/**
+ * Validate an API key limits object
+ * @param {Object|null} limits - { requestsPerMinute?, tokensPerDay?, monthlyBudgetUsd? }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateApiKeyLimits(limits) {
+  if (limits === undefined || limits === null) return null;
+  if (typeof limits !== "object" || Array.isArray(limits)) {
+    return "Limits must be an object";
+  }
+
+  for (const [field, value] of Object.entries(limits)) {
+    if (!API_KEY_LIMIT_FIELDS.includes(field)) {
+      return `Unknown limit: ${field}`;
+    }
+    if (value === null) continue;
+    if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+      return `Invalid ${field}: must be a number >= 0`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop timestamps that fell out of the rate window
+ */
+function pruneWindow(key, now) {
+  const window = requestWindows.get(key);
+  if (!window) return [];
+  while (window.length > 0 && window[0] <= now - RATE_WINDOW_MS) {
+    window.shift();
+  }
+  if (window.length === 0) requestWindows.delete(key);
+  return window;
+}
+
+/**
+ * Record an accepted request for the requestsPerMinute window
+ * @param {string} key - API key
+ * @param {number} [now]
+ */
+export function recordApiKeyRequest(key, now = Date.now()) {
+  if (!key) return;
+  const window = pruneWindow(key, now);
+  window.push(now);
+  requestWindows.set(key, window);
+}
+
+/**
+ * Get requests seen for a key in the last minute
+ * @param {string} key - API key
+ * @param {number} [now]
+ * @returns {{ count: number, oldestAt: number|null }}
+ */
+export function getApiKeyRequestWindow(key, now = Date.now()) {
+  const window = pruneWindow(key, now);
+  return { count: window.length, oldestAt: window[0] ?? null };
+}
+
+/**
+ * Check a key's consumption against its limits
+ * @param {Object} options
+ * @param {Object|null} options.limits - API key limits
+ * @param {Object} options.usage - { requestsLastMinute, oldestRequestAt, tokensToday, costThisMonth }
+ * @param {number} [options.now]
+ * @returns {{ limit: string, message: string, retryAfter: string, retryAfterHuman: string }|null} null when allowed
+ */
+export function checkApiKeyLimits({ limits, usage, now = Date.now() }) {
+  if (!limits) return null;
+  const current = new Date(now);
+  let exceeded = null;
+
+  if (
+    limits.requestsPerMinute > 0 &&
+    usage.requestsLastMinute >= limits.requestsPerMinute
+  ) {
+    exceeded = {
+      limit: "requestsPerMinute",
+      message: `Rate limit exceeded: ${limits.requestsPerMinute} requests per minute`,
+      resetAt: (usage.oldestRequestAt ?? now) + RATE_WINDOW_MS,
+    };
+  } else if (
+    limits.tokensPerDay > 0 &&
+    usage.tokensToday >= limits.tokensPerDay
+  ) {
+    exceeded = {
+      limit: "tokensPerDay",
+      message: `Daily token limit exceeded: ${usage.tokensToday}/${limits.tokensPerDay} tokens`,
+      resetAt: new Date(
+        current.getFullYear(),
+        current.getMonth(),
+        current.getDate() + 1,
+      ).getTime(),
+    };
+  } else if (
+    limits.monthlyBudgetUsd > 0 &&
+    usage.costThisMonth >= limits.monthlyBudgetUsd
+  ) {
+    exceeded = {
+      limit: "monthlyBudgetUsd",
+      message: `Monthly budget exceeded: $${usage.costThisMonth.toFixed(2)}/$${limits.monthlyBudgetUsd.toFixed(2)}`,
+      resetAt: new Date(
+        current.getFullYear(),
+        current.getMonth() + 1,
+        1,
+      ).getTime(),
+    };
+  }
+
+  if (!exceeded) return null;
+  const retryAfter = new Date(exceeded.resetAt).toISOString();
+  return {
+    limit: exceeded.limit,
+    message: exceeded.message,
+    retryAfter,
+    retryAfterHuman: formatRetryAfter(retryAfter),
+  };
+}
@@ -0,0 +1,116 @@
+/**
+ * Per-API-key scope: allow/deny lists for providers, models and combos
+ *
+ * scope = {
+ *   providers: { allow: ["cc", "openai"], deny: [] },   // provider id or alias
+ *   models:    { allow: ["cc/claude-haiku-*"], deny: [] }, // globs on "alias/model"
+ *   combos:    { allow: ["cheap"], deny: [] },          // combo names (globs)
+ * }
+ *
+ * An empty or missing allow list allows everything; deny always wins.
+ */
+
+import { PROVIDER_ID_TO_ALIAS } from "../config/providerModels.js";
+
+export const API_KEY_SCOPE_SECTIONS = ["providers", "models", "combos"];
+
+const globCache = new Map();
+
+/**
+ * Convert a glob ("*" any chars, "?" single char) to an anchored RegExp
+ */
+function globToRegExp(pattern) {
+  if (!globCache.has(pattern)) {
+    const source = pattern
+      .split("")
+      .map(ch => {
+        if (ch === "*") return ".*";
+        if (ch === "?") return ".";
+        return ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+    globCache.set(pattern, new RegExp(`^${source}$`, "i"));
+  }
+  return globCache.get(pattern);
+}
+
+/**
+ * Check whether any candidate value matches a glob pattern
+ * @param {string} pattern - Glob pattern
+ * @param {string[]} values - Candidate values
+ */
+export function matchesGlob(pattern, values) {
+  const regex = globToRegExp(pattern);
+  return values.some(value => value && regex.test(value));
+}
+
+/**
+ * Apply one allow/deny section to a set of candidate names
+ */
+function isAllowedBySection(section, values) {
+  if (!section) return true;
+  if (section.deny?.some(pattern => matchesGlob(pattern, values))) {
+    return false;
+  }
+  if (!section.allow?.length) return true;
+  return section.allow.some(pattern => matchesGlob(pattern, values));
+}
+
+/**
+ * Validate an API key scope object
+ * @param {Object|null} scope
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateApiKeyScope(scope) {
+  if (scope === undefined || scope === null) return null;
+  if (typeof scope !== "object" || Array.isArray(scope)) {
+    return "Scope must be an object";
+  }
+
+  for (const [name, section] of Object.entries(scope)) {
+    if (!API_KEY_SCOPE_SECTIONS.includes(name)) {
+      return `Unknown scope section: ${name}`;
+    }
+    if (section === null) continue;
+    if (typeof section !== "object" || Array.isArray(section)) {
+      return `Scope ${name} must be an object { allow, deny }`;
+    }
+    for (const [listName, list] of Object.entries(section)) {
+      if (listName !== "allow" && listName !== "deny") {
+        return `Unknown scope list: ${name}.${listName}`;
+      }
+      if (!Array.isArray(list) || list.some(p => typeof p !== "string" || !p)) {
+        return `Scope ${name}.${listName} must be an array of patterns`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a combo may be used with a scope
+ * @param {Object|null} scope
+ * @param {string} comboName
+ */
+export function isComboInScope(scope, comboName) {
+  if (!scope) return true;
+  return isAllowedBySection(scope.combos, [comboName]);
+}
+
+/**
+ * Check whether a resolved provider model may be used with a scope
+ * @param {Object|null} scope
+ * @param {Object} target
+ * @param {string} target.provider - Provider id (e.g. "claude")
+ * @param {string} target.model - Provider model id
+ */
+export function isModelInScope(scope, { provider, model }) {
+  if (!scope) return true;
+  const alias = PROVIDER_ID_TO_ALIAS[provider] || provider;
+
+  if (!isAllowedBySection(scope.providers, [provider, alias])) return false;
+  return isAllowedBySection(scope.models, [
+    `${alias}/${model}`,
+    `${provider}/${model}`,
+  ]);
+}
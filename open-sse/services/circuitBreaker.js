@@ -0,0 +1,108 @@
+/**
+ * Per-connection circuit breaker layered on top of the account cooldown.
+ *
+ * - closed:    no cooldown recorded → normal traffic
+ * - open:      rateLimitedUntil is in the future → no traffic
+ * - half-open: cooldown expired but no success yet → exactly one probe
+ *              request is let through; concurrent requests skip the
+ *              connection until the probe succeeds (closed) or fails (open)
+ *
+ * Open/half-open are derived from the persisted rateLimitedUntil (cleared
+ * on the first success), probes in flight are tracked in memory.
+ */
+
+export const CIRCUIT_STATE = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+/** A probe that never reported back is considered lost after this */
+export const PROBE_TIMEOUT_MS = 60 * 1000;
+
+/** Retry-After suggested while every connection waits on a probe */
+export const PROBE_RETRY_AFTER_MS = 5 * 1000;
+
+// Use global to share probes across Next.js route modules
+if (!global._circuitProbes) {
+  global._circuitProbes = new Map();
+}
+const probes = global._circuitProbes;
+
+/**
+ * Get the breaker state of a connection
+ * @param {object} connection - Connection with rateLimitedUntil
+ * @param {number} [now]
+ * @returns {string} One of CIRCUIT_STATE
+ */
+export function getCircuitState(connection, now = Date.now()) {
+  if (!connection?.rateLimitedUntil) return CIRCUIT_STATE.CLOSED;
+  const until = new Date(connection.rateLimitedUntil).getTime();
+  if (!Number.isFinite(until)) return CIRCUIT_STATE.CLOSED;
+  return until > now ? CIRCUIT_STATE.OPEN : CIRCUIT_STATE.HALF_OPEN;
+}
+
+/**
+ * Check whether a probe is currently running for a connection
+ * @param {string} connectionId
+ * @param {number} [now]
+ */
+export function isProbeInFlight(connectionId, now = Date.now()) {
+  const startedAt = probes.get(connectionId);
+  if (!startedAt) return false;
+  if (now - startedAt < PROBE_TIMEOUT_MS) return true;
+  probes.delete(connectionId);
+  return false;
+}
+
+/**
+ * Check whether a request may be sent to a connection right now
+ * @param {object} connection - Connection with id and rateLimitedUntil
+ * @param {number} [now]
+ */
+export function canAttemptConnection(connection, now = Date.now()) {
+  const state = getCircuitState(connection, now);
+  if (state === CIRCUIT_STATE.CLOSED) return true;
+  if (state === CIRCUIT_STATE.OPEN) return false;
+  return !isProbeInFlight(connection.id, now);
+}
+
+/**
+ * Claim the probe slot for a selected half-open connection.
+ * No-op for closed connections.
+ * @param {object} connection - Selected connection
+ * @param {number} [now]
+ * @returns {boolean} true when this request is the probe
+ */
+export function acquireProbe(connection, now = Date.now()) {
+  if (getCircuitState(connection, now) !== CIRCUIT_STATE.HALF_OPEN) {
+    return false;
+  }
+  probes.set(connection.id, now);
+  return true;
+}
+
+/**
+ * Release the probe slot once its outcome (success or failure) is recorded
+ * @param {string} connectionId
+ */
+export function releaseProbe(connectionId) {
+  probes.delete(connectionId);
+}
+
+/**
+ * Get breaker details for display
+ * @param {object} connection
+ * @param {number} [now]
+ * @returns {{ state: string, openUntil: string|null, probeInFlight: boolean }}
+ */
+export function getCircuitInfo(connection, now = Date.now()) {
+  const state = getCircuitState(connection, now);
+  return {
+    state,
+    openUntil:
+      state === CIRCUIT_STATE.OPEN ? connection.rateLimitedUntil : null,
+    probeInFlight:
+      state === CIRCUIT_STATE.HALF_OPEN && isProbeInFlight(connection.id, now),
+  };
+}
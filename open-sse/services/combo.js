@@ -4,14 +4,95 @@
 
 import { checkFallbackError, formatRetryAfter } from "./accountFallback.js";
 import { unavailableResponse } from "../utils/error.js";
+import { recordComboFallback } from "./metrics.js";
 
 /**
- * Get combo models from combos data
+ * Combo routing strategies
+ * - ordered: walk models in list order (classic fallback)
+ * - weighted: weighted random pick, remaining models as fallback
+ * - round-robin: rotate the starting model on every request
+ * - latency: lowest observed p50 latency first
+ * - cost: cheapest model first (by pricing input + output rate)
+ */
+export const COMBO_STRATEGIES = {
+  ORDERED: "ordered",
+  WEIGHTED: "weighted",
+  ROUND_ROBIN: "round-robin",
+  LATENCY: "latency",
+  COST: "cost",
+};
+
+/** Max latency samples kept per model for p50 calculation */
+const LATENCY_SAMPLE_SIZE = 50;
+
+// Use global to share combo routing state across Next.js route modules
+if (!global._comboRoutingState) {
+  global._comboRoutingState = { latency: new Map(), rotation: new Map() };
+}
+const routingState = global._comboRoutingState;
+
+/** Max models fired at once in race mode */
+const MAX_RACE_COUNT = 5;
+
+/**
+ * Validate combo routing fields (strategy, weights, race)
+ * @param {Object} data - { strategy?, weights?, race? }
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateComboRouting({ strategy, weights, race } = {}) {
+  if (
+    strategy !== undefined &&
+    !Object.values(COMBO_STRATEGIES).includes(strategy)
+  ) {
+    return `Invalid strategy. Use one of: ${Object.values(COMBO_STRATEGIES).join(", ")}`;
+  }
+
+  if (weights !== undefined) {
+    if (!weights || typeof weights !== "object" || Array.isArray(weights)) {
+      return "Weights must be an object of model → weight";
+    }
+    for (const [model, weight] of Object.entries(weights)) {
+      if (
+        typeof weight !== "number" ||
+        !Number.isFinite(weight) ||
+        weight < 0
+      ) {
+        return `Invalid weight for ${model}: must be a number >= 0`;
+      }
+    }
+  }
+
+  if (race !== undefined && race !== null) {
+    if (typeof race !== "object" || Array.isArray(race)) {
+      return "Race must be an object { count, hedgeDelayMs }";
+    }
+    const { count, hedgeDelayMs } = race;
+    if (
+      count !== undefined &&
+      (!Number.isInteger(count) || count < 0 || count > MAX_RACE_COUNT)
+    ) {
+      return `Race count must be an integer between 0 and ${MAX_RACE_COUNT}`;
+    }
+    if (
+      hedgeDelayMs !== undefined &&
+      (typeof hedgeDelayMs !== "number" ||
+        !Number.isFinite(hedgeDelayMs) ||
+        hedgeDelayMs < 0)
+    ) {
+      return "Race hedgeDelayMs must be a number >= 0";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get combo from combos data
  * @param {string} modelStr - Model string to check
  * @param {Array|Object} combosData - Array of combos or object with combos
- * @returns {string[]|null} Array of models or null if not a combo
+ * @returns {Object|null} Combo object or null if not a combo
  */
-export function getComboModelsFromData(modelStr, combosData) {
+export function getComboFromData(modelStr, combosData) {
   // Don't check if it's in provider/model format
   if (modelStr.includes("/")) return null;
 
@@ -22,16 +103,419 @@ export function getComboModelsFromData(modelStr, combosData) {
 
   const combo = combos.find(c => c.name === modelStr);
   if (combo && combo.models && combo.models.length > 0) {
-    return combo.models;
+    return combo;
   }
   return null;
 }
 
+/**
+ * Get combo models from combos data
+ * @param {string} modelStr - Model string to check
+ * @param {Array|Object} combosData - Array of combos or object with combos
+ * @returns {string[]|null} Array of models or null if not a combo
+ */
+export function getComboModelsFromData(modelStr, combosData) {
+  return getComboFromData(modelStr, combosData)?.models || null;
+}
+
+/**
+ * Record an observed latency sample for a combo model
+ * @param {string} modelStr - Model string (e.g. "cc/claude-sonnet-4-5")
+ * @param {number} latencyMs - Time until the model returned a response
+ */
+export function recordComboLatency(modelStr, latencyMs) {
+  if (!modelStr || !Number.isFinite(latencyMs)) return;
+  const samples = routingState.latency.get(modelStr) || [];
+  samples.push(latencyMs);
+  if (samples.length > LATENCY_SAMPLE_SIZE) samples.shift();
+  routingState.latency.set(modelStr, samples);
+}
+
+/**
+ * Get observed p50 latency for a combo model
+ * @param {string} modelStr - Model string
+ * @returns {number|null} Median latency in ms, or null if never observed
+ */
+export function getComboLatencyP50(modelStr) {
+  const samples = routingState.latency.get(modelStr);
+  if (!samples || samples.length === 0) return null;
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[mid - 1] + sorted[mid]) / 2
+    : sorted[mid];
+}
+
+/**
+ * Get weight for a combo model (defaults to 1)
+ */
+function getModelWeight(combo, modelStr) {
+  const weight = Number(combo.weights?.[modelStr]);
+  return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Weighted random ordering (sampling without replacement).
+ * Models with weight 0 never go first but stay available as fallback.
+ */
+function orderByWeight(combo, models) {
+  const pool = models.filter(m => getModelWeight(combo, m) > 0);
+  const zeroWeight = models.filter(m => getModelWeight(combo, m) === 0);
+  const ordered = [];
+
+  while (pool.length > 0) {
+    const total = pool.reduce((sum, m) => sum + getModelWeight(combo, m), 0);
+    let pick = Math.random() * total;
+    let index = pool.length - 1;
+    for (let i = 0; i < pool.length; i++) {
+      pick -= getModelWeight(combo, pool[i]);
+      if (pick < 0) {
+        index = i;
+        break;
+      }
+    }
+    ordered.push(pool.splice(index, 1)[0]);
+  }
+
+  return [...ordered, ...zeroWeight];
+}
+
+/**
+ * Rotate the starting model on every call for this combo
+ */
+function orderByRotation(combo, models) {
+  const key = combo.id || combo.name;
+  const offset = (routingState.rotation.get(key) || 0) % models.length;
+  routingState.rotation.set(key, offset + 1);
+  return [...models.slice(offset), ...models.slice(0, offset)];
+}
+
+/**
+ * Order by observed p50 latency. Models without samples go first so
+ * they get measured; ties keep list order.
+ */
+function orderByLatency(models) {
+  return models
+    .map((model, index) => ({
+      model,
+      index,
+      p50: getComboLatencyP50(model) ?? -1,
+    }))
+    .sort((a, b) => a.p50 - b.p50 || a.index - b.index)
+    .map(entry => entry.model);
+}
+
+/**
+ * Order by pricing (input + output $/1M). Unpriced models go last.
+ */
+async function orderByCost(models, getModelPricing) {
+  const priced = await Promise.all(
+    models.map(async (model, index) => {
+      let pricing = null;
+      try {
+        pricing = getModelPricing ? await getModelPricing(model) : null;
+      } catch {
+        // Treat lookup failures as unpriced
+      }
+      const cost = pricing
+        ? (pricing.input || 0) + (pricing.output || 0)
+        : Infinity;
+      return { model, index, cost };
+    }),
+  );
+  return priced
+    .sort((a, b) => a.cost - b.cost || a.index - b.index)
+    .map(entry => entry.model);
+}
+
+/**
+ * Order combo models according to the combo's routing strategy.
+ * The first model receives the request, the rest act as fallbacks.
+ * @param {Object} combo - Combo object { name, models, strategy?, weights? }
+ * @param {Object} [options]
+ * @param {Function} [options.getModelPricing] - async (modelStr) => { input, output } | null
+ * @returns {Promise<string[]>} Ordered model list
+ */
+export async function orderComboModels(combo, { getModelPricing } = {}) {
+  const models = combo?.models || [];
+  if (models.length <= 1) return [...models];
+
+  switch (combo.strategy) {
+    case COMBO_STRATEGIES.WEIGHTED:
+      return orderByWeight(combo, models);
+    case COMBO_STRATEGIES.ROUND_ROBIN:
+      return orderByRotation(combo, models);
+    case COMBO_STRATEGIES.LATENCY:
+      return orderByLatency(models);
+    case COMBO_STRATEGIES.COST:
+      return orderByCost(models, getModelPricing);
+    default:
+      return [...models];
+  }
+}
+
+/**
+ * Extract error text and retryAfter from a failed model response
+ * @param {Response} result - Non-2xx response
+ * @returns {Promise<{ errorText: string, retryAfter: string|null }>}
+ */
+async function readComboError(result) {
+  let errorText = result.statusText || "";
+  let retryAfter = null;
+  try {
+    const errorBody = await result.clone().json();
+    errorText =
+      errorBody?.error?.message ||
+      errorBody?.error ||
+      errorBody?.message ||
+      errorText;
+    retryAfter = errorBody?.retryAfter || null;
+  } catch {
+    // Ignore JSON parse errors
+  }
+
+  // Normalize error text to string (Worker-safe)
+  if (typeof errorText !== "string") {
+    try {
+      errorText = JSON.stringify(errorText);
+    } catch {
+      errorText = String(errorText);
+    }
+  }
+
+  return { errorText, retryAfter };
+}
+
+/**
+ * Get racing config for a combo
+ * @returns {{ count: number, hedgeDelayMs: number }|null} null when racing is off
+ */
+export function getComboRaceConfig(combo) {
+  const count = Math.floor(Number(combo?.race?.count) || 0);
+  if (count < 2 || (combo?.models?.length || 0) < 2) return null;
+  const hedgeDelayMs = Math.max(0, Number(combo.race.hedgeDelayMs) || 0);
+  return { count: Math.min(count, combo.models.length), hedgeDelayMs };
+}
+
+/**
+ * Race the same request against several models and keep the first one that
+ * produces a body chunk (first token for streams, full body for JSON).
+ * Model N starts after N * hedgeDelayMs, or right away when an earlier
+ * attempt fails. Losers still waiting for response headers are aborted
+ * through their signal, losing responses are cancelled; both go through
+ * chatCore (upstream abort + usage recorded as cancelled).
+ * @param {Object} options
+ * @param {Object} options.body - Request body
+ * @param {string[]} options.models - Models to race (in launch order)
+ * @param {number} options.hedgeDelayMs - Delay between launches
+ * @param {Function} options.handleSingleModel - (body, modelStr, signal) => Promise<Response>
+ * @param {Object} options.log - Logger object
+ * @returns {Promise<{ response?: Response, failures: Array<{ modelStr, result?, errorText, retryAfter, status }> }>}
+ */
+export function raceComboModels({
+  body,
+  models,
+  hedgeDelayMs = 0,
+  handleSingleModel,
+  log,
+}) {
+  return new Promise(resolve => {
+    const failures = [];
+    const timers = new Map();
+    const waiting = new Map();
+    const inFlight = new Map();
+    let winner = null;
+    let launched = 0;
+    let settled = 0;
+
+    const cancelLoser = (modelStr, reader, response) => {
+      log.info("COMBO", `Race lost: ${modelStr}, cancelling`);
+      const cancel = reader
+        ? reader.cancel("race_lost")
+        : response?.body?.cancel("race_lost");
+      Promise.resolve(cancel).catch(() => {});
+    };
+
+    const finishIfDone = () => {
+      if (winner || settled < models.length) return;
+      resolve({ failures });
+    };
+
+    const launchNextNow = () => {
+      const [index, timer] = timers.entries().next().value || [];
+      if (timer === undefined) return;
+      clearTimeout(timer);
+      timers.delete(index);
+      launch(index);
+    };
+
+    const fail = failure => {
+      failures.push(failure);
+      settled++;
+      if (!winner) launchNextNow();
+      finishIfDone();
+    };
+
+    const launch = async index => {
+      if (winner) {
+        settled++;
+        return;
+      }
+      launched++;
+      const modelStr = models[index];
+      const startTime = Date.now();
+      log.info(
+        "COMBO",
+        `Racing model ${index + 1}/${models.length}: ${modelStr}`,
+      );
+
+      const abortController = new AbortController();
+      waiting.set(modelStr, abortController);
+      let result;
+      try {
+        result = await handleSingleModel(
+          body,
+          modelStr,
+          abortController.signal,
+        );
+      } catch (error) {
+        waiting.delete(modelStr);
+        if (winner) {
+          settled++;
+          return;
+        }
+        fail({
+          modelStr,
+          errorText: error.message || String(error),
+          retryAfter: null,
+          status: 500,
+        });
+        return;
+      }
+
+      waiting.delete(modelStr);
+      // Lost while waiting for headers (aborted) or while reading the body
+      if (winner) {
+        if (!abortController.signal.aborted) {
+          cancelLoser(modelStr, null, result);
+        }
+        settled++;
+        return;
+      }
+
+      if (!result.ok) {
+        const { errorText, retryAfter } = await readComboError(result);
+        log.warn("COMBO", `Race model ${modelStr} failed`, {
+          status: result.status,
+        });
+        fail({
+          modelStr,
+          result,
+          errorText,
+          retryAfter,
+          status: result.status,
+        });
+        return;
+      }
+
+      // Wait for the first chunk - that's what the client would see first
+      const reader = result.body?.getReader();
+      let first = { done: true, value: undefined };
+      inFlight.set(modelStr, reader);
+      try {
+        if (reader) first = await reader.read();
+      } catch (error) {
+        inFlight.delete(modelStr);
+        if (winner) {
+          settled++;
+          return;
+        }
+        fail({
+          modelStr,
+          errorText: error.message || String(error),
+          retryAfter: null,
+          status: 502,
+        });
+        return;
+      }
+
+      inFlight.delete(modelStr);
+      settled++;
+      // Already cancelled when the winner was picked
+      if (winner) return;
+
+      winner = modelStr;
+      for (const timer of timers.values()) clearTimeout(timer);
+      settled += timers.size;
+      timers.clear();
+      for (const [loser, loserReader] of inFlight) {
+        cancelLoser(loser, loserReader, null);
+      }
+      inFlight.clear();
+      for (const [loser, loserController] of waiting) {
+        log.info("COMBO", `Race lost: ${loser}, aborting upstream request`);
+        loserController.abort("race_lost");
+      }
+      waiting.clear();
+      recordComboLatency(modelStr, Date.now() - startTime);
+      log.info(
+        "COMBO",
+        `Race won by ${modelStr} (${Date.now() - startTime}ms, ${launched} started)`,
+      );
+
+      const stream = new ReadableStream({
+        start(controller) {
+          if (first.done) controller.close();
+          else controller.enqueue(first.value);
+        },
+        async pull(controller) {
+          if (first.done) return;
+          try {
+            const { done, value } = await reader.read();
+            if (done) controller.close();
+            else controller.enqueue(value);
+          } catch (error) {
+            controller.error(error);
+          }
+        },
+        cancel(reason) {
+          return reader?.cancel(reason);
+        },
+      });
+
+      resolve({
+        response: new Response(stream, {
+          status: result.status,
+          statusText: result.statusText,
+          headers: result.headers,
+        }),
+        failures,
+      });
+    };
+
+    models.forEach((_, index) => {
+      if (index === 0 || hedgeDelayMs <= 0) {
+        launch(index);
+        return;
+      }
+      timers.set(
+        index,
+        setTimeout(() => {
+          timers.delete(index);
+          launch(index);
+        }, index * hedgeDelayMs),
+      );
+    });
+  });
+}
+
 /**
  * Handle combo chat with fallback
  * @param {Object} options
  * @param {Object} options.body - Request body
  * @param {string[]} options.models - Array of model strings to try
+ * @param {Object} [options.combo] - Combo object; when set, models are ordered by its strategy
+ * @param {Function} [options.getModelPricing] - async (modelStr) => pricing, used by "cost" strategy
  * @param {Function} options.handleSingleModel - Function to handle single model: (body, modelStr) => Promise<Response>
  * @param {Object} options.log - Logger object
  * @returns {Promise<Response>}
@@ -39,58 +523,84 @@ export function getComboModelsFromData(modelStr, combosData) {
 export async function handleComboChat({
   body,
   models,
+  combo,
+  getModelPricing,
   handleSingleModel,
   log,
 }) {
   let lastError = null;
   let earliestRetryAfter = null;
   let lastStatus = null;
+  let startIndex = 0;
 
-  for (let i = 0; i < models.length; i++) {
+  if (combo) {
+    models = await orderComboModels(combo, { getModelPricing });
+    if (combo.strategy && combo.strategy !== COMBO_STRATEGIES.ORDERED) {
+      log.info("COMBO", `Strategy ${combo.strategy}: ${models.join(" → ")}`);
+    }
+  }
+
+  // Track earliest retryAfter across all combo models
+  const trackRetryAfter = retryAfter => {
+    if (
+      retryAfter &&
+      (!earliestRetryAfter ||
+        new Date(retryAfter) < new Date(earliestRetryAfter))
+    ) {
+      earliestRetryAfter = retryAfter;
+    }
+  };
+
+  // Race mode: fire the first N models, remaining ones stay sequential fallbacks
+  const race = getComboRaceConfig(combo);
+  if (race) {
+    const racers = models.slice(0, race.count);
+    log.info(
+      "COMBO",
+      `Racing ${racers.length} models (hedge delay ${race.hedgeDelayMs}ms)`,
+    );
+    const { response, failures } = await raceComboModels({
+      body,
+      models: racers,
+      hedgeDelayMs: race.hedgeDelayMs,
+      handleSingleModel,
+      log,
+    });
+    if (response) return response;
+
+    for (const failure of failures) {
+      trackRetryAfter(failure.retryAfter);
+      if (
+        failure.result &&
+        !checkFallbackError(failure.status, failure.errorText).shouldFallback
+      ) {
+        return failure.result;
+      }
+      recordComboFallback(combo?.name, failure.modelStr);
+      lastError = failure.errorText || String(failure.status);
+      if (!lastStatus) lastStatus = failure.status;
+    }
+    startIndex = racers.length;
+  }
+
+  for (let i = startIndex; i < models.length; i++) {
     const modelStr = models[i];
     log.info("COMBO", `Trying model ${i + 1}/${models.length}: ${modelStr}`);
 
     try {
+      const startTime = Date.now();
       const result = await handleSingleModel(body, modelStr);
 
       // Success (2xx) - return response
       if (result.ok) {
+        recordComboLatency(modelStr, Date.now() - startTime);
         log.info("COMBO", `Model ${modelStr} succeeded`);
         return result;
       }
 
       // Extract error info from response
-      let errorText = result.statusText || "";
-      let retryAfter = null;
-      try {
-        const errorBody = await result.clone().json();
-        errorText =
-          errorBody?.error?.message ||
-          errorBody?.error ||
-          errorBody?.message ||
-          errorText;
-        retryAfter = errorBody?.retryAfter || null;
-      } catch {
-        // Ignore JSON parse errors
-      }
-
-      // Track earliest retryAfter across all combo models
-      if (
-        retryAfter &&
-        (!earliestRetryAfter ||
-          new Date(retryAfter) < new Date(earliestRetryAfter))
-      ) {
-        earliestRetryAfter = retryAfter;
-      }
-
-      // Normalize error text to string (Worker-safe)
-      if (typeof errorText !== "string") {
-        try {
-          errorText = JSON.stringify(errorText);
-        } catch {
-          errorText = String(errorText);
-        }
-      }
+      const { errorText, retryAfter } = await readComboError(result);
+      trackRetryAfter(retryAfter);
 
       // Check if should fallback to next model
       const { shouldFallback } = checkFallbackError(result.status, errorText);
@@ -103,6 +613,7 @@ export async function handleComboChat({
       }
 
       // Fallback to next model
+      recordComboFallback(combo?.name, modelStr);
       lastError = errorText || String(result.status);
       if (!lastStatus) lastStatus = result.status;
       log.warn("COMBO", `Model ${modelStr} failed, trying next`, {
@@ -110,6 +621,7 @@ export async function handleComboChat({
       });
     } catch (error) {
       // Catch unexpected exceptions to ensure fallback continues
+      recordComboFallback(combo?.name, modelStr);
       lastError = error.message || String(error);
       if (!lastStatus) lastStatus = 500;
       log.warn("COMBO", `Model ${modelStr} threw error, trying next`, {
@@ -0,0 +1,395 @@
+/**
+ * Context-window-aware compaction.
+ *
+ * Before a request is sent, its size is estimated against the target model's
+ * context window (providerModels.js / models.dev). When it does not fit, the
+ * configured strategy makes room:
+ *
+ * - drop-oldest:        remove the oldest conversation turns
+ * - trim-tool-results:  shorten old tool outputs, then drop turns if needed
+ * - summarize:          replace the oldest turns with a summary from a cheap
+ *                       model (added to the system prompt)
+ *
+ * System prompts and the latest turn are always kept. Works on the client
+ * body (OpenAI, Claude, Responses and Gemini shapes) before translation.
+ */
+
+import { countInputTokens } from "./tokenCounter.js";
+import { FORMATS } from "../translator/formats.js";
+
+/** Response header listing what was applied, e.g. "fallback, drop-oldest" */
+export const CONTEXT_STRATEGY_HEADER = "X-Context-Strategy";
+
+export const CONTEXT_STRATEGIES = [
+  "off",
+  "drop-oldest",
+  "trim-tool-results",
+  "summarize",
+];
+
+/** Output headroom kept free when the request does not ask for max tokens */
+export const DEFAULT_RESERVE_TOKENS = 4096;
+
+/** Old tool outputs are cut to this many characters */
+const TOOL_RESULT_KEEP_CHARS = 1000;
+
+/**
+ * Estimate input tokens: tokenizer count (when registered) with inline
+ * images / files at a flat cost (see tokenCounter.js)
+ * @param {object} body
+ * @returns {number}
+ */
+export function estimateContextTokens(body) {
+  return countInputTokens(body ?? {});
+}
+
+/**
+ * Output tokens to keep free: the requested max output, or the default reserve
+ * @param {object} body
+ * @param {number} [reserveTokens]
+ */
+export function getReservedOutputTokens(
+  body,
+  reserveTokens = DEFAULT_RESERVE_TOKENS,
+) {
+  const requested =
+    body?.max_tokens ??
+    body?.max_completion_tokens ??
+    body?.max_output_tokens ??
+    body?.generationConfig?.maxOutputTokens ??
+    body?.request?.generationConfig?.maxOutputTokens;
+  return Math.max(Number(requested) || 0, reserveTokens);
+}
+
+/**
+ * Tokens a request needs: estimated input plus reserved output
+ * @param {object} body
+ * @param {number} [reserveTokens]
+ */
+export function getRequiredContextTokens(body, reserveTokens) {
+  return (
+    estimateContextTokens(body) + getReservedOutputTokens(body, reserveTokens)
+  );
+}
+
+/**
+ * Check whether a request fits a context window
+ * @param {object} body
+ * @param {number|null} contextWindow - null = unknown (always fits)
+ * @param {number} [reserveTokens]
+ */
+export function fitsContextWindow(body, contextWindow, reserveTokens) {
+  if (!contextWindow) return true;
+  return getRequiredContextTokens(body, reserveTokens) <= contextWindow;
+}
+
+/**
+ * Locate the conversation array of a client body
+ * @returns {{ container: object, key: string }|null}
+ */
+function findConversation(body) {
+  if (Array.isArray(body.messages)) return { container: body, key: "messages" };
+  if (Array.isArray(body.input)) return { container: body, key: "input" };
+  if (Array.isArray(body.contents)) return { container: body, key: "contents" };
+  if (Array.isArray(body.request?.contents)) {
+    return { container: body.request, key: "contents" };
+  }
+  return null;
+}
+
+/**
+ * Copy a body with a new conversation array (nested Gemini envelope aware)
+ */
+function withConversation(body, key, items) {
+  if (Array.isArray(body.request?.contents) && !Array.isArray(body[key])) {
+    return { ...body, request: { ...body.request, [key]: items } };
+  }
+  return { ...body, [key]: items };
+}
+
+function isSystemItem(item) {
+  return item?.role === "system" || item?.role === "developer";
+}
+
+/**
+ * A turn starts at a user message that is not only carrying tool results,
+ * so tool calls are never separated from their outputs
+ */
+function isTurnStart(item) {
+  if (item?.role !== "user") return false;
+  const parts = Array.isArray(item.content) ? item.content : item.parts;
+  if (!Array.isArray(parts) || parts.length === 0) return true;
+  return !parts.every(
+    part => part?.type === "tool_result" || part?.functionResponse,
+  );
+}
+
+/**
+ * Split conversation items into kept system items and turns
+ * @returns {{ system: object[], turns: object[][] }}
+ */
+function splitTurns(items) {
+  const system = [];
+  const turns = [];
+  for (const item of items) {
+    if (isSystemItem(item)) {
+      system.push(item);
+    } else if (turns.length === 0 || isTurnStart(item)) {
+      turns.push([item]);
+    } else {
+      turns[turns.length - 1].push(item);
+    }
+  }
+  return { system, turns };
+}
+
+/**
+ * Drop the oldest turns until the request fits (the last turn is kept)
+ * @returns {{ body: object, dropped: object[] }}
+ */
+export function dropOldestTurns(body, contextWindow, reserveTokens) {
+  const conversation = findConversation(body);
+  if (!conversation) return { body, dropped: [] };
+
+  const { system, turns } = splitTurns(
+    conversation.container[conversation.key],
+  );
+  const dropped = [];
+  let current = body;
+  while (
+    turns.length > 1 &&
+    !fitsContextWindow(current, contextWindow, reserveTokens)
+  ) {
+    dropped.push(...turns.shift());
+    current = withConversation(body, conversation.key, [
+      ...system,
+      ...turns.flat(),
+    ]);
+  }
+  return { body: current, dropped };
+}
+
+/**
+ * Shorten a tool output value (string, text parts or JSON object)
+ */
+function trimValue(value) {
+  if (typeof value === "string") {
+    if (value.length <= TOOL_RESULT_KEEP_CHARS) return value;
+    return `${value.slice(0, TOOL_RESULT_KEEP_CHARS)}\n[... ${value.length - TOOL_RESULT_KEEP_CHARS} characters trimmed]`;
+  }
+  if (Array.isArray(value)) {
+    return value.map(part =>
+      part?.type === "text" ? { ...part, text: trimValue(part.text) } : part,
+    );
+  }
+  if (value && typeof value === "object") {
+    const json = JSON.stringify(value);
+    return json.length > TOOL_RESULT_KEEP_CHARS
+      ? { content: trimValue(json) }
+      : value;
+  }
+  return value;
+}
+
+/**
+ * Shorten a single conversation item if it carries tool output
+ */
+function trimToolItem(item) {
+  // OpenAI tool message
+  if (item.role === "tool")
+    return { ...item, content: trimValue(item.content) };
+  // Responses function_call_output
+  if (item.type === "function_call_output") {
+    return { ...item, output: trimValue(item.output) };
+  }
+  // Claude tool_result blocks
+  if (Array.isArray(item.content)) {
+    return {
+      ...item,
+      content: item.content.map(part =>
+        part?.type === "tool_result"
+          ? { ...part, content: trimValue(part.content) }
+          : part,
+      ),
+    };
+  }
+  // Gemini functionResponse parts
+  if (Array.isArray(item.parts)) {
+    return {
+      ...item,
+      parts: item.parts.map(part =>
+        part?.functionResponse
+          ? {
+              ...part,
+              functionResponse: {
+                ...part.functionResponse,
+                response: trimValue(part.functionResponse.response),
+              },
+            }
+          : part,
+      ),
+    };
+  }
+  return item;
+}
+
+/**
+ * Shorten tool outputs in all turns but the latest
+ * @returns {{ body: object, trimmed: boolean }}
+ */
+export function trimToolResults(body) {
+  const conversation = findConversation(body);
+  if (!conversation) return { body, trimmed: false };
+
+  const { system, turns } = splitTurns(
+    conversation.container[conversation.key],
+  );
+  const last = turns.pop() || [];
+  const older = turns.flat().map(trimToolItem);
+  const next = withConversation(body, conversation.key, [
+    ...system,
+    ...older,
+    ...last,
+  ]);
+  return {
+    body: next,
+    trimmed: JSON.stringify(next) !== JSON.stringify(body),
+  };
+}
+
+/**
+ * Render conversation items as plain text for summarization
+ * @param {object[]} items
+ * @returns {string}
+ */
+export function renderTranscript(items) {
+  const textOf = value => {
+    if (typeof value === "string") return value;
+    if (Array.isArray(value)) {
+      return value
+        .map(part => part?.text ?? textOf(part?.content ?? part?.output))
+        .filter(Boolean)
+        .join("\n");
+    }
+    return value ? JSON.stringify(value) : "";
+  };
+  return items
+    .map(item => {
+      const role = item.role || item.type || "item";
+      const text = textOf(item.content ?? item.parts ?? item.output);
+      return text ? `${role}: ${text}` : null;
+    })
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Add text to the system prompt of a client body
+ */
+function appendSystemText(body, sourceFormat, text) {
+  if (sourceFormat === FORMATS.CLAUDE) {
+    const system = Array.isArray(body.system)
+      ? [...body.system, { type: "text", text }]
+      : body.system
+        ? `${body.system}\n\n${text}`
+        : text;
+    return { ...body, system };
+  }
+  if (sourceFormat === FORMATS.OPENAI_RESPONSES) {
+    return {
+      ...body,
+      instructions: body.instructions
+        ? `${body.instructions}\n\n${text}`
+        : text,
+    };
+  }
+  if (Array.isArray(body.messages)) {
+    const index = body.messages.findIndex(item => !isSystemItem(item));
+    const messages = [...body.messages];
+    messages.splice(index === -1 ? messages.length : index, 0, {
+      role: "system",
+      content: text,
+    });
+    return { ...body, messages };
+  }
+  const target = body.request?.contents ? body.request : body;
+  const instruction = {
+    ...target.systemInstruction,
+    parts: [...(target.systemInstruction?.parts || []), { text }],
+  };
+  return target === body
+    ? { ...body, systemInstruction: instruction }
+    : { ...body, request: { ...body.request, systemInstruction: instruction } };
+}
+
+/**
+ * Fit a client request into the target model's context window
+ * @param {object} body - Client request body
+ * @param {object} options
+ * @param {string} options.sourceFormat - Client format (FORMATS)
+ * @param {number|null} options.contextWindow - Target model window (null = unknown)
+ * @param {string} [options.strategy] - One of CONTEXT_STRATEGIES
+ * @param {number} [options.reserveTokens] - Output headroom
+ * @param {function} [options.summarize] - async (transcript) => summary text
+ * @returns {Promise<{ body: object, applied: string[] }>}
+ */
+export async function fitContextWindow(
+  body,
+  {
+    sourceFormat,
+    contextWindow,
+    strategy = "off",
+    reserveTokens = DEFAULT_RESERVE_TOKENS,
+    summarize,
+  },
+) {
+  const applied = [];
+  if (
+    strategy === "off" ||
+    fitsContextWindow(body, contextWindow, reserveTokens)
+  ) {
+    return { body, applied };
+  }
+
+  let current = body;
+
+  if (strategy === "trim-tool-results") {
+    const result = trimToolResults(current);
+    if (result.trimmed) {
+      current = result.body;
+      applied.push("trim-tool-results");
+    }
+  }
+
+  if (strategy === "summarize" && typeof summarize === "function") {
+    const { body: remaining, dropped } = dropOldestTurns(
+      current,
+      contextWindow,
+      reserveTokens,
+    );
+    if (dropped.length > 0) {
+      try {
+        const summary = await summarize(renderTranscript(dropped));
+        if (summary) {
+          current = appendSystemText(
+            remaining,
+            sourceFormat,
+            `Summary of the earlier conversation:\n${summary}`,
+          );
+          applied.push("summarize");
+        }
+      } catch {
+        // Fall through to drop-oldest below
+      }
+    }
+  }
+
+  // Safety net for every strategy: drop turns until it fits
+  const result = dropOldestTurns(current, contextWindow, reserveTokens);
+  if (result.dropped.length > 0) {
+    current = result.body;
+    applied.push("drop-oldest");
+  }
+
+  return { body: current, applied };
+}
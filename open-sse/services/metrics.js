@@ -0,0 +1,360 @@
+/**
+ * In-memory router metrics with Prometheus / OpenMetrics text exposition.
+ *
+ * Recorded by the shared request path (chatCore, combo, usage tracking) and
+ * rendered by GET /metrics in both runtimes. Values live for the lifetime of
+ * the process (Next.js) or isolate (cloud worker), like any Prometheus
+ * client library; rate() / increase() handle the resets.
+ *
+ * Series keep raw connection ids and API keys internally; renderMetrics()
+ * maps them to connection / key names so keys are never exposed.
+ */
+
+import { CIRCUIT_STATE, getCircuitState } from "./circuitBreaker.js";
+
+/** Request duration histogram buckets (seconds) */
+export const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+export const PROMETHEUS_CONTENT_TYPE =
+  "text/plain; version=0.0.4; charset=utf-8";
+export const OPENMETRICS_CONTENT_TYPE =
+  "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+const METRICS = {
+  requests: {
+    name: "router_requests",
+    type: "counter",
+    help: "Requests sent to providers, by response status",
+  },
+  errors: {
+    name: "router_request_errors",
+    type: "counter",
+    help: "Failed provider requests (status >= 400), by status",
+  },
+  duration: {
+    name: "router_request_duration_seconds",
+    type: "histogram",
+    help: "Time until the provider response (first byte for streams)",
+  },
+  tokens: {
+    name: "router_tokens",
+    type: "counter",
+    help: "Tokens used, by direction (input / output)",
+  },
+  cost: {
+    name: "router_cost_usd",
+    type: "counter",
+    help: "Estimated cost in US dollars",
+  },
+  active: {
+    name: "router_active_requests",
+    type: "gauge",
+    help: "Requests currently in flight",
+  },
+  comboFallbacks: {
+    name: "router_combo_fallbacks",
+    type: "counter",
+    help: "Combo models that failed and fell back to the next model",
+  },
+  circuitState: {
+    name: "router_connection_circuit_state",
+    type: "gauge",
+    help: "Connection circuit breaker state (1 for the current state)",
+  },
+  cooldown: {
+    name: "router_connection_cooldown_seconds",
+    type: "gauge",
+    help: "Seconds until a cooling-down connection is retried",
+  },
+};
+
+// Use global to share metrics across Next.js route modules
+if (!global._routerMetrics) {
+  global._routerMetrics = new Map();
+}
+const series = global._routerMetrics;
+
+/**
+ * Get or create a series of a metric
+ * @param {string} metric - Key of METRICS
+ * @param {object} labels - Raw labels (connectionId / apiKey are resolved on render)
+ */
+function getSeries(metric, labels, create) {
+  const key = `${metric}|${JSON.stringify(labels)}`;
+  let entry = series.get(key);
+  if (!entry) {
+    entry = { metric, labels, ...create() };
+    series.set(key, entry);
+  }
+  return entry;
+}
+
+function incrementCounter(metric, labels, amount = 1) {
+  if (!(amount > 0)) return;
+  getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+}
+
+function requestLabels({ provider, model, connectionId, apiKey }) {
+  return {
+    provider: provider || "unknown",
+    model: model || "unknown",
+    connectionId: connectionId || "",
+    apiKey: apiKey || "",
+  };
+}
+
+/**
+ * Record a finished provider request
+ * @param {object} info - { provider, model, connectionId, apiKey, status, durationMs }
+ */
+export function recordRequestMetrics({ status, durationMs, ...info }) {
+  const labels = requestLabels(info);
+  const code = String(status || 0);
+  incrementCounter("requests", { ...labels, status: code });
+  if (!(status >= 200 && status < 400)) {
+    incrementCounter("errors", { ...labels, status: code });
+  }
+
+  const histogram = getSeries("duration", labels, () => ({
+    buckets: LATENCY_BUCKETS.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+  const seconds = Math.max(0, durationMs || 0) / 1000;
+  LATENCY_BUCKETS.forEach((bound, index) => {
+    if (seconds <= bound) histogram.buckets[index]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+/**
+ * Record token usage and cost of a request
+ * @param {object} info - { provider, model, connectionId, apiKey, tokens, cost }
+ */
+export function recordUsageMetrics({ tokens, cost, ...info }) {
+  const labels = requestLabels(info);
+  const t = tokens || {};
+  incrementCounter(
+    "tokens",
+    { ...labels, direction: "input" },
+    t.prompt_tokens || t.input_tokens || 0,
+  );
+  incrementCounter(
+    "tokens",
+    { ...labels, direction: "output" },
+    t.completion_tokens || t.output_tokens || 0,
+  );
+  incrementCounter("cost", labels, cost || 0);
+}
+
+/**
+ * Track a request starting / finishing (active requests gauge)
+ * @param {string} provider
+ * @param {string} model
+ * @param {string} connectionId
+ * @param {boolean} started
+ */
+export function trackActiveRequest(provider, model, connectionId, started) {
+  const entry = getSeries(
+    "active",
+    {
+      provider: provider || "unknown",
+      model: model || "unknown",
+      connectionId: connectionId || "",
+    },
+    () => ({ value: 0 }),
+  );
+  entry.value = Math.max(0, entry.value + (started ? 1 : -1));
+}
+
+/**
+ * Record a combo model failing over to the next model
+ * @param {string} combo - Combo name
+ * @param {string} model - Model that failed
+ */
+export function recordComboFallback(combo, model) {
+  incrementCounter("comboFallbacks", {
+    combo: combo || "unknown",
+    model: model || "unknown",
+  });
+}
+
+/**
+ * Clear all recorded metrics
+ */
+export function resetMetrics() {
+  series.clear();
+}
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) => `${key}="${escapeLabel(value)}"`,
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return Number.isInteger(value) ? String(value) : String(+value.toFixed(9));
+}
+
+/**
+ * Render metrics in the Prometheus (0.0.4) or OpenMetrics text format
+ * @param {object} [options]
+ * @param {Array<{ id, name?, email?, provider, rateLimitedUntil? }>} [options.connections] - For names and cooldown gauges
+ * @param {Object<string, string>} [options.apiKeyNames] - Raw key → key name
+ * @param {{ apiKeys?: Set<string>, connectionIds?: Set<string>, combos?: Set<string> }} [options.scope] - Only render series of these keys / connections / combos (cloud: one machine)
+ * @param {boolean} [options.openMetrics] - OpenMetrics format instead of Prometheus text
+ * @param {number} [options.now]
+ * @returns {string}
+ */
+export function renderMetrics({
+  connections = [],
+  apiKeyNames = {},
+  scope = null,
+  openMetrics = false,
+  now = Date.now(),
+} = {}) {
+  const connectionNames = {};
+  for (const connection of connections) {
+    connectionNames[connection.id] =
+      connection.name || connection.email || connection.id;
+  }
+
+  const inScope = labels =>
+    !scope ||
+    ((!scope.apiKeys || !labels.apiKey || scope.apiKeys.has(labels.apiKey)) &&
+      (!scope.connectionIds ||
+        !labels.connectionId ||
+        scope.connectionIds.has(labels.connectionId)) &&
+      (!scope.combos || !labels.combo || scope.combos.has(labels.combo)));
+
+  // Raw ids / keys → display labels (label order is kept)
+  const displayLabels = raw => {
+    const labels = {};
+    for (const [key, value] of Object.entries(raw)) {
+      if (key === "connectionId") {
+        labels.connection = value ? connectionNames[value] || value : "none";
+      } else if (key === "apiKey") {
+        labels.api_key = value ? apiKeyNames[value] || "unknown" : "none";
+      } else {
+        labels[key] = value;
+      }
+    }
+    return labels;
+  };
+
+  const lines = [];
+  const writeHeader = metric => {
+    const { name, type, help } = METRICS[metric];
+    const family =
+      openMetrics && type === "counter" ? name : counterName(metric);
+    lines.push(`# HELP ${family} ${help}`);
+    lines.push(`# TYPE ${family} ${type}`);
+  };
+
+  for (const metric of Object.keys(METRICS)) {
+    if (metric === "circuitState" || metric === "cooldown") continue;
+    const entries = [...series.values()].filter(
+      entry => entry.metric === metric && inScope(entry.labels),
+    );
+    if (entries.length === 0) continue;
+
+    writeHeader(metric);
+    const { name } = METRICS[metric];
+    for (const entry of entries) {
+      const labels = displayLabels(entry.labels);
+      if (METRICS[metric].type === "histogram") {
+        LATENCY_BUCKETS.forEach((bound, index) => {
+          lines.push(
+            `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${entry.buckets[index]}`,
+          );
+        });
+        lines.push(
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${entry.count}`,
+        );
+        lines.push(
+          `${name}_sum${formatLabels(labels)} ${formatValue(entry.sum)}`,
+        );
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      } else {
+        lines.push(
+          `${counterName(metric)}${formatLabels(labels)} ${formatValue(entry.value)}`,
+        );
+      }
+    }
+  }
+
+  // Cooldown state comes from the connections themselves
+  const scoped = connections.filter(connection =>
+    inScope({ connectionId: connection.id }),
+  );
+  if (scoped.length > 0) {
+    writeHeader("circuitState");
+    for (const connection of scoped) {
+      const state = getCircuitState(connection, now);
+      for (const candidate of Object.values(CIRCUIT_STATE)) {
+        const labels = displayLabels({
+          provider: connection.provider,
+          connectionId: connection.id,
+          state: candidate,
+        });
+        lines.push(
+          `${METRICS.circuitState.name}${formatLabels(labels)} ${candidate === state ? 1 : 0}`,
+        );
+      }
+    }
+
+    writeHeader("cooldown");
+    for (const connection of scoped) {
+      const until = new Date(connection.rateLimitedUntil || 0).getTime();
+      const remaining = Number.isFinite(until)
+        ? Math.max(0, (until - now) / 1000)
+        : 0;
+      const labels = displayLabels({
+        provider: connection.provider,
+        connectionId: connection.id,
+      });
+      lines.push(
+        `${METRICS.cooldown.name}${formatLabels(labels)} ${formatValue(Math.ceil(remaining))}`,
+      );
+    }
+  }
+
+  if (openMetrics) lines.push("# EOF");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Sample name of a metric (counters get the _total suffix)
+ */
+function counterName(metric) {
+  const { name, type } = METRICS[metric];
+  return type === "counter" ? `${name}_total` : name;
+}
+
+/**
+ * Pick the exposition format from an Accept header
+ * @param {string|null} accept
+ * @returns {{ openMetrics: boolean, contentType: string }}
+ */
+export function negotiateMetricsFormat(accept) {
+  const openMetrics = (accept || "").includes("application/openmetrics-text");
+  return {
+    openMetrics,
+    contentType: openMetrics
+      ? OPENMETRICS_CONTENT_TYPE
+      : PROMETHEUS_CONTENT_TYPE,
+  };
+}
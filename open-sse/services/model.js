@@ -15,6 +15,9 @@ const ALIAS_TO_PROVIDER_ID = {
   gemini: "gemini",
   openrouter: "openrouter",
   cursor: "cursor",
+  dg: "deepgram",
+  aai: "assemblyai",
+  nb: "nanobanana",
 };
 
 /**
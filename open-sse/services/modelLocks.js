@@ -0,0 +1,115 @@
+/**
+ * Model-level quota locks for providers with per-model quota buckets.
+ *
+ * Providers like Antigravity, Gemini CLI, Codex and Claude keep *separate*
+ * quota buckets per model family. When a 429 arrives for one model, an
+ * account-level cooldown would block ALL models on that account, wasting
+ * quota that is still available for other model families. Instead only the
+ * affected model is locked on the connection.
+ *
+ * Locks are stored on the connection as `modelLocks: { [model]: ISO expiry }`
+ * so they survive restarts.
+ */
+
+/** Providers that lock per model unless configured otherwise */
+export const DEFAULT_MODEL_LOCK_PROVIDERS = ["antigravity"];
+
+/** Providers known to split quotas by model family (offered in the dashboard) */
+export const MODEL_LOCK_CAPABLE_PROVIDERS = [
+  "antigravity",
+  "gemini-cli",
+  "codex",
+  "claude",
+];
+
+/** Default lock duration for model-level rate limits (5 minutes) */
+export const DEFAULT_MODEL_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Check whether a provider uses model-level locks
+ * @param {string} providerId - Provider id (not alias)
+ * @param {string[]|undefined} lockProviders - settings.modelLockProviders
+ */
+export function usesModelLocks(providerId, lockProviders) {
+  const providers = Array.isArray(lockProviders)
+    ? lockProviders
+    : DEFAULT_MODEL_LOCK_PROVIDERS;
+  return providers.includes(providerId);
+}
+
+/**
+ * Drop expired entries from a connection's lock map
+ * @param {object|undefined} locks - { [model]: ISO expiry }
+ * @param {number} [now]
+ * @returns {object} Active locks only
+ */
+export function pruneModelLocks(locks, now = Date.now()) {
+  const active = {};
+  for (const [model, until] of Object.entries(locks || {})) {
+    if (new Date(until).getTime() > now) active[model] = until;
+  }
+  return active;
+}
+
+/**
+ * Check whether a specific model is temporarily locked on a connection
+ * @param {object} connection - Connection with modelLocks
+ * @param {string} model
+ * @param {number} [now]
+ */
+export function isModelLocked(connection, model, now = Date.now()) {
+  const until = model ? connection?.modelLocks?.[model] : null;
+  if (!until) return false;
+  return new Date(until).getTime() > now;
+}
+
+/**
+ * Build the lock map after locking a model for durationMs
+ * @param {object|undefined} locks - Current lock map
+ * @param {string} model
+ * @param {number} durationMs
+ * @param {number} [now]
+ * @returns {object} New lock map (expired entries removed)
+ */
+export function addModelLock(locks, model, durationMs, now = Date.now()) {
+  return {
+    ...pruneModelLocks(locks, now),
+    [model]: new Date(now + durationMs).toISOString(),
+  };
+}
+
+/**
+ * Build the lock map without a model
+ * @param {object|undefined} locks
+ * @param {string} model
+ * @param {number} [now]
+ */
+export function removeModelLock(locks, model, now = Date.now()) {
+  const { [model]: _removed, ...rest } = pruneModelLocks(locks, now);
+  return rest;
+}
+
+/**
+ * List active model locks across connections, soonest expiry first
+ * @param {object[]} connections
+ * @param {number} [now]
+ * @returns {Array<{ connectionId, connectionName, provider, model, until }>}
+ */
+export function listModelLocks(connections, now = Date.now()) {
+  const locks = [];
+  for (const connection of connections || []) {
+    for (const [model, until] of Object.entries(
+      pruneModelLocks(connection.modelLocks, now),
+    )) {
+      locks.push({
+        connectionId: connection.id,
+        connectionName:
+          connection.name || connection.email || connection.id.slice(0, 8),
+        provider: connection.provider,
+        model,
+        until,
+      });
+    }
+  }
+  return locks.sort((a, b) => new Date(a.until) - new Date(b.until));
+}
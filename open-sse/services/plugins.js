@@ -0,0 +1,242 @@
+/**
+ * Request/response middleware plugins.
+ *
+ * A plugin is a plain object (the default export of a plugin module):
+ *
+ *   export default {
+ *     name: "redact-emails",
+ *     description: "Mask e-mail addresses in prompts",
+ *     onRequest(body, ctx) {},            // client body, before translation
+ *     onTranslatedRequest(body, ctx) {},  // provider body, before the executor runs
+ *     onStreamChunk(event, ctx) {},       // one client-format SSE event ("data: {...}")
+ *     onResponse(body, ctx) {},           // non-streaming client JSON response
+ *   };
+ *
+ * Hooks may be async. Returning a value replaces the body / event, returning
+ * undefined keeps it; onStreamChunk may return null to drop the event.
+ * ctx.block(message, status = 403) rejects the request from onRequest or
+ * onTranslatedRequest. Any other error thrown by a hook fails the request.
+ *
+ * Plugins are registered once (Next.js: loaded from <DATA_DIR>/plugins,
+ * cloud worker: bundled from cloud/src/plugins) and enabled per API key or
+ * per combo through their `plugins: ["name"]` list.
+ */
+
+export const PLUGIN_HOOKS = [
+  "onRequest",
+  "onTranslatedRequest",
+  "onStreamChunk",
+  "onResponse",
+];
+
+// Use global to share the registry across Next.js route modules
+if (!global._pluginRegistry) {
+  global._pluginRegistry = new Map();
+}
+const registry = global._pluginRegistry;
+
+/**
+ * Validate a plugin object
+ * @param {object} plugin
+ * @returns {string|null} Error message or null if valid
+ */
+export function validatePlugin(plugin) {
+  if (!plugin || typeof plugin !== "object") {
+    return "Plugin must export an object";
+  }
+  if (typeof plugin.name !== "string" || !/^[\w.-]+$/.test(plugin.name)) {
+    return "Plugin name must contain only letters, numbers, _, - and .";
+  }
+  const hooks = PLUGIN_HOOKS.filter(hook => plugin[hook] !== undefined);
+  if (hooks.length === 0) {
+    return `Plugin ${plugin.name} defines no hooks (${PLUGIN_HOOKS.join(", ")})`;
+  }
+  for (const hook of hooks) {
+    if (typeof plugin[hook] !== "function") {
+      return `Plugin ${plugin.name}: ${hook} must be a function`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Register a plugin (replaces a plugin with the same name)
+ * @param {object} plugin
+ * @returns {string|null} Validation error or null when registered
+ */
+export function registerPlugin(plugin) {
+  const error = validatePlugin(plugin);
+  if (error) return error;
+  registry.set(plugin.name, plugin);
+  return null;
+}
+
+/**
+ * Remove all registered plugins (before a reload)
+ */
+export function clearPlugins() {
+  registry.clear();
+}
+
+/**
+ * List registered plugins for display
+ * @returns {Array<{ name, description, hooks }>}
+ */
+export function getRegisteredPlugins() {
+  return [...registry.values()].map(plugin => ({
+    name: plugin.name,
+    description: plugin.description || "",
+    hooks: PLUGIN_HOOKS.filter(hook => typeof plugin[hook] === "function"),
+  }));
+}
+
+/**
+ * Resolve enabled plugins from one or more name lists (API key, combo).
+ * Order is preserved, duplicates and unknown names are skipped.
+ * @param {...(string[]|undefined)} nameLists
+ * @returns {object[]} Plugin objects
+ */
+export function resolvePlugins(...nameLists) {
+  const names = new Set(nameLists.flatMap(list => list || []));
+  return [...names].map(name => registry.get(name)).filter(Boolean);
+}
+
+/**
+ * Validate a `plugins` list on an API key or combo
+ * @param {string[]|null|undefined} names
+ * @returns {string|null} Error message or null if valid
+ */
+export function validatePluginNames(names) {
+  if (names === undefined || names === null) return null;
+  if (!Array.isArray(names) || names.some(n => typeof n !== "string" || !n)) {
+    return "plugins must be an array of plugin names";
+  }
+  return null;
+}
+
+/**
+ * Build the context object passed to every hook
+ * @param {object} info - { model, provider, sourceFormat, targetFormat, combo, apiKeyId, stream }
+ */
+export function createPluginContext(info = {}) {
+  return {
+    ...info,
+    block(message, status = 403) {
+      const error = new Error(message || "Request blocked by plugin");
+      error.pluginBlocked = true;
+      error.status = status;
+      throw error;
+    },
+  };
+}
+
+/**
+ * Run onRequest / onTranslatedRequest hooks in order
+ * @param {object[]} plugins
+ * @param {"onRequest"|"onTranslatedRequest"} hook
+ * @param {object} body
+ * @param {object} ctx - From createPluginContext
+ * @returns {Promise<{ body: object }|{ blocked: { plugin, status, message } }>}
+ */
+export async function runRequestHooks(plugins, hook, body, ctx) {
+  let current = body;
+  for (const plugin of plugins || []) {
+    if (typeof plugin[hook] !== "function") continue;
+    try {
+      const next = await plugin[hook](current, ctx);
+      if (next !== undefined) current = next;
+    } catch (error) {
+      return {
+        blocked: {
+          plugin: plugin.name,
+          status: error.pluginBlocked ? error.status : 500,
+          message: error.pluginBlocked
+            ? error.message
+            : `Plugin ${plugin.name} failed: ${error.message}`,
+        },
+      };
+    }
+  }
+  return { body: current };
+}
+
+/**
+ * Create a TransformStream running onStreamChunk on each SSE event
+ * @param {object[]} plugins
+ * @param {object} ctx
+ * @returns {TransformStream}
+ */
+export function createStreamChunkTransform(plugins, ctx) {
+  const hooks = plugins.filter(p => typeof p.onStreamChunk === "function");
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const emit = async (event, controller) => {
+    let current = event;
+    for (const plugin of hooks) {
+      const next = await plugin.onStreamChunk(current, ctx);
+      if (next === null) return;
+      if (next !== undefined) current = next;
+    }
+    controller.enqueue(encoder.encode(`${current}\n\n`));
+  };
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      buffer +=
+        typeof chunk === "string"
+          ? chunk
+          : decoder.decode(chunk, { stream: true });
+      const events = buffer.split("\n\n");
+      buffer = events.pop();
+      for (const event of events) {
+        if (event) await emit(event, controller);
+      }
+    },
+    async flush(controller) {
+      buffer += decoder.decode();
+      if (buffer.trim()) await emit(buffer.replace(/\n+$/, ""), controller);
+    },
+  });
+}
+
+/**
+ * Apply onStreamChunk (SSE) or onResponse (JSON) hooks to a client response
+ * @param {Response} response
+ * @param {object[]} plugins
+ * @param {object} ctx
+ * @returns {Promise<Response>}
+ */
+export async function applyResponsePlugins(response, plugins, ctx) {
+  const contentType = response.headers.get("content-type") || "";
+
+  if (contentType.includes("text/event-stream")) {
+    if (!plugins.some(p => typeof p.onStreamChunk === "function")) {
+      return response;
+    }
+    return new Response(
+      response.body.pipeThrough(createStreamChunkTransform(plugins, ctx)),
+      {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      },
+    );
+  }
+
+  if (!plugins.some(p => typeof p.onResponse === "function")) {
+    return response;
+  }
+  let body = await response.json();
+  for (const plugin of plugins) {
+    if (typeof plugin.onResponse !== "function") continue;
+    const next = await plugin.onResponse(body, ctx);
+    if (next !== undefined) body = next;
+  }
+  return new Response(JSON.stringify(body), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
@@ -342,8 +342,12 @@ export function getTargetFormat(provider, model) {
   }
   const config = getProviderConfig(provider);
 
-  // Handle providers with alternate formats for specific models (e.g., opencode-go)
-  if (config.altFormat && config.altFormatModels?.includes(model)) {
+  // Handle providers with alternate formats for specific models (e.g., opencode-go, bedrock)
+  if (
+    config.altFormat &&
+    (config.altFormatModels?.includes(model) ||
+      config.altFormatModelPattern?.test(model))
+  ) {
     return config.altFormat;
   }
 
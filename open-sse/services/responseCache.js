@@ -0,0 +1,300 @@
+/**
+ * Opt-in response cache for deterministic chat and embeddings requests.
+ *
+ * Entries are keyed on the normalized translated request (volatile fields
+ * such as stream flags, session ids and metadata stripped) plus the client
+ * format, and store the exact bytes sent to the client so streaming clients
+ * get the same SSE events replayed.
+ */
+
+import crypto from "crypto";
+
+/** Request header that skips the cache for a single request */
+export const CACHE_BYPASS_HEADER = "x-cache-bypass";
+
+/** Response header reporting HIT / MISS */
+export const CACHE_STATUS_HEADER = "X-Cache";
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+/** Responses larger than this are not cached */
+const MAX_ENTRY_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Top-level keys (also inside a wrapped `request` envelope) dropped before
+ * hashing - they never change the answer
+ */
+const VOLATILE_KEYS = new Set([
+  "stream",
+  "stream_options",
+  "metadata",
+  "user",
+  "userAgent",
+  "requestId",
+  "sessionId",
+  "prompt_cache_key",
+]);
+
+// Use global to share cache across Next.js route modules
+if (!global._responseCache) {
+  global._responseCache = {
+    entries: new Map(),
+    stats: { hits: 0, misses: 0, bypassed: 0, stored: 0, evictions: 0 },
+  };
+}
+const cacheState = global._responseCache;
+
+/**
+ * Copy a value with sorted keys; volatile keys are removed when stripVolatile
+ */
+function normalize(value, stripVolatile = false) {
+  if (Array.isArray(value)) return value.map(item => normalize(item));
+  if (!value || typeof value !== "object") return value;
+  const result = {};
+  for (const key of Object.keys(value).sort()) {
+    if (value[key] === undefined) continue;
+    if (stripVolatile && (VOLATILE_KEYS.has(key) || key.startsWith("_"))) {
+      continue;
+    }
+    result[key] = normalize(value[key], stripVolatile && key === "request");
+  }
+  return result;
+}
+
+/**
+ * Check whether a chat request is deterministic enough to cache (temperature 0)
+ * @param {object} body - Client request body (any source format)
+ */
+export function isCacheableChatRequest(body) {
+  if (!body || typeof body !== "object") return false;
+  const temperature =
+    body.temperature ??
+    body.generationConfig?.temperature ??
+    body.request?.generationConfig?.temperature;
+  return temperature === 0;
+}
+
+/**
+ * Check the per-request bypass header (or Cache-Control: no-cache / no-store)
+ * @param {Headers|object} headers - Request headers
+ */
+export function shouldBypassCache(headers) {
+  if (!headers) return false;
+  const get = name =>
+    typeof headers.get === "function"
+      ? headers.get(name)
+      : headers[name] || headers[name.toLowerCase()];
+  const bypass = String(get(CACHE_BYPASS_HEADER) || "").toLowerCase();
+  if (bypass && bypass !== "0" && bypass !== "false") return true;
+  const cacheControl = String(get("cache-control") || "").toLowerCase();
+  return cacheControl.includes("no-cache") || cacheControl.includes("no-store");
+}
+
+/**
+ * Resolve cache options for a request from config + request headers
+ * @param {object} config - { enabled, ttlSeconds, maxEntries, namespace }
+ * @param {Headers|object} headers - Request headers (for the bypass header)
+ * @returns {{ ttlMs, maxEntries, namespace }|null} null when disabled or bypassed
+ */
+export function resolveResponseCacheOptions(config, headers) {
+  if (!config?.enabled) return null;
+  if (shouldBypassCache(headers)) {
+    recordCacheBypass();
+    return null;
+  }
+  return {
+    ttlMs:
+      Number(config.ttlSeconds) > 0 ? config.ttlSeconds * 1000 : DEFAULT_TTL_MS,
+    maxEntries:
+      Number(config.maxEntries) > 0
+        ? Number(config.maxEntries)
+        : DEFAULT_MAX_ENTRIES,
+    namespace: config.namespace || "local",
+  };
+}
+
+/**
+ * Build a cache key
+ * @param {object} options
+ * @param {string} options.kind - "chat" | "embeddings"
+ * @param {string} options.provider - Provider id
+ * @param {object} options.request - Translated request body
+ * @param {string} [options.variant] - Client format / response mode (e.g. "openai:sse")
+ * @param {string} [options.namespace] - Isolation prefix (machineId in cloud)
+ */
+export function getResponseCacheKey({
+  kind,
+  provider,
+  request,
+  variant = "",
+  namespace = "local",
+}) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify([kind, provider, variant, normalize(request, true)]))
+    .digest("hex");
+  return `${namespace}:${hash}`;
+}
+
+/**
+ * Look up a cached response (counts hit / miss)
+ * @param {string} key
+ * @returns {object|null} Entry { body, status, contentType } or null
+ */
+export function getCachedResponse(key) {
+  const entry = cacheState.entries.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    // Refresh LRU position
+    cacheState.entries.delete(key);
+    cacheState.entries.set(key, entry);
+    cacheState.stats.hits++;
+    return entry;
+  }
+  if (entry) cacheState.entries.delete(key);
+  cacheState.stats.misses++;
+  return null;
+}
+
+/**
+ * Count a request that skipped the cache via bypass header
+ */
+export function recordCacheBypass() {
+  cacheState.stats.bypassed++;
+}
+
+/**
+ * Store a response body in the cache, evicting the oldest entries over maxEntries
+ */
+function storeCachedResponse(key, entry, { ttlMs, maxEntries }) {
+  cacheState.entries.delete(key);
+  cacheState.entries.set(key, {
+    ...entry,
+    expiresAt: Date.now() + (ttlMs || DEFAULT_TTL_MS),
+  });
+  cacheState.stats.stored++;
+
+  const limit = maxEntries || DEFAULT_MAX_ENTRIES;
+  while (cacheState.entries.size > limit) {
+    const oldestKey = cacheState.entries.keys().next().value;
+    cacheState.entries.delete(oldestKey);
+    cacheState.stats.evictions++;
+  }
+}
+
+/**
+ * Wrap a successful response so its body is stored once fully sent.
+ * Cancelled streams (client disconnect) are not stored.
+ * @param {string} key
+ * @param {Response} response
+ * @param {object} options - { ttlMs, maxEntries }
+ * @returns {Response}
+ */
+export function cacheResponse(key, response, options = {}) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHE_STATUS_HEADER, "MISS");
+  if (!response.body) return response;
+
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let size = 0;
+  let tooLarge = false;
+
+  const tee = new TransformStream({
+    transform(chunk, controller) {
+      if (!tooLarge) {
+        const bytes = typeof chunk === "string" ? encoder.encode(chunk) : chunk;
+        size += bytes.byteLength;
+        if (size > MAX_ENTRY_BYTES) {
+          tooLarge = true;
+          chunks.length = 0;
+        } else {
+          chunks.push(bytes);
+        }
+      }
+      controller.enqueue(chunk);
+    },
+    flush() {
+      if (tooLarge) return;
+      const body = new Uint8Array(size);
+      let offset = 0;
+      for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+      }
+      storeCachedResponse(
+        key,
+        {
+          body,
+          status: response.status,
+          contentType: response.headers.get("content-type") || "",
+        },
+        options,
+      );
+    },
+  });
+
+  return new Response(response.body.pipeThrough(tee), {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+}
+
+/**
+ * Build a response from a cache entry (SSE entries are re-emitted as a stream)
+ * @param {object} entry
+ * @returns {Response}
+ */
+export function replayCachedResponse(entry) {
+  const headers = {
+    "Content-Type": entry.contentType || "application/json",
+    "Access-Control-Allow-Origin": "*",
+    [CACHE_STATUS_HEADER]: "HIT",
+  };
+  if (entry.contentType?.includes("text/event-stream")) {
+    headers["Cache-Control"] = "no-cache";
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(entry.body.slice());
+        controller.close();
+      },
+    });
+    return new Response(body, { status: entry.status, headers });
+  }
+  return new Response(entry.body.slice(), { status: entry.status, headers });
+}
+
+/**
+ * Get cache counters
+ * @returns {{ hits, misses, bypassed, stored, evictions, entries, hitRate }}
+ */
+export function getResponseCacheStats() {
+  const { hits, misses } = cacheState.stats;
+  return {
+    ...cacheState.stats,
+    entries: cacheState.entries.size,
+    hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+  };
+}
+
+/**
+ * Clear cached entries
+ * @param {string} [namespace] - Only clear this namespace (all when omitted)
+ * @returns {number} Number of entries removed
+ */
+export function clearResponseCache(namespace) {
+  if (!namespace) {
+    const count = cacheState.entries.size;
+    cacheState.entries.clear();
+    return count;
+  }
+  let count = 0;
+  for (const key of cacheState.entries.keys()) {
+    if (key.startsWith(`${namespace}:`)) {
+      cacheState.entries.delete(key);
+      count++;
+    }
+  }
+  return count;
+}
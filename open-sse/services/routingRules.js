@@ -0,0 +1,256 @@
+/**
+ * Prompt-based routing rules.
+ *
+ * Rules pick a target model from the request itself, before combo / model
+ * resolution. They are evaluated top to bottom and the first enabled rule
+ * whose conditions all match rewrites the requested model:
+ *
+ *   {
+ *     id, name, enabled: true,
+ *     target: "gemini/gemini-2.5-pro",   // provider/model, alias or combo
+ *     match: {
+ *       models: ["cc/*"],                // requested model globs (empty = any)
+ *       minInputTokens: 150000,          // estimateInputTokens() bounds
+ *       maxInputTokens: null,
+ *       hasTools: true,                  // true / false, omit = don't care
+ *       hasImages: true,
+ *       reasoningEffort: ["high"],       // reasoning_effort / reasoning.effort
+ *       userAgent: "claude-cli",         // regex (case-insensitive)
+ *       systemPrompt: "generate a title" // regex (case-insensitive)
+ *     }
+ *   }
+ */
+
+import { estimateInputTokens } from "../utils/usageTracking.js";
+import { matchesGlob } from "./apiKeyScope.js";
+
+export const ROUTING_RULE_CONDITIONS = [
+  "models",
+  "minInputTokens",
+  "maxInputTokens",
+  "hasTools",
+  "hasImages",
+  "reasoningEffort",
+  "userAgent",
+  "systemPrompt",
+];
+
+const LIST_CONDITIONS = ["models", "reasoningEffort"];
+const NUMBER_CONDITIONS = ["minInputTokens", "maxInputTokens"];
+const BOOLEAN_CONDITIONS = ["hasTools", "hasImages"];
+const REGEX_CONDITIONS = ["userAgent", "systemPrompt"];
+
+const IMAGE_PART_TYPES = new Set(["image", "image_url", "input_image"]);
+
+/**
+ * Check whether a condition value is set (null / "" / [] mean "don't care")
+ */
+function isSet(value) {
+  if (value === undefined || value === null || value === "") return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Validate a routing rule list
+ * @param {object[]} rules
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateRoutingRules(rules) {
+  if (!Array.isArray(rules)) return "rules must be an array";
+
+  for (const [index, rule] of rules.entries()) {
+    const label = rule?.name ? `Rule "${rule.name}"` : `Rule #${index + 1}`;
+    if (!rule || typeof rule !== "object") return `${label} must be an object`;
+    if (typeof rule.name !== "string" || !rule.name.trim()) {
+      return `${label}: name is required`;
+    }
+    if (typeof rule.target !== "string" || !rule.target.trim()) {
+      return `${label}: target model is required`;
+    }
+
+    const match = rule.match ?? {};
+    if (typeof match !== "object" || Array.isArray(match)) {
+      return `${label}: match must be an object`;
+    }
+    for (const [key, value] of Object.entries(match)) {
+      if (!ROUTING_RULE_CONDITIONS.includes(key)) {
+        return `${label}: unknown condition "${key}"`;
+      }
+      if (!isSet(value)) continue;
+      if (
+        LIST_CONDITIONS.includes(key) &&
+        (!Array.isArray(value) || value.some(v => typeof v !== "string"))
+      ) {
+        return `${label}: ${key} must be an array of strings`;
+      }
+      if (
+        NUMBER_CONDITIONS.includes(key) &&
+        (typeof value !== "number" || !Number.isFinite(value) || value < 0)
+      ) {
+        return `${label}: ${key} must be a non-negative number`;
+      }
+      if (BOOLEAN_CONDITIONS.includes(key) && typeof value !== "boolean") {
+        return `${label}: ${key} must be true or false`;
+      }
+      if (REGEX_CONDITIONS.includes(key)) {
+        if (typeof value !== "string") {
+          return `${label}: ${key} must be a regular expression string`;
+        }
+        try {
+          new RegExp(value, "i");
+        } catch (error) {
+          return `${label}: invalid ${key} pattern (${error.message})`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect text from a string or an array of { text } parts
+ */
+function collectText(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === "string" ? part : part?.text || ""))
+      .filter(Boolean)
+      .join("\n");
+  }
+  return content?.text || "";
+}
+
+/**
+ * Extract the system prompt from any supported client format
+ * (OpenAI / Responses / Claude / Gemini)
+ * @param {object} body
+ * @returns {string}
+ */
+export function extractSystemPrompt(body) {
+  const parts = [];
+  if (body.system) parts.push(collectText(body.system));
+  if (body.instructions) parts.push(collectText(body.instructions));
+  const gemini = body.systemInstruction || body.request?.systemInstruction;
+  if (gemini) parts.push(collectText(gemini.parts));
+
+  const messages = Array.isArray(body.messages)
+    ? body.messages
+    : Array.isArray(body.input)
+      ? body.input
+      : [];
+  for (const message of messages) {
+    if (message?.role === "system" || message?.role === "developer") {
+      parts.push(collectText(message.content));
+    }
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+/**
+ * Check whether a message content (or Gemini parts) carries an image
+ */
+function contentHasImage(content) {
+  if (!Array.isArray(content)) return false;
+  return content.some(
+    part =>
+      IMAGE_PART_TYPES.has(part?.type) ||
+      (part?.inlineData?.mimeType || part?.fileData?.mimeType || "").startsWith(
+        "image/",
+      ),
+  );
+}
+
+/**
+ * Check whether a request contains image input in any supported format
+ * @param {object} body
+ */
+export function hasImageInput(body) {
+  const messages = body.messages || body.request?.contents || body.contents;
+  const input = Array.isArray(body.input) ? body.input : [];
+  return [...(Array.isArray(messages) ? messages : []), ...input].some(
+    message =>
+      contentHasImage(message?.content) || contentHasImage(message?.parts),
+  );
+}
+
+/**
+ * Extract the request features routing rules match on
+ * @param {object} body - Client request body
+ * @param {Headers|object} [headers] - Request headers (for user-agent)
+ * @returns {{ model, inputTokens, hasTools, hasImages, reasoningEffort, userAgent, systemPrompt }}
+ */
+export function getRequestFeatures(body, headers) {
+  const userAgent =
+    (typeof headers?.get === "function"
+      ? headers.get("user-agent")
+      : headers?.["user-agent"]) || "";
+  const tools = body.tools || body.request?.tools;
+  return {
+    model: body.model || "",
+    inputTokens: estimateInputTokens(body),
+    hasTools: Array.isArray(tools) && tools.length > 0,
+    hasImages: hasImageInput(body),
+    reasoningEffort: body.reasoning_effort || body.reasoning?.effort || null,
+    userAgent,
+    systemPrompt: extractSystemPrompt(body),
+  };
+}
+
+/**
+ * Check whether all conditions of a rule match the request features
+ * @param {object} rule
+ * @param {object} features - From getRequestFeatures()
+ */
+export function matchesRoutingRule(rule, features) {
+  const match = rule.match || {};
+
+  if (
+    isSet(match.models) &&
+    !match.models.some(pattern => matchesGlob(pattern, [features.model]))
+  ) {
+    return false;
+  }
+  if (
+    isSet(match.minInputTokens) &&
+    features.inputTokens < match.minInputTokens
+  ) {
+    return false;
+  }
+  if (
+    isSet(match.maxInputTokens) &&
+    features.inputTokens > match.maxInputTokens
+  ) {
+    return false;
+  }
+  for (const key of BOOLEAN_CONDITIONS) {
+    if (isSet(match[key]) && features[key] !== match[key]) return false;
+  }
+  if (
+    isSet(match.reasoningEffort) &&
+    !match.reasoningEffort.includes(features.reasoningEffort)
+  ) {
+    return false;
+  }
+  for (const key of REGEX_CONDITIONS) {
+    if (isSet(match[key]) && !new RegExp(match[key], "i").test(features[key])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Find the first enabled rule matching a request
+ * @param {object[]} rules - Ordered rule list
+ * @param {object} features - From getRequestFeatures()
+ * @returns {object|null} Matching rule
+ */
+export function findRoutingRule(rules, features) {
+  for (const rule of rules || []) {
+    if (rule.enabled === false) continue;
+    if (matchesRoutingRule(rule, features)) return rule;
+  }
+  return null;
+}
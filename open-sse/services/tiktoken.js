@@ -0,0 +1,17 @@
+/**
+ * Registers the js-tiktoken encodings with tokenCounter.js.
+ * Imported for its side effect by the Next.js handlers only: the rank
+ * tables are several MB and stay out of the Cloudflare worker bundle.
+ */
+
+import cl100kBase from "js-tiktoken/ranks/cl100k_base";
+import { registerTokenizer } from "./tokenCounter.js";
+import o200kBase from "js-tiktoken/ranks/o200k_base";
+import { Tiktoken } from "js-tiktoken/lite";
+
+const ENCODING_RANKS = {
+  cl100k_base: cl100kBase,
+  o200k_base: o200kBase,
+};
+
+registerTokenizer(encoding => new Tiktoken(ENCODING_RANKS[encoding]));
@@ -0,0 +1,277 @@
+/**
+ * Tokenizer-based input token counting.
+ *
+ * Counts what a provider bills as input: system prompts, messages, tool
+ * definitions, tool calls and tool results, plus a flat cost per image or
+ * inline file. Works on OpenAI, Claude, Responses and Gemini request shapes.
+ *
+ * Text is encoded with the tokenizer of the model family once one is
+ * registered (services/tiktoken.js, js-tiktoken); until then it is estimated
+ * at 4 characters per token, so hosts that never import the rank tables
+ * (Cloudflare worker) stay small.
+ *
+ *
+ *   openai  — o200k_base (gpt-4o, gpt-4.1, gpt-5, o-series), exact
+ *   legacy  — cl100k_base (gpt-4, gpt-3.5), exact
+ *   claude  — cl100k_base, approximation (no public tokenizer)
+ *   gemini  — o200k_base, approximation (no public tokenizer)
+ *
+ * For Claude and Gemini the count_tokens endpoint prefers the provider's
+ * native counter when credentials are available (handlers/countTokensCore.js).
+ */
+
+import crypto from "crypto";
+
+// Tokenizer and per-image cost of each model family
+const FAMILIES = {
+  openai: { encoding: "o200k_base", imageTokens: 765 },
+  legacy: { encoding: "cl100k_base", imageTokens: 765 },
+  claude: { encoding: "cl100k_base", imageTokens: 1600 },
+  gemini: { encoding: "o200k_base", imageTokens: 258 },
+};
+
+const DEFAULT_FAMILY = "legacy";
+
+/** Role / separator tokens added per message, and once to prime the reply */
+const MESSAGE_OVERHEAD_TOKENS = 3;
+const REPLY_PRIMING_TOKENS = 3;
+
+/** Tool-use system prompt Anthropic adds when tools are present */
+const CLAUDE_TOOLS_OVERHEAD_TOKENS = 346;
+
+// Request fields that carry prompt content (root or Gemini CLI "request" envelope)
+const CONTENT_FIELDS = [
+  "system",
+  "instructions",
+  "systemInstruction",
+  "system_instruction",
+  "messages",
+  "contents",
+  "input",
+  "prompt",
+];
+
+// Structural fields that the role / message overhead already accounts for
+const SKIPPED_KEYS = new Set([
+  "role",
+  "type",
+  "id",
+  "tool_use_id",
+  "tool_call_id",
+  "call_id",
+  "status",
+  "index",
+  "cache_control",
+  "signature",
+  "thoughtSignature",
+  "thought_signature",
+  "mime_type",
+  "mimeType",
+  "media_type",
+  "detail",
+]);
+
+// Object values tokenized as serialized JSON (tool inputs and outputs)
+const JSON_KEYS = new Set([
+  "input",
+  "arguments",
+  "args",
+  "response",
+  "functionCall",
+  "functionResponse",
+]);
+
+// Content parts billed at the flat image cost
+const ATTACHMENT_TYPES = new Set([
+  "image",
+  "image_url",
+  "input_image",
+  "document",
+  "file",
+  "input_file",
+  "input_audio",
+]);
+
+// Thinking from earlier turns is not billed as input
+const IGNORED_PART_TYPES = new Set(["thinking", "redacted_thinking"]);
+
+const BASE64_DATA_URL = /^data:[^;,]+;base64,/;
+
+/**
+ * Letter-only runs are encoded in slices: BPE merging is quadratic in the
+ * length of a single pre-tokenized word ("x" * 10000 takes seconds).
+ */
+const LONG_RUN = /(\S{64})/;
+
+/** Repeated segments (system prompts, tools, history) are counted once */
+const CACHE_MAX_ENTRIES = 5000;
+const CACHE_MIN_LENGTH = 512;
+
+/** Estimate used without a registered tokenizer */
+const CHARS_PER_TOKEN = 4;
+
+let createEncoder = null;
+const encoders = new Map();
+const countCache = new Map();
+
+/**
+ * Register the tokenizer used for exact counts
+ * @param {function} factory - (encoding name) => encoder with encode(text, allowedSpecial)
+ */
+export function registerTokenizer(factory) {
+  createEncoder = factory;
+  encoders.clear();
+  countCache.clear();
+}
+
+function getEncoder(encoding) {
+  let encoder = encoders.get(encoding);
+  if (!encoder) {
+    encoder = createEncoder(encoding);
+    encoders.set(encoding, encoder);
+  }
+  return encoder;
+}
+
+/**
+ * Model family deciding the tokenizer, from a model id with or without
+ * provider prefix ("cc/claude-sonnet-4-5", "gpt-4o", "gemini-2.5-pro")
+ * @param {string} [model]
+ * @returns {"openai"|"legacy"|"claude"|"gemini"}
+ */
+export function getTokenizerFamily(model) {
+  const id = String(model || "")
+    .toLowerCase()
+    .split("/")
+    .pop();
+  if (id.includes("claude")) return "claude";
+  if (id.includes("gemini") || id.includes("gemma")) return "gemini";
+  if (/^(gpt-4o|gpt-4\.[1-9]|gpt-5|o[1-9]|chatgpt|codex|gpt-oss)/.test(id)) {
+    return "openai";
+  }
+  return DEFAULT_FAMILY;
+}
+
+function encodeLength(encoder, text) {
+  if (!LONG_RUN.test(text)) return encoder.encode(text, "all").length;
+  let total = 0;
+  for (const segment of text.split(LONG_RUN)) {
+    if (segment) total += encoder.encode(segment, "all").length;
+  }
+  return total;
+}
+
+/**
+ * Number of tokens in a text
+ * @param {string} text
+ * @param {string} [model] - Picks the tokenizer (see getTokenizerFamily)
+ * @returns {number}
+ */
+export function countTextTokens(text, model) {
+  if (!text) return 0;
+  const { encoding } = FAMILIES[getTokenizerFamily(model)];
+  return countWithEncoding(text, encoding);
+}
+
+function countWithEncoding(text, encoding) {
+  if (!createEncoder) return Math.ceil(text.length / CHARS_PER_TOKEN);
+
+  const encoder = getEncoder(encoding);
+  if (text.length < CACHE_MIN_LENGTH) return encodeLength(encoder, text);
+
+  const key = `${encoding}:${crypto.createHash("sha1").update(text).digest("base64")}`;
+  const cached = countCache.get(key);
+  if (cached !== undefined) {
+    // Refresh recency
+    countCache.delete(key);
+    countCache.set(key, cached);
+    return cached;
+  }
+
+  const count = encodeLength(encoder, text);
+  countCache.set(key, count);
+  if (countCache.size > CACHE_MAX_ENTRIES) {
+    countCache.delete(countCache.keys().next().value);
+  }
+  return count;
+}
+
+function isInlineData(key, value) {
+  return value.length > 256 && (BASE64_DATA_URL.test(value) || key === "data");
+}
+
+function isAttachment(part) {
+  if (part.inlineData || part.inline_data || part.fileData || part.file_data) {
+    return true;
+  }
+  if (!ATTACHMENT_TYPES.has(part.type)) return false;
+  // Plain-text documents are counted as text
+  return !(part.type === "document" && part.source?.type === "text");
+}
+
+function countContent(value, key, family) {
+  const { encoding, imageTokens } = FAMILIES[family];
+
+  if (typeof value === "string") {
+    if (SKIPPED_KEYS.has(key)) return 0;
+    if (isInlineData(key, value)) return imageTokens;
+    return countWithEncoding(value, encoding);
+  }
+  if (Array.isArray(value)) {
+    return value.reduce(
+      (sum, item) => sum + countContent(item, key, family),
+      0,
+    );
+  }
+  if (!value || typeof value !== "object") return 0;
+
+  if (IGNORED_PART_TYPES.has(value.type)) return 0;
+  if (isAttachment(value)) return imageTokens;
+
+  let total = 0;
+  for (const [childKey, child] of Object.entries(value)) {
+    if (SKIPPED_KEYS.has(childKey)) continue;
+    total +=
+      JSON_KEYS.has(childKey) && child && typeof child === "object"
+        ? countWithEncoding(JSON.stringify(child), encoding)
+        : countContent(child, childKey, family);
+  }
+  return total;
+}
+
+function countMessages(root) {
+  const list = root.messages || root.contents || root.input;
+  return Array.isArray(list) ? list.length : 0;
+}
+
+/**
+ * Count the input tokens of a request body
+ * @param {object} body - OpenAI, Claude, Responses or Gemini request
+ * @param {string} [model] - Defaults to body.model
+ * @returns {number}
+ */
+export function countInputTokens(body, model = body?.model) {
+  if (!body || typeof body !== "object") return 0;
+
+  const root =
+    body.request && typeof body.request === "object" ? body.request : body;
+  const family = getTokenizerFamily(model || root.model);
+  const { encoding } = FAMILIES[family];
+
+  let total = 0;
+  for (const field of CONTENT_FIELDS) {
+    if (root[field] != null) total += countContent(root[field], field, family);
+  }
+
+  const messageCount = countMessages(root);
+  if (messageCount > 0) {
+    total += messageCount * MESSAGE_OVERHEAD_TOKENS + REPLY_PRIMING_TOKENS;
+  }
+
+  if (Array.isArray(root.tools) && root.tools.length > 0) {
+    total += countWithEncoding(JSON.stringify(root.tools), encoding);
+    if (family === "claude") total += CLAUDE_TOOLS_OVERHEAD_TOKENS;
+  }
+
+  return total;
+}
@@ -0,0 +1,366 @@
+/**
+ * Minimal OpenTelemetry tracer with OTLP/HTTP (JSON) export.
+ *
+ * Disabled unless OTEL_EXPORTER_OTLP_ENDPOINT (or
+ * OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) is set. Spans are passed explicitly
+ * down the request path (`traceSpan` option) instead of an ambient context,
+ * so every helper returns null when tracing is off and callers use `span?.`.
+ *
+ * An incoming W3C `traceparent` header becomes the parent of the root span,
+ * so router spans nest inside the caller's trace.
+ *
+ * A streaming response outlives the handler that returns it, so its span
+ * (startStreamSpan) keeps the ancestor spans open: end() on them takes effect
+ * once the stream completes, is cancelled or fails.
+ */
+
+export const SPAN_KIND = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+};
+
+const STATUS_CODE = { OK: 1, ERROR: 2 };
+
+const TRACEPARENT_REGEX =
+  /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+const EXPORT_BATCH_SIZE = 64;
+const EXPORT_DELAY_MS = 2000;
+const EXPORT_TIMEOUT_MS = 10000;
+const MAX_QUEUED_SPANS = 2048;
+const SCOPE_NAME = "claude-router";
+
+// Use global to share the export queue across Next.js route modules
+if (!global._traceExport) {
+  global._traceExport = { queue: [], timer: null, warned: false };
+}
+const exportState = global._traceExport;
+
+let configOverride = null;
+
+// Last parsed OTEL_EXPORTER_OTLP_*HEADERS value (env is read per request)
+let parsedHeaders = { raw: undefined, headers: {} };
+
+/**
+ * Read exporter config from the standard OTEL_* environment variables
+ * @returns {{ endpoint: string, headers: object, serviceName: string }|null}
+ */
+export function getTracingConfig() {
+  if (configOverride) return configOverride;
+  const env = typeof process !== "undefined" ? process.env || {} : {};
+  const base = env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  const endpoint =
+    env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ||
+    (base ? `${base.replace(/\/+$/, "")}/v1/traces` : null);
+  if (!endpoint || env.OTEL_SDK_DISABLED === "true") return null;
+
+  return {
+    endpoint,
+    headers: getHeaders(
+      env.OTEL_EXPORTER_OTLP_TRACES_HEADERS || env.OTEL_EXPORTER_OTLP_HEADERS,
+    ),
+    serviceName: env.OTEL_SERVICE_NAME || SCOPE_NAME,
+  };
+}
+
+/**
+ * Override the env config (tests / embedding); null restores env lookup
+ * @param {{ endpoint: string, headers?: object, serviceName?: string }|null} config
+ */
+export function configureTracing(config) {
+  configOverride = config
+    ? { headers: {}, serviceName: SCOPE_NAME, ...config }
+    : null;
+}
+
+function getHeaders(raw) {
+  if (parsedHeaders.raw !== raw) {
+    parsedHeaders = { raw, headers: parseHeaderList(raw) };
+  }
+  return parsedHeaders.headers;
+}
+
+/**
+ * Parse "key1=value1,key2=value2" (OTEL_EXPORTER_OTLP_HEADERS format).
+ * Pairs with bad percent-encoding are skipped with a warning.
+ */
+function parseHeaderList(value) {
+  const headers = {};
+  for (const pair of (value || "").split(",")) {
+    const index = pair.indexOf("=");
+    if (index <= 0) continue;
+    const key = pair.slice(0, index).trim();
+    try {
+      headers[decodeURIComponent(key)] = decodeURIComponent(
+        pair.slice(index + 1).trim(),
+      );
+    } catch {
+      console.log(`[TRACING] Ignoring malformed OTLP header "${key}"`);
+    }
+  }
+  return headers;
+}
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string|null} header
+ * @returns {{ traceId: string, spanId: string, sampled: boolean }|null}
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_REGEX.exec((header || "").trim().toLowerCase());
+  if (!match) return null;
+  const [, version, traceId, spanId, flags, rest] = match;
+  if (version === "ff" || (version === "00" && rest)) return null;
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+}
+
+function randomHex(bytes) {
+  const values = crypto.getRandomValues(new Uint8Array(bytes));
+  return Array.from(values, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function nowNanos() {
+  const ms = performance.timeOrigin + performance.now();
+  return BigInt(Math.round(ms * 1000)) * 1000n;
+}
+
+class Span {
+  constructor(name, { traceId, parentSpanId, parent, kind, attributes }) {
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = randomHex(8);
+    this.parentSpanId = parentSpanId || null;
+    this.parent = parent || null;
+    this.openStreams = 0;
+    this.endRequested = false;
+    this.holdsAncestors = false;
+    this.kind = kind || SPAN_KIND.INTERNAL;
+    this.attributes = {};
+    this.status = null;
+    this.startTime = nowNanos();
+    this.endTime = null;
+    this.setAttributes(attributes);
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) this.attributes[key] = value;
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes || {})) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Mark the span as failed
+   * @param {Error|string} error
+   */
+  setError(error) {
+    this.status = {
+      code: STATUS_CODE.ERROR,
+      message: error?.message || String(error || ""),
+    };
+    return this;
+  }
+
+  /**
+   * Set http.status_code and mark >= 400 as an error
+   */
+  setHttpStatus(status) {
+    this.setAttribute("http.status_code", status);
+    if (status >= 400 && !this.status) this.setError(`HTTP ${status}`);
+    return this;
+  }
+
+  /**
+   * Finish the span and queue it for export (later calls are ignored).
+   * With a stream span open below it, it finishes when that one does.
+   */
+  end() {
+    if (this.endTime) return;
+    this.endRequested = true;
+    if (this.openStreams > 0) return;
+    this.endTime = nowNanos();
+    queueSpan(this);
+
+    if (!this.holdsAncestors) return;
+    for (let span = this.parent; span; span = span.parent) {
+      span.openStreams--;
+      if (span.endRequested) span.end();
+    }
+  }
+}
+
+/**
+ * Start the root span of a request
+ * @param {string} name
+ * @param {object} [options]
+ * @param {string|null} [options.traceparent] - Incoming traceparent header
+ * @param {object} [options.attributes]
+ * @returns {Span|null} null when tracing is off or the caller's trace isn't sampled
+ */
+export function startTrace(name, { traceparent = null, attributes } = {}) {
+  if (!getTracingConfig()) return null;
+  const parent = parseTraceparent(traceparent);
+  if (parent && !parent.sampled) return null;
+  return new Span(name, {
+    traceId: parent?.traceId || randomHex(16),
+    parentSpanId: parent?.spanId,
+    kind: SPAN_KIND.SERVER,
+    attributes,
+  });
+}
+
+/**
+ * Start a child span
+ * @param {Span|null} parent
+ * @param {string} name
+ * @param {object} [attributes]
+ * @param {number} [kind] - SPAN_KIND
+ * @returns {Span|null} null when parent is null
+ */
+export function startSpan(parent, name, attributes, kind) {
+  if (!parent) return null;
+  return new Span(name, {
+    traceId: parent.traceId,
+    parentSpanId: parent.spanId,
+    parent,
+    kind,
+    attributes,
+  });
+}
+
+/**
+ * Start a child span that keeps its ancestors open until it ends, for a
+ * response body streamed after the handlers have returned
+ * @param {Span|null} parent
+ * @param {string} name
+ * @param {object} [attributes]
+ * @returns {Span|null} null when parent is null
+ */
+export function startStreamSpan(parent, name, attributes) {
+  const span = startSpan(parent, name, attributes);
+  if (!span) return null;
+  span.holdsAncestors = true;
+  for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+    ancestor.openStreams++;
+  }
+  return span;
+}
+
+/**
+ * Run fn inside a child span, ending it (and recording a thrown error) after
+ * @param {Span|null} parent
+ * @param {string} name
+ * @param {object} attributes
+ * @param {(span: Span|null) => Promise<any>|any} fn
+ */
+export async function withSpan(parent, name, attributes, fn) {
+  const span = startSpan(parent, name, attributes);
+  try {
+    return await fn(span);
+  } catch (error) {
+    span?.setError(error);
+    throw error;
+  } finally {
+    span?.end();
+  }
+}
+
+function queueSpan(span) {
+  if (exportState.queue.length >= MAX_QUEUED_SPANS) return;
+  exportState.queue.push(span);
+  if (exportState.queue.length >= EXPORT_BATCH_SIZE) {
+    flushTraces().catch(() => {});
+  } else if (!exportState.timer) {
+    exportState.timer = setTimeout(() => {
+      flushTraces().catch(() => {});
+    }, EXPORT_DELAY_MS);
+    exportState.timer.unref?.();
+  }
+}
+
+function toAnyValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (typeof value === "number") {
+    return Number.isInteger(value)
+      ? { intValue: String(value) }
+      : { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({
+    key,
+    value: toAnyValue(value),
+  }));
+}
+
+/**
+ * Build an OTLP/JSON ExportTraceServiceRequest
+ * @param {Span[]} spans
+ * @param {string} serviceName
+ */
+export function buildExportRequest(spans, serviceName) {
+  return {
+    resourceSpans: [
+      {
+        resource: {
+          attributes: toAttributes({ "service.name": serviceName }),
+        },
+        scopeSpans: [
+          {
+            scope: { name: SCOPE_NAME },
+            spans: spans.map(span => ({
+              traceId: span.traceId,
+              spanId: span.spanId,
+              ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+              name: span.name,
+              kind: span.kind,
+              startTimeUnixNano: String(span.startTime),
+              endTimeUnixNano: String(span.endTime),
+              attributes: toAttributes(span.attributes),
+              status: span.status || { code: STATUS_CODE.OK },
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+/**
+ * Export all queued spans now
+ */
+export async function flushTraces() {
+  if (exportState.timer) {
+    clearTimeout(exportState.timer);
+    exportState.timer = null;
+  }
+  const config = getTracingConfig();
+  const spans = exportState.queue.splice(0);
+  if (!config || spans.length === 0) return;
+
+  try {
+    const response = await fetch(config.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...config.headers },
+      body: JSON.stringify(buildExportRequest(spans, config.serviceName)),
+      signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    exportState.warned = false;
+  } catch (error) {
+    // Warn once per outage, not once per batch
+    if (!exportState.warned) {
+      exportState.warned = true;
+      console.log(`[TRACING] OTLP export failed: ${error.message}`);
+    }
+  }
+}
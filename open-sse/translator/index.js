@@ -39,15 +39,18 @@ function ensureInitialized() {
   require("./request/openai-responses.js");
   require("./request/openai-to-kiro.js");
   require("./request/openai-to-cursor.js");
+  require("./request/openai-to-bedrock.js");
 
   // Response translators
   require("./response/claude-to-openai.js");
   require("./response/openai-to-claude.js");
   require("./response/gemini-to-openai.js");
   require("./response/openai-to-antigravity.js");
+  require("./response/openai-to-gemini.js");
   require("./response/openai-responses.js");
   require("./response/kiro-to-openai.js");
   require("./response/cursor-to-openai.js");
+  require("./response/bedrock-to-openai.js");
 }
 
 // Translate request: source -> openai -> target
@@ -102,6 +105,12 @@ export function translateRequest(
     result = filterToOpenAIFormat(result);
   }
 
+  // Native Gemini clients pass `stream` for the router; Gemini takes it from the URL
+  if (sourceFormat === FORMATS.GEMINI && targetFormat === FORMATS.GEMINI) {
+    result = { ...result };
+    delete result.stream;
+  }
+
   // Final step: prepare request for Claude format endpoints
   if (targetFormat === FORMATS.CLAUDE) {
     result = prepareClaudeRequest(result, provider);
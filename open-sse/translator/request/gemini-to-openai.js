@@ -83,6 +83,9 @@ function convertGeminiContent(content) {
   const toolCalls = [];
 
   for (const part of content.parts) {
+    // Thought summaries echoed back from earlier turns are not conversation text
+    if (part.thought === true) continue;
+
     if (part.text !== undefined) {
       parts.push({ type: "text", text: part.text });
     }
@@ -98,7 +101,9 @@ function convertGeminiContent(content) {
 
     if (part.functionCall) {
       toolCalls.push({
-        id: `call_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        id:
+          part.functionCall.id ||
+          `call_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
         type: "function",
         function: {
           name: part.functionCall.name,
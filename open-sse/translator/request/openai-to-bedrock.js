@@ -0,0 +1,169 @@
+/**
+ * OpenAI to Bedrock Converse Request Translator
+ * Converts OpenAI Chat Completions format to the Bedrock Converse API body
+ * https://docs.aws.amazon.com/bedrock/latest/APIReference/API_runtime_Converse.html
+ */
+import { FORMATS } from "../formats.js";
+import { register } from "../index.js";
+
+const IMAGE_FORMATS = {
+  "image/png": "png",
+  "image/jpeg": "jpeg",
+  "image/jpg": "jpeg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+};
+
+// Extract text from content
+function extractTextContent(content) {
+  if (typeof content === "string") return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(c => c.type === "text")
+      .map(c => c.text)
+      .join("\n");
+  }
+  return "";
+}
+
+// Try parse JSON (Converse needs toolUse.input as an object)
+function parseArguments(args) {
+  if (args && typeof args === "object") return args;
+  try {
+    return JSON.parse(args || "{}");
+  } catch {
+    return {};
+  }
+}
+
+// Converse only accepts inline image bytes, so remote URLs are dropped
+function convertImage(url) {
+  const match = url?.match(/^data:([^;]+);base64,(.+)$/);
+  const format = match && IMAGE_FORMATS[match[1]];
+  if (!format) return null;
+  return { image: { format, source: { bytes: match[2] } } };
+}
+
+// Get Converse content blocks from a single message
+function getContentBlocks(msg) {
+  const blocks = [];
+
+  if (msg.role === "tool") {
+    blocks.push({
+      toolResult: {
+        toolUseId: msg.tool_call_id,
+        content: [{ text: extractTextContent(msg.content) || "" }],
+      },
+    });
+    return blocks;
+  }
+
+  if (typeof msg.content === "string") {
+    if (msg.content) blocks.push({ text: msg.content });
+  } else if (Array.isArray(msg.content)) {
+    for (const part of msg.content) {
+      if (part.type === "text" && part.text) {
+        blocks.push({ text: part.text });
+      } else if (part.type === "image_url") {
+        const image = convertImage(part.image_url?.url);
+        if (image) blocks.push(image);
+      }
+    }
+  }
+
+  if (msg.role === "assistant" && Array.isArray(msg.tool_calls)) {
+    for (const tc of msg.tool_calls) {
+      if (tc.type !== "function") continue;
+      blocks.push({
+        toolUse: {
+          toolUseId: tc.id,
+          name: tc.function.name,
+          input: parseArguments(tc.function.arguments),
+        },
+      });
+    }
+  }
+
+  return blocks;
+}
+
+// Convert OpenAI tool choice to Converse toolChoice ("none" → no toolChoice)
+function convertToolChoice(choice) {
+  if (choice === "required") return { any: {} };
+  if (choice === "auto") return { auto: {} };
+  if (typeof choice === "object" && choice.function?.name) {
+    return { tool: { name: choice.function.name } };
+  }
+  return null;
+}
+
+/**
+ * Convert an OpenAI request to a Converse body
+ * Converse rejects consecutive messages with the same role, so they are
+ * merged; tool results become user turns
+ */
+export function openaiToBedrockRequest(model, body, stream) {
+  const result = { messages: [] };
+  const system = [];
+
+  for (const msg of body.messages || []) {
+    if (msg.role === "system" || msg.role === "developer") {
+      const text = extractTextContent(msg.content);
+      if (text) system.push({ text });
+      continue;
+    }
+
+    const role = msg.role === "assistant" ? "assistant" : "user";
+    const content = getContentBlocks(msg);
+    if (content.length === 0) continue;
+
+    const last = result.messages[result.messages.length - 1];
+    if (last?.role === role) {
+      last.content.push(...content);
+    } else {
+      result.messages.push({ role, content });
+    }
+  }
+
+  if (system.length > 0) {
+    result.system = system;
+  }
+
+  const inferenceConfig = {};
+  const maxTokens = body.max_tokens ?? body.max_completion_tokens;
+  if (maxTokens !== undefined) inferenceConfig.maxTokens = maxTokens;
+  if (body.temperature !== undefined) {
+    inferenceConfig.temperature = body.temperature;
+  }
+  if (body.top_p !== undefined) inferenceConfig.topP = body.top_p;
+  if (body.stop) {
+    inferenceConfig.stopSequences = Array.isArray(body.stop)
+      ? body.stop
+      : [body.stop];
+  }
+  if (Object.keys(inferenceConfig).length > 0) {
+    result.inferenceConfig = inferenceConfig;
+  }
+
+  const tools = (body.tools || [])
+    .filter(tool => tool.type === "function" && tool.function)
+    .map(({ function: fn }) => ({
+      toolSpec: {
+        name: fn.name,
+        ...(fn.description && { description: fn.description }),
+        inputSchema: {
+          json: fn.parameters || { type: "object", properties: {} },
+        },
+      },
+    }));
+  if (tools.length > 0) {
+    result.toolConfig = { tools };
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice) result.toolConfig.toolChoice = toolChoice;
+  }
+
+  return result;
+}
+
+// Register
+register(FORMATS.OPENAI, FORMATS.BEDROCK, openaiToBedrockRequest, null);
@@ -0,0 +1,187 @@
+/**
+ * Bedrock Converse to OpenAI Response Translator
+ * BedrockExecutor re-frames ConverseStream events as SSE data keyed by
+ * event type ({ "contentBlockDelta": {...} }), the union shape the AWS SDKs use
+ */
+import { FORMATS } from "../formats.js";
+import { register } from "../index.js";
+
+const STOP_REASON_MAP = {
+  end_turn: "stop",
+  stop_sequence: "stop",
+  max_tokens: "length",
+  tool_use: "tool_calls",
+  guardrail_intervened: "content_filter",
+  content_filtered: "content_filter",
+};
+
+function convertStopReason(reason) {
+  return STOP_REASON_MAP[reason] || "stop";
+}
+
+// Create OpenAI chunk helper
+function createChunk(state, delta, finishReason = null) {
+  return {
+    id: `chatcmpl-${state.messageId}`,
+    object: "chat.completion.chunk",
+    created: Math.floor(Date.now() / 1000),
+    model: state.model,
+    choices: [
+      {
+        index: 0,
+        delta,
+        finish_reason: finishReason,
+      },
+    ],
+  };
+}
+
+// Converse usage → OpenAI usage (inputTokens excludes cache reads/writes)
+function toOpenAIUsage(usage) {
+  const cacheReadTokens = usage.cacheReadInputTokens || 0;
+  const cacheWriteTokens = usage.cacheWriteInputTokens || 0;
+  const promptTokens =
+    (usage.inputTokens || 0) + cacheReadTokens + cacheWriteTokens;
+  const completionTokens = usage.outputTokens || 0;
+  const result = {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+  if (cacheReadTokens > 0) {
+    result.prompt_tokens_details = { cached_tokens: cacheReadTokens };
+  }
+  return result;
+}
+
+// Convert one ConverseStream event to OpenAI format
+// messageStop carries the stop reason but usage arrives after it in
+// metadata, so the finish chunk is emitted there
+export function bedrockToOpenAIResponse(chunk, state) {
+  if (!chunk) return null;
+
+  if (!state.messageId) {
+    state.messageId = `${Date.now()}`;
+    state.toolCallIndex = 0;
+    state.toolCalls = new Map();
+  }
+
+  if (chunk.messageStart) {
+    return createChunk(state, { role: "assistant" });
+  }
+
+  if (chunk.contentBlockStart) {
+    const { start, contentBlockIndex } = chunk.contentBlockStart;
+    if (!start?.toolUse) return null;
+    const index = state.toolCallIndex++;
+    state.toolCalls.set(contentBlockIndex, index);
+    return createChunk(state, {
+      tool_calls: [
+        {
+          index,
+          id: start.toolUse.toolUseId,
+          type: "function",
+          function: { name: start.toolUse.name, arguments: "" },
+        },
+      ],
+    });
+  }
+
+  if (chunk.contentBlockDelta) {
+    const { delta = {}, contentBlockIndex } = chunk.contentBlockDelta;
+    if (delta.text) {
+      return createChunk(state, { content: delta.text });
+    }
+    if (delta.reasoningContent?.text) {
+      return createChunk(state, {
+        reasoning_content: delta.reasoningContent.text,
+      });
+    }
+    if (delta.toolUse) {
+      const index = state.toolCalls.get(contentBlockIndex);
+      if (index === undefined) return null;
+      return createChunk(state, {
+        tool_calls: [
+          { index, function: { arguments: delta.toolUse.input || "" } },
+        ],
+      });
+    }
+    return null;
+  }
+
+  if (chunk.messageStop) {
+    state.finishReason = convertStopReason(chunk.messageStop.stopReason);
+    return null;
+  }
+
+  if (chunk.metadata) {
+    if (chunk.metadata.usage) {
+      state.usage = toOpenAIUsage(chunk.metadata.usage);
+    }
+    if (state.finishReasonSent) return null;
+    state.finishReasonSent = true;
+    const finalChunk = createChunk(state, {}, state.finishReason || "stop");
+    if (state.usage) finalChunk.usage = state.usage;
+    return finalChunk;
+  }
+
+  return null;
+}
+
+/**
+ * Convert a non-streaming Converse response to an OpenAI chat completion
+ * @param {object} body - { output: { message }, stopReason, usage }
+ * @returns {object}
+ */
+export function bedrockToOpenAINonStreamingResponse(body) {
+  const content = body?.output?.message?.content;
+  if (!Array.isArray(content)) return body;
+
+  let textContent = "";
+  let reasoningContent = "";
+  const toolCalls = [];
+
+  for (const block of content) {
+    if (block.text) {
+      textContent += block.text;
+    } else if (block.reasoningContent?.reasoningText?.text) {
+      reasoningContent += block.reasoningContent.reasoningText.text;
+    } else if (block.toolUse) {
+      toolCalls.push({
+        id: block.toolUse.toolUseId,
+        type: "function",
+        function: {
+          name: block.toolUse.name,
+          arguments: JSON.stringify(block.toolUse.input || {}),
+        },
+      });
+    }
+  }
+
+  const message = { role: "assistant", content: textContent };
+  if (reasoningContent) message.reasoning_content = reasoningContent;
+  if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+  const result = {
+    id: `chatcmpl-${Date.now()}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model: "bedrock",
+    choices: [
+      {
+        index: 0,
+        message,
+        finish_reason: convertStopReason(body.stopReason),
+      },
+    ],
+  };
+
+  if (body.usage) {
+    result.usage = toOpenAIUsage(body.usage);
+  }
+
+  return result;
+}
+
+// Register
+register(FORMATS.BEDROCK, FORMATS.OPENAI, null, bedrockToOpenAIResponse);
@@ -0,0 +1,196 @@
+import { FORMATS } from "../formats.js";
+import { register } from "../index.js";
+
+// Convert OpenAI responses to native Gemini generateContent format
+// Stream chunk: data: {"candidates":[{"content":{"role":"model","parts":[...]},"index":0,"finishReason":"STOP"}],"usageMetadata":{...},"modelVersion":"...","responseId":"..."}
+// Same shape as Antigravity without the { response } wrapper.
+
+const FINISH_REASON_MAP = {
+  stop: "STOP",
+  length: "MAX_TOKENS",
+  tool_calls: "STOP",
+  function_call: "STOP",
+  content_filter: "SAFETY",
+};
+
+function toFinishReason(finishReason) {
+  return FINISH_REASON_MAP[finishReason] || "STOP";
+}
+
+function parseArguments(args) {
+  if (args && typeof args === "object") return args;
+  try {
+    return JSON.parse(args || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function toFunctionCallPart({ id, name, arguments: args }) {
+  return {
+    functionCall: {
+      ...(id && { id }),
+      name,
+      args: parseArguments(args),
+    },
+  };
+}
+
+// OpenAI usage → Gemini usageMetadata (candidates exclude thinking tokens in Gemini)
+function toUsageMetadata(usage) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  const thoughtsTokens = usage.completion_tokens_details?.reasoning_tokens || 0;
+  const metadata = {
+    promptTokenCount: promptTokens,
+    candidatesTokenCount: Math.max(completionTokens - thoughtsTokens, 0),
+    totalTokenCount: usage.total_tokens || promptTokens + completionTokens,
+  };
+  if (thoughtsTokens) {
+    metadata.thoughtsTokenCount = thoughtsTokens;
+  }
+  if (usage.prompt_tokens_details?.cached_tokens) {
+    metadata.cachedContentTokenCount =
+      usage.prompt_tokens_details.cached_tokens;
+  }
+  return metadata;
+}
+
+// Convert one OpenAI SSE chunk to a Gemini stream chunk
+// Tool call arguments arrive in pieces → accumulate and emit complete functionCall parts at finish
+export function openaiToGeminiResponse(chunk, state) {
+  if (!chunk) return null;
+
+  if (!state._toolCallAccum) state._toolCallAccum = {};
+  if (!state._responseId) state._responseId = chunk.id || `resp_${Date.now()}`;
+  if (!state._modelVersion) state._modelVersion = chunk.model || "";
+
+  const choice = chunk.choices?.[0];
+  if (!choice) {
+    if (!chunk.usage) return null;
+    // Usage after the finish chunk (stream_options.include_usage) → usage-only chunk
+    if (state._finishSent) {
+      return {
+        usageMetadata: toUsageMetadata(chunk.usage),
+        modelVersion: state._modelVersion,
+        responseId: state._responseId,
+      };
+    }
+    state._usage = chunk.usage;
+    return null;
+  }
+
+  const delta = choice.delta || {};
+  const finishReason = choice.finish_reason;
+  const parts = [];
+
+  if (delta.reasoning_content) {
+    parts.push({ thought: true, text: delta.reasoning_content });
+  }
+
+  if (delta.content) {
+    parts.push({ text: delta.content });
+  }
+
+  if (delta.tool_calls) {
+    for (const tc of delta.tool_calls) {
+      const idx = tc.index ?? 0;
+      if (!state._toolCallAccum[idx]) {
+        state._toolCallAccum[idx] = { id: "", name: "", arguments: "" };
+      }
+      const accum = state._toolCallAccum[idx];
+      if (tc.id) accum.id = tc.id;
+      if (tc.function?.name) accum.name += tc.function.name;
+      if (tc.function?.arguments) accum.arguments += tc.function.arguments;
+    }
+  }
+
+  if (finishReason) {
+    for (const accum of Object.values(state._toolCallAccum)) {
+      parts.push(toFunctionCallPart(accum));
+    }
+    state._toolCallAccum = {};
+  }
+
+  if (parts.length === 0 && !finishReason) return null;
+
+  const candidate = { content: { role: "model", parts }, index: 0 };
+  if (finishReason) {
+    candidate.finishReason = toFinishReason(finishReason);
+    state._finishSent = true;
+  }
+
+  const response = {
+    candidates: [candidate],
+    modelVersion: state._modelVersion,
+    responseId: state._responseId,
+  };
+
+  const usage = chunk.usage || (finishReason && state._usage);
+  if (usage) {
+    response.usageMetadata = toUsageMetadata(usage);
+  }
+
+  return response;
+}
+
+/**
+ * Convert a non-streaming OpenAI chat completion to a Gemini
+ * generateContent response
+ * @param {object} body - OpenAI chat.completion
+ * @returns {object}
+ */
+export function openaiToGeminiNonStreamingResponse(body) {
+  const choice = body?.choices?.[0];
+  if (!choice) return body;
+
+  const message = choice.message || {};
+  const parts = [];
+
+  if (message.reasoning_content) {
+    parts.push({ thought: true, text: message.reasoning_content });
+  }
+
+  if (typeof message.content === "string" && message.content) {
+    parts.push({ text: message.content });
+  } else if (Array.isArray(message.content)) {
+    for (const part of message.content) {
+      if (part.type === "text" && part.text) parts.push({ text: part.text });
+    }
+  }
+
+  for (const tc of message.tool_calls || []) {
+    parts.push(
+      toFunctionCallPart({
+        id: tc.id,
+        name: tc.function?.name || "",
+        arguments: tc.function?.arguments,
+      }),
+    );
+  }
+
+  if (parts.length === 0) {
+    parts.push({ text: "" });
+  }
+
+  const response = {
+    candidates: [
+      {
+        content: { role: "model", parts },
+        finishReason: toFinishReason(choice.finish_reason),
+        index: 0,
+      },
+    ],
+    modelVersion: body.model || "",
+    responseId: body.id || `resp_${Date.now()}`,
+  };
+
+  if (body.usage) {
+    response.usageMetadata = toUsageMetadata(body.usage);
+  }
+
+  return response;
+}
+
+// Register
+register(FORMATS.OPENAI, FORMATS.GEMINI, null, openaiToGeminiResponse);
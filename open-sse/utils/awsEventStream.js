@@ -0,0 +1,233 @@
+/**
+ * AWS event stream framing (application/vnd.amazon.eventstream)
+ * Message: [total length u32][headers length u32][prelude CRC32]
+ *          [headers][payload][message CRC32], all big-endian
+ * Header:  [name length u8][name][value type u8][value]
+ */
+
+const PRELUDE_LENGTH = 12;
+const CHECKSUM_LENGTH = 4;
+const MIN_MESSAGE_LENGTH = PRELUDE_LENGTH + CHECKSUM_LENGTH;
+
+const HEADER_TYPE = {
+  TRUE: 0,
+  FALSE: 1,
+  BYTE: 2,
+  SHORT: 3,
+  INTEGER: 4,
+  LONG: 5,
+  BYTES: 6,
+  STRING: 7,
+  TIMESTAMP: 8,
+  UUID: 9,
+};
+
+const textDecoder = new TextDecoder();
+const textEncoder = new TextEncoder();
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function decodeHeaders(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headers = {};
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    const nameLength = bytes[offset];
+    offset += 1;
+    const name = textDecoder.decode(
+      bytes.subarray(offset, offset + nameLength),
+    );
+    offset += nameLength;
+    const type = bytes[offset];
+    offset += 1;
+
+    switch (type) {
+      case HEADER_TYPE.TRUE:
+        headers[name] = true;
+        break;
+      case HEADER_TYPE.FALSE:
+        headers[name] = false;
+        break;
+      case HEADER_TYPE.BYTE:
+        headers[name] = view.getInt8(offset);
+        offset += 1;
+        break;
+      case HEADER_TYPE.SHORT:
+        headers[name] = view.getInt16(offset, false);
+        offset += 2;
+        break;
+      case HEADER_TYPE.INTEGER:
+        headers[name] = view.getInt32(offset, false);
+        offset += 4;
+        break;
+      case HEADER_TYPE.LONG:
+        headers[name] = Number(view.getBigInt64(offset, false));
+        offset += 8;
+        break;
+      case HEADER_TYPE.TIMESTAMP:
+        headers[name] = new Date(Number(view.getBigInt64(offset, false)));
+        offset += 8;
+        break;
+      case HEADER_TYPE.BYTES:
+      case HEADER_TYPE.STRING: {
+        const length = view.getUint16(offset, false);
+        offset += 2;
+        const value = bytes.slice(offset, offset + length);
+        headers[name] =
+          type === HEADER_TYPE.STRING ? textDecoder.decode(value) : value;
+        offset += length;
+        break;
+      }
+      case HEADER_TYPE.UUID:
+        headers[name] = toHex(bytes.subarray(offset, offset + 16));
+        offset += 16;
+        break;
+      default:
+        throw new Error(`Unknown event stream header type ${type}`);
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Decode one complete event stream message
+ * @param {Uint8Array} bytes - Exactly one message
+ * @returns {{ headers: object, payload: Uint8Array }}
+ */
+export function decodeMessage(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const totalLength = view.getUint32(0, false);
+  const headersLength = view.getUint32(4, false);
+
+  if (totalLength !== bytes.length) {
+    throw new Error("Event stream message length mismatch");
+  }
+  if (view.getUint32(8, false) !== crc32(bytes.subarray(0, 8))) {
+    throw new Error("Event stream prelude checksum mismatch");
+  }
+  if (
+    view.getUint32(totalLength - CHECKSUM_LENGTH, false) !==
+    crc32(bytes.subarray(0, totalLength - CHECKSUM_LENGTH))
+  ) {
+    throw new Error("Event stream message checksum mismatch");
+  }
+
+  const headersEnd = PRELUDE_LENGTH + headersLength;
+  return {
+    headers: decodeHeaders(bytes.subarray(PRELUDE_LENGTH, headersEnd)),
+    payload: bytes.slice(headersEnd, totalLength - CHECKSUM_LENGTH),
+  };
+}
+
+/**
+ * Encode an event stream message with string headers
+ * @param {Record<string, string>} headers
+ * @param {Uint8Array|string|object} payload - Objects are JSON-encoded
+ * @returns {Uint8Array}
+ */
+export function encodeMessage(headers, payload) {
+  const payloadBytes =
+    payload instanceof Uint8Array
+      ? payload
+      : textEncoder.encode(
+          typeof payload === "string" ? payload : JSON.stringify(payload),
+        );
+
+  const headerParts = Object.entries(headers).map(([name, value]) => {
+    const nameBytes = textEncoder.encode(name);
+    const valueBytes = textEncoder.encode(value);
+    const part = new Uint8Array(1 + nameBytes.length + 3 + valueBytes.length);
+    const view = new DataView(part.buffer);
+    part[0] = nameBytes.length;
+    part.set(nameBytes, 1);
+    part[1 + nameBytes.length] = HEADER_TYPE.STRING;
+    view.setUint16(2 + nameBytes.length, valueBytes.length, false);
+    part.set(valueBytes, 4 + nameBytes.length);
+    return part;
+  });
+  const headersLength = headerParts.reduce((sum, p) => sum + p.length, 0);
+  const totalLength =
+    PRELUDE_LENGTH + headersLength + payloadBytes.length + CHECKSUM_LENGTH;
+
+  const message = new Uint8Array(totalLength);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, totalLength, false);
+  view.setUint32(4, headersLength, false);
+  view.setUint32(8, crc32(message.subarray(0, 8)), false);
+
+  let offset = PRELUDE_LENGTH;
+  for (const part of headerParts) {
+    message.set(part, offset);
+    offset += part.length;
+  }
+  message.set(payloadBytes, offset);
+  view.setUint32(
+    totalLength - CHECKSUM_LENGTH,
+    crc32(message.subarray(0, totalLength - CHECKSUM_LENGTH)),
+    false,
+  );
+
+  return message;
+}
+
+/**
+ * TransformStream: response bytes → decoded messages
+ * Messages can span network chunks, so bytes are buffered until a whole
+ * message has arrived. Corrupt framing errors the stream.
+ * @returns {TransformStream<Uint8Array, { headers: object, payload: Uint8Array }>}
+ */
+export function createEventStreamDecoder() {
+  let buffer = new Uint8Array(0);
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      const merged = new Uint8Array(buffer.length + chunk.length);
+      merged.set(buffer);
+      merged.set(chunk, buffer.length);
+      buffer = merged;
+
+      while (buffer.length >= MIN_MESSAGE_LENGTH) {
+        const totalLength = new DataView(
+          buffer.buffer,
+          buffer.byteOffset,
+        ).getUint32(0, false);
+        if (totalLength < MIN_MESSAGE_LENGTH) {
+          throw new Error(`Invalid event stream message length ${totalLength}`);
+        }
+        if (buffer.length < totalLength) break;
+
+        controller.enqueue(decodeMessage(buffer.subarray(0, totalLength)));
+        buffer = buffer.slice(totalLength);
+      }
+    },
+    flush() {
+      if (buffer.length > 0) {
+        throw new Error("Event stream ended mid-message");
+      }
+    },
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * AWS Signature Version 4 request signing
+ * Uses Web Crypto so it runs in Node and Cloudflare Workers alike
+ * https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv-create-signed-request.html
+ */
+
+const ALGORITHM = "AWS4-HMAC-SHA256";
+const encoder = new TextEncoder();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === "string" ? encoder.encode(data) : data;
+  return toHex(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+async function hmac(key, data) {
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    typeof key === "string" ? encoder.encode(key) : key,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+  return crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(data));
+}
+
+// RFC 3986 encoding (encodeURIComponent leaves !'()* unescaped)
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+}
+
+// Non-S3 services sign each path segment encoded twice: the URL path is
+// already encoded once, so encode its segments again
+function canonicalUri(pathname) {
+  return pathname.split("/").map(uriEncode).join("/") || "/";
+}
+
+function canonicalQuery(searchParams) {
+  return [...searchParams]
+    .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : a < b ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+}
+
+/**
+ * Format a date as an AWS timestamp (20150830T123600Z)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toAmzDate(date) {
+  return date.toISOString().replace(/[:-]|\.\d{3}/g, "");
+}
+
+/**
+ * Sign a request with AWS SigV4
+ * @param {object} options
+ * @param {string} [options.method="POST"]
+ * @param {string} options.url
+ * @param {object} [options.headers] - Headers to sign (host is added from the URL)
+ * @param {string} [options.body=""]
+ * @param {string} options.service - Signing name, e.g. "bedrock"
+ * @param {string} options.region
+ * @param {{ accessKeyId: string, secretAccessKey: string, sessionToken?: string }} options.credentials
+ * @param {Date} [options.date]
+ * @returns {Promise<object>} The given headers plus X-Amz-Date, X-Amz-Security-Token and Authorization
+ */
+export async function signRequest({
+  method = "POST",
+  url,
+  headers = {},
+  body = "",
+  service,
+  region,
+  credentials,
+  date = new Date(),
+}) {
+  const { accessKeyId, secretAccessKey, sessionToken } = credentials;
+  const parsedUrl = new URL(url);
+  const amzDate = toAmzDate(date);
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signedHeaders = { ...headers, "X-Amz-Date": amzDate };
+  if (sessionToken) signedHeaders["X-Amz-Security-Token"] = sessionToken;
+
+  const canonicalHeaders = { host: parsedUrl.host };
+  for (const [name, value] of Object.entries(signedHeaders)) {
+    canonicalHeaders[name.toLowerCase()] = String(value)
+      .trim()
+      .replace(/\s+/g, " ");
+  }
+  const headerNames = Object.keys(canonicalHeaders).sort();
+  const signedHeaderList = headerNames.join(";");
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalUri(parsedUrl.pathname),
+    canonicalQuery(parsedUrl.searchParams),
+    headerNames.map(name => `${name}:${canonicalHeaders[name]}\n`).join(""),
+    signedHeaderList,
+    await sha256Hex(body),
+  ].join("\n");
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = [
+    ALGORITHM,
+    amzDate,
+    scope,
+    await sha256Hex(canonicalRequest),
+  ].join("\n");
+
+  const dateKey = await hmac(`AWS4${secretAccessKey}`, dateStamp);
+  const regionKey = await hmac(dateKey, region);
+  const serviceKey = await hmac(regionKey, service);
+  const signingKey = await hmac(serviceKey, "aws4_request");
+  const signature = toHex(await hmac(signingKey, stringToSign));
+
+  return {
+    ...signedHeaders,
+    Authorization: `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`,
+  };
+}
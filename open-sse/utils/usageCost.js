@@ -0,0 +1,66 @@
+/**
+ * Calculate the cost of a request from its token counts
+ * @param {object} tokens - { prompt_tokens | input_tokens, completion_tokens | output_tokens, cached_tokens, reasoning_tokens, cache_creation_input_tokens, audio_seconds, characters, images, searches, ... }
+ * @param {object|null} pricing - Rates in $/1M tokens { input, output, cached?, reasoning?, cache_creation? },
+ *   plus audio rates { audio_minute? ($/minute), characters? ($/1M characters) }, image? ($/image) and search? ($/search unit)
+ * @returns {number} Cost in dollars
+ */
+export function calculateUsageCost(tokens, pricing) {
+  if (!tokens || !pricing) return 0;
+
+  let cost = 0;
+
+  // Input tokens (non-cached)
+  const inputTokens = tokens.prompt_tokens || tokens.input_tokens || 0;
+  const cachedTokens =
+    tokens.cached_tokens || tokens.cache_read_input_tokens || 0;
+  const nonCachedInput = Math.max(0, inputTokens - cachedTokens);
+
+  cost += nonCachedInput * ((pricing.input || 0) / 1000000);
+
+  // Cached tokens
+  if (cachedTokens > 0) {
+    const cachedRate = pricing.cached || pricing.input; // Fallback to input rate
+    cost += cachedTokens * (cachedRate / 1000000);
+  }
+
+  // Output tokens
+  const outputTokens = tokens.completion_tokens || tokens.output_tokens || 0;
+  cost += outputTokens * ((pricing.output || 0) / 1000000);
+
+  // Reasoning tokens
+  const reasoningTokens = tokens.reasoning_tokens || 0;
+  if (reasoningTokens > 0) {
+    const reasoningRate = pricing.reasoning || pricing.output; // Fallback to output rate
+    cost += reasoningTokens * (reasoningRate / 1000000);
+  }
+
+  // Cache creation tokens
+  const cacheCreationTokens = tokens.cache_creation_input_tokens || 0;
+  if (cacheCreationTokens > 0) {
+    const cacheCreationRate = pricing.cache_creation || pricing.input; // Fallback to input rate
+    cost += cacheCreationTokens * (cacheCreationRate / 1000000);
+  }
+
+  // Transcribed audio (speech-to-text)
+  if (tokens.audio_seconds > 0) {
+    cost += (tokens.audio_seconds / 60) * (pricing.audio_minute || 0);
+  }
+
+  // Synthesized characters (text-to-speech)
+  if (tokens.characters > 0) {
+    cost += tokens.characters * ((pricing.characters || 0) / 1000000);
+  }
+
+  // Generated images
+  if (tokens.images > 0) {
+    cost += tokens.images * (pricing.image || 0);
+  }
+
+  // Rerank search units (Cohere bills per search, not per token)
+  if (tokens.searches > 0) {
+    cost += tokens.searches * (pricing.search || 0);
+  }
+
+  return cost;
+}
@@ -0,0 +1,258 @@
+"use client";
+
+import {
+  Card,
+  Badge,
+  Button,
+  Input,
+  Select,
+  CardSkeleton,
+} from "@/shared/components";
+import { useState, useEffect, useCallback } from "react";
+import { getRelativeTime } from "@/shared/utils";
+import PropTypes from "prop-types";
+
+const ALL = "all";
+
+const RESOURCE_OPTIONS = [
+  { value: ALL, label: "All resources" },
+  { value: "connection", label: "Connections" },
+  { value: "combo", label: "Combos" },
+  { value: "alias", label: "Aliases" },
+  { value: "pricing", label: "Pricing" },
+  { value: "settings", label: "Settings" },
+  { value: "user", label: "Users" },
+];
+
+const ACTION_OPTIONS = [
+  { value: ALL, label: "All actions" },
+  { value: "create", label: "Created" },
+  { value: "update", label: "Updated" },
+  { value: "delete", label: "Deleted" },
+];
+
+const ACTION_VARIANTS = {
+  create: "success",
+  update: "info",
+  delete: "error",
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "—";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+export default function AuditPage() {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({
+    resource: ALL,
+    action: ALL,
+    user: "",
+  });
+  const [revertingId, setRevertingId] = useState(null);
+
+  const fetchEntries = useCallback(async () => {
+    const params = new URLSearchParams();
+    if (filters.resource !== ALL) params.set("resource", filters.resource);
+    if (filters.action !== ALL) params.set("action", filters.action);
+    if (filters.user.trim()) params.set("user", filters.user.trim());
+    try {
+      const res = await fetch(`/api/audit?${params}`);
+      const data = await res.json();
+      if (res.ok) setEntries(data.entries || []);
+    } catch (error) {
+      console.log("Error fetching audit log:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const handleRevert = async entry => {
+    const target = entry.name || entry.resource;
+    if (!confirm(`Revert this ${entry.action} of ${target}?`)) return;
+    setRevertingId(entry.id);
+    try {
+      const res = await fetch(`/api/audit/${entry.id}/revert`, {
+        method: "POST",
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to revert change");
+        return;
+      }
+      if (data.skipped?.length) {
+        alert(
+          `Reverted. Secret fields were left as they are: ${data.skipped.join(", ")}`,
+        );
+      }
+      await fetchEntries();
+    } catch (error) {
+      console.log("Error reverting change:", error);
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col gap-6">
+        <CardSkeleton />
+        <CardSkeleton />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6">
+      <div>
+        <h1 className="text-2xl font-semibold">Audit Log</h1>
+        <p className="text-sm text-text-muted mt-1">
+          Who changed what, with before and after values. Secrets are never
+          logged. Revert undoes a single change if nothing changed it since.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Select
+          options={RESOURCE_OPTIONS}
+          value={filters.resource}
+          onChange={e => setFilters({ ...filters, resource: e.target.value })}
+          className="w-48"
+        />
+        <Select
+          options={ACTION_OPTIONS}
+          value={filters.action}
+          onChange={e => setFilters({ ...filters, action: e.target.value })}
+          className="w-40"
+        />
+        <Input
+          placeholder="Username"
+          value={filters.user}
+          onChange={e => setFilters({ ...filters, user: e.target.value })}
+          className="w-48"
+        />
+      </div>
+
+      {entries.length === 0 ? (
+        <Card>
+          <div className="text-center py-12">
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary/10 text-primary mb-4">
+              <span className="material-symbols-outlined text-[32px]">
+                history
+              </span>
+            </div>
+            <p className="text-text-main font-medium mb-1">No changes found</p>
+            <p className="text-sm text-text-muted">
+              Configuration changes show up here as they happen
+            </p>
+          </div>
+        </Card>
+      ) : (
+        <div className="flex flex-col gap-3">
+          {entries.map(entry => (
+            <AuditEntryCard
+              key={entry.id || entry.ts}
+              entry={entry}
+              reverting={revertingId === entry.id}
+              onRevert={() => handleRevert(entry)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AuditEntryCard({ entry, reverting, onRevert }) {
+  const fields = Object.keys({ ...entry.before, ...entry.after });
+
+  return (
+    <Card padding="sm">
+      <div className="flex items-start gap-3">
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2">
+            <Badge
+              variant={ACTION_VARIANTS[entry.action] || "default"}
+              size="sm"
+            >
+              {entry.action}
+            </Badge>
+            <span className="font-medium">{entry.resource}</span>
+            {entry.name && (
+              <span className="text-text-muted truncate">{entry.name}</span>
+            )}
+            {entry.revertOf && (
+              <Badge
+                size="sm"
+                icon="undo"
+              >
+                revert
+              </Badge>
+            )}
+          </div>
+          <p className="text-xs text-text-muted mt-1">
+            {entry.user}
+            {entry.role ? ` (${entry.role})` : ""} ·{" "}
+            <span title={new Date(entry.ts).toLocaleString()}>
+              {getRelativeTime(entry.ts)}
+            </span>
+          </p>
+          {fields.length > 0 && (
+            <div className="mt-2 flex flex-col gap-1 text-xs font-mono">
+              {fields.map(field => (
+                <div
+                  key={field}
+                  className="flex gap-2 min-w-0"
+                >
+                  <span className="text-text-muted shrink-0">{field}</span>
+                  <span className="text-red-500 line-through truncate">
+                    {formatValue(entry.before?.[field])}
+                  </span>
+                  <span className="text-green-600 truncate">
+                    {formatValue(entry.after?.[field])}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        {entry.revertible && (
+          <Button
+            size="sm"
+            variant="ghost"
+            icon="undo"
+            disabled={entry.reverted}
+            loading={reverting}
+            onClick={onRevert}
+          >
+            {entry.reverted ? "Reverted" : "Revert"}
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+AuditEntryCard.propTypes = {
+  entry: PropTypes.shape({
+    id: PropTypes.string,
+    ts: PropTypes.string.isRequired,
+    user: PropTypes.string,
+    role: PropTypes.string,
+    action: PropTypes.string.isRequired,
+    resource: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    before: PropTypes.object,
+    after: PropTypes.object,
+    revertOf: PropTypes.string,
+    revertible: PropTypes.bool,
+    reverted: PropTypes.bool,
+  }).isRequired,
+  reverting: PropTypes.bool,
+  onRevert: PropTypes.func.isRequired,
+};
@@ -1,23 +1,43 @@
 "use client";
 
-import {
-  isOpenAICompatibleProvider,
-  isAnthropicCompatibleProvider,
-} from "@/shared/constants/providers";
 import {
   Card,
   Button,
   Modal,
   Input,
+  Select,
   CardSkeleton,
   ModelSelectModal,
+  PluginPicker,
+  ConfigManagedBadge,
 } from "@/shared/components";
+import {
+  isOpenAICompatibleProvider,
+  isAnthropicCompatibleProvider,
+} from "@/shared/constants/providers";
 import { useCopyToClipboard } from "@/shared/hooks/useCopyToClipboard";
 import { useState, useEffect, useCallback } from "react";
 
 // Validate combo name: only a-z, A-Z, 0-9, -, _
 const VALID_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
 
+// Routing strategies (see COMBO_STRATEGIES in open-sse/services/combo.js)
+const STRATEGY_OPTIONS = [
+  { value: "ordered", label: "Ordered fallback" },
+  { value: "weighted", label: "Weighted random" },
+  { value: "round-robin", label: "Round-robin" },
+  { value: "latency", label: "Lowest latency (p50)" },
+  { value: "cost", label: "Cheapest (pricing)" },
+];
+
+const STRATEGY_HINTS = {
+  ordered: "Always tries models top to bottom",
+  weighted: "Picks the first model at random by weight, others as fallback",
+  "round-robin": "Rotates the first model on every request",
+  latency: "Prefers the model with the lowest observed median latency",
+  cost: "Prefers the model with the lowest input + output price",
+};
+
 export default function CombosPage() {
   const [combos, setCombos] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -207,6 +227,26 @@ function ComboCard({ combo, copied, onCopy, onEdit, onDelete }) {
               <code className="text-sm font-medium font-mono truncate">
                 {combo.name}
               </code>
+              {combo.strategy && combo.strategy !== "ordered" && (
+                <span className="text-[10px] font-medium uppercase tracking-wide bg-primary/10 text-primary px-1.5 py-0.5 rounded">
+                  {combo.strategy}
+                </span>
+              )}
+              {combo.race?.count >= 2 && (
+                <span className="text-[10px] font-medium uppercase tracking-wide bg-amber-500/10 text-amber-600 dark:text-amber-400 px-1.5 py-0.5 rounded">
+                  race ×{combo.race.count}
+                </span>
+              )}
+              <ConfigManagedBadge entity={combo} />
+              {combo.plugins?.length > 0 && (
+                <span
+                  className="text-[10px] font-medium uppercase tracking-wide bg-black/5 dark:bg-white/5 text-text-muted px-1.5 py-0.5 rounded"
+                  title={combo.plugins.join(", ")}
+                >
+                  {combo.plugins.length} plugin
+                  {combo.plugins.length > 1 ? "s" : ""}
+                </span>
+              )}
               <button
                 onClick={e => {
                   e.stopPropagation();
@@ -245,7 +285,9 @@ function ComboCard({ combo, copied, onCopy, onEdit, onDelete }) {
         </div>
 
         {/* Actions */}
-        <div className="flex gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity shrink-0">
+        <div
+          className={`flex gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity shrink-0 ${combo.managedBy === "config" ? "hidden" : ""}`}
+        >
           <button
             onClick={onEdit}
             className="p-1.5 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary transition-colors"
@@ -272,6 +314,13 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
   // Initialize state with combo values - key prop on parent handles reset on remount
   const [name, setName] = useState(combo?.name || "");
   const [models, setModels] = useState(combo?.models || []);
+  const [strategy, setStrategy] = useState(combo?.strategy || "ordered");
+  const [weights, setWeights] = useState(combo?.weights || {});
+  const [raceCount, setRaceCount] = useState(combo?.race?.count || 0);
+  const [hedgeDelayMs, setHedgeDelayMs] = useState(
+    combo?.race?.hedgeDelayMs || 0,
+  );
+  const [plugins, setPlugins] = useState(combo?.plugins || []);
   const [showModelSelect, setShowModelSelect] = useState(false);
   const [saving, setSaving] = useState(false);
   const [nameError, setNameError] = useState("");
@@ -333,7 +382,20 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
   };
 
   const handleRemoveModel = index => {
+    const removed = models[index];
     setModels(models.filter((_, i) => i !== index));
+    if (weights[removed] !== undefined) {
+      const { [removed]: _, ...rest } = weights;
+      setWeights(rest);
+    }
+  };
+
+  const handleWeightChange = (model, value) => {
+    const weight = Number(value);
+    setWeights({
+      ...weights,
+      [model]: Number.isFinite(weight) && weight >= 0 ? weight : 0,
+    });
   };
 
   // Format model display name with readable provider name
@@ -377,7 +439,18 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
   const handleSave = async () => {
     if (!validateName(name)) return;
     setSaving(true);
-    await onSave({ name: name.trim(), models });
+    // Only keep weights for models still in the combo
+    const comboWeights = Object.fromEntries(
+      Object.entries(weights).filter(([model]) => models.includes(model)),
+    );
+    await onSave({
+      name: name.trim(),
+      models,
+      strategy,
+      weights: comboWeights,
+      race: raceCount >= 2 ? { count: raceCount, hedgeDelayMs } : null,
+      plugins,
+    });
     setSaving(false);
   };
 
@@ -405,6 +478,50 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
             </p>
           </div>
 
+          {/* Strategy */}
+          <Select
+            label="Routing Strategy"
+            options={STRATEGY_OPTIONS}
+            value={strategy}
+            onChange={e => setStrategy(e.target.value)}
+            hint={STRATEGY_HINTS[strategy]}
+          />
+
+          {/* Race / hedged requests */}
+          <div className="grid grid-cols-2 gap-2">
+            <Input
+              label="Race first N models"
+              type="number"
+              min="0"
+              max="5"
+              value={raceCount}
+              onChange={e =>
+                setRaceCount(
+                  Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0)),
+                )
+              }
+              hint="0 or 1 = off"
+            />
+            <Input
+              label="Hedge delay (ms)"
+              type="number"
+              min="0"
+              step="100"
+              value={hedgeDelayMs}
+              onChange={e =>
+                setHedgeDelayMs(Math.max(0, parseInt(e.target.value, 10) || 0))
+              }
+              disabled={raceCount < 2}
+              hint="0 = fire all at once"
+            />
+          </div>
+
+          {/* Middleware plugins */}
+          <PluginPicker
+            value={plugins}
+            onChange={setPlugins}
+          />
+
           {/* Models */}
           <div>
             <label className="text-sm font-medium mb-1.5 block">Models</label>
@@ -433,6 +550,21 @@ function ComboFormModal({ isOpen, combo, onClose, onSave, activeProviders }) {
                       {formatModelDisplay(model)}
                     </div>
 
+                    {/* Weight - only relevant for weighted strategy */}
+                    {strategy === "weighted" && (
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={weights[model] ?? 1}
+                        onChange={e =>
+                          handleWeightChange(model, e.target.value)
+                        }
+                        className="w-12 px-1 py-0.5 text-[11px] text-right bg-white dark:bg-white/5 border border-black/10 dark:border-white/10 rounded focus:outline-none focus:border-primary/50"
+                        title="Weight (0 = fallback only)"
+                      />
+                    )}
+
                     {/* Priority arrows - horizontal, always visible */}
                     <div className="flex items-center gap-0.5">
                       <button
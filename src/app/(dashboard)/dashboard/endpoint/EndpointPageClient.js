@@ -7,6 +7,8 @@ import {
   Modal,
   CardSkeleton,
   Toggle,
+  PluginPicker,
+  ConfigManagedBadge,
 } from "@/shared/components";
 import { useCopyToClipboard } from "@/shared/hooks/useCopyToClipboard";
 import { useState, useEffect } from "react";
@@ -38,6 +40,49 @@ const TUNNEL_BENEFITS = [
 
 const TUNNEL_ACTION_TIMEOUT_MS = 90000;
 
+const KEY_LIMIT_FIELDS = [
+  {
+    field: "requestsPerMinute",
+    label: "Requests per minute",
+    placeholder: "Unlimited",
+  },
+  { field: "tokensPerDay", label: "Tokens per day", placeholder: "Unlimited" },
+  {
+    field: "monthlyBudgetUsd",
+    label: "Monthly budget (USD)",
+    placeholder: "Unlimited",
+  },
+];
+
+const KEY_SCOPE_SECTIONS = [
+  {
+    section: "providers",
+    label: "Providers",
+    placeholder: "cc, openai",
+  },
+  {
+    section: "models",
+    label: "Models",
+    placeholder: "cc/claude-haiku-*, openai/gpt-4o-mini",
+  },
+  { section: "combos", label: "Combos", placeholder: "cheap-*" },
+];
+
+const splitPatterns = value =>
+  value
+    .split(",")
+    .map(p => p.trim())
+    .filter(Boolean);
+
+function formatKeyUsage(usage = {}, limits = {}) {
+  const withLimit = (value, limit) => (limit ? `${value} / ${limit}` : value);
+  return [
+    `${withLimit(usage.requestsLastMinute || 0, limits?.requestsPerMinute)} req/min`,
+    `${withLimit((usage.tokensToday || 0).toLocaleString(), limits?.tokensPerDay?.toLocaleString())} tokens today`,
+    `${withLimit(`$${(usage.costThisMonth || 0).toFixed(2)}`, limits?.monthlyBudgetUsd ? `$${limits.monthlyBudgetUsd.toFixed(2)}` : null)} this month`,
+  ].join(" · ");
+}
+
 const CLOUD_PROXY_URLS = [
   "https://involvex-claude-router-cloud.involvex.workers.dev",
 ];
@@ -48,6 +93,13 @@ export default function APIPageClient({ machineId }) {
   const [showAddModal, setShowAddModal] = useState(false);
   const [newKeyName, setNewKeyName] = useState("");
   const [createdKey, setCreatedKey] = useState(null);
+  const [limitsKey, setLimitsKey] = useState(null);
+  const [limitsForm, setLimitsForm] = useState({});
+  const [limitsError, setLimitsError] = useState("");
+  const [scopeKey, setScopeKey] = useState(null);
+  const [scopeForm, setScopeForm] = useState({});
+  const [scopeError, setScopeError] = useState("");
+  const [scopePlugins, setScopePlugins] = useState([]);
 
   /* ========== CLOUD STATE — COMMENTED OUT (replaced by Tunnel) ==========
   const [cloudEnabled, setCloudEnabled] = useState(false);
@@ -425,6 +477,85 @@ export default function APIPageClient({ machineId }) {
     }
   };
 
+  const openLimitsModal = key => {
+    setLimitsKey(key);
+    setLimitsError("");
+    setLimitsForm(
+      Object.fromEntries(
+        KEY_LIMIT_FIELDS.map(({ field }) => [
+          field,
+          key.limits?.[field] ? String(key.limits[field]) : "",
+        ]),
+      ),
+    );
+  };
+
+  const handleSaveLimits = async () => {
+    const limits = {};
+    for (const { field } of KEY_LIMIT_FIELDS) {
+      const value = limitsForm[field]?.trim();
+      if (value) limits[field] = Number(value);
+    }
+    try {
+      const res = await fetch(`/api/keys/${limitsKey.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          limits: Object.keys(limits).length ? limits : null,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setLimitsError(data.error || "Failed to save limits");
+        return;
+      }
+      setLimitsKey(null);
+      await fetchData();
+    } catch (error) {
+      console.log("Error saving key limits:", error);
+    }
+  };
+
+  const openScopeModal = key => {
+    setScopeKey(key);
+    setScopeError("");
+    const form = {};
+    for (const { section } of KEY_SCOPE_SECTIONS) {
+      form[`${section}.allow`] = (key.scope?.[section]?.allow || []).join(", ");
+      form[`${section}.deny`] = (key.scope?.[section]?.deny || []).join(", ");
+    }
+    setScopeForm(form);
+    setScopePlugins(key.plugins || []);
+  };
+
+  const handleSaveScope = async () => {
+    const scope = {};
+    for (const { section } of KEY_SCOPE_SECTIONS) {
+      const allow = splitPatterns(scopeForm[`${section}.allow`] || "");
+      const deny = splitPatterns(scopeForm[`${section}.deny`] || "");
+      if (allow.length || deny.length) scope[section] = { allow, deny };
+    }
+    try {
+      const res = await fetch(`/api/keys/${scopeKey.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          scope: Object.keys(scope).length ? scope : null,
+          plugins: scopePlugins,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setScopeError(data.error || "Failed to save access rules");
+        return;
+      }
+      setScopeKey(null);
+      await fetchData();
+    } catch (error) {
+      console.log("Error saving key scope:", error);
+    }
+  };
+
   const [baseUrl, setBaseUrl] = useState("/v1");
 
   // Hydration fix: Only access window on client side
@@ -628,7 +759,10 @@ export default function APIPageClient({ machineId }) {
                 className={`group flex items-center justify-between py-3 border-b border-black/[0.03] dark:border-white/[0.03] last:border-b-0 ${key.isActive === false ? "opacity-60" : ""}`}
               >
                 <div className="flex-1 min-w-0">
-                  <p className="text-sm font-medium">{key.name}</p>
+                  <div className="flex items-center gap-2">
+                    <p className="text-sm font-medium">{key.name}</p>
+                    <ConfigManagedBadge entity={key} />
+                  </div>
                   <div className="flex items-center gap-2 mt-1">
                     <code className="text-xs text-text-muted font-mono">
                       {key.key}
@@ -645,38 +779,72 @@ export default function APIPageClient({ machineId }) {
                   <p className="text-xs text-text-muted mt-1">
                     Created {new Date(key.createdAt).toLocaleDateString()}
                   </p>
+                  <p className="text-xs text-text-muted mt-1">
+                    {formatKeyUsage(key.usage, key.limits)}
+                  </p>
+                  {key.scope && (
+                    <p className="text-xs text-primary mt-1">
+                      Restricted access
+                    </p>
+                  )}
+                  {key.plugins?.length > 0 && (
+                    <p className="text-xs text-text-muted mt-1">
+                      Plugins: {key.plugins.join(", ")}
+                    </p>
+                  )}
                   {key.isActive === false && (
                     <p className="text-xs text-orange-500 mt-1">Paused</p>
                   )}
                 </div>
-                <div className="flex items-center gap-2">
-                  <Toggle
-                    size="sm"
-                    checked={key.isActive ?? true}
-                    onChange={checked => {
-                      if (key.isActive && !checked) {
-                        if (
-                          confirm(
-                            `Pause API key "${key.name}"?\n\nThis key will stop working immediately but can be resumed later.`,
-                          )
-                        ) {
+                {/* Config file keys are read-only */}
+                {key.managedBy !== "config" && (
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => openLimitsModal(key)}
+                      className="p-2 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary opacity-0 group-hover:opacity-100 transition-all"
+                      title="Edit limits"
+                    >
+                      <span className="material-symbols-outlined text-[18px]">
+                        speed
+                      </span>
+                    </button>
+                    <button
+                      onClick={() => openScopeModal(key)}
+                      className="p-2 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary opacity-0 group-hover:opacity-100 transition-all"
+                      title="Edit allowed models and plugins"
+                    >
+                      <span className="material-symbols-outlined text-[18px]">
+                        lock
+                      </span>
+                    </button>
+                    <Toggle
+                      size="sm"
+                      checked={key.isActive ?? true}
+                      onChange={checked => {
+                        if (key.isActive && !checked) {
+                          if (
+                            confirm(
+                              `Pause API key "${key.name}"?\n\nThis key will stop working immediately but can be resumed later.`,
+                            )
+                          ) {
+                            handleToggleKey(key.id, checked);
+                          }
+                        } else {
                           handleToggleKey(key.id, checked);
                         }
-                      } else {
-                        handleToggleKey(key.id, checked);
-                      }
-                    }}
-                    title={key.isActive ? "Pause key" : "Resume key"}
-                  />
-                  <button
-                    onClick={() => handleDeleteKey(key.id)}
-                    className="p-2 hover:bg-red-500/10 rounded text-red-500 opacity-0 group-hover:opacity-100 transition-all"
-                  >
-                    <span className="material-symbols-outlined text-[18px]">
-                      delete
-                    </span>
-                  </button>
-                </div>
+                      }}
+                      title={key.isActive ? "Pause key" : "Resume key"}
+                    />
+                    <button
+                      onClick={() => handleDeleteKey(key.id)}
+                      className="p-2 hover:bg-red-500/10 rounded text-red-500 opacity-0 group-hover:opacity-100 transition-all"
+                    >
+                      <span className="material-symbols-outlined text-[18px]">
+                        delete
+                      </span>
+                    </button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -725,6 +893,111 @@ export default function APIPageClient({ machineId }) {
         </div>
       </Modal>
 
+      {/* Key Limits Modal */}
+      <Modal
+        isOpen={!!limitsKey}
+        title={`Limits for "${limitsKey?.name || ""}"`}
+        onClose={() => setLimitsKey(null)}
+      >
+        <div className="flex flex-col gap-4">
+          <p className="text-sm text-text-muted">
+            Requests over a limit are rejected with 429 and a Retry-After
+            header. Leave empty for unlimited.
+          </p>
+          {KEY_LIMIT_FIELDS.map(({ field, label, placeholder }) => (
+            <Input
+              key={field}
+              label={label}
+              type="number"
+              min="0"
+              value={limitsForm[field] || ""}
+              onChange={e =>
+                setLimitsForm(prev => ({ ...prev, [field]: e.target.value }))
+              }
+              placeholder={placeholder}
+            />
+          ))}
+          {limitsError && <p className="text-sm text-red-500">{limitsError}</p>}
+          <div className="flex gap-2">
+            <Button
+              onClick={handleSaveLimits}
+              fullWidth
+            >
+              Save
+            </Button>
+            <Button
+              onClick={() => setLimitsKey(null)}
+              variant="ghost"
+              fullWidth
+            >
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Key Scope Modal */}
+      <Modal
+        isOpen={!!scopeKey}
+        title={`Access for "${scopeKey?.name || ""}"`}
+        onClose={() => setScopeKey(null)}
+      >
+        <div className="flex flex-col gap-4">
+          <p className="text-sm text-text-muted">
+            Comma-separated patterns, <code>*</code> matches anything. An empty
+            allow list allows everything; deny always wins.
+          </p>
+          {KEY_SCOPE_SECTIONS.map(({ section, label, placeholder }) => (
+            <div
+              key={section}
+              className="grid grid-cols-2 gap-2"
+            >
+              <Input
+                label={`${label} allow`}
+                value={scopeForm[`${section}.allow`] || ""}
+                onChange={e =>
+                  setScopeForm(prev => ({
+                    ...prev,
+                    [`${section}.allow`]: e.target.value,
+                  }))
+                }
+                placeholder={placeholder}
+              />
+              <Input
+                label={`${label} deny`}
+                value={scopeForm[`${section}.deny`] || ""}
+                onChange={e =>
+                  setScopeForm(prev => ({
+                    ...prev,
+                    [`${section}.deny`]: e.target.value,
+                  }))
+                }
+              />
+            </div>
+          ))}
+          <PluginPicker
+            value={scopePlugins}
+            onChange={setScopePlugins}
+          />
+          {scopeError && <p className="text-sm text-red-500">{scopeError}</p>}
+          <div className="flex gap-2">
+            <Button
+              onClick={handleSaveScope}
+              fullWidth
+            >
+              Save
+            </Button>
+            <Button
+              onClick={() => setScopeKey(null)}
+              variant="ghost"
+              fullWidth
+            >
+              Cancel
+            </Button>
+          </div>
+        </div>
+      </Modal>
+
       {/* Created Key Modal */}
       <Modal
         isOpen={!!createdKey}
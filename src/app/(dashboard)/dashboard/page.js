@@ -1,7 +1,15 @@
+import { getCurrentUser, hasPermission } from "@/lib/dashboardAuth";
 import EndpointPageClient from "./endpoint/EndpointPageClient";
 import { getMachineId } from "@/shared/utils/machine";
+import { redirect } from "next/navigation";
 
 export default async function DashboardPage() {
+  // Endpoint setup lists API keys; other roles land on their usage view
+  const user = await getCurrentUser();
+  if (user && !hasPermission(user.role, "config:read")) {
+    redirect("/dashboard/usage");
+  }
+
   const machineId = await getMachineId();
   return <EndpointPageClient machineId={machineId} />;
 }
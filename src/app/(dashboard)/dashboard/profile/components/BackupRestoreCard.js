@@ -0,0 +1,257 @@
+"use client";
+
+import { Card, Button, Input, Select } from "@/shared/components";
+import { useState } from "react";
+
+const MODE_OPTIONS = [
+  { value: "merge", label: "Merge (keep existing items)" },
+  { value: "replace", label: "Replace (remove items not in backup)" },
+];
+
+const SECTION_LABELS = {
+  providerConnections: "Connections",
+  providerNodes: "Provider nodes",
+  combos: "Combos",
+  apiKeys: "API keys",
+  routingRules: "Routing rules",
+  modelAliases: "Model aliases",
+  mitmAlias: "MITM aliases",
+  pricing: "Pricing",
+  settings: "Settings",
+};
+
+function ChangeList({ label, items, className }) {
+  if (!items.length) return null;
+  return (
+    <p className={className}>
+      {label} {items.length}: {items.join(", ")}
+    </p>
+  );
+}
+
+export default function BackupRestoreCard() {
+  const [exportPassphrase, setExportPassphrase] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [archive, setArchive] = useState(null);
+  const [fileName, setFileName] = useState("");
+  const [restorePassphrase, setRestorePassphrase] = useState("");
+  const [mode, setMode] = useState("merge");
+  const [preview, setPreview] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const [status, setStatus] = useState({ type: "", message: "" });
+
+  const handleExport = async () => {
+    setExporting(true);
+    setStatus({ type: "", message: "" });
+    try {
+      const res = await fetch("/api/backup", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ passphrase: exportPassphrase || undefined }),
+      });
+      if (!res.ok) {
+        const data = await res.json();
+        throw new Error(data.error || "Failed to export backup");
+      }
+      const disposition = res.headers.get("Content-Disposition") || "";
+      const name = /filename="([^"]+)"/.exec(disposition)?.[1] || "backup.json";
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleFile = async e => {
+    const file = e.target.files?.[0];
+    setPreview(null);
+    setStatus({ type: "", message: "" });
+    if (!file) return;
+    try {
+      setArchive(JSON.parse(await file.text()));
+      setFileName(file.name);
+    } catch {
+      setArchive(null);
+      setStatus({ type: "error", message: "File is not valid JSON" });
+    }
+  };
+
+  const restore = async dryRun => {
+    setRestoring(true);
+    setStatus({ type: "", message: "" });
+    try {
+      const res = await fetch("/api/backup/restore", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          archive,
+          passphrase: restorePassphrase || undefined,
+          mode,
+          dryRun,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to restore backup");
+
+      if (dryRun) {
+        setPreview(data.changes);
+      } else {
+        setPreview(null);
+        setArchive(null);
+        setFileName("");
+        setStatus({ type: "success", message: "Backup restored" });
+      }
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 rounded-lg bg-green-500/10 text-green-500">
+          <span className="material-symbols-outlined text-[20px]">
+            settings_backup_restore
+          </span>
+        </div>
+        <h3 className="text-lg font-semibold">Backup &amp; Restore</h3>
+      </div>
+      <div className="flex flex-col gap-4">
+        <div className="flex flex-col gap-2">
+          <p className="font-medium">Export</p>
+          <p className="text-sm text-text-muted">
+            Connections, provider nodes, aliases, combos, API keys, routing
+            rules, pricing and settings in one file. Without a passphrase the
+            file contains provider tokens in plain text.
+          </p>
+          <div className="flex items-center gap-2">
+            <Input
+              type="password"
+              placeholder="Passphrase (optional)"
+              value={exportPassphrase}
+              onChange={e => setExportPassphrase(e.target.value)}
+              className="flex-1"
+            />
+            <Button
+              variant="secondary"
+              icon="download"
+              onClick={handleExport}
+              loading={exporting}
+            >
+              Download
+            </Button>
+          </div>
+        </div>
+
+        <div className="flex flex-col gap-2 pt-4 border-t border-border/50">
+          <p className="font-medium">Restore</p>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFile}
+            className="text-sm"
+          />
+          {archive && (
+            <>
+              <div className="flex items-center gap-2">
+                {archive.encrypted && (
+                  <Input
+                    type="password"
+                    placeholder="Backup passphrase"
+                    value={restorePassphrase}
+                    onChange={e => {
+                      setRestorePassphrase(e.target.value);
+                      setPreview(null);
+                    }}
+                    className="flex-1"
+                  />
+                )}
+                <Select
+                  options={MODE_OPTIONS}
+                  value={mode}
+                  onChange={e => {
+                    setMode(e.target.value);
+                    setPreview(null);
+                  }}
+                  className="flex-1"
+                />
+              </div>
+              <p className="text-xs text-text-muted">
+                {fileName}
+                {archive.createdAt && ` · created ${archive.createdAt}`}
+                {archive.appVersion && ` · v${archive.appVersion}`}
+              </p>
+              <div className="flex gap-2">
+                <Button
+                  variant="secondary"
+                  onClick={() => restore(true)}
+                  loading={restoring && !preview}
+                >
+                  Preview changes
+                </Button>
+                <Button
+                  variant={mode === "replace" ? "danger" : "primary"}
+                  onClick={() => restore(false)}
+                  disabled={!preview}
+                  loading={restoring && !!preview}
+                >
+                  Restore
+                </Button>
+              </div>
+            </>
+          )}
+
+          {preview && (
+            <div className="flex flex-col gap-2 p-3 rounded-lg bg-bg border border-border text-sm">
+              {Object.entries(preview).map(([section, diff]) => (
+                <div key={section}>
+                  <p className="font-medium">
+                    {SECTION_LABELS[section] || section}
+                    <span className="ml-2 font-normal text-text-muted">
+                      {diff.unchanged} unchanged
+                    </span>
+                  </p>
+                  <ChangeList
+                    label="+ added"
+                    items={diff.added}
+                    className="text-green-500"
+                  />
+                  <ChangeList
+                    label="~ updated"
+                    items={diff.updated}
+                    className="text-orange-500"
+                  />
+                  <ChangeList
+                    label="- removed"
+                    items={diff.removed}
+                    className="text-red-500"
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {status.message && (
+          <p
+            className={
+              status.type === "error"
+                ? "text-sm text-red-500"
+                : "text-sm text-green-500"
+            }
+          >
+            {status.message}
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,194 @@
+"use client";
+
+import { Card, Button, Input, Select } from "@/shared/components";
+import { useCurrentUser } from "@/shared/hooks/useCurrentUser";
+import { useState, useEffect, useCallback } from "react";
+
+const ROLE_OPTIONS = [
+  { value: "admin", label: "Admin — full access" },
+  { value: "operator", label: "Operator — usage and provider tests" },
+  { value: "viewer", label: "Viewer — read-only usage" },
+];
+
+const EMPTY_FORM = { username: "", password: "", role: "viewer" };
+
+export default function UsersCard() {
+  const { user: currentUser } = useCurrentUser();
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState({ type: "", message: "" });
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const res = await fetch("/api/users");
+      const data = await res.json();
+      if (res.ok) setUsers(data.users);
+    } catch (err) {
+      console.error("Failed to fetch users:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const request = async (url, init, successMessage) => {
+    setStatus({ type: "", message: "" });
+    try {
+      const res = await fetch(url, {
+        headers: { "Content-Type": "application/json" },
+        ...init,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Request failed");
+      if (successMessage)
+        setStatus({ type: "success", message: successMessage });
+      await loadUsers();
+      return true;
+    } catch (err) {
+      setStatus({ type: "error", message: err.message });
+      return false;
+    }
+  };
+
+  const handleCreate = async e => {
+    e.preventDefault();
+    setSaving(true);
+    const created = await request(
+      "/api/users",
+      { method: "POST", body: JSON.stringify(form) },
+      `User ${form.username} created`,
+    );
+    if (created) setForm(EMPTY_FORM);
+    setSaving(false);
+  };
+
+  const handleRoleChange = (user, role) =>
+    request(`/api/users/${user.id}`, {
+      method: "PUT",
+      body: JSON.stringify({ role }),
+    });
+
+  const handleResetPassword = user => {
+    const password = prompt(`New password for ${user.username}`);
+    if (!password) return;
+    request(
+      `/api/users/${user.id}`,
+      { method: "PUT", body: JSON.stringify({ password }) },
+      `Password of ${user.username} reset`,
+    );
+  };
+
+  const handleDelete = user => {
+    if (!confirm(`Delete user ${user.username}?`)) return;
+    request(
+      `/api/users/${user.id}`,
+      { method: "DELETE" },
+      `User ${user.username} deleted`,
+    );
+  };
+
+  return (
+    <Card>
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 rounded-lg bg-indigo-500/10 text-indigo-500">
+          <span className="material-symbols-outlined text-[20px]">group</span>
+        </div>
+        <h3 className="text-lg font-semibold">Users</h3>
+      </div>
+      <div className="flex flex-col gap-4">
+        <div className="flex flex-col gap-2">
+          {users.map(user => (
+            <div
+              key={user.id}
+              className="flex items-center gap-2 p-3 rounded-lg bg-bg border border-border"
+            >
+              <p className="font-medium flex-1 truncate">
+                {user.username}
+                {user.id === currentUser?.id && (
+                  <span className="ml-2 text-xs text-text-muted">(you)</span>
+                )}
+              </p>
+              <Select
+                options={ROLE_OPTIONS}
+                value={user.role}
+                onChange={e => handleRoleChange(user, e.target.value)}
+                className="w-64"
+              />
+              <button
+                onClick={() => handleResetPassword(user)}
+                className="text-text-muted hover:text-primary transition-colors"
+                title="Reset password"
+              >
+                <span className="material-symbols-outlined text-base">key</span>
+              </button>
+              <button
+                onClick={() => handleDelete(user)}
+                className="text-text-muted hover:text-error transition-colors"
+                title="Delete user"
+              >
+                <span className="material-symbols-outlined text-base">
+                  delete
+                </span>
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <form
+          onSubmit={handleCreate}
+          className="flex flex-col gap-2 pt-4 border-t border-border/50"
+        >
+          <p className="font-medium">Add user</p>
+          <div className="flex items-center gap-2">
+            <Input
+              placeholder="Username"
+              value={form.username}
+              onChange={e => setForm({ ...form, username: e.target.value })}
+              required
+              className="flex-1"
+            />
+            <Input
+              type="password"
+              placeholder="Password"
+              value={form.password}
+              onChange={e => setForm({ ...form, password: e.target.value })}
+              autoComplete="new-password"
+              required
+              className="flex-1"
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Select
+              options={ROLE_OPTIONS}
+              value={form.role}
+              onChange={e => setForm({ ...form, role: e.target.value })}
+              className="flex-1"
+            />
+            <Button
+              type="submit"
+              variant="secondary"
+              icon="person_add"
+              loading={saving}
+            >
+              Add
+            </Button>
+          </div>
+        </form>
+
+        {status.message && (
+          <p
+            className={
+              status.type === "error"
+                ? "text-sm text-red-500"
+                : "text-sm text-green-500"
+            }
+          >
+            {status.message}
+          </p>
+        )}
+      </div>
+    </Card>
+  );
+}
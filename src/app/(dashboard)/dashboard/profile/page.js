@@ -1,11 +1,28 @@
 "use client";
 
-import { Card, Button, Badge, Toggle, Input } from "@/shared/components";
+import {
+  Card,
+  Button,
+  Badge,
+  Toggle,
+  Input,
+  Select,
+} from "@/shared/components";
+import BackupRestoreCard from "./components/BackupRestoreCard";
+import { useCurrentUser } from "@/shared/hooks/useCurrentUser";
 import { APP_CONFIG } from "@/shared/constants/config";
 import { useTheme } from "@/shared/hooks/useTheme";
+import UsersCard from "./components/UsersCard";
 import { useState, useEffect } from "react";
 import { cn } from "@/shared/utils/cn";
 
+const CONTEXT_STRATEGY_OPTIONS = [
+  { value: "off", label: "Off" },
+  { value: "drop-oldest", label: "Drop oldest turns" },
+  { value: "trim-tool-results", label: "Trim tool results" },
+  { value: "summarize", label: "Summarize old turns" },
+];
+
 export default function ProfilePage() {
   const { theme, setTheme, isDark } = useTheme();
   const [settings, setSettings] = useState({ fallbackStrategy: "fill-first" });
@@ -18,6 +35,8 @@ export default function ProfilePage() {
   });
   const [passStatus, setPassStatus] = useState({ type: "", message: "" });
   const [passLoading, setPassLoading] = useState(false);
+  const { can, hasPassword } = useCurrentUser();
+  const isAdmin = can("system:manage");
 
   useEffect(() => {
     fetch("/api/settings")
@@ -47,8 +66,8 @@ export default function ProfilePage() {
     setPassStatus({ type: "", message: "" });
 
     try {
-      const res = await fetch("/api/settings", {
-        method: "PATCH",
+      const res = await fetch("/api/auth/password", {
+        method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
           currentPassword: passwords.current,
@@ -158,7 +177,59 @@ export default function ProfilePage() {
     }
   };
 
+  const updateUsageRetentionDays = async days => {
+    if (isNaN(days) || days < 0) return;
+
+    try {
+      const res = await fetch("/api/settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ usageRetentionDays: days }),
+      });
+      if (res.ok) {
+        setSettings(prev => ({ ...prev, usageRetentionDays: days }));
+      }
+    } catch (err) {
+      console.error("Failed to update usageRetentionDays:", err);
+    }
+  };
+
+  const updateResponseCacheSetting = async (key, value) => {
+    if (typeof value === "number" && (isNaN(value) || value < 1)) return;
+
+    try {
+      const res = await fetch("/api/settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ [key]: value }),
+      });
+      if (res.ok) {
+        setSettings(prev => ({ ...prev, [key]: value }));
+      }
+    } catch (err) {
+      console.error(`Failed to update ${key}:`, err);
+    }
+  };
+
+  const updateContextSetting = async (key, value) => {
+    if (typeof value === "number" && (isNaN(value) || value < 0)) return;
+
+    try {
+      const res = await fetch("/api/settings", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ [key]: value }),
+      });
+      if (res.ok) {
+        setSettings(prev => ({ ...prev, [key]: value }));
+      }
+    } catch (err) {
+      console.error(`Failed to update ${key}:`, err);
+    }
+  };
+
   const observabilityEnabled = settings.observabilityEnabled !== false;
+  const responseCacheEnabled = settings.responseCacheEnabled === true;
 
   return (
     <div className="max-w-2xl mx-auto">
@@ -202,14 +273,14 @@ export default function ProfilePage() {
               <div>
                 <p className="font-medium">Require login</p>
                 <p className="text-sm text-text-muted">
-                  When ON, dashboard requires password. When OFF, access without
-                  login.
+                  When ON, dashboard requires a user login. When OFF, anyone can
+                  access it with admin rights.
                 </p>
               </div>
               <Toggle
                 checked={settings.requireLogin === true}
                 onChange={() => updateRequireLogin(!settings.requireLogin)}
-                disabled={loading}
+                disabled={loading || !isAdmin}
               />
             </div>
             {settings.requireLogin === true && (
@@ -217,7 +288,7 @@ export default function ProfilePage() {
                 onSubmit={handlePasswordChange}
                 className="flex flex-col gap-4 pt-4 border-t border-border/50"
               >
-                {settings.hasPassword && (
+                {hasPassword && (
                   <div className="flex flex-col gap-2">
                     <label className="text-sm font-medium">
                       Current Password
@@ -283,7 +354,7 @@ export default function ProfilePage() {
                     variant="primary"
                     loading={passLoading}
                   >
-                    {settings.hasPassword ? "Update Password" : "Set Password"}
+                    {hasPassword ? "Update Password" : "Set Password"}
                   </Button>
                 </div>
               </form>
@@ -291,66 +362,6 @@ export default function ProfilePage() {
           </div>
         </Card>
 
-        {/* Routing Preferences */}
-        <Card>
-          <div className="flex items-center gap-3 mb-4">
-            <div className="p-2 rounded-lg bg-blue-500/10 text-blue-500">
-              <span className="material-symbols-outlined text-[20px]">
-                route
-              </span>
-            </div>
-            <h3 className="text-lg font-semibold">Routing Strategy</h3>
-          </div>
-          <div className="flex flex-col gap-4">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="font-medium">Round Robin</p>
-                <p className="text-sm text-text-muted">
-                  Cycle through accounts to distribute load
-                </p>
-              </div>
-              <Toggle
-                checked={settings.fallbackStrategy === "round-robin"}
-                onChange={() =>
-                  updateFallbackStrategy(
-                    settings.fallbackStrategy === "round-robin"
-                      ? "fill-first"
-                      : "round-robin",
-                  )
-                }
-                disabled={loading}
-              />
-            </div>
-
-            {/* Sticky Round Robin Limit */}
-            {settings.fallbackStrategy === "round-robin" && (
-              <div className="flex items-center justify-between pt-2 border-t border-border/50">
-                <div>
-                  <p className="font-medium">Sticky Limit</p>
-                  <p className="text-sm text-text-muted">
-                    Calls per account before switching
-                  </p>
-                </div>
-                <Input
-                  type="number"
-                  min="1"
-                  max="10"
-                  value={settings.stickyRoundRobinLimit || 3}
-                  onChange={e => updateStickyLimit(e.target.value)}
-                  disabled={loading}
-                  className="w-20 text-center"
-                />
-              </div>
-            )}
-
-            <p className="text-xs text-text-muted italic pt-2 border-t border-border/50">
-              {settings.fallbackStrategy === "round-robin"
-                ? `Currently distributing requests across all available accounts with ${settings.stickyRoundRobinLimit || 3} calls per account.`
-                : "Currently using accounts in priority order (Fill First)."}
-            </p>
-          </div>
-        </Card>
-
         {/* Theme Preferences */}
         <Card>
           <div className="flex items-center gap-3 mb-4">
@@ -405,168 +416,434 @@ export default function ProfilePage() {
           </div>
         </Card>
 
-        {/* Data Management */}
-        <Card>
-          <div className="flex items-center gap-3 mb-4">
-            <div className="p-2 rounded-lg bg-green-500/10 text-green-500">
-              <span className="material-symbols-outlined text-[20px]">
-                database
-              </span>
-            </div>
-            <h3 className="text-lg font-semibold">Data</h3>
-          </div>
-          <div className="flex flex-col gap-3">
-            <div className="flex items-center justify-between p-4 rounded-lg bg-bg border border-border">
-              <div>
-                <p className="font-medium">Database Location</p>
-                <p className="text-sm text-text-muted font-mono">
-                  {dbPath || "~/.involvex-claude-router/db.json"}
-                </p>
+        {isAdmin && <UsersCard />}
+
+        {isAdmin && (
+          <>
+            {/* Routing Preferences */}
+            <Card>
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 rounded-lg bg-blue-500/10 text-blue-500">
+                  <span className="material-symbols-outlined text-[20px]">
+                    route
+                  </span>
+                </div>
+                <h3 className="text-lg font-semibold">Routing Strategy</h3>
               </div>
-            </div>
-          </div>
-        </Card>
+              <div className="flex flex-col gap-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-medium">Round Robin</p>
+                    <p className="text-sm text-text-muted">
+                      Cycle through accounts to distribute load
+                    </p>
+                  </div>
+                  <Toggle
+                    checked={settings.fallbackStrategy === "round-robin"}
+                    onChange={() =>
+                      updateFallbackStrategy(
+                        settings.fallbackStrategy === "round-robin"
+                          ? "fill-first"
+                          : "round-robin",
+                      )
+                    }
+                    disabled={loading}
+                  />
+                </div>
 
-        {/* Observability Settings */}
-        <Card>
-          <div className="flex items-center gap-3 mb-4">
-            <div className="p-2 rounded-lg bg-orange-500/10 text-orange-500">
-              <span className="material-symbols-outlined text-[20px]">
-                monitoring
-              </span>
-            </div>
-            <h3 className="text-lg font-semibold">Observability</h3>
-          </div>
-          <div className="flex flex-col gap-4">
-            <div className="flex items-center justify-between">
-              <div>
-                <p className="font-medium">Enable Observability</p>
-                <p className="text-sm text-text-muted">
-                  Turn request detail recording on/off globally
+                {/* Sticky Round Robin Limit */}
+                {settings.fallbackStrategy === "round-robin" && (
+                  <div className="flex items-center justify-between pt-2 border-t border-border/50">
+                    <div>
+                      <p className="font-medium">Sticky Limit</p>
+                      <p className="text-sm text-text-muted">
+                        Calls per account before switching
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={settings.stickyRoundRobinLimit || 3}
+                      onChange={e => updateStickyLimit(e.target.value)}
+                      disabled={loading}
+                      className="w-20 text-center"
+                    />
+                  </div>
+                )}
+
+                <p className="text-xs text-text-muted italic pt-2 border-t border-border/50">
+                  {settings.fallbackStrategy === "round-robin"
+                    ? `Currently distributing requests across all available accounts with ${settings.stickyRoundRobinLimit || 3} calls per account.`
+                    : "Currently using accounts in priority order (Fill First)."}
                 </p>
               </div>
-              <Toggle
-                checked={observabilityEnabled}
-                onChange={updateObservabilityEnabled}
-                disabled={loading}
-              />
-            </div>
-
-            <div
-              className={cn(
-                "flex flex-col gap-4",
-                !observabilityEnabled && "opacity-60",
-              )}
-            >
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Max Records</p>
-                  <p className="text-sm text-text-muted">
-                    Maximum request detail records to keep (older records are
-                    auto-deleted)
-                  </p>
+            </Card>
+
+            {/* Data Management */}
+            <Card>
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 rounded-lg bg-green-500/10 text-green-500">
+                  <span className="material-symbols-outlined text-[20px]">
+                    database
+                  </span>
+                </div>
+                <h3 className="text-lg font-semibold">Data</h3>
+              </div>
+              <div className="flex flex-col gap-3">
+                <div className="flex items-center justify-between p-4 rounded-lg bg-bg border border-border">
+                  <div>
+                    <p className="font-medium">Database Location</p>
+                    <p className="text-sm text-text-muted font-mono">
+                      {dbPath || "~/.involvex-claude-router/db.json"}
+                    </p>
+                  </div>
                 </div>
-                <Input
-                  type="number"
-                  min="100"
-                  max="10000"
-                  step="100"
-                  value={settings.observabilityMaxRecords || 1000}
-                  onChange={e =>
-                    updateObservabilitySetting(
-                      "observabilityMaxRecords",
-                      parseInt(e.target.value),
-                    )
-                  }
-                  disabled={loading || !observabilityEnabled}
-                  className="w-28 text-center"
-                />
               </div>
+            </Card>
 
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Batch Size</p>
-                  <p className="text-sm text-text-muted">
-                    Number of items to accumulate before writing to database
-                    (higher = better performance)
-                  </p>
+            <BackupRestoreCard />
+
+            {/* Observability Settings */}
+            <Card>
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 rounded-lg bg-orange-500/10 text-orange-500">
+                  <span className="material-symbols-outlined text-[20px]">
+                    monitoring
+                  </span>
                 </div>
-                <Input
-                  type="number"
-                  min="5"
-                  max="100"
-                  step="5"
-                  value={settings.observabilityBatchSize || 20}
-                  onChange={e =>
-                    updateObservabilitySetting(
-                      "observabilityBatchSize",
-                      parseInt(e.target.value),
-                    )
-                  }
-                  disabled={loading || !observabilityEnabled}
-                  className="w-28 text-center"
-                />
+                <h3 className="text-lg font-semibold">Observability</h3>
               </div>
+              <div className="flex flex-col gap-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-medium">Enable Observability</p>
+                    <p className="text-sm text-text-muted">
+                      Turn request detail recording on/off globally
+                    </p>
+                  </div>
+                  <Toggle
+                    checked={observabilityEnabled}
+                    onChange={updateObservabilityEnabled}
+                    disabled={loading}
+                  />
+                </div>
 
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Flush Interval (ms)</p>
-                  <p className="text-sm text-text-muted">
-                    Maximum time to wait before flushing buffer (prevents data
-                    loss during low traffic)
+                <div
+                  className={cn(
+                    "flex flex-col gap-4",
+                    !observabilityEnabled && "opacity-60",
+                  )}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium">Max Records</p>
+                      <p className="text-sm text-text-muted">
+                        Maximum request detail records to keep (older records
+                        are auto-deleted)
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="100"
+                      max="10000"
+                      step="100"
+                      value={settings.observabilityMaxRecords || 1000}
+                      onChange={e =>
+                        updateObservabilitySetting(
+                          "observabilityMaxRecords",
+                          parseInt(e.target.value),
+                        )
+                      }
+                      disabled={loading || !observabilityEnabled}
+                      className="w-28 text-center"
+                    />
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium">Batch Size</p>
+                      <p className="text-sm text-text-muted">
+                        Number of items to accumulate before writing to database
+                        (higher = better performance)
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="5"
+                      max="100"
+                      step="5"
+                      value={settings.observabilityBatchSize || 20}
+                      onChange={e =>
+                        updateObservabilitySetting(
+                          "observabilityBatchSize",
+                          parseInt(e.target.value),
+                        )
+                      }
+                      disabled={loading || !observabilityEnabled}
+                      className="w-28 text-center"
+                    />
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium">Flush Interval (ms)</p>
+                      <p className="text-sm text-text-muted">
+                        Maximum time to wait before flushing buffer (prevents
+                        data loss during low traffic)
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="1000"
+                      max="30000"
+                      step="1000"
+                      value={settings.observabilityFlushIntervalMs || 5000}
+                      onChange={e =>
+                        updateObservabilitySetting(
+                          "observabilityFlushIntervalMs",
+                          parseInt(e.target.value),
+                        )
+                      }
+                      disabled={loading || !observabilityEnabled}
+                      className="w-28 text-center"
+                    />
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium">Max JSON Size (KB)</p>
+                      <p className="text-sm text-text-muted">
+                        Maximum size for each JSON field (request/response)
+                        before truncation
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="100"
+                      max="10240"
+                      step="100"
+                      value={settings.observabilityMaxJsonSize || 1024}
+                      onChange={e =>
+                        updateObservabilitySetting(
+                          "observabilityMaxJsonSize",
+                          parseInt(e.target.value),
+                        )
+                      }
+                      disabled={loading || !observabilityEnabled}
+                      className="w-28 text-center"
+                    />
+                  </div>
+
+                  <p className="text-xs text-text-muted italic pt-2 border-t border-border/50">
+                    Current: Keeps {settings.observabilityMaxRecords || 1000}{" "}
+                    records, batches every{" "}
+                    {settings.observabilityBatchSize || 20} requests, max{" "}
+                    {settings.observabilityMaxJsonSize || 1024}KB per field
                   </p>
                 </div>
-                <Input
-                  type="number"
-                  min="1000"
-                  max="30000"
-                  step="1000"
-                  value={settings.observabilityFlushIntervalMs || 5000}
-                  onChange={e =>
-                    updateObservabilitySetting(
-                      "observabilityFlushIntervalMs",
-                      parseInt(e.target.value),
-                    )
-                  }
-                  disabled={loading || !observabilityEnabled}
-                  className="w-28 text-center"
-                />
+
+                <div className="flex items-center justify-between pt-4 border-t border-border/50">
+                  <div>
+                    <p className="font-medium">
+                      Usage History Retention (days)
+                    </p>
+                    <p className="text-sm text-text-muted">
+                      Raw per-request usage rows older than this are deleted.
+                      Totals and charts keep using hourly / daily rollups. 0
+                      keeps everything.
+                    </p>
+                  </div>
+                  <Input
+                    type="number"
+                    min="0"
+                    max="3650"
+                    step="1"
+                    value={settings.usageRetentionDays ?? 90}
+                    onChange={e =>
+                      updateUsageRetentionDays(parseInt(e.target.value))
+                    }
+                    disabled={loading}
+                    className="w-28 text-center"
+                  />
+                </div>
+              </div>
+            </Card>
+
+            {/* Response Cache Settings */}
+            <Card>
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 rounded-lg bg-green-500/10 text-green-500">
+                  <span className="material-symbols-outlined text-[20px]">
+                    cached
+                  </span>
+                </div>
+                <h3 className="text-lg font-semibold">Response Cache</h3>
               </div>
+              <div className="flex flex-col gap-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-medium">Enable Response Cache</p>
+                    <p className="text-sm text-text-muted">
+                      Replay identical temperature=0 chat and embeddings
+                      requests. Send <code>x-cache-bypass: 1</code> to skip it
+                      per request
+                    </p>
+                  </div>
+                  <Toggle
+                    checked={responseCacheEnabled}
+                    onChange={enabled =>
+                      updateResponseCacheSetting(
+                        "responseCacheEnabled",
+                        enabled,
+                      )
+                    }
+                    disabled={loading}
+                  />
+                </div>
 
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Max JSON Size (KB)</p>
-                  <p className="text-sm text-text-muted">
-                    Maximum size for each JSON field (request/response) before
-                    truncation
-                  </p>
+                <div
+                  className={cn(
+                    "flex flex-col gap-4",
+                    !responseCacheEnabled && "opacity-60",
+                  )}
+                >
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium">TTL (seconds)</p>
+                      <p className="text-sm text-text-muted">
+                        How long a cached response stays valid
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="10"
+                      step="60"
+                      value={settings.responseCacheTtlSeconds || 300}
+                      onChange={e =>
+                        updateResponseCacheSetting(
+                          "responseCacheTtlSeconds",
+                          parseInt(e.target.value),
+                        )
+                      }
+                      disabled={loading || !responseCacheEnabled}
+                      className="w-28 text-center"
+                    />
+                  </div>
+
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <p className="font-medium">Max Entries</p>
+                      <p className="text-sm text-text-muted">
+                        Least recently used responses are evicted beyond this
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="10"
+                      step="50"
+                      value={settings.responseCacheMaxEntries || 500}
+                      onChange={e =>
+                        updateResponseCacheSetting(
+                          "responseCacheMaxEntries",
+                          parseInt(e.target.value),
+                        )
+                      }
+                      disabled={loading || !responseCacheEnabled}
+                      className="w-28 text-center"
+                    />
+                  </div>
+                </div>
+              </div>
+            </Card>
+
+            {/* Context Window Settings */}
+            <Card>
+              <div className="flex items-center gap-3 mb-4">
+                <div className="p-2 rounded-lg bg-orange-500/10 text-orange-500">
+                  <span className="material-symbols-outlined text-[20px]">
+                    compress
+                  </span>
                 </div>
-                <Input
-                  type="number"
-                  min="100"
-                  max="10240"
-                  step="100"
-                  value={settings.observabilityMaxJsonSize || 1024}
-                  onChange={e =>
-                    updateObservabilitySetting(
-                      "observabilityMaxJsonSize",
-                      parseInt(e.target.value),
-                    )
-                  }
-                  disabled={loading || !observabilityEnabled}
-                  className="w-28 text-center"
-                />
+                <h3 className="text-lg font-semibold">Context Window</h3>
               </div>
+              <div className="flex flex-col gap-4">
+                <p className="text-sm text-text-muted">
+                  Combos skip models whose context window is too small for the
+                  request. When the chosen model still can&apos;t fit it, the
+                  strategy below makes room. The response header{" "}
+                  <code>X-Context-Strategy</code> reports what was applied.
+                </p>
 
-              <p className="text-xs text-text-muted italic pt-2 border-t border-border/50">
-                Current: Keeps {settings.observabilityMaxRecords || 1000}{" "}
-                records, batches every {settings.observabilityBatchSize || 20}{" "}
-                requests, max {settings.observabilityMaxJsonSize || 1024}KB per
-                field
-              </p>
-            </div>
-          </div>
-        </Card>
+                <div className="flex items-center justify-between gap-4">
+                  <div>
+                    <p className="font-medium">Compaction Strategy</p>
+                    <p className="text-sm text-text-muted">
+                      System prompt and latest turn are always kept
+                    </p>
+                  </div>
+                  <Select
+                    options={CONTEXT_STRATEGY_OPTIONS}
+                    value={settings.contextStrategy || "off"}
+                    onChange={e =>
+                      updateContextSetting("contextStrategy", e.target.value)
+                    }
+                    disabled={loading}
+                    className="w-48"
+                  />
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="font-medium">Reserved Output Tokens</p>
+                    <p className="text-sm text-text-muted">
+                      Kept free for the answer when the request sets no max
+                      tokens
+                    </p>
+                  </div>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="1024"
+                    value={settings.contextReserveTokens ?? 4096}
+                    onChange={e =>
+                      updateContextSetting(
+                        "contextReserveTokens",
+                        parseInt(e.target.value),
+                      )
+                    }
+                    disabled={loading}
+                    className="w-28 text-center"
+                  />
+                </div>
+
+                <div className="flex items-center justify-between gap-4">
+                  <div>
+                    <p className="font-medium">Summary Model</p>
+                    <p className="text-sm text-text-muted">
+                      Cheap model used by the summarize strategy
+                    </p>
+                  </div>
+                  <Input
+                    key={loading ? "loading" : "loaded"}
+                    defaultValue={settings.contextSummaryModel || ""}
+                    onBlur={e =>
+                      updateContextSetting(
+                        "contextSummaryModel",
+                        e.target.value.trim(),
+                      )
+                    }
+                    placeholder="gemini/gemini-2.5-flash"
+                    disabled={
+                      loading || settings.contextStrategy !== "summarize"
+                    }
+                    className="w-56"
+                  />
+                </div>
+              </div>
+            </Card>
+          </>
+        )}
 
         {/* App Info */}
         <div className="text-center text-sm text-text-muted py-4">
@@ -1,7 +1,14 @@
 "use client";
 
+import {
+  Card,
+  Badge,
+  Button,
+  Modal,
+  Toggle,
+  ConfigManagedBadge,
+} from "@/shared/components";
 import { APIKEY_PROVIDERS, OAUTH_PROVIDERS } from "@/shared/constants/config";
-import { Card, Badge, Button, Modal, Toggle } from "@/shared/components";
 import { useNotificationStore } from "@/store/notificationStore";
 import { useState, useEffect, useCallback, use } from "react";
 import { AI_PROVIDERS } from "@/shared/constants/providers";
@@ -20,12 +27,18 @@ function ConnectionRow({ conn, onToggle, onDelete }) {
         ? "error"
         : "default";
 
+  const circuitState = conn.circuit?.state;
+  const managed = conn.managedBy === "config";
+
   return (
     <>
       <div className="flex items-center justify-between py-3 border-b border-border last:border-0">
         <div className="flex items-center gap-3 min-w-0">
           <div className="min-w-0">
-            <p className="font-medium text-sm truncate">{conn.name}</p>
+            <div className="flex items-center gap-2">
+              <p className="font-medium text-sm truncate">{conn.name}</p>
+              {managed && <ConfigManagedBadge />}
+            </div>
             {conn.lastError && (
               <p className="text-xs text-error truncate mt-0.5">
                 {conn.lastError}
@@ -46,18 +59,41 @@ function ConnectionRow({ conn, onToggle, onDelete }) {
           >
             {conn.testStatus || "unknown"}
           </Badge>
+          {circuitState && circuitState !== "closed" && (
+            <Badge
+              variant={circuitState === "open" ? "warning" : "info"}
+              size="sm"
+            >
+              <span
+                title={
+                  circuitState === "open"
+                    ? `Cooling down until ${new Date(conn.circuit.openUntil).toLocaleTimeString()}`
+                    : conn.circuit.probeInFlight
+                      ? "Probe request in flight"
+                      : "Next request is sent as a probe"
+                }
+              >
+                {circuitState === "open" ? "circuit open" : "half-open"}
+              </span>
+            </Badge>
+          )}
           <Toggle
             checked={conn.isActive}
             onChange={() => onToggle(conn.id, !conn.isActive)}
+            disabled={managed}
             size="sm"
           />
-          <button
-            onClick={() => setShowDelete(true)}
-            className="text-text-muted hover:text-error transition-colors"
-            title="Delete connection"
-          >
-            <span className="material-symbols-outlined text-base">delete</span>
-          </button>
+          {!managed && (
+            <button
+              onClick={() => setShowDelete(true)}
+              className="text-text-muted hover:text-error transition-colors"
+              title="Delete connection"
+            >
+              <span className="material-symbols-outlined text-base">
+                delete
+              </span>
+            </button>
+          )}
         </div>
       </div>
 
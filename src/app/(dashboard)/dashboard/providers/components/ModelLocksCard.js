@@ -0,0 +1,166 @@
+"use client";
+
+import { useNotificationStore } from "@/store/notificationStore";
+import { AI_PROVIDERS } from "@/shared/constants/providers";
+import { Card, Badge, Button } from "@/shared/components";
+import { useState, useEffect } from "react";
+
+function formatExpiry(until) {
+  const diffSec = Math.max(
+    0,
+    Math.ceil((new Date(until).getTime() - Date.now()) / 1000),
+  );
+  const m = Math.floor(diffSec / 60);
+  const s = diffSec % 60;
+  return m > 0 ? `${m}m ${s}s` : `${s}s`;
+}
+
+const providerName = id => AI_PROVIDERS[id]?.name || id;
+
+export default function ModelLocksCard() {
+  const [data, setData] = useState(null);
+  const notify = useNotificationStore();
+
+  useEffect(() => {
+    const fetchLocks = async () => {
+      try {
+        const res = await fetch("/api/providers/model-locks");
+        if (res.ok) setData(await res.json());
+      } catch (error) {
+        console.log("Error fetching model locks:", error);
+      }
+    };
+
+    fetchLocks();
+    const interval = setInterval(fetchLocks, 15000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleToggleProvider = async providerId => {
+    const providers = data.providers.includes(providerId)
+      ? data.providers.filter(p => p !== providerId)
+      : [...data.providers, providerId];
+    try {
+      const res = await fetch("/api/providers/model-locks", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ providers }),
+      });
+      const result = await res.json();
+      if (res.ok) {
+        setData(prev => ({ ...prev, providers: result.providers }));
+      } else {
+        notify.error(result.error || "Failed to update model locks");
+      }
+    } catch (error) {
+      notify.error("Failed to update model locks");
+    }
+  };
+
+  const handleClear = async lock => {
+    try {
+      const params = new URLSearchParams({
+        connectionId: lock.connectionId,
+        model: lock.model,
+      });
+      const res = await fetch(`/api/providers/model-locks?${params}`, {
+        method: "DELETE",
+      });
+      if (res.ok) {
+        setData(prev => ({
+          ...prev,
+          locks: prev.locks.filter(
+            l => l.connectionId !== lock.connectionId || l.model !== lock.model,
+          ),
+        }));
+        notify.success(`Unlocked ${lock.model}`);
+      } else {
+        notify.error("Failed to clear model lock");
+      }
+    } catch (error) {
+      notify.error("Failed to clear model lock");
+    }
+  };
+
+  if (!data) return null;
+
+  return (
+    <Card>
+      <div className="flex flex-col gap-4">
+        <div>
+          <h2 className="text-xl font-semibold">Model Locks</h2>
+          <p className="text-sm text-text-muted mt-1">
+            For providers with separate quotas per model family, a 429 locks
+            only the affected model on that account instead of the whole
+            account.
+          </p>
+        </div>
+
+        <div className="flex items-center gap-2 flex-wrap">
+          {data.capableProviders.map(providerId => {
+            const enabled = data.providers.includes(providerId);
+            return (
+              <button
+                key={providerId}
+                onClick={() => handleToggleProvider(providerId)}
+                className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors ${
+                  enabled
+                    ? "bg-primary/10 border-primary/40 text-primary"
+                    : "bg-bg border-border text-text-muted hover:text-text-main"
+                }`}
+                title={
+                  enabled
+                    ? "Model-level locks enabled"
+                    : "Account-level cooldown"
+                }
+              >
+                <span className="material-symbols-outlined text-[14px]">
+                  {enabled ? "check_box" : "check_box_outline_blank"}
+                </span>
+                {providerName(providerId)}
+              </button>
+            );
+          })}
+        </div>
+
+        {data.locks.length === 0 ? (
+          <p className="text-sm text-text-muted">No active model locks</p>
+        ) : (
+          <div className="flex flex-col">
+            {data.locks.map(lock => (
+              <div
+                key={`${lock.connectionId}:${lock.model}`}
+                className="flex items-center justify-between py-2 border-b border-border last:border-0"
+              >
+                <div className="flex items-center gap-2 min-w-0 text-sm">
+                  <Badge
+                    variant="warning"
+                    size="sm"
+                  >
+                    {providerName(lock.provider)}
+                  </Badge>
+                  <span className="font-mono truncate">{lock.model}</span>
+                  <span className="text-text-muted truncate">
+                    {lock.connectionName}
+                  </span>
+                </div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <span className="text-xs text-text-muted">
+                    expires in {formatExpiry(lock.until)}
+                  </span>
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => handleClear(lock)}
+                  >
+                    Clear
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
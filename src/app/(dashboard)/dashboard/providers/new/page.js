@@ -51,6 +51,8 @@ function NewProviderForm() {
     authMethod: OAUTH_PROVIDERS[initialProvider] ? "oauth" : "apikey",
     apiKey: "",
     accountId: "", // For Cloudflare
+    accessKeyId: "", // For AWS Bedrock
+    region: "us-east-1", // For AWS Bedrock
     // OAuth fields
     accessToken: "",
     refreshToken: "",
@@ -127,6 +129,14 @@ function NewProviderForm() {
     if (formData.provider === "cloudflare" && !formData.accountId.trim()) {
       newErrors.accountId = "Account ID is required for Cloudflare Workers AI";
     }
+    if (formData.provider === "bedrock") {
+      if (!formData.accessKeyId.trim()) {
+        newErrors.accessKeyId = "Access Key ID is required for AWS Bedrock";
+      }
+      if (!formData.region.trim()) {
+        newErrors.region = "Region is required for AWS Bedrock";
+      }
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -223,9 +233,15 @@ function NewProviderForm() {
         {/* API Key Input */}
         {formData.authMethod === "apikey" && (
           <Input
-            label="API Key"
+            label={
+              formData.provider === "bedrock" ? "Secret Access Key" : "API Key"
+            }
             type="password"
-            placeholder="Enter your API key"
+            placeholder={
+              formData.provider === "bedrock"
+                ? "Enter your AWS secret access key"
+                : "Enter your API key"
+            }
             value={formData.apiKey}
             onChange={e => handleChange("apiKey", e.target.value)}
             error={errors.apiKey}
@@ -234,6 +250,31 @@ function NewProviderForm() {
           />
         )}
 
+        {/* AWS Bedrock Access Key ID + Region */}
+        {formData.authMethod === "apikey" &&
+          formData.provider === "bedrock" && (
+            <>
+              <Input
+                label="Access Key ID"
+                placeholder="AKIA..."
+                value={formData.accessKeyId}
+                onChange={e => handleChange("accessKeyId", e.target.value)}
+                error={errors.accessKeyId}
+                hint="IAM user access key with bedrock:InvokeModel permission."
+                required
+              />
+              <Input
+                label="Region"
+                placeholder="us-east-1"
+                value={formData.region}
+                onChange={e => handleChange("region", e.target.value)}
+                error={errors.region}
+                hint="AWS region where the models are enabled."
+                required
+              />
+            </>
+          )}
+
         {/* Cloudflare Account ID */}
         {formData.authMethod === "apikey" &&
           formData.provider === "cloudflare" && (
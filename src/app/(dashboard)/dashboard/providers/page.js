@@ -18,13 +18,15 @@ import {
 import { OAUTH_PROVIDERS, APIKEY_PROVIDERS } from "@/shared/constants/config";
 import ModelAvailabilityBadge from "./components/ModelAvailabilityBadge";
 import { useNotificationStore } from "@/store/notificationStore";
+import { useCurrentUser } from "@/shared/hooks/useCurrentUser";
 import { getErrorCode, getRelativeTime } from "@/shared/utils";
+import ModelLocksCard from "./components/ModelLocksCard";
 import { useState, useEffect } from "react";
 import PropTypes from "prop-types";
 import Image from "next/image";
 import Link from "next/link";
 
-function getStatusDisplay(connected, error, errorCode) {
+function getStatusDisplay(connected, error, errorCode, circuit) {
   const parts = [];
   if (connected > 0) {
     parts.push(
@@ -53,6 +55,30 @@ function getStatusDisplay(connected, error, errorCode) {
       </Badge>,
     );
   }
+  if (circuit?.open > 0) {
+    parts.push(
+      <Badge
+        key="circuit-open"
+        variant="warning"
+        size="sm"
+        dot
+      >
+        {circuit.open} Circuit open
+      </Badge>,
+    );
+  }
+  if (circuit?.halfOpen > 0) {
+    parts.push(
+      <Badge
+        key="circuit-half-open"
+        variant="info"
+        size="sm"
+        dot
+      >
+        {circuit.halfOpen} Half-open
+      </Badge>,
+    );
+  }
   if (parts.length === 0) {
     return <span className="text-text-muted">No connections</span>;
   }
@@ -112,6 +138,8 @@ export default function ProvidersPage() {
   const [testResults, setTestResults] = useState(null);
   const [syncingModels, setSyncingModels] = useState(false);
   const notify = useNotificationStore();
+  const { can } = useCurrentUser();
+  const canWrite = can("providers:write");
 
   useEffect(() => {
     const fetchData = async () => {
@@ -173,7 +201,24 @@ export default function ProvidersPage() {
       ? getRelativeTime(latestError.lastErrorAt)
       : null;
 
-    return { connected, error, total, errorCode, errorTime, allDisabled };
+    const activeConnections = providerConnections.filter(
+      c => c.isActive !== false,
+    );
+    const circuit = {
+      open: activeConnections.filter(c => c.circuit?.state === "open").length,
+      halfOpen: activeConnections.filter(c => c.circuit?.state === "half-open")
+        .length,
+    };
+
+    return {
+      connected,
+      error,
+      total,
+      errorCode,
+      errorTime,
+      allDisabled,
+      circuit,
+    };
   };
 
   // Toggle all connections for a provider on/off
@@ -276,21 +321,23 @@ export default function ProvidersPage() {
     <div className="flex flex-col gap-6">
       {/* Page actions */}
       <div className="flex justify-end">
-        <button
-          onClick={handleSyncModels}
-          disabled={syncingModels}
-          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors ${
-            syncingModels
-              ? "bg-primary/20 border-primary/40 text-primary animate-pulse"
-              : "bg-bg border-border text-text-muted hover:text-text-main hover:border-primary/40"
-          }`}
-          title="Fetch latest model lists from models.dev"
-        >
-          <span className="material-symbols-outlined text-[14px]">
-            {syncingModels ? "sync" : "cloud_download"}
-          </span>
-          {syncingModels ? "Syncing..." : "Sync Models"}
-        </button>
+        {canWrite && (
+          <button
+            onClick={handleSyncModels}
+            disabled={syncingModels}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors ${
+              syncingModels
+                ? "bg-primary/20 border-primary/40 text-primary animate-pulse"
+                : "bg-bg border-border text-text-muted hover:text-text-main hover:border-primary/40"
+            }`}
+            title="Fetch latest model lists from models.dev"
+          >
+            <span className="material-symbols-outlined text-[14px]">
+              {syncingModels ? "sync" : "cloud_download"}
+            </span>
+            {syncingModels ? "Syncing..." : "Sync Models"}
+          </button>
+        )}
       </div>
       {/* OAuth Providers */}
       <div className="flex flex-col gap-4">
@@ -326,7 +373,11 @@ export default function ProvidersPage() {
               provider={info}
               stats={getProviderStats(key, "oauth")}
               authType="oauth"
-              onToggle={active => handleToggleProvider(key, "oauth", active)}
+              onToggle={
+                canWrite
+                  ? active => handleToggleProvider(key, "oauth", active)
+                  : undefined
+              }
             />
           ))}
         </div>
@@ -363,7 +414,11 @@ export default function ProvidersPage() {
               provider={info}
               stats={getProviderStats(key, "oauth")}
               authType="free"
-              onToggle={active => handleToggleProvider(key, "oauth", active)}
+              onToggle={
+                canWrite
+                  ? active => handleToggleProvider(key, "oauth", active)
+                  : undefined
+              }
             />
           ))}
         </div>
@@ -400,7 +455,11 @@ export default function ProvidersPage() {
               provider={info}
               stats={getProviderStats(key, "apikey")}
               authType="apikey"
-              onToggle={active => handleToggleProvider(key, "apikey", active)}
+              onToggle={
+                canWrite
+                  ? active => handleToggleProvider(key, "apikey", active)
+                  : undefined
+              }
             />
           ))}
         </div>
@@ -431,22 +490,26 @@ export default function ProvidersPage() {
                 {testingMode === "compatible" ? "Testing..." : "Test All"}
               </button>
             )}
-            <Button
-              size="sm"
-              icon="add"
-              onClick={() => setShowAddAnthropicCompatibleModal(true)}
-            >
-              Add Anthropic Compatible
-            </Button>
-            <Button
-              size="sm"
-              variant="secondary"
-              icon="add"
-              onClick={() => setShowAddCompatibleModal(true)}
-              className="!bg-white !text-black hover:!bg-gray-100"
-            >
-              Add OpenAI Compatible
-            </Button>
+            {canWrite && (
+              <>
+                <Button
+                  size="sm"
+                  icon="add"
+                  onClick={() => setShowAddAnthropicCompatibleModal(true)}
+                >
+                  Add Anthropic Compatible
+                </Button>
+                <Button
+                  size="sm"
+                  variant="secondary"
+                  icon="add"
+                  onClick={() => setShowAddCompatibleModal(true)}
+                  className="!bg-white !text-black hover:!bg-gray-100"
+                >
+                  Add OpenAI Compatible
+                </Button>
+              </>
+            )}
           </div>
         </div>
         {compatibleProviders.length === 0 &&
@@ -473,8 +536,11 @@ export default function ProvidersPage() {
                   provider={info}
                   stats={getProviderStats(info.id, "apikey")}
                   authType="compatible"
-                  onToggle={active =>
-                    handleToggleProvider(info.id, "apikey", active)
+                  onToggle={
+                    canWrite
+                      ? active =>
+                          handleToggleProvider(info.id, "apikey", active)
+                      : undefined
                   }
                 />
               ),
@@ -483,6 +549,8 @@ export default function ProvidersPage() {
         )}
       </div>
 
+      <ModelLocksCard />
+
       <AddOpenAICompatibleModal
         isOpen={showAddCompatibleModal}
         onClose={() => setShowAddCompatibleModal(false)}
@@ -532,7 +600,8 @@ export default function ProvidersPage() {
 }
 
 function ProviderCard({ providerId, provider, stats, authType, onToggle }) {
-  const { connected, error, errorCode, errorTime, allDisabled } = stats;
+  const { connected, error, errorCode, errorTime, allDisabled, circuit } =
+    stats;
   const [imgError, setImgError] = useState(false);
 
   const dotColors = {
@@ -599,7 +668,7 @@ function ProviderCard({ providerId, provider, stats, authType, onToggle }) {
                   </Badge>
                 ) : (
                   <>
-                    {getStatusDisplay(connected, error, errorCode)}
+                    {getStatusDisplay(connected, error, errorCode, circuit)}
                     {errorTime && (
                       <span className="text-text-muted">{errorTime}</span>
                     )}
@@ -609,7 +678,7 @@ function ProviderCard({ providerId, provider, stats, authType, onToggle }) {
             </div>
           </div>
           <div className="flex items-center gap-2">
-            {stats.total > 0 && (
+            {stats.total > 0 && onToggle && (
               <div
                 className="opacity-0 group-hover:opacity-100 transition-opacity"
                 onClick={e => {
@@ -646,6 +715,10 @@ ProviderCard.propTypes = {
     error: PropTypes.number,
     errorCode: PropTypes.string,
     errorTime: PropTypes.string,
+    circuit: PropTypes.shape({
+      open: PropTypes.number,
+      halfOpen: PropTypes.number,
+    }),
   }).isRequired,
   authType: PropTypes.string,
   onToggle: PropTypes.func,
@@ -658,7 +731,8 @@ function ApiKeyProviderCard({
   authType,
   onToggle,
 }) {
-  const { connected, error, errorCode, errorTime, allDisabled } = stats;
+  const { connected, error, errorCode, errorTime, allDisabled, circuit } =
+    stats;
   const isCompatible = providerId.startsWith(OPENAI_COMPATIBLE_PREFIX);
   const isAnthropicCompatible = providerId.startsWith(
     ANTHROPIC_COMPATIBLE_PREFIX,
@@ -738,7 +812,7 @@ function ApiKeyProviderCard({
                   </Badge>
                 ) : (
                   <>
-                    {getStatusDisplay(connected, error, errorCode)}
+                    {getStatusDisplay(connected, error, errorCode, circuit)}
                     {isCompatible && (
                       <Badge
                         variant="default"
@@ -766,7 +840,7 @@ function ApiKeyProviderCard({
             </div>
           </div>
           <div className="flex items-center gap-2">
-            {stats.total > 0 && (
+            {stats.total > 0 && onToggle && (
               <div
                 className="opacity-0 group-hover:opacity-100 transition-opacity"
                 onClick={e => {
@@ -804,6 +878,10 @@ ApiKeyProviderCard.propTypes = {
     error: PropTypes.number,
     errorCode: PropTypes.string,
     errorTime: PropTypes.string,
+    circuit: PropTypes.shape({
+      open: PropTypes.number,
+      halfOpen: PropTypes.number,
+    }),
   }).isRequired,
   authType: PropTypes.string,
   onToggle: PropTypes.func,
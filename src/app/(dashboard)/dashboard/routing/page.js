@@ -0,0 +1,580 @@
+"use client";
+
+import {
+  Card,
+  Button,
+  Modal,
+  Input,
+  Select,
+  Toggle,
+  CardSkeleton,
+  ConfigManagedBadge,
+} from "@/shared/components";
+import { useState, useEffect } from "react";
+
+const TRISTATE_OPTIONS = [
+  { value: "", label: "Any" },
+  { value: "true", label: "Yes" },
+  { value: "false", label: "No" },
+];
+
+const SAMPLE_REQUEST = JSON.stringify(
+  {
+    model: "cc/claude-sonnet-4-5",
+    messages: [
+      { role: "system", content: "You are a helpful assistant." },
+      { role: "user", content: "Hello!" },
+    ],
+  },
+  null,
+  2,
+);
+
+function splitList(value) {
+  return value
+    .split(",")
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function parseNumber(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Short human-readable list of a rule's conditions
+ */
+function describeConditions(match = {}) {
+  const parts = [];
+  if (match.models?.length) parts.push(`model ${match.models.join(" | ")}`);
+  if (match.minInputTokens != null) {
+    parts.push(`≥ ${match.minInputTokens.toLocaleString()} tokens`);
+  }
+  if (match.maxInputTokens != null) {
+    parts.push(`≤ ${match.maxInputTokens.toLocaleString()} tokens`);
+  }
+  if (match.hasTools != null) parts.push(match.hasTools ? "tools" : "no tools");
+  if (match.hasImages != null) {
+    parts.push(match.hasImages ? "images" : "no images");
+  }
+  if (match.reasoningEffort?.length) {
+    parts.push(`effort ${match.reasoningEffort.join(" | ")}`);
+  }
+  if (match.userAgent) parts.push(`UA /${match.userAgent}/`);
+  if (match.systemPrompt) parts.push(`system /${match.systemPrompt}/`);
+  return parts.length ? parts : ["every request"];
+}
+
+export default function RoutingPage() {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingIndex, setEditingIndex] = useState(null);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const fetchRules = async () => {
+    try {
+      const res = await fetch("/api/routing-rules");
+      const data = await res.json();
+      if (res.ok) setRules(data.rules || []);
+    } catch (error) {
+      console.log("Error fetching routing rules:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveRules = async next => {
+    try {
+      const res = await fetch("/api/routing-rules", {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rules: next }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to save routing rules");
+        return false;
+      }
+      setRules(data.rules || []);
+      return true;
+    } catch (error) {
+      console.log("Error saving routing rules:", error);
+      return false;
+    }
+  };
+
+  const handleSaveRule = async rule => {
+    const next =
+      editingIndex === "new"
+        ? [...rules, rule]
+        : rules.map((r, i) => (i === editingIndex ? { ...r, ...rule } : r));
+    if (await saveRules(next)) setEditingIndex(null);
+  };
+
+  const handleMove = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    saveRules(next);
+  };
+
+  const handleToggle = (index, enabled) => {
+    saveRules(rules.map((r, i) => (i === index ? { ...r, enabled } : r)));
+  };
+
+  const handleDelete = index => {
+    if (!confirm(`Delete rule "${rules[index].name}"?`)) return;
+    saveRules(rules.filter((_, i) => i !== index));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex flex-col gap-6">
+        <CardSkeleton />
+        <CardSkeleton />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-semibold">Routing Rules</h1>
+          <p className="text-sm text-text-muted mt-1">
+            Pick the model from the request itself. Rules run top to bottom
+            before combos; the first match replaces the requested model.
+          </p>
+        </div>
+        <Button
+          icon="add"
+          onClick={() => setEditingIndex("new")}
+        >
+          Add Rule
+        </Button>
+      </div>
+
+      {/* Rules List */}
+      {rules.length === 0 ? (
+        <Card>
+          <div className="text-center py-12">
+            <div className="inline-flex items-center justify-center w-16 h-16 rounded-full bg-primary/10 text-primary mb-4">
+              <span className="material-symbols-outlined text-[32px]">
+                alt_route
+              </span>
+            </div>
+            <p className="text-text-main font-medium mb-1">
+              No routing rules yet
+            </p>
+            <p className="text-sm text-text-muted mb-4">
+              e.g. send requests over 150k tokens to Gemini, or requests with
+              images to a vision model
+            </p>
+            <Button
+              icon="add"
+              onClick={() => setEditingIndex("new")}
+            >
+              Add Rule
+            </Button>
+          </div>
+        </Card>
+      ) : (
+        <div className="flex flex-col gap-3">
+          {rules.map((rule, index) => (
+            <RuleCard
+              key={rule.id}
+              rule={rule}
+              index={index}
+              isFirst={index === 0}
+              isLast={index === rules.length - 1}
+              onMove={direction => handleMove(index, direction)}
+              onToggle={enabled => handleToggle(index, enabled)}
+              onEdit={() => setEditingIndex(index)}
+              onDelete={() => handleDelete(index)}
+            />
+          ))}
+        </div>
+      )}
+
+      <RuleTester rules={rules} />
+
+      {/* Rule Modal - key forces remount to reset form state */}
+      <RuleFormModal
+        key={editingIndex ?? "closed"}
+        isOpen={editingIndex !== null}
+        rule={
+          typeof editingIndex === "number" ? rules[editingIndex] : undefined
+        }
+        onClose={() => setEditingIndex(null)}
+        onSave={handleSaveRule}
+      />
+    </div>
+  );
+}
+
+function RuleCard({
+  rule,
+  index,
+  isFirst,
+  isLast,
+  onMove,
+  onToggle,
+  onEdit,
+  onDelete,
+}) {
+  const readOnly = rule.managedBy === "config";
+  return (
+    <Card
+      padding="sm"
+      className="group"
+    >
+      <div className="flex items-center justify-between gap-3">
+        <div className="flex items-center gap-3 min-w-0 flex-1">
+          <span className="text-xs font-mono text-text-muted w-5 text-right shrink-0">
+            {index + 1}
+          </span>
+          <div className="min-w-0 flex-1">
+            <div className="flex items-center gap-2">
+              <span
+                className={`text-sm font-medium truncate ${rule.enabled === false ? "text-text-muted line-through" : ""}`}
+              >
+                {rule.name}
+              </span>
+              <span className="material-symbols-outlined text-[14px] text-text-muted">
+                arrow_forward
+              </span>
+              <code className="text-xs font-mono text-primary truncate">
+                {rule.target}
+              </code>
+              <ConfigManagedBadge entity={rule} />
+            </div>
+            <div className="flex flex-wrap gap-1 mt-1">
+              {describeConditions(rule.match).map(condition => (
+                <span
+                  key={condition}
+                  className="text-[10px] font-mono bg-black/5 dark:bg-white/5 px-1.5 py-0.5 rounded text-text-muted"
+                >
+                  {condition}
+                </span>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center gap-1 shrink-0">
+          <button
+            onClick={() => onMove(-1)}
+            disabled={isFirst}
+            className="p-1.5 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary disabled:opacity-30 transition-colors"
+            title="Move up"
+          >
+            <span className="material-symbols-outlined text-[16px]">
+              arrow_upward
+            </span>
+          </button>
+          <button
+            onClick={() => onMove(1)}
+            disabled={isLast}
+            className="p-1.5 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary disabled:opacity-30 transition-colors"
+            title="Move down"
+          >
+            <span className="material-symbols-outlined text-[16px]">
+              arrow_downward
+            </span>
+          </button>
+          {/* Config file rules can only be reordered */}
+          {!readOnly && (
+            <>
+              <button
+                onClick={onEdit}
+                className="p-1.5 hover:bg-black/5 dark:hover:bg-white/5 rounded text-text-muted hover:text-primary transition-colors"
+                title="Edit"
+              >
+                <span className="material-symbols-outlined text-[16px]">
+                  edit
+                </span>
+              </button>
+              <button
+                onClick={onDelete}
+                className="p-1.5 hover:bg-red-500/10 rounded text-red-500 transition-colors"
+                title="Delete"
+              >
+                <span className="material-symbols-outlined text-[16px]">
+                  delete
+                </span>
+              </button>
+            </>
+          )}
+          <Toggle
+            size="sm"
+            checked={rule.enabled !== false}
+            onChange={onToggle}
+            disabled={readOnly}
+          />
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+function RuleFormModal({ isOpen, rule, onClose, onSave }) {
+  // Initialize from the rule - key prop on parent handles reset on remount
+  const match = rule?.match || {};
+  const [name, setName] = useState(rule?.name || "");
+  const [target, setTarget] = useState(rule?.target || "");
+  const [models, setModels] = useState((match.models || []).join(", "));
+  const [minTokens, setMinTokens] = useState(match.minInputTokens ?? "");
+  const [maxTokens, setMaxTokens] = useState(match.maxInputTokens ?? "");
+  const [hasTools, setHasTools] = useState(
+    match.hasTools == null ? "" : String(match.hasTools),
+  );
+  const [hasImages, setHasImages] = useState(
+    match.hasImages == null ? "" : String(match.hasImages),
+  );
+  const [effort, setEffort] = useState(
+    (match.reasoningEffort || []).join(", "),
+  );
+  const [userAgent, setUserAgent] = useState(match.userAgent || "");
+  const [systemPrompt, setSystemPrompt] = useState(match.systemPrompt || "");
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    const nextMatch = {};
+    if (splitList(models).length) nextMatch.models = splitList(models);
+    if (parseNumber(minTokens) !== null) {
+      nextMatch.minInputTokens = parseNumber(minTokens);
+    }
+    if (parseNumber(maxTokens) !== null) {
+      nextMatch.maxInputTokens = parseNumber(maxTokens);
+    }
+    if (hasTools) nextMatch.hasTools = hasTools === "true";
+    if (hasImages) nextMatch.hasImages = hasImages === "true";
+    if (splitList(effort).length) nextMatch.reasoningEffort = splitList(effort);
+    if (userAgent.trim()) nextMatch.userAgent = userAgent.trim();
+    if (systemPrompt.trim()) nextMatch.systemPrompt = systemPrompt.trim();
+
+    setSaving(true);
+    await onSave({
+      name: name.trim(),
+      target: target.trim(),
+      enabled: rule?.enabled ?? true,
+      match: nextMatch,
+    });
+    setSaving(false);
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={rule ? "Edit Rule" : "Add Rule"}
+    >
+      <div className="flex flex-col gap-3">
+        <Input
+          label="Name"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="long-context-to-gemini"
+        />
+        <Input
+          label="Target model"
+          value={target}
+          onChange={e => setTarget(e.target.value)}
+          placeholder="gemini/gemini-2.5-pro or a combo name"
+        />
+
+        <p className="text-xs text-text-muted">
+          All filled-in conditions must match. Leave a field empty to ignore it.
+        </p>
+        <Input
+          label="Requested model"
+          value={models}
+          onChange={e => setModels(e.target.value)}
+          placeholder="cc/*, gpt-4o"
+          hint="Comma-separated globs"
+        />
+        <div className="grid grid-cols-2 gap-2">
+          <Input
+            label="Min input tokens"
+            type="number"
+            min="0"
+            value={minTokens}
+            onChange={e => setMinTokens(e.target.value)}
+            placeholder="150000"
+          />
+          <Input
+            label="Max input tokens"
+            type="number"
+            min="0"
+            value={maxTokens}
+            onChange={e => setMaxTokens(e.target.value)}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <Select
+            label="Has tools"
+            options={TRISTATE_OPTIONS}
+            value={hasTools}
+            onChange={e => setHasTools(e.target.value)}
+          />
+          <Select
+            label="Has images"
+            options={TRISTATE_OPTIONS}
+            value={hasImages}
+            onChange={e => setHasImages(e.target.value)}
+          />
+        </div>
+        <Input
+          label="Reasoning effort"
+          value={effort}
+          onChange={e => setEffort(e.target.value)}
+          placeholder="high, xhigh"
+        />
+        <Input
+          label="User-Agent pattern"
+          value={userAgent}
+          onChange={e => setUserAgent(e.target.value)}
+          placeholder="claude-cli"
+          hint="Regular expression, case-insensitive"
+        />
+        <Input
+          label="System prompt pattern"
+          value={systemPrompt}
+          onChange={e => setSystemPrompt(e.target.value)}
+          placeholder="generate a (short )?title"
+          hint="Regular expression, case-insensitive"
+        />
+
+        <div className="flex gap-2 pt-1">
+          <Button
+            onClick={onClose}
+            variant="ghost"
+            fullWidth
+            size="sm"
+          >
+            Cancel
+          </Button>
+          <Button
+            onClick={handleSave}
+            fullWidth
+            size="sm"
+            disabled={!name.trim() || !target.trim() || saving}
+          >
+            {saving ? "Saving..." : "Save"}
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+function RuleTester({ rules }) {
+  const [requestJson, setRequestJson] = useState(SAMPLE_REQUEST);
+  const [userAgent, setUserAgent] = useState("");
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleTest = async () => {
+    setError("");
+    setResult(null);
+    let body;
+    try {
+      body = JSON.parse(requestJson);
+    } catch {
+      setError("Request body is not valid JSON");
+      return;
+    }
+    try {
+      const res = await fetch("/api/routing-rules/test", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ body, userAgent, rules }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error || "Failed to test rules");
+        return;
+      }
+      setResult(data);
+    } catch (err) {
+      console.log("Error testing routing rules:", err);
+    }
+  };
+
+  return (
+    <Card
+      title="Rule Tester"
+      icon="science"
+    >
+      <div className="flex flex-col gap-3">
+        <div>
+          <label className="text-sm font-medium mb-1.5 block">
+            Request body
+          </label>
+          <textarea
+            value={requestJson}
+            onChange={e => setRequestJson(e.target.value)}
+            rows={8}
+            spellCheck={false}
+            className="w-full py-2 px-3 text-xs font-mono text-text-main bg-white dark:bg-white/5 border border-black/10 dark:border-white/10 rounded-md focus:ring-1 focus:ring-primary/30 focus:border-primary/50 focus:outline-none"
+          />
+        </div>
+        <Input
+          label="User-Agent"
+          value={userAgent}
+          onChange={e => setUserAgent(e.target.value)}
+          placeholder="claude-cli/2.0.0 (external, cli)"
+        />
+        <div>
+          <Button
+            icon="play_arrow"
+            size="sm"
+            onClick={handleTest}
+          >
+            Test
+          </Button>
+        </div>
+
+        {error && <p className="text-sm text-red-500">{error}</p>}
+        {result && (
+          <div className="flex flex-col gap-2 text-sm">
+            <p>
+              {result.rule ? (
+                <>
+                  Matched <strong>{result.rule.name}</strong> → routed to{" "}
+                  <code className="text-primary">{result.model}</code>
+                </>
+              ) : (
+                <>
+                  No rule matched - request stays on{" "}
+                  <code>{result.model || "(no model)"}</code>
+                </>
+              )}
+            </p>
+            <div className="flex flex-wrap gap-1">
+              {[
+                `~${result.features.inputTokens.toLocaleString()} tokens`,
+                result.features.hasTools ? "tools" : "no tools",
+                result.features.hasImages ? "images" : "no images",
+                `effort ${result.features.reasoningEffort || "-"}`,
+              ].map(feature => (
+                <span
+                  key={feature}
+                  className="text-[10px] font-mono bg-black/5 dark:bg-white/5 px-1.5 py-0.5 rounded text-text-muted"
+                >
+                  {feature}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </Card>
+  );
+}
@@ -0,0 +1,79 @@
+"use client";
+
+import Button from "@/shared/components/Button";
+import Card from "@/shared/components/Card";
+import { useState, useEffect } from "react";
+
+const fmt = n => new Intl.NumberFormat().format(n || 0);
+
+export default function ResponseCacheCard() {
+  const [stats, setStats] = useState(null);
+
+  useEffect(() => {
+    const fetchStats = async () => {
+      try {
+        const res = await fetch("/api/usage/cache");
+        if (res.ok) setStats(await res.json());
+      } catch (error) {
+        console.log("Error fetching cache stats:", error);
+      }
+    };
+
+    fetchStats();
+    const interval = setInterval(fetchStats, 10000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleClear = async () => {
+    try {
+      const res = await fetch("/api/usage/cache", { method: "DELETE" });
+      if (res.ok) setStats(prev => ({ ...prev, entries: 0 }));
+    } catch (error) {
+      console.log("Error clearing cache:", error);
+    }
+  };
+
+  // Nothing to show until the cache is enabled or has been used
+  if (!stats || (!stats.enabled && stats.hits + stats.misses === 0)) {
+    return null;
+  }
+
+  return (
+    <Card className="px-4 py-3">
+      <div className="flex items-center justify-between gap-4">
+        <div className="flex items-center gap-6 flex-wrap">
+          <span className="text-text-muted text-sm uppercase font-semibold">
+            Response Cache
+            {!stats.enabled && (
+              <span className="ml-2 normal-case font-normal">(disabled)</span>
+            )}
+          </span>
+          <span className="text-sm">
+            <span className="font-bold text-success">{fmt(stats.hits)}</span>{" "}
+            hits
+          </span>
+          <span className="text-sm">
+            <span className="font-bold">{fmt(stats.misses)}</span> misses
+          </span>
+          <span className="text-sm">
+            <span className="font-bold">
+              {Math.round((stats.hitRate || 0) * 100)}%
+            </span>{" "}
+            hit rate
+          </span>
+          <span className="text-sm text-text-muted">
+            {fmt(stats.entries)} entries · {fmt(stats.bypassed)} bypassed
+          </span>
+        </div>
+        <Button
+          size="sm"
+          variant="ghost"
+          onClick={handleClear}
+          disabled={!stats.entries}
+        >
+          Clear
+        </Button>
+      </div>
+    </Card>
+  );
+}
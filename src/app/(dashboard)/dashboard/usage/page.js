@@ -7,6 +7,7 @@ import {
   SegmentedControl,
 } from "@/shared/components";
 import { useState, Suspense, useEffect, startTransition } from "react";
+import ResponseCacheCard from "./components/ResponseCacheCard";
 import RequestDetailsTab from "./components/RequestDetailsTab";
 import { useSearchParams, useRouter } from "next/navigation";
 import ProviderLimits from "./components/ProviderLimits";
@@ -66,6 +67,7 @@ function UsagePageContent() {
         <>
           {activeTab === "overview" && (
             <Suspense fallback={<CardSkeleton />}>
+              <ResponseCacheCard />
               <UsageStats />
             </Suspense>
           )}
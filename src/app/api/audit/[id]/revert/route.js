@@ -0,0 +1,52 @@
+import {
+  getAuditEntry,
+  getRevertPermission,
+  revertAuditEntry,
+} from "@/lib/auditLog";
+import { requirePermission, hasPermission } from "@/lib/dashboardAuth";
+import { NextResponse } from "next/server";
+
+/**
+ * POST /api/audit/[id]/revert - Undo a single audit entry
+ * Needs audit:read plus the write permission of the changed resource.
+ */
+export async function POST(request, { params }) {
+  const auth = await requirePermission("audit:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const { id } = await params;
+    const entry = await getAuditEntry(id);
+    if (!entry) {
+      return NextResponse.json(
+        { error: "Audit entry not found" },
+        { status: 404 },
+      );
+    }
+
+    const permission = getRevertPermission(entry.resource);
+    if (permission && !hasPermission(auth.user.role, permission)) {
+      return NextResponse.json(
+        { error: `Forbidden: ${auth.user.role} role lacks ${permission}` },
+        { status: 403 },
+      );
+    }
+
+    const result = await revertAuditEntry(entry, auth.user);
+    if (result.error) {
+      return NextResponse.json(
+        { error: result.error },
+        { status: result.status },
+      );
+    }
+
+    console.log(`[API] Reverted audit entry ${id} (${entry.resource})`);
+    return NextResponse.json(result);
+  } catch (error) {
+    console.log("Error reverting audit entry:", error);
+    return NextResponse.json(
+      { error: "Failed to revert change" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,32 @@
+import { requirePermission } from "@/lib/dashboardAuth";
+import { getAuditEntries } from "@/lib/auditLog";
+import { NextResponse } from "next/server";
+
+/**
+ * GET /api/audit - Audit log, newest first
+ * Query: ?resource=connection|combo|alias|pricing|settings|user
+ *        &action=create|update|delete&resourceId=<id>&user=<username>&limit=200
+ */
+export async function GET(request) {
+  const auth = await requirePermission("audit:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const limit = Number.parseInt(searchParams.get("limit") || "200", 10);
+    const entries = await getAuditEntries({
+      resource: searchParams.get("resource") || undefined,
+      user: searchParams.get("user") || undefined,
+      action: searchParams.get("action") || undefined,
+      resourceId: searchParams.get("resourceId") || undefined,
+      limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, 1000) : 200,
+    });
+    return NextResponse.json({ entries });
+  } catch (error) {
+    console.log("Error reading audit log:", error);
+    return NextResponse.json(
+      { error: "Failed to read audit log" },
+      { status: 500 },
+    );
+  }
+}
@@ -1,25 +1,20 @@
-import { getSettings } from "@/lib/localDb";
+import { SESSION_COOKIE, startSession } from "@/lib/dashboardAuth";
+import { getUserByUsername } from "@/lib/localDb";
 import { NextResponse } from "next/server";
 import { cookies } from "next/headers";
-import { SignJWT } from "jose";
 import bcrypt from "bcryptjs";
 
-const SECRET = new TextEncoder().encode(
-  process.env.JWT_SECRET || "9router-default-secret-change-me",
-);
-
 export async function POST(request) {
   try {
-    const { password } = await request.json();
-    const settings = await getSettings();
-
-    // Default password is '123456' if not set
-    const storedHash = settings.password;
+    // Older clients only send a password: that is the admin account
+    const { username = "admin", password } = await request.json();
+    const user = await getUserByUsername(username);
 
+    // An account without a password hash still uses the initial password
     let isValid = false;
-    if (storedHash) {
-      isValid = await bcrypt.compare(password, storedHash);
-    } else {
+    if (user?.password) {
+      isValid = await bcrypt.compare(String(password), user.password);
+    } else if (user) {
       // Use env var or default
       const initialPassword = process.env.INITIAL_PASSWORD || "123456";
       isValid = password === initialPassword;
@@ -31,13 +26,10 @@ export async function POST(request) {
       const isHttpsRequest = forwardedProto === "https";
       const useSecureCookie = forceSecureCookie || isHttpsRequest;
 
-      const token = await new SignJWT({ authenticated: true })
-        .setProtectedHeader({ alg: "HS256" })
-        .setExpirationTime("24h")
-        .sign(SECRET);
+      const token = await startSession(user);
 
       const cookieStore = await cookies();
-      cookieStore.set("auth_token", token, {
+      cookieStore.set(SESSION_COOKIE, token, {
         httpOnly: true,
         secure: useSecureCookie,
         sameSite: "lax",
@@ -47,7 +39,10 @@ export async function POST(request) {
       return NextResponse.json({ success: true });
     }
 
-    return NextResponse.json({ error: "Invalid password" }, { status: 401 });
+    return NextResponse.json(
+      { error: "Invalid username or password" },
+      { status: 401 },
+    );
   } catch (error) {
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
@@ -1,8 +1,10 @@
+import { SESSION_COOKIE, endSession } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import { cookies } from "next/headers";
 
 export async function POST() {
+  await endSession();
   const cookieStore = await cookies();
-  cookieStore.delete("auth_token");
+  cookieStore.delete(SESSION_COOKIE);
   return NextResponse.json({ success: true });
 }
@@ -0,0 +1,15 @@
+import { ROLE_PERMISSIONS, requirePermission } from "@/lib/dashboardAuth";
+import { NextResponse } from "next/server";
+
+// GET /api/auth/me - Current dashboard user and permissions
+export async function GET() {
+  const auth = await requirePermission("dashboard:read");
+  if (auth.response) return auth.response;
+
+  const { id, username, role, password } = auth.user;
+  return NextResponse.json({
+    user: { id, username, role },
+    permissions: ROLE_PERMISSIONS[role],
+    hasPassword: !!password,
+  });
+}
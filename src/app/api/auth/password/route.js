@@ -0,0 +1,62 @@
+import { requirePermission } from "@/lib/dashboardAuth";
+import { updateUser } from "@/lib/localDb";
+import { NextResponse } from "next/server";
+import bcrypt from "bcryptjs";
+
+// POST /api/auth/password - Change the current user's password
+export async function POST(request) {
+  const auth = await requirePermission("dashboard:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const { currentPassword, newPassword } = await request.json();
+    if (!auth.user.id) {
+      return NextResponse.json(
+        { error: "Log in to change your password" },
+        { status: 400 },
+      );
+    }
+    if (!newPassword) {
+      return NextResponse.json(
+        { error: "New password required" },
+        { status: 400 },
+      );
+    }
+
+    const currentHash = auth.user.password;
+    if (currentHash) {
+      if (!currentPassword) {
+        return NextResponse.json(
+          { error: "Current password required" },
+          { status: 400 },
+        );
+      }
+      const isValid = await bcrypt.compare(currentPassword, currentHash);
+      if (!isValid) {
+        return NextResponse.json(
+          { error: "Invalid current password" },
+          { status: 401 },
+        );
+      }
+    } else {
+      // First time setting password, no current password needed
+      // Allow empty currentPassword or the initial password
+      const initialPassword = process.env.INITIAL_PASSWORD || "123456";
+      if (currentPassword && currentPassword !== initialPassword) {
+        return NextResponse.json(
+          { error: "Invalid current password" },
+          { status: 401 },
+        );
+      }
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    await updateUser(auth.user.id, {
+      password: await bcrypt.hash(newPassword, salt),
+    });
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.log("Error changing password:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
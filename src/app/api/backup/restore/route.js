@@ -0,0 +1,50 @@
+import { readBackup, RESTORE_MODES } from "@/lib/configBackup";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { restoreConfigBackup } from "@/lib/localDb";
+import { NextResponse } from "next/server";
+
+/**
+ * POST /api/backup/restore - Restore a backup file
+ * Body: { archive, passphrase?, mode: "merge"|"replace", dryRun? }
+ * Returns the per-section changes; nothing is written with dryRun.
+ */
+export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
+  try {
+    const {
+      archive,
+      passphrase,
+      mode = "merge",
+      dryRun,
+    } = await request.json();
+
+    if (!RESTORE_MODES.includes(mode)) {
+      return NextResponse.json(
+        { error: `mode must be one of: ${RESTORE_MODES.join(", ")}` },
+        { status: 400 },
+      );
+    }
+
+    let sections;
+    try {
+      sections = readBackup(archive, { passphrase });
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    const result = await restoreConfigBackup(sections, {
+      mode,
+      dryRun: dryRun === true,
+    });
+    if (result.applied) console.log(`[API] Backup restored (${mode})`);
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error("[API] Failed to restore backup:", error);
+    return NextResponse.json(
+      { error: "Failed to restore backup" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,41 @@
+import { requirePermission } from "@/lib/dashboardAuth";
+import { APP_CONFIG } from "@/shared/constants/config";
+import { exportConfigBackup } from "@/lib/localDb";
+import { NextResponse } from "next/server";
+
+/**
+ * POST /api/backup - Download the configuration as a backup file
+ * Body: { passphrase? } - encrypts the archive when set
+ */
+export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
+  try {
+    const body = await request.json().catch(() => ({}));
+    if (body.passphrase !== undefined && typeof body.passphrase !== "string") {
+      return NextResponse.json(
+        { error: "passphrase must be a string" },
+        { status: 400 },
+      );
+    }
+
+    const archive = await exportConfigBackup({
+      passphrase: body.passphrase || undefined,
+      appVersion: APP_CONFIG.version,
+    });
+    const date = archive.createdAt.slice(0, 10);
+    return new Response(JSON.stringify(archive, null, 2), {
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Disposition": `attachment; filename="claude-router-backup-${date}.json"`,
+      },
+    });
+  } catch (error) {
+    console.error("[API] Failed to export backup:", error);
+    return NextResponse.json(
+      { error: "Failed to export backup" },
+      { status: 500 },
+    );
+  }
+}
@@ -1,10 +1,14 @@
 "use server";
 
 import { getMitmAlias, setMitmAliasAll } from "@/models";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 // GET - Get MITM aliases for a tool
 export async function GET(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { searchParams } = new URL(request.url);
     const toolName = searchParams.get("tool");
@@ -21,6 +25,9 @@ export async function GET(request) {
 
 // PUT - Save MITM aliases for a specific tool
 export async function PUT(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { tool, mappings } = await request.json();
 
@@ -10,6 +10,7 @@ import {
   initDbHooks,
 } from "@/mitm/manager";
 import { getSettings, updateSettings } from "@/lib/localDb";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 // Inject DB hooks so manager.js (CJS) can persist settings without dynamic import issues
@@ -17,6 +18,9 @@ initDbHooks(getSettings, updateSettings);
 
 // GET - Check MITM status
 export async function GET() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const status = await getMitmStatus();
     return NextResponse.json({
@@ -37,6 +41,9 @@ export async function GET() {
 
 // POST - Start MITM proxy
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { apiKey, sudoPassword } = await request.json();
     const isWin = process.platform === "win32";
@@ -73,6 +80,9 @@ export async function POST(request) {
 
 // DELETE - Stop MITM proxy
 export async function DELETE(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { sudoPassword } = await request.json();
     const isWin = process.platform === "win32";
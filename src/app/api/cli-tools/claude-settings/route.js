@@ -1,5 +1,6 @@
 "use server";
 
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import { exec } from "child_process";
 import { promisify } from "util";
@@ -87,6 +88,9 @@ const readSettings = async () => {
 
 // GET - Check claude CLI and read current settings
 export async function GET() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const isInstalled = await checkClaudeInstalled();
 
@@ -118,6 +122,9 @@ export async function GET() {
 
 // POST - Backup old fields and write new settings
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { env } = await request.json();
 
@@ -189,6 +196,9 @@ const RESET_ENV_KEYS = [
 
 // DELETE - Reset settings (remove env fields)
 export async function DELETE() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const settingsPath = getClaudeSettingsPath();
 
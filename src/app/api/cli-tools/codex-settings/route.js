@@ -1,5 +1,6 @@
 "use server";
 
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import { exec } from "child_process";
 import { promisify } from "util";
@@ -109,6 +110,9 @@ const has9RouterConfig = config => {
 
 // GET - Check codex CLI and read current settings
 export async function GET() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const isInstalled = await checkCodexInstalled();
 
@@ -139,6 +143,9 @@ export async function GET() {
 
 // POST - Update 9Router settings (merge with existing config)
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { baseUrl, apiKey, model } = await request.json();
 
@@ -212,6 +219,9 @@ export async function POST(request) {
 
 // DELETE - Remove 9Router settings only (keep other settings)
 export async function DELETE() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const configPath = getCodexConfigPath();
 
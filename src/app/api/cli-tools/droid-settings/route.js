@@ -1,5 +1,6 @@
 "use server";
 
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import { exec } from "child_process";
 import { promisify } from "util";
@@ -44,6 +45,9 @@ const has9RouterConfig = settings => {
 
 // GET - Check droid CLI and read current settings
 export async function GET() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const isInstalled = await checkDroidInstalled();
 
@@ -74,6 +78,9 @@ export async function GET() {
 
 // POST - Update 9Router customModels (merge with existing settings)
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { baseUrl, apiKey, model } = await request.json();
 
@@ -148,6 +155,9 @@ export async function POST(request) {
 
 // DELETE - Remove 9Router customModels only (keep other settings)
 export async function DELETE() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const settingsPath = getDroidSettingsPath();
 
@@ -1,5 +1,6 @@
 "use server";
 
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import { exec } from "child_process";
 import { promisify } from "util";
@@ -45,6 +46,9 @@ const has9RouterConfig = settings => {
 
 // GET - Check openclaw CLI and read current settings
 export async function GET() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const isInstalled = await checkOpenClawInstalled();
 
@@ -75,6 +79,9 @@ export async function GET() {
 
 // POST - Update 9Router settings (merge with existing settings)
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { baseUrl, apiKey, model } = await request.json();
 
@@ -147,6 +154,9 @@ export async function POST(request) {
 
 // DELETE - Remove 9Router settings only (keep other settings)
 export async function DELETE() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const settingsPath = getOpenClawSettingsPath();
 
@@ -3,6 +3,7 @@ import {
   getProviderConnections,
   updateProviderConnection,
 } from "@/models";
+import { recordAudit, CLOUD_SYNC_ACTOR } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 // Update provider credentials (for cloud token refresh)
@@ -58,7 +59,16 @@ export async function PUT(request) {
       ).toISOString();
     }
 
-    await updateProviderConnection(connection.id, updateData);
+    const updated = await updateProviderConnection(connection.id, updateData);
+    await recordAudit({
+      user: CLOUD_SYNC_ACTOR,
+      action: "update",
+      resource: "connection",
+      resourceId: connection.id,
+      name: connection.name,
+      before: connection,
+      after: updated,
+    });
 
     return NextResponse.json({
       success: true,
@@ -1,4 +1,5 @@
 import { validateApiKey, getModelAliases, setModelAlias } from "@/models";
+import { recordAudit, CLOUD_SYNC_ACTOR } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 // PUT /api/cloud/models/alias - Set model alias (for cloud/CLI)
@@ -40,6 +41,16 @@ export async function PUT(request) {
 
     // Update alias
     await setModelAlias(alias, model);
+    if (!existingModel) {
+      await recordAudit({
+        user: CLOUD_SYNC_ACTOR,
+        action: "create",
+        resource: "alias",
+        resourceId: alias,
+        name: alias,
+        after: { model },
+      });
+    }
 
     return NextResponse.json({
       success: true,
@@ -4,6 +4,11 @@ import {
   deleteCombo,
   getComboByName,
 } from "@/lib/localDb";
+import { CONFIG_MANAGED_ERROR, isConfigManaged } from "@/lib/configFile";
+import { validatePluginNames } from "open-sse/services/plugins.js";
+import { validateComboRouting } from "open-sse/services/combo.js";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 // Validate combo name: only a-z, A-Z, 0-9, -, _
@@ -11,6 +16,9 @@ const VALID_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
 
 // GET /api/combos/[id] - Get combo by ID
 export async function GET(request, { params }) {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const combo = await getComboById(id);
@@ -31,10 +39,21 @@ export async function GET(request, { params }) {
 
 // PUT /api/combos/[id] - Update combo
 export async function PUT(request, { params }) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const body = await request.json();
 
+    const previous = await getComboById(id);
+    if (isConfigManaged(previous)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
     // Validate name format if provided
     if (body.name) {
       if (!VALID_NAME_REGEX.test(body.name)) {
@@ -54,11 +73,26 @@ export async function PUT(request, { params }) {
       }
     }
 
+    const routingError =
+      validateComboRouting(body) || validatePluginNames(body.plugins);
+    if (routingError) {
+      return NextResponse.json({ error: routingError }, { status: 400 });
+    }
+
     const combo = await updateCombo(id, body);
 
     if (!combo) {
       return NextResponse.json({ error: "Combo not found" }, { status: 404 });
     }
+    await recordAudit({
+      user: auth.user,
+      action: "update",
+      resource: "combo",
+      resourceId: id,
+      name: combo.name,
+      before: previous,
+      after: combo,
+    });
 
     return NextResponse.json(combo);
   } catch (error) {
@@ -72,13 +106,33 @@ export async function PUT(request, { params }) {
 
 // DELETE /api/combos/[id] - Delete combo
 export async function DELETE(request, { params }) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
+
+    const existing = await getComboById(id);
+    if (isConfigManaged(existing)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
     const success = await deleteCombo(id);
 
     if (!success) {
       return NextResponse.json({ error: "Combo not found" }, { status: 404 });
     }
+    await recordAudit({
+      user: auth.user,
+      action: "delete",
+      resource: "combo",
+      resourceId: id,
+      name: existing.name,
+      before: existing,
+    });
 
     return NextResponse.json({ success: true });
   } catch (error) {
@@ -1,4 +1,8 @@
 import { getCombos, createCombo, getComboByName } from "@/lib/localDb";
+import { validatePluginNames } from "open-sse/services/plugins.js";
+import { validateComboRouting } from "open-sse/services/combo.js";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 // Validate combo name: only a-z, A-Z, 0-9, -, _
@@ -6,6 +10,9 @@ const VALID_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
 
 // GET /api/combos - Get all combos
 export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const combos = await getCombos();
     return NextResponse.json({ combos });
@@ -20,9 +27,12 @@ export async function GET() {
 
 // POST /api/combos - Create new combo
 export async function POST(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
-    const { name, models } = body;
+    const { name, models, strategy, weights, race, plugins } = body;
 
     if (!name) {
       return NextResponse.json({ error: "Name is required" }, { status: 400 });
@@ -36,6 +46,16 @@ export async function POST(request) {
       );
     }
 
+    const routingError =
+      validateComboRouting({
+        strategy,
+        weights,
+        race,
+      }) || validatePluginNames(plugins);
+    if (routingError) {
+      return NextResponse.json({ error: routingError }, { status: 400 });
+    }
+
     // Check if name already exists
     const existing = await getComboByName(name);
     if (existing) {
@@ -45,7 +65,22 @@ export async function POST(request) {
       );
     }
 
-    const combo = await createCombo({ name, models: models || [] });
+    const combo = await createCombo({
+      name,
+      models: models || [],
+      strategy,
+      weights,
+      race,
+      plugins,
+    });
+    await recordAudit({
+      user: auth.user,
+      action: "create",
+      resource: "combo",
+      resourceId: combo.id,
+      name: combo.name,
+      after: combo,
+    });
 
     return NextResponse.json(combo, { status: 201 });
   } catch (error) {
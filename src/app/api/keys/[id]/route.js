@@ -1,8 +1,16 @@
 import { deleteApiKey, getApiKeyById, updateApiKey } from "@/lib/localDb";
+import { validateApiKeyLimits } from "open-sse/services/apiKeyLimits.js";
+import { CONFIG_MANAGED_ERROR, isConfigManaged } from "@/lib/configFile";
+import { validateApiKeyScope } from "open-sse/services/apiKeyScope.js";
+import { validatePluginNames } from "open-sse/services/plugins.js";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 // GET /api/keys/[id] - Get single key
 export async function GET(request, { params }) {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const key = await getApiKeyById(id);
@@ -18,18 +26,38 @@ export async function GET(request, { params }) {
 
 // PUT /api/keys/[id] - Update key
 export async function PUT(request, { params }) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const body = await request.json();
-    const { isActive } = body;
+    const { isActive, limits, scope, plugins } = body;
+
+    const validationError =
+      validateApiKeyLimits(limits) ||
+      validateApiKeyScope(scope) ||
+      validatePluginNames(plugins);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
 
     const existing = await getApiKeyById(id);
     if (!existing) {
       return NextResponse.json({ error: "Key not found" }, { status: 404 });
     }
+    if (isConfigManaged(existing)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
 
     const updateData = {};
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (limits !== undefined) updateData.limits = limits;
+    if (scope !== undefined) updateData.scope = scope;
+    if (plugins !== undefined) updateData.plugins = plugins;
 
     const updated = await updateApiKey(id, updateData);
 
@@ -45,9 +73,19 @@ export async function PUT(request, { params }) {
 
 // DELETE /api/keys/[id] - Delete API key
 export async function DELETE(request, { params }) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
 
+    if (isConfigManaged(await getApiKeyById(id))) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
     const deleted = await deleteApiKey(id);
     if (!deleted) {
       return NextResponse.json({ error: "Key not found" }, { status: 404 });
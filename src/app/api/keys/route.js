@@ -1,12 +1,27 @@
+import { getApiKeyRequestWindow } from "open-sse/services/apiKeyLimits.js";
 import { getConsistentMachineId } from "@/shared/utils/machineId";
 import { getApiKeys, createApiKey } from "@/lib/localDb";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { getApiKeyConsumption } from "@/lib/usageDb";
 import { NextResponse } from "next/server";
 
-// GET /api/keys - List API keys
+// GET /api/keys - List API keys with current consumption
 export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const keys = await getApiKeys();
-    return NextResponse.json({ keys });
+    const consumption = await getApiKeyConsumption();
+    const keysWithUsage = keys.map(key => ({
+      ...key,
+      usage: {
+        requestsLastMinute: getApiKeyRequestWindow(key.key).count,
+        tokensToday: consumption[key.key]?.tokensToday || 0,
+        costThisMonth: consumption[key.key]?.costThisMonth || 0,
+      },
+    }));
+    return NextResponse.json({ keys: keysWithUsage });
   } catch (error) {
     console.log("Error fetching keys:", error);
     return NextResponse.json(
@@ -18,6 +33,9 @@ export async function GET() {
 
 // POST /api/keys - Create new API key
 export async function POST(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const { name } = body;
@@ -0,0 +1,44 @@
+import {
+  renderMetrics,
+  negotiateMetricsFormat,
+} from "open-sse/services/metrics.js";
+import { getSettings, getProviderConnections, getApiKeys } from "@/lib/localDb";
+import { extractApiKey, isValidApiKey } from "@/sse/services/auth.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { errorResponse } from "open-sse/utils/error.js";
+
+/**
+ * GET /metrics - Prometheus / OpenMetrics scrape endpoint.
+ * Protected like /v1: a valid API key is required when requireApiKey is on.
+ */
+export async function GET(request) {
+  try {
+    const settings = await getSettings();
+    if (settings.requireApiKey) {
+      const apiKey = extractApiKey(request);
+      if (!apiKey) {
+        return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+      }
+      if (!(await isValidApiKey(apiKey))) {
+        return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+      }
+    }
+
+    const [connections, apiKeys] = await Promise.all([
+      getProviderConnections(),
+      getApiKeys(),
+    ]);
+    const apiKeyNames = Object.fromEntries(apiKeys.map(k => [k.key, k.name]));
+
+    const { openMetrics, contentType } = negotiateMetricsFormat(
+      request.headers.get("accept"),
+    );
+    return new Response(
+      renderMetrics({ connections, apiKeyNames, openMetrics }),
+      { headers: { "Content-Type": contentType } },
+    );
+  } catch (error) {
+    console.log("Error rendering metrics:", error);
+    return errorResponse(HTTP_STATUS.SERVER_ERROR, error.message);
+  }
+}
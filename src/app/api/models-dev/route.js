@@ -1,3 +1,4 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 let cache = null;
@@ -5,6 +6,9 @@ let cacheTime = 0;
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
 export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const now = Date.now();
     if (cache && now - cacheTime < CACHE_TTL) {
@@ -1,8 +1,15 @@
 import { getModelAliases, setModelAlias, deleteModelAlias } from "@/models";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { CONFIG_MANAGED_ERROR } from "@/lib/configFile";
+import { getConfigManagedAliases } from "@/lib/localDb";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 // GET /api/models/alias - Get all aliases
 export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const aliases = await getModelAliases();
     return NextResponse.json({ aliases });
@@ -17,6 +24,9 @@ export async function GET() {
 
 // PUT /api/models/alias - Set model alias
 export async function PUT(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const { model, alias } = body;
@@ -28,7 +38,24 @@ export async function PUT(request) {
       );
     }
 
+    if ((await getConfigManagedAliases()).includes(alias)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
+    const previous = (await getModelAliases())[alias];
     await setModelAlias(alias, model);
+    await recordAudit({
+      user: auth.user,
+      action: previous ? "update" : "create",
+      resource: "alias",
+      resourceId: alias,
+      name: alias,
+      before: previous ? { model: previous } : undefined,
+      after: { model },
+    });
 
     return NextResponse.json({ success: true, model, alias });
   } catch (error) {
@@ -42,6 +69,9 @@ export async function PUT(request) {
 
 // DELETE /api/models/alias?alias=xxx - Delete alias
 export async function DELETE(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const { searchParams } = new URL(request.url);
     const alias = searchParams.get("alias");
@@ -50,7 +80,25 @@ export async function DELETE(request) {
       return NextResponse.json({ error: "Alias required" }, { status: 400 });
     }
 
+    if ((await getConfigManagedAliases()).includes(alias)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
+    const previous = (await getModelAliases())[alias];
     await deleteModelAlias(alias);
+    if (previous) {
+      await recordAudit({
+        user: auth.user,
+        action: "delete",
+        resource: "alias",
+        resourceId: alias,
+        name: alias,
+        before: { model: previous },
+      });
+    }
 
     return NextResponse.json({ success: true });
   } catch (error) {
@@ -1,9 +1,13 @@
 import { getModelAliases, setModelAlias } from "@/models";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { AI_MODELS } from "@/shared/constants/config";
 import { NextResponse } from "next/server";
 
 // GET /api/models - Get models with aliases
 export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const modelAliases = await getModelAliases();
 
@@ -28,6 +32,9 @@ export async function GET() {
 
 // PUT /api/models - Update model alias
 export async function PUT(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const { model, alias } = body;
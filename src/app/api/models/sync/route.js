@@ -1,8 +1,12 @@
 import { getSyncedModels, setAllSyncedModels } from "@/lib/localDb";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { writeFile } from "fs/promises";
 import path from "path";
 
 export async function GET() {
+  const auth = await requirePermission("providers:read");
+  if (auth.response) return auth.response;
+
   try {
     const models = await getSyncedModels();
     return Response.json({ models });
@@ -56,6 +60,9 @@ function getDisplayName(modelId, modelData) {
 }
 
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const res = await fetch("https://models.dev/api.json");
     if (!res.ok) {
@@ -81,6 +88,9 @@ export async function POST(request) {
         .map(([modelId, modelData]) => ({
           id: modelId,
           name: getDisplayName(modelId, modelData),
+          ...(modelData.limit?.context
+            ? { contextWindow: modelData.limit.context }
+            : {}),
           ...(modelData.cost?.input === 0 && modelData.cost?.output === 0
             ? { free: true }
             : {}),
@@ -5,7 +5,9 @@ import {
   requestDeviceCode,
   pollForToken,
 } from "@/lib/oauth/providers";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { createProviderConnection } from "@/models";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 /**
@@ -16,6 +18,9 @@ import { NextResponse } from "next/server";
 // GET /api/oauth/[provider]/authorize - Generate auth URL
 // GET /api/oauth/[provider]/device-code - Request device code (for device_code flow)
 export async function GET(request, { params }) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { provider, action } = await params;
     const { searchParams } = new URL(request.url);
@@ -69,6 +74,9 @@ export async function GET(request, { params }) {
 // POST /api/oauth/[provider]/exchange - Exchange code for tokens and save
 // POST /api/oauth/[provider]/poll - Poll for token (device_code flow)
 export async function POST(request, { params }) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { provider, action } = await params;
     let body;
@@ -116,6 +124,14 @@ export async function POST(request, { params }) {
           : null,
         testStatus: "active",
       });
+      await recordAudit({
+        user: auth.user,
+        action: "create",
+        resource: "connection",
+        resourceId: connection.id,
+        name: connection.name,
+        after: connection,
+      });
 
       return NextResponse.json({
         success: true,
@@ -170,6 +186,14 @@ export async function POST(request, { params }) {
             : null,
           testStatus: "active",
         });
+        await recordAudit({
+          user: auth.user,
+          action: "create",
+          resource: "connection",
+          resourceId: connection.id,
+          name: connection.name,
+          after: connection,
+        });
 
         return NextResponse.json({
           success: true,
@@ -1,3 +1,4 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { access, constants } from "fs/promises";
 import { NextResponse } from "next/server";
 import Database from "better-sqlite3";
@@ -116,6 +117,9 @@ function extractTokens(db, platform) {
  * Auto-detect and extract Cursor tokens from local SQLite database
  */
 export async function GET() {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const platform = process.platform;
     const candidates = getCandidatePaths(platform);
@@ -1,5 +1,7 @@
 import { CursorService } from "@/lib/oauth/services/cursor";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { createProviderConnection } from "@/models";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 /**
@@ -11,6 +13,9 @@ import { NextResponse } from "next/server";
  * - machineId: string - Machine ID from storage.serviceMachineId
  */
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { accessToken, machineId } = await request.json();
 
@@ -57,6 +62,14 @@ export async function POST(request) {
       },
       testStatus: "active",
     });
+    await recordAudit({
+      user: auth.user,
+      action: "create",
+      resource: "connection",
+      resourceId: connection.id,
+      name: connection.name,
+      after: connection,
+    });
 
     return NextResponse.json({
       success: true,
@@ -77,6 +90,9 @@ export async function POST(request) {
  * Get instructions for importing Cursor token
  */
 export async function GET() {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   const cursorService = new CursorService();
   const instructions = cursorService.getTokenStorageInstructions();
 
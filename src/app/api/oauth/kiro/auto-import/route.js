@@ -1,3 +1,4 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { readFile, readdir } from "fs/promises";
 import { NextResponse } from "next/server";
 import { homedir } from "os";
@@ -8,6 +9,9 @@ import { join } from "path";
  * Auto-detect and extract Kiro refresh token from AWS SSO cache
  */
 export async function GET() {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const cachePath = join(homedir(), ".aws/sso/cache");
 
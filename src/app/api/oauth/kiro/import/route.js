@@ -1,5 +1,7 @@
 import { KiroService } from "@/lib/oauth/services/kiro";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { createProviderConnection } from "@/models";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 /**
@@ -7,6 +9,9 @@ import { NextResponse } from "next/server";
  * Import and validate refresh token from Kiro IDE
  */
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { refreshToken } = await request.json();
 
@@ -44,6 +49,14 @@ export async function POST(request) {
       },
       testStatus: "active",
     });
+    await recordAudit({
+      user: auth.user,
+      action: "create",
+      resource: "connection",
+      resourceId: connection.id,
+      name: connection.name,
+      after: connection,
+    });
 
     return NextResponse.json({
       success: true,
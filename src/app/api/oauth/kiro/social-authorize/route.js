@@ -1,4 +1,5 @@
 import { KiroService } from "@/lib/oauth/services/kiro";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { generatePKCE } from "@/lib/oauth/utils/pkce";
 import { NextResponse } from "next/server";
 
@@ -8,6 +9,9 @@ import { NextResponse } from "next/server";
  * Uses kiro:// custom protocol as required by AWS Cognito
  */
 export async function GET(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { searchParams } = new URL(request.url);
     const provider = searchParams.get("provider"); // "google" or "github"
@@ -1,5 +1,7 @@
 import { KiroService } from "@/lib/oauth/services/kiro";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { createProviderConnection } from "@/models";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 /**
@@ -8,6 +10,9 @@ import { NextResponse } from "next/server";
  * Callback URL will be in format: kiro://kiro.kiroAgent/authenticate-success?code=XXX&state=YYY
  */
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { code, codeVerifier, provider } = await request.json();
 
@@ -47,6 +52,14 @@ export async function POST(request) {
       },
       testStatus: "active",
     });
+    await recordAudit({
+      user: auth.user,
+      action: "create",
+      resource: "connection",
+      resourceId: connection.id,
+      name: connection.name,
+      after: connection,
+    });
 
     return NextResponse.json({
       success: true,
@@ -0,0 +1,36 @@
+import { getPluginStatus, reloadPlugins } from "@/lib/plugins";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { NextResponse } from "next/server";
+
+// GET /api/plugins - Loaded middleware plugins and load errors
+export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
+  try {
+    return NextResponse.json(await getPluginStatus());
+  } catch (error) {
+    console.log("Error fetching plugins:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch plugins" },
+      { status: 500 },
+    );
+  }
+}
+
+// POST /api/plugins - Reload plugins from the data directory
+export async function POST() {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
+  try {
+    await reloadPlugins();
+    return NextResponse.json(await getPluginStatus());
+  } catch (error) {
+    console.log("Error reloading plugins:", error);
+    return NextResponse.json(
+      { error: "Failed to reload plugins" },
+      { status: 500 },
+    );
+  }
+}
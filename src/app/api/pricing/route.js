@@ -1,10 +1,13 @@
 import {
   getPricing,
+  getPricingOverrides,
   updatePricing,
   resetPricing,
   resetAllPricing,
 } from "@/lib/localDb.js";
 import { getDefaultPricing } from "@/shared/constants/pricing.js";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 /**
@@ -12,6 +15,9 @@ import { NextResponse } from "next/server";
  * Get current pricing configuration (merged user + defaults)
  */
 export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
   try {
     const pricing = await getPricing();
     return NextResponse.json(pricing);
@@ -30,6 +36,9 @@ export async function GET() {
  * Body: { provider: { model: { input: number, output: number, cached: number, ... } } }
  */
 export async function PATCH(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
 
@@ -65,6 +74,10 @@ export async function PATCH(request) {
           "cached",
           "reasoning",
           "cache_creation",
+          "audio_minute",
+          "characters",
+          "image",
+          "search",
         ];
         for (const [key, value] of Object.entries(pricing)) {
           if (!validFields.includes(key)) {
@@ -87,7 +100,15 @@ export async function PATCH(request) {
       }
     }
 
+    const previous = await getPricingOverrides();
     const updatedPricing = await updatePricing(body);
+    await recordAudit({
+      user: auth.user,
+      action: "update",
+      resource: "pricing",
+      before: previous,
+      after: updatedPricing,
+    });
     return NextResponse.json(updatedPricing);
   } catch (error) {
     console.error("Error updating pricing:", error);
@@ -104,10 +125,14 @@ export async function PATCH(request) {
  * Query params: ?provider=xxx&model=yyy (optional)
  */
 export async function DELETE(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
   try {
     const { searchParams } = new URL(request.url);
     const provider = searchParams.get("provider");
     const model = searchParams.get("model");
+    const previous = await getPricingOverrides();
 
     if (provider && model) {
       // Reset specific model
@@ -120,6 +145,14 @@ export async function DELETE(request) {
       await resetAllPricing();
     }
 
+    await recordAudit({
+      user: auth.user,
+      action: "update",
+      resource: "pricing",
+      before: previous,
+      after: await getPricingOverrides(),
+    });
+
     const pricing = await getPricing();
     return NextResponse.json(pricing);
   } catch (error) {
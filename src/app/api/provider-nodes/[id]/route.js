@@ -6,10 +6,15 @@ import {
   updateProviderConnection,
   updateProviderNode,
 } from "@/models";
+import { CONFIG_MANAGED_ERROR, isConfigManaged } from "@/lib/configFile";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 // PUT /api/provider-nodes/[id] - Update provider node
 export async function PUT(request, { params }) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const body = await request.json();
@@ -22,6 +27,12 @@ export async function PUT(request, { params }) {
         { status: 404 },
       );
     }
+    if (isConfigManaged(node)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
 
     if (!name?.trim()) {
       return NextResponse.json({ error: "Name is required" }, { status: 400 });
@@ -101,6 +112,9 @@ export async function PUT(request, { params }) {
 
 // DELETE /api/provider-nodes/[id] - Delete provider node and its connections
 export async function DELETE(request, { params }) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const node = await getProviderNodeById(id);
@@ -111,6 +125,12 @@ export async function DELETE(request, { params }) {
         { status: 404 },
       );
     }
+    if (isConfigManaged(node)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
 
     await deleteProviderConnectionsByProvider(id);
     await deleteProviderNode(id);
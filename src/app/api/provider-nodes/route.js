@@ -3,6 +3,7 @@ import {
   ANTHROPIC_COMPATIBLE_PREFIX,
 } from "@/shared/constants/providers";
 import { createProviderNode, getProviderNodes } from "@/models";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { generateId } from "@/shared/utils";
 import { NextResponse } from "next/server";
 
@@ -16,6 +17,9 @@ const ANTHROPIC_COMPATIBLE_DEFAULTS = {
 
 // GET /api/provider-nodes - List all provider nodes
 export async function GET() {
+  const auth = await requirePermission("dashboard:read");
+  if (auth.response) return auth.response;
+
   try {
     const nodes = await getProviderNodes();
     return NextResponse.json({ nodes });
@@ -30,6 +34,9 @@ export async function GET() {
 
 // POST /api/provider-nodes - Create provider node
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const { name, prefix, apiType, baseUrl, type } = body;
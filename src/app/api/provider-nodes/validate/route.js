@@ -1,7 +1,11 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 // POST /api/provider-nodes/validate - Validate API key against base URL
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const { baseUrl, apiKey, type } = body;
@@ -2,6 +2,7 @@ import {
   isOpenAICompatibleProvider,
   isAnthropicCompatibleProvider,
 } from "@/shared/constants/providers";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getProviderConnectionById } from "@/models";
 import { NextResponse } from "next/server";
 
@@ -112,6 +113,9 @@ const PROVIDER_MODELS_CONFIG = {
  * GET /api/providers/[id]/models - Get models list from provider
  */
 export async function GET(request, { params }) {
+  const auth = await requirePermission("providers:read");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const connection = await getProviderConnectionById(id);
@@ -3,10 +3,16 @@ import {
   updateProviderConnection,
   deleteProviderConnection,
 } from "@/models";
+import { CONFIG_MANAGED_ERROR, isConfigManaged } from "@/lib/configFile";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 // GET /api/providers/[id] - Get single connection
 export async function GET(request, { params }) {
+  const auth = await requirePermission("providers:read");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const connection = await getProviderConnectionById(id);
@@ -37,6 +43,9 @@ export async function GET(request, { params }) {
 
 // PUT /api/providers/[id] - Update connection
 export async function PUT(request, { params }) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const body = await request.json();
@@ -60,6 +69,22 @@ export async function PUT(request, { params }) {
       );
     }
 
+    // Config file connections only accept test status updates
+    const editsConfig = [
+      name,
+      priority,
+      globalPriority,
+      defaultModel,
+      isActive,
+      apiKey,
+    ].some(value => value !== undefined);
+    if (editsConfig && isConfigManaged(existing)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (priority !== undefined) updateData.priority = priority;
@@ -73,6 +98,17 @@ export async function PUT(request, { params }) {
     if (lastErrorAt !== undefined) updateData.lastErrorAt = lastErrorAt;
 
     const updated = await updateProviderConnection(id, updateData);
+    if (editsConfig) {
+      await recordAudit({
+        user: auth.user,
+        action: "update",
+        resource: "connection",
+        resourceId: id,
+        name: updated.name,
+        before: existing,
+        after: updated,
+      });
+    }
 
     // Hide sensitive fields
     const result = { ...updated };
@@ -93,9 +129,20 @@ export async function PUT(request, { params }) {
 
 // DELETE /api/providers/[id] - Delete connection
 export async function DELETE(request, { params }) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
 
+    const existing = await getProviderConnectionById(id);
+    if (isConfigManaged(existing)) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
     const deleted = await deleteProviderConnection(id);
     if (!deleted) {
       return NextResponse.json(
@@ -103,6 +150,14 @@ export async function DELETE(request, { params }) {
         { status: 404 },
       );
     }
+    await recordAudit({
+      user: auth.user,
+      action: "delete",
+      resource: "connection",
+      resourceId: id,
+      name: existing.name,
+      before: existing,
+    });
 
     return NextResponse.json({ message: "Connection deleted successfully" });
   } catch (error) {
@@ -1,8 +1,12 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { testSingleConnection } from "./testUtils.js";
 import { NextResponse } from "next/server";
 
 // POST /api/providers/[id]/test - Test connection
 export async function POST(request, { params }) {
+  const auth = await requirePermission("providers:test");
+  if (auth.response) return auth.response;
+
   try {
     const { id } = await params;
     const result = await testSingleConnection(id);
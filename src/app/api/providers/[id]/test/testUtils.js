@@ -8,10 +8,15 @@ import {
   isOpenAICompatibleProvider,
   isAnthropicCompatibleProvider,
 } from "@/shared/constants/providers";
+import {
+  CIRCUIT_STATE,
+  getCircuitState,
+} from "open-sse/services/circuitBreaker.js";
 import {
   getProviderConnectionById,
   updateProviderConnection,
 } from "@/lib/localDb";
+import { signRequest } from "open-sse/utils/awsSigV4.js";
 
 // OAuth provider test endpoints
 const OAUTH_TEST_CONFIG = {
@@ -440,6 +445,26 @@ async function testApiKeyConnection(connection) {
         );
         return { valid: res.ok, error: res.ok ? null : "Invalid API key" };
       }
+      case "bedrock": {
+        // ListFoundationModels on the control plane checks the signature
+        const { accessKeyId, region } = connection.providerSpecificData || {};
+        if (!accessKeyId || !region) {
+          return { valid: false, error: "Missing Access Key ID or Region" };
+        }
+        const url = `https://bedrock.${region}.amazonaws.com/foundation-models`;
+        const headers = await signRequest({
+          method: "GET",
+          url,
+          service: "bedrock",
+          region,
+          credentials: { accessKeyId, secretAccessKey: connection.apiKey },
+        });
+        const res = await fetch(url, { headers });
+        return {
+          valid: res.ok,
+          error: res.ok ? null : "Invalid AWS credentials or region",
+        };
+      }
       default:
         return { valid: false, error: "Provider test not supported" };
     }
@@ -478,6 +503,12 @@ export async function testSingleConnection(id) {
     lastErrorAt: result.valid ? null : new Date().toISOString(),
   };
 
+  // A passing test acts as the health probe for a half-open circuit
+  if (result.valid && getCircuitState(connection) === CIRCUIT_STATE.HALF_OPEN) {
+    updateData.rateLimitedUntil = null;
+    updateData.backoffLevel = 0;
+  }
+
   if (result.refreshed && result.newTokens) {
     updateData.accessToken = result.newTokens.accessToken;
     if (result.newTokens.refreshToken)
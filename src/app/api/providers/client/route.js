@@ -1,16 +1,29 @@
+import { hasPermission, requirePermission } from "@/lib/dashboardAuth";
 import { getProviderConnections } from "@/lib/localDb";
 import { NextResponse } from "next/server";
 
 // GET /api/providers/client - List all connections for client (includes sensitive fields for sync)
 export async function GET() {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   try {
     const connections = await getProviderConnections();
 
     // Include sensitive fields for sync to cloud (only accessible from same origin)
-    const clientConnections = connections.map(c => ({
-      ...c,
-      // Don't hide sensitive fields here since this is for internal sync
-    }));
+    // Non-admin roles (usage quota views) get the connections without secrets
+    const showSecrets = hasPermission(auth.user.role, "providers:write");
+    const clientConnections = connections.map(c =>
+      showSecrets
+        ? c
+        : {
+            ...c,
+            apiKey: undefined,
+            accessToken: undefined,
+            refreshToken: undefined,
+            idToken: undefined,
+          },
+    );
 
     return NextResponse.json({ connections: clientConnections });
   } catch (error) {
@@ -0,0 +1,100 @@
+import {
+  DEFAULT_MODEL_LOCK_PROVIDERS,
+  MODEL_LOCK_CAPABLE_PROVIDERS,
+  listModelLocks,
+} from "open-sse/services/modelLocks.js";
+import {
+  getProviderConnections,
+  getSettings,
+  updateSettings,
+} from "@/lib/localDb";
+import { clearModelLock } from "@/sse/services/auth.js";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { NextResponse } from "next/server";
+
+// GET /api/providers/model-locks - Active model locks + lock-enabled providers
+export async function GET() {
+  const auth = await requirePermission("providers:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const [connections, settings] = await Promise.all([
+      getProviderConnections(),
+      getSettings(),
+    ]);
+    return NextResponse.json({
+      providers: settings.modelLockProviders || DEFAULT_MODEL_LOCK_PROVIDERS,
+      capableProviders: MODEL_LOCK_CAPABLE_PROVIDERS,
+      locks: listModelLocks(connections),
+    });
+  } catch (error) {
+    console.log("Error fetching model locks:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch model locks" },
+      { status: 500 },
+    );
+  }
+}
+
+// PUT /api/providers/model-locks - Set which providers lock per model
+export async function PUT(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
+  try {
+    const { providers } = await request.json();
+    if (
+      !Array.isArray(providers) ||
+      providers.some(p => typeof p !== "string" || !p)
+    ) {
+      return NextResponse.json(
+        { error: "providers must be an array of provider ids" },
+        { status: 400 },
+      );
+    }
+
+    const settings = await updateSettings({
+      modelLockProviders: [...new Set(providers)],
+    });
+    return NextResponse.json({ providers: settings.modelLockProviders });
+  } catch (error) {
+    console.log("Error updating model lock providers:", error);
+    return NextResponse.json(
+      { error: "Failed to update model lock providers" },
+      { status: 500 },
+    );
+  }
+}
+
+// DELETE /api/providers/model-locks?connectionId=...&model=... - Clear one lock
+export async function DELETE(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const connectionId = searchParams.get("connectionId");
+    const model = searchParams.get("model");
+    if (!connectionId || !model) {
+      return NextResponse.json(
+        { error: "connectionId and model are required" },
+        { status: 400 },
+      );
+    }
+
+    const cleared = await clearModelLock(connectionId, model);
+    if (!cleared) {
+      return NextResponse.json(
+        { error: "Connection not found" },
+        { status: 404 },
+      );
+    }
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.log("Error clearing model lock:", error);
+    return NextResponse.json(
+      { error: "Failed to clear model lock" },
+      { status: 500 },
+    );
+  }
+}
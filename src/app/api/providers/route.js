@@ -7,11 +7,17 @@ import {
   createProviderConnection,
   getProviderNodeById,
 } from "@/models";
+import { getCircuitInfo } from "open-sse/services/circuitBreaker.js";
 import { APIKEY_PROVIDERS } from "@/shared/constants/config";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
 
 // GET /api/providers - List all connections
 export async function GET() {
+  const auth = await requirePermission("providers:read");
+  if (auth.response) return auth.response;
+
   try {
     const connections = await getProviderConnections();
 
@@ -22,6 +28,7 @@ export async function GET() {
       accessToken: undefined,
       refreshToken: undefined,
       idToken: undefined,
+      circuit: getCircuitInfo(c),
     }));
 
     return NextResponse.json({ connections: safeConnections });
@@ -36,6 +43,9 @@ export async function GET() {
 
 // POST /api/providers - Create new connection (API Key only, OAuth via separate flow)
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const {
@@ -47,6 +57,8 @@ export async function POST(request) {
       defaultModel,
       testStatus,
       accountId,
+      accessKeyId,
+      region,
     } = body;
 
     // Validation
@@ -72,6 +84,14 @@ export async function POST(request) {
 
     if (provider === "cloudflare" && accountId) {
       providerSpecificData = { accountId };
+    } else if (provider === "bedrock") {
+      if (!accessKeyId || !region) {
+        return NextResponse.json(
+          { error: "Access Key ID and Region are required for AWS Bedrock" },
+          { status: 400 },
+        );
+      }
+      providerSpecificData = { accessKeyId, region };
     } else if (isOpenAICompatibleProvider(provider)) {
       const node = await getProviderNodeById(provider);
       if (!node) {
@@ -138,6 +158,15 @@ export async function POST(request) {
       testStatus: testStatus || "unknown",
     });
 
+    await recordAudit({
+      user: auth.user,
+      action: "create",
+      resource: "connection",
+      resourceId: newConnection.id,
+      name: newConnection.name,
+      after: newConnection,
+    });
+
     // Hide sensitive fields
     const result = { ...newConnection };
     delete result.apiKey;
@@ -6,6 +6,7 @@ import {
   ANTHROPIC_COMPATIBLE_PREFIX,
 } from "@/shared/constants/providers";
 import { testSingleConnection } from "../[id]/test/testUtils.js";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getProviderConnections } from "@/models";
 import { NextResponse } from "next/server";
 
@@ -43,6 +44,9 @@ function isCompatibleProvider(providerId) {
 
 // POST /api/providers/test-batch - Test multiple connections by group
 export async function POST(request) {
+  const auth = await requirePermission("providers:test");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const { mode, providerId } = body;
@@ -2,11 +2,15 @@ import {
   isOpenAICompatibleProvider,
   isAnthropicCompatibleProvider,
 } from "@/shared/constants/providers";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getProviderNodeById } from "@/models";
 import { NextResponse } from "next/server";
 
 // POST /api/providers/validate - Validate API key with provider
 export async function POST(request) {
+  const auth = await requirePermission("providers:write");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
     const { provider, apiKey } = body;
@@ -118,6 +122,36 @@ export async function POST(request) {
           isValid = openrouterRes.ok;
           break;
 
+        case "deepgram":
+          const deepgramRes = await fetch(
+            "https://api.deepgram.com/v1/projects",
+            {
+              headers: { Authorization: `Token ${apiKey}` },
+            },
+          );
+          isValid = deepgramRes.ok;
+          break;
+
+        case "assemblyai":
+          const assemblyRes = await fetch(
+            "https://api.assemblyai.com/v2/transcript?limit=1",
+            {
+              headers: { authorization: apiKey },
+            },
+          );
+          isValid = assemblyRes.ok;
+          break;
+
+        case "nanobanana":
+          const nanoBananaRes = await fetch(
+            "https://api.nanobananaapi.ai/api/v1/common/credit",
+            {
+              headers: { Authorization: `Bearer ${apiKey}` },
+            },
+          );
+          isValid = nanoBananaRes.ok;
+          break;
+
         case "glm":
         case "glm-cn":
         case "kimi":
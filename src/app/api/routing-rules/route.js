@@ -0,0 +1,67 @@
+import { validateRoutingRules } from "open-sse/services/routingRules.js";
+import { CONFIG_MANAGED_ERROR, isConfigManaged } from "@/lib/configFile";
+import { getRoutingRules, setRoutingRules } from "@/lib/localDb";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { NextResponse } from "next/server";
+
+const ruleContent = rule =>
+  JSON.stringify([
+    rule.name?.trim(),
+    rule.target?.trim(),
+    rule.enabled !== false,
+    rule.match || {},
+  ]);
+
+// GET /api/routing-rules - Get ordered routing rules
+export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const rules = await getRoutingRules();
+    return NextResponse.json({ rules });
+  } catch (error) {
+    console.log("Error fetching routing rules:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch routing rules" },
+      { status: 500 },
+    );
+  }
+}
+
+// PUT /api/routing-rules - Replace the rule list (order = priority)
+export async function PUT(request) {
+  const auth = await requirePermission("config:write");
+  if (auth.response) return auth.response;
+
+  try {
+    const { rules } = await request.json();
+
+    const validationError = validateRoutingRules(rules);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    // Config file rules can be reordered but not changed or removed
+    const managedRules = (await getRoutingRules()).filter(isConfigManaged);
+    const changesManaged = managedRules.some(rule => {
+      const submitted = rules.find(r => r.id === rule.id);
+      return !submitted || ruleContent(submitted) !== ruleContent(rule);
+    });
+    if (changesManaged) {
+      return NextResponse.json(
+        { error: CONFIG_MANAGED_ERROR },
+        { status: 409 },
+      );
+    }
+
+    const saved = await setRoutingRules(rules);
+    return NextResponse.json({ rules: saved });
+  } catch (error) {
+    console.log("Error saving routing rules:", error);
+    return NextResponse.json(
+      { error: "Failed to save routing rules" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,50 @@
+import {
+  validateRoutingRules,
+  getRequestFeatures,
+  findRoutingRule,
+} from "open-sse/services/routingRules.js";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { getRoutingRules } from "@/lib/localDb";
+import { NextResponse } from "next/server";
+
+// POST /api/routing-rules/test - Show which rule a sample request would hit
+// Body: { body: <chat request>, userAgent?, rules? (unsaved rules, defaults to saved) }
+export async function POST(request) {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const { body, userAgent, rules } = await request.json();
+
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return NextResponse.json(
+        { error: "body must be a chat request object" },
+        { status: 400 },
+      );
+    }
+
+    const candidates = rules ?? (await getRoutingRules());
+    const validationError = validateRoutingRules(candidates);
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const features = getRequestFeatures(body, {
+      "user-agent": userAgent || "",
+    });
+    const rule = findRoutingRule(candidates, features);
+    const { systemPrompt, ...rest } = features;
+
+    return NextResponse.json({
+      features: { ...rest, systemPrompt: systemPrompt.slice(0, 200) },
+      rule: rule ? { id: rule.id, name: rule.name } : null,
+      model: rule ? rule.target : body.model || null,
+    });
+  } catch (error) {
+    console.log("Error testing routing rules:", error);
+    return NextResponse.json(
+      { error: "Failed to test routing rules" },
+      { status: 500 },
+    );
+  }
+}
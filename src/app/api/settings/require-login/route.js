@@ -1,11 +1,14 @@
-import { getSettings } from "@/lib/localDb";
+import { getSettings, getUsers } from "@/lib/localDb";
 import { NextResponse } from "next/server";
 
+// Public: used by the login page and the dashboard proxy
 export async function GET() {
   try {
-    const settings = await getSettings();
+    const [settings, users] = await Promise.all([getSettings(), getUsers()]);
     const requireLogin = settings.requireLogin !== false;
-    return NextResponse.json({ requireLogin });
+    // false until any account has a password (initial password login)
+    const hasPassword = users.some(u => u.password);
+    return NextResponse.json({ requireLogin, hasPassword });
   } catch (error) {
     return NextResponse.json({ requireLogin: true }, { status: 200 });
   }
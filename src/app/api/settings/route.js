@@ -1,18 +1,34 @@
+import { CONTEXT_STRATEGIES } from "open-sse/services/contextWindow.js";
+import { hasPermission, requirePermission } from "@/lib/dashboardAuth";
 import { getSettings, updateSettings } from "@/lib/localDb";
+import { recordAudit } from "@/lib/auditLog";
 import { NextResponse } from "next/server";
-import bcrypt from "bcryptjs";
+
+// Credentials and other secrets, returned to system:manage users only
+const PRIVATE_SETTING_PATTERN =
+  /(encrypted|api_?key|token|secret|password|cookie)$/i;
+
+function toVisibleSettings(settings, role) {
+  if (hasPermission(role, "system:manage")) return settings;
+  return Object.fromEntries(
+    Object.entries(settings).filter(
+      ([key]) => !PRIVATE_SETTING_PATTERN.test(key),
+    ),
+  );
+}
 
 export async function GET() {
+  const auth = await requirePermission("dashboard:read");
+  if (auth.response) return auth.response;
+
   try {
     const settings = await getSettings();
-    const { password, ...safeSettings } = settings;
 
     const enableRequestLogs = process.env.ENABLE_REQUEST_LOGS === "true";
 
     return NextResponse.json({
-      ...safeSettings,
+      ...toVisibleSettings(settings, auth.user.role),
       enableRequestLogs,
-      hasPassword: !!password,
     });
   } catch (error) {
     console.log("Error getting settings:", error);
@@ -21,49 +37,52 @@ export async function GET() {
 }
 
 export async function PATCH(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const body = await request.json();
 
-    // If updating password, hash it
-    if (body.newPassword) {
-      const settings = await getSettings();
-      const currentHash = settings.password;
-
-      // Verify current password if it exists
-      if (currentHash) {
-        if (!body.currentPassword) {
-          return NextResponse.json(
-            { error: "Current password required" },
-            { status: 400 },
-          );
-        }
-        const isValid = await bcrypt.compare(body.currentPassword, currentHash);
-        if (!isValid) {
-          return NextResponse.json(
-            { error: "Invalid current password" },
-            { status: 401 },
-          );
-        }
-      } else {
-        // First time setting password, no current password needed
-        // Allow empty currentPassword or default "123456"
-        if (body.currentPassword && body.currentPassword !== "123456") {
-          return NextResponse.json(
-            { error: "Invalid current password" },
-            { status: 401 },
-          );
-        }
-      }
+    if (
+      body.contextStrategy !== undefined &&
+      !CONTEXT_STRATEGIES.includes(body.contextStrategy)
+    ) {
+      return NextResponse.json(
+        {
+          error: `contextStrategy must be one of: ${CONTEXT_STRATEGIES.join(", ")}`,
+        },
+        { status: 400 },
+      );
+    }
 
-      const salt = await bcrypt.genSalt(10);
-      body.password = await bcrypt.hash(body.newPassword, salt);
-      delete body.newPassword;
-      delete body.currentPassword;
+    if (
+      body.usageRetentionDays !== undefined &&
+      !(
+        Number.isInteger(body.usageRetentionDays) &&
+        body.usageRetentionDays >= 0
+      )
+    ) {
+      return NextResponse.json(
+        { error: "usageRetentionDays must be a non-negative integer" },
+        { status: 400 },
+      );
     }
 
+    // Passwords belong to dashboard users (/api/auth/password, /api/users)
+    delete body.password;
+    delete body.newPassword;
+    delete body.currentPassword;
+
+    const previous = await getSettings();
     const settings = await updateSettings(body);
-    const { password, ...safeSettings } = settings;
-    return NextResponse.json(safeSettings);
+    await recordAudit({
+      user: auth.user,
+      action: "update",
+      resource: "settings",
+      before: previous,
+      after: settings,
+    });
+    return NextResponse.json(settings);
   } catch (error) {
     console.log("Error updating settings:", error);
     return NextResponse.json({ error: error.message }, { status: 500 });
@@ -1,6 +1,10 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 export async function POST() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   const response = NextResponse.json({
     success: true,
     message: "Shutting down...",
@@ -0,0 +1,25 @@
+import { requirePermission } from "@/lib/dashboardAuth";
+import { getConfigManagedAliases } from "@/lib/localDb";
+import { getConfigFileStatus } from "@/lib/configFile";
+import { NextResponse } from "next/server";
+
+// GET /api/system/config-file - Declarative config file status
+export async function GET() {
+  const auth = await requirePermission("config:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const status = getConfigFileStatus();
+    return NextResponse.json({
+      ...status,
+      enabled: !!status.file,
+      managedAliases: await getConfigManagedAliases(),
+    });
+  } catch (error) {
+    console.log("Error fetching config file status:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch config file status" },
+      { status: 500 },
+    );
+  }
+}
@@ -1,5 +1,6 @@
 "use server";
 
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import os from "os";
 
@@ -30,6 +31,9 @@ function getDataDir() {
 }
 
 export async function GET() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   const dataDir = getDataDir();
   const sep = process.platform === "win32" ? "\\" : "/";
   const dbFile = `${dataDir}${dataDir.endsWith(sep) ? "" : sep}db.json`;
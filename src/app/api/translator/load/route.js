@@ -1,8 +1,12 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import path from "path";
 import fs from "fs";
 
 export async function GET(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { searchParams } = new URL(request.url);
     const file = searchParams.get("file");
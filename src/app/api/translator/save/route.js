@@ -1,8 +1,12 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 import path from "path";
 import fs from "fs";
 
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { file, content } = await request.json();
 
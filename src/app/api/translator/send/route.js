@@ -3,9 +3,13 @@ import {
   buildProviderHeaders,
 } from "open-sse/services/provider.js";
 import { getProviderConnections } from "@/lib/localDb.js";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { provider, body } = await request.json();
 
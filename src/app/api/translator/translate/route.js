@@ -7,9 +7,13 @@ import {
 import { translateRequest } from "open-sse/translator/index.js";
 import { getProviderConnections } from "@/lib/localDb.js";
 import { FORMATS } from "open-sse/translator/formats.js";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 export async function POST(request) {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const { step, provider, body } = await request.json();
 
@@ -1,7 +1,11 @@
 import { disableTunnel } from "@/lib/tunnel/tunnelManager";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 export async function POST() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const result = await disableTunnel();
     return NextResponse.json(result);
@@ -1,7 +1,11 @@
 import { enableTunnel } from "@/lib/tunnel/tunnelManager";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 export async function POST() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const result = await enableTunnel();
     return NextResponse.json(result);
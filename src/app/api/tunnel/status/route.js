@@ -1,7 +1,11 @@
 import { getTunnelStatus } from "@/lib/tunnel/tunnelManager";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { NextResponse } from "next/server";
 
 export async function GET() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
   try {
     const status = await getTunnelStatus();
     return NextResponse.json(status);
@@ -4,6 +4,7 @@ import {
 } from "@/lib/localDb";
 import { getUsageForProvider } from "open-sse/services/usage.js";
 import { getExecutor } from "open-sse/executors/index.js";
+import { requirePermission } from "@/lib/dashboardAuth";
 /**
  * Refresh credentials using executor and update database
  * @returns {{ connection, refreshed: boolean }}
@@ -96,6 +97,9 @@ async function refreshAndUpdateCredentials(connection) {
  * GET /api/usage/[connectionId] - Get usage data for a specific connection
  */
 export async function GET(request, { params }) {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   try {
     const { connectionId } = await params;
 
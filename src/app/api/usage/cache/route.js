@@ -0,0 +1,44 @@
+import {
+  getResponseCacheStats,
+  clearResponseCache,
+} from "open-sse/services/responseCache.js";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { getSettings } from "@/lib/localDb";
+import { NextResponse } from "next/server";
+
+// GET /api/usage/cache - Response cache hit/miss counters
+export async function GET() {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const settings = await getSettings();
+    return NextResponse.json({
+      enabled: !!settings.responseCacheEnabled,
+      ...getResponseCacheStats(),
+    });
+  } catch (error) {
+    console.error("[API] Failed to get cache stats:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch cache stats" },
+      { status: 500 },
+    );
+  }
+}
+
+// DELETE /api/usage/cache - Drop all cached responses
+export async function DELETE() {
+  const auth = await requirePermission("system:manage");
+  if (auth.response) return auth.response;
+
+  try {
+    const cleared = clearResponseCache();
+    return NextResponse.json({ cleared });
+  } catch (error) {
+    console.error("[API] Failed to clear cache:", error);
+    return NextResponse.json(
+      { error: "Failed to clear cache" },
+      { status: 500 },
+    );
+  }
+}
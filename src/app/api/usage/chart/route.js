@@ -1,9 +1,13 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getChartData } from "@/lib/usageDb";
 import { NextResponse } from "next/server";
 
 const VALID_PERIODS = new Set(["24h", "7d", "30d", "60d"]);
 
 export async function GET(request) {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   try {
     const { searchParams } = new URL(request.url);
     const period = searchParams.get("period") || "7d";
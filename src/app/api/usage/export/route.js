@@ -0,0 +1,106 @@
+import {
+  REPORT_PERIODS,
+  REPORT_GROUP_FIELDS,
+  parseLocalDate,
+  formatLocalDate,
+  formatUsageReportCsv,
+} from "@/lib/usageReport";
+import { requirePermission } from "@/lib/dashboardAuth";
+import { getUsageReport } from "@/lib/usageDb";
+import { NextResponse } from "next/server";
+
+const VALID_FORMATS = new Set(["json", "csv"]);
+
+/**
+ * GET /api/usage/export - Usage report for a date range
+ * Query: from, to (YYYY-MM-DD, inclusive; default: this month),
+ * period (day|week|month), groupBy (comma list of provider, model,
+ * connection, apiKey), provider, model, connectionId, apiKeyId,
+ * format (json|csv)
+ */
+export async function GET(request) {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const now = new Date();
+
+    const from = searchParams.has("from")
+      ? parseLocalDate(searchParams.get("from"))
+      : new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+    const to = searchParams.has("to")
+      ? parseLocalDate(searchParams.get("to"))
+      : new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    if (from === null || to === null) {
+      return NextResponse.json(
+        { error: "from and to must be dates in YYYY-MM-DD format" },
+        { status: 400 },
+      );
+    }
+    if (from > to) {
+      return NextResponse.json(
+        { error: "from must not be after to" },
+        { status: 400 },
+      );
+    }
+
+    const period = searchParams.get("period") || "day";
+    if (!REPORT_PERIODS.includes(period)) {
+      return NextResponse.json(
+        { error: `period must be one of: ${REPORT_PERIODS.join(", ")}` },
+        { status: 400 },
+      );
+    }
+
+    const groupBy = (searchParams.get("groupBy") || "")
+      .split(",")
+      .map(field => field.trim())
+      .filter(Boolean);
+    const invalidField = groupBy.find(f => !REPORT_GROUP_FIELDS.includes(f));
+    if (invalidField) {
+      return NextResponse.json(
+        {
+          error: `Invalid groupBy field "${invalidField}" (allowed: ${REPORT_GROUP_FIELDS.join(", ")})`,
+        },
+        { status: 400 },
+      );
+    }
+
+    const format = searchParams.get("format") || "json";
+    if (!VALID_FORMATS.has(format)) {
+      return NextResponse.json(
+        { error: "format must be json or csv" },
+        { status: 400 },
+      );
+    }
+
+    const report = await getUsageReport({
+      from,
+      to,
+      period,
+      groupBy,
+      provider: searchParams.get("provider") || undefined,
+      model: searchParams.get("model") || undefined,
+      connectionId: searchParams.get("connectionId") || undefined,
+      apiKeyId: searchParams.get("apiKeyId") || undefined,
+    });
+
+    const range = { from: formatLocalDate(from), to: formatLocalDate(to) };
+    if (format === "csv") {
+      return new Response(formatUsageReportCsv(report), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="usage-${range.from}-to-${range.to}.csv"`,
+        },
+      });
+    }
+    return NextResponse.json({ ...range, ...report });
+  } catch (error) {
+    console.error("[API] Failed to export usage:", error);
+    return NextResponse.json(
+      { error: "Failed to export usage" },
+      { status: 500 },
+    );
+  }
+}
@@ -1,7 +1,11 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getUsageStats } from "@/lib/usageDb";
 import { NextResponse } from "next/server";
 
 export async function GET() {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   try {
     const stats = await getUsageStats();
     return NextResponse.json(stats);
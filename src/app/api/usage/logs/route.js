@@ -1,7 +1,11 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getRecentLogs } from "@/lib/usageDb";
 import { NextResponse } from "next/server";
 
 export async function GET() {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   try {
     const logs = await getRecentLogs(200);
     return NextResponse.json(logs);
@@ -1,4 +1,5 @@
 import { AI_PROVIDERS, getProviderByAlias } from "@/shared/constants/providers";
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getProviderNodes } from "@/lib/localDb";
 import { NextResponse } from "next/server";
 
@@ -7,6 +8,9 @@ import { NextResponse } from "next/server";
  * Returns list of unique providers from request details
  */
 export async function GET() {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   try {
     // Dynamic import to avoid Turbopack NFT warnings during build
     const { getRequestDetailsDb } = await import("@/lib/requestDetailsDb");
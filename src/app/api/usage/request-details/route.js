@@ -1,3 +1,4 @@
+import { requirePermission } from "@/lib/dashboardAuth";
 import { getRequestDetails } from "@/lib/usageDb";
 import { NextResponse } from "next/server";
 
@@ -6,6 +7,9 @@ import { NextResponse } from "next/server";
  * Query parameters: page, pageSize (1-100), provider, model, connectionId, status, startDate, endDate
  */
 export async function GET(request) {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   try {
     const { searchParams } = new URL(request.url);
 
@@ -1,8 +1,12 @@
 import { getUsageStats, statsEmitter, getActiveRequests } from "@/lib/usageDb";
+import { requirePermission } from "@/lib/dashboardAuth";
 
 export const dynamic = "force-dynamic";
 
 export async function GET() {
+  const auth = await requirePermission("usage:read");
+  if (auth.response) return auth.response;
+
   const encoder = new TextEncoder();
   const state = {
     closed: false,
@@ -0,0 +1,115 @@
+import {
+  deleteSessions,
+  deleteUser,
+  getUserById,
+  getUsers,
+  updateUser,
+} from "@/lib/localDb";
+import {
+  requirePermission,
+  toPublicUser,
+  validateUserFields,
+} from "@/lib/dashboardAuth";
+import { recordAudit } from "@/lib/auditLog";
+import { NextResponse } from "next/server";
+import bcrypt from "bcryptjs";
+
+async function isLastAdmin(user) {
+  if (user.role !== "admin") return false;
+  const users = await getUsers();
+  return users.filter(u => u.role === "admin").length === 1;
+}
+
+// PUT /api/users/[id] - Change role or reset password
+export async function PUT(request, { params }) {
+  const auth = await requirePermission("users:manage");
+  if (auth.response) return auth.response;
+
+  try {
+    const { id } = await params;
+    const { role, password } = await request.json();
+
+    const validationError = validateUserFields({ role });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+
+    const existing = await getUserById(id);
+    if (!existing) {
+      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    }
+    if (role && role !== "admin" && (await isLastAdmin(existing))) {
+      return NextResponse.json(
+        { error: "Cannot demote the last admin" },
+        { status: 400 },
+      );
+    }
+
+    const updateData = {};
+    if (role !== undefined) updateData.role = role;
+    if (password) {
+      const salt = await bcrypt.genSalt(10);
+      updateData.password = await bcrypt.hash(password, salt);
+    }
+
+    const updated = await updateUser(id, updateData);
+    // A reset password signs the user out everywhere
+    if (password && id !== auth.user.id) await deleteSessions({ userId: id });
+    await recordAudit({
+      user: auth.user,
+      action: "update",
+      resource: "user",
+      resourceId: id,
+      name: updated.username,
+      before: existing,
+      after: updated,
+    });
+
+    return NextResponse.json({ user: toPublicUser(updated) });
+  } catch (error) {
+    console.log("Error updating user:", error);
+    return NextResponse.json(
+      { error: "Failed to update user" },
+      { status: 500 },
+    );
+  }
+}
+
+// DELETE /api/users/[id] - Delete dashboard user
+export async function DELETE(request, { params }) {
+  const auth = await requirePermission("users:manage");
+  if (auth.response) return auth.response;
+
+  try {
+    const { id } = await params;
+
+    const existing = await getUserById(id);
+    if (!existing) {
+      return NextResponse.json({ error: "User not found" }, { status: 404 });
+    }
+    if (await isLastAdmin(existing)) {
+      return NextResponse.json(
+        { error: "Cannot delete the last admin" },
+        { status: 400 },
+      );
+    }
+
+    await deleteUser(id);
+    await recordAudit({
+      user: auth.user,
+      action: "delete",
+      resource: "user",
+      resourceId: id,
+      name: existing.username,
+      before: existing,
+    });
+
+    return NextResponse.json({ message: "User deleted successfully" });
+  } catch (error) {
+    console.log("Error deleting user:", error);
+    return NextResponse.json(
+      { error: "Failed to delete user" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,76 @@
+import {
+  requirePermission,
+  toPublicUser,
+  validateUserFields,
+} from "@/lib/dashboardAuth";
+import { createUser, getUserByUsername, getUsers } from "@/lib/localDb";
+import { recordAudit } from "@/lib/auditLog";
+import { NextResponse } from "next/server";
+import bcrypt from "bcryptjs";
+
+// GET /api/users - List dashboard users
+export async function GET() {
+  const auth = await requirePermission("users:manage");
+  if (auth.response) return auth.response;
+
+  try {
+    const users = await getUsers();
+    return NextResponse.json({ users: users.map(toPublicUser) });
+  } catch (error) {
+    console.log("Error fetching users:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch users" },
+      { status: 500 },
+    );
+  }
+}
+
+// POST /api/users - Create dashboard user
+export async function POST(request) {
+  const auth = await requirePermission("users:manage");
+  if (auth.response) return auth.response;
+
+  try {
+    const { username, password, role } = await request.json();
+
+    if (!username || !password || !role) {
+      return NextResponse.json(
+        { error: "username, password and role are required" },
+        { status: 400 },
+      );
+    }
+    const validationError = validateUserFields({ username, role });
+    if (validationError) {
+      return NextResponse.json({ error: validationError }, { status: 400 });
+    }
+    if (await getUserByUsername(username)) {
+      return NextResponse.json(
+        { error: `User "${username}" already exists` },
+        { status: 409 },
+      );
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const user = await createUser({
+      username,
+      role,
+      password: await bcrypt.hash(password, salt),
+    });
+    await recordAudit({
+      user: auth.user,
+      action: "create",
+      resource: "user",
+      resourceId: user.id,
+      name: user.username,
+      after: user,
+    });
+
+    return NextResponse.json({ user: toPublicUser(user) }, { status: 201 });
+  } catch (error) {
+    console.log("Error creating user:", error);
+    return NextResponse.json(
+      { error: "Failed to create user" },
+      { status: 500 },
+    );
+  }
+}
@@ -0,0 +1,21 @@
+import { handleAudioSpeech } from "@/sse/handlers/audio.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*",
+    },
+  });
+}
+
+/**
+ * POST /v1/audio/speech - OpenAI-compatible text-to-speech
+ */
+export async function POST(request) {
+  return await handleAudioSpeech(request);
+}
@@ -0,0 +1,21 @@
+import { handleAudioTranslation } from "@/sse/handlers/audio.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*",
+    },
+  });
+}
+
+/**
+ * POST /v1/audio/translations - OpenAI-compatible speech-to-English translation (multipart upload)
+ */
+export async function POST(request) {
+  return await handleAudioTranslation(request);
+}
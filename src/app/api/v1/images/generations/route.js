@@ -0,0 +1,21 @@
+import { handleImageGeneration } from "@/sse/handlers/images.js";
+
+/**
+ * Handle CORS preflight
+ */
+export async function OPTIONS() {
+  return new Response(null, {
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Headers": "*",
+    },
+  });
+}
+
+/**
+ * POST /v1/images/generations - OpenAI-compatible image generation
+ */
+export async function POST(request) {
+  return await handleImageGeneration(request);
+}
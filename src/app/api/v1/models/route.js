@@ -1,7 +1,12 @@
+import {
+  isComboInScope,
+  isModelInScope,
+} from "open-sse/services/apiKeyScope.js";
 import {
   PROVIDER_MODELS,
   PROVIDER_ID_TO_ALIAS,
 } from "@/shared/constants/models";
+import { extractApiKey, getApiKeyScope } from "@/sse/services/auth.js";
 import { getProviderConnections, getCombos } from "@/lib/localDb";
 
 /**
@@ -19,10 +24,13 @@ export async function OPTIONS() {
 
 /**
  * GET /v1/models - OpenAI compatible models list
- * Returns models from all active providers and combos in OpenAI format
+ * Returns models from all active providers and combos in OpenAI format,
+ * limited to what the caller's API key may use
  */
-export async function GET() {
+export async function GET(request) {
   try {
+    const scope = await getApiKeyScope(extractApiKey(request));
+
     // Get active provider connections
     let connections = [];
     try {
@@ -55,6 +63,7 @@ export async function GET() {
 
     // Add combos first (they appear at the top)
     for (const combo of combos) {
+      if (!isComboInScope(scope, combo.name)) continue;
       models.push({
         id: combo.name,
         object: "model",
@@ -73,7 +82,14 @@ export async function GET() {
         continue;
       }
 
+      const providerId =
+        Object.keys(PROVIDER_ID_TO_ALIAS).find(
+          id => PROVIDER_ID_TO_ALIAS[id] === alias,
+        ) || alias;
       for (const model of providerModels) {
+        if (!isModelInScope(scope, { provider: providerId, model: model.id })) {
+          continue;
+        }
         models.push({
           id: `${alias}/${model.id}`,
           object: "model",
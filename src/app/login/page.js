@@ -5,6 +5,7 @@ import { useRouter } from "next/navigation";
 import { useState, useEffect } from "react";
 
 export default function LoginPage() {
+  const [username, setUsername] = useState("admin");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
@@ -19,7 +20,7 @@ export default function LoginPage() {
         typeof window !== "undefined" ? window.location.origin : "";
 
       try {
-        const res = await fetch(`${baseUrl}/api/settings`, {
+        const res = await fetch(`${baseUrl}/api/settings/require-login`, {
           signal: controller.signal,
         });
         clearTimeout(timeoutId);
@@ -53,7 +54,7 @@ export default function LoginPage() {
       const res = await fetch("/api/auth/login", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ password }),
+        body: JSON.stringify({ username, password }),
       });
 
       if (res.ok) {
@@ -61,7 +62,7 @@ export default function LoginPage() {
         router.refresh();
       } else {
         const data = await res.json();
-        setError(data.error || "Invalid password");
+        setError(data.error || "Invalid username or password");
       }
     } catch (err) {
       setError("An error occurred. Please try again.");
@@ -87,9 +88,7 @@ export default function LoginPage() {
       <div className="w-full max-w-md">
         <div className="text-center mb-8">
           <h1 className="text-3xl font-bold text-primary mb-2">9Router</h1>
-          <p className="text-text-muted">
-            Enter your password to access the dashboard
-          </p>
+          <p className="text-text-muted">Sign in to access the dashboard</p>
         </div>
 
         <Card>
@@ -97,6 +96,17 @@ export default function LoginPage() {
             onSubmit={handleLogin}
             className="flex flex-col gap-4"
           >
+            <div className="flex flex-col gap-2">
+              <label className="text-sm font-medium">Username</label>
+              <Input
+                placeholder="Enter username"
+                value={username}
+                onChange={e => setUsername(e.target.value)}
+                autoComplete="username"
+                required
+              />
+            </div>
+
             <div className="flex flex-col gap-2">
               <label className="text-sm font-medium">Password</label>
               <Input
@@ -104,6 +114,7 @@ export default function LoginPage() {
                 placeholder="Enter password"
                 value={password}
                 onChange={e => setPassword(e.target.value)}
+                autoComplete="current-password"
                 required
                 autoFocus
               />
@@ -119,10 +130,13 @@ export default function LoginPage() {
               Login
             </Button>
 
-            <p className="text-xs text-center text-text-muted mt-2">
-              Default password is{" "}
-              <code className="bg-sidebar px-1 rounded">123456</code>
-            </p>
+            {!hasPassword && (
+              <p className="text-xs text-center text-text-muted mt-2">
+                Default login is{" "}
+                <code className="bg-sidebar px-1 rounded">admin</code> /{" "}
+                <code className="bg-sidebar px-1 rounded">123456</code>
+              </p>
+            )}
           </form>
         </Card>
       </div>
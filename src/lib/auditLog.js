@@ -0,0 +1,384 @@
+/**
+ * Append-only audit log of dashboard and configuration changes.
+ *
+ * One JSON entry per line in ${DATA_DIR}/audit.log:
+ *   { id, ts, user, role, action: "create"|"update"|"delete", resource,
+ *     resourceId, name, before, after, revertOf }
+ *
+ * before / after hold the changed fields only (whole entity on create and
+ * delete) with secrets redacted, so single changes can be reverted with
+ * revertAuditEntry().
+ */
+
+import {
+  getDataDir,
+  getProviderConnectionById,
+  updateProviderConnection,
+  deleteProviderConnection,
+  getComboById,
+  getComboByName,
+  createCombo,
+  updateCombo,
+  deleteCombo,
+  getModelAliases,
+  setModelAlias,
+  deleteModelAlias,
+  getConfigManagedAliases,
+  getPricingOverrides,
+  updatePricing,
+  resetPricing,
+  getSettings,
+  updateSettings,
+} from "@/lib/localDb";
+import { isConfigManaged, CONFIG_MANAGED_ERROR } from "@/lib/configFile";
+import { isDeepStrictEqual } from "node:util";
+import { v4 as uuidv4 } from "uuid";
+import path from "node:path";
+import fs from "node:fs";
+
+const AUDIT_FILE_NAME = "audit.log";
+
+export const REDACTED = "[redacted]";
+
+// Actor of changes pushed by the cloud worker (API key auth, no dashboard user)
+export const CLOUD_SYNC_ACTOR = { username: "cloud-sync", role: null };
+
+// String values under these keys never reach the log
+const SECRET_KEY_PATTERN = /(api_?key|token|secret|password|cookie)$/i;
+
+// Bookkeeping fields that are not worth a diff
+const IGNORED_FIELDS = new Set(["createdAt", "updatedAt"]);
+
+function getAuditFile() {
+  const dataDir = getDataDir();
+  return dataDir ? path.join(dataDir, AUDIT_FILE_NAME) : null;
+}
+
+/**
+ * Deep copy of a value with secret strings replaced by REDACTED
+ * @param {any} value
+ */
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== "object") return value ?? null;
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] =
+      SECRET_KEY_PATTERN.test(key) && typeof item === "string" && item
+        ? REDACTED
+        : redactSecrets(item);
+  }
+  return result;
+}
+
+/**
+ * Changed top-level fields between two snapshots. Missing fields are null.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @returns {{ before: object, after: object }|null} Null when nothing changed
+ */
+export function diffSnapshots(before, after) {
+  const changes = { before: {}, after: {} };
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const previous = before?.[key] ?? null;
+    const next = after?.[key] ?? null;
+    if (isDeepStrictEqual(previous, next)) continue;
+    changes.before[key] = previous;
+    changes.after[key] = next;
+  }
+  return Object.keys(changes.after).length > 0 ? changes : null;
+}
+
+/**
+ * Record a change. Failures are logged, never thrown: the change itself
+ * already happened. Updates without a field change are not recorded.
+ * @param {object} entry
+ * @param {object} entry.user - Dashboard user from requirePermission()
+ * @param {string} entry.action - create / update / delete
+ * @param {string} entry.resource - connection / combo / alias / pricing / settings / user
+ * @param {string} [entry.resourceId] - Entity id (alias name); none for pricing / settings
+ * @param {string} [entry.name]
+ * @param {object} [entry.before] - Entity before the change (omit on create)
+ * @param {object} [entry.after] - Entity after the change (omit on delete)
+ * @param {string} [entry.revertOf] - Entry id undone by this change
+ * @returns {Promise<object|null>} The written entry
+ */
+export async function recordAudit({
+  user,
+  action,
+  resource,
+  resourceId,
+  name,
+  before,
+  after,
+  revertOf,
+}) {
+  const file = getAuditFile();
+  if (!file) return null;
+
+  let changes = { before: before ?? null, after: after ?? null };
+  if (action === "update" && (before || after)) {
+    changes = diffSnapshots(before, after);
+    if (!changes) return null;
+  }
+
+  const entry = {
+    id: uuidv4(),
+    ts: new Date().toISOString(),
+    user: user?.username || "unknown",
+    role: user?.role || null,
+    action,
+    resource,
+    resourceId: resourceId ?? null,
+    name: name ?? null,
+    before: redactSecrets(changes.before),
+    after: redactSecrets(changes.after),
+    revertOf: revertOf ?? null,
+  };
+  try {
+    await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    return entry;
+  } catch (error) {
+    console.error("[Audit] Failed to write audit log:", error.message);
+    return null;
+  }
+}
+
+async function readEntries(file) {
+  const lines = (await fs.promises.readFile(file, "utf8")).split("\n");
+  const entries = [];
+  for (const line of lines) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a partially written line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read audit entries, newest first
+ * @param {object} [filter] - { resource?, user?, action?, resourceId?, limit? }
+ * @returns {Promise<object[]>}
+ */
+export async function getAuditEntries({
+  resource,
+  user,
+  action,
+  resourceId,
+  limit = 200,
+} = {}) {
+  const file = getAuditFile();
+  if (!file || !fs.existsSync(file)) return [];
+
+  const entries = await readEntries(file);
+  const reverted = new Set(entries.map(entry => entry.revertOf));
+  const result = [];
+  for (let i = entries.length - 1; i >= 0 && result.length < limit; i--) {
+    const entry = entries[i];
+    if (resource && entry.resource !== resource) continue;
+    if (user && entry.user !== user) continue;
+    if (action && entry.action !== action) continue;
+    if (resourceId && entry.resourceId !== resourceId) continue;
+    result.push({
+      ...entry,
+      revertible: isRevertible(entry),
+      reverted: reverted.has(entry.id),
+    });
+  }
+  return result;
+}
+
+/**
+ * Find one audit entry by id
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function getAuditEntry(id) {
+  const file = getAuditFile();
+  if (!file || !fs.existsSync(file)) return null;
+  return (await readEntries(file)).find(entry => entry.id === id) || null;
+}
+
+/**
+ * Work out how to undo an entry against the entity's current state.
+ * The current state must still match the entry's "after" values, so a
+ * revert never silently discards a later change.
+ * @param {object} entry - Audit entry
+ * @param {object|null} current - Current entity (null when it does not exist)
+ * @returns {{ op: "remove"|"update"|"restore", data?: object, skipped: string[] }|{ error: string }}
+ */
+export function planRevert(entry, current) {
+  if (!isRevertible(entry)) {
+    return { error: `This ${entry.resource} change cannot be reverted` };
+  }
+  const changedSince = `${entry.resource} changed after this entry; revert the newer change first`;
+
+  if (entry.action === "create") {
+    if (!current) return { error: `${entry.resource} no longer exists` };
+    return { op: "remove", skipped: [] };
+  }
+
+  if (entry.action === "delete") {
+    if (current) return { error: `${entry.resource} exists again` };
+    const redacted = Object.keys(entry.before || {}).filter(
+      key => entry.before[key] === REDACTED,
+    );
+    if (redacted.length > 0) {
+      return {
+        error: `Cannot restore: ${redacted.join(", ")} not stored in the audit log`,
+      };
+    }
+    return { op: "restore", data: entry.before, skipped: [] };
+  }
+
+  if (!current) return { error: `${entry.resource} no longer exists` };
+  const now = redactSecrets(current);
+  const data = {};
+  const skipped = [];
+  for (const [key, value] of Object.entries(entry.before || {})) {
+    if (!isDeepStrictEqual(now[key] ?? null, entry.after?.[key] ?? null)) {
+      return { error: changedSince };
+    }
+    if (value === REDACTED || entry.after?.[key] === REDACTED) {
+      skipped.push(key);
+      continue;
+    }
+    data[key] = value;
+  }
+  if (Object.keys(data).length === 0) {
+    return { error: `Only redacted fields changed (${skipped.join(", ")})` };
+  }
+  return { op: "update", data, skipped };
+}
+
+async function loadAlias(alias) {
+  const model = (await getModelAliases())[alias];
+  return model ? { model } : null;
+}
+
+async function applyPricing(changes) {
+  for (const [provider, models] of Object.entries(changes)) {
+    await resetPricing(provider);
+    if (models) await updatePricing({ [provider]: models });
+  }
+  return getPricingOverrides();
+}
+
+// How each revertible resource is read and written
+const REVERTERS = {
+  connection: {
+    permission: "providers:write",
+    load: getProviderConnectionById,
+    update: updateProviderConnection,
+    remove: deleteProviderConnection,
+  },
+  combo: {
+    permission: "config:write",
+    load: getComboById,
+    update: updateCombo,
+    remove: deleteCombo,
+    restore: async data => {
+      if (await getComboByName(data.name)) {
+        return { error: `Combo name "${data.name}" is taken` };
+      }
+      return createCombo(data);
+    },
+  },
+  alias: {
+    permission: "config:write",
+    load: loadAlias,
+    isManaged: async alias => (await getConfigManagedAliases()).includes(alias),
+    update: async (alias, data) => {
+      await setModelAlias(alias, data.model);
+      return loadAlias(alias);
+    },
+    remove: deleteModelAlias,
+    restore: async (data, alias) => {
+      await setModelAlias(alias, data.model);
+      return loadAlias(alias);
+    },
+  },
+  pricing: {
+    permission: "config:write",
+    load: getPricingOverrides,
+    update: (_, data) => applyPricing(data),
+  },
+  settings: {
+    permission: "system:manage",
+    load: getSettings,
+    update: (_, data) => updateSettings(data),
+  },
+};
+
+/**
+ * Whether an entry carries enough state to be reverted
+ * @param {object} entry
+ */
+export function isRevertible(entry) {
+  const reverter = REVERTERS[entry.resource];
+  if (!reverter || !("before" in entry)) return false;
+  return entry.action !== "delete" || !!reverter.restore;
+}
+
+/**
+ * Permission needed to revert changes of a resource
+ * @param {string} resource
+ * @returns {string|null}
+ */
+export function getRevertPermission(resource) {
+  return REVERTERS[resource]?.permission || null;
+}
+
+/**
+ * Undo a single audit entry. The revert is itself recorded with revertOf.
+ * @param {object} entry - Audit entry
+ * @param {object} user - Dashboard user performing the revert
+ * @returns {Promise<{ entry: object, skipped: string[] }|{ error: string, status: number }>}
+ */
+export async function revertAuditEntry(entry, user) {
+  const reverter = REVERTERS[entry.resource];
+  const current = reverter ? await reverter.load(entry.resourceId) : null;
+
+  const managed = reverter?.isManaged
+    ? await reverter.isManaged(entry.resourceId)
+    : isConfigManaged(current);
+  if (managed) return { error: CONFIG_MANAGED_ERROR, status: 409 };
+
+  const plan = planRevert(entry, current);
+  if (plan.error) return { error: plan.error, status: 409 };
+
+  let action;
+  let result;
+  if (plan.op === "remove") {
+    action = "delete";
+    await reverter.remove(entry.resourceId);
+  } else if (plan.op === "restore") {
+    action = "create";
+    result = await reverter.restore(entry.before, entry.resourceId);
+    if (result?.error) return { error: result.error, status: 409 };
+  } else {
+    action = "update";
+    result = await reverter.update(entry.resourceId, plan.data);
+  }
+
+  const recorded = await recordAudit({
+    user,
+    action,
+    resource: entry.resource,
+    resourceId: entry.resourceId,
+    name: entry.name,
+    before: plan.op === "restore" ? undefined : current,
+    after: plan.op === "remove" ? undefined : result,
+    revertOf: entry.id,
+  });
+  return { entry: recorded, skipped: plan.skipped };
+}
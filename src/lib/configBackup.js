@@ -0,0 +1,216 @@
+/**
+ * Configuration backup archives: everything in localDb that describes the
+ * setup (connections, nodes, aliases, combos, keys, rules, pricing, settings)
+ * as one versioned JSON document, optionally encrypted with a passphrase.
+ *
+ * Restores are planned section by section against the current data so the
+ * same code produces the dry-run diff and the data to write. Schema defaults
+ * are filled in afterwards by localDb's ensureDbShape, so archives from older
+ * versions import cleanly.
+ */
+
+import {
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+} from "./credentialCrypto.js";
+
+export const BACKUP_FORMAT = "claude-router-backup";
+export const BACKUP_VERSION = 1;
+export const RESTORE_MODES = ["merge", "replace"];
+
+/** List sections and the fields identifying the same item on both sides */
+const LIST_SECTIONS = {
+  providerConnections: ["id"],
+  providerNodes: ["id"],
+  combos: ["id", "name"],
+  apiKeys: ["id", "key"],
+  routingRules: ["id"],
+};
+
+/** Keyed object sections (alias → model, provider → prices, ...) */
+const MAP_SECTIONS = ["modelAliases", "mitmAlias", "pricing"];
+
+export const BACKUP_SECTIONS = [
+  ...Object.keys(LIST_SECTIONS),
+  ...MAP_SECTIONS,
+  "settings",
+];
+
+/** Machine-local settings, never exported or overwritten */
+const LOCAL_SETTINGS = ["password", "tunnelEnabled", "tunnelUrl"];
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Build a backup archive from db data
+ * @param {object} data - db.data (credentials decrypted)
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - Encrypt the archive
+ * @param {string} [options.appVersion]
+ * @param {Date} [options.now]
+ * @returns {object} Archive, ready for JSON.stringify
+ */
+export function createBackup(
+  data,
+  { passphrase, appVersion, now = new Date() } = {},
+) {
+  const sections = {};
+  for (const section of BACKUP_SECTIONS) {
+    if (data[section] !== undefined) sections[section] = clone(data[section]);
+  }
+  for (const key of LOCAL_SETTINGS) delete sections.settings?.[key];
+
+  const archive = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    appVersion: appVersion || null,
+    createdAt: now.toISOString(),
+  };
+  if (!passphrase) return { ...archive, encrypted: false, data: sections };
+
+  const sealed = encryptWithPassphrase(JSON.stringify(sections), passphrase);
+  return { ...archive, encrypted: true, salt: sealed.salt, data: sealed.data };
+}
+
+/**
+ * Validate an archive and return its sections
+ * @param {object} archive - Parsed backup file
+ * @param {object} [options]
+ * @param {string} [options.passphrase] - Required for encrypted archives
+ * @returns {object} Sections keyed by BACKUP_SECTIONS
+ */
+export function readBackup(archive, { passphrase } = {}) {
+  if (archive?.format !== BACKUP_FORMAT) {
+    throw new Error("Not a backup file");
+  }
+  if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+    throw new Error(
+      `Unsupported backup version ${archive.version} (this version reads up to ${BACKUP_VERSION})`,
+    );
+  }
+
+  let sections = archive.data;
+  if (archive.encrypted) {
+    if (!passphrase)
+      throw new Error("Backup is encrypted: passphrase required");
+    sections = JSON.parse(
+      decryptWithPassphrase(
+        { salt: archive.salt, data: archive.data },
+        passphrase,
+      ),
+    );
+  }
+  if (!sections || typeof sections !== "object") {
+    throw new Error("Backup has no data");
+  }
+
+  for (const section of Object.keys(LIST_SECTIONS)) {
+    if (sections[section] !== undefined && !Array.isArray(sections[section])) {
+      throw new Error(`Backup section "${section}" must be a list`);
+    }
+  }
+  for (const section of [...MAP_SECTIONS, "settings"]) {
+    const value = sections[section];
+    if (
+      value !== undefined &&
+      (!value || typeof value !== "object" || Array.isArray(value))
+    ) {
+      throw new Error(`Backup section "${section}" must be an object`);
+    }
+  }
+  return sections;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const itemLabel = item => item.name || item.email || item.id || "(unnamed)";
+
+function planList(current = [], incoming, matchFields, mode) {
+  const diff = { added: [], updated: [], removed: [], unchanged: 0 };
+  const findMatch = (list, item) =>
+    list.findIndex(other =>
+      matchFields.some(field => item[field] && other[field] === item[field]),
+    );
+
+  const result = mode === "replace" ? [] : clone(current);
+  for (const item of incoming) {
+    const existing = findMatch(current, item);
+    if (existing === -1) {
+      diff.added.push(itemLabel(item));
+    } else if (same(current[existing], item)) {
+      diff.unchanged++;
+    } else {
+      diff.updated.push(itemLabel(item));
+    }
+
+    const index = mode === "replace" ? -1 : findMatch(result, item);
+    if (index === -1) result.push(clone(item));
+    else result[index] = clone(item);
+  }
+
+  if (mode === "replace") {
+    for (const item of current) {
+      if (findMatch(incoming, item) === -1) diff.removed.push(itemLabel(item));
+    }
+  }
+  return { diff, result };
+}
+
+function planMap(current = {}, incoming, mode) {
+  const diff = { added: [], updated: [], removed: [], unchanged: 0 };
+  for (const [key, value] of Object.entries(incoming)) {
+    if (!(key in current)) diff.added.push(key);
+    else if (same(current[key], value)) diff.unchanged++;
+    else diff.updated.push(key);
+  }
+
+  const result =
+    mode === "replace" ? clone(incoming) : { ...clone(current), ...incoming };
+  if (mode === "replace") {
+    for (const key of Object.keys(current)) {
+      if (!(key in incoming)) diff.removed.push(key);
+    }
+  }
+  return { diff, result };
+}
+
+/**
+ * Plan a restore: what changes per section, and the resulting data
+ * @param {object} current - Current db.data
+ * @param {object} sections - From readBackup
+ * @param {"merge"|"replace"} mode - merge keeps items missing from the
+ *   backup, replace removes them (per section present in the backup)
+ * @returns {{ changes: Object<string, { added: string[], updated: string[], removed: string[], unchanged: number }>, data: object }}
+ */
+export function planRestore(current, sections, mode = "merge") {
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`mode must be one of: ${RESTORE_MODES.join(", ")}`);
+  }
+
+  const changes = {};
+  const data = { ...current };
+  for (const section of BACKUP_SECTIONS) {
+    const incoming = sections[section];
+    if (incoming === undefined) continue;
+
+    let planned;
+    if (LIST_SECTIONS[section]) {
+      planned = planList(
+        current[section],
+        incoming,
+        LIST_SECTIONS[section],
+        mode,
+      );
+    } else if (section === "settings") {
+      const importable = { ...incoming };
+      for (const key of LOCAL_SETTINGS) delete importable[key];
+      // Settings are never removed: unknown keys fall back to defaults
+      planned = planMap(current.settings, importable, "merge");
+    } else {
+      planned = planMap(current[section], incoming, mode);
+    }
+    changes[section] = planned.diff;
+    data[section] = planned.result;
+  }
+  return { changes, data };
+}
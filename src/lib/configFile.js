@@ -0,0 +1,520 @@
+/**
+ * Declarative config file (GitOps mode).
+ *
+ * Providers, provider nodes, combos, aliases, routing rules and API keys can
+ * be declared in a YAML or JSON file, loaded from CONFIG_FILE or
+ * ${DATA_DIR}/config.{yaml,yml,json}. Secrets are referenced as ${ENV_VAR}
+ * (or ${ENV_VAR:-default}). The file is validated, reconciled into localDb
+ * and watched for changes; reconciled entities carry `managedBy: "config"`
+ * and are read-only in the dashboard.
+ *
+ *   version: 1
+ *   providers:
+ *     - id: openai-work               # stable connection id
+ *       provider: openai
+ *       name: Work
+ *       apiKey: ${OPENAI_API_KEY}
+ *   combos:
+ *     - name: coding
+ *       models: [cc/claude-sonnet-4, openai/gpt-4o]
+ *   aliases:
+ *     fast: openai/gpt-4o-mini
+ *   routingRules:
+ *     - name: long-context
+ *       target: gemini/gemini-2.5-pro
+ *       match: { minInputTokens: 150000 }
+ *   apiKeys:
+ *     - name: ci
+ *       key: ${ROUTER_CI_KEY}
+ */
+
+import { validateRoutingRules } from "open-sse/services/routingRules.js";
+import { validateApiKeyLimits } from "open-sse/services/apiKeyLimits.js";
+import { validateApiKeyScope } from "open-sse/services/apiKeyScope.js";
+import { validatePluginNames } from "open-sse/services/plugins.js";
+import { validateComboRouting } from "open-sse/services/combo.js";
+import crypto from "node:crypto";
+import path from "node:path";
+import yaml from "js-yaml";
+import fs from "node:fs";
+
+export const CONFIG_FILE_VERSION = 1;
+export const MANAGED_BY_CONFIG = "config";
+
+const DEFAULT_FILE_NAMES = ["config.yaml", "config.yml", "config.json"];
+const TOP_LEVEL_KEYS = [
+  "version",
+  "providers",
+  "providerNodes",
+  "combos",
+  "aliases",
+  "routingRules",
+  "apiKeys",
+];
+const NODE_TYPES = ["openai-compatible", "anthropic-compatible"];
+const VALID_NAME_REGEX = /^[a-zA-Z0-9_-]+$/;
+const ENV_PLACEHOLDER = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+const RELOAD_DEBOUNCE_MS = 300;
+
+/**
+ * Find the config file to load
+ * @param {object} options - { dataDir, env }
+ * @returns {string|null} Absolute path, or null when GitOps mode is off
+ */
+export function resolveConfigFilePath({ dataDir, env = process.env }) {
+  if (env.CONFIG_FILE) return path.resolve(env.CONFIG_FILE);
+  if (!dataDir) return null;
+  for (const name of DEFAULT_FILE_NAMES) {
+    const candidate = path.join(dataDir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Parse file contents (JSON for .json files, YAML otherwise)
+ * @param {string} text
+ * @param {string} filePath - Used for the format and error messages
+ */
+export function parseConfigText(text, filePath) {
+  try {
+    const parsed = filePath.endsWith(".json")
+      ? JSON.parse(text)
+      : yaml.load(text, { schema: yaml.JSON_SCHEMA });
+    return parsed ?? {};
+  } catch (error) {
+    throw new Error(`Cannot parse ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Replace ${VAR} / ${VAR:-default} placeholders in all string values
+ * @param {any} value - Parsed config
+ * @param {object} [env]
+ * @returns {{ value: any, errors: string[] }}
+ */
+export function interpolateEnv(value, env = process.env) {
+  const errors = [];
+  const walk = (node, location) => {
+    if (typeof node === "string") {
+      return node.replace(ENV_PLACEHOLDER, (match, name, fallback) => {
+        if (env[name] !== undefined && env[name] !== "") return env[name];
+        if (fallback !== undefined) return fallback;
+        errors.push(`${location}: environment variable ${name} is not set`);
+        return match;
+      });
+    }
+    if (Array.isArray(node)) {
+      return node.map((item, index) => walk(item, `${location}[${index}]`));
+    }
+    if (node && typeof node === "object") {
+      return Object.fromEntries(
+        Object.entries(node).map(([key, item]) => [
+          key,
+          walk(item, location ? `${location}.${key}` : key),
+        ]),
+      );
+    }
+    return node;
+  };
+  return { value: walk(value, ""), errors };
+}
+
+const isObject = value =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isNonEmptyString = value =>
+  typeof value === "string" && value.trim() !== "";
+
+function checkUnique(list, field, section, errors) {
+  const seen = new Set();
+  for (const [index, item] of list.entries()) {
+    const value = item?.[field];
+    if (value === undefined) continue;
+    if (seen.has(value)) {
+      errors.push(`${section}[${index}]: duplicate ${field} "${value}"`);
+    }
+    seen.add(value);
+  }
+}
+
+/**
+ * Validate an interpolated config
+ * @param {object} config
+ * @returns {string[]} Error messages (empty if valid)
+ */
+export function validateConfig(config) {
+  if (!isObject(config)) return ["Config must be an object"];
+
+  const errors = [];
+  for (const key of Object.keys(config)) {
+    if (!TOP_LEVEL_KEYS.includes(key)) errors.push(`Unknown key "${key}"`);
+  }
+  if (config.version !== undefined && config.version !== CONFIG_FILE_VERSION) {
+    errors.push(`version must be ${CONFIG_FILE_VERSION}`);
+  }
+  for (const key of [
+    "providers",
+    "providerNodes",
+    "combos",
+    "routingRules",
+    "apiKeys",
+  ]) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      errors.push(`${key} must be a list`);
+    }
+  }
+  if (config.aliases !== undefined && !isObject(config.aliases)) {
+    errors.push("aliases must be a map of alias: model");
+  }
+  if (errors.length > 0) return errors;
+
+  const providers = config.providers || [];
+  for (const [index, entry] of providers.entries()) {
+    const label = `providers[${index}]`;
+    if (!isObject(entry)) {
+      errors.push(`${label}: must be an object`);
+      continue;
+    }
+    if (!isNonEmptyString(entry.id)) errors.push(`${label}: id is required`);
+    if (!isNonEmptyString(entry.provider)) {
+      errors.push(`${label}: provider is required`);
+    }
+    if (!entry.apiKey && !entry.accessToken && !entry.refreshToken) {
+      errors.push(`${label}: apiKey, accessToken or refreshToken is required`);
+    }
+    if (entry.priority !== undefined && !Number.isInteger(entry.priority)) {
+      errors.push(`${label}: priority must be an integer`);
+    }
+    if (
+      entry.providerSpecificData !== undefined &&
+      !isObject(entry.providerSpecificData)
+    ) {
+      errors.push(`${label}: providerSpecificData must be an object`);
+    }
+  }
+  checkUnique(providers, "id", "providers", errors);
+
+  const nodes = config.providerNodes || [];
+  for (const [index, entry] of nodes.entries()) {
+    const label = `providerNodes[${index}]`;
+    if (!isObject(entry)) {
+      errors.push(`${label}: must be an object`);
+      continue;
+    }
+    for (const field of ["name", "prefix", "baseUrl"]) {
+      if (!isNonEmptyString(entry[field])) {
+        errors.push(`${label}: ${field} is required`);
+      }
+    }
+    if (!NODE_TYPES.includes(entry.type)) {
+      errors.push(`${label}: type must be one of: ${NODE_TYPES.join(", ")}`);
+      continue;
+    }
+    const isOpenAI = entry.type === "openai-compatible";
+    if (isOpenAI && !["chat", "responses"].includes(entry.apiType)) {
+      errors.push(`${label}: apiType must be chat or responses`);
+      continue;
+    }
+    // The executor derives the API type from the node id
+    const idPrefix = isOpenAI
+      ? `${entry.type}-${entry.apiType}-`
+      : `${entry.type}-`;
+    if (!isNonEmptyString(entry.id) || !entry.id.startsWith(idPrefix)) {
+      errors.push(`${label}: id must start with "${idPrefix}"`);
+    }
+  }
+  checkUnique(nodes, "id", "providerNodes", errors);
+
+  for (const [index, entry] of providers.entries()) {
+    const isNodeProvider = NODE_TYPES.some(type =>
+      entry?.provider?.startsWith?.(`${type}-`),
+    );
+    if (isNodeProvider && !nodes.some(node => node?.id === entry.provider)) {
+      errors.push(
+        `providers[${index}]: provider node "${entry.provider}" must be declared in providerNodes`,
+      );
+    }
+  }
+  checkUnique(nodes, "prefix", "providerNodes", errors);
+
+  const combos = config.combos || [];
+  for (const [index, entry] of combos.entries()) {
+    const label = `combos[${index}]`;
+    if (!isObject(entry)) {
+      errors.push(`${label}: must be an object`);
+      continue;
+    }
+    if (!isNonEmptyString(entry.name) || !VALID_NAME_REGEX.test(entry.name)) {
+      errors.push(
+        `${label}: name is required (letters, numbers, - and _ only)`,
+      );
+    }
+    if (
+      !Array.isArray(entry.models) ||
+      entry.models.some(model => !isNonEmptyString(model))
+    ) {
+      errors.push(`${label}: models must be a list of model names`);
+    }
+    const routingError =
+      validateComboRouting(entry) || validatePluginNames(entry.plugins);
+    if (routingError) errors.push(`${label}: ${routingError}`);
+  }
+  checkUnique(combos, "name", "combos", errors);
+
+  for (const [alias, model] of Object.entries(config.aliases || {})) {
+    if (!isNonEmptyString(model)) {
+      errors.push(`aliases.${alias}: model must be a string`);
+    }
+  }
+
+  const rules = config.routingRules || [];
+  const rulesError = validateRoutingRules(rules);
+  if (rulesError) errors.push(`routingRules: ${rulesError}`);
+  checkUnique(rules, "name", "routingRules", errors);
+
+  const keys = config.apiKeys || [];
+  for (const [index, entry] of keys.entries()) {
+    const label = `apiKeys[${index}]`;
+    if (!isObject(entry)) {
+      errors.push(`${label}: must be an object`);
+      continue;
+    }
+    if (!isNonEmptyString(entry.name))
+      errors.push(`${label}: name is required`);
+    if (!isNonEmptyString(entry.key)) errors.push(`${label}: key is required`);
+    const keyError =
+      validateApiKeyLimits(entry.limits) ||
+      validateApiKeyScope(entry.scope) ||
+      validatePluginNames(entry.plugins);
+    if (keyError) errors.push(`${label}: ${keyError}`);
+  }
+  checkUnique(keys, "name", "apiKeys", errors);
+  checkUnique(keys, "key", "apiKeys", errors);
+
+  return errors;
+}
+
+const CONNECTION_FIELDS = [
+  "name",
+  "priority",
+  "globalPriority",
+  "defaultModel",
+  "apiKey",
+  "accessToken",
+  "refreshToken",
+  "projectId",
+  "providerSpecificData",
+];
+
+/**
+ * Convert a validated config into localDb entities
+ * @param {object} config
+ * @returns {{ providerConnections: object[], providerNodes: object[], combos: object[], modelAliases: Object<string, string>, routingRules: object[], apiKeys: object[] }}
+ */
+export function buildManagedEntities(config) {
+  const managed = { managedBy: MANAGED_BY_CONFIG };
+
+  const providerNodes = (config.providerNodes || []).map(entry => ({
+    id: entry.id,
+    type: entry.type,
+    name: entry.name.trim(),
+    prefix: entry.prefix.trim(),
+    apiType: entry.type === "openai-compatible" ? entry.apiType : undefined,
+    baseUrl: entry.baseUrl.trim().replace(/\/$/, ""),
+    ...managed,
+  }));
+
+  const providers = config.providers || [];
+  const providerConnections = providers.map((entry, index) => {
+    const connection = {
+      id: entry.id,
+      provider: entry.provider,
+      authType: entry.apiKey ? "apikey" : "oauth",
+      // Default priority: order of the provider's entries in the file
+      priority: providers
+        .slice(0, index + 1)
+        .filter(other => other.provider === entry.provider).length,
+      isActive: entry.isActive !== false,
+      ...managed,
+    };
+    for (const field of CONNECTION_FIELDS) {
+      if (entry[field] !== undefined) connection[field] = entry[field];
+    }
+    connection.name = connection.name || entry.id;
+
+    // Compatible-node connections carry the node's endpoint, like the
+    // providers API sets up on create
+    const node = providerNodes.find(n => n.id === entry.provider);
+    if (node) {
+      connection.providerSpecificData = {
+        ...connection.providerSpecificData,
+        prefix: node.prefix,
+        apiType: node.apiType,
+        baseUrl: node.baseUrl,
+        nodeName: node.name,
+      };
+    }
+    return connection;
+  });
+
+  const combos = (config.combos || []).map(entry => ({
+    id: `config-combo-${entry.name}`,
+    name: entry.name,
+    models: entry.models,
+    strategy: entry.strategy || "ordered",
+    weights: entry.weights || {},
+    race: entry.race || null,
+    plugins: entry.plugins || [],
+    ...managed,
+  }));
+
+  const routingRules = (config.routingRules || []).map(rule => ({
+    id: `config-rule-${rule.name.trim()}`,
+    name: rule.name.trim(),
+    enabled: rule.enabled !== false,
+    target: rule.target.trim(),
+    match: rule.match || {},
+    ...managed,
+  }));
+
+  const apiKeys = (config.apiKeys || []).map(entry => {
+    const apiKey = {
+      id: `config-key-${entry.name}`,
+      name: entry.name,
+      key: entry.key,
+      isActive: entry.isActive !== false,
+      ...managed,
+    };
+    for (const field of ["limits", "scope", "plugins"]) {
+      if (entry[field] !== undefined) apiKey[field] = entry[field];
+    }
+    return apiKey;
+  });
+
+  return {
+    providerConnections,
+    providerNodes,
+    combos,
+    modelAliases: { ...(config.aliases || {}) },
+    routingRules,
+    apiKeys,
+  };
+}
+
+/**
+ * Read, interpolate and validate a config file
+ * @param {string} filePath
+ * @param {object} [env]
+ * @returns {{ entities: object, hash: string }}
+ */
+export function loadConfigFile(filePath, env = process.env) {
+  const text = fs.readFileSync(filePath, "utf8");
+  const { value, errors } = interpolateEnv(
+    parseConfigText(text, filePath),
+    env,
+  );
+  errors.push(...validateConfig(value));
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid config file ${filePath}:\n- ${errors.join("\n- ")}`,
+    );
+  }
+  return {
+    entities: buildManagedEntities(value),
+    hash: crypto.createHash("sha256").update(text).digest("hex"),
+  };
+}
+
+/** API error for dashboard edits of config file entities */
+export const CONFIG_MANAGED_ERROR =
+  "Managed by the config file: edit the file instead";
+
+/**
+ * Check if an entity was created from the config file
+ * @param {object|null} entity
+ */
+export function isConfigManaged(entity) {
+  return entity?.managedBy === MANAGED_BY_CONFIG;
+}
+
+// Loader state survives HMR / multiple route bundles
+if (!global._configFileState) {
+  global._configFileState = {
+    file: null,
+    hash: null,
+    loadedAt: null,
+    error: null,
+    watcher: null,
+    reloadTimer: null,
+  };
+}
+const state = global._configFileState;
+
+/**
+ * Current config file status
+ * @returns {{ file: string|null, loadedAt: string|null, error: string|null }}
+ */
+export function getConfigFileStatus() {
+  return { file: state.file, loadedAt: state.loadedAt, error: state.error };
+}
+
+/**
+ * Load the config file and reconcile it (skipped when unchanged).
+ * An invalid file is reported and leaves the last applied config in place.
+ * @param {object} options
+ * @param {string} options.file
+ * @param {(entities: object) => Promise<object>} options.apply - localDb reconcile
+ * @returns {Promise<boolean>} true if the config was applied
+ */
+export async function reloadConfigFile({ file, apply }) {
+  try {
+    const { entities, hash } = loadConfigFile(file);
+    if (hash === state.hash && !state.error) return false;
+
+    const summary = await apply(entities);
+    state.hash = hash;
+    state.loadedAt = new Date().toISOString();
+    state.error = null;
+    console.log(`[ConfigFile] Applied ${file}:`, summary);
+    return true;
+  } catch (error) {
+    state.error = error.message;
+    console.error(`[ConfigFile] ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Load the config file at startup and reload it whenever it changes
+ * @param {object} options
+ * @param {string|null} options.dataDir
+ * @param {(entities: object) => Promise<object>} options.apply
+ */
+export async function startConfigFileWatcher({ dataDir, apply }) {
+  const file = resolveConfigFilePath({ dataDir });
+  if (!file) return;
+  if (!fs.existsSync(file)) {
+    state.file = file;
+    state.error = `Config file not found: ${file}`;
+    console.error(`[ConfigFile] ${state.error}`);
+    return;
+  }
+
+  state.file = file;
+  await reloadConfigFile({ file, apply });
+  if (state.watcher) return;
+
+  // Watch the directory: editors and ConfigMap mounts replace the file
+  state.watcher = fs.watch(path.dirname(file), (_event, name) => {
+    if (name && name !== path.basename(file) && !name.startsWith("..")) {
+      return;
+    }
+    clearTimeout(state.reloadTimer);
+    state.reloadTimer = setTimeout(() => {
+      if (fs.existsSync(file)) reloadConfigFile({ file, apply });
+    }, RELOAD_DEBOUNCE_MS);
+  });
+  state.watcher.unref?.();
+  console.log(`[ConfigFile] Watching ${file}`);
+}
@@ -0,0 +1,341 @@
+/**
+ * Envelope encryption for provider credentials stored in db.json.
+ *
+ * Secret fields of provider connections are encrypted with a random data key
+ * (AES-256-GCM, same iv:tag:ciphertext hex format as the MITM sudo password).
+ * The data key is stored in db.json wrapped by a master key, which comes from
+ * (first match wins):
+ *
+ * 1. CREDENTIALS_KEY - 32-byte hex / base64 key, or any string as passphrase
+ * 2. CREDENTIALS_PASSPHRASE - passphrase (set by `ccr start --passphrase`)
+ * 3. Key file - CREDENTIALS_KEY_FILE or ${DATA_DIR}/credentials.key,
+ *    created with mode 0600 on first use
+ *
+ * Changing the master key only needs the data key re-wrapped, not every value.
+ */
+
+import crypto from "node:crypto";
+import path from "node:path";
+import fs from "node:fs";
+
+const ALGO = "aes-256-gcm";
+const ENCRYPTED_PREFIX = "enc:v1:";
+const KEY_FILE_NAME = "credentials.key";
+
+/** Top-level connection fields holding secrets */
+export const CREDENTIAL_SECRET_FIELDS = [
+  "accessToken",
+  "refreshToken",
+  "apiKey",
+  "idToken",
+];
+
+/** providerSpecificData fields holding secrets */
+export const CREDENTIAL_SECRET_SPECIFIC_FIELDS = [
+  "copilotToken",
+  "clientSecret",
+];
+
+/**
+ * Check if a stored value is encrypted
+ * @param {any} value
+ */
+export function isEncryptedValue(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+function encryptBuffer(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGO, key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return `${iv.toString("hex")}:${tag.toString("hex")}:${encrypted.toString("hex")}`;
+}
+
+function decryptBuffer(key, stored) {
+  const [ivHex, tagHex, dataHex] = stored.split(":");
+  if (!ivHex || !tagHex || dataHex === undefined) {
+    throw new Error("Malformed encrypted value");
+  }
+  const decipher = crypto.createDecipheriv(
+    ALGO,
+    key,
+    Buffer.from(ivHex, "hex"),
+  );
+  decipher.setAuthTag(Buffer.from(tagHex, "hex"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(dataHex, "hex")),
+    decipher.final(),
+  ]);
+}
+
+/**
+ * Encrypt a string value with the data key
+ * @param {string} value
+ * @param {Buffer} dataKey
+ */
+export function encryptValue(value, dataKey) {
+  return ENCRYPTED_PREFIX + encryptBuffer(dataKey, Buffer.from(value, "utf8"));
+}
+
+/**
+ * Decrypt a value from encryptValue (plain values are returned as-is)
+ * @param {string} value
+ * @param {Buffer} dataKey
+ */
+export function decryptValue(value, dataKey) {
+  if (!isEncryptedValue(value)) return value;
+  return decryptBuffer(dataKey, value.slice(ENCRYPTED_PREFIX.length)).toString(
+    "utf8",
+  );
+}
+
+/**
+ * Encrypt text with a passphrase (scrypt + AES-256-GCM), e.g. for backups
+ * @param {string} text
+ * @param {string} passphrase
+ * @returns {{ salt: string, data: string }}
+ */
+export function encryptWithPassphrase(text, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(passphrase, salt, 32);
+  return {
+    salt: salt.toString("hex"),
+    data: encryptBuffer(key, Buffer.from(text, "utf8")),
+  };
+}
+
+/**
+ * Decrypt the result of encryptWithPassphrase
+ * @param {{ salt: string, data: string }} sealed
+ * @param {string} passphrase
+ * @returns {string}
+ */
+export function decryptWithPassphrase(sealed, passphrase) {
+  const key = crypto.scryptSync(
+    passphrase,
+    Buffer.from(sealed.salt, "hex"),
+    32,
+  );
+  try {
+    return decryptBuffer(key, sealed.data).toString("utf8");
+  } catch {
+    throw new Error("Wrong passphrase or corrupted data");
+  }
+}
+
+/** Parse a 32-byte key given as hex or base64, null otherwise */
+function parseRawKey(value) {
+  const text = value.trim();
+  if (/^[0-9a-f]{64}$/i.test(text)) return Buffer.from(text, "hex");
+  const decoded = Buffer.from(text, "base64");
+  if (decoded.length === 32 && decoded.toString("base64") === text) {
+    return decoded;
+  }
+  return null;
+}
+
+/**
+ * Find the master key source
+ * @param {object} options
+ * @param {string|null} options.dataDir - Default key file location
+ * @param {object} [options.env]
+ * @returns {{ source: "env"|"passphrase"|"file", key?: Buffer, passphrase?: string, keyFile?: string }}
+ */
+export function resolveMasterKeySource({ dataDir, env = process.env }) {
+  if (env.CREDENTIALS_KEY) {
+    const key = parseRawKey(env.CREDENTIALS_KEY);
+    return key
+      ? { source: "env", key }
+      : { source: "env", passphrase: env.CREDENTIALS_KEY };
+  }
+  if (env.CREDENTIALS_PASSPHRASE) {
+    return { source: "passphrase", passphrase: env.CREDENTIALS_PASSPHRASE };
+  }
+
+  const keyFile =
+    env.CREDENTIALS_KEY_FILE || (dataDir && path.join(dataDir, KEY_FILE_NAME));
+  if (!keyFile) throw new Error("No credential encryption key available");
+  return { source: "file", keyFile };
+}
+
+/**
+ * Load the key file, creating it (0600) if missing
+ * @param {string} keyFile
+ * @returns {Buffer}
+ */
+function loadOrCreateKeyFile(keyFile) {
+  if (fs.existsSync(keyFile)) {
+    const key = parseRawKey(fs.readFileSync(keyFile, "utf8"));
+    if (!key) throw new Error(`Invalid credential key file: ${keyFile}`);
+    return key;
+  }
+  const key = crypto.randomBytes(32);
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+  fs.writeFileSync(keyFile, `${key.toString("hex")}\n`, { mode: 0o600 });
+  console.log(`[DB] Created credential encryption key file: ${keyFile}`);
+  return key;
+}
+
+/**
+ * Derive the master key (passphrases go through scrypt with the envelope salt)
+ * @param {object} keySource - From resolveMasterKeySource
+ * @param {string} salt - Hex salt stored in the envelope
+ */
+function deriveMasterKey(keySource, salt) {
+  if (keySource.key) return keySource.key;
+  if (keySource.passphrase) {
+    return crypto.scryptSync(
+      keySource.passphrase,
+      Buffer.from(salt, "hex"),
+      32,
+    );
+  }
+  return loadOrCreateKeyFile(keySource.keyFile);
+}
+
+/**
+ * Create a new data key wrapped by the master key
+ * @param {object} keySource - From resolveMasterKeySource
+ * @returns {{ envelope: object, dataKey: Buffer }} envelope is stored in db.json
+ */
+export function createEnvelope(keySource) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const dataKey = crypto.randomBytes(32);
+  const masterKey = deriveMasterKey(keySource, salt);
+  return {
+    envelope: {
+      version: 1,
+      keySource: keySource.source,
+      salt,
+      wrappedKey: encryptBuffer(masterKey, dataKey),
+    },
+    dataKey,
+  };
+}
+
+/**
+ * Unwrap the data key of an envelope
+ * @param {object} envelope - From createEnvelope
+ * @param {object} keySource - From resolveMasterKeySource
+ * @returns {Buffer}
+ */
+export function openEnvelope(envelope, keySource) {
+  const masterKey = deriveMasterKey(keySource, envelope.salt);
+  try {
+    return decryptBuffer(masterKey, envelope.wrappedKey);
+  } catch {
+    throw new Error(
+      `Cannot decrypt stored credentials: wrong master key (credentials were encrypted with a "${envelope.keySource}" key, current source is "${keySource.source}")`,
+    );
+  }
+}
+
+/**
+ * Apply fn to each secret field of each connection
+ * @returns {object[]} New connection objects
+ */
+function mapConnectionSecrets(connections, fn) {
+  return (connections || []).map(connection => {
+    const next = { ...connection };
+    for (const field of CREDENTIAL_SECRET_FIELDS) {
+      if (typeof next[field] === "string") next[field] = fn(next[field]);
+    }
+    if (next.providerSpecificData) {
+      next.providerSpecificData = { ...next.providerSpecificData };
+      for (const field of CREDENTIAL_SECRET_SPECIFIC_FIELDS) {
+        const value = next.providerSpecificData[field];
+        if (typeof value === "string") {
+          next.providerSpecificData[field] = fn(value);
+        }
+      }
+    }
+    return next;
+  });
+}
+
+/**
+ * Encrypt all secret fields (already encrypted values are kept)
+ * @param {object[]} connections
+ * @param {Buffer} dataKey
+ * @returns {object[]}
+ */
+export function encryptConnectionSecrets(connections, dataKey) {
+  return mapConnectionSecrets(connections, value =>
+    isEncryptedValue(value) ? value : encryptValue(value, dataKey),
+  );
+}
+
+/**
+ * Decrypt all secret fields
+ * @param {object[]} connections
+ * @param {Buffer} dataKey
+ * @returns {{ connections: object[], plaintextFound: boolean }} plaintextFound = needs migration
+ */
+export function decryptConnectionSecrets(connections, dataKey) {
+  let plaintextFound = false;
+  const decrypted = mapConnectionSecrets(connections, value => {
+    if (!isEncryptedValue(value)) {
+      plaintextFound = true;
+      return value;
+    }
+    return decryptValue(value, dataKey);
+  });
+  return { connections: decrypted, plaintextFound };
+}
+
+/**
+ * Wrap a lowdb adapter so provider secrets are encrypted on disk and
+ * plaintext in memory. Existing plaintext databases are flagged through
+ * `needsMigration` and get encrypted on the next write.
+ * @param {{ read: () => Promise<object|null>, write: (data: object) => Promise<void> }} adapter
+ * @param {object} options - { dataDir, env } for resolveMasterKeySource
+ */
+export function createEncryptedAdapter(adapter, options) {
+  // Unwrapped data key, cached per envelope (scrypt is slow)
+  let cached = null;
+
+  const getDataKey = envelope => {
+    if (!envelope?.wrappedKey) {
+      cached = createEnvelope(resolveMasterKeySource(options));
+    } else if (cached?.envelope.wrappedKey !== envelope.wrappedKey) {
+      const keySource = resolveMasterKeySource(options);
+      cached = { envelope, dataKey: openEnvelope(envelope, keySource) };
+    }
+    return cached;
+  };
+
+  const wrapper = {
+    needsMigration: false,
+
+    async read() {
+      const data = await adapter.read();
+      if (!data) return data;
+
+      const stored = data.credentialEncryption;
+      const { dataKey } = getDataKey(stored || cached?.envelope);
+      const { connections, plaintextFound } = decryptConnectionSecrets(
+        data.providerConnections,
+        dataKey,
+      );
+      wrapper.needsMigration = plaintextFound || !stored?.wrappedKey;
+      const { credentialEncryption: _envelope, ...rest } = data;
+      return { ...rest, providerConnections: connections };
+    },
+
+    async write(data) {
+      const { envelope, dataKey } = getDataKey(cached?.envelope);
+      const { credentialEncryption: _envelope, ...rest } = data;
+      await adapter.write({
+        ...rest,
+        providerConnections: encryptConnectionSecrets(
+          data.providerConnections,
+          dataKey,
+        ),
+        credentialEncryption: envelope,
+      });
+      wrapper.needsMigration = false;
+    },
+  };
+  return wrapper;
+}
@@ -0,0 +1,172 @@
+/**
+ * Dashboard accounts, roles and sessions.
+ *
+ * Each dashboard user has a role; roles map to permissions checked by every
+ * management route under src/app/api via requirePermission(). Sessions are
+ * stored server-side in localDb; the auth_token cookie is a signed JWT that
+ * only carries the session id, so logout, user deletion and password resets
+ * revoke access immediately.
+ *
+ *   admin    — everything (providers, keys, combos, settings, users)
+ *   operator — usage, provider list and connection tests
+ *   viewer   — usage only
+ */
+
+import {
+  getSettings,
+  createSession,
+  getSessionUser,
+  deleteSessions,
+} from "@/lib/localDb";
+import { NextResponse } from "next/server";
+import { SignJWT, jwtVerify } from "jose";
+import { cookies } from "next/headers";
+
+export const ROLES = ["admin", "operator", "viewer"];
+
+export const PERMISSIONS = [
+  "dashboard:read",
+  "usage:read",
+  "providers:read",
+  "providers:test",
+  "providers:write",
+  "config:read",
+  "config:write",
+  "system:manage",
+  "users:manage",
+  "audit:read",
+];
+
+export const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  operator: [
+    "dashboard:read",
+    "usage:read",
+    "providers:read",
+    "providers:test",
+  ],
+  viewer: ["dashboard:read", "usage:read"],
+};
+
+export const SESSION_COOKIE = "auth_token";
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Acts for every request while "Require login" is off
+const LOCAL_USER = { id: null, username: "local", role: "admin" };
+
+const SECRET = new TextEncoder().encode(
+  process.env.JWT_SECRET || "9router-default-secret-change-me",
+);
+
+/**
+ * Check if a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Validate a username / role pair for create or update
+ * @param {object} data - { username?, role? }
+ * @returns {string|null} Error message
+ */
+export function validateUserFields({ username, role }) {
+  if (username !== undefined && !/^[a-zA-Z0-9_.@-]{1,64}$/.test(username)) {
+    return "Username may only contain letters, numbers, _ . @ and -";
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `role must be one of: ${ROLES.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * User fields safe to return from the API
+ * @param {object} user
+ */
+export function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+}
+
+/**
+ * Start a session for a user and return the cookie token
+ * @param {object} user
+ * @returns {Promise<string>}
+ */
+export async function startSession(user) {
+  const session = await createSession(user.id, SESSION_TTL_MS);
+  return new SignJWT({ sid: session.id })
+    .setProtectedHeader({ alg: "HS256" })
+    .setExpirationTime(new Date(session.expiresAt))
+    .sign(SECRET);
+}
+
+async function readSessionId() {
+  const token = (await cookies()).get(SESSION_COOKIE)?.value;
+  if (!token) return null;
+  try {
+    const { payload } = await jwtVerify(token, SECRET);
+    return typeof payload.sid === "string" ? payload.sid : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * End the current request's session (logout)
+ */
+export async function endSession() {
+  const sessionId = await readSessionId();
+  if (sessionId) await deleteSessions({ id: sessionId });
+}
+
+/**
+ * Resolve the dashboard user of the current request
+ * @returns {Promise<object|null>} User, the local admin when login is off, or null
+ */
+export async function getCurrentUser() {
+  const sessionId = await readSessionId();
+  const user = sessionId ? await getSessionUser(sessionId) : null;
+  if (user) return user;
+
+  const settings = await getSettings();
+  return settings.requireLogin === false ? LOCAL_USER : null;
+}
+
+/**
+ * Guard for API route handlers:
+ *
+ *   const auth = await requirePermission("providers:write");
+ *   if (auth.response) return auth.response;
+ *
+ * @param {string} permission
+ * @returns {Promise<{ user?: object, response?: Response }>}
+ */
+export async function requirePermission(permission) {
+  const user = await getCurrentUser();
+  if (!user) {
+    return {
+      response: NextResponse.json(
+        { error: "Authentication required" },
+        { status: 401 },
+      ),
+    };
+  }
+  if (!hasPermission(user.role, permission)) {
+    return {
+      response: NextResponse.json(
+        { error: `Forbidden: ${user.role} role lacks ${permission}` },
+        { status: 403 },
+      ),
+    };
+  }
+  return { user };
+}
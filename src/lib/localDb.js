@@ -1,6 +1,9 @@
+import { createEncryptedAdapter } from "./credentialCrypto.js";
+import { createBackup, planRestore } from "./configBackup.js";
 import { JSONFile } from "lowdb/node";
 import { v4 as uuidv4 } from "uuid";
 import { fileURLToPath } from "url";
+import crypto from "node:crypto";
 import path from "node:path";
 import { Low } from "lowdb";
 import os from "node:os";
@@ -68,7 +71,7 @@ function getUserDataDir() {
 
 // Data file path - stored in user home directory
 // Lazy evaluation to avoid Turbopack NFT warnings during build
-function getDataDir() {
+export function getDataDir() {
   return getUserDataDir();
 }
 
@@ -104,6 +107,7 @@ const defaultData = {
   mitmAlias: {},
   combos: [],
   apiKeys: [],
+  routingRules: [],
   settings: {
     cloudEnabled: false,
     tunnelEnabled: false,
@@ -115,9 +119,19 @@ const defaultData = {
     observabilityBatchSize: 20,
     observabilityFlushIntervalMs: 5000,
     observabilityMaxJsonSize: 1024,
+    usageRetentionDays: 90,
+    responseCacheEnabled: false,
+    responseCacheTtlSeconds: 300,
+    responseCacheMaxEntries: 500,
+    modelLockProviders: ["antigravity"],
+    contextStrategy: "off",
+    contextReserveTokens: 4096,
+    contextSummaryModel: "",
   },
   pricing: {}, // NEW: pricing configuration
   syncedModels: {}, // Synced model lists from models.dev
+  users: [], // Dashboard accounts
+  sessions: [], // Dashboard login sessions
 };
 
 function cloneDefaultData() {
@@ -128,6 +142,7 @@ function cloneDefaultData() {
     mitmAlias: {},
     combos: [],
     apiKeys: [],
+    routingRules: [],
     settings: {
       cloudEnabled: false,
       tunnelEnabled: false,
@@ -139,9 +154,19 @@ function cloneDefaultData() {
       observabilityBatchSize: 20,
       observabilityFlushIntervalMs: 5000,
       observabilityMaxJsonSize: 1024,
+      usageRetentionDays: 90,
+      responseCacheEnabled: false,
+      responseCacheTtlSeconds: 300,
+      responseCacheMaxEntries: 500,
+      modelLockProviders: ["antigravity"],
+      contextStrategy: "off",
+      contextReserveTokens: 4096,
+      contextSummaryModel: "",
     },
     pricing: {},
     syncedModels: {},
+    users: [],
+    sessions: [],
   };
 }
 
@@ -190,11 +215,27 @@ function ensureDbShape(data) {
     }
   }
 
+  // Migrate the single login password to an "admin" account
+  if (next.users.length === 0) {
+    const now = new Date().toISOString();
+    next.users.push({
+      id: uuidv4(),
+      username: "admin",
+      role: "admin",
+      password: next.settings.password || null,
+      createdAt: now,
+      updatedAt: now,
+    });
+    delete next.settings.password;
+    changed = true;
+  }
+
   return { data: next, changed };
 }
 
 // Singleton instance
 let dbInstance = null;
+let dbAdapter = null;
 
 /**
  * Get database instance (singleton)
@@ -214,8 +255,11 @@ export async function getDb() {
   }
 
   if (!dbInstance) {
-    const adapter = new JSONFile(getDbFile());
-    dbInstance = new Low(adapter, cloneDefaultData());
+    // Provider secrets are encrypted on disk, plaintext in dbInstance.data
+    dbAdapter = createEncryptedAdapter(new JSONFile(getDbFile()), {
+      dataDir: getDataDir(),
+    });
+    dbInstance = new Low(dbAdapter, cloneDefaultData());
   }
 
   // Always read latest disk state to avoid stale singleton data across route workers.
@@ -238,7 +282,10 @@ export async function getDb() {
   } else {
     const { data, changed } = ensureDbShape(dbInstance.data);
     dbInstance.data = data;
-    if (changed) {
+    if (dbAdapter.needsMigration) {
+      console.log("[DB] Encrypting stored provider credentials...");
+    }
+    if (changed || dbAdapter.needsMigration) {
       await dbInstance.write();
     }
   }
@@ -661,9 +708,13 @@ export async function createCombo(data) {
 
   const now = new Date().toISOString();
   const combo = {
-    id: uuidv4(),
+    id: data.id || uuidv4(),
     name: data.name,
     models: data.models || [],
+    strategy: data.strategy || "ordered",
+    weights: data.weights || {},
+    race: data.race || null,
+    plugins: data.plugins || [],
     createdAt: now,
     updatedAt: now,
   };
@@ -708,6 +759,43 @@ export async function deleteCombo(id) {
   return true;
 }
 
+// ============ Routing Rules ============
+
+/**
+ * Get routing rules (ordered, first match wins)
+ */
+export async function getRoutingRules() {
+  const db = await getDb();
+  return db.data.routingRules || [];
+}
+
+/**
+ * Replace the routing rule list (keeps order, assigns ids to new rules)
+ */
+export async function setRoutingRules(rules) {
+  const db = await getDb();
+  const now = new Date().toISOString();
+  const previous = new Map(
+    (db.data.routingRules || []).map(rule => [rule.id, rule]),
+  );
+
+  db.data.routingRules = rules.map(rule => ({
+    id: rule.id || uuidv4(),
+    name: rule.name.trim(),
+    enabled: rule.enabled !== false,
+    target: rule.target.trim(),
+    match: rule.match || {},
+    createdAt: previous.get(rule.id)?.createdAt || now,
+    updatedAt: now,
+    ...(previous.get(rule.id)?.managedBy && {
+      managedBy: previous.get(rule.id).managedBy,
+    }),
+  }));
+
+  await db.write();
+  return db.data.routingRules;
+}
+
 // ============ API Keys ============
 
 /**
@@ -906,6 +994,136 @@ export async function getCloudUrl() {
   );
 }
 
+// ============ Dashboard Users ============
+
+/**
+ * Get all dashboard users (including password hashes)
+ */
+export async function getUsers() {
+  const db = await getDb();
+  return db.data.users || [];
+}
+
+/**
+ * Get dashboard user by ID
+ */
+export async function getUserById(id) {
+  const db = await getDb();
+  return (db.data.users || []).find(u => u.id === id) || null;
+}
+
+/**
+ * Get dashboard user by username (case-insensitive)
+ */
+export async function getUserByUsername(username) {
+  const db = await getDb();
+  const name = String(username || "").toLowerCase();
+  return (
+    (db.data.users || []).find(u => u.username.toLowerCase() === name) || null
+  );
+}
+
+/**
+ * Create dashboard user
+ * @param {object} data - { username, password (bcrypt hash), role }
+ */
+export async function createUser(data) {
+  const db = await getDb();
+  const now = new Date().toISOString();
+  const user = {
+    id: uuidv4(),
+    username: data.username,
+    role: data.role,
+    password: data.password,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  db.data.users.push(user);
+  await db.write();
+  return user;
+}
+
+/**
+ * Update dashboard user
+ */
+export async function updateUser(id, data) {
+  const db = await getDb();
+  const index = db.data.users.findIndex(u => u.id === id);
+  if (index === -1) return null;
+
+  db.data.users[index] = {
+    ...db.data.users[index],
+    ...data,
+    updatedAt: new Date().toISOString(),
+  };
+  await db.write();
+  return db.data.users[index];
+}
+
+/**
+ * Delete dashboard user and its sessions
+ */
+export async function deleteUser(id) {
+  const db = await getDb();
+  const index = db.data.users.findIndex(u => u.id === id);
+  if (index === -1) return false;
+
+  db.data.users.splice(index, 1);
+  db.data.sessions = db.data.sessions.filter(s => s.userId !== id);
+  await db.write();
+  return true;
+}
+
+/**
+ * Create a login session (expired sessions are pruned)
+ * @param {string} userId
+ * @param {number} ttlMs
+ */
+export async function createSession(userId, ttlMs) {
+  const db = await getDb();
+  const now = Date.now();
+  const session = {
+    id: crypto.randomBytes(32).toString("hex"),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString(),
+  };
+
+  db.data.sessions = db.data.sessions.filter(
+    s => Date.parse(s.expiresAt) > now,
+  );
+  db.data.sessions.push(session);
+  await db.write();
+  return session;
+}
+
+/**
+ * Get the user of an unexpired session
+ * @param {string} id - Session ID
+ */
+export async function getSessionUser(id) {
+  const db = await getDb();
+  const session = (db.data.sessions || []).find(s => s.id === id);
+  if (!session || Date.parse(session.expiresAt) <= Date.now()) return null;
+  return (db.data.users || []).find(u => u.id === session.userId) || null;
+}
+
+/**
+ * Delete sessions by ID, or all sessions of a user
+ * @param {object} filter - { id } or { userId }
+ */
+export async function deleteSessions({ id, userId }) {
+  const db = await getDb();
+  const before = db.data.sessions.length;
+  db.data.sessions = db.data.sessions.filter(
+    s => s.id !== id && s.userId !== userId,
+  );
+  if (db.data.sessions.length === before) return 0;
+  await db.write();
+  return before - db.data.sessions.length;
+}
+
 // ============ Pricing ============
 
 /**
@@ -958,6 +1176,14 @@ export async function getPricing() {
   return mergedPricing;
 }
 
+/**
+ * Get user pricing overrides only (no defaults)
+ */
+export async function getPricingOverrides() {
+  const db = await getDb();
+  return db.data.pricing || {};
+}
+
 /**
  * Get pricing for a specific provider and model
  */
@@ -1118,3 +1344,141 @@ export async function clearSyncedModels() {
   db.data.syncedModels = {};
   await db.write();
 }
+
+// ============ Backup / Restore ============
+
+/**
+ * Export the configuration as a backup archive
+ * @param {object} [options] - { passphrase, appVersion }, see createBackup
+ */
+export async function exportConfigBackup(options = {}) {
+  const db = await getDb();
+  return createBackup(db.data, options);
+}
+
+/**
+ * Restore backup sections (or only preview the changes with dryRun)
+ * @param {object} sections - From readBackup
+ * @param {object} [options]
+ * @param {"merge"|"replace"} [options.mode]
+ * @param {boolean} [options.dryRun] - Return the changes without writing
+ * @returns {Promise<{ changes: object, applied: boolean }>}
+ */
+export async function restoreConfigBackup(
+  sections,
+  { mode = "merge", dryRun = false } = {},
+) {
+  const db = await getDb();
+  const { changes, data } = planRestore(db.data, sections, mode);
+  if (dryRun) return { changes, applied: false };
+
+  db.data = ensureDbShape(data).data;
+  await db.write();
+  return { changes, applied: true };
+}
+
+// ============ Config File (GitOps) ============
+
+// Fields identifying the same entity in the config file and the database
+const MANAGED_LIST_SECTIONS = {
+  providerConnections: ["id"],
+  providerNodes: ["id"],
+  combos: ["id", "name"],
+  routingRules: ["id"],
+  apiKeys: ["id", "key"],
+};
+
+// OAuth tokens rotate at runtime; the file's values only win when they change
+const MANAGED_TOKEN_FIELDS = ["accessToken", "refreshToken"];
+
+function managedTokenFingerprint(connection) {
+  const tokens = MANAGED_TOKEN_FIELDS.map(field => connection[field] ?? null);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(tokens))
+    .digest("hex");
+}
+
+/**
+ * Reconcile config file entities (managedBy: "config") into the database.
+ * Declared entities are upserted, managed entities no longer declared are
+ * removed. Dashboard entities are kept unless the file declares the same
+ * id / name, in which case the file takes them over.
+ * @param {object} entities - From buildManagedEntities
+ * @returns {Promise<Object<string, number>>} Managed entities per section
+ */
+export async function applyManagedConfig(entities) {
+  const db = await getDb();
+  const now = new Date().toISOString();
+  const summary = {};
+  const previousTokens = db.data.managedConfig?.tokens || {};
+  const tokens = {};
+
+  for (const [section, fields] of Object.entries(MANAGED_LIST_SECTIONS)) {
+    const declared = entities[section] || [];
+    const previous = db.data[section] || [];
+    const matches = (a, b) =>
+      fields.some(field => a[field] !== undefined && a[field] === b[field]);
+
+    const unmanaged = previous.filter(
+      item =>
+        item.managedBy !== "config" &&
+        !declared.some(entity => matches(entity, item)),
+    );
+    const managed = declared.map(entity => {
+      const existing = previous.find(item => matches(entity, item));
+      if (section !== "providerConnections") {
+        return {
+          createdAt: existing?.createdAt || now,
+          ...entity,
+          updatedAt: now,
+        };
+      }
+
+      // Connections keep runtime state (test status, rate limits) and their
+      // refreshed tokens while the file's tokens are unchanged
+      const fingerprint = managedTokenFingerprint(entity);
+      tokens[entity.id] = fingerprint;
+      const values = { ...entity };
+      if (
+        existing?.managedBy === "config" &&
+        previousTokens[entity.id] === fingerprint
+      ) {
+        for (const field of MANAGED_TOKEN_FIELDS) delete values[field];
+      }
+      return {
+        ...existing,
+        createdAt: existing?.createdAt || now,
+        ...values,
+        updatedAt: now,
+      };
+    });
+
+    // File rules are evaluated before dashboard rules
+    db.data[section] =
+      section === "routingRules"
+        ? [...managed, ...unmanaged]
+        : [...unmanaged, ...managed];
+    summary[section] = managed.length;
+  }
+
+  const aliases = entities.modelAliases || {};
+  for (const alias of db.data.managedConfig?.modelAliases || []) {
+    if (!(alias in aliases)) delete db.data.modelAliases[alias];
+  }
+  Object.assign(db.data.modelAliases, aliases);
+  db.data.managedConfig = { modelAliases: Object.keys(aliases), tokens };
+  summary.modelAliases = Object.keys(aliases).length;
+
+  await db.write();
+  return summary;
+}
+
+/**
+ * Model aliases declared in the config file
+ * @returns {Promise<string[]>}
+ */
+export async function getConfigManagedAliases() {
+  const db = await getDb();
+  return db.data.managedConfig?.modelAliases || [];
+}
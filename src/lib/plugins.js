@@ -0,0 +1,96 @@
+import {
+  registerPlugin,
+  clearPlugins,
+  getRegisteredPlugins,
+} from "open-sse/services/plugins.js";
+import { getDataDir } from "@/lib/localDb";
+import { pathToFileURL } from "node:url";
+import path from "node:path";
+import fs from "node:fs";
+
+const PLUGIN_FILE_REGEX = /\.(m?js)$/;
+
+// Use global so all Next.js route modules share one load
+if (!global._pluginLoader) {
+  global._pluginLoader = { loading: null, errors: [] };
+}
+const loader = global._pluginLoader;
+
+/**
+ * Directory scanned for middleware plugins: <DATA_DIR>/plugins
+ */
+export function getPluginsDir() {
+  const dataDir = getDataDir();
+  return dataDir ? path.join(dataDir, "plugins") : null;
+}
+
+/**
+ * (Re)load every plugin module in the plugins directory.
+ * Each file must default-export a plugin object (see open-sse/services/plugins.js).
+ * @returns {Promise<{ plugins: object[], errors: Array<{ file, error }> }>}
+ */
+export async function loadPlugins() {
+  clearPlugins();
+  const errors = [];
+  const dir = getPluginsDir();
+
+  if (dir && fs.existsSync(dir)) {
+    const files = fs
+      .readdirSync(dir)
+      .filter(file => PLUGIN_FILE_REGEX.test(file))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      try {
+        // Cache-bust with mtime so edited plugins are picked up on reload
+        const url = `${pathToFileURL(filePath).href}?v=${fs.statSync(filePath).mtimeMs}`;
+        const mod = await import(
+          /* webpackIgnore: true */ /* turbopackIgnore: true */ url
+        );
+        const error = registerPlugin(mod.default || mod.plugin);
+        if (error) errors.push({ file, error });
+      } catch (error) {
+        errors.push({ file, error: error.message });
+      }
+    }
+  }
+
+  for (const { file, error } of errors) {
+    console.log(`[Plugins] Failed to load ${file}: ${error}`);
+  }
+  loader.errors = errors;
+  return { plugins: getRegisteredPlugins(), errors };
+}
+
+/**
+ * Load plugins once per process (first request)
+ */
+export function ensurePluginsLoaded() {
+  if (!loader.loading) {
+    loader.loading = loadPlugins().catch(error => {
+      console.log("[Plugins] Failed to load plugins:", error.message);
+    });
+  }
+  return loader.loading;
+}
+
+/**
+ * Reload plugins from disk (dashboard)
+ */
+export async function reloadPlugins() {
+  loader.loading = loadPlugins();
+  return loader.loading;
+}
+
+/**
+ * Loaded plugins and load errors for display
+ */
+export async function getPluginStatus() {
+  await ensurePluginsLoaded();
+  return {
+    dir: getPluginsDir(),
+    plugins: getRegisteredPlugins(),
+    errors: loader.errors,
+  };
+}
@@ -1,7 +1,32 @@
-import { JSONFile } from "lowdb/node";
+import {
+  DEFAULT_USAGE_RETENTION_DAYS,
+  createUsageSchema,
+  insertUsageEntries,
+  pruneUsageHistory,
+  migrateJsonHistory,
+  getRecentUsageEntries,
+  queryUsageEntries,
+  getUsageTotals,
+  getUsageByMinute,
+  getRollupSeries,
+  getApiKeyUsage,
+  getDailyRollupRows,
+  startOfHour,
+  startOfLocalDay,
+} from "./usageHistoryDb.js";
+import {
+  buildUsageReport,
+  formatUsageReportCsv,
+  getPeriodLabel,
+} from "./usageReport.js";
+import {
+  recordUsageMetrics,
+  trackActiveRequest,
+} from "open-sse/services/metrics.js";
+import { calculateUsageCost } from "open-sse/utils/usageCost.js";
+import { getRequestDetailsDb } from "./requestDetailsDb.js";
 import { EventEmitter } from "events";
 import { fileURLToPath } from "url";
-import { Low } from "lowdb";
 import path from "path";
 import os from "os";
 import fs from "fs";
@@ -69,8 +94,13 @@ function getUserDataDir() {
 
 // Data file path - stored in user home directory
 const DATA_DIR = getUserDataDir();
-const DB_FILE = isCloud || !DATA_DIR ? null : path.join(DATA_DIR, "usage.json");
+// Legacy JSON history, imported into SQLite once (see getHistoryDb)
+const LEGACY_JSON_FILE =
+  isCloud || !DATA_DIR ? null : path.join(DATA_DIR, "usage.json");
 const LOG_FILE = isCloud || !DATA_DIR ? null : path.join(DATA_DIR, "log.txt");
+// Monthly usage summaries (see writeMonthlyUsageSummary)
+const REPORTS_DIR =
+  isCloud || !DATA_DIR ? null : path.join(DATA_DIR, "reports");
 
 // Ensure data directory exists
 if (!isCloud && DATA_DIR && fs && typeof fs.existsSync === "function") {
@@ -84,13 +114,22 @@ if (!isCloud && DATA_DIR && fs && typeof fs.existsSync === "function") {
   }
 }
 
-// Default data structure
-const defaultData = {
-  history: [],
-};
-
-// Singleton instance
-let dbInstance = null;
+// Raw history pruning runs at most once per interval
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Use global to share history state across Next.js route modules:
+// - historyReady: schema + JSON migration done once per process
+// - version: bumped on every write, invalidates apiKeyConsumption
+// - apiKeyConsumption: cached per-key totals, rebuilt after a write or when the day changes
+if (!global._usageHistoryState) {
+  global._usageHistoryState = {
+    historyReady: false,
+    lastPruneAt: 0,
+    version: 0,
+    apiKeyConsumption: { version: -1, dayKey: "", byKey: {} },
+  };
+}
+const historyState = global._usageHistoryState;
 
 // Use global to share pending state across Next.js route modules
 if (!global._pendingRequests) {
@@ -148,6 +187,8 @@ export function trackPendingRequest(
     );
   }
 
+  trackActiveRequest(provider, model, connectionId, started);
+
   // Track error provider (auto-clears after 10s)
   if (!started && error && provider) {
     lastErrorProvider.provider = provider.toLowerCase();
@@ -197,13 +238,22 @@ export async function getActiveRequests() {
     }
   }
 
-  // Get recent requests from history (re-read to get latest)
-  const db = await getUsageDb();
-  await db.read();
-  const history = db.data.history || [];
+  const db = await getHistoryDb();
+  const recentRequests = db ? buildRecentRequests(db) : [];
+
+  // Error provider (auto-clear after 10s)
+  const errorProvider =
+    Date.now() - lastErrorProvider.ts < 10000 ? lastErrorProvider.provider : "";
+
+  return { activeRequests, recentRequests, errorProvider };
+}
+
+/**
+ * Build the 20 most recent requests list (deduplicated within a minute)
+ */
+function buildRecentRequests(db) {
   const seen = new Set();
-  const recentRequests = [...history]
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+  return getRecentUsageEntries(db, 100)
     .map(e => {
       const t = e.tokens || {};
       const promptTokens = t.prompt_tokens || t.input_tokens || 0;
@@ -218,7 +268,7 @@ export async function getActiveRequests() {
       };
     })
     .filter(e => {
-      if (e.promptTokens === 0 && e.completionTokens === 0) return false;
+      // Deduplicate: same model+provider+tokens within same minute
       const minute = e.timestamp ? e.timestamp.slice(0, 16) : "";
       const key = `${e.model}|${e.provider}|${e.promptTokens}|${e.completionTokens}|${minute}`;
       if (seen.has(key)) return false;
@@ -226,56 +276,64 @@ export async function getActiveRequests() {
       return true;
     })
     .slice(0, 20);
-
-  // Error provider (auto-clear after 10s)
-  const errorProvider =
-    Date.now() - lastErrorProvider.ts < 10000 ? lastErrorProvider.provider : "";
-
-  return { activeRequests, recentRequests, errorProvider };
 }
 
 /**
- * Get usage database instance (singleton)
+ * Get raw history retention in days from settings (0 = keep forever).
+ * Falls back to USAGE_RETENTION_DAYS, then the default.
  */
-export async function getUsageDb() {
-  if (isCloud) {
-    // Return in-memory DB for Workers
-    if (!dbInstance) {
-      dbInstance = new Low(
-        { read: async () => {}, write: async () => {} },
-        defaultData,
-      );
-      dbInstance.data = defaultData;
+async function getUsageRetentionDays() {
+  try {
+    const { getSettings } = await import("@/lib/localDb");
+    const settings = await getSettings();
+    if (Number.isInteger(settings.usageRetentionDays)) {
+      return settings.usageRetentionDays;
     }
-    return dbInstance;
+  } catch {}
+  const envDays = parseInt(process.env.USAGE_RETENTION_DAYS, 10);
+  return Number.isInteger(envDays) ? envDays : DEFAULT_USAGE_RETENTION_DAYS;
+}
+
+/**
+ * Prune raw history past the retention (throttled)
+ */
+async function pruneHistoryIfDue(db) {
+  if (Date.now() - historyState.lastPruneAt < PRUNE_INTERVAL_MS) return;
+  historyState.lastPruneAt = Date.now();
+  const deleted = pruneUsageHistory(db, await getUsageRetentionDays());
+  if (deleted > 0) {
+    console.log(`[usageDb] Pruned ${deleted} raw usage entries`);
   }
+}
 
-  if (!dbInstance) {
-    const adapter = new JSONFile(DB_FILE);
-    dbInstance = new Low(adapter, defaultData);
+/**
+ * Get the SQLite usage history store (shared with request details).
+ * Creates the tables and imports the legacy usage.json on first use.
+ * @returns {Promise<import("better-sqlite3").Database|null>} null in Workers / build
+ */
+async function getHistoryDb() {
+  if (isCloud) return null;
 
-    // Try to read DB with error recovery for corrupt JSON
+  const db = await getRequestDetailsDb();
+  // Workers / build phase get a no-op stub without transactions
+  if (typeof db.transaction !== "function") return null;
+
+  if (!historyState.historyReady) {
+    createUsageSchema(db);
     try {
-      await dbInstance.read();
-    } catch (error) {
-      if (error instanceof SyntaxError) {
-        console.warn(
-          "[DB] Corrupt Usage JSON detected, resetting to defaults...",
+      const imported = migrateJsonHistory(db, LEGACY_JSON_FILE);
+      if (imported > 0) {
+        console.log(
+          `[usageDb] Migrated ${imported} usage entries from usage.json to SQLite`,
         );
-        dbInstance.data = defaultData;
-        await dbInstance.write();
-      } else {
-        throw error;
       }
+    } catch (error) {
+      console.error("[usageDb] Failed to migrate usage.json:", error);
     }
-
-    // Initialize with default data if empty
-    if (!dbInstance.data) {
-      dbInstance.data = defaultData;
-      await dbInstance.write();
-    }
+    historyState.historyReady = true;
+    await pruneHistoryIfDue(db);
   }
-  return dbInstance;
+  return db;
 }
 
 /**
@@ -286,30 +344,20 @@ export async function saveRequestUsage(entry) {
   if (isCloud) return; // Skip saving in Workers
 
   try {
-    const db = await getUsageDb();
-
     // Add timestamp if not present
     if (!entry.timestamp) {
       entry.timestamp = new Date().toISOString();
     }
 
-    // Ensure history array exists
-    if (!Array.isArray(db.data.history)) {
-      db.data.history = [];
-    }
+    entry.cost = await calculateCost(entry.provider, entry.model, entry.tokens);
+    recordUsageMetrics(entry);
 
-    const entryCost = await calculateCost(
-      entry.provider,
-      entry.model,
-      entry.tokens,
-    );
-    entry.cost = entryCost;
-    db.data.history.push(entry);
-
-    // Optional: Limit history size if needed in future
-    // if (db.data.history.length > 10000) db.data.history.shift();
+    const db = await getHistoryDb();
+    if (!db) return;
+    insertUsageEntries(db, [entry]);
+    historyState.version++;
 
-    await db.write();
+    await pruneHistoryIfDue(db);
     statsEmitter.emit("update");
   } catch (error) {
     console.error("Failed to save usage stats:", error);
@@ -317,33 +365,13 @@ export async function saveRequestUsage(entry) {
 }
 
 /**
- * Get usage history
- * @param {object} filter - Filter criteria
+ * Get raw usage history (within the retention window)
+ * @param {object} filter - Filter criteria { provider, model, apiKey, startDate, endDate }
  */
 export async function getUsageHistory(filter = {}) {
-  const db = await getUsageDb();
-  let history = db.data.history || [];
-
-  // Apply filters
-  if (filter.provider) {
-    history = history.filter(h => h.provider === filter.provider);
-  }
-
-  if (filter.model) {
-    history = history.filter(h => h.model === filter.model);
-  }
-
-  if (filter.startDate) {
-    const start = new Date(filter.startDate).getTime();
-    history = history.filter(h => new Date(h.timestamp).getTime() >= start);
-  }
-
-  if (filter.endDate) {
-    const end = new Date(filter.endDate).getTime();
-    history = history.filter(h => new Date(h.timestamp).getTime() <= end);
-  }
-
-  return history;
+  const db = await getHistoryDb();
+  if (!db) return [];
+  return queryUsageEntries(db, filter);
 }
 
 /**
@@ -455,56 +483,49 @@ async function calculateCost(provider, model, tokens) {
   try {
     const { getPricingForModel } = await import("@/lib/localDb.js");
     const pricing = await getPricingForModel(provider, model);
-
-    if (!pricing) return 0;
-
-    let cost = 0;
-
-    // Input tokens (non-cached)
-    const inputTokens = tokens.prompt_tokens || tokens.input_tokens || 0;
-    const cachedTokens =
-      tokens.cached_tokens || tokens.cache_read_input_tokens || 0;
-    const nonCachedInput = Math.max(0, inputTokens - cachedTokens);
-
-    cost += nonCachedInput * (pricing.input / 1000000);
-
-    // Cached tokens
-    if (cachedTokens > 0) {
-      const cachedRate = pricing.cached || pricing.input; // Fallback to input rate
-      cost += cachedTokens * (cachedRate / 1000000);
-    }
-
-    // Output tokens
-    const outputTokens = tokens.completion_tokens || tokens.output_tokens || 0;
-    cost += outputTokens * (pricing.output / 1000000);
-
-    // Reasoning tokens
-    const reasoningTokens = tokens.reasoning_tokens || 0;
-    if (reasoningTokens > 0) {
-      const reasoningRate = pricing.reasoning || pricing.output; // Fallback to output rate
-      cost += reasoningTokens * (reasoningRate / 1000000);
-    }
-
-    // Cache creation tokens
-    const cacheCreationTokens = tokens.cache_creation_input_tokens || 0;
-    if (cacheCreationTokens > 0) {
-      const cacheCreationRate = pricing.cache_creation || pricing.input; // Fallback to input rate
-      cost += cacheCreationTokens * (cacheCreationRate / 1000000);
-    }
-
-    return cost;
+    return calculateUsageCost(tokens, pricing);
   } catch (error) {
     console.error("Error calculating cost:", error);
     return 0;
   }
 }
 
+/**
+ * Get token and cost consumption per API key for the current day / month
+ * (server local time). Used for per-key quota checks and the keys page.
+ * @returns {Promise<Object<string, { tokensToday: number, costThisMonth: number }>>}
+ */
+export async function getApiKeyConsumption() {
+  const db = await getHistoryDb();
+  if (!db) return {};
+
+  const now = new Date();
+  const dayKey = now.toDateString();
+  const cached = historyState.apiKeyConsumption;
+  if (cached.version === historyState.version && cached.dayKey === dayKey) {
+    return cached.byKey;
+  }
+
+  const byKey = getApiKeyUsage(
+    db,
+    startOfLocalDay(now.getTime()),
+    new Date(now.getFullYear(), now.getMonth(), 1).getTime(),
+  );
+  historyState.apiKeyConsumption = {
+    version: historyState.version,
+    dayKey,
+    byKey,
+  };
+  return byKey;
+}
+
 /**
  * Get aggregated usage stats
  */
 export async function getUsageStats() {
-  const db = await getUsageDb();
-  const history = db.data.history || [];
+  const db = await getHistoryDb();
+  // Totals come from the daily rollup, one row per provider/model/account/key/endpoint
+  const totals = db ? getUsageTotals(db) : [];
 
   // Import localDb to get provider connection names and API keys
   const { getProviderConnections, getApiKeys } =
@@ -547,35 +568,10 @@ export async function getUsageStats() {
   }
 
   // 20 most recent requests from history (always in sync with SSE emit)
-  const seen = new Set();
-  const recentRequests = [...history]
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-    .map(e => {
-      const t = e.tokens || {};
-      const promptTokens = t.prompt_tokens || t.input_tokens || 0;
-      const completionTokens = t.completion_tokens || t.output_tokens || 0;
-      return {
-        timestamp: e.timestamp,
-        model: e.model,
-        provider: e.provider || "",
-        promptTokens,
-        completionTokens,
-        status: e.status || "ok",
-      };
-    })
-    .filter(e => {
-      if (e.promptTokens === 0 && e.completionTokens === 0) return false;
-      // Deduplicate: same model+provider+tokens within same minute
-      const minute = e.timestamp ? e.timestamp.slice(0, 16) : "";
-      const key = `${e.model}|${e.provider}|${e.promptTokens}|${e.completionTokens}|${minute}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    })
-    .slice(0, 20);
+  const recentRequests = db ? buildRecentRequests(db) : [];
 
   const stats = {
-    totalRequests: history.length,
+    totalRequests: 0,
     totalPromptTokens: 0,
     totalCompletionTokens: 0,
     totalCost: 0,
@@ -642,33 +638,26 @@ export async function getUsageStats() {
     stats.last10Minutes.push(bucketMap[bucketKey]);
   }
 
-  for (const entry of history) {
-    const promptTokens = entry.tokens?.prompt_tokens || 0;
-    const completionTokens = entry.tokens?.completion_tokens || 0;
-    const entryTime = new Date(entry.timestamp);
+  if (db) {
+    for (const row of getUsageByMinute(db, tenMinutesAgo.getTime())) {
+      const bucket = bucketMap[row.minute];
+      if (!bucket) continue;
+      bucket.requests += row.requests;
+      bucket.promptTokens += row.promptTokens;
+      bucket.completionTokens += row.completionTokens;
+      bucket.cost += row.cost;
+    }
+  }
 
-    // Calculate cost for this entry
-    const entryCost = await calculateCost(
-      entry.provider,
-      entry.model,
-      entry.tokens,
-    );
+  for (const entry of totals) {
+    const { requests, promptTokens, completionTokens } = entry;
+    const entryCost = entry.cost;
 
+    stats.totalRequests += requests;
     stats.totalPromptTokens += promptTokens;
     stats.totalCompletionTokens += completionTokens;
     stats.totalCost += entryCost;
 
-    // Last 10 minutes aggregation - floor entry time to its minute
-    if (entryTime >= tenMinutesAgo && entryTime <= now) {
-      const entryMinuteStart = Math.floor(entryTime.getTime() / 60000) * 60000;
-      if (bucketMap[entryMinuteStart]) {
-        bucketMap[entryMinuteStart].requests++;
-        bucketMap[entryMinuteStart].promptTokens += promptTokens;
-        bucketMap[entryMinuteStart].completionTokens += completionTokens;
-        bucketMap[entryMinuteStart].cost += entryCost;
-      }
-    }
-
     // By Provider
     if (!stats.byProvider[entry.provider]) {
       stats.byProvider[entry.provider] = {
@@ -678,7 +667,7 @@ export async function getUsageStats() {
         cost: 0,
       };
     }
-    stats.byProvider[entry.provider].requests++;
+    stats.byProvider[entry.provider].requests += requests;
     stats.byProvider[entry.provider].promptTokens += promptTokens;
     stats.byProvider[entry.provider].completionTokens += completionTokens;
     stats.byProvider[entry.provider].cost += entryCost;
@@ -697,17 +686,15 @@ export async function getUsageStats() {
         cost: 0,
         rawModel: entry.model,
         provider: entry.provider,
-        lastUsed: entry.timestamp,
+        lastUsed: entry.lastUsed,
       };
     }
-    stats.byModel[modelKey].requests++;
+    stats.byModel[modelKey].requests += requests;
     stats.byModel[modelKey].promptTokens += promptTokens;
     stats.byModel[modelKey].completionTokens += completionTokens;
     stats.byModel[modelKey].cost += entryCost;
-    if (
-      new Date(entry.timestamp) > new Date(stats.byModel[modelKey].lastUsed)
-    ) {
-      stats.byModel[modelKey].lastUsed = entry.timestamp;
+    if (new Date(entry.lastUsed) > new Date(stats.byModel[modelKey].lastUsed)) {
+      stats.byModel[modelKey].lastUsed = entry.lastUsed;
     }
 
     // By Account (model + oauth account)
@@ -728,18 +715,18 @@ export async function getUsageStats() {
           provider: entry.provider,
           connectionId: entry.connectionId,
           accountName: accountName,
-          lastUsed: entry.timestamp,
+          lastUsed: entry.lastUsed,
         };
       }
-      stats.byAccount[accountKey].requests++;
+      stats.byAccount[accountKey].requests += requests;
       stats.byAccount[accountKey].promptTokens += promptTokens;
       stats.byAccount[accountKey].completionTokens += completionTokens;
       stats.byAccount[accountKey].cost += entryCost;
       if (
-        new Date(entry.timestamp) >
+        new Date(entry.lastUsed) >
         new Date(stats.byAccount[accountKey].lastUsed)
       ) {
-        stats.byAccount[accountKey].lastUsed = entry.timestamp;
+        stats.byAccount[accountKey].lastUsed = entry.lastUsed;
       }
     }
 
@@ -763,16 +750,16 @@ export async function getUsageStats() {
           apiKey: entry.apiKey,
           keyName: keyName,
           apiKeyKey: apiKeyKey,
-          lastUsed: entry.timestamp,
+          lastUsed: entry.lastUsed,
         };
       }
       const apiKeyEntry = stats.byApiKey[apiKeyModelKey];
-      apiKeyEntry.requests++;
+      apiKeyEntry.requests += requests;
       apiKeyEntry.promptTokens += promptTokens;
       apiKeyEntry.completionTokens += completionTokens;
       apiKeyEntry.cost += entryCost;
-      if (new Date(entry.timestamp) > new Date(apiKeyEntry.lastUsed)) {
-        apiKeyEntry.lastUsed = entry.timestamp;
+      if (new Date(entry.lastUsed) > new Date(apiKeyEntry.lastUsed)) {
+        apiKeyEntry.lastUsed = entry.lastUsed;
       }
     } else {
       const apiKeyKey = "local-no-key";
@@ -789,16 +776,16 @@ export async function getUsageStats() {
           apiKey: null,
           keyName: keyName,
           apiKeyKey: apiKeyKey,
-          lastUsed: entry.timestamp,
+          lastUsed: entry.lastUsed,
         };
       }
       const apiKeyEntry = stats.byApiKey[apiKeyKey];
-      apiKeyEntry.requests++;
+      apiKeyEntry.requests += requests;
       apiKeyEntry.promptTokens += promptTokens;
       apiKeyEntry.completionTokens += completionTokens;
       apiKeyEntry.cost += entryCost;
-      if (new Date(entry.timestamp) > new Date(apiKeyEntry.lastUsed)) {
-        apiKeyEntry.lastUsed = entry.timestamp;
+      if (new Date(entry.lastUsed) > new Date(apiKeyEntry.lastUsed)) {
+        apiKeyEntry.lastUsed = entry.lastUsed;
       }
     }
 
@@ -815,16 +802,16 @@ export async function getUsageStats() {
         endpoint: endpoint,
         rawModel: entry.model,
         provider: entry.provider,
-        lastUsed: entry.timestamp,
+        lastUsed: entry.lastUsed,
       };
     }
     const endpointEntry = stats.byEndpoint[endpointModelKey];
-    endpointEntry.requests++;
+    endpointEntry.requests += requests;
     endpointEntry.promptTokens += promptTokens;
     endpointEntry.completionTokens += completionTokens;
     endpointEntry.cost += entryCost;
-    if (new Date(entry.timestamp) > new Date(endpointEntry.lastUsed)) {
-      endpointEntry.lastUsed = entry.timestamp;
+    if (new Date(entry.lastUsed) > new Date(endpointEntry.lastUsed)) {
+      endpointEntry.lastUsed = entry.lastUsed;
     }
   }
 
@@ -832,44 +819,35 @@ export async function getUsageStats() {
 }
 
 /**
- * Get time-series chart data for a given period
+ * Get time-series chart data for a given period.
+ * 24h reads hourly rollups, longer periods read daily rollups (local days).
  * @param {"24h"|"7d"|"30d"|"60d"} period
  * @returns {Promise<Array<{label: string, tokens: number, cost: number}>>}
  */
 export async function getChartData(period = "7d") {
-  const db = await getUsageDb();
-  const history = db.data.history || [];
+  const db = await getHistoryDb();
   const now = Date.now();
 
-  let bucketCount, bucketMs, labelFn;
+  let granularity, bucketStarts, labelFn;
   if (period === "24h") {
-    bucketCount = 24;
-    bucketMs = 3600000; // 1 hour
+    granularity = "hourly";
+    const currentHour = startOfHour(now);
+    bucketStarts = Array.from(
+      { length: 24 },
+      (_, i) => currentHour - (23 - i) * 3600000,
+    );
     labelFn = ts =>
       new Date(ts).toLocaleTimeString("en-US", {
         hour: "2-digit",
         minute: "2-digit",
         hour12: false,
       });
-  } else if (period === "7d") {
-    bucketCount = 7;
-    bucketMs = 86400000;
-    labelFn = ts =>
-      new Date(ts).toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
-  } else if (period === "30d") {
-    bucketCount = 30;
-    bucketMs = 86400000;
-    labelFn = ts =>
-      new Date(ts).toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
   } else {
-    bucketCount = 60;
-    bucketMs = 86400000;
+    granularity = "daily";
+    const dayCount = period === "7d" ? 7 : period === "30d" ? 30 : 60;
+    bucketStarts = Array.from({ length: dayCount }, (_, i) =>
+      startOfLocalDay(now, i - (dayCount - 1)),
+    );
     labelFn = ts =>
       new Date(ts).toLocaleDateString("en-US", {
         month: "short",
@@ -877,27 +855,105 @@ export async function getChartData(period = "7d") {
       });
   }
 
-  const startTime = now - bucketCount * bucketMs;
-  const buckets = Array.from({ length: bucketCount }, (_, i) => {
-    const ts = startTime + i * bucketMs;
-    return { label: labelFn(ts), tokens: 0, cost: 0, _ts: ts };
-  });
+  const series = db
+    ? getRollupSeries(db, granularity, bucketStarts[0])
+    : new Map();
 
-  for (const entry of history) {
-    const entryTime = new Date(entry.timestamp).getTime();
-    if (entryTime < startTime || entryTime > now) continue;
-    const idx = Math.min(
-      Math.floor((entryTime - startTime) / bucketMs),
-      bucketCount - 1,
-    );
-    const promptTokens = entry.tokens?.prompt_tokens || 0;
-    const completionTokens = entry.tokens?.completion_tokens || 0;
-    buckets[idx].tokens += promptTokens + completionTokens;
-    // Use pre-stored cost if available, else 0
-    buckets[idx].cost += entry.cost || 0;
+  return bucketStarts.map(ts => ({
+    label: labelFn(ts),
+    tokens: series.get(ts)?.tokens || 0,
+    cost: series.get(ts)?.cost || 0,
+  }));
+}
+
+/**
+ * Build a usage report from the daily rollups (kept forever, so any range works)
+ * @param {object} options
+ * @param {number} options.from - First local day (ms, inclusive)
+ * @param {number} options.to - Last local day (ms, inclusive)
+ * @param {"day"|"week"|"month"} [options.period]
+ * @param {string[]} [options.groupBy] - provider / model / connection / apiKey
+ * @param {string} [options.provider]
+ * @param {string} [options.model]
+ * @param {string} [options.connectionId]
+ * @param {string} [options.apiKeyId] - API key id (not the raw key)
+ */
+export async function getUsageReport({
+  from,
+  to,
+  period = "day",
+  groupBy = [],
+  provider,
+  model,
+  connectionId,
+  apiKeyId,
+}) {
+  const { getProviderConnections, getApiKeys } =
+    await import("@/lib/localDb.js");
+  const [connections, keys] = await Promise.all([
+    getProviderConnections(),
+    getApiKeys(),
+  ]);
+
+  const connectionNames = {};
+  for (const connection of connections) {
+    connectionNames[connection.id] =
+      connection.name || connection.email || connection.id;
   }
+  const apiKeys = {};
+  for (const key of keys) apiKeys[key.key] = { id: key.id, name: key.name };
+
+  const options = { period, groupBy, connectionNames, apiKeys };
+  const apiKey = apiKeyId ? keys.find(k => k.id === apiKeyId)?.key : null;
+  const db = await getHistoryDb();
+  if (!db || (apiKeyId && !apiKey)) return buildUsageReport([], options);
+
+  const rows = getDailyRollupRows(db, {
+    from,
+    to,
+    provider,
+    model,
+    connectionId,
+    apiKey,
+  });
+  return buildUsageReport(rows, options);
+}
+
+/**
+ * Write last month's usage summary (per API key / provider / model) to
+ * ${DATA_DIR}/reports/usage-summary-YYYY-MM.{json,csv}, unless it exists
+ * @param {number} [now]
+ * @returns {Promise<string|null>} JSON file path when a summary was written
+ */
+export async function writeMonthlyUsageSummary(now = Date.now()) {
+  if (!REPORTS_DIR) return null;
+
+  const today = new Date(now);
+  const from = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+  const to = new Date(today.getFullYear(), today.getMonth(), 0);
+  const month = getPeriodLabel(from.getTime(), "month");
+  const baseName = path.join(REPORTS_DIR, `usage-summary-${month}`);
+  if (fs.existsSync(`${baseName}.json`)) return null;
+
+  const report = await getUsageReport({
+    from: from.getTime(),
+    to: to.getTime(),
+    period: "month",
+    groupBy: ["apiKey", "provider", "model"],
+  });
 
-  return buckets.map(({ label, tokens, cost }) => ({ label, tokens, cost }));
+  fs.mkdirSync(REPORTS_DIR, { recursive: true });
+  fs.writeFileSync(`${baseName}.csv`, formatUsageReportCsv(report));
+  fs.writeFileSync(
+    `${baseName}.json`,
+    JSON.stringify(
+      { month, generatedAt: new Date(now).toISOString(), ...report },
+      null,
+      2,
+    ),
+  );
+  console.log(`[usageDb] Wrote monthly usage summary for ${month}`);
+  return `${baseName}.json`;
 }
 
 // Re-export request details functions from new SQLite-based module
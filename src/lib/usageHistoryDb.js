@@ -0,0 +1,451 @@
+/**
+ * SQLite storage for usage history.
+ *
+ * Tables live in the request details database (request-details.sqlite):
+ *
+ * - usage_history:        one raw row per request, pruned after the
+ *                         configured retention (settings.usageRetentionDays)
+ * - usage_rollup_hourly:  per-hour aggregates for the 24h chart
+ * - usage_rollup_daily:   per-day aggregates (server local day), kept forever;
+ *                         totals, per-key quotas and 7d-60d charts read these
+ *
+ * Rollups are updated in the same transaction as the raw insert, so pruning
+ * raw rows never changes totals. All functions take a better-sqlite3 handle.
+ */
+
+import fs from "fs";
+
+export const DEFAULT_USAGE_RETENTION_DAYS = 90;
+
+/** Hourly rollups only back the 24h chart */
+const HOURLY_ROLLUP_RETENTION_DAYS = 30;
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+const JSON_MIGRATION_KEY = "json_history_migrated";
+
+const ROLLUP_COLUMNS = `
+  bucket INTEGER NOT NULL,
+  provider TEXT NOT NULL DEFAULT '',
+  model TEXT NOT NULL DEFAULT '',
+  connection_id TEXT NOT NULL DEFAULT '',
+  api_key TEXT NOT NULL DEFAULT '',
+  endpoint TEXT NOT NULL DEFAULT '',
+  requests INTEGER NOT NULL DEFAULT 0,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  cost REAL NOT NULL DEFAULT 0,
+  last_used INTEGER NOT NULL,
+  PRIMARY KEY (bucket, provider, model, connection_id, api_key, endpoint)
+`;
+
+/**
+ * Create usage tables and indexes (idempotent)
+ * @param {import("better-sqlite3").Database} db
+ */
+export function createUsageSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS usage_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp INTEGER NOT NULL,
+      provider TEXT NOT NULL DEFAULT '',
+      model TEXT NOT NULL DEFAULT '',
+      connection_id TEXT NOT NULL DEFAULT '',
+      api_key TEXT NOT NULL DEFAULT '',
+      endpoint TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT '',
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      cost REAL NOT NULL DEFAULT 0,
+      tokens TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_usage_history_timestamp
+      ON usage_history(timestamp DESC);
+
+    CREATE TABLE IF NOT EXISTS usage_rollup_hourly (${ROLLUP_COLUMNS});
+    CREATE TABLE IF NOT EXISTS usage_rollup_daily (${ROLLUP_COLUMNS});
+    CREATE INDEX IF NOT EXISTS idx_usage_rollup_daily_api_key
+      ON usage_rollup_daily(api_key, bucket);
+
+    CREATE TABLE IF NOT EXISTS usage_meta (
+      key TEXT PRIMARY KEY,
+      value TEXT
+    );
+  `);
+}
+
+/**
+ * Start of the hour containing a timestamp
+ * @param {number} ms
+ */
+export function startOfHour(ms) {
+  return Math.floor(ms / HOUR_MS) * HOUR_MS;
+}
+
+/**
+ * Start of the server-local day containing a timestamp, shifted by N days
+ * @param {number} ms
+ * @param {number} [offsetDays]
+ */
+export function startOfLocalDay(ms, offsetDays = 0) {
+  const date = new Date(ms);
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() + offsetDays,
+  ).getTime();
+}
+
+/**
+ * Normalize a usage entry ({ provider, model, tokens, ... }) to a table row
+ * @param {object} entry
+ */
+function toUsageRow(entry) {
+  const tokens = entry.tokens || {};
+  const time = new Date(entry.timestamp).getTime();
+  return {
+    timestamp: Number.isFinite(time) ? time : Date.now(),
+    provider: entry.provider || "",
+    model: entry.model || "",
+    connectionId: entry.connectionId || "",
+    apiKey: typeof entry.apiKey === "string" ? entry.apiKey : "",
+    endpoint: entry.endpoint || "",
+    status: entry.status || "",
+    promptTokens: tokens.prompt_tokens || tokens.input_tokens || 0,
+    completionTokens: tokens.completion_tokens || tokens.output_tokens || 0,
+    cost: entry.cost || 0,
+    tokens: JSON.stringify(tokens),
+  };
+}
+
+/**
+ * Convert a usage_history row back to the usage entry shape
+ */
+function fromUsageRow(row) {
+  let tokens = {};
+  try {
+    tokens = JSON.parse(row.tokens || "{}");
+  } catch {}
+  return {
+    timestamp: new Date(row.timestamp).toISOString(),
+    provider: row.provider,
+    model: row.model,
+    connectionId: row.connection_id || undefined,
+    apiKey: row.api_key || undefined,
+    endpoint: row.endpoint || undefined,
+    status: row.status || undefined,
+    tokens,
+    cost: row.cost,
+  };
+}
+
+function rollupUpsertSql(table) {
+  return `
+    INSERT INTO ${table}
+      (bucket, provider, model, connection_id, api_key, endpoint,
+       requests, prompt_tokens, completion_tokens, cost, last_used)
+    VALUES
+      (@bucket, @provider, @model, @connectionId, @apiKey, @endpoint,
+       1, @promptTokens, @completionTokens, @cost, @timestamp)
+    ON CONFLICT (bucket, provider, model, connection_id, api_key, endpoint)
+    DO UPDATE SET
+      requests = requests + 1,
+      prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+      completion_tokens = completion_tokens + excluded.completion_tokens,
+      cost = cost + excluded.cost,
+      last_used = MAX(last_used, excluded.last_used)
+  `;
+}
+
+/**
+ * Insert usage entries and update the hourly / daily rollups in one transaction
+ * @param {import("better-sqlite3").Database} db
+ * @param {object[]} entries
+ */
+export function insertUsageEntries(db, entries) {
+  const insertRaw = db.prepare(`
+    INSERT INTO usage_history
+      (timestamp, provider, model, connection_id, api_key, endpoint, status,
+       prompt_tokens, completion_tokens, cost, tokens)
+    VALUES
+      (@timestamp, @provider, @model, @connectionId, @apiKey, @endpoint,
+       @status, @promptTokens, @completionTokens, @cost, @tokens)
+  `);
+  const upsertHourly = db.prepare(rollupUpsertSql("usage_rollup_hourly"));
+  const upsertDaily = db.prepare(rollupUpsertSql("usage_rollup_daily"));
+
+  const transaction = db.transaction(items => {
+    for (const entry of items) {
+      const row = toUsageRow(entry);
+      insertRaw.run(row);
+      upsertHourly.run({ ...row, bucket: startOfHour(row.timestamp) });
+      upsertDaily.run({ ...row, bucket: startOfLocalDay(row.timestamp) });
+    }
+  });
+  transaction(entries);
+}
+
+/**
+ * Delete raw rows older than the retention and expired hourly rollups.
+ * Daily rollups are never pruned.
+ * @param {import("better-sqlite3").Database} db
+ * @param {number} retentionDays - 0 keeps raw rows forever
+ * @param {number} [now]
+ * @returns {number} Deleted raw rows
+ */
+export function pruneUsageHistory(db, retentionDays, now = Date.now()) {
+  db.prepare("DELETE FROM usage_rollup_hourly WHERE bucket < ?").run(
+    startOfHour(now) - HOURLY_ROLLUP_RETENTION_DAYS * DAY_MS,
+  );
+  if (!(retentionDays > 0)) return 0;
+  return db
+    .prepare("DELETE FROM usage_history WHERE timestamp < ?")
+    .run(now - retentionDays * DAY_MS).changes;
+}
+
+/**
+ * One-time import of the legacy usage.json history. The file is renamed to
+ * usage.json.migrated afterwards and a marker row prevents a second import.
+ * @param {import("better-sqlite3").Database} db
+ * @param {string|null} jsonFile - Path to usage.json
+ * @returns {number} Imported entries
+ */
+export function migrateJsonHistory(db, jsonFile) {
+  const done = db
+    .prepare("SELECT value FROM usage_meta WHERE key = ?")
+    .get(JSON_MIGRATION_KEY);
+  if (done || !jsonFile || !fs.existsSync(jsonFile)) return 0;
+
+  const data = JSON.parse(fs.readFileSync(jsonFile, "utf-8"));
+  const history = Array.isArray(data?.history) ? data.history : [];
+
+  db.transaction(() => {
+    insertUsageEntries(db, history);
+    db.prepare("INSERT INTO usage_meta (key, value) VALUES (?, ?)").run(
+      JSON_MIGRATION_KEY,
+      new Date().toISOString(),
+    );
+  })();
+
+  try {
+    fs.renameSync(jsonFile, `${jsonFile}.migrated`);
+  } catch (error) {
+    console.error(
+      "[usageHistoryDb] Failed to rename migrated usage.json:",
+      error.message,
+    );
+  }
+  return history.length;
+}
+
+/**
+ * Most recent raw entries that used tokens, newest first
+ * @param {import("better-sqlite3").Database} db
+ * @param {number} limit
+ */
+export function getRecentUsageEntries(db, limit) {
+  return db
+    .prepare(
+      `SELECT * FROM usage_history
+       WHERE prompt_tokens > 0 OR completion_tokens > 0
+       ORDER BY timestamp DESC, id DESC
+       LIMIT ?`,
+    )
+    .all(limit)
+    .map(fromUsageRow);
+}
+
+/**
+ * Raw usage entries with optional filters, oldest first
+ * @param {import("better-sqlite3").Database} db
+ * @param {object} [filter] - { provider, model, apiKey, startDate, endDate }
+ */
+export function queryUsageEntries(db, filter = {}) {
+  let query = "SELECT * FROM usage_history WHERE 1=1";
+  const params = [];
+
+  if (filter.provider) {
+    query += " AND provider = ?";
+    params.push(filter.provider);
+  }
+  if (filter.model) {
+    query += " AND model = ?";
+    params.push(filter.model);
+  }
+  if (filter.apiKey) {
+    query += " AND api_key = ?";
+    params.push(filter.apiKey);
+  }
+  if (filter.startDate) {
+    query += " AND timestamp >= ?";
+    params.push(new Date(filter.startDate).getTime());
+  }
+  if (filter.endDate) {
+    query += " AND timestamp <= ?";
+    params.push(new Date(filter.endDate).getTime());
+  }
+
+  query += " ORDER BY timestamp ASC, id ASC";
+  return db
+    .prepare(query)
+    .all(...params)
+    .map(fromUsageRow);
+}
+
+/**
+ * All-time totals per provider / model / account / key / endpoint,
+ * read from the daily rollup
+ * @param {import("better-sqlite3").Database} db
+ * @returns {Array<{ provider, model, connectionId, apiKey, endpoint, requests, promptTokens, completionTokens, cost, lastUsed }>}
+ */
+export function getUsageTotals(db) {
+  return db
+    .prepare(
+      `SELECT provider, model, connection_id, api_key, endpoint,
+              SUM(requests) AS requests,
+              SUM(prompt_tokens) AS prompt_tokens,
+              SUM(completion_tokens) AS completion_tokens,
+              SUM(cost) AS cost,
+              MAX(last_used) AS last_used
+       FROM usage_rollup_daily
+       GROUP BY provider, model, connection_id, api_key, endpoint`,
+    )
+    .all()
+    .map(row => ({
+      provider: row.provider,
+      model: row.model,
+      connectionId: row.connection_id,
+      apiKey: row.api_key,
+      endpoint: row.endpoint,
+      requests: row.requests,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      cost: row.cost,
+      lastUsed: new Date(row.last_used).toISOString(),
+    }));
+}
+
+/**
+ * Per-minute request / token / cost counts from raw rows
+ * @param {import("better-sqlite3").Database} db
+ * @param {number} since - Start timestamp (ms)
+ * @returns {Array<{ minute, requests, promptTokens, completionTokens, cost }>}
+ */
+export function getUsageByMinute(db, since) {
+  return db
+    .prepare(
+      `SELECT (timestamp / 60000) * 60000 AS minute,
+              COUNT(*) AS requests,
+              SUM(prompt_tokens) AS promptTokens,
+              SUM(completion_tokens) AS completionTokens,
+              SUM(cost) AS cost
+       FROM usage_history
+       WHERE timestamp >= ?
+       GROUP BY minute`,
+    )
+    .all(since);
+}
+
+/**
+ * Token / cost totals per rollup bucket
+ * @param {import("better-sqlite3").Database} db
+ * @param {"hourly"|"daily"} granularity
+ * @param {number} since - First bucket (ms)
+ * @returns {Map<number, { tokens: number, cost: number }>} Keyed by bucket start
+ */
+export function getRollupSeries(db, granularity, since) {
+  const table =
+    granularity === "hourly" ? "usage_rollup_hourly" : "usage_rollup_daily";
+  const rows = db
+    .prepare(
+      `SELECT bucket,
+              SUM(prompt_tokens + completion_tokens) AS tokens,
+              SUM(cost) AS cost
+       FROM ${table}
+       WHERE bucket >= ?
+       GROUP BY bucket`,
+    )
+    .all(since);
+  return new Map(
+    rows.map(row => [row.bucket, { tokens: row.tokens, cost: row.cost }]),
+  );
+}
+
+/**
+ * Tokens used today and cost this month per API key
+ * @param {import("better-sqlite3").Database} db
+ * @param {number} startOfDay - Local day start (ms)
+ * @param {number} startOfMonth - Local month start (ms)
+ * @returns {Object<string, { tokensToday: number, costThisMonth: number }>}
+ */
+export function getApiKeyUsage(db, startOfDay, startOfMonth) {
+  const rows = db
+    .prepare(
+      `SELECT api_key,
+              SUM(CASE WHEN bucket >= @startOfDay
+                       THEN prompt_tokens + completion_tokens ELSE 0 END)
+                AS tokens_today,
+              SUM(cost) AS cost_this_month
+       FROM usage_rollup_daily
+       WHERE api_key != '' AND bucket >= @startOfMonth
+       GROUP BY api_key`,
+    )
+    .all({ startOfDay, startOfMonth });
+
+  const byKey = {};
+  for (const row of rows) {
+    byKey[row.api_key] = {
+      tokensToday: row.tokens_today,
+      costThisMonth: row.cost_this_month,
+    };
+  }
+  return byKey;
+}
+
+/**
+ * Daily rollup rows with optional filters, oldest first
+ * @param {import("better-sqlite3").Database} db
+ * @param {object} [filter] - { from, to (local day starts, ms, inclusive), provider, model, connectionId, apiKey }
+ * @returns {Array<{ bucket, provider, model, connectionId, apiKey, requests, promptTokens, completionTokens, cost }>}
+ */
+export function getDailyRollupRows(db, filter = {}) {
+  let query = "SELECT * FROM usage_rollup_daily WHERE 1=1";
+  const params = [];
+
+  if (filter.from !== undefined) {
+    query += " AND bucket >= ?";
+    params.push(filter.from);
+  }
+  if (filter.to !== undefined) {
+    query += " AND bucket <= ?";
+    params.push(filter.to);
+  }
+  for (const [key, column] of [
+    ["provider", "provider"],
+    ["model", "model"],
+    ["connectionId", "connection_id"],
+    ["apiKey", "api_key"],
+  ]) {
+    if (filter[key]) {
+      query += ` AND ${column} = ?`;
+      params.push(filter[key]);
+    }
+  }
+
+  query += " ORDER BY bucket ASC";
+  return db
+    .prepare(query)
+    .all(...params)
+    .map(row => ({
+      bucket: row.bucket,
+      provider: row.provider,
+      model: row.model,
+      connectionId: row.connection_id,
+      apiKey: row.api_key,
+      requests: row.requests,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      cost: row.cost,
+    }));
+}
@@ -0,0 +1,192 @@
+/**
+ * Usage reports for export: daily rollup rows grouped by day / week / month
+ * and optionally by provider, model, connection and API key.
+ *
+ * Periods are server-local like the daily rollups. Weeks start on Monday and
+ * are labelled with their ISO week ("2026-W42"). API keys are reported by
+ * name and id, never the raw key.
+ */
+
+export const REPORT_PERIODS = ["day", "week", "month"];
+export const REPORT_GROUP_FIELDS = [
+  "provider",
+  "model",
+  "connection",
+  "apiKey",
+];
+
+const DAY_MS = 86400000;
+
+const pad = n => String(n).padStart(2, "0");
+
+/**
+ * Parse a YYYY-MM-DD date as the start of that local day
+ * @param {string} value
+ * @returns {number|null} Timestamp (ms) or null if invalid
+ */
+export function parseLocalDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return date.getTime();
+}
+
+/**
+ * Format a timestamp as a local YYYY-MM-DD date
+ * @param {number} ms
+ */
+export function formatLocalDate(ms) {
+  const date = new Date(ms);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Start (local midnight) of the day / week / month containing a timestamp
+ * @param {number} ms
+ * @param {"day"|"week"|"month"} period
+ */
+export function getPeriodStart(ms, period) {
+  const date = new Date(ms);
+  if (period === "month") {
+    return new Date(date.getFullYear(), date.getMonth(), 1).getTime();
+  }
+  const offset = period === "week" ? (date.getDay() + 6) % 7 : 0;
+  return new Date(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() - offset,
+  ).getTime();
+}
+
+/**
+ * Label of a period: 2026-10-19, 2026-W42 or 2026-10
+ * @param {number} start - Period start from getPeriodStart
+ * @param {"day"|"week"|"month"} period
+ */
+export function getPeriodLabel(start, period) {
+  const date = new Date(start);
+  if (period === "month") {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+  }
+  if (period === "week") {
+    // ISO week: the week belongs to the year of its Thursday
+    const thursday = new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate() + 3,
+    );
+    const yearStart = new Date(thursday.getFullYear(), 0, 1);
+    const dayOfYear = Math.round((thursday - yearStart) / DAY_MS);
+    return `${thursday.getFullYear()}-W${pad(Math.floor(dayOfYear / 7) + 1)}`;
+  }
+  return formatLocalDate(start);
+}
+
+/**
+ * Group daily rollup rows into report rows, sorted by period then group
+ * @param {Array<{ bucket, provider, model, connectionId, apiKey, requests, promptTokens, completionTokens, cost }>} rows - From getDailyRollupRows
+ * @param {object} options
+ * @param {"day"|"week"|"month"} [options.period]
+ * @param {string[]} [options.groupBy] - Subset of REPORT_GROUP_FIELDS
+ * @param {Object<string, string>} [options.connectionNames] - Connection id → name
+ * @param {Object<string, { id: string, name: string }>} [options.apiKeys] - Raw key → key info
+ * @returns {{ period: string, groupBy: string[], rows: object[], totals: object }}
+ */
+export function buildUsageReport(
+  rows,
+  { period = "day", groupBy = [], connectionNames = {}, apiKeys = {} } = {},
+) {
+  const groups = new Map();
+  const totals = emptyTotals();
+
+  for (const row of rows) {
+    const periodStart = getPeriodStart(row.bucket, period);
+    const group = {
+      period: getPeriodLabel(periodStart, period),
+      periodStart: formatLocalDate(periodStart),
+    };
+    if (groupBy.includes("provider")) group.provider = row.provider;
+    if (groupBy.includes("model")) group.model = row.model;
+    if (groupBy.includes("connection")) {
+      group.connection = row.connectionId
+        ? connectionNames[row.connectionId] || row.connectionId
+        : "";
+      group.connectionId = row.connectionId;
+    }
+    if (groupBy.includes("apiKey")) {
+      const info = row.apiKey ? apiKeys[row.apiKey] : null;
+      group.apiKey = row.apiKey ? info?.name || "(deleted key)" : "";
+      group.apiKeyId = info?.id || "";
+    }
+
+    const key = JSON.stringify(group);
+    if (!groups.has(key)) groups.set(key, { ...group, ...emptyTotals() });
+    addTotals(groups.get(key), row);
+    addTotals(totals, row);
+  }
+
+  // Oldest period first, then by group labels
+  const sorted = [...groups.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([, group]) => group);
+  return { period, groupBy, rows: sorted, totals };
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    cost: 0,
+  };
+}
+
+function addTotals(target, row) {
+  target.requests += row.requests || 0;
+  target.promptTokens += row.promptTokens || 0;
+  target.completionTokens += row.completionTokens || 0;
+  target.totalTokens += (row.promptTokens || 0) + (row.completionTokens || 0);
+  target.cost += row.cost || 0;
+}
+
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV (one line per row, cost in USD with 6 decimals)
+ * @param {{ groupBy: string[], rows: object[] }} report - From buildUsageReport
+ * @returns {string}
+ */
+export function formatUsageReportCsv(report) {
+  const columns = ["period", "periodStart"];
+  if (report.groupBy.includes("provider")) columns.push("provider");
+  if (report.groupBy.includes("model")) columns.push("model");
+  if (report.groupBy.includes("connection")) {
+    columns.push("connection", "connectionId");
+  }
+  if (report.groupBy.includes("apiKey")) columns.push("apiKey", "apiKeyId");
+  columns.push(
+    "requests",
+    "promptTokens",
+    "completionTokens",
+    "totalTokens",
+    "costUsd",
+  );
+
+  const lines = [columns.join(",")];
+  for (const row of report.rows) {
+    lines.push(
+      columns
+        .map(column =>
+          csvCell(column === "costUsd" ? row.cost.toFixed(6) : row[column]),
+        )
+        .join(","),
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
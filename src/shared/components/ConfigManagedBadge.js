@@ -0,0 +1,19 @@
+"use client";
+
+import Badge from "./Badge";
+
+/** Marks entities declared in the config file (read-only in the dashboard) */
+export default function ConfigManagedBadge({ entity }) {
+  if (entity?.managedBy !== "config") return null;
+  return (
+    <span title="Declared in the config file - edit the file to change it">
+      <Badge
+        variant="info"
+        size="sm"
+        icon="lock"
+      >
+        Config file
+      </Badge>
+    </span>
+  );
+}
@@ -1,6 +1,7 @@
 "use client";
 
 import { OAUTH_PROVIDERS, APIKEY_PROVIDERS } from "@/shared/constants/config";
+import { useCurrentUser } from "@/shared/hooks/useCurrentUser";
 import { usePathname, useRouter } from "next/navigation";
 import { ThemeToggle } from "@/shared/components";
 import PropTypes from "prop-types";
@@ -43,6 +44,12 @@ const getPageInfo = pathname => {
       description: "Model combos with fallback",
       breadcrumbs: [],
     };
+  if (pathname.includes("/routing"))
+    return {
+      title: "Routing",
+      description: "Pick models from request content",
+      breadcrumbs: [],
+    };
   if (pathname.includes("/usage"))
     return {
       title: "Usage & Analytics",
@@ -62,6 +69,12 @@ const getPageInfo = pathname => {
       description: "API endpoint configuration",
       breadcrumbs: [],
     };
+  if (pathname.includes("/audit"))
+    return {
+      title: "Audit Log",
+      description: "Configuration change history",
+      breadcrumbs: [],
+    };
   if (pathname.includes("/profile"))
     return {
       title: "Settings",
@@ -81,6 +94,7 @@ export default function Header({ onMenuClick, showMenuButton = true }) {
   const pathname = usePathname();
   const router = useRouter();
   const { title, description, breadcrumbs } = getPageInfo(pathname);
+  const { user } = useCurrentUser();
 
   const handleLogout = async () => {
     try {
@@ -166,6 +180,17 @@ export default function Header({ onMenuClick, showMenuButton = true }) {
 
       {/* Right actions */}
       <div className="flex items-center gap-3 ml-auto">
+        {/* Signed-in user */}
+        {user?.id && (
+          <span className="hidden sm:flex items-center gap-1 text-sm text-text-muted">
+            <span className="material-symbols-outlined text-[18px]">
+              person
+            </span>
+            {user.username}
+            <span className="text-xs opacity-70">({user.role})</span>
+          </span>
+        )}
+
         {/* Theme toggle */}
         <ThemeToggle />
 
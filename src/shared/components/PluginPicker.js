@@ -0,0 +1,87 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import PropTypes from "prop-types";
+
+/**
+ * Toggle list of loaded middleware plugins (GET /api/plugins).
+ * Hidden when no plugins are installed and none are selected.
+ */
+export default function PluginPicker({ value = [], onChange, label }) {
+  const [plugins, setPlugins] = useState(null);
+
+  useEffect(() => {
+    const fetchPlugins = async () => {
+      try {
+        const res = await fetch("/api/plugins");
+        if (res.ok) setPlugins((await res.json()).plugins || []);
+      } catch (error) {
+        console.log("Error fetching plugins:", error);
+      }
+    };
+    fetchPlugins();
+  }, []);
+
+  if (!plugins || (plugins.length === 0 && value.length === 0)) return null;
+
+  const loadedNames = plugins.map(p => p.name);
+  const missing = value.filter(name => !loadedNames.includes(name));
+
+  const toggle = name =>
+    onChange(
+      value.includes(name) ? value.filter(n => n !== name) : [...value, name],
+    );
+
+  return (
+    <div>
+      <label className="text-sm font-medium mb-1.5 block">
+        {label || "Plugins"}
+      </label>
+      <div className="flex flex-wrap gap-1.5">
+        {plugins.map(plugin => {
+          const enabled = value.includes(plugin.name);
+          return (
+            <button
+              key={plugin.name}
+              type="button"
+              onClick={() => toggle(plugin.name)}
+              title={plugin.description || plugin.hooks.join(", ")}
+              className={`flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium border transition-colors ${
+                enabled
+                  ? "bg-primary/10 border-primary/40 text-primary"
+                  : "bg-bg border-border text-text-muted hover:text-text-main"
+              }`}
+            >
+              <span className="material-symbols-outlined text-[14px]">
+                {enabled ? "check_box" : "check_box_outline_blank"}
+              </span>
+              {plugin.name}
+            </button>
+          );
+        })}
+        {missing.map(name => (
+          <button
+            key={name}
+            type="button"
+            onClick={() => toggle(name)}
+            title="Plugin not loaded - click to remove"
+            className="flex items-center gap-1 px-2 py-1 rounded-md text-xs font-medium border border-red-500/40 text-red-500"
+          >
+            <span className="material-symbols-outlined text-[14px]">error</span>
+            {name}
+          </button>
+        ))}
+      </div>
+      <p className="text-[10px] text-text-muted mt-0.5">
+        Run in this order on every request; loaded from the plugins folder in
+        the data directory
+      </p>
+    </div>
+  );
+}
+
+PluginPicker.propTypes = {
+  value: PropTypes.arrayOf(PropTypes.string),
+  onChange: PropTypes.func.isRequired,
+  label: PropTypes.string,
+};
@@ -98,6 +98,10 @@ export default function PricingModal({ isOpen, onClose, onSave }) {
     "cached",
     "reasoning",
     "cache_creation",
+    "audio_minute",
+    "characters",
+    "image",
+    "search",
   ];
 
   return (
@@ -128,7 +132,11 @@ export default function PricingModal({ isOpen, onClose, onSave }) {
                 <p className="text-text-muted">
                   All rates are in <strong>dollars per million tokens</strong>{" "}
                   ($/1M tokens). Example: Input rate of 2.50 means $2.50 per
-                  1,000,000 input tokens.
+                  1,000,000 input tokens. Audio models use dollars per minute of
+                  audio (Audio / min) and per million characters of synthesized
+                  speech (Chars); image models use dollars per generated image
+                  (Image); rerank models billed per search use dollars per
+                  search unit (Search).
                 </p>
               </div>
 
@@ -155,6 +163,12 @@ export default function PricingModal({ isOpen, onClose, onSave }) {
                             <th className="px-3 py-2 text-right">
                               Cache Creation
                             </th>
+                            <th className="px-3 py-2 text-right">
+                              Audio / min
+                            </th>
+                            <th className="px-3 py-2 text-right">Chars</th>
+                            <th className="px-3 py-2 text-right">Image</th>
+                            <th className="px-3 py-2 text-right">Search</th>
                           </tr>
                         </thead>
                         <tbody className="divide-y divide-border">
@@ -1,5 +1,6 @@
 "use client";
 
+import { useCurrentUser } from "@/shared/hooks/useCurrentUser";
 import { APP_CONFIG } from "@/shared/constants/config";
 import { usePathname } from "next/navigation";
 import { useState, useEffect } from "react";
@@ -9,22 +10,75 @@ import PropTypes from "prop-types";
 import Button from "./Button";
 import Link from "next/link";
 
+// permission: role permission needed to see the page (see lib/dashboardAuth)
 const navItems = [
-  { href: "/dashboard/endpoint", label: "Endpoint", icon: "api" },
-  { href: "/dashboard/providers", label: "Providers", icon: "dns" },
-  { href: "/dashboard/combos", label: "Combos", icon: "layers" },
-  { href: "/dashboard/models", label: "Models", icon: "auto_awesome" },
-  { href: "/dashboard/usage", label: "Usage", icon: "bar_chart" },
-  { href: "/dashboard/cli-tools", label: "CLI Tools", icon: "terminal" },
+  {
+    href: "/dashboard/endpoint",
+    label: "Endpoint",
+    icon: "api",
+    permission: "config:read",
+  },
+  {
+    href: "/dashboard/providers",
+    label: "Providers",
+    icon: "dns",
+    permission: "providers:read",
+  },
+  {
+    href: "/dashboard/combos",
+    label: "Combos",
+    icon: "layers",
+    permission: "config:read",
+  },
+  {
+    href: "/dashboard/routing",
+    label: "Routing",
+    icon: "alt_route",
+    permission: "config:read",
+  },
+  {
+    href: "/dashboard/models",
+    label: "Models",
+    icon: "auto_awesome",
+    permission: "config:read",
+  },
+  {
+    href: "/dashboard/usage",
+    label: "Usage",
+    icon: "bar_chart",
+    permission: "usage:read",
+  },
+  {
+    href: "/dashboard/cli-tools",
+    label: "CLI Tools",
+    icon: "terminal",
+    permission: "system:manage",
+  },
 ];
 
 // Debug items (only show when ENABLE_REQUEST_LOGS=true)
 const debugItems = [
-  { href: "/dashboard/translator", label: "Translator", icon: "translate" },
+  {
+    href: "/dashboard/translator",
+    label: "Translator",
+    icon: "translate",
+    permission: "system:manage",
+  },
 ];
 
 const systemItems = [
-  { href: "/dashboard/profile", label: "Settings", icon: "settings" },
+  {
+    href: "/dashboard/audit",
+    label: "Audit Log",
+    icon: "history",
+    permission: "audit:read",
+  },
+  {
+    href: "/dashboard/profile",
+    label: "Settings",
+    icon: "settings",
+    permission: "dashboard:read",
+  },
 ];
 
 export default function Sidebar({ onClose }) {
@@ -33,6 +87,10 @@ export default function Sidebar({ onClose }) {
   const [isShuttingDown, setIsShuttingDown] = useState(false);
   const [isDisconnected, setIsDisconnected] = useState(false);
   const [showDebug, setShowDebug] = useState(false);
+  const { can } = useCurrentUser();
+  const visibleNavItems = navItems.filter(item => can(item.permission));
+  const visibleDebugItems = debugItems.filter(item => can(item.permission));
+  const visibleSystemItems = systemItems.filter(item => can(item.permission));
 
   // Check if debug mode is enabled
   useEffect(() => {
@@ -97,7 +155,7 @@ export default function Sidebar({ onClose }) {
 
         {/* Navigation */}
         <nav className="flex-1 px-4 py-2 space-y-1 overflow-y-auto custom-scrollbar">
-          {navItems.map(item => (
+          {visibleNavItems.map(item => (
             <Link
               key={item.href}
               href={item.href}
@@ -129,7 +187,7 @@ export default function Sidebar({ onClose }) {
               <p className="px-4 text-xs font-semibold text-text-muted/60 uppercase tracking-wider mb-2">
                 Debug
               </p>
-              {debugItems.map(item => (
+              {visibleDebugItems.map(item => (
                 <Link
                   key={item.href}
                   href={item.href}
@@ -162,7 +220,7 @@ export default function Sidebar({ onClose }) {
             <p className="px-4 text-xs font-semibold text-text-muted/60 uppercase tracking-wider mb-2">
               System
             </p>
-            {systemItems.map(item => (
+            {visibleSystemItems.map(item => (
               <Link
                 key={item.href}
                 href={item.href}
@@ -208,15 +266,17 @@ export default function Sidebar({ onClose }) {
           </div>
 
           {/* Shutdown button */}
-          <Button
-            variant="outline"
-            fullWidth
-            icon="power_settings_new"
-            onClick={() => setShowShutdownModal(true)}
-            className="text-red-500 border-red-200 hover:bg-red-50 hover:border-red-300"
-          >
-            Shutdown
-          </Button>
+          {can("system:manage") && (
+            <Button
+              variant="outline"
+              fullWidth
+              icon="power_settings_new"
+              onClick={() => setShowShutdownModal(true)}
+              className="text-red-500 border-red-200 hover:bg-red-50 hover:border-red-300"
+            >
+              Shutdown
+            </Button>
+          )}
         </div>
       </aside>
 
@@ -29,6 +29,8 @@ export { default as KiroOAuthWrapper } from "./KiroOAuthWrapper";
 export { default as KiroSocialOAuthModal } from "./KiroSocialOAuthModal";
 export { default as CursorAuthModal } from "./CursorAuthModal";
 export { default as SegmentedControl } from "./SegmentedControl";
+export { default as PluginPicker } from "./PluginPicker";
+export { default as ConfigManagedBadge } from "./ConfigManagedBadge";
 
 // Layouts
 export * from "./layouts";
@@ -47,6 +47,8 @@ export const PROVIDER_ENDPOINTS = {
   cline: "https://api.cline.bot/api/v1/chat/completions",
   cloudflare:
     "https://api.cloudflare.com/client/v4/accounts/{ACCOUNT_ID}/ai/v1/chat/completions",
+  bedrock:
+    "https://bedrock-runtime.{REGION}.amazonaws.com/model/{MODEL}/converse",
 };
 
 // Re-export from providers.js for backward compatibility
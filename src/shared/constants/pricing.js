@@ -1,5 +1,7 @@
 // Default pricing rates for AI models
-// All rates are in dollars per million tokens ($/1M tokens)
+// All rates are in dollars per million tokens ($/1M tokens), except audio and images:
+// audio_minute is $/minute of audio, characters is $/1M characters, image is $/image,
+// search is $/rerank search unit
 // Based on user-provided pricing for Antigravity models and industry standards for others
 
 export const DEFAULT_PRICING = {
@@ -615,6 +617,49 @@ export const DEFAULT_PRICING = {
       reasoning: 18.0,
       cache_creation: 3.0,
     },
+    // Audio models
+    "whisper-1": { audio_minute: 0.006 },
+    "gpt-4o-transcribe": { audio_minute: 0.006 },
+    "gpt-4o-mini-transcribe": { audio_minute: 0.003 },
+    "tts-1": { characters: 15.0 },
+    "tts-1-hd": { characters: 30.0 },
+    // Image models
+    "gpt-image-1": { image: 0.042 },
+    "dall-e-3": { image: 0.04 },
+  },
+
+  // Deepgram
+  deepgram: {
+    "nova-3": { audio_minute: 0.0043 },
+    "nova-2": { audio_minute: 0.0043 },
+    "aura-2": { characters: 30.0 },
+    aura: { characters: 15.0 },
+  },
+
+  // AssemblyAI
+  assemblyai: {
+    universal: { audio_minute: 0.0025 },
+    "slam-1": { audio_minute: 0.0045 },
+    best: { audio_minute: 0.0062 },
+    nano: { audio_minute: 0.002 },
+  },
+
+  // Cohere
+  cohere: {
+    "rerank-v3.5": { search: 0.002 },
+    "rerank-english-v3.0": { search: 0.002 },
+    "rerank-multilingual-v3.0": { search: 0.002 },
+  },
+
+  // Together
+  together: {
+    "Salesforce/Llama-Rank-V1": { input: 0.1 },
+    "mixedbread-ai/Mxbai-Rerank-Large-V2": { input: 0.1 },
+  },
+
+  // NanoBanana
+  nanobanana: {
+    "nano-banana": { image: 0.02 },
   },
 
   // Anthropic
@@ -672,6 +717,10 @@ export const DEFAULT_PRICING = {
       reasoning: 1.875,
       cache_creation: 0.15,
     },
+    // Image models
+    "gemini-2.5-flash-image": { image: 0.039 },
+    "imagen-4.0-generate-001": { image: 0.04 },
+    "imagen-4.0-fast-generate-001": { image: 0.02 },
   },
 
   // OpenRouter
@@ -745,6 +794,60 @@ export const DEFAULT_PRICING = {
       cache_creation: 0.5,
     },
   },
+
+  // AWS Bedrock (on-demand, us regions)
+  bedrock: {
+    "us.anthropic.claude-sonnet-4-5-20250929-v1:0": {
+      input: 3.0,
+      output: 15.0,
+      cached: 0.3,
+      reasoning: 15.0,
+      cache_creation: 3.75,
+    },
+    "us.anthropic.claude-haiku-4-5-20251001-v1:0": {
+      input: 1.0,
+      output: 5.0,
+      cached: 0.1,
+      reasoning: 5.0,
+      cache_creation: 1.25,
+    },
+    "us.anthropic.claude-opus-4-1-20250805-v1:0": {
+      input: 15.0,
+      output: 75.0,
+      cached: 1.5,
+      reasoning: 75.0,
+      cache_creation: 18.75,
+    },
+    "us.anthropic.claude-sonnet-4-20250514-v1:0": {
+      input: 3.0,
+      output: 15.0,
+      cached: 0.3,
+      reasoning: 15.0,
+      cache_creation: 3.75,
+    },
+    "us.amazon.nova-pro-v1:0": {
+      input: 0.8,
+      output: 3.2,
+      cached: 0.2,
+      reasoning: 3.2,
+    },
+    "us.amazon.nova-lite-v1:0": {
+      input: 0.06,
+      output: 0.24,
+      cached: 0.015,
+      reasoning: 0.24,
+    },
+    "us.meta.llama3-3-70b-instruct-v1:0": {
+      input: 0.72,
+      output: 0.72,
+      reasoning: 0.72,
+    },
+    "us.deepseek.r1-v1:0": {
+      input: 1.35,
+      output: 5.4,
+      reasoning: 5.4,
+    },
+  },
 };
 
 /**
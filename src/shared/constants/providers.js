@@ -363,6 +363,15 @@ export const APIKEY_PROVIDERS = {
     textIcon: "EZ",
     website: "https://ai.ezif.in",
   },
+  bedrock: {
+    id: "bedrock",
+    alias: "bedrock",
+    name: "AWS Bedrock",
+    icon: "cloud",
+    color: "#FF9900",
+    textIcon: "BR",
+    website: "https://aws.amazon.com/bedrock",
+  },
 };
 
 export const OPENAI_COMPATIBLE_PREFIX = "openai-compatible-";
@@ -1,2 +1,3 @@
 // Shared Hooks - Export all
 export { useTheme } from "./useTheme";
+export { useCurrentUser } from "./useCurrentUser";
@@ -0,0 +1,51 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+
+// Components mounting together share one in-flight /api/auth/me request
+let currentUserRequest = null;
+
+function fetchCurrentUser() {
+  if (!currentUserRequest) {
+    currentUserRequest = fetch("/api/auth/me")
+      .then(res => (res.ok ? res.json() : null))
+      .catch(() => null)
+      .finally(() => {
+        currentUserRequest = null;
+      });
+  }
+  return currentUserRequest;
+}
+
+/**
+ * Hook for the signed-in dashboard user and role permissions
+ * @returns {{ user: object|null, hasPassword: boolean, loading: boolean, can: (permission: string) => boolean }}
+ */
+export function useCurrentUser() {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let active = true;
+    fetchCurrentUser().then(result => {
+      if (!active) return;
+      setData(result);
+      setLoading(false);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  const can = useCallback(
+    permission => !!data?.permissions?.includes(permission),
+    [data],
+  );
+
+  return {
+    user: data?.user || null,
+    hasPassword: data?.hasPassword === true,
+    loading,
+    can,
+  };
+}
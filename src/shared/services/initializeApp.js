@@ -3,6 +3,8 @@ import {
   getSettings,
   updateSettings,
   getApiKeys,
+  getDataDir,
+  applyManagedConfig,
 } from "@/lib/localDb";
 import {
   killCloudflared,
@@ -16,6 +18,8 @@ import {
   initDbHooks,
 } from "@/mitm/manager";
 import { enableTunnel } from "@/lib/tunnel/tunnelManager";
+import { startConfigFileWatcher } from "@/lib/configFile";
+import { writeMonthlyUsageSummary } from "@/lib/usageDb";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
 import { existsSync } from "fs";
@@ -54,10 +58,12 @@ process.setMaxListeners(20);
 let signalHandlersRegistered = false;
 let watchdogInterval = null;
 let networkMonitorInterval = null;
+let usageReportInterval = null;
 let lastNetworkFingerprint = null;
 let lastWatchdogTick = Date.now();
 const WATCHDOG_INTERVAL_MS = 60000;
 const NETWORK_CHECK_INTERVAL_MS = 5000;
+const USAGE_REPORT_CHECK_INTERVAL_MS = 60 * 60 * 1000;
 
 /**
  * Initialize app on startup
@@ -65,11 +71,19 @@ const NETWORK_CHECK_INTERVAL_MS = 5000;
  * - Auto-reconnect tunnel if previously enabled
  * - Register shutdown handler to kill cloudflared
  * - Start watchdog to recover tunnel after sleep/wake
+ * - Write last month's usage summary once the month is over
+ * - Apply and watch the declarative config file (GitOps mode)
  */
 export async function initializeApp() {
   try {
     await cleanupProviderConnections();
 
+    // Config file entities must exist before the first request is routed
+    await startConfigFileWatcher({
+      dataDir: getDataDir(),
+      apply: applyManagedConfig,
+    });
+
     // Auto-reconnect tunnel if it was enabled before restart
     const settings = await getSettings();
     if (settings.tunnelEnabled && !isCloudflaredRunning()) {
@@ -102,6 +116,9 @@ export async function initializeApp() {
     // Network monitor: detect sleep/wake + network changes → restart tunnel
     startNetworkMonitor();
 
+    // Monthly usage summary file for finance reconciliation
+    startUsageReportScheduler();
+
     // Auto-start MITM if it was enabled before restart
     autoStartMitm();
   } catch (error) {
@@ -161,6 +178,23 @@ function startWatchdog() {
   if (watchdogInterval.unref) watchdogInterval.unref();
 }
 
+/**
+ * Write last month's usage summary on startup and re-check hourly, so a
+ * server that was down on the 1st still writes it
+ */
+function startUsageReportScheduler() {
+  if (usageReportInterval) return;
+
+  const run = () =>
+    writeMonthlyUsageSummary().catch(err => {
+      console.log("[UsageReport] Monthly summary failed:", err.message);
+    });
+  run();
+  usageReportInterval = setInterval(run, USAGE_REPORT_CHECK_INTERVAL_MS);
+
+  if (usageReportInterval.unref) usageReportInterval.unref();
+}
+
 /** Get network fingerprint from active interfaces (IPv4 only) */
 function getNetworkFingerprint() {
   const interfaces = os.networkInterfaces();
@@ -0,0 +1,292 @@
+import {
+  getProviderCredentials,
+  markAccountUnavailable,
+  clearAccountError,
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyQuota,
+  getApiKeyScope,
+} from "../services/auth.js";
+import {
+  AUDIO_TASKS,
+  TRANSCRIPTION_FORMATS,
+  SPEECH_FORMATS,
+  supportsAudioTask,
+  handleAudioCore,
+} from "open-sse/handlers/audioCore.js";
+import { errorResponse, unavailableResponse } from "open-sse/utils/error.js";
+import { checkAndRefreshToken } from "../services/tokenRefresh.js";
+import { isModelInScope } from "open-sse/services/apiKeyScope.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { getModelInfo } from "../services/model.js";
+import { getSettings } from "@/lib/localDb";
+import * as log from "../utils/logger.js";
+
+/**
+ * Read a multipart transcription / translation upload
+ * @returns {Promise<{ model, input }|{ error: string }>}
+ */
+async function readUploadInput(request) {
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return { error: "Expected a multipart/form-data body" };
+  }
+
+  const file = form.get("file");
+  if (!file || typeof file === "string") {
+    return { error: "Missing required field: file" };
+  }
+  const responseFormat = form.get("response_format") || "json";
+  if (!TRANSCRIPTION_FORMATS.includes(responseFormat)) {
+    return {
+      error: `response_format must be one of: ${TRANSCRIPTION_FORMATS.join(", ")}`,
+    };
+  }
+
+  return {
+    model: form.get("model"),
+    input: {
+      form,
+      file,
+      language: form.get("language") || null,
+      responseFormat,
+    },
+  };
+}
+
+/**
+ * Read a JSON speech request
+ * @returns {Promise<{ model, input }|{ error: string }>}
+ */
+async function readSpeechInput(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return { error: "Invalid JSON body" };
+  }
+
+  if (typeof body.input !== "string" || !body.input) {
+    return { error: "Missing required field: input" };
+  }
+  const responseFormat = body.response_format || "mp3";
+  if (!SPEECH_FORMATS.includes(responseFormat)) {
+    return {
+      error: `response_format must be one of: ${SPEECH_FORMATS.join(", ")}`,
+    };
+  }
+
+  return {
+    model: body.model,
+    input: {
+      body,
+      text: body.input,
+      voice: body.voice || null,
+      responseFormat,
+    },
+  };
+}
+
+/**
+ * Shared auth + account fallback for the audio endpoints (mirrors handleChat)
+ * @param {Request} request
+ * @param {string} task - AUDIO_TASKS value
+ */
+async function handleAudio(request, task) {
+  const url = new URL(request.url);
+  const parsed =
+    task === AUDIO_TASKS.SPEECH
+      ? await readSpeechInput(request)
+      : await readUploadInput(request);
+  if (parsed.error) {
+    log.warn("AUDIO", parsed.error);
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, parsed.error);
+  }
+
+  const { model: modelStr, input } = parsed;
+  log.request("POST", `${url.pathname} | ${modelStr}`);
+
+  const apiKey = extractApiKey(request);
+  if (apiKey) {
+    log.debug("AUTH", `API Key: ${log.maskKey(apiKey)}`);
+  } else {
+    log.debug("AUTH", "No API key provided (local mode)");
+  }
+
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+    }
+  }
+
+  const exceeded = await checkApiKeyQuota(apiKey);
+  if (exceeded) {
+    log.warn("AUTH", `API key over limit: ${exceeded.message}`, {
+      limit: exceeded.limit,
+    });
+    return unavailableResponse(
+      HTTP_STATUS.RATE_LIMITED,
+      exceeded.message,
+      exceeded.retryAfter,
+      exceeded.retryAfterHuman,
+    );
+  }
+
+  if (!modelStr) {
+    log.warn("AUDIO", "Missing model");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
+  }
+
+  const modelInfo = await getModelInfo(modelStr);
+  if (!modelInfo.provider) {
+    log.warn("AUDIO", "Invalid model format", { model: modelStr });
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
+  }
+
+  const { provider, model } = modelInfo;
+
+  const scope = await getApiKeyScope(apiKey);
+  if (!isModelInScope(scope, { provider, model })) {
+    log.warn("AUTH", `Model ${modelStr} not allowed for this API key`);
+    return errorResponse(
+      HTTP_STATUS.FORBIDDEN,
+      `Model ${modelStr} is not allowed for this API key`,
+    );
+  }
+
+  if (!supportsAudioTask(provider, task)) {
+    return errorResponse(
+      HTTP_STATUS.BAD_REQUEST,
+      `Provider '${provider}' does not support audio ${task}`,
+    );
+  }
+
+  if (modelStr !== `${provider}/${model}`) {
+    log.info("ROUTING", `${modelStr} → ${provider}/${model}`);
+  } else {
+    log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
+  }
+
+  let excludeConnectionId = null;
+  let lastError = null;
+  let lastStatus = null;
+
+  while (true) {
+    const credentials = await getProviderCredentials(
+      provider,
+      excludeConnectionId,
+      model,
+    );
+
+    // All accounts unavailable
+    if (!credentials || credentials.allRateLimited) {
+      if (credentials?.allRateLimited) {
+        const errorMsg = lastError || credentials.lastError || "Unavailable";
+        const status =
+          lastStatus ||
+          Number(credentials.lastErrorCode) ||
+          HTTP_STATUS.SERVICE_UNAVAILABLE;
+        log.warn(
+          "AUDIO",
+          `[${provider}/${model}] ${errorMsg} (${credentials.retryAfterHuman})`,
+        );
+        return unavailableResponse(
+          status,
+          `[${provider}/${model}] ${errorMsg}`,
+          credentials.retryAfter,
+          credentials.retryAfterHuman,
+        );
+      }
+      if (!excludeConnectionId) {
+        log.error("AUTH", `No credentials for provider: ${provider}`);
+        return errorResponse(
+          HTTP_STATUS.BAD_REQUEST,
+          `No credentials for provider: ${provider}`,
+        );
+      }
+      log.warn("AUDIO", "No more accounts available", { provider });
+      return errorResponse(
+        lastStatus || HTTP_STATUS.SERVICE_UNAVAILABLE,
+        lastError || "All accounts unavailable",
+      );
+    }
+
+    const accountId = credentials.connectionId.slice(0, 8);
+    log.info("AUTH", `Using ${provider} account: ${accountId}...`);
+
+    const refreshedCredentials = await checkAndRefreshToken(
+      provider,
+      credentials,
+    );
+
+    const result = await handleAudioCore({
+      task,
+      input,
+      modelInfo: { provider, model },
+      credentials: refreshedCredentials,
+      log,
+      connectionId: credentials.connectionId,
+      apiKey,
+      endpoint: url.pathname,
+      onRequestSuccess: async () => {
+        await clearAccountError(credentials.connectionId, credentials);
+      },
+    });
+
+    if (result.success) return result.response;
+
+    const { shouldFallback } = await markAccountUnavailable(
+      credentials.connectionId,
+      result.status,
+      result.error,
+      provider,
+      model,
+    );
+
+    if (shouldFallback) {
+      log.warn(
+        "AUTH",
+        `Account ${accountId}... unavailable (${result.status}), trying fallback`,
+      );
+      excludeConnectionId = credentials.connectionId;
+      lastError = result.error;
+      lastStatus = result.status;
+      continue;
+    }
+
+    return result.response;
+  }
+}
+
+/**
+ * POST /v1/audio/transcriptions
+ * @param {Request} request
+ */
+export async function handleAudioTranscription(request) {
+  return handleAudio(request, AUDIO_TASKS.TRANSCRIPTION);
+}
+
+/**
+ * POST /v1/audio/translations
+ * @param {Request} request
+ */
+export async function handleAudioTranslation(request) {
+  return handleAudio(request, AUDIO_TASKS.TRANSLATION);
+}
+
+/**
+ * POST /v1/audio/speech
+ * @param {Request} request
+ */
+export async function handleAudioSpeech(request) {
+  return handleAudio(request, AUDIO_TASKS.SPEECH);
+}
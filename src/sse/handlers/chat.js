@@ -4,19 +4,45 @@ import {
   clearAccountError,
   extractApiKey,
   isValidApiKey,
+  checkApiKeyQuota,
+  getApiKeyScope,
+  getApiKeyPlugins,
 } from "../services/auth.js";
+import {
+  resolvePlugins,
+  createPluginContext,
+  runRequestHooks,
+} from "open-sse/services/plugins.js";
+import {
+  getModelInfo,
+  getCombo,
+  getModelPricing,
+  isModelStrInScope,
+} from "../services/model.js";
 import {
   updateProviderCredentials,
   checkAndRefreshToken,
 } from "../services/tokenRefresh.js";
+import {
+  findRoutingRule,
+  getRequestFeatures,
+} from "open-sse/services/routingRules.js";
+import { resolveResponseCacheOptions } from "open-sse/services/responseCache.js";
+import { startTrace, startSpan, withSpan } from "open-sse/services/tracing.js";
+import { getRequiredContextTokens } from "open-sse/services/contextWindow.js";
+import { getSettings, getRoutingRules, getSyncedModels } from "@/lib/localDb";
 import { errorResponse, unavailableResponse } from "open-sse/utils/error.js";
+import { isContextLengthError } from "open-sse/services/accountFallback.js";
 import { getProjectIdForConnection } from "open-sse/services/projectId.js";
-import { getModelInfo, getComboModels } from "../services/model.js";
+import { getModelContextWindow } from "open-sse/config/providerModels.js";
+import { releaseProbe } from "open-sse/services/circuitBreaker.js";
+import { isComboInScope } from "open-sse/services/apiKeyScope.js";
 import { handleChatCore } from "open-sse/handlers/chatCore.js";
 import { handleComboChat } from "open-sse/services/combo.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
-import { getSettings } from "@/lib/localDb";
+import { ensurePluginsLoaded } from "@/lib/plugins";
 import * as log from "../utils/logger.js";
+import "open-sse/services/tiktoken.js"; // Exact token counts for context windows
 
 /**
  * Handle chat completion request
@@ -24,6 +50,25 @@ import * as log from "../utils/logger.js";
  * Format detection and translation handled by translator
  */
 export async function handleChat(request, clientRawRequest = null) {
+  // Root span of the request, nested in the caller's trace via traceparent
+  const traceSpan = startTrace("chat", {
+    traceparent: request.headers.get("traceparent"),
+    attributes: { "http.route": new URL(request.url).pathname },
+  });
+  try {
+    const response = await routeChat(request, clientRawRequest, traceSpan);
+    traceSpan?.setHttpStatus(response.status);
+    return response;
+  } catch (error) {
+    traceSpan?.setError(error);
+    throw error;
+  } finally {
+    // Deferred until a streaming response finishes (see startStreamSpan)
+    traceSpan?.end();
+  }
+}
+
+async function routeChat(request, clientRawRequest, traceSpan) {
   let body;
   try {
     body = await request.json();
@@ -44,7 +89,7 @@ export async function handleChat(request, clientRawRequest = null) {
 
   // Log request endpoint and model
   const url = new URL(request.url);
-  const modelStr = body.model;
+  let modelStr = body.model;
 
   // Count messages (support both messages[] and input[] formats)
   const msgCount = body.messages?.length || body.input?.length || 0;
@@ -79,36 +124,299 @@ export async function handleChat(request, clientRawRequest = null) {
     }
   }
 
+  // Enforce per-key quotas (requests/minute, tokens/day, monthly budget)
+  const exceeded = await checkApiKeyQuota(apiKey);
+  if (exceeded) {
+    log.warn("AUTH", `API key over limit: ${exceeded.message}`, {
+      limit: exceeded.limit,
+    });
+    return unavailableResponse(
+      HTTP_STATUS.RATE_LIMITED,
+      exceeded.message,
+      exceeded.retryAfter,
+      exceeded.retryAfterHuman,
+    );
+  }
+
   if (!modelStr) {
     log.warn("CHAT", "Missing model");
     return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
   }
+  traceSpan?.setAttribute("router.requested_model", modelStr);
+
+  // Prompt-based routing rules may redirect the request to another model
+  const routingRules = await getRoutingRules();
+  if (routingRules.length > 0) {
+    const rule = findRoutingRule(
+      routingRules,
+      getRequestFeatures(body, request.headers),
+    );
+    if (rule && rule.target !== modelStr) {
+      log.info("ROUTING", `Rule "${rule.name}": ${modelStr} → ${rule.target}`);
+      modelStr = rule.target;
+      body = { ...body, model: modelStr };
+      traceSpan?.setAttribute("router.routing_rule", rule.name);
+    }
+  }
+
+  const scope = await getApiKeyScope(apiKey);
+
+  // Opt-in response cache (skipped per request with x-cache-bypass header)
+  const responseCache = resolveResponseCacheOptions(
+    {
+      enabled: settings.responseCacheEnabled,
+      ttlSeconds: settings.responseCacheTtlSeconds,
+      maxEntries: settings.responseCacheMaxEntries,
+    },
+    request.headers,
+  );
+
+  // Summaries run with the caller's key: a summary model outside its scope
+  // falls back to dropping the oldest turns
+  let summaryModel = settings.contextSummaryModel || null;
+  if (summaryModel && !(await isModelStrInScope(summaryModel, scope))) {
+    log.warn(
+      "CONTEXT",
+      `Summary model ${summaryModel} not allowed for this API key, truncating instead`,
+    );
+    summaryModel = null;
+  }
+
+  // Context window handling: compaction strategy + optional summary model,
+  // windows from models.dev synced models before the family defaults
+  const contextWindow = {
+    strategy: settings.contextStrategy,
+    reserveTokens: settings.contextReserveTokens,
+    resolveWindow: await createContextWindowResolver(),
+    summarize: summaryModel
+      ? transcript =>
+          summarizeConversation(transcript, summaryModel, request, apiKey)
+      : undefined,
+  };
 
   // Check if model is a combo (has multiple models with fallback)
-  const comboModels = await getComboModels(modelStr);
-  if (comboModels) {
-    log.info("CHAT", `Combo "${modelStr}" with ${comboModels.length} models`);
-    return handleComboChat({
+  const combo = await getCombo(modelStr);
+  if (combo) {
+    if (!isComboInScope(scope, combo.name)) {
+      log.warn("AUTH", `Combo "${modelStr}" not allowed for this API key`);
+      return errorResponse(
+        HTTP_STATUS.FORBIDDEN,
+        `Combo "${modelStr}" is not allowed for this API key`,
+      );
+    }
+
+    // Skip combo models outside the key's scope
+    const models = [];
+    for (const m of combo.models) {
+      if (await isModelStrInScope(m, scope)) models.push(m);
+    }
+    if (models.length === 0) {
+      log.warn("AUTH", `No models of combo "${modelStr}" allowed for key`);
+      return errorResponse(
+        HTTP_STATUS.FORBIDDEN,
+        `No models of combo "${modelStr}" are allowed for this API key`,
+      );
+    }
+
+    const prepared = await applyRequestPlugins(
       body,
-      models: comboModels,
-      handleSingleModel: (b, m) =>
-        handleSingleModelChat(b, m, clientRawRequest, request, apiKey),
+      apiKey,
+      combo,
+      clientRawRequest,
+    );
+    if (prepared.response) return prepared.response;
+
+    // Go straight to models whose context window fits the request
+    const fitted = await filterModelsByContextWindow(
+      models,
+      prepared.body,
+      contextWindow,
+    );
+    if (fitted.skipped.length > 0) {
+      log.info(
+        "CONTEXT",
+        `Skipping ${fitted.skipped.join(", ")} (context window too small)`,
+      );
+    }
+
+    log.info(
+      "CHAT",
+      `Combo "${modelStr}" with ${fitted.models.length} models (${combo.strategy || "ordered"})`,
+    );
+    return handleComboChat({
+      body: prepared.body,
+      models: fitted.models,
+      combo: { ...combo, models: fitted.models },
+      getModelPricing,
+      // Each combo model (fallback attempt) is a sibling span under the root
+      handleSingleModel: (b, m, signal) =>
+        withSpan(
+          traceSpan,
+          "combo_model",
+          { "router.combo": combo.name, "router.model": m },
+          async span => {
+            const response = await handleSingleModelChat(
+              b,
+              m,
+              clientRawRequest,
+              request,
+              apiKey,
+              {
+                responseCache,
+                plugins: prepared.plugins,
+                pluginContext: { combo: combo.name },
+                contextWindow: {
+                  ...contextWindow,
+                  fallback: fitted.skipped.length > 0,
+                },
+                traceSpan: span,
+                signal,
+              },
+            );
+            span?.setHttpStatus(response.status);
+            return response;
+          },
+        ),
       log,
     });
   }
 
   // Single model request
-  return handleSingleModelChat(
+  if (!(await isModelStrInScope(modelStr, scope))) {
+    log.warn("AUTH", `Model ${modelStr} not allowed for this API key`);
+    return errorResponse(
+      HTTP_STATUS.FORBIDDEN,
+      `Model ${modelStr} is not allowed for this API key`,
+    );
+  }
+
+  const prepared = await applyRequestPlugins(
     body,
+    apiKey,
+    null,
+    clientRawRequest,
+  );
+  if (prepared.response) return prepared.response;
+
+  return handleSingleModelChat(
+    prepared.body,
     modelStr,
     clientRawRequest,
     request,
     apiKey,
+    { responseCache, plugins: prepared.plugins, contextWindow, traceSpan },
   );
 }
 
+/**
+ * Context window lookup backed by models.dev synced models (keyed by provider ID)
+ * @returns {Promise<function>} (providerId, modelId) => number|null
+ */
+async function createContextWindowResolver() {
+  const syncedModels = await getSyncedModels();
+  return (providerId, modelId) =>
+    syncedModels[providerId]?.find(m => m.id === modelId)?.contextWindow ||
+    null;
+}
+
+/**
+ * Drop combo models whose context window is too small for the request.
+ * When none fits, all are kept and compaction has to make room.
+ * @returns {Promise<{ models: string[], skipped: string[] }>}
+ */
+async function filterModelsByContextWindow(models, body, contextWindow) {
+  const required = getRequiredContextTokens(body, contextWindow.reserveTokens);
+  const fitting = [];
+  const skipped = [];
+  for (const modelStr of models) {
+    const { provider, model } = await getModelInfo(modelStr);
+    const windowTokens = getModelContextWindow(
+      provider,
+      model,
+      contextWindow.resolveWindow,
+    );
+    if (!windowTokens || required <= windowTokens) fitting.push(modelStr);
+    else skipped.push(modelStr);
+  }
+  if (fitting.length === 0) return { models, skipped: [] };
+  return { models: fitting, skipped };
+}
+
+const SUMMARY_PROMPT =
+  "Summarize the following conversation so it can replace the original messages. Keep decisions, facts, file names, code identifiers and open tasks. Be concise.";
+
+/** Transcript sent to the summary model is capped to its most recent part */
+const MAX_SUMMARY_INPUT_CHARS = 200000;
+
+/**
+ * Summarize dropped conversation turns with the configured summary model
+ * @returns {Promise<string>} Summary text
+ */
+async function summarizeConversation(
+  transcript,
+  summaryModel,
+  request,
+  apiKey,
+) {
+  const response = await handleSingleModelChat(
+    {
+      model: summaryModel,
+      stream: false,
+      messages: [
+        { role: "system", content: SUMMARY_PROMPT },
+        { role: "user", content: transcript.slice(-MAX_SUMMARY_INPUT_CHARS) },
+      ],
+    },
+    summaryModel,
+    null,
+    request,
+    apiKey,
+  );
+  if (!response.ok) {
+    throw new Error(`Summary model returned ${response.status}`);
+  }
+  const data = await response.json();
+  return data.choices?.[0]?.message?.content || "";
+}
+
+/**
+ * Resolve the middleware plugins enabled for the API key / combo and run
+ * their onRequest hooks once, before any model is tried
+ * @returns {Promise<{ body, plugins }|{ response: Response }>}
+ */
+async function applyRequestPlugins(body, apiKey, combo, clientRawRequest) {
+  await ensurePluginsLoaded();
+  const plugins = resolvePlugins(
+    await getApiKeyPlugins(apiKey),
+    combo?.plugins,
+  );
+  if (plugins.length === 0) return { body, plugins };
+
+  const hooked = await runRequestHooks(
+    plugins,
+    "onRequest",
+    body,
+    createPluginContext({
+      model: body.model,
+      combo: combo?.name || null,
+      endpoint: clientRawRequest?.endpoint || null,
+    }),
+  );
+  if (hooked.blocked) {
+    log.warn(
+      "PLUGIN",
+      `${hooked.blocked.plugin} blocked request: ${hooked.blocked.message}`,
+    );
+    return {
+      response: errorResponse(hooked.blocked.status, hooked.blocked.message),
+    };
+  }
+  return { body: hooked.body, plugins };
+}
+
 /**
  * Handle single model chat request
+ * @param {object} [options] - { responseCache, plugins, pluginContext, contextWindow, traceSpan, signal }
  */
 async function handleSingleModelChat(
   body,
@@ -116,6 +424,14 @@ async function handleSingleModelChat(
   clientRawRequest = null,
   request = null,
   apiKey = null,
+  {
+    responseCache = null,
+    plugins = [],
+    pluginContext = null,
+    contextWindow = null,
+    traceSpan = null,
+    signal = null,
+  } = {},
 ) {
   const modelInfo = await getModelInfo(modelStr);
   if (!modelInfo.provider) {
@@ -139,8 +455,13 @@ async function handleSingleModelChat(
   let excludeConnectionId = null;
   let lastError = null;
   let lastStatus = null;
+  let attempt = 0;
 
   while (true) {
+    const selectSpan = startSpan(traceSpan, "account_selection", {
+      "router.provider": provider,
+      "router.model": model,
+    });
     const credentials = await getProviderCredentials(
       provider,
       excludeConnectionId,
@@ -149,6 +470,7 @@ async function handleSingleModelChat(
 
     // All accounts unavailable
     if (!credentials || credentials.allRateLimited) {
+      selectSpan?.setError("No available account").end();
       if (credentials?.allRateLimited) {
         const errorMsg = lastError || credentials.lastError || "Unavailable";
         const status =
@@ -206,31 +528,72 @@ async function handleSingleModelChat(
         }).catch(() => {});
       }
     }
+    selectSpan?.setAttribute("router.connection_id", credentials.connectionId);
+    selectSpan?.end();
 
-    // Use shared chatCore
-    const result = await handleChatCore({
-      body: { ...body, model: `${provider}/${model}` },
-      modelInfo: { provider, model },
-      credentials: refreshedCredentials,
-      log,
-      clientRawRequest,
-      connectionId: credentials.connectionId,
-      userAgent,
-      apiKey,
-      onCredentialsRefreshed: async newCreds => {
-        await updateProviderCredentials(credentials.connectionId, {
-          accessToken: newCreds.accessToken,
-          refreshToken: newCreds.refreshToken,
-          providerSpecificData: newCreds.providerSpecificData,
-          testStatus: "active",
-        });
-      },
-      onRequestSuccess: async () => {
-        await clearAccountError(credentials.connectionId, credentials);
-      },
+    // Each account attempt is a sibling span; account fallbacks add more
+    const attemptSpan = startSpan(traceSpan, "attempt", {
+      "router.provider": provider,
+      "router.model": model,
+      "router.connection_id": credentials.connectionId,
+      "router.attempt": attempt++,
     });
+    let result;
+    try {
+      result = await handleChatCore({
+        body: { ...body, model: `${provider}/${model}` },
+        modelInfo: { provider, model },
+        credentials: refreshedCredentials,
+        log,
+        clientRawRequest,
+        connectionId: credentials.connectionId,
+        userAgent,
+        apiKey,
+        responseCache,
+        plugins,
+        pluginContext,
+        contextWindow,
+        traceSpan: attemptSpan,
+        signal,
+        onCredentialsRefreshed: async newCreds => {
+          await updateProviderCredentials(credentials.connectionId, {
+            accessToken: newCreds.accessToken,
+            refreshToken: newCreds.refreshToken,
+            providerSpecificData: newCreds.providerSpecificData,
+            testStatus: "active",
+          });
+        },
+        onRequestSuccess: async () => {
+          await clearAccountError(credentials.connectionId, credentials);
+        },
+      });
+      attemptSpan?.setHttpStatus(
+        result.success ? result.response.status : result.status,
+      );
+    } catch (error) {
+      attemptSpan?.setError(error);
+      throw error;
+    } finally {
+      // Deferred until a streaming response finishes (see startStreamSpan)
+      attemptSpan?.end();
+    }
+
+    if (result.success && !result.cached) return result.response;
 
-    if (result.success) return result.response;
+    // Cache replays, plugin rejections and aborted race losers say nothing
+    // about the account: free a half-open probe slot without an outcome
+    if (result.cached || result.blocked || signal?.aborted) {
+      releaseProbe(credentials.connectionId);
+      return result.response;
+    }
+
+    // Prompt too long for this model: another account won't help, let the
+    // combo move on to the next model without putting the account on cooldown
+    if (isContextLengthError(result.status, result.error)) {
+      log.warn("CONTEXT", `[${provider}/${model}] context window exceeded`);
+      releaseProbe(credentials.connectionId);
+      return result.response;
+    }
 
     // Mark account unavailable (auto-calculates cooldown with exponential backoff)
     const { shouldFallback } = await markAccountUnavailable(
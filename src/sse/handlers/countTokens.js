@@ -0,0 +1,156 @@
+import {
+  getProviderCredentials,
+  extractApiKey,
+  isValidApiKey,
+  getApiKeyScope,
+} from "../services/auth.js";
+import { countTokensCore } from "open-sse/handlers/countTokensCore.js";
+import { getModelInfo, getComboModels } from "../services/model.js";
+import { checkAndRefreshToken } from "../services/tokenRefresh.js";
+import { isModelInScope } from "open-sse/services/apiKeyScope.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { FORMATS } from "open-sse/translator/formats.js";
+import { errorResponse } from "open-sse/utils/error.js";
+import { getSettings } from "@/lib/localDb";
+import * as log from "../utils/logger.js";
+
+/**
+ * Resolve the model and count the input tokens of a request body.
+ * Combos are counted against their first model. The provider's native
+ * counter is used when an account is connected, else the local tokenizer.
+ *
+ * @param {Request} request - Client request (for the API key)
+ * @param {object} body - Claude Messages or Gemini request body with model
+ * @param {string} format - FORMATS.CLAUDE or FORMATS.GEMINI
+ * @returns {Promise<{ inputTokens: number }|{ response: Response }>}
+ */
+async function countRequestTokens(request, body, format) {
+  const apiKey = extractApiKey(request);
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return {
+        response: errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key"),
+      };
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return {
+        response: errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key"),
+      };
+    }
+  }
+
+  const conversationField = format === FORMATS.GEMINI ? "contents" : "messages";
+  if (!Array.isArray(body[conversationField])) {
+    return {
+      response: errorResponse(
+        HTTP_STATUS.BAD_REQUEST,
+        `Missing required field: ${conversationField}`,
+      ),
+    };
+  }
+
+  const modelStr = body.model || "";
+  const comboModels = modelStr ? await getComboModels(modelStr) : null;
+  const target = comboModels ? comboModels[0] : modelStr;
+  const modelInfo = target
+    ? await getModelInfo(target)
+    : { provider: null, model: null };
+
+  let credentials = null;
+  if (modelInfo.provider) {
+    const scope = await getApiKeyScope(apiKey);
+    if (!isModelInScope(scope, modelInfo)) {
+      log.warn("AUTH", `Model ${modelStr} not allowed for this API key`);
+      return {
+        response: errorResponse(
+          HTTP_STATUS.FORBIDDEN,
+          `Model ${modelStr} is not allowed for this API key`,
+        ),
+      };
+    }
+
+    const found = await getProviderCredentials(
+      modelInfo.provider,
+      null,
+      modelInfo.model,
+    );
+    if (found && !found.allRateLimited) {
+      credentials = await checkAndRefreshToken(modelInfo.provider, found);
+    }
+  }
+
+  const { inputTokens, source } = await countTokensCore({
+    body,
+    format,
+    modelInfo: {
+      provider: modelInfo.provider,
+      model: modelInfo.model || target,
+    },
+    credentials,
+    log,
+  });
+  log.debug(
+    "COUNT_TOKENS",
+    `${modelStr || "default"}: ${inputTokens} (${source})`,
+  );
+
+  return { inputTokens };
+}
+
+async function readJsonBody(request) {
+  try {
+    return await request.json();
+  } catch {
+    log.warn("COUNT_TOKENS", "Invalid JSON body");
+    return null;
+  }
+}
+
+function jsonResponse(data) {
+  return new Response(JSON.stringify(data), {
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+    },
+  });
+}
+
+/**
+ * Handle an Anthropic count_tokens request.
+ * @param {Request} request
+ */
+export async function handleCountTokens(request) {
+  const body = await readJsonBody(request);
+  if (!body) {
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  }
+
+  const result = await countRequestTokens(request, body, FORMATS.CLAUDE);
+  if (result.response) return result.response;
+
+  return jsonResponse({ input_tokens: result.inputTokens });
+}
+
+/**
+ * Handle a Gemini countTokens request. The body is either a bare
+ * { contents, ... } or wrapped in { generateContentRequest }.
+ *
+ * @param {Request} request
+ * @param {string} model - Model from the request path
+ */
+export async function handleGeminiCountTokens(request, model) {
+  const body = await readJsonBody(request);
+  if (!body) {
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  }
+
+  const countBody = { ...(body.generateContentRequest || body), model };
+  const result = await countRequestTokens(request, countBody, FORMATS.GEMINI);
+  if (result.response) return result.response;
+
+  return jsonResponse({ totalTokens: result.inputTokens });
+}
@@ -4,13 +4,17 @@ import {
   clearAccountError,
   extractApiKey,
   isValidApiKey,
+  getApiKeyScope,
+  checkApiKeyQuota,
 } from "../services/auth.js";
 import {
   updateProviderCredentials,
   checkAndRefreshToken,
 } from "../services/tokenRefresh.js";
+import { resolveResponseCacheOptions } from "open-sse/services/responseCache.js";
 import { errorResponse, unavailableResponse } from "open-sse/utils/error.js";
 import { handleEmbeddingsCore } from "open-sse/handlers/embeddingsCore.js";
+import { isModelInScope } from "open-sse/services/apiKeyScope.js";
 import { HTTP_STATUS } from "open-sse/config/constants.js";
 import { getModelInfo } from "../services/model.js";
 import { getSettings } from "@/lib/localDb";
@@ -58,6 +62,19 @@ export async function handleEmbeddings(request) {
     }
   }
 
+  const exceeded = await checkApiKeyQuota(apiKey);
+  if (exceeded) {
+    log.warn("AUTH", `API key over limit: ${exceeded.message}`, {
+      limit: exceeded.limit,
+    });
+    return unavailableResponse(
+      HTTP_STATUS.RATE_LIMITED,
+      exceeded.message,
+      exceeded.retryAfter,
+      exceeded.retryAfterHuman,
+    );
+  }
+
   if (!modelStr) {
     log.warn("EMBEDDINGS", "Missing model");
     return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
@@ -79,12 +96,31 @@ export async function handleEmbeddings(request) {
 
   const { provider, model } = modelInfo;
 
+  const scope = await getApiKeyScope(apiKey);
+  if (!isModelInScope(scope, { provider, model })) {
+    log.warn("AUTH", `Model ${modelStr} not allowed for this API key`);
+    return errorResponse(
+      HTTP_STATUS.FORBIDDEN,
+      `Model ${modelStr} is not allowed for this API key`,
+    );
+  }
+
   if (modelStr !== `${provider}/${model}`) {
     log.info("ROUTING", `${modelStr} → ${provider}/${model}`);
   } else {
     log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
   }
 
+  // Opt-in response cache (skipped per request with x-cache-bypass header)
+  const responseCache = resolveResponseCacheOptions(
+    {
+      enabled: settings.responseCacheEnabled,
+      ttlSeconds: settings.responseCacheTtlSeconds,
+      maxEntries: settings.responseCacheMaxEntries,
+    },
+    request.headers,
+  );
+
   // Credential + fallback loop (mirrors handleChat)
   let excludeConnectionId = null;
   let lastError = null;
@@ -143,6 +179,7 @@ export async function handleEmbeddings(request) {
       modelInfo: { provider, model },
       credentials: refreshedCredentials,
       log,
+      responseCache,
       onCredentialsRefreshed: async newCreds => {
         await updateProviderCredentials(credentials.connectionId, {
           accessToken: newCreds.accessToken,
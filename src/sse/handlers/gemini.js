@@ -0,0 +1,189 @@
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { handleGeminiCountTokens } from "./countTokens.js";
+import { errorResponse } from "open-sse/utils/error.js";
+import { handleEmbeddings } from "./embeddings.js";
+import * as log from "../utils/logger.js";
+import { handleChat } from "./chat.js";
+
+/** Actions of POST /v1beta/models/{model}:{action} */
+export const GEMINI_ACTIONS = {
+  GENERATE: "generateContent",
+  STREAM: "streamGenerateContent",
+  COUNT_TOKENS: "countTokens",
+  EMBED: "embedContent",
+};
+
+/**
+ * Split the route path into model and action
+ * ["provider", "model:action"] or ["model:action"]
+ * @param {string[]} path
+ * @returns {{ model: string, action: string }|null}
+ */
+export function parseModelAction(path) {
+  const joined = path.join("/");
+  const separator = joined.lastIndexOf(":");
+  if (separator <= 0) return null;
+  return {
+    model: joined.slice(0, separator),
+    action: joined.slice(separator + 1),
+  };
+}
+
+/**
+ * Gemini SDKs send their key as x-goog-api-key or ?key= — map it onto the
+ * Bearer header the router's auth reads
+ * @param {Request} request
+ * @returns {Headers}
+ */
+function withBearerAuth(request) {
+  const headers = new Headers(request.headers);
+  if (!headers.has("Authorization")) {
+    const key =
+      headers.get("x-goog-api-key") ||
+      new URL(request.url).searchParams.get("key");
+    if (key) headers.set("Authorization", `Bearer ${key}`);
+  }
+  headers.delete("content-length");
+  return headers;
+}
+
+function forwardRequest(request, body) {
+  return new Request(request.url, {
+    method: "POST",
+    headers: withBearerAuth(request),
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Re-frame an SSE stream of Gemini chunks as the JSON array that
+ * streamGenerateContent returns without ?alt=sse
+ */
+function createJsonArrayStream() {
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  let buffer = "";
+  let count = 0;
+
+  const emit = (controller, line) => {
+    if (!line.startsWith("data:")) return;
+    const data = line.slice(5).trim();
+    if (!data || data === "[DONE]") return;
+    controller.enqueue(encoder.encode(`${count === 0 ? "[" : ",\r\n"}${data}`));
+    count++;
+  };
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop() || "";
+      for (const line of lines) emit(controller, line.trim());
+    },
+    flush(controller) {
+      buffer += decoder.decode();
+      emit(controller, buffer.trim());
+      controller.enqueue(encoder.encode(count === 0 ? "[]" : "]"));
+    },
+  });
+}
+
+/**
+ * generateContent / streamGenerateContent through the chat pipeline.
+ * The Gemini body is passed as-is; chatCore translates it per provider and
+ * translates the response back to Gemini format.
+ */
+async function handleGenerateContent(request, model, action, body) {
+  const stream = action === GEMINI_ACTIONS.STREAM;
+  const response = await handleChat(
+    forwardRequest(request, { ...body, model, stream }),
+  );
+
+  const isSSE = (response.headers.get("content-type") || "").includes(
+    "text/event-stream",
+  );
+  const wantsSSE = new URL(request.url).searchParams.get("alt") === "sse";
+  if (!stream || wantsSSE || !response.ok || !isSSE || !response.body) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.set("Content-Type", "application/json");
+  return new Response(response.body.pipeThrough(createJsonArrayStream()), {
+    status: response.status,
+    headers,
+  });
+}
+
+/**
+ * embedContent through the embeddings pipeline
+ * { content: { parts: [{ text }] } } → { embedding: { values } }
+ */
+async function handleEmbedContent(request, model, body) {
+  const text = (body.content?.parts || [])
+    .map(part => part.text || "")
+    .join("");
+
+  const response = await handleEmbeddings(
+    forwardRequest(request, {
+      model,
+      input: text,
+      ...(body.outputDimensionality && {
+        dimensions: body.outputDimensionality,
+      }),
+    }),
+  );
+  if (!response.ok) return response;
+
+  const data = await response.json();
+  return new Response(
+    JSON.stringify({ embedding: { values: data.data?.[0]?.embedding || [] } }),
+    {
+      headers: {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+      },
+    },
+  );
+}
+
+/**
+ * Handle POST /v1beta/models/{model}:{action} for native Gemini clients
+ * @param {Request} request
+ * @param {string[]} path - Route path segments after /v1beta/models/
+ */
+export async function handleGeminiModelAction(request, path) {
+  const parsed = parseModelAction(path);
+  if (!parsed) {
+    return errorResponse(
+      HTTP_STATUS.BAD_REQUEST,
+      "Expected /v1beta/models/{model}:{action}",
+    );
+  }
+
+  const { model, action } = parsed;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    log.warn("GEMINI", "Invalid JSON body");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid JSON body");
+  }
+
+  switch (action) {
+    case GEMINI_ACTIONS.GENERATE:
+    case GEMINI_ACTIONS.STREAM:
+      return handleGenerateContent(request, model, action, body);
+    case GEMINI_ACTIONS.COUNT_TOKENS:
+      return handleGeminiCountTokens(forwardRequest(request, body), model);
+    case GEMINI_ACTIONS.EMBED:
+      return handleEmbedContent(request, model, body);
+    default:
+      log.warn("GEMINI", `Unsupported action: ${action}`);
+      return errorResponse(
+        HTTP_STATUS.BAD_REQUEST,
+        `Unsupported action: ${action}`,
+      );
+  }
+}
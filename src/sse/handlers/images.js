@@ -0,0 +1,371 @@
+import {
+  getProviderCredentials,
+  markAccountUnavailable,
+  clearAccountError,
+  extractApiKey,
+  isValidApiKey,
+  checkApiKeyQuota,
+  getApiKeyScope,
+} from "../services/auth.js";
+import {
+  IMAGE_TASKS,
+  IMAGE_RESPONSE_FORMATS,
+  supportsImageTask,
+  handleImagesCore,
+} from "open-sse/handlers/imagesCore.js";
+import {
+  getModelInfo,
+  getCombo,
+  getModelPricing,
+  isModelStrInScope,
+} from "../services/model.js";
+import {
+  updateProviderCredentials,
+  checkAndRefreshToken,
+} from "../services/tokenRefresh.js";
+import {
+  isComboInScope,
+  isModelInScope,
+} from "open-sse/services/apiKeyScope.js";
+import { errorResponse, unavailableResponse } from "open-sse/utils/error.js";
+import { handleComboChat } from "open-sse/services/combo.js";
+import { HTTP_STATUS } from "open-sse/config/constants.js";
+import { getSettings } from "@/lib/localDb";
+import * as log from "../utils/logger.js";
+
+/** OpenAI accepts 1-10 images per request */
+const MAX_IMAGES_PER_REQUEST = 10;
+
+/**
+ * Validate the fields shared by generations and edits
+ * @returns {{ input: object }|{ error: string }}
+ */
+function readCommonInput({ prompt, n, size, responseFormat }) {
+  if (typeof prompt !== "string" || !prompt) {
+    return { error: "Missing required field: prompt" };
+  }
+  const count = n === undefined || n === null || n === "" ? 1 : Number(n);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_IMAGES_PER_REQUEST) {
+    return {
+      error: `n must be an integer from 1 to ${MAX_IMAGES_PER_REQUEST}`,
+    };
+  }
+  if (responseFormat && !IMAGE_RESPONSE_FORMATS.includes(responseFormat)) {
+    return {
+      error: `response_format must be one of: ${IMAGE_RESPONSE_FORMATS.join(", ")}`,
+    };
+  }
+  return {
+    input: {
+      prompt,
+      n: count,
+      size: size || null,
+      // null keeps whatever the provider returns (url or b64_json)
+      responseFormat: responseFormat || null,
+    },
+  };
+}
+
+/**
+ * Read a JSON image generation request
+ * @returns {Promise<{ model, input }|{ error: string }>}
+ */
+async function readGenerationInput(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return { error: "Invalid JSON body" };
+  }
+
+  const common = readCommonInput({
+    prompt: body.prompt,
+    n: body.n,
+    size: body.size,
+    responseFormat: body.response_format,
+  });
+  if (common.error) return common;
+
+  return { model: body.model, input: { ...common.input, body } };
+}
+
+/**
+ * Read a multipart image edit upload
+ * @returns {Promise<{ model, input }|{ error: string }>}
+ */
+async function readEditInput(request) {
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return { error: "Expected a multipart/form-data body" };
+  }
+
+  const images = [...form.getAll("image"), ...form.getAll("image[]")].filter(
+    file => typeof file !== "string",
+  );
+  if (images.length === 0) {
+    return { error: "Missing required field: image" };
+  }
+
+  const common = readCommonInput({
+    prompt: form.get("prompt"),
+    n: form.get("n"),
+    size: form.get("size"),
+    responseFormat: form.get("response_format"),
+  });
+  if (common.error) return common;
+
+  return { model: form.get("model"), input: { ...common.input, form, images } };
+}
+
+/**
+ * Run an image request against one model with account fallback (mirrors handleChat)
+ * @returns {Promise<Response>}
+ */
+async function handleSingleModelImages(input, modelStr, task, context) {
+  const { apiKey, scope, endpoint } = context;
+
+  const modelInfo = await getModelInfo(modelStr);
+  if (!modelInfo.provider) {
+    log.warn("IMAGES", "Invalid model format", { model: modelStr });
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Invalid model format");
+  }
+
+  const { provider, model } = modelInfo;
+
+  if (!isModelInScope(scope, { provider, model })) {
+    log.warn("AUTH", `Model ${modelStr} not allowed for this API key`);
+    return errorResponse(
+      HTTP_STATUS.FORBIDDEN,
+      `Model ${modelStr} is not allowed for this API key`,
+    );
+  }
+
+  if (!supportsImageTask(provider, task, model)) {
+    return errorResponse(
+      HTTP_STATUS.BAD_REQUEST,
+      `Model '${provider}/${model}' does not support image ${task}`,
+    );
+  }
+
+  if (modelStr !== `${provider}/${model}`) {
+    log.info("ROUTING", `${modelStr} → ${provider}/${model}`);
+  } else {
+    log.info("ROUTING", `Provider: ${provider}, Model: ${model}`);
+  }
+
+  let excludeConnectionId = null;
+  let lastError = null;
+  let lastStatus = null;
+
+  while (true) {
+    const credentials = await getProviderCredentials(
+      provider,
+      excludeConnectionId,
+      model,
+    );
+
+    // All accounts unavailable
+    if (!credentials || credentials.allRateLimited) {
+      if (credentials?.allRateLimited) {
+        const errorMsg = lastError || credentials.lastError || "Unavailable";
+        const status =
+          lastStatus ||
+          Number(credentials.lastErrorCode) ||
+          HTTP_STATUS.SERVICE_UNAVAILABLE;
+        log.warn(
+          "IMAGES",
+          `[${provider}/${model}] ${errorMsg} (${credentials.retryAfterHuman})`,
+        );
+        return unavailableResponse(
+          status,
+          `[${provider}/${model}] ${errorMsg}`,
+          credentials.retryAfter,
+          credentials.retryAfterHuman,
+        );
+      }
+      if (!excludeConnectionId) {
+        log.error("AUTH", `No credentials for provider: ${provider}`);
+        return errorResponse(
+          HTTP_STATUS.BAD_REQUEST,
+          `No credentials for provider: ${provider}`,
+        );
+      }
+      log.warn("IMAGES", "No more accounts available", { provider });
+      return errorResponse(
+        lastStatus || HTTP_STATUS.SERVICE_UNAVAILABLE,
+        lastError || "All accounts unavailable",
+      );
+    }
+
+    const accountId = credentials.connectionId.slice(0, 8);
+    log.info("AUTH", `Using ${provider} account: ${accountId}...`);
+
+    const refreshedCredentials = await checkAndRefreshToken(
+      provider,
+      credentials,
+    );
+
+    const result = await handleImagesCore({
+      task,
+      input,
+      modelInfo: { provider, model },
+      credentials: refreshedCredentials,
+      log,
+      connectionId: credentials.connectionId,
+      apiKey,
+      endpoint,
+      onCredentialsRefreshed: async newCreds => {
+        await updateProviderCredentials(credentials.connectionId, {
+          accessToken: newCreds.accessToken,
+          refreshToken: newCreds.refreshToken,
+          providerSpecificData: newCreds.providerSpecificData,
+          testStatus: "active",
+        });
+      },
+      onRequestSuccess: async () => {
+        await clearAccountError(credentials.connectionId, credentials);
+      },
+    });
+
+    if (result.success) return result.response;
+
+    const { shouldFallback } = await markAccountUnavailable(
+      credentials.connectionId,
+      result.status,
+      result.error,
+      provider,
+      model,
+    );
+
+    if (shouldFallback) {
+      log.warn(
+        "AUTH",
+        `Account ${accountId}... unavailable (${result.status}), trying fallback`,
+      );
+      excludeConnectionId = credentials.connectionId;
+      lastError = result.error;
+      lastStatus = result.status;
+      continue;
+    }
+
+    return result.response;
+  }
+}
+
+/**
+ * Shared auth + combo handling for the image endpoints
+ * @param {Request} request
+ * @param {string} task - IMAGE_TASKS value
+ */
+async function handleImages(request, task) {
+  const url = new URL(request.url);
+  const parsed =
+    task === IMAGE_TASKS.EDIT
+      ? await readEditInput(request)
+      : await readGenerationInput(request);
+  if (parsed.error) {
+    log.warn("IMAGES", parsed.error);
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, parsed.error);
+  }
+
+  const { model: modelStr, input } = parsed;
+  log.request("POST", `${url.pathname} | ${modelStr}`);
+
+  const apiKey = extractApiKey(request);
+  if (apiKey) {
+    log.debug("AUTH", `API Key: ${log.maskKey(apiKey)}`);
+  } else {
+    log.debug("AUTH", "No API key provided (local mode)");
+  }
+
+  const settings = await getSettings();
+  if (settings.requireApiKey) {
+    if (!apiKey) {
+      log.warn("AUTH", "Missing API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Missing API key");
+    }
+    const valid = await isValidApiKey(apiKey);
+    if (!valid) {
+      log.warn("AUTH", "Invalid API key (requireApiKey=true)");
+      return errorResponse(HTTP_STATUS.UNAUTHORIZED, "Invalid API key");
+    }
+  }
+
+  const exceeded = await checkApiKeyQuota(apiKey);
+  if (exceeded) {
+    log.warn("AUTH", `API key over limit: ${exceeded.message}`, {
+      limit: exceeded.limit,
+    });
+    return unavailableResponse(
+      HTTP_STATUS.RATE_LIMITED,
+      exceeded.message,
+      exceeded.retryAfter,
+      exceeded.retryAfterHuman,
+    );
+  }
+
+  if (!modelStr) {
+    log.warn("IMAGES", "Missing model");
+    return errorResponse(HTTP_STATUS.BAD_REQUEST, "Missing model");
+  }
+
+  const scope = await getApiKeyScope(apiKey);
+  const context = { apiKey, scope, endpoint: url.pathname };
+
+  // Combos fall back across image models like chat combos
+  const combo = await getCombo(modelStr);
+  if (combo) {
+    if (!isComboInScope(scope, combo.name)) {
+      log.warn("AUTH", `Combo "${modelStr}" not allowed for this API key`);
+      return errorResponse(
+        HTTP_STATUS.FORBIDDEN,
+        `Combo "${modelStr}" is not allowed for this API key`,
+      );
+    }
+
+    const models = [];
+    for (const m of combo.models) {
+      if (await isModelStrInScope(m, scope)) models.push(m);
+    }
+    if (models.length === 0) {
+      log.warn("AUTH", `No models of combo "${modelStr}" allowed for key`);
+      return errorResponse(
+        HTTP_STATUS.FORBIDDEN,
+        `No models of combo "${modelStr}" are allowed for this API key`,
+      );
+    }
+
+    log.info(
+      "IMAGES",
+      `Combo "${modelStr}" with ${models.length} models (${combo.strategy || "ordered"})`,
+    );
+    return handleComboChat({
+      body: input,
+      models,
+      combo: { ...combo, models },
+      getModelPricing,
+      handleSingleModel: (b, m) => handleSingleModelImages(b, m, task, context),
+      log,
+    });
+  }
+
+  return handleSingleModelImages(input, modelStr, task, context);
+}
+
+/**
+ * POST /v1/images/generations
+ * @param {Request} request
+ */
+export async function handleImageGeneration(request) {
+  return handleImages(request, IMAGE_TASKS.GENERATION);
+}
+
+/**
+ * POST /v1/images/edits
+ * @param {Request} request
+ */
+export async function handleImageEdit(request) {
+  return handleImages(request, IMAGE_TASKS.EDIT);
+}
@@ -1,3 +1,12 @@
+import {
+  CIRCUIT_STATE,
+  PROBE_RETRY_AFTER_MS,
+  getCircuitState,
+  canAttemptConnection,
+  isProbeInFlight,
+  acquireProbe,
+  releaseProbe,
+} from "open-sse/services/circuitBreaker.js";
 import {
   isAccountUnavailable,
   getUnavailableUntil,
@@ -7,73 +16,61 @@ import {
 } from "open-sse/services/accountFallback.js";
 import {
   getProviderConnections,
+  getProviderConnectionById,
   validateApiKey,
+  getApiKeys,
   updateProviderConnection,
   getSettings,
 } from "@/lib/localDb";
+import {
+  DEFAULT_MODEL_LOCK_MS,
+  usesModelLocks,
+  isModelLocked,
+  addModelLock,
+  removeModelLock,
+} from "open-sse/services/modelLocks.js";
+import {
+  checkApiKeyLimits,
+  recordApiKeyRequest,
+  getApiKeyRequestWindow,
+} from "open-sse/services/apiKeyLimits.js";
 import { resolveProviderId } from "@/shared/constants/providers.js";
+import { getApiKeyConsumption } from "@/lib/usageDb";
 import * as log from "../utils/logger.js";
 
 // Mutex to prevent race conditions during account selection
 let selectionMutex = Promise.resolve();
 
-// ---------------------------------------------------------------------------
-// Model-level rate-limit locking (in-memory)
-//
-// Providers like Antigravity maintain *separate* quota buckets per model
-// family (e.g. Claude vs Gemini). When a 429 arrives for one model, the
-// standard account-level DB lock would block ALL models on that account,
-// wasting quota that is still available for other model families.
-//
-// This module tracks model-specific locks in memory so that only the
-// affected model is skipped during account selection while the rest of the
-// account's quota remains accessible.
-//
-// Locks are intentionally in-memory: they clear on restart and require no
-// database schema migration.
-// ---------------------------------------------------------------------------
-
-/** Providers known to have independent per-model quota buckets */
-const MULTI_BUCKET_PROVIDERS = new Set(["antigravity"]);
-
-/** Map<"connectionId:model", expiryTimestamp> */
-const modelLocks = new Map();
-
-/** Default lock duration for model-level rate limits (5 minutes) */
-const DEFAULT_MODEL_LOCK_MS = 5 * 60 * 1000;
-
-/**
- * Check whether a specific model is temporarily locked on a connection.
- * Expired locks are cleaned up lazily.
- */
-function isModelLocked(connectionId, model) {
-  if (!connectionId || !model) return false;
-  const key = `${connectionId}:${model}`;
-  const expiry = modelLocks.get(key);
-  if (!expiry) return false;
-  if (expiry > Date.now()) return true;
-  modelLocks.delete(key); // clean up expired
-  return false;
-}
-
 /**
  * Lock a model on a specific connection for `durationMs` milliseconds.
+ * The lock is persisted on the connection (see open-sse/services/modelLocks.js).
  */
-function lockModel(connectionId, model, durationMs) {
-  if (!connectionId || !model) return;
-  const key = `${connectionId}:${model}`;
-  modelLocks.set(key, Date.now() + durationMs);
+async function lockModel(connection, model, durationMs) {
+  if (!connection || !model) return;
+  await updateProviderConnection(connection.id, {
+    modelLocks: addModelLock(connection.modelLocks, model, durationMs),
+  });
   log.warn(
     "AUTH",
-    `Model lock: ${model} on ${connectionId.slice(0, 8)} for ${Math.round(durationMs / 1000)}s`,
+    `Model lock: ${model} on ${connection.id.slice(0, 8)} for ${Math.round(durationMs / 1000)}s`,
   );
 }
 
 /**
- * Check whether a provider uses per-model quota buckets.
+ * Clear a model lock by hand (dashboard)
+ * @returns {Promise<boolean>} false when the connection does not exist
  */
-function isMultiBucketProvider(provider) {
-  return MULTI_BUCKET_PROVIDERS.has(provider);
+export async function clearModelLock(connectionId, model) {
+  const connection = await getProviderConnectionById(connectionId);
+  if (!connection) return false;
+  await updateProviderConnection(connectionId, {
+    modelLocks: removeModelLock(connection.modelLocks, model),
+  });
+  log.info(
+    "AUTH",
+    `Model lock cleared: ${model} on ${connectionId.slice(0, 8)}`,
+  );
+  return true;
 }
 
 /**
@@ -147,12 +144,14 @@ export async function getProviderCredentials(
       return null;
     }
 
-    // Filter out unavailable accounts and excluded connection
-    const multiBucket = isMultiBucketProvider(provider);
+    // Filter out excluded connections and open circuits (half-open ones only
+    // while their probe request is still in flight)
+    const settings = await getSettings();
+    const multiBucket = usesModelLocks(providerId, settings.modelLockProviders);
     const availableConnections = connections.filter(c => {
       if (excludeConnectionId && c.id === excludeConnectionId) return false;
-      if (isAccountUnavailable(c.rateLimitedUntil)) return false;
-      if (multiBucket && model && isModelLocked(c.id, model)) return false;
+      if (!canAttemptConnection(c)) return false;
+      if (multiBucket && isModelLocked(c, model)) return false;
       return true;
     });
 
@@ -163,11 +162,12 @@ export async function getProviderCredentials(
     connections.forEach(c => {
       const excluded = excludeConnectionId && c.id === excludeConnectionId;
       const rateLimited = isAccountUnavailable(c.rateLimitedUntil);
-      const modelLocked = multiBucket && model && isModelLocked(c.id, model);
-      if (excluded || rateLimited || modelLocked) {
+      const probing = !rateLimited && !canAttemptConnection(c);
+      const modelLocked = multiBucket && isModelLocked(c, model);
+      if (excluded || rateLimited || probing || modelLocked) {
         log.debug(
           "AUTH",
-          `  → ${c.id?.slice(0, 8)} | ${excluded ? "excluded" : ""} ${rateLimited ? `rateLimited until ${c.rateLimitedUntil}` : ""} ${modelLocked ? `modelLocked(${model})` : ""}`,
+          `  → ${c.id?.slice(0, 8)} | ${excluded ? "excluded" : ""} ${rateLimited ? `rateLimited until ${c.rateLimitedUntil}` : ""} ${probing ? "half-open probe in flight" : ""} ${modelLocked ? `modelLocked(${model})` : ""}`,
         );
       }
     });
@@ -196,15 +196,40 @@ export async function getProviderCredentials(
           lastErrorCode: earliestConn?.errorCode || null,
         };
       }
+      const probing = connections.find(
+        c =>
+          getCircuitState(c) === CIRCUIT_STATE.HALF_OPEN &&
+          isProbeInFlight(c.id),
+      );
+      if (probing) {
+        const retryAfter = new Date(
+          Date.now() + PROBE_RETRY_AFTER_MS,
+        ).toISOString();
+        log.warn(
+          "AUTH",
+          `${provider} | all accounts cooling down, waiting for half-open probe on ${probing.id.slice(0, 8)}`,
+        );
+        return {
+          allRateLimited: true,
+          retryAfter,
+          retryAfterHuman: formatRetryAfter(retryAfter),
+          lastError: probing.lastError || null,
+          lastErrorCode: probing.errorCode || null,
+        };
+      }
       if (multiBucket && model) {
         log.warn(
           "AUTH",
           `${provider} | all accounts model-locked for ${model}`,
         );
+        const retryAfter =
+          getEarliestRateLimitedUntil(
+            connections.map(c => ({ rateLimitedUntil: c.modelLocks?.[model] })),
+          ) || new Date(Date.now() + 60000).toISOString();
         return {
           allRateLimited: true,
-          retryAfter: new Date(Date.now() + 60000).toISOString(),
-          retryAfterHuman: "reset after 1m",
+          retryAfter,
+          retryAfterHuman: formatRetryAfter(retryAfter),
           lastError: `All accounts rate limited for model ${model}`,
         };
       }
@@ -215,7 +240,6 @@ export async function getProviderCredentials(
       return null;
     }
 
-    const settings = await getSettings();
     const strategy = settings.fallbackStrategy || "fill-first";
 
     let connection;
@@ -265,6 +289,13 @@ export async function getProviderCredentials(
       connection = availableConnections[0];
     }
 
+    if (acquireProbe(connection)) {
+      log.info(
+        "AUTH",
+        `${provider} | half-open probe → ${connection.id.slice(0, 8)}`,
+      );
+    }
+
     return {
       apiKey: connection.apiKey,
       accessToken: connection.accessToken,
@@ -285,8 +316,9 @@ export async function getProviderCredentials(
 
 /**
  * Mark account as unavailable — reads backoffLevel from DB, calculates cooldown with exponential backoff, saves new level.
- * For multi-bucket providers (e.g. Antigravity), 429 errors lock only the specific model in memory
- * rather than the entire account in the database.
+ * A failed half-open probe re-opens the circuit with the next backoff level.
+ * For providers in settings.modelLockProviders (per-model quota buckets), 429 errors lock only
+ * the specific model on the connection rather than the entire account.
  * @param {string} connectionId
  * @param {number} status - HTTP status code from upstream
  * @param {string} errorText
@@ -301,9 +333,10 @@ export async function markAccountUnavailable(
   provider = null,
   model = null,
 ) {
+  releaseProbe(connectionId);
+
   // Read current connection to get backoffLevel
-  const connections = await getProviderConnections({ provider });
-  const conn = connections.find(c => c.id === connectionId);
+  const conn = await getProviderConnectionById(connectionId);
   const backoffLevel = conn?.backoffLevel || 0;
 
   const { shouldFallback, cooldownMs, newBackoffLevel } = checkFallbackError(
@@ -313,9 +346,14 @@ export async function markAccountUnavailable(
   );
   if (!shouldFallback) return { shouldFallback: false, cooldownMs: 0 };
 
-  if (isMultiBucketProvider(provider) && status === 429 && model) {
+  const settings = await getSettings();
+  const multiBucket = usesModelLocks(
+    resolveProviderId(provider),
+    settings.modelLockProviders,
+  );
+  if (multiBucket && status === 429 && model && conn) {
     const lockDuration = cooldownMs > 0 ? cooldownMs : DEFAULT_MODEL_LOCK_MS;
-    lockModel(connectionId, model, lockDuration);
+    await lockModel(conn, model, lockDuration);
     return { shouldFallback: true, cooldownMs: 0 };
   }
 
@@ -341,9 +379,12 @@ export async function markAccountUnavailable(
 
 /**
  * Clear account error status (only if currently has error)
+ * A successful half-open probe closes the circuit here.
  * Optimized to avoid unnecessary DB updates
  */
 export async function clearAccountError(connectionId, currentConnection) {
+  releaseProbe(connectionId);
+
   // Only update if currently has error status
   const hasError =
     currentConnection.testStatus === "unavailable" ||
@@ -380,3 +421,58 @@ export async function isValidApiKey(apiKey) {
   if (!apiKey) return false;
   return await validateApiKey(apiKey);
 }
+
+/**
+ * Find the stored API key record for a raw key
+ */
+async function findApiKey(apiKey) {
+  if (!apiKey) return null;
+  const keys = await getApiKeys();
+  return keys.find(k => k.key === apiKey) || null;
+}
+
+/**
+ * Get the provider/model/combo scope of an API key
+ * @returns {Promise<Object|null>} Scope or null when the key is unrestricted
+ */
+export async function getApiKeyScope(apiKey) {
+  const found = await findApiKey(apiKey);
+  return found?.scope || null;
+}
+
+/**
+ * Get the middleware plugin names enabled for an API key
+ * @returns {Promise<string[]>}
+ */
+export async function getApiKeyPlugins(apiKey) {
+  const found = await findApiKey(apiKey);
+  return found?.plugins || [];
+}
+
+/**
+ * Check per-key quotas (requests/minute, tokens/day, monthly budget).
+ * Allowed requests are counted in the requests-per-minute window.
+ * @returns {Promise<Object|null>} Exceeded limit ({ limit, message, retryAfter, retryAfterHuman }) or null when allowed
+ */
+export async function checkApiKeyQuota(apiKey) {
+  const found = await findApiKey(apiKey);
+  if (!found) return null;
+
+  let exceeded = null;
+  if (found.limits) {
+    const consumption = (await getApiKeyConsumption())[apiKey] || {};
+    const window = getApiKeyRequestWindow(apiKey);
+    exceeded = checkApiKeyLimits({
+      limits: found.limits,
+      usage: {
+        requestsLastMinute: window.count,
+        oldestRequestAt: window.oldestAt,
+        tokensToday: consumption.tokensToday || 0,
+        costThisMonth: consumption.costThisMonth || 0,
+      },
+    });
+  }
+
+  if (!exceeded) recordApiKeyRequest(apiKey);
+  return exceeded;
+}
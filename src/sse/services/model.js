@@ -1,14 +1,16 @@
 // Re-export from open-sse with localDb integration
-import {
-  parseModel,
-  resolveModelAliasFromMap,
-  getModelInfoCore,
-} from "open-sse/services/model.js";
 import {
   getModelAliases,
   getComboByName,
   getProviderNodes,
+  getPricingForModel,
 } from "@/lib/localDb";
+import {
+  parseModel,
+  resolveModelAliasFromMap,
+  getModelInfoCore,
+} from "open-sse/services/model.js";
+import { isModelInScope } from "open-sse/services/apiKeyScope.js";
 
 export { parseModel };
 
@@ -58,16 +60,47 @@ export async function getModelInfo(modelStr) {
 }
 
 /**
- * Check if model is a combo and get models list
- * @returns {Promise<string[]|null>} Array of models or null if not a combo
+ * Check if model is a combo and get the combo (with strategy/weights)
+ * @returns {Promise<Object|null>} Combo object or null if not a combo
  */
-export async function getComboModels(modelStr) {
+export async function getCombo(modelStr) {
   // Only check if it's not in provider/model format
   if (modelStr.includes("/")) return null;
 
   const combo = await getComboByName(modelStr);
   if (combo && combo.models && combo.models.length > 0) {
-    return combo.models;
+    return combo;
   }
   return null;
 }
+
+/**
+ * Get pricing for a model string (resolves aliases first)
+ * @returns {Promise<Object|null>} Pricing { input, output, ... } or null
+ */
+export async function getModelPricing(modelStr) {
+  const { provider, model } = await getModelInfo(modelStr);
+  if (!provider) return null;
+  return getPricingForModel(provider, model);
+}
+
+/**
+ * Check if model is a combo and get models list
+ * @returns {Promise<string[]|null>} Array of models or null if not a combo
+ */
+export async function getComboModels(modelStr) {
+  const combo = await getCombo(modelStr);
+  return combo ? combo.models : null;
+}
+
+/**
+ * Check whether a model string may be used with an API key scope
+ * @param {string} modelStr - Model string (alias or provider/model)
+ * @param {Object|null} scope - API key scope
+ */
+export async function isModelStrInScope(modelStr, scope) {
+  if (!scope) return true;
+  const { provider, model } = await getModelInfo(modelStr);
+  if (!provider) return false;
+  return isModelInScope(scope, { provider, model });
+}
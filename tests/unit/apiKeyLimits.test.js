@@ -0,0 +1,117 @@
+/**
+ * Unit tests for open-sse/services/apiKeyLimits.js
+ *
+ * Tests cover:
+ *  - validateApiKeyLimits()   — field / value validation
+ *  - recordApiKeyRequest() + getApiKeyRequestWindow() — sliding minute window
+ *  - checkApiKeyLimits()      — rpm, tokens/day, monthly budget + retry-after
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  validateApiKeyLimits,
+  recordApiKeyRequest,
+  getApiKeyRequestWindow,
+  checkApiKeyLimits,
+} from "../../open-sse/services/apiKeyLimits.js";
+
+const NOW = new Date(2026, 2, 15, 10, 30, 0).getTime();
+
+const EMPTY_USAGE = {
+  requestsLastMinute: 0,
+  oldestRequestAt: null,
+  tokensToday: 0,
+  costThisMonth: 0,
+};
+
+describe("validateApiKeyLimits()", () => {
+  it("accepts null and valid limits", () => {
+    expect(validateApiKeyLimits(null)).toBeNull();
+    expect(validateApiKeyLimits(undefined)).toBeNull();
+    expect(
+      validateApiKeyLimits({
+        requestsPerMinute: 60,
+        tokensPerDay: 100000,
+        monthlyBudgetUsd: 12.5,
+      }),
+    ).toBeNull();
+  });
+
+  it("rejects unknown fields and bad values", () => {
+    expect(validateApiKeyLimits([])).toMatch(/must be an object/);
+    expect(validateApiKeyLimits({ perHour: 1 })).toMatch(/Unknown limit/);
+    expect(validateApiKeyLimits({ tokensPerDay: -1 })).toMatch(/Invalid/);
+    expect(validateApiKeyLimits({ monthlyBudgetUsd: "5" })).toMatch(/Invalid/);
+  });
+});
+
+describe("request window", () => {
+  it("counts requests in the last minute only", () => {
+    const key = "sk-window-test";
+    recordApiKeyRequest(key, NOW - 70_000);
+    recordApiKeyRequest(key, NOW - 30_000);
+    recordApiKeyRequest(key, NOW - 10_000);
+
+    expect(getApiKeyRequestWindow(key, NOW)).toEqual({
+      count: 2,
+      oldestAt: NOW - 30_000,
+    });
+    expect(getApiKeyRequestWindow("sk-unknown", NOW)).toEqual({
+      count: 0,
+      oldestAt: null,
+    });
+  });
+});
+
+describe("checkApiKeyLimits()", () => {
+  it("allows keys without limits or under limits", () => {
+    expect(checkApiKeyLimits({ limits: null, usage: EMPTY_USAGE })).toBeNull();
+    expect(
+      checkApiKeyLimits({
+        limits: { requestsPerMinute: 10, tokensPerDay: 1000 },
+        usage: { ...EMPTY_USAGE, requestsLastMinute: 9, tokensToday: 999 },
+        now: NOW,
+      }),
+    ).toBeNull();
+  });
+
+  it("rejects over requests per minute until the oldest request expires", () => {
+    const result = checkApiKeyLimits({
+      limits: { requestsPerMinute: 2 },
+      usage: {
+        ...EMPTY_USAGE,
+        requestsLastMinute: 2,
+        oldestRequestAt: NOW - 45_000,
+      },
+      now: NOW,
+    });
+    expect(result.limit).toBe("requestsPerMinute");
+    expect(new Date(result.retryAfter).getTime()).toBe(NOW + 15_000);
+  });
+
+  it("rejects over daily tokens until local midnight", () => {
+    const result = checkApiKeyLimits({
+      limits: { tokensPerDay: 1000 },
+      usage: { ...EMPTY_USAGE, tokensToday: 1200 },
+      now: NOW,
+    });
+    expect(result.limit).toBe("tokensPerDay");
+    expect(new Date(result.retryAfter).getTime()).toBe(
+      new Date(2026, 2, 16).getTime(),
+    );
+  });
+
+  it("rejects over monthly budget until the next month", () => {
+    const result = checkApiKeyLimits({
+      limits: { monthlyBudgetUsd: 5 },
+      usage: { ...EMPTY_USAGE, costThisMonth: 5.01 },
+      now: NOW,
+    });
+    expect(result.limit).toBe("monthlyBudgetUsd");
+    expect(result.message).toMatch(/\$5\.01\/\$5\.00/);
+    expect(new Date(result.retryAfter).getTime()).toBe(
+      new Date(2026, 3, 1).getTime(),
+    );
+  });
+});
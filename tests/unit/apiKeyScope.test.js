@@ -0,0 +1,96 @@
+/**
+ * Unit tests for open-sse/services/apiKeyScope.js
+ *
+ * Tests cover:
+ *  - matchesGlob()          — "*" / "?" globs, case-insensitive
+ *  - validateApiKeyScope()  — section / list validation
+ *  - isModelInScope()       — provider + model allow/deny (id or alias)
+ *  - isComboInScope()       — combo allow/deny
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  matchesGlob,
+  validateApiKeyScope,
+  isModelInScope,
+  isComboInScope,
+} from "../../open-sse/services/apiKeyScope.js";
+
+describe("matchesGlob()", () => {
+  it("matches wildcards and escapes regex characters", () => {
+    expect(matchesGlob("cc/claude-opus-*", ["cc/claude-opus-4-5"])).toBe(true);
+    expect(matchesGlob("cc/claude-opus-*", ["cc/claude-sonnet-4-5"])).toBe(
+      false,
+    );
+    expect(matchesGlob("gpt-4?", ["gpt-4o"])).toBe(true);
+    expect(matchesGlob("gpt-4.1", ["gpt-4x1"])).toBe(false);
+    expect(matchesGlob("CC/*", ["cc/model"])).toBe(true);
+  });
+});
+
+describe("validateApiKeyScope()", () => {
+  it("accepts null and well-formed scopes", () => {
+    expect(validateApiKeyScope(null)).toBeNull();
+    expect(
+      validateApiKeyScope({
+        providers: { allow: ["cc"] },
+        models: { deny: ["*opus*"] },
+        combos: null,
+      }),
+    ).toBeNull();
+  });
+
+  it("rejects unknown sections and malformed lists", () => {
+    expect(validateApiKeyScope("cc")).toMatch(/must be an object/);
+    expect(validateApiKeyScope({ keys: {} })).toMatch(/Unknown scope section/);
+    expect(validateApiKeyScope({ models: { only: [] } })).toMatch(
+      /Unknown scope list/,
+    );
+    expect(validateApiKeyScope({ models: { allow: "cc/*" } })).toMatch(
+      /array of patterns/,
+    );
+  });
+});
+
+describe("isModelInScope()", () => {
+  const target = { provider: "claude", model: "claude-opus-4-5" };
+
+  it("allows everything without a scope or with empty lists", () => {
+    expect(isModelInScope(null, target)).toBe(true);
+    expect(isModelInScope({ models: { allow: [] } }, target)).toBe(true);
+  });
+
+  it("matches providers by id or alias", () => {
+    expect(isModelInScope({ providers: { allow: ["cc"] } }, target)).toBe(true);
+    expect(isModelInScope({ providers: { allow: ["claude"] } }, target)).toBe(
+      true,
+    );
+    expect(isModelInScope({ providers: { allow: ["openai"] } }, target)).toBe(
+      false,
+    );
+  });
+
+  it("applies model globs with deny taking precedence", () => {
+    const scope = {
+      models: { allow: ["cc/*"], deny: ["cc/claude-opus-*"] },
+    };
+    expect(isModelInScope(scope, target)).toBe(false);
+    expect(
+      isModelInScope(scope, { provider: "claude", model: "claude-haiku-4-5" }),
+    ).toBe(true);
+    expect(isModelInScope(scope, { provider: "openai", model: "gpt-4o" })).toBe(
+      false,
+    );
+  });
+});
+
+describe("isComboInScope()", () => {
+  it("filters combos by name", () => {
+    const scope = { combos: { allow: ["cheap-*"], deny: ["cheap-premium"] } };
+    expect(isComboInScope(scope, "cheap-coding")).toBe(true);
+    expect(isComboInScope(scope, "cheap-premium")).toBe(false);
+    expect(isComboInScope(scope, "opus-first")).toBe(false);
+    expect(isComboInScope(null, "anything")).toBe(true);
+  });
+});
@@ -0,0 +1,322 @@
+/**
+ * Unit tests for open-sse/handlers/audioCore.js
+ *
+ * Tests cover:
+ *  - formatTranscriptResponse() — json / verbose_json / srt / vtt rendering
+ *  - getDeepgramVoiceModel()    — model + voice → Aura voice model
+ *  - handleAudioCore()          — Deepgram / AssemblyAI / OpenAI requests,
+ *                                 unsupported tasks, usage recording
+ *  - calculateUsageCost()       — per-minute and per-character rates
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const usageDb = vi.hoisted(() => ({
+  saveRequestUsage: vi.fn(() => Promise.resolve()),
+  appendRequestLog: vi.fn(() => Promise.resolve()),
+}));
+vi.mock("@/lib/usageDb.js", () => usageDb);
+
+import {
+  AUDIO_TASKS,
+  formatTranscriptResponse,
+  getDeepgramVoiceModel,
+  handleAudioCore,
+} from "../../open-sse/handlers/audioCore.js";
+import { calculateUsageCost } from "../../open-sse/utils/usageCost.js";
+
+const transcript = {
+  text: "Hello there. How are you?",
+  language: "en",
+  duration: 2.5,
+  words: [
+    { word: "Hello", start: 0, end: 0.4 },
+    { word: "there.", start: 0.4, end: 0.9 },
+    { word: "How", start: 1.2, end: 1.4 },
+    { word: "are", start: 1.4, end: 1.6 },
+    { word: "you?", start: 1.6, end: 2.1 },
+  ],
+};
+
+const jsonResponse = data =>
+  new Response(JSON.stringify(data), {
+    status: 200,
+    headers: { "Content-Type": "application/json" },
+  });
+
+const uploadInput = (responseFormat = "json") => {
+  const file = new File([new Uint8Array([1, 2, 3])], "clip.wav", {
+    type: "audio/wav",
+  });
+  const form = new FormData();
+  form.append("file", file);
+  form.append("model", "whisper-1");
+  form.append("response_format", responseFormat);
+  return { form, file, language: null, responseFormat };
+};
+
+describe("formatTranscriptResponse()", () => {
+  it("renders json and verbose_json bodies", async () => {
+    const json = await formatTranscriptResponse(
+      transcript,
+      "json",
+      AUDIO_TASKS.TRANSCRIPTION,
+    ).json();
+    expect(json).toEqual({
+      text: transcript.text,
+      usage: { type: "duration", seconds: 3 },
+    });
+
+    const verbose = await formatTranscriptResponse(
+      transcript,
+      "verbose_json",
+      AUDIO_TASKS.TRANSLATION,
+    ).json();
+    expect(verbose.task).toBe("translate");
+    expect(verbose.segments).toEqual([
+      { id: 0, start: 0, end: 0.9, text: "Hello there." },
+      { id: 1, start: 1.2, end: 2.1, text: "How are you?" },
+    ]);
+  });
+
+  it("renders srt and vtt subtitles", async () => {
+    const srt = formatTranscriptResponse(transcript, "srt");
+    expect(srt.headers.get("Content-Type")).toMatch(/subrip/);
+    expect(await srt.text()).toBe(
+      "1\n00:00:00,000 --> 00:00:00,900\nHello there.\n\n" +
+        "2\n00:00:01,200 --> 00:00:02,100\nHow are you?\n",
+    );
+    expect(
+      await formatTranscriptResponse(
+        { text: "Hi", duration: 61.25, words: [] },
+        "vtt",
+      ).text(),
+    ).toBe("WEBVTT\n\n00:00:00.000 --> 00:01:01.250\nHi\n");
+  });
+});
+
+describe("getDeepgramVoiceModel()", () => {
+  it("combines model family and voice", () => {
+    expect(getDeepgramVoiceModel("aura-2", "luna")).toBe("aura-2-luna-en");
+    expect(getDeepgramVoiceModel("aura-2", "celeste-es")).toBe(
+      "aura-2-celeste-es",
+    );
+    expect(getDeepgramVoiceModel("aura", null)).toBe("aura-thalia-en");
+    expect(getDeepgramVoiceModel("aura-2-orion-en", "luna")).toBe(
+      "aura-2-orion-en",
+    );
+  });
+});
+
+describe("handleAudioCore()", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    usageDb.saveRequestUsage.mockClear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("transcribes with Deepgram and records the audio duration", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({
+        metadata: { duration: 90 },
+        results: {
+          channels: [
+            {
+              detected_language: "en",
+              alternatives: [
+                {
+                  transcript: "hello there",
+                  words: [
+                    {
+                      word: "hello",
+                      punctuated_word: "Hello",
+                      start: 0,
+                      end: 1,
+                    },
+                    {
+                      word: "there",
+                      punctuated_word: "there.",
+                      start: 1,
+                      end: 2,
+                    },
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+      }),
+    );
+
+    const result = await handleAudioCore({
+      task: AUDIO_TASKS.TRANSCRIPTION,
+      input: uploadInput("verbose_json"),
+      modelInfo: { provider: "deepgram", model: "nova-3" },
+      credentials: { apiKey: "dg-key" },
+      connectionId: "conn-1",
+      endpoint: "/v1/audio/transcriptions",
+    });
+
+    expect(result.success).toBe(true);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "https://api.deepgram.com/v1/listen?model=nova-3&smart_format=true&detect_language=true",
+    );
+    expect(init.headers.Authorization).toBe("Token dg-key");
+    expect(init.headers["Content-Type"]).toBe("audio/wav");
+
+    const body = await result.response.json();
+    expect(body).toMatchObject({ text: "hello there", duration: 90 });
+    expect(body.segments[0].text).toBe("Hello there.");
+
+    expect(usageDb.saveRequestUsage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        provider: "deepgram",
+        model: "nova-3",
+        connectionId: "conn-1",
+        endpoint: "/v1/audio/transcriptions",
+        tokens: { prompt_tokens: 0, completion_tokens: 0, audio_seconds: 90 },
+      }),
+    );
+  });
+
+  it("uploads, polls and reads the English translation from AssemblyAI", async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse({ upload_url: "https://cdn/a" }))
+      .mockResolvedValueOnce(jsonResponse({ id: "t1", status: "queued" }))
+      .mockResolvedValueOnce(jsonResponse({ id: "t1", status: "processing" }))
+      .mockResolvedValueOnce(
+        jsonResponse({
+          id: "t1",
+          status: "completed",
+          text: "hola",
+          audio_duration: 12,
+          translated_texts: { en: "hello" },
+        }),
+      );
+
+    const result = await handleAudioCore({
+      task: AUDIO_TASKS.TRANSLATION,
+      input: uploadInput("text"),
+      modelInfo: { provider: "assemblyai", model: "universal" },
+      credentials: { apiKey: "aai-key" },
+      pollIntervalMs: 0,
+    });
+
+    expect(await result.response.text()).toBe("hello");
+    const request = JSON.parse(fetchMock.mock.calls[1][1].body);
+    expect(request).toEqual({
+      audio_url: "https://cdn/a",
+      speech_model: "universal",
+      language_detection: true,
+      speech_understanding: {
+        request: { translation: { target_languages: ["en"] } },
+      },
+    });
+    expect(fetchMock.mock.calls[3][0]).toBe(
+      "https://api.assemblyai.com/v2/transcript/t1",
+    );
+    expect(usageDb.saveRequestUsage.mock.calls[0][0].tokens.audio_seconds).toBe(
+      12,
+    );
+  });
+
+  it("returns AssemblyAI transcript errors as bad requests", async () => {
+    fetchMock
+      .mockResolvedValueOnce(jsonResponse({ upload_url: "https://cdn/a" }))
+      .mockResolvedValueOnce(
+        jsonResponse({ id: "t1", status: "error", error: "Audio too short" }),
+      );
+
+    const result = await handleAudioCore({
+      task: AUDIO_TASKS.TRANSCRIPTION,
+      input: uploadInput(),
+      modelInfo: { provider: "assemblyai", model: "universal" },
+      credentials: { apiKey: "aai-key" },
+      pollIntervalMs: 0,
+    });
+
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(result.error).toMatch(/Audio too short/);
+    expect(usageDb.saveRequestUsage).not.toHaveBeenCalled();
+  });
+
+  it("synthesizes speech with Deepgram Aura", async () => {
+    fetchMock.mockResolvedValue(
+      new Response(new Uint8Array([9, 9]), {
+        headers: { "Content-Type": "audio/wav" },
+      }),
+    );
+
+    const result = await handleAudioCore({
+      task: AUDIO_TASKS.SPEECH,
+      input: { text: "Hi there", voice: "luna", responseFormat: "wav" },
+      modelInfo: { provider: "deepgram", model: "aura-2" },
+      credentials: { apiKey: "dg-key" },
+    });
+
+    expect(result.response.headers.get("Content-Type")).toBe("audio/wav");
+    expect(new Uint8Array(await result.response.arrayBuffer())).toEqual(
+      new Uint8Array([9, 9]),
+    );
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "https://api.deepgram.com/v1/speak?model=aura-2-luna-en&encoding=linear16&container=wav",
+    );
+    expect(JSON.parse(init.body)).toEqual({ text: "Hi there" });
+    expect(usageDb.saveRequestUsage.mock.calls[0][0].tokens.characters).toBe(8);
+  });
+
+  it("passes OpenAI uploads through with the upstream model", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({ text: "hi", usage: { type: "duration", seconds: 4 } }),
+    );
+
+    const result = await handleAudioCore({
+      task: AUDIO_TASKS.TRANSCRIPTION,
+      input: uploadInput(),
+      modelInfo: { provider: "openai", model: "whisper-1" },
+      credentials: { apiKey: "sk" },
+    });
+
+    expect(await result.response.json()).toMatchObject({ text: "hi" });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.openai.com/v1/audio/transcriptions");
+    expect(init.body.get("model")).toBe("whisper-1");
+    expect(init.body.get("file").name).toBe("clip.wav");
+    expect(usageDb.saveRequestUsage.mock.calls[0][0].tokens.audio_seconds).toBe(
+      4,
+    );
+  });
+
+  it("rejects tasks the provider has no API for", async () => {
+    const result = await handleAudioCore({
+      task: AUDIO_TASKS.TRANSLATION,
+      input: uploadInput(),
+      modelInfo: { provider: "deepgram", model: "nova-3" },
+      credentials: { apiKey: "dg-key" },
+    });
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("calculateUsageCost() for audio", () => {
+  it("prices audio minutes and synthesized characters", () => {
+    expect(
+      calculateUsageCost(
+        { prompt_tokens: 0, completion_tokens: 0, audio_seconds: 90 },
+        { audio_minute: 0.006 },
+      ),
+    ).toBeCloseTo(0.009);
+    expect(
+      calculateUsageCost({ characters: 2000 }, { characters: 30 }),
+    ).toBeCloseTo(0.06);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Unit tests for src/lib/auditLog.js
+ *
+ * Tests cover:
+ *  - redactSecrets()   — nested secrets, non-string values kept
+ *  - diffSnapshots()   — changed fields only, ignored timestamps
+ *  - recordAudit() / getAuditEntries() — file round trip, filters, revert state
+ *  - planRevert()      — create / update / delete, conflicts, redacted fields
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import path from "node:path";
+import os from "node:os";
+import fs from "node:fs";
+
+const state = { dataDir: null };
+
+vi.mock("@/lib/localDb", () => ({
+  getDataDir: () => state.dataDir,
+  getProviderConnectionById: vi.fn(),
+  updateProviderConnection: vi.fn(),
+  deleteProviderConnection: vi.fn(),
+  getComboById: vi.fn(),
+  getComboByName: vi.fn(),
+  createCombo: vi.fn(),
+  updateCombo: vi.fn(),
+  deleteCombo: vi.fn(),
+  getModelAliases: vi.fn(),
+  setModelAlias: vi.fn(),
+  deleteModelAlias: vi.fn(),
+  getConfigManagedAliases: vi.fn(),
+  getPricingOverrides: vi.fn(),
+  updatePricing: vi.fn(),
+  resetPricing: vi.fn(),
+  getSettings: vi.fn(),
+  updateSettings: vi.fn(),
+}));
+
+vi.mock("@/lib/configFile", () => ({
+  isConfigManaged: entity => entity?.managedBy === "config",
+  CONFIG_MANAGED_ERROR: "Managed by the config file",
+}));
+
+import {
+  REDACTED,
+  redactSecrets,
+  diffSnapshots,
+  recordAudit,
+  getAuditEntries,
+  planRevert,
+} from "../../src/lib/auditLog.js";
+
+const admin = { username: "alice", role: "admin" };
+
+describe("redactSecrets()", () => {
+  it("redacts secret strings at any depth", () => {
+    expect(
+      redactSecrets({
+        name: "Work",
+        apiKey: "sk-1",
+        providerSpecificData: { accessToken: "at", clientSecret: "cs" },
+        requireApiKey: true,
+        refreshToken: "",
+      }),
+    ).toEqual({
+      name: "Work",
+      apiKey: REDACTED,
+      providerSpecificData: { accessToken: REDACTED, clientSecret: REDACTED },
+      requireApiKey: true,
+      refreshToken: "",
+    });
+  });
+});
+
+describe("diffSnapshots()", () => {
+  it("keeps changed fields only", () => {
+    expect(
+      diffSnapshots(
+        { name: "a", models: ["x"], updatedAt: "1" },
+        { name: "a", models: ["x", "y"], strategy: "ordered", updatedAt: "2" },
+      ),
+    ).toEqual({
+      before: { models: ["x"], strategy: null },
+      after: { models: ["x", "y"], strategy: "ordered" },
+    });
+  });
+
+  it("returns null without changes", () => {
+    expect(diffSnapshots({ a: 1 }, { a: 1, updatedAt: "now" })).toBeNull();
+  });
+});
+
+describe("recordAudit() / getAuditEntries()", () => {
+  beforeEach(() => {
+    state.dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-log-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(state.dataDir, { recursive: true, force: true });
+  });
+
+  it("writes redacted diffs and reads them newest first", async () => {
+    await recordAudit({
+      user: admin,
+      action: "create",
+      resource: "connection",
+      resourceId: "c1",
+      name: "Work",
+      after: { id: "c1", name: "Work", apiKey: "sk-secret" },
+    });
+    const update = await recordAudit({
+      user: admin,
+      action: "update",
+      resource: "combo",
+      resourceId: "k1",
+      name: "coding",
+      before: { models: ["a"] },
+      after: { models: ["b"] },
+    });
+
+    const raw = fs.readFileSync(path.join(state.dataDir, "audit.log"), "utf8");
+    expect(raw).not.toContain("sk-secret");
+
+    const entries = await getAuditEntries();
+    expect(entries.map(entry => entry.resource)).toEqual([
+      "combo",
+      "connection",
+    ]);
+    expect(entries[0]).toMatchObject({
+      id: update.id,
+      user: "alice",
+      before: { models: ["a"] },
+      after: { models: ["b"] },
+      revertible: true,
+      reverted: false,
+    });
+    expect(entries[1].after.apiKey).toBe(REDACTED);
+  });
+
+  it("skips no-op updates and filters entries", async () => {
+    expect(
+      await recordAudit({
+        user: admin,
+        action: "update",
+        resource: "settings",
+        before: { a: 1 },
+        after: { a: 1 },
+      }),
+    ).toBeNull();
+
+    const original = await recordAudit({
+      user: admin,
+      action: "update",
+      resource: "settings",
+      before: { a: 1 },
+      after: { a: 2 },
+    });
+    await recordAudit({
+      user: { username: "bob", role: "admin" },
+      action: "update",
+      resource: "settings",
+      before: { a: 2 },
+      after: { a: 1 },
+      revertOf: original.id,
+    });
+
+    const byAlice = await getAuditEntries({ user: "alice" });
+    expect(byAlice).toHaveLength(1);
+    expect(byAlice[0].reverted).toBe(true);
+    expect(await getAuditEntries({ resource: "combo" })).toEqual([]);
+  });
+});
+
+describe("planRevert()", () => {
+  const entry = (action, before, after, resource = "combo") => ({
+    id: "e1",
+    action,
+    resource,
+    resourceId: "k1",
+    before,
+    after,
+  });
+
+  it("removes created entities", () => {
+    expect(
+      planRevert(entry("create", null, { name: "c" }), { id: "k1" }),
+    ).toEqual({
+      op: "remove",
+      skipped: [],
+    });
+    expect(planRevert(entry("create", null, {}), null).error).toMatch(
+      /no longer exists/,
+    );
+  });
+
+  it("restores previous values unless changed since", () => {
+    const change = entry("update", { models: ["a"] }, { models: ["b"] });
+    expect(planRevert(change, { models: ["b"] })).toEqual({
+      op: "update",
+      data: { models: ["a"] },
+      skipped: [],
+    });
+    expect(planRevert(change, { models: ["c"] }).error).toMatch(
+      /changed after this entry/,
+    );
+  });
+
+  it("skips redacted fields and refuses secret-only changes", () => {
+    const change = entry(
+      "update",
+      { name: "old", apiKey: REDACTED },
+      { name: "new", apiKey: REDACTED },
+      "connection",
+    );
+    expect(
+      planRevert(change, { name: "new", apiKey: "sk-live" }),
+    ).toMatchObject({
+      op: "update",
+      data: { name: "old" },
+      skipped: ["apiKey"],
+    });
+
+    const secretOnly = entry(
+      "update",
+      { apiKey: REDACTED },
+      { apiKey: REDACTED },
+      "connection",
+    );
+    expect(planRevert(secretOnly, { apiKey: "sk" }).error).toMatch(
+      /Only redacted fields/,
+    );
+  });
+
+  it("recreates deleted combos but not connections", () => {
+    expect(planRevert(entry("delete", { name: "c" }, null), null)).toEqual({
+      op: "restore",
+      data: { name: "c" },
+      skipped: [],
+    });
+    expect(
+      planRevert(
+        entry("delete", { name: "w", apiKey: REDACTED }, null, "connection"),
+        null,
+      ).error,
+    ).toMatch(/cannot be reverted/);
+    expect(
+      planRevert(entry("update", {}, {}, "user"), { id: "u1" }).error,
+    ).toMatch(/cannot be reverted/);
+  });
+});
@@ -0,0 +1,611 @@
+/**
+ * Unit tests for the AWS Bedrock provider
+ *
+ * Tests cover:
+ *  - signRequest(): AWS SigV4 test vector, double-encoded model paths
+ *  - AWS event stream codec: CRC checks, messages split across chunks
+ *  - openai-to-bedrock request translator (Converse body)
+ *  - bedrock-to-openai response translator (stream events + non-streaming)
+ *  - BedrockExecutor against a local stub server (Converse + InvokeModel)
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from "vitest";
+import http from "node:http";
+
+vi.mock("@/lib/usageDb.js", () => ({
+  saveRequestUsage: vi.fn(() => Promise.resolve()),
+  appendRequestLog: vi.fn(() => Promise.resolve()),
+  saveRequestDetail: vi.fn(() => Promise.resolve()),
+  trackPendingRequest: vi.fn(),
+}));
+
+import {
+  bedrockToOpenAIResponse,
+  bedrockToOpenAINonStreamingResponse,
+} from "../../open-sse/translator/response/bedrock-to-openai.js";
+import {
+  encodeMessage,
+  decodeMessage,
+  createEventStreamDecoder,
+} from "../../open-sse/utils/awsEventStream.js";
+// The translator registry loads these with require() in the Next.js bundle
+import { openaiToBedrockRequest } from "../../open-sse/translator/request/openai-to-bedrock.js";
+import { createSSETransformStreamWithLogger } from "../../open-sse/utils/stream.js";
+import { getTargetFormat } from "../../open-sse/services/provider.js";
+import { BedrockExecutor } from "../../open-sse/executors/bedrock.js";
+import { FORMATS } from "../../open-sse/translator/formats.js";
+import { signRequest } from "../../open-sse/utils/awsSigV4.js";
+
+const EXAMPLE_CREDENTIALS = {
+  accessKeyId: "AKIDEXAMPLE",
+  secretAccessKey: "wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY",
+};
+const EXAMPLE_DATE = new Date("2015-08-30T12:36:00Z");
+
+const event = (eventType, payload) =>
+  encodeMessage(
+    {
+      ":event-type": eventType,
+      ":content-type": "application/json",
+      ":message-type": "event",
+    },
+    payload,
+  );
+
+const concat = parts => {
+  const result = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+const readMessages = async (bytes, chunkSize) => {
+  const stream = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        controller.enqueue(bytes.slice(i, i + chunkSize));
+      }
+      controller.close();
+    },
+  });
+  const messages = [];
+  const reader = stream.pipeThrough(createEventStreamDecoder()).getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return messages;
+    messages.push(value);
+  }
+};
+
+describe("signRequest()", () => {
+  it("matches the AWS SigV4 example (IAM ListUsers)", async () => {
+    const headers = await signRequest({
+      method: "GET",
+      url: "https://iam.amazonaws.com/?Action=ListUsers&Version=2010-05-08",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded; charset=utf-8",
+      },
+      service: "iam",
+      region: "us-east-1",
+      credentials: EXAMPLE_CREDENTIALS,
+      date: EXAMPLE_DATE,
+    });
+
+    expect(headers["X-Amz-Date"]).toBe("20150830T123600Z");
+    expect(headers.Authorization).toBe(
+      "AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/iam/aws4_request, SignedHeaders=content-type;host;x-amz-date, Signature=5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7",
+    );
+  });
+
+  it("double-encodes model ids in the canonical path", async () => {
+    const headers = await signRequest({
+      url: "https://bedrock-runtime.us-east-1.amazonaws.com/model/us.anthropic.claude-sonnet-4-5-20250929-v1%3A0/invoke",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: '{"messages":[]}',
+      service: "bedrock",
+      region: "us-east-1",
+      credentials: EXAMPLE_CREDENTIALS,
+      date: EXAMPLE_DATE,
+    });
+
+    expect(headers.Authorization).toContain(
+      "SignedHeaders=accept;content-type;host;x-amz-date, Signature=aa1a11dda69581197d4c9f2b4838efde7d5f1f26426af52ea4bae3d778deccd2",
+    );
+  });
+
+  it("signs the session token when present", async () => {
+    const headers = await signRequest({
+      url: "https://bedrock-runtime.us-east-1.amazonaws.com/model/m/converse",
+      service: "bedrock",
+      region: "us-east-1",
+      credentials: { ...EXAMPLE_CREDENTIALS, sessionToken: "token" },
+      date: EXAMPLE_DATE,
+    });
+
+    expect(headers["X-Amz-Security-Token"]).toBe("token");
+    expect(headers.Authorization).toContain(
+      "SignedHeaders=host;x-amz-date;x-amz-security-token",
+    );
+  });
+});
+
+describe("AWS event stream codec", () => {
+  it("round-trips headers and payload", () => {
+    const decoded = decodeMessage(event("contentBlockDelta", { a: 1 }));
+    expect(decoded.headers[":event-type"]).toBe("contentBlockDelta");
+    expect(JSON.parse(new TextDecoder().decode(decoded.payload))).toEqual({
+      a: 1,
+    });
+  });
+
+  it("uses the IEEE CRC32 for the prelude checksum", () => {
+    const bytes = encodeMessage({}, "");
+    const view = new DataView(bytes.buffer);
+    // 16-byte empty message: prelude is [0,0,0,16][0,0,0,0]
+    expect(view.getUint32(8, false)).toBe(0x05c248eb);
+  });
+
+  it("rejects corrupt messages", () => {
+    const bytes = event("messageStart", { role: "assistant" });
+    bytes[bytes.length - 6] ^= 0xff;
+    expect(() => decodeMessage(bytes)).toThrow("message checksum mismatch");
+  });
+
+  it("reassembles messages split across network chunks", async () => {
+    const bytes = concat([
+      event("messageStart", { role: "assistant" }),
+      event("contentBlockDelta", { delta: { text: "Hi" } }),
+    ]);
+
+    for (const chunkSize of [1, 7, bytes.length]) {
+      const messages = await readMessages(bytes, chunkSize);
+      expect(messages.map(m => m.headers[":event-type"])).toEqual([
+        "messageStart",
+        "contentBlockDelta",
+      ]);
+    }
+  });
+
+  it("errors when the stream ends mid-message", async () => {
+    const bytes = event("messageStart", { role: "assistant" });
+    await expect(
+      readMessages(bytes.slice(0, bytes.length - 3), 8),
+    ).rejects.toThrow("ended mid-message");
+  });
+});
+
+describe("openaiToBedrockRequest()", () => {
+  it("builds a Converse body with merged roles, tools and images", () => {
+    const result = openaiToBedrockRequest(
+      "us.amazon.nova-pro-v1:0",
+      {
+        messages: [
+          { role: "system", content: "Be brief" },
+          {
+            role: "user",
+            content: [
+              { type: "text", text: "What is this?" },
+              {
+                type: "image_url",
+                image_url: { url: "data:image/png;base64,iVBORw0KGgo=" },
+              },
+              {
+                type: "image_url",
+                image_url: { url: "https://example.com/cat.png" },
+              },
+            ],
+          },
+          {
+            role: "assistant",
+            content: null,
+            tool_calls: [
+              {
+                id: "call_1",
+                type: "function",
+                function: { name: "lookup", arguments: '{"q":"cat"}' },
+              },
+            ],
+          },
+          { role: "tool", tool_call_id: "call_1", content: "A cat" },
+          { role: "user", content: "Thanks" },
+        ],
+        max_tokens: 100,
+        temperature: 0.2,
+        stop: "END",
+        tools: [
+          {
+            type: "function",
+            function: {
+              name: "lookup",
+              description: "Look things up",
+              parameters: { type: "object", properties: { q: {} } },
+            },
+          },
+        ],
+        tool_choice: "required",
+      },
+      true,
+    );
+
+    expect(result.system).toEqual([{ text: "Be brief" }]);
+    expect(result.messages).toEqual([
+      {
+        role: "user",
+        content: [
+          { text: "What is this?" },
+          { image: { format: "png", source: { bytes: "iVBORw0KGgo=" } } },
+        ],
+      },
+      {
+        role: "assistant",
+        content: [
+          {
+            toolUse: {
+              toolUseId: "call_1",
+              name: "lookup",
+              input: { q: "cat" },
+            },
+          },
+        ],
+      },
+      {
+        role: "user",
+        content: [
+          { toolResult: { toolUseId: "call_1", content: [{ text: "A cat" }] } },
+          { text: "Thanks" },
+        ],
+      },
+    ]);
+    expect(result.inferenceConfig).toEqual({
+      maxTokens: 100,
+      temperature: 0.2,
+      stopSequences: ["END"],
+    });
+    expect(result.toolConfig).toEqual({
+      tools: [
+        {
+          toolSpec: {
+            name: "lookup",
+            description: "Look things up",
+            inputSchema: { json: { type: "object", properties: { q: {} } } },
+          },
+        },
+      ],
+      toolChoice: { any: {} },
+    });
+    expect(result.model).toBeUndefined();
+  });
+});
+
+describe("bedrockToOpenAIResponse()", () => {
+  it("converts ConverseStream events and emits usage with the finish chunk", () => {
+    const state = { model: "us.amazon.nova-pro-v1:0" };
+    const run = chunk => bedrockToOpenAIResponse(chunk, state);
+
+    expect(
+      run({ messageStart: { role: "assistant" } }).choices[0].delta,
+    ).toEqual({ role: "assistant" });
+    expect(
+      run({
+        contentBlockDelta: { contentBlockIndex: 0, delta: { text: "Hi" } },
+      }).choices[0].delta,
+    ).toEqual({ content: "Hi" });
+    expect(
+      run({
+        contentBlockStart: {
+          contentBlockIndex: 1,
+          start: { toolUse: { toolUseId: "tool_1", name: "lookup" } },
+        },
+      }).choices[0].delta.tool_calls[0],
+    ).toMatchObject({ index: 0, id: "tool_1", function: { name: "lookup" } });
+    expect(
+      run({
+        contentBlockDelta: {
+          contentBlockIndex: 1,
+          delta: { toolUse: { input: '{"q":1}' } },
+        },
+      }).choices[0].delta.tool_calls[0],
+    ).toEqual({ index: 0, function: { arguments: '{"q":1}' } });
+
+    expect(run({ messageStop: { stopReason: "tool_use" } })).toBeNull();
+
+    const final = run({
+      metadata: {
+        usage: { inputTokens: 10, outputTokens: 4, cacheReadInputTokens: 6 },
+      },
+    });
+    expect(final.choices[0].finish_reason).toBe("tool_calls");
+    expect(final.usage).toEqual({
+      prompt_tokens: 16,
+      completion_tokens: 4,
+      total_tokens: 20,
+      prompt_tokens_details: { cached_tokens: 6 },
+    });
+    expect(state.usage.prompt_tokens).toBe(16);
+  });
+
+  it("converts a non-streaming Converse response", () => {
+    const result = bedrockToOpenAINonStreamingResponse({
+      output: {
+        message: {
+          role: "assistant",
+          content: [
+            { reasoningContent: { reasoningText: { text: "Hmm" } } },
+            { text: "Hello" },
+            { toolUse: { toolUseId: "t1", name: "f", input: { a: 1 } } },
+          ],
+        },
+      },
+      stopReason: "max_tokens",
+      usage: { inputTokens: 3, outputTokens: 2, totalTokens: 5 },
+    });
+
+    expect(result.choices[0]).toEqual({
+      index: 0,
+      message: {
+        role: "assistant",
+        content: "Hello",
+        reasoning_content: "Hmm",
+        tool_calls: [
+          {
+            id: "t1",
+            type: "function",
+            function: { name: "f", arguments: '{"a":1}' },
+          },
+        ],
+      },
+      finish_reason: "length",
+    });
+    expect(result.usage.total_tokens).toBe(5);
+  });
+});
+
+describe("BedrockExecutor", () => {
+  let server;
+  let baseUrl;
+  const requests = [];
+  const routes = {};
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => (body += chunk));
+      req.on("end", () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        const route = routes[req.url];
+        if (!route) {
+          res.writeHead(404, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ message: "Unknown route" }));
+          return;
+        }
+        res.writeHead(route.status || 200, { "Content-Type": route.type });
+        // Write in small pieces so frames straddle chunks
+        const bytes = Buffer.from(route.body);
+        for (let i = 0; i < bytes.length; i += 5) {
+          res.write(bytes.subarray(i, i + 5));
+        }
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  const credentials = () => ({
+    apiKey: EXAMPLE_CREDENTIALS.secretAccessKey,
+    providerSpecificData: {
+      accessKeyId: EXAMPLE_CREDENTIALS.accessKeyId,
+      region: "eu-west-1",
+      baseUrl,
+    },
+  });
+
+  it("routes Anthropic models to the Claude format", () => {
+    expect(
+      getTargetFormat(
+        "bedrock",
+        "us.anthropic.claude-sonnet-4-5-20250929-v1:0",
+      ),
+    ).toBe(FORMATS.CLAUDE);
+    expect(getTargetFormat("bedrock", "us.amazon.nova-pro-v1:0")).toBe(
+      FORMATS.BEDROCK,
+    );
+  });
+
+  it("builds regional endpoints without a base URL override", () => {
+    const executor = new BedrockExecutor();
+    expect(
+      executor.buildUrl("us.amazon.nova-pro-v1:0", true, 0, {
+        providerSpecificData: { region: "ap-south-1" },
+      }),
+    ).toBe(
+      "https://bedrock-runtime.ap-south-1.amazonaws.com/model/us.amazon.nova-pro-v1%3A0/converse-stream",
+    );
+  });
+
+  it("streams Converse events as OpenAI chunks", async () => {
+    routes["/model/us.amazon.nova-pro-v1%3A0/converse-stream"] = {
+      type: "application/vnd.amazon.eventstream",
+      body: concat([
+        event("messageStart", { role: "assistant", p: "abc" }),
+        event("contentBlockDelta", {
+          contentBlockIndex: 0,
+          delta: { text: "Hello" },
+        }),
+        event("contentBlockStop", { contentBlockIndex: 0 }),
+        event("messageStop", { stopReason: "end_turn" }),
+        event("metadata", {
+          usage: { inputTokens: 7, outputTokens: 1, totalTokens: 8 },
+          metrics: { latencyMs: 10 },
+        }),
+      ]),
+    };
+
+    const body = {
+      model: "us.amazon.nova-pro-v1:0",
+      stream: true,
+      messages: [{ role: "user", content: [{ text: "Hi" }] }],
+    };
+    const { response, transformedBody } = await new BedrockExecutor().execute({
+      model: "us.amazon.nova-pro-v1:0",
+      body,
+      stream: true,
+      credentials: credentials(),
+    });
+
+    expect(transformedBody).toEqual({ messages: body.messages });
+    const request = requests.at(-1);
+    expect(JSON.parse(request.body)).toEqual({ messages: body.messages });
+    expect(request.headers.authorization).toMatch(
+      /^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE\/\d{8}\/eu-west-1\/bedrock\/aws4_request, SignedHeaders=accept;content-type;host;x-amz-date, Signature=[0-9a-f]{64}$/,
+    );
+    expect(response.headers.get("content-type")).toBe("text/event-stream");
+
+    const output = await new Response(
+      response.body.pipeThrough(
+        createSSETransformStreamWithLogger(
+          FORMATS.BEDROCK,
+          FORMATS.OPENAI,
+          "bedrock",
+          null,
+          null,
+          "us.amazon.nova-pro-v1:0",
+          null,
+          body,
+        ),
+      ),
+    ).text();
+
+    const chunks = output
+      .split("\n\n")
+      .filter(line => line.startsWith("data: {"))
+      .map(line => JSON.parse(line.slice(6)));
+    const text = chunks.map(c => c.choices[0]?.delta?.content || "").join("");
+    expect(text).toBe("Hello");
+    const final = chunks.at(-1);
+    expect(final.choices[0].finish_reason).toBe("stop");
+    expect(final.usage.prompt_tokens).toBeGreaterThanOrEqual(7);
+    expect(output).toContain("data: [DONE]");
+  });
+
+  it("streams InvokeModel chunks as Claude SSE events", async () => {
+    const model = "us.anthropic.claude-haiku-4-5-20251001-v1:0";
+    const claudeEvent = data => ({
+      bytes: Buffer.from(JSON.stringify(data)).toString("base64"),
+    });
+    routes[`/model/${encodeURIComponent(model)}/invoke-with-response-stream`] =
+      {
+        type: "application/vnd.amazon.eventstream",
+        body: concat([
+          event("chunk", claudeEvent({ type: "message_start", message: {} })),
+          event(
+            "chunk",
+            claudeEvent({
+              type: "content_block_delta",
+              index: 0,
+              delta: { type: "text_delta", text: "Hi" },
+            }),
+          ),
+        ]),
+      };
+
+    const { response, transformedBody } = await new BedrockExecutor().execute({
+      model,
+      body: {
+        model,
+        stream: true,
+        max_tokens: 10,
+        system: [
+          {
+            type: "text",
+            text: "sys",
+            cache_control: { type: "ephemeral", ttl: "1h" },
+          },
+        ],
+        messages: [{ role: "user", content: "Hi" }],
+      },
+      stream: true,
+      credentials: credentials(),
+    });
+
+    expect(transformedBody.anthropic_version).toBe("bedrock-2023-05-31");
+    expect(transformedBody.model).toBeUndefined();
+    expect(transformedBody.stream).toBeUndefined();
+    expect(transformedBody.system[0].cache_control).toEqual({
+      type: "ephemeral",
+    });
+
+    const output = await response.text();
+    expect(output).toBe(
+      'event: message_start\ndata: {"type":"message_start","message":{}}\n\n' +
+        'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hi"}}\n\n',
+    );
+  });
+
+  it("passes non-streaming responses through", async () => {
+    routes["/model/us.amazon.nova-lite-v1%3A0/converse"] = {
+      type: "application/json",
+      body: JSON.stringify({ output: { message: { content: [] } } }),
+    };
+
+    const { response } = await new BedrockExecutor().execute({
+      model: "us.amazon.nova-lite-v1:0",
+      body: { messages: [] },
+      stream: false,
+      credentials: credentials(),
+    });
+
+    expect(requests.at(-1).headers.accept).toBe("application/json");
+    expect(await response.json()).toEqual({
+      output: { message: { content: [] } },
+    });
+  });
+
+  it("errors the stream on exception messages", async () => {
+    routes["/model/us.meta.llama3-3-70b-instruct-v1%3A0/converse-stream"] = {
+      type: "application/vnd.amazon.eventstream",
+      body: concat([
+        event("messageStart", { role: "assistant" }),
+        encodeMessage(
+          {
+            ":exception-type": "throttlingException",
+            ":content-type": "application/json",
+            ":message-type": "exception",
+          },
+          { message: "Too many requests" },
+        ),
+      ]),
+    };
+
+    const { response } = await new BedrockExecutor().execute({
+      model: "us.meta.llama3-3-70b-instruct-v1:0",
+      body: { messages: [] },
+      stream: true,
+      credentials: credentials(),
+    });
+
+    await expect(response.text()).rejects.toThrow(
+      "Bedrock throttlingException: Too many requests",
+    );
+  });
+
+  it("returns upstream errors untouched", async () => {
+    const { response } = await new BedrockExecutor().execute({
+      model: "unknown.model",
+      body: { messages: [] },
+      stream: true,
+      credentials: credentials(),
+    });
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ message: "Unknown route" });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for src/sse/handlers/chat.js
+ *
+ * Tests cover:
+ *  - Context summaries — summary model must be in the API key's scope
+ *  - Circuit breaker — early returns free the half-open probe slot
+ *  - Combo races — losers are aborted without an account cooldown
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const auth = vi.hoisted(() => ({
+  getProviderCredentials: vi.fn(async () => ({ connectionId: "conn-1234" })),
+  markAccountUnavailable: vi.fn(async () => ({ shouldFallback: false })),
+  clearAccountError: vi.fn(),
+  extractApiKey: vi.fn(() => "sk-scoped"),
+  isValidApiKey: vi.fn(async () => true),
+  checkApiKeyQuota: vi.fn(async () => null),
+  getApiKeyScope: vi.fn(async () => ({ models: ["anthropic/*"] })),
+  getApiKeyPlugins: vi.fn(async () => []),
+}));
+const models = vi.hoisted(() => ({
+  getModelInfo: vi.fn(async modelStr => {
+    const [provider, model] = modelStr.split("/");
+    return { provider, model };
+  }),
+  getCombo: vi.fn(async () => null),
+  getModelPricing: vi.fn(async () => null),
+  isModelStrInScope: vi.fn(async modelStr => modelStr.startsWith("anthropic/")),
+}));
+const settings = vi.hoisted(() => ({ current: {} }));
+const core = vi.hoisted(() => ({ handleChatCore: vi.fn() }));
+
+vi.mock("../../src/sse/services/auth.js", () => auth);
+vi.mock("../../src/sse/services/model.js", () => models);
+vi.mock("../../src/sse/services/tokenRefresh.js", () => ({
+  updateProviderCredentials: vi.fn(),
+  checkAndRefreshToken: vi.fn(async (_, credentials) => credentials),
+}));
+vi.mock("../../open-sse/handlers/chatCore.js", () => core);
+vi.mock("@/lib/localDb", () => ({
+  getSettings: async () => settings.current,
+  getRoutingRules: async () => [],
+  getSyncedModels: async () => ({}),
+}));
+vi.mock("@/lib/usageDb.js", () => ({
+  saveRequestUsage: vi.fn(() => Promise.resolve()),
+  appendRequestLog: vi.fn(() => Promise.resolve()),
+  saveRequestDetail: vi.fn(() => Promise.resolve()),
+  trackPendingRequest: vi.fn(),
+}));
+vi.mock("@/lib/plugins", () => ({ ensurePluginsLoaded: vi.fn() }));
+vi.mock("../../src/sse/utils/logger.js", () => ({
+  request: vi.fn(),
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  maskKey: key => key,
+}));
+
+import {
+  acquireProbe,
+  isProbeInFlight,
+  releaseProbe,
+} from "../../open-sse/services/circuitBreaker.js";
+import { handleChat } from "../../src/sse/handlers/chat.js";
+
+const chatRequest = () =>
+  new Request("http://localhost/v1/chat/completions", {
+    method: "POST",
+    headers: { Authorization: "Bearer sk-scoped" },
+    body: JSON.stringify({
+      model: "anthropic/claude-sonnet-4",
+      messages: [{ role: "user", content: "hi" }],
+    }),
+  });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  core.handleChatCore.mockResolvedValue({
+    success: true,
+    response: new Response("{}", { status: 200 }),
+  });
+});
+
+describe("handleChat() context summaries", () => {
+  it("summarizes with a summary model in the key's scope", async () => {
+    settings.current = {
+      contextStrategy: "summarize",
+      contextSummaryModel: "anthropic/claude-haiku-4",
+    };
+
+    const response = await handleChat(chatRequest());
+
+    expect(response.status).toBe(200);
+    const { contextWindow } = core.handleChatCore.mock.calls[0][0];
+    expect(contextWindow.summarize).toBeTypeOf("function");
+  });
+
+  it("falls back to truncation when the summary model is out of scope", async () => {
+    settings.current = {
+      contextStrategy: "summarize",
+      contextSummaryModel: "openai/gpt-4o-mini",
+    };
+
+    const response = await handleChat(chatRequest());
+
+    expect(response.status).toBe(200);
+    expect(models.isModelStrInScope).toHaveBeenCalledWith(
+      "openai/gpt-4o-mini",
+      { models: ["anthropic/*"] },
+    );
+    const { contextWindow } = core.handleChatCore.mock.calls[0][0];
+    expect(contextWindow.summarize).toBeUndefined();
+  });
+});
+
+describe("handleChat() half-open probes", () => {
+  const halfOpen = {
+    id: "conn-1234",
+    rateLimitedUntil: new Date(Date.now() - 1000).toISOString(),
+  };
+
+  beforeEach(() => {
+    settings.current = {};
+    releaseProbe(halfOpen.id);
+  });
+
+  it("releases the probe when the prompt exceeds the context window", async () => {
+    expect(acquireProbe(halfOpen)).toBe(true);
+    core.handleChatCore.mockResolvedValue({
+      success: false,
+      status: 400,
+      error: "prompt is too long: 250000 tokens > 200000 maximum",
+      response: new Response("{}", { status: 400 }),
+    });
+
+    const response = await handleChat(chatRequest());
+
+    expect(response.status).toBe(400);
+    expect(auth.markAccountUnavailable).not.toHaveBeenCalled();
+    expect(isProbeInFlight(halfOpen.id)).toBe(false);
+  });
+
+  it("releases the probe when a plugin blocks the request", async () => {
+    expect(acquireProbe(halfOpen)).toBe(true);
+    core.handleChatCore.mockResolvedValue({
+      success: false,
+      blocked: true,
+      status: 403,
+      error: "Blocked",
+      response: new Response("{}", { status: 403 }),
+    });
+
+    const response = await handleChat(chatRequest());
+
+    expect(response.status).toBe(403);
+    expect(auth.markAccountUnavailable).not.toHaveBeenCalled();
+    expect(isProbeInFlight(halfOpen.id)).toBe(false);
+  });
+});
+
+describe("handleChat() combo races", () => {
+  beforeEach(() => {
+    settings.current = {};
+    auth.getApiKeyScope.mockResolvedValueOnce(null);
+    models.getCombo.mockResolvedValueOnce({
+      name: "race-combo",
+      models: ["anthropic/claude-slow", "anthropic/claude-fast"],
+      race: { count: 2, hedgeDelayMs: 0 },
+    });
+  });
+
+  it("aborts losers waiting for headers without a cooldown", async () => {
+    const aborted = [];
+    core.handleChatCore.mockImplementation(async ({ modelInfo, signal }) => {
+      if (modelInfo.model === "claude-fast") {
+        return { success: true, response: new Response("fast") };
+      }
+      await new Promise(resolve =>
+        signal.addEventListener("abort", () => {
+          aborted.push(modelInfo.model);
+          resolve();
+        }),
+      );
+      return {
+        success: false,
+        status: 499,
+        error: "Request aborted",
+        response: new Response("{}", { status: 499 }),
+      };
+    });
+
+    const response = await handleChat(chatRequest());
+
+    expect(await response.text()).toBe("fast");
+    await vi.waitFor(() => expect(aborted).toEqual(["claude-slow"]));
+    await new Promise(r => setTimeout(r, 0));
+    expect(auth.markAccountUnavailable).not.toHaveBeenCalled();
+  });
+});
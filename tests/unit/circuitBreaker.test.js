@@ -0,0 +1,96 @@
+/**
+ * Unit tests for open-sse/services/circuitBreaker.js
+ *
+ * Tests cover:
+ *  - getCircuitState()        — closed / open / half-open from rateLimitedUntil
+ *  - canAttemptConnection()   — single probe while half-open
+ *  - acquireProbe() / releaseProbe() — probe slot lifecycle + timeout
+ *  - getCircuitInfo()         — display details
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+
+import {
+  CIRCUIT_STATE,
+  PROBE_TIMEOUT_MS,
+  getCircuitState,
+  canAttemptConnection,
+  acquireProbe,
+  releaseProbe,
+  getCircuitInfo,
+} from "../../open-sse/services/circuitBreaker.js";
+
+const NOW = new Date("2026-03-15T10:30:00Z").getTime();
+
+const closed = { id: "conn-closed" };
+const open = {
+  id: "conn-open",
+  rateLimitedUntil: new Date(NOW + 30_000).toISOString(),
+};
+const halfOpen = {
+  id: "conn-half-open",
+  rateLimitedUntil: new Date(NOW - 1_000).toISOString(),
+};
+
+beforeEach(() => {
+  for (const conn of [closed, open, halfOpen]) releaseProbe(conn.id);
+});
+
+describe("getCircuitState()", () => {
+  it("derives the state from the cooldown", () => {
+    expect(getCircuitState(closed, NOW)).toBe(CIRCUIT_STATE.CLOSED);
+    expect(getCircuitState({ rateLimitedUntil: null }, NOW)).toBe(
+      CIRCUIT_STATE.CLOSED,
+    );
+    expect(getCircuitState(open, NOW)).toBe(CIRCUIT_STATE.OPEN);
+    expect(getCircuitState(halfOpen, NOW)).toBe(CIRCUIT_STATE.HALF_OPEN);
+  });
+});
+
+describe("canAttemptConnection()", () => {
+  it("lets closed connections through and blocks open ones", () => {
+    expect(canAttemptConnection(closed, NOW)).toBe(true);
+    expect(canAttemptConnection(open, NOW)).toBe(false);
+  });
+
+  it("allows exactly one probe while half-open", () => {
+    expect(canAttemptConnection(halfOpen, NOW)).toBe(true);
+    expect(acquireProbe(halfOpen, NOW)).toBe(true);
+    expect(canAttemptConnection(halfOpen, NOW + 100)).toBe(false);
+
+    releaseProbe(halfOpen.id);
+    expect(canAttemptConnection(halfOpen, NOW + 200)).toBe(true);
+  });
+
+  it("frees a probe slot that never reported back", () => {
+    acquireProbe(halfOpen, NOW);
+    expect(canAttemptConnection(halfOpen, NOW + PROBE_TIMEOUT_MS - 1)).toBe(
+      false,
+    );
+    expect(canAttemptConnection(halfOpen, NOW + PROBE_TIMEOUT_MS)).toBe(true);
+  });
+});
+
+describe("acquireProbe()", () => {
+  it("does not claim a slot for closed or open connections", () => {
+    expect(acquireProbe(closed, NOW)).toBe(false);
+    expect(acquireProbe(open, NOW)).toBe(false);
+    expect(canAttemptConnection(closed, NOW)).toBe(true);
+  });
+});
+
+describe("getCircuitInfo()", () => {
+  it("reports cooldown end and probe status", () => {
+    expect(getCircuitInfo(open, NOW)).toEqual({
+      state: CIRCUIT_STATE.OPEN,
+      openUntil: open.rateLimitedUntil,
+      probeInFlight: false,
+    });
+    acquireProbe(halfOpen, NOW);
+    expect(getCircuitInfo(halfOpen, NOW)).toEqual({
+      state: CIRCUIT_STATE.HALF_OPEN,
+      openUntil: null,
+      probeInFlight: true,
+    });
+  });
+});
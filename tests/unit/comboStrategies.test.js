@@ -0,0 +1,315 @@
+/**
+ * Unit tests for combo routing strategies in open-sse/services/combo.js
+ *
+ * Tests cover:
+ *  - orderComboModels()      — ordered, weighted, round-robin, latency, cost
+ *  - validateComboRouting()  — strategy / weights validation
+ *  - handleComboChat()       — strategy ordering + latency recording
+ *  - getComboRaceConfig() / raceComboModels() — hedged racing
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+import {
+  COMBO_STRATEGIES,
+  orderComboModels,
+  validateComboRouting,
+  recordComboLatency,
+  getComboLatencyP50,
+  getComboRaceConfig,
+  raceComboModels,
+  handleComboChat,
+} from "../../open-sse/services/combo.js";
+
+const MODELS = ["cc/model-a", "cx/model-b", "gc/model-c"];
+
+function makeCombo(overrides = {}) {
+  return {
+    id: `combo-${Math.random().toString(36).slice(2)}`,
+    name: "test-combo",
+    models: MODELS,
+    ...overrides,
+  };
+}
+
+const log = { info: vi.fn(), warn: vi.fn(), debug: vi.fn() };
+
+function delayedStream(text, delayMs, onCancel) {
+  return new ReadableStream({
+    async pull(controller) {
+      await new Promise(r => setTimeout(r, delayMs));
+      controller.enqueue(new TextEncoder().encode(text));
+      controller.close();
+    },
+    cancel(reason) {
+      onCancel?.(reason);
+    },
+  });
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("orderComboModels()", () => {
+  it("keeps list order for ordered strategy and legacy combos", async () => {
+    expect(await orderComboModels(makeCombo())).toEqual(MODELS);
+    expect(await orderComboModels(makeCombo({ strategy: "ordered" }))).toEqual(
+      MODELS,
+    );
+  });
+
+  it("rotates the first model for round-robin", async () => {
+    const combo = makeCombo({ strategy: COMBO_STRATEGIES.ROUND_ROBIN });
+    const first = await orderComboModels(combo);
+    const second = await orderComboModels(combo);
+    const third = await orderComboModels(combo);
+    const fourth = await orderComboModels(combo);
+
+    expect(first[0]).toBe("cc/model-a");
+    expect(second).toEqual(["cx/model-b", "gc/model-c", "cc/model-a"]);
+    expect(third[0]).toBe("gc/model-c");
+    expect(fourth[0]).toBe("cc/model-a");
+  });
+
+  it("picks by weight and keeps zero-weight models as fallback", async () => {
+    const combo = makeCombo({
+      strategy: COMBO_STRATEGIES.WEIGHTED,
+      weights: { "cc/model-a": 0, "cx/model-b": 3, "gc/model-c": 1 },
+    });
+
+    // 0.5 * total(4) = 2 → falls inside model-b's share
+    vi.spyOn(Math, "random").mockReturnValue(0.5);
+    const ordered = await orderComboModels(combo);
+
+    expect(ordered[0]).toBe("cx/model-b");
+    expect(ordered[ordered.length - 1]).toBe("cc/model-a");
+    expect(ordered).toHaveLength(3);
+  });
+
+  it("prefers the lowest p50 latency, unmeasured models first", async () => {
+    const models = ["lat/slow", "lat/fast", "lat/new"];
+    for (const ms of [900, 1000, 1100]) recordComboLatency("lat/slow", ms);
+    for (const ms of [100, 300, 200]) recordComboLatency("lat/fast", ms);
+
+    expect(getComboLatencyP50("lat/fast")).toBe(200);
+    expect(getComboLatencyP50("lat/new")).toBeNull();
+
+    const ordered = await orderComboModels(
+      makeCombo({ strategy: COMBO_STRATEGIES.LATENCY, models }),
+    );
+    expect(ordered).toEqual(["lat/new", "lat/fast", "lat/slow"]);
+  });
+
+  it("prefers the cheapest model and puts unpriced models last", async () => {
+    const pricing = {
+      "cc/model-a": { input: 15, output: 75 },
+      "cx/model-b": { input: 1, output: 4 },
+    };
+    const ordered = await orderComboModels(
+      makeCombo({ strategy: COMBO_STRATEGIES.COST }),
+      { getModelPricing: async m => pricing[m] || null },
+    );
+    expect(ordered).toEqual(["cx/model-b", "cc/model-a", "gc/model-c"]);
+  });
+});
+
+describe("validateComboRouting()", () => {
+  it("accepts valid strategy and weights", () => {
+    expect(
+      validateComboRouting({ strategy: "weighted", weights: { "a/b": 2 } }),
+    ).toBeNull();
+    expect(validateComboRouting({})).toBeNull();
+  });
+
+  it("rejects unknown strategy", () => {
+    expect(validateComboRouting({ strategy: "random" })).toMatch(
+      /Invalid strategy/,
+    );
+  });
+
+  it("rejects negative or non-numeric weights", () => {
+    expect(validateComboRouting({ weights: { "a/b": -1 } })).toMatch(
+      /Invalid weight/,
+    );
+    expect(validateComboRouting({ weights: { "a/b": "2" } })).toMatch(
+      /Invalid weight/,
+    );
+    expect(validateComboRouting({ weights: [] })).toMatch(/must be an object/);
+  });
+
+  it("validates race config", () => {
+    expect(validateComboRouting({ race: { count: 2, hedgeDelayMs: 0 } })).toBe(
+      null,
+    );
+    expect(validateComboRouting({ race: null })).toBeNull();
+    expect(validateComboRouting({ race: { count: 9 } })).toMatch(/Race/);
+    expect(
+      validateComboRouting({ race: { count: 2, hedgeDelayMs: -5 } }),
+    ).toMatch(/hedgeDelayMs/);
+  });
+});
+
+describe("handleComboChat() with strategy", () => {
+  it("tries models in strategy order and falls back on error", async () => {
+    const tried = [];
+    const handleSingleModel = vi.fn(async (body, modelStr) => {
+      tried.push(modelStr);
+      if (modelStr === "cx/model-b") {
+        return new Response(JSON.stringify({ error: "overloaded" }), {
+          status: 503,
+        });
+      }
+      return new Response("{}", { status: 200 });
+    });
+
+    const combo = makeCombo({
+      strategy: COMBO_STRATEGIES.COST,
+      models: ["cc/model-a", "cx/model-b"],
+    });
+    const response = await handleComboChat({
+      body: {},
+      models: combo.models,
+      combo,
+      getModelPricing: async m =>
+        m === "cx/model-b" ? { input: 1, output: 1 } : { input: 5, output: 5 },
+      handleSingleModel,
+      log,
+    });
+
+    expect(response.status).toBe(200);
+    expect(tried).toEqual(["cx/model-b", "cc/model-a"]);
+  });
+});
+
+describe("getComboRaceConfig()", () => {
+  it("is off below two racers and capped at model count", () => {
+    expect(getComboRaceConfig(makeCombo())).toBeNull();
+    expect(getComboRaceConfig(makeCombo({ race: { count: 1 } }))).toBeNull();
+    expect(
+      getComboRaceConfig(makeCombo({ race: { count: 5, hedgeDelayMs: 200 } })),
+    ).toEqual({ count: 3, hedgeDelayMs: 200 });
+  });
+});
+
+describe("raceComboModels()", () => {
+  it("returns the first model to produce a chunk and cancels the loser", async () => {
+    const cancelled = [];
+    const handleSingleModel = vi.fn(
+      async (body, modelStr) =>
+        new Response(
+          delayedStream(modelStr, modelStr === "race/fast" ? 5 : 80, reason =>
+            cancelled.push([modelStr, reason]),
+          ),
+          { status: 200 },
+        ),
+    );
+
+    const { response, failures } = await raceComboModels({
+      body: {},
+      models: ["race/slow", "race/fast"],
+      hedgeDelayMs: 0,
+      handleSingleModel,
+      log,
+    });
+
+    expect(failures).toEqual([]);
+    expect(await response.text()).toBe("race/fast");
+    await new Promise(r => setTimeout(r, 120));
+    expect(cancelled).toEqual([["race/slow", "race_lost"]]);
+  });
+
+  it("aborts losers still waiting for response headers", async () => {
+    const aborted = [];
+    const handleSingleModel = vi.fn(async (body, modelStr, signal) => {
+      if (modelStr === "race/fast") return new Response("race/fast");
+      // Upstream that never sends headers until aborted
+      await new Promise(resolve =>
+        signal.addEventListener("abort", () => {
+          aborted.push([modelStr, signal.reason]);
+          resolve();
+        }),
+      );
+      return new Response(JSON.stringify({ error: "aborted" }), {
+        status: 499,
+      });
+    });
+
+    const { response, failures } = await raceComboModels({
+      body: {},
+      models: ["race/hanging", "race/fast"],
+      hedgeDelayMs: 0,
+      handleSingleModel,
+      log,
+    });
+
+    expect(await response.text()).toBe("race/fast");
+    expect(aborted).toEqual([["race/hanging", "race_lost"]]);
+    expect(failures).toEqual([]);
+  });
+
+  it("does not launch hedged models when the first answers in time", async () => {
+    const handleSingleModel = vi.fn(
+      async () => new Response("ok", { status: 200 }),
+    );
+
+    const { response } = await raceComboModels({
+      body: {},
+      models: ["race/a", "race/b"],
+      hedgeDelayMs: 1000,
+      handleSingleModel,
+      log,
+    });
+
+    expect(await response.text()).toBe("ok");
+    expect(handleSingleModel).toHaveBeenCalledTimes(1);
+  });
+
+  it("launches the next model immediately when one fails", async () => {
+    const handleSingleModel = vi.fn(async (body, modelStr) =>
+      modelStr === "race/a"
+        ? new Response(JSON.stringify({ error: "down" }), { status: 503 })
+        : new Response("b", { status: 200 }),
+    );
+
+    const start = Date.now();
+    const { response, failures } = await raceComboModels({
+      body: {},
+      models: ["race/a", "race/b"],
+      hedgeDelayMs: 5000,
+      handleSingleModel,
+      log,
+    });
+
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(await response.text()).toBe("b");
+    expect(failures).toHaveLength(1);
+    expect(failures[0]).toMatchObject({ modelStr: "race/a", status: 503 });
+  });
+});
+
+describe("handleComboChat() with race", () => {
+  it("falls back sequentially after all racers fail", async () => {
+    const tried = [];
+    const handleSingleModel = vi.fn(async (body, modelStr) => {
+      tried.push(modelStr);
+      if (modelStr === "gc/model-c") return new Response("c", { status: 200 });
+      return new Response(JSON.stringify({ error: "overloaded" }), {
+        status: 503,
+      });
+    });
+
+    const combo = makeCombo({ race: { count: 2, hedgeDelayMs: 0 } });
+    const response = await handleComboChat({
+      body: {},
+      models: combo.models,
+      combo,
+      handleSingleModel,
+      log,
+    });
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe("c");
+    expect(tried.sort()).toEqual([...MODELS].sort());
+  });
+});
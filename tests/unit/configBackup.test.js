@@ -0,0 +1,145 @@
+/**
+ * Unit tests for src/lib/configBackup.js
+ *
+ * Tests cover:
+ *  - createBackup()   — sections, machine-local settings, encryption
+ *  - readBackup()     — format / version checks, passphrase
+ *  - planRestore()    — merge vs replace diff and resulting data
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  createBackup,
+  readBackup,
+  planRestore,
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+} from "../../src/lib/configBackup.js";
+
+const current = {
+  providerConnections: [
+    { id: "c1", provider: "openai", name: "Work", apiKey: "sk-work" },
+    { id: "c2", provider: "claude", name: "Home", accessToken: "tok" },
+  ],
+  providerNodes: [],
+  modelAliases: { fast: "openai/gpt-4o-mini" },
+  mitmAlias: {},
+  combos: [{ id: "k1", name: "coding", models: ["a"] }],
+  apiKeys: [],
+  routingRules: [],
+  pricing: {},
+  settings: { password: "hash", tunnelUrl: "https://a", requireLogin: true },
+  syncedModels: { openai: ["gpt-4o"] },
+};
+
+describe("createBackup()", () => {
+  it("exports config sections without machine-local data", () => {
+    const archive = createBackup(current, {
+      appVersion: "1.2.3",
+      now: new Date("2026-10-19T10:00:00Z"),
+    });
+
+    expect(archive).toMatchObject({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      appVersion: "1.2.3",
+      createdAt: "2026-10-19T10:00:00.000Z",
+      encrypted: false,
+    });
+    expect(archive.data.providerConnections[0].apiKey).toBe("sk-work");
+    expect(archive.data.settings).toEqual({ requireLogin: true });
+    expect(archive.data.syncedModels).toBeUndefined();
+    // The source data is not modified
+    expect(current.settings.password).toBe("hash");
+  });
+
+  it("encrypts the whole archive with a passphrase", () => {
+    const archive = createBackup(current, { passphrase: "pw" });
+    expect(archive.encrypted).toBe(true);
+    expect(JSON.stringify(archive)).not.toContain("sk-work");
+
+    expect(readBackup(archive, { passphrase: "pw" }).combos).toEqual(
+      current.combos,
+    );
+    expect(() => readBackup(archive)).toThrow(/passphrase required/);
+    expect(() => readBackup(archive, { passphrase: "nope" })).toThrow(
+      /Wrong passphrase/,
+    );
+  });
+});
+
+describe("readBackup()", () => {
+  it("rejects other files, newer versions and malformed sections", () => {
+    expect(() => readBackup({ providerConnections: [] })).toThrow(
+      "Not a backup file",
+    );
+    expect(() =>
+      readBackup({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1 }),
+    ).toThrow(/Unsupported backup version/);
+    expect(() =>
+      readBackup({
+        format: BACKUP_FORMAT,
+        version: 1,
+        data: { combos: {} },
+      }),
+    ).toThrow('Backup section "combos" must be a list');
+  });
+});
+
+describe("planRestore()", () => {
+  const sections = {
+    providerConnections: [
+      { id: "c1", provider: "openai", name: "Work", apiKey: "sk-rotated" },
+      { id: "c3", provider: "gemini", name: "Free" },
+    ],
+    combos: [{ id: "other-id", name: "coding", models: ["a"] }],
+    modelAliases: { smart: "claude/sonnet" },
+    settings: { requireLogin: false, password: "ignored" },
+  };
+
+  it("merges by id and reports the changes", () => {
+    const { changes, data } = planRestore(current, sections, "merge");
+
+    expect(changes.providerConnections).toEqual({
+      added: ["Free"],
+      updated: ["Work"],
+      removed: [],
+      unchanged: 0,
+    });
+    // Combos also match by name, so no duplicate "coding" combo
+    expect(changes.combos.updated).toEqual(["coding"]);
+    expect(data.combos).toHaveLength(1);
+    expect(data.providerConnections.map(c => c.id)).toEqual(["c1", "c2", "c3"]);
+    expect(data.providerConnections[0].apiKey).toBe("sk-rotated");
+    expect(data.modelAliases).toEqual({
+      fast: "openai/gpt-4o-mini",
+      smart: "claude/sonnet",
+    });
+    expect(data.settings).toEqual({
+      password: "hash",
+      tunnelUrl: "https://a",
+      requireLogin: false,
+    });
+    // Sections missing from the backup are left alone
+    expect(changes.pricing).toBeUndefined();
+    expect(data.syncedModels).toBe(current.syncedModels);
+  });
+
+  it("replaces sections present in the backup", () => {
+    const { changes, data } = planRestore(current, sections, "replace");
+
+    expect(changes.providerConnections.removed).toEqual(["Home"]);
+    expect(changes.modelAliases.removed).toEqual(["fast"]);
+    expect(data.providerConnections.map(c => c.id)).toEqual(["c1", "c3"]);
+    expect(data.modelAliases).toEqual({ smart: "claude/sonnet" });
+    // Settings are merged even in replace mode
+    expect(data.settings.password).toBe("hash");
+  });
+
+  it("rejects unknown modes", () => {
+    expect(() => planRestore(current, sections, "overwrite")).toThrow(
+      /mode must be one of/,
+    );
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Unit tests for src/lib/configFile.js
+ *
+ * Tests cover:
+ *  - interpolateEnv()         — ${VAR}, ${VAR:-default}, missing variables
+ *  - validateConfig()         — structure, nodes, combos, keys, duplicates
+ *  - buildManagedEntities()   — ids, default priorities, node endpoint data
+ *  - loadConfigFile()         — YAML / JSON files, readable errors
+ *  - resolveConfigFilePath()  — CONFIG_FILE and DATA_DIR lookup
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import path from "node:path";
+import os from "node:os";
+import fs from "node:fs";
+
+// Routing rule validation pulls in the Next.js usage DB
+vi.mock("@/lib/usageDb.js", () => ({
+  saveRequestUsage: vi.fn(),
+  appendRequestLog: vi.fn(),
+}));
+
+import {
+  interpolateEnv,
+  validateConfig,
+  buildManagedEntities,
+  loadConfigFile,
+  resolveConfigFilePath,
+  isConfigManaged,
+} from "../../src/lib/configFile.js";
+
+describe("interpolateEnv()", () => {
+  it("replaces placeholders in nested string values", () => {
+    const { value, errors } = interpolateEnv(
+      {
+        providers: [{ apiKey: "${OPENAI_KEY}", name: "${NAME:-Work}" }],
+        version: 1,
+      },
+      { OPENAI_KEY: "sk-1" },
+    );
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      providers: [{ apiKey: "sk-1", name: "Work" }],
+      version: 1,
+    });
+  });
+
+  it("reports missing variables with their location", () => {
+    const { errors } = interpolateEnv({ apiKeys: [{ key: "${CI_KEY}" }] }, {});
+    expect(errors).toEqual([
+      "apiKeys[0].key: environment variable CI_KEY is not set",
+    ]);
+  });
+});
+
+describe("validateConfig()", () => {
+  it("accepts a complete config", () => {
+    expect(
+      validateConfig({
+        version: 1,
+        providers: [
+          { id: "oa", provider: "openai", apiKey: "sk" },
+          {
+            id: "local",
+            provider: "openai-compatible-chat-local",
+            apiKey: "x",
+          },
+        ],
+        providerNodes: [
+          {
+            id: "openai-compatible-chat-local",
+            type: "openai-compatible",
+            apiType: "chat",
+            name: "Local",
+            prefix: "local",
+            baseUrl: "http://localhost:8000/v1",
+          },
+        ],
+        combos: [{ name: "coding", models: ["openai/gpt-4o"] }],
+        aliases: { fast: "openai/gpt-4o-mini" },
+        routingRules: [
+          { name: "long", target: "openai/gpt-4o", match: { hasTools: true } },
+        ],
+        apiKeys: [{ name: "ci", key: "sk-ci" }],
+      }),
+    ).toEqual([]);
+  });
+
+  it("rejects unknown keys and wrong section types", () => {
+    expect(validateConfig({ version: 2, combo: [], providers: {} })).toEqual([
+      'Unknown key "combo"',
+      "version must be 1",
+      "providers must be a list",
+    ]);
+  });
+
+  it("reports entry errors with their position", () => {
+    const errors = validateConfig({
+      providers: [
+        { id: "a", provider: "openai" },
+        { id: "a", provider: "openai-compatible-chat-missing", apiKey: "x" },
+      ],
+      providerNodes: [
+        {
+          id: "local",
+          type: "openai-compatible",
+          apiType: "chat",
+          name: "Local",
+          prefix: "local",
+          baseUrl: "http://localhost",
+        },
+      ],
+      combos: [{ name: "bad name", models: [] }],
+      apiKeys: [{ name: "ci" }],
+    });
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        "providers[0]: apiKey, accessToken or refreshToken is required",
+        'providers[1]: duplicate id "a"',
+        'providerNodes[0]: id must start with "openai-compatible-chat-"',
+        'providers[1]: provider node "openai-compatible-chat-missing" must be declared in providerNodes',
+        "combos[0]: name is required (letters, numbers, - and _ only)",
+        "apiKeys[0]: key is required",
+      ]),
+    );
+  });
+});
+
+describe("buildManagedEntities()", () => {
+  it("derives stable ids, priorities and node endpoints", () => {
+    const entities = buildManagedEntities({
+      providers: [
+        { id: "oa-1", provider: "openai", apiKey: "sk-1" },
+        { id: "cc", provider: "claude", refreshToken: "rt" },
+        { id: "oa-2", provider: "openai", apiKey: "sk-2", name: "Backup" },
+        { id: "loc", provider: "anthropic-compatible-loc", apiKey: "x" },
+      ],
+      providerNodes: [
+        {
+          id: "anthropic-compatible-loc",
+          type: "anthropic-compatible",
+          name: "Local",
+          prefix: "loc",
+          baseUrl: "http://localhost:8080/",
+        },
+      ],
+      combos: [{ name: "coding", models: ["openai/gpt-4o"] }],
+      routingRules: [{ name: "long", target: "openai/gpt-4o", match: {} }],
+      apiKeys: [{ name: "ci", key: "sk-ci", scope: { models: ["openai/*"] } }],
+    });
+
+    expect(
+      entities.providerConnections.map(c => [c.id, c.priority, c.authType]),
+    ).toEqual([
+      ["oa-1", 1, "apikey"],
+      ["cc", 1, "oauth"],
+      ["oa-2", 2, "apikey"],
+      ["loc", 1, "apikey"],
+    ]);
+    expect(entities.providerConnections[0].name).toBe("oa-1");
+    expect(entities.providerConnections[2].name).toBe("Backup");
+    expect(entities.providerConnections[3].providerSpecificData).toEqual({
+      prefix: "loc",
+      apiType: undefined,
+      baseUrl: "http://localhost:8080",
+      nodeName: "Local",
+    });
+    expect(entities.combos[0]).toMatchObject({
+      id: "config-combo-coding",
+      strategy: "ordered",
+    });
+    expect(entities.routingRules[0].id).toBe("config-rule-long");
+    expect(entities.apiKeys[0]).toMatchObject({
+      id: "config-key-ci",
+      isActive: true,
+      scope: { models: ["openai/*"] },
+    });
+    expect(
+      [
+        ...entities.providerConnections,
+        ...entities.providerNodes,
+        ...entities.combos,
+        ...entities.routingRules,
+        ...entities.apiKeys,
+      ].every(isConfigManaged),
+    ).toBe(true);
+  });
+});
+
+describe("loadConfigFile() / resolveConfigFilePath()", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-file-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("loads YAML with environment placeholders", () => {
+    const file = path.join(dir, "config.yaml");
+    fs.writeFileSync(
+      file,
+      [
+        "version: 1",
+        "providers:",
+        "  - id: work",
+        "    provider: openai",
+        "    apiKey: ${OPENAI_KEY}",
+        "aliases:",
+        "  fast: openai/gpt-4o-mini",
+      ].join("\n"),
+    );
+
+    const { entities, hash } = loadConfigFile(file, { OPENAI_KEY: "sk-env" });
+    expect(entities.providerConnections[0].apiKey).toBe("sk-env");
+    expect(entities.modelAliases).toEqual({ fast: "openai/gpt-4o-mini" });
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(resolveConfigFilePath({ dataDir: dir, env: {} })).toBe(file);
+  });
+
+  it("throws every problem in one error", () => {
+    const file = path.join(dir, "config.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ providers: [{ id: "x", apiKey: "${MISSING}" }] }),
+    );
+    expect(() => loadConfigFile(file, {})).toThrow(
+      /providers\[0\]\.apiKey: environment variable MISSING is not set\n- providers\[0\]: provider is required/,
+    );
+  });
+
+  it("prefers CONFIG_FILE and is off without a file", () => {
+    expect(resolveConfigFilePath({ dataDir: dir, env: {} })).toBeNull();
+    expect(
+      resolveConfigFilePath({ dataDir: dir, env: { CONFIG_FILE: "c.yml" } }),
+    ).toBe(path.resolve("c.yml"));
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * Unit tests for open-sse/services/contextWindow.js
+ *
+ * Tests cover:
+ *  - estimateContextTokens()   — inline base64 counted at a flat cost
+ *  - getModelContextWindow()   — model entry / synced resolver / family fallback
+ *  - isContextLengthError()    — upstream "prompt too long" detection
+ *  - dropOldestTurns()         — keeps system + latest turn, tool pairs intact
+ *  - trimToolResults()         — shortens old tool outputs only
+ *  - fitContextWindow()        — strategies, summary injection, fallbacks
+ */
+
+import { describe, it, expect, vi } from "vitest";
+
+// usageTracking.js (token estimate) pulls in the Next.js usage DB
+vi.mock("@/lib/usageDb.js", () => ({
+  saveRequestUsage: vi.fn(),
+  appendRequestLog: vi.fn(),
+}));
+
+import {
+  estimateContextTokens,
+  getReservedOutputTokens,
+  fitsContextWindow,
+  dropOldestTurns,
+  trimToolResults,
+  fitContextWindow,
+} from "../../open-sse/services/contextWindow.js";
+import { isContextLengthError } from "../../open-sse/services/accountFallback.js";
+import { getModelContextWindow } from "../../open-sse/config/providerModels.js";
+
+// One token per 4 characters with every tokenizer
+const filler = n => "the ".repeat(n / 4);
+
+// ~2500 tokens per turn
+const openaiBody = () => ({
+  model: "gpt-4o",
+  messages: [
+    { role: "system", content: "You are helpful." },
+    { role: "user", content: `first ${filler(10000)}` },
+    {
+      role: "assistant",
+      content: null,
+      tool_calls: [{ id: "t1", type: "function", function: { name: "ls" } }],
+    },
+    { role: "tool", tool_call_id: "t1", content: filler(10000) },
+    { role: "user", content: `second ${filler(10000)}` },
+    { role: "assistant", content: "ok" },
+    { role: "user", content: "latest question" },
+  ],
+});
+
+describe("estimateContextTokens()", () => {
+  it("counts inline base64 payloads at a flat cost", () => {
+    const image = `data:image/png;base64,${"A".repeat(400000)}`;
+    const body = {
+      messages: [
+        {
+          role: "user",
+          content: [{ type: "image_url", image_url: { url: image } }],
+        },
+      ],
+    };
+    expect(estimateContextTokens(body)).toBeLessThan(2000);
+  });
+
+  it("reserves the requested output tokens", () => {
+    expect(getReservedOutputTokens({ max_tokens: 32000 }, 4096)).toBe(32000);
+    expect(getReservedOutputTokens({}, 4096)).toBe(4096);
+  });
+});
+
+describe("getModelContextWindow()", () => {
+  it("uses the family fallback and returns null when unknown", () => {
+    expect(getModelContextWindow("claude", "claude-sonnet-4-5-20250929")).toBe(
+      200000,
+    );
+    expect(getModelContextWindow("gemini-cli", "gemini-2.5-pro")).toBe(1048576);
+    expect(getModelContextWindow("openai", "mystery-model")).toBeNull();
+  });
+
+  it("prefers a synced window over the family fallback", () => {
+    const synced = {
+      anthropic: [{ id: "claude-sonnet-4-5", contextWindow: 1000000 }],
+    };
+    const resolveWindow = vi.fn(
+      (providerId, modelId) =>
+        synced[providerId]?.find(m => m.id === modelId)?.contextWindow || null,
+    );
+
+    expect(
+      getModelContextWindow("anthropic", "claude-sonnet-4-5", resolveWindow),
+    ).toBe(1000000);
+    expect(resolveWindow).toHaveBeenCalledWith(
+      "anthropic",
+      "claude-sonnet-4-5",
+    );
+    // Not synced → family fallback
+    expect(
+      getModelContextWindow("anthropic", "claude-opus-4-1", resolveWindow),
+    ).toBe(200000);
+  });
+});
+
+describe("isContextLengthError()", () => {
+  it("detects prompt-too-long errors on 400 / 413 only", () => {
+    expect(
+      isContextLengthError(400, "prompt is too long: 210000 tokens > 200000"),
+    ).toBe(true);
+    expect(
+      isContextLengthError(400, {
+        error: { code: "context_length_exceeded" },
+      }),
+    ).toBe(true);
+    expect(
+      isContextLengthError(413, "Request exceeds the maximum context"),
+    ).toBe(true);
+    expect(isContextLengthError(400, "invalid tool schema")).toBe(false);
+    expect(isContextLengthError(429, "context length")).toBe(false);
+  });
+});
+
+describe("dropOldestTurns()", () => {
+  it("drops whole turns until the request fits", () => {
+    const { body, dropped } = dropOldestTurns(openaiBody(), 8000, 1000);
+    expect(body.messages.map(m => m.role)).toEqual([
+      "system",
+      "user",
+      "assistant",
+      "user",
+    ]);
+    expect(body.messages[1].content).toMatch(/^second/);
+    // The tool call and its result go together
+    expect(dropped.map(m => m.role)).toEqual(["user", "assistant", "tool"]);
+    expect(fitsContextWindow(body, 8000, 1000)).toBe(true);
+  });
+
+  it("always keeps the latest turn", () => {
+    const { body } = dropOldestTurns(openaiBody(), 100, 0);
+    expect(body.messages).toEqual([
+      { role: "system", content: "You are helpful." },
+      { role: "user", content: "latest question" },
+    ]);
+  });
+
+  it("treats Claude tool_result messages as part of the previous turn", () => {
+    const claude = {
+      messages: [
+        { role: "user", content: `a ${filler(10000)}` },
+        {
+          role: "assistant",
+          content: [{ type: "tool_use", id: "t1", name: "ls", input: {} }],
+        },
+        {
+          role: "user",
+          content: [{ type: "tool_result", tool_use_id: "t1", content: "." }],
+        },
+        { role: "user", content: "latest" },
+      ],
+    };
+    const { body, dropped } = dropOldestTurns(claude, 1000, 0);
+    expect(dropped).toHaveLength(3);
+    expect(body.messages).toEqual([{ role: "user", content: "latest" }]);
+  });
+});
+
+describe("trimToolResults()", () => {
+  it("shortens tool outputs except in the latest turn", () => {
+    const source = openaiBody();
+    source.messages.push({ role: "tool", content: filler(5000) });
+    const { body, trimmed } = trimToolResults(source);
+    expect(trimmed).toBe(true);
+    expect(body.messages[3].content).toMatch(/characters trimmed\]$/);
+    expect(body.messages[3].content.length).toBeLessThan(1100);
+    expect(body.messages.at(-1).content).toHaveLength(5000);
+  });
+});
+
+describe("fitContextWindow()", () => {
+  it("leaves fitting requests and the off strategy alone", async () => {
+    const body = openaiBody();
+    expect(
+      await fitContextWindow(body, {
+        contextWindow: 1000000,
+        strategy: "drop-oldest",
+      }),
+    ).toEqual({ body, applied: [] });
+    expect(
+      await fitContextWindow(body, { contextWindow: 100, strategy: "off" }),
+    ).toEqual({ body, applied: [] });
+  });
+
+  it("trims tool results before dropping turns", async () => {
+    const result = await fitContextWindow(openaiBody(), {
+      sourceFormat: "openai",
+      contextWindow: 7000,
+      reserveTokens: 1000,
+      strategy: "trim-tool-results",
+    });
+    expect(result.applied).toEqual(["trim-tool-results"]);
+    expect(result.body.messages).toHaveLength(7);
+  });
+
+  it("summarizes dropped turns into the system prompt", async () => {
+    const summarize = vi.fn().mockResolvedValue("User asked about files.");
+    const result = await fitContextWindow(openaiBody(), {
+      sourceFormat: "openai",
+      contextWindow: 8000,
+      reserveTokens: 1000,
+      strategy: "summarize",
+      summarize,
+    });
+    expect(result.applied).toEqual(["summarize"]);
+    expect(summarize.mock.calls[0][0]).toMatch(/^user: first/);
+    expect(result.body.messages[1]).toEqual({
+      role: "system",
+      content: "Summary of the earlier conversation:\nUser asked about files.",
+    });
+  });
+
+  it("appends the summary to Claude's system field", async () => {
+    const claude = {
+      system: [{ type: "text", text: "Be brief." }],
+      messages: [
+        { role: "user", content: `a ${filler(10000)}` },
+        { role: "assistant", content: "ok" },
+        { role: "user", content: "latest" },
+      ],
+    };
+    const result = await fitContextWindow(claude, {
+      sourceFormat: "claude",
+      contextWindow: 1000,
+      reserveTokens: 0,
+      strategy: "summarize",
+      summarize: async () => "short",
+    });
+    expect(result.body.system).toHaveLength(2);
+    expect(result.body.system[1].text).toMatch(/short$/);
+    expect(result.body.messages).toHaveLength(1);
+  });
+
+  it("falls back to drop-oldest when summarizing fails", async () => {
+    const result = await fitContextWindow(openaiBody(), {
+      sourceFormat: "openai",
+      contextWindow: 8000,
+      reserveTokens: 1000,
+      strategy: "summarize",
+      summarize: async () => {
+        throw new Error("down");
+      },
+    });
+    expect(result.applied).toEqual(["drop-oldest"]);
+    expect(result.body.messages[1].content).toMatch(/^second/);
+  });
+});
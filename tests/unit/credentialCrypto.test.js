@@ -0,0 +1,192 @@
+/**
+ * Unit tests for src/lib/credentialCrypto.js
+ *
+ * Tests cover:
+ *  - encryptConnectionSecrets()   — secret fields only, idempotent
+ *  - decryptConnectionSecrets()   — roundtrip, plaintext detection
+ *  - resolveMasterKeySource()     — env key, passphrase, key file
+ *  - createEnvelope/openEnvelope  — wrong key fails closed
+ *  - createEncryptedAdapter()     — encrypted on disk, migration of plaintext
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import crypto from "node:crypto";
+import path from "node:path";
+import os from "node:os";
+import fs from "node:fs";
+
+import {
+  isEncryptedValue,
+  encryptConnectionSecrets,
+  decryptConnectionSecrets,
+  resolveMasterKeySource,
+  createEnvelope,
+  openEnvelope,
+  createEncryptedAdapter,
+} from "../../src/lib/credentialCrypto.js";
+
+const connection = {
+  id: "conn-1",
+  provider: "github",
+  name: "Work",
+  accessToken: "gho_access",
+  refreshToken: "ghr_refresh",
+  providerSpecificData: { copilotToken: "tid=copilot", region: "us" },
+};
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "credential-crypto-"));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/** In-memory lowdb-style adapter */
+function memoryAdapter(initial = null) {
+  return {
+    data: initial,
+    async read() {
+      return this.data && JSON.parse(JSON.stringify(this.data));
+    },
+    async write(data) {
+      this.data = JSON.parse(JSON.stringify(data));
+    },
+  };
+}
+
+describe("encryptConnectionSecrets()", () => {
+  it("encrypts secret fields and leaves the rest readable", () => {
+    const key = crypto.randomBytes(32);
+    const [encrypted] = encryptConnectionSecrets([connection], key);
+
+    expect(isEncryptedValue(encrypted.accessToken)).toBe(true);
+    expect(isEncryptedValue(encrypted.refreshToken)).toBe(true);
+    expect(isEncryptedValue(encrypted.providerSpecificData.copilotToken)).toBe(
+      true,
+    );
+    expect(encrypted.name).toBe("Work");
+    expect(encrypted.providerSpecificData.region).toBe("us");
+    expect(JSON.stringify(encrypted)).not.toContain("gho_access");
+    expect(connection.accessToken).toBe("gho_access");
+
+    // Already encrypted values are kept as-is
+    expect(encryptConnectionSecrets([encrypted], key)[0]).toEqual(encrypted);
+  });
+
+  it("roundtrips and reports plaintext values", () => {
+    const key = crypto.randomBytes(32);
+    const encrypted = encryptConnectionSecrets([connection], key);
+    expect(decryptConnectionSecrets(encrypted, key)).toEqual({
+      connections: [connection],
+      plaintextFound: false,
+    });
+    expect(decryptConnectionSecrets([connection], key).plaintextFound).toBe(
+      true,
+    );
+  });
+});
+
+describe("resolveMasterKeySource()", () => {
+  it("prefers CREDENTIALS_KEY, then the passphrase, then the key file", () => {
+    const hex = "ab".repeat(32);
+    expect(
+      resolveMasterKeySource({
+        dataDir: tmpDir,
+        env: { CREDENTIALS_KEY: hex },
+      }),
+    ).toEqual({ source: "env", key: Buffer.from(hex, "hex") });
+    expect(
+      resolveMasterKeySource({
+        dataDir: tmpDir,
+        env: { CREDENTIALS_KEY: "not a key", CREDENTIALS_PASSPHRASE: "x" },
+      }),
+    ).toEqual({ source: "env", passphrase: "not a key" });
+    expect(
+      resolveMasterKeySource({
+        dataDir: tmpDir,
+        env: { CREDENTIALS_PASSPHRASE: "secret" },
+      }),
+    ).toEqual({ source: "passphrase", passphrase: "secret" });
+    expect(resolveMasterKeySource({ dataDir: tmpDir, env: {} })).toEqual({
+      source: "file",
+      keyFile: path.join(tmpDir, "credentials.key"),
+    });
+  });
+});
+
+describe("createEnvelope() / openEnvelope()", () => {
+  it("unwraps with the same passphrase and fails closed otherwise", () => {
+    const source = { source: "passphrase", passphrase: "correct horse" };
+    const { envelope, dataKey } = createEnvelope(source);
+
+    expect(openEnvelope(envelope, source)).toEqual(dataKey);
+    expect(() =>
+      openEnvelope(envelope, { source: "passphrase", passphrase: "wrong" }),
+    ).toThrow(/wrong master key/);
+  });
+
+  it("creates a private key file on first use", () => {
+    const keyFile = path.join(tmpDir, "keys", "credentials.key");
+    const { envelope, dataKey } = createEnvelope({ source: "file", keyFile });
+
+    expect(fs.readFileSync(keyFile, "utf8").trim()).toMatch(/^[0-9a-f]{64}$/);
+    if (process.platform !== "win32") {
+      expect(fs.statSync(keyFile).mode & 0o777).toBe(0o600);
+    }
+    expect(openEnvelope(envelope, { source: "file", keyFile })).toEqual(
+      dataKey,
+    );
+  });
+});
+
+describe("createEncryptedAdapter()", () => {
+  it("keeps secrets encrypted on disk and plaintext in memory", async () => {
+    const inner = memoryAdapter();
+    const adapter = createEncryptedAdapter(inner, {
+      dataDir: tmpDir,
+      env: { CREDENTIALS_PASSPHRASE: "pw" },
+    });
+    await adapter.write({ providerConnections: [connection], settings: {} });
+
+    expect(JSON.stringify(inner.data)).not.toContain("gho_access");
+    expect(inner.data.credentialEncryption).toMatchObject({
+      version: 1,
+      keySource: "passphrase",
+    });
+
+    // A fresh process with the same passphrase can read it back
+    const reopened = createEncryptedAdapter(inner, {
+      dataDir: tmpDir,
+      env: { CREDENTIALS_PASSPHRASE: "pw" },
+    });
+    const data = await reopened.read();
+    expect(data.providerConnections).toEqual([connection]);
+    expect(data.credentialEncryption).toBeUndefined();
+    expect(reopened.needsMigration).toBe(false);
+
+    const wrongKey = createEncryptedAdapter(inner, {
+      dataDir: tmpDir,
+      env: { CREDENTIALS_PASSPHRASE: "nope" },
+    });
+    await expect(wrongKey.read()).rejects.toThrow(/wrong master key/);
+  });
+
+  it("flags plaintext databases for migration", async () => {
+    const inner = memoryAdapter({ providerConnections: [connection] });
+    const adapter = createEncryptedAdapter(inner, { dataDir: tmpDir, env: {} });
+
+    const data = await adapter.read();
+    expect(adapter.needsMigration).toBe(true);
+    expect(data.providerConnections).toEqual([connection]);
+
+    await adapter.write(data);
+    expect(adapter.needsMigration).toBe(false);
+    expect(
+      isEncryptedValue(inner.data.providerConnections[0].accessToken),
+    ).toBe(true);
+    expect(fs.existsSync(path.join(tmpDir, "credentials.key"))).toBe(true);
+  });
+});
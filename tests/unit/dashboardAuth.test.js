@@ -0,0 +1,201 @@
+/**
+ * Unit tests for src/lib/dashboardAuth.js
+ *
+ * Tests cover:
+ *  - hasPermission()      — role / permission table
+ *  - validateUserFields() — usernames and roles
+ *  - requirePermission()  — 401 / 403 / allowed, login disabled
+ *  - API routes           — every management handler is guarded
+ *  - GET /api/settings    — secrets hidden from roles without system:manage
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import path from "node:path";
+import fs from "node:fs";
+
+const cookieStore = { token: null };
+const db = { settings: { requireLogin: true }, sessions: {} };
+
+vi.mock("next/headers", () => ({
+  cookies: async () => ({
+    get: () => (cookieStore.token ? { value: cookieStore.token } : undefined),
+  }),
+}));
+
+vi.mock("next/server", () => ({
+  NextResponse: {
+    json: (body, init) => ({ body, status: init?.status ?? 200 }),
+  },
+}));
+
+vi.mock("@/lib/localDb", () => ({
+  getSettings: async () => db.settings,
+  createSession: async userId => {
+    const id = `sess-${userId}`;
+    db.sessions[id] = userId;
+    return { id, expiresAt: Date.now() + 60_000 };
+  },
+  getSessionUser: async id =>
+    db.sessions[id] ? { id: db.sessions[id], role: db.sessions[id] } : null,
+  deleteSessions: vi.fn(),
+  updateSettings: vi.fn(),
+}));
+
+vi.mock("@/lib/auditLog", () => ({ recordAudit: vi.fn() }));
+
+// Routes import the real module through the "@/" alias
+vi.mock("@/lib/dashboardAuth", () => import("../../src/lib/dashboardAuth.js"));
+
+import {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  validateUserFields,
+  startSession,
+  requirePermission,
+} from "../../src/lib/dashboardAuth.js";
+import { GET as getSettingsRoute } from "../../src/app/api/settings/route.js";
+
+beforeEach(() => {
+  cookieStore.token = null;
+  db.settings = { requireLogin: true };
+  db.sessions = {};
+});
+
+describe("hasPermission()", () => {
+  it("grants admins every permission", () => {
+    expect(PERMISSIONS.every(p => hasPermission("admin", p))).toBe(true);
+  });
+
+  it("limits operators to usage, provider reads and tests", () => {
+    expect(hasPermission("operator", "providers:test")).toBe(true);
+    expect(hasPermission("operator", "providers:write")).toBe(false);
+    expect(hasPermission("operator", "config:read")).toBe(false);
+  });
+
+  it("limits viewers to usage and denies unknown roles", () => {
+    expect(hasPermission("viewer", "usage:read")).toBe(true);
+    expect(hasPermission("viewer", "providers:read")).toBe(false);
+    expect(hasPermission("guest", "dashboard:read")).toBe(false);
+  });
+});
+
+describe("validateUserFields()", () => {
+  it("accepts valid usernames and roles", () => {
+    expect(validateUserFields({ username: "ops.team@x", role: "viewer" })).toBe(
+      null,
+    );
+    expect(validateUserFields({})).toBe(null);
+  });
+
+  it("rejects invalid usernames and roles", () => {
+    expect(validateUserFields({ username: "a b" })).toMatch(/Username/);
+    expect(validateUserFields({ role: "root" })).toBe(
+      `role must be one of: ${ROLES.join(", ")}`,
+    );
+  });
+});
+
+describe("requirePermission()", () => {
+  it("returns 401 without a session", async () => {
+    const { response } = await requirePermission("usage:read");
+    expect(response.status).toBe(401);
+  });
+
+  it("returns 403 when the role lacks the permission", async () => {
+    cookieStore.token = await startSession({ id: "viewer" });
+    const { response } = await requirePermission("providers:write");
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe(
+      "Forbidden: viewer role lacks providers:write",
+    );
+  });
+
+  it("returns the session user when allowed", async () => {
+    cookieStore.token = await startSession({ id: "operator" });
+    const { user, response } = await requirePermission("providers:test");
+    expect(response).toBeUndefined();
+    expect(user).toEqual({ id: "operator", role: "operator" });
+  });
+
+  it("rejects revoked sessions and tampered tokens", async () => {
+    cookieStore.token = await startSession({ id: "admin" });
+    db.sessions = {};
+    expect((await requirePermission("usage:read")).response.status).toBe(401);
+
+    cookieStore.token = "not-a-jwt";
+    expect((await requirePermission("usage:read")).response.status).toBe(401);
+  });
+
+  it("acts as a local admin while login is disabled", async () => {
+    db.settings = { requireLogin: false };
+    const { user } = await requirePermission("users:manage");
+    expect(user).toMatchObject({ id: null, role: "admin" });
+  });
+});
+
+describe("API route guards", () => {
+  const API_DIR = path.resolve(__dirname, "../../src/app/api");
+  // Proxy endpoints authenticate with API keys; the rest run before login
+  const PUBLIC_ROUTES = [
+    /^v1(beta)?\//,
+    /^auth\/(login|logout)\//,
+    /^cloud\//,
+    /^(metrics|init|tags)\//,
+    /^settings\/require-login\//,
+  ];
+
+  const listRoutes = dir =>
+    fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) return listRoutes(full);
+      return entry.name === "route.js" ? [full] : [];
+    });
+
+  it("checks a permission in every management handler", () => {
+    const unguarded = [];
+    for (const file of listRoutes(API_DIR)) {
+      const route = path.relative(API_DIR, file).split(path.sep).join("/");
+      if (PUBLIC_ROUTES.some(re => re.test(route))) continue;
+
+      const source = fs.readFileSync(file, "utf8");
+      const handlers = source.split(
+        /^export async function (?=(?:GET|POST|PUT|PATCH|DELETE)\b)/m,
+      );
+      for (const handler of handlers.slice(1)) {
+        if (!handler.includes("requirePermission(")) {
+          unguarded.push(`${route} ${handler.slice(0, handler.indexOf("("))}`);
+        }
+      }
+    }
+    expect(unguarded).toEqual([]);
+  });
+});
+
+describe("GET /api/settings", () => {
+  const stored = {
+    requireLogin: true,
+    contextStrategy: "off",
+    mitmSudoEncrypted: "iv:ciphertext",
+    cloudSecret: "s3cr3t",
+  };
+
+  it("hides secret fields from viewers", async () => {
+    db.settings = stored;
+    cookieStore.token = await startSession({ id: "viewer" });
+
+    const { body, status } = await getSettingsRoute();
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ requireLogin: true, contextStrategy: "off" });
+    expect(body).not.toHaveProperty("mitmSudoEncrypted");
+    expect(body).not.toHaveProperty("cloudSecret");
+  });
+
+  it("returns every field to admins", async () => {
+    db.settings = stored;
+    cookieStore.token = await startSession({ id: "admin" });
+
+    const { body } = await getSettingsRoute();
+    expect(body).toMatchObject(stored);
+  });
+});
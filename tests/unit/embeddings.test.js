@@ -0,0 +1,98 @@
+/**
+ * Unit tests for src/sse/handlers/embeddings.js
+ *
+ * Tests cover:
+ *  - Per-key quotas — over-limit keys get 429 before any provider call
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const auth = vi.hoisted(() => ({
+  getProviderCredentials: vi.fn(),
+  markAccountUnavailable: vi.fn(),
+  clearAccountError: vi.fn(),
+  extractApiKey: vi.fn(() => "sk-limited"),
+  isValidApiKey: vi.fn(async () => true),
+  getApiKeyScope: vi.fn(async () => null),
+  checkApiKeyQuota: vi.fn(),
+}));
+const core = vi.hoisted(() => ({ handleEmbeddingsCore: vi.fn() }));
+
+vi.mock("../../src/sse/services/auth.js", () => auth);
+vi.mock("../../src/sse/services/tokenRefresh.js", () => ({
+  updateProviderCredentials: vi.fn(),
+  checkAndRefreshToken: vi.fn(async (_, credentials) => credentials),
+}));
+vi.mock("../../src/sse/services/model.js", () => ({
+  getModelInfo: vi.fn(async () => ({
+    provider: "openai",
+    model: "text-embedding-3-small",
+  })),
+}));
+vi.mock("../../open-sse/handlers/embeddingsCore.js", () => core);
+vi.mock("@/lib/localDb", () => ({
+  getSettings: async () => ({ requireApiKey: true }),
+}));
+vi.mock("../../src/sse/utils/logger.js", () => ({
+  request: vi.fn(),
+  debug: vi.fn(),
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn(),
+  maskKey: key => key,
+}));
+
+import { handleEmbeddings } from "../../src/sse/handlers/embeddings.js";
+
+const embeddingsRequest = () =>
+  new Request("http://localhost/v1/embeddings", {
+    method: "POST",
+    headers: { Authorization: "Bearer sk-limited" },
+    body: JSON.stringify({
+      model: "openai/text-embedding-3-small",
+      input: "hi",
+    }),
+  });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+describe("handleEmbeddings() quotas", () => {
+  it("rejects keys over their quota with 429", async () => {
+    auth.checkApiKeyQuota.mockResolvedValue({
+      limit: "tokensPerDay",
+      message: "Daily token limit reached",
+      retryAfter: new Date(Date.now() + 60_000).toISOString(),
+      retryAfterHuman: "reset after 1m",
+    });
+
+    const response = await handleEmbeddings(embeddingsRequest());
+
+    expect(response.status).toBe(429);
+    expect(response.headers.get("Retry-After")).toBe("60");
+    expect((await response.json()).error.message).toMatch(
+      /Daily token limit reached/,
+    );
+    expect(auth.checkApiKeyQuota).toHaveBeenCalledWith("sk-limited");
+    expect(auth.getProviderCredentials).not.toHaveBeenCalled();
+    expect(core.handleEmbeddingsCore).not.toHaveBeenCalled();
+  });
+
+  it("lets keys under their quota through", async () => {
+    auth.checkApiKeyQuota.mockResolvedValue(null);
+    auth.getProviderCredentials.mockResolvedValue({
+      connectionId: "conn-1",
+      apiKey: "sk-openai",
+    });
+    core.handleEmbeddingsCore.mockResolvedValue({
+      success: true,
+      response: new Response("{}", { status: 200 }),
+    });
+
+    const response = await handleEmbeddings(embeddingsRequest());
+
+    expect(response.status).toBe(200);
+    expect(core.handleEmbeddingsCore).toHaveBeenCalledTimes(1);
+  });
+});
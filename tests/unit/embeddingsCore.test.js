@@ -6,6 +6,7 @@
  *  - buildEmbeddingsUrl()      — URL per provider
  *  - buildEmbeddingsHeaders()  — headers per provider
  *  - handleEmbeddingsCore()    — full handler: success, errors, validation
+ *  - handleEmbeddingsCore()    — response cache replay
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
@@ -31,6 +32,7 @@ vi.mock("../../open-sse/utils/proxyFetch.js", () => ({
 }));
 
 import { handleEmbeddingsCore } from "../../open-sse/handlers/embeddingsCore.js";
+import { clearResponseCache } from "../../open-sse/services/responseCache.js";
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -699,3 +701,44 @@ describe("handleEmbeddingsCore — token refresh on 401/403", () => {
     expect(result.success).toBe(false);
   });
 });
+
+// ─── Test: response cache ────────────────────────────────────────────────────
+
+describe("handleEmbeddingsCore — response cache", () => {
+  beforeEach(() => {
+    vi.stubGlobal("fetch", vi.fn());
+    clearResponseCache();
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const responseCache = { ttlMs: 60000, maxEntries: 10, namespace: "test" };
+
+  it("replays an identical request from cache without calling upstream", async () => {
+    vi.mocked(fetch).mockResolvedValueOnce(
+      makeProviderResponse(VALID_EMBEDDING_RESPONSE),
+    );
+
+    const first = await handleEmbeddingsCore(makeOptions({ responseCache }));
+    expect(first.response.headers.get("X-Cache")).toBe("MISS");
+    const firstBody = await first.response.json();
+
+    const second = await handleEmbeddingsCore(makeOptions({ responseCache }));
+    expect(second.success).toBe(true);
+    expect(second.response.headers.get("X-Cache")).toBe("HIT");
+    expect(await second.response.json()).toEqual(firstBody);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not cache when responseCache is not set", async () => {
+    vi.mocked(fetch)
+      .mockResolvedValueOnce(makeProviderResponse(VALID_EMBEDDING_RESPONSE))
+      .mockResolvedValueOnce(makeProviderResponse(VALID_EMBEDDING_RESPONSE));
+
+    await (await handleEmbeddingsCore(makeOptions())).response.json();
+    await (await handleEmbeddingsCore(makeOptions())).response.json();
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+});
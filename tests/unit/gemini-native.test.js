@@ -0,0 +1,495 @@
+/**
+ * Unit tests for native Gemini clients on /v1beta/models/{model}:{action}
+ *
+ * Tests cover:
+ *  - openai-to-gemini response translator (stream chunks + non-streaming)
+ *  - SSE transform stream in Gemini mode (no [DONE] sentinel)
+ *  - gemini-to-openai request: functionCall ids, thought parts
+ *  - countTokensCore() with Gemini bodies
+ *  - handleGeminiModelAction(): JSON-array streaming, embedContent, countTokens
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+vi.mock("@/lib/usageDb.js", () => ({
+  saveRequestUsage: vi.fn(() => Promise.resolve()),
+  appendRequestLog: vi.fn(() => Promise.resolve()),
+  saveRequestDetail: vi.fn(() => Promise.resolve()),
+  trackPendingRequest: vi.fn(),
+}));
+
+const handlers = vi.hoisted(() => ({
+  handleChat: vi.fn(),
+  handleEmbeddings: vi.fn(),
+  handleGeminiCountTokens: vi.fn(),
+}));
+vi.mock("../../src/sse/handlers/chat.js", () => ({
+  handleChat: handlers.handleChat,
+}));
+vi.mock("../../src/sse/handlers/embeddings.js", () => ({
+  handleEmbeddings: handlers.handleEmbeddings,
+}));
+vi.mock("../../src/sse/handlers/countTokens.js", () => ({
+  handleGeminiCountTokens: handlers.handleGeminiCountTokens,
+}));
+vi.mock("../../src/sse/utils/logger.js", () => ({
+  warn: vi.fn(),
+  debug: vi.fn(),
+  info: vi.fn(),
+}));
+
+import {
+  openaiToGeminiResponse,
+  openaiToGeminiNonStreamingResponse,
+} from "../../open-sse/translator/response/openai-to-gemini.js";
+import {
+  handleGeminiModelAction,
+  parseModelAction,
+} from "../../src/sse/handlers/gemini.js";
+// The translator registry loads these with require() in the Next.js bundle
+import { geminiToOpenAIRequest } from "../../open-sse/translator/request/gemini-to-openai.js";
+import { createSSETransformStreamWithLogger } from "../../open-sse/utils/stream.js";
+import { countTokensCore } from "../../open-sse/handlers/countTokensCore.js";
+import "../../open-sse/translator/request/openai-to-gemini.js";
+import { FORMATS } from "../../open-sse/translator/formats.js";
+
+const sse = chunks =>
+  chunks
+    .map(c => `data: ${typeof c === "string" ? c : JSON.stringify(c)}\n\n`)
+    .join("");
+
+const streamOf = text =>
+  new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode(text));
+      controller.close();
+    },
+  });
+
+const openaiChunk = (delta, finish_reason = null, extra = {}) => ({
+  id: "chatcmpl-1",
+  model: "gpt-4o",
+  choices: [{ index: 0, delta, finish_reason }],
+  ...extra,
+});
+
+describe("openaiToGeminiResponse()", () => {
+  it("maps text, thought parts and finish with usage", () => {
+    const state = {};
+
+    expect(
+      openaiToGeminiResponse(openaiChunk({ role: "assistant" }), state),
+    ).toBeNull();
+    expect(
+      openaiToGeminiResponse(
+        openaiChunk({ reasoning_content: "Thinking", content: "Hi" }),
+        state,
+      ),
+    ).toEqual({
+      candidates: [
+        {
+          content: {
+            role: "model",
+            parts: [{ thought: true, text: "Thinking" }, { text: "Hi" }],
+          },
+          index: 0,
+        },
+      ],
+      modelVersion: "gpt-4o",
+      responseId: "chatcmpl-1",
+    });
+
+    const finish = openaiToGeminiResponse(
+      openaiChunk({}, "length", {
+        usage: {
+          prompt_tokens: 10,
+          completion_tokens: 8,
+          total_tokens: 18,
+          completion_tokens_details: { reasoning_tokens: 3 },
+          prompt_tokens_details: { cached_tokens: 4 },
+        },
+      }),
+      state,
+    );
+    expect(finish.candidates[0].finishReason).toBe("MAX_TOKENS");
+    expect(finish.usageMetadata).toEqual({
+      promptTokenCount: 10,
+      candidatesTokenCount: 5,
+      totalTokenCount: 18,
+      thoughtsTokenCount: 3,
+      cachedContentTokenCount: 4,
+    });
+  });
+
+  it("emits accumulated tool calls as functionCall parts at finish", () => {
+    const state = {};
+    const first = openaiToGeminiResponse(
+      openaiChunk({
+        tool_calls: [
+          {
+            index: 0,
+            id: "call_1",
+            function: { name: "get_weather", arguments: '{"ci' },
+          },
+        ],
+      }),
+      state,
+    );
+    expect(first).toBeNull();
+    openaiToGeminiResponse(
+      openaiChunk({
+        tool_calls: [{ index: 0, function: { arguments: 'ty":"Paris"}' } }],
+      }),
+      state,
+    );
+
+    const finish = openaiToGeminiResponse(openaiChunk({}, "tool_calls"), state);
+    expect(finish.candidates[0]).toEqual({
+      content: {
+        role: "model",
+        parts: [
+          {
+            functionCall: {
+              id: "call_1",
+              name: "get_weather",
+              args: { city: "Paris" },
+            },
+          },
+        ],
+      },
+      index: 0,
+      finishReason: "STOP",
+    });
+  });
+
+  it("sends usage that follows the finish chunk as a usage-only chunk", () => {
+    const state = {};
+    openaiToGeminiResponse(openaiChunk({ content: "ok" }, "stop"), state);
+
+    const usageChunk = openaiToGeminiResponse(
+      {
+        id: "chatcmpl-1",
+        choices: [],
+        usage: { prompt_tokens: 2, completion_tokens: 1 },
+      },
+      state,
+    );
+    expect(usageChunk).toEqual({
+      usageMetadata: {
+        promptTokenCount: 2,
+        candidatesTokenCount: 1,
+        totalTokenCount: 3,
+      },
+      modelVersion: "gpt-4o",
+      responseId: "chatcmpl-1",
+    });
+  });
+});
+
+describe("openaiToGeminiNonStreamingResponse()", () => {
+  it("converts a chat completion to a generateContent response", () => {
+    const result = openaiToGeminiNonStreamingResponse({
+      id: "chatcmpl-9",
+      model: "claude-sonnet-4",
+      choices: [
+        {
+          index: 0,
+          message: {
+            role: "assistant",
+            content: "Let me check.",
+            reasoning_content: "User wants weather",
+            tool_calls: [
+              {
+                id: "call_9",
+                type: "function",
+                function: { name: "get_weather", arguments: '{"city":"Oslo"}' },
+              },
+            ],
+          },
+          finish_reason: "tool_calls",
+        },
+      ],
+      usage: { prompt_tokens: 20, completion_tokens: 7, total_tokens: 27 },
+    });
+
+    expect(result).toEqual({
+      candidates: [
+        {
+          content: {
+            role: "model",
+            parts: [
+              { thought: true, text: "User wants weather" },
+              { text: "Let me check." },
+              {
+                functionCall: {
+                  id: "call_9",
+                  name: "get_weather",
+                  args: { city: "Oslo" },
+                },
+              },
+            ],
+          },
+          finishReason: "STOP",
+          index: 0,
+        },
+      ],
+      modelVersion: "claude-sonnet-4",
+      responseId: "chatcmpl-9",
+      usageMetadata: {
+        promptTokenCount: 20,
+        candidatesTokenCount: 7,
+        totalTokenCount: 27,
+      },
+    });
+  });
+});
+
+describe("SSE transform stream for Gemini clients", () => {
+  it("translates OpenAI chunks without the [DONE] sentinel", async () => {
+    const upstream = sse([
+      openaiChunk({ content: "Hello" }),
+      openaiChunk({}, "stop", {
+        usage: { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6 },
+      }),
+      "[DONE]",
+    ]);
+
+    const output = await new Response(
+      streamOf(upstream).pipeThrough(
+        createSSETransformStreamWithLogger(
+          FORMATS.OPENAI,
+          FORMATS.GEMINI,
+          "openai",
+          null,
+          null,
+          "gpt-4o",
+          null,
+          { contents: [] },
+        ),
+      ),
+    ).text();
+
+    expect(output).not.toContain("[DONE]");
+    const events = output
+      .split("\n\n")
+      .filter(Boolean)
+      .map(line => JSON.parse(line.slice(6)));
+    expect(events[0].candidates[0].content.parts).toEqual([{ text: "Hello" }]);
+    expect(events[1].candidates[0].finishReason).toBe("STOP");
+    expect(events[1].usageMetadata.promptTokenCount).toBe(5);
+  });
+});
+
+describe("geminiToOpenAIRequest()", () => {
+  it("keeps functionCall ids and drops echoed thought parts", () => {
+    const result = geminiToOpenAIRequest(
+      "gpt-4o",
+      {
+        contents: [
+          { role: "user", parts: [{ text: "Weather?" }] },
+          {
+            role: "model",
+            parts: [
+              { thought: true, text: "Should call the tool" },
+              { functionCall: { id: "call_1", name: "get_weather", args: {} } },
+            ],
+          },
+          {
+            role: "user",
+            parts: [
+              {
+                functionResponse: {
+                  id: "call_1",
+                  name: "get_weather",
+                  response: { result: "sunny" },
+                },
+              },
+            ],
+          },
+        ],
+      },
+      true,
+    );
+
+    expect(result.messages[1]).toEqual({
+      role: "assistant",
+      tool_calls: [
+        {
+          id: "call_1",
+          type: "function",
+          function: { name: "get_weather", arguments: "{}" },
+        },
+      ],
+    });
+    expect(result.messages[2].tool_call_id).toBe("call_1");
+  });
+});
+
+describe("countTokensCore() with Gemini bodies", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("sends Gemini contents to the native countTokens endpoint", async () => {
+    fetchMock.mockResolvedValue(
+      new Response(JSON.stringify({ totalTokens: 42 }), { status: 200 }),
+    );
+    const contents = [{ role: "user", parts: [{ text: "Hello there" }] }];
+
+    const result = await countTokensCore({
+      body: { model: "gemini-2.5-flash", contents },
+      format: FORMATS.GEMINI,
+      modelInfo: { provider: "gemini", model: "gemini-2.5-flash" },
+      credentials: { apiKey: "g-key" },
+    });
+
+    expect(result).toEqual({ inputTokens: 42, source: "provider" });
+    const payload = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(payload.generateContentRequest.contents).toEqual(contents);
+  });
+
+  it("counts Gemini bodies locally without credentials", async () => {
+    const result = await countTokensCore({
+      body: { contents: [{ role: "user", parts: [{ text: "Hello there" }] }] },
+      format: FORMATS.GEMINI,
+      modelInfo: { provider: null, model: "gemini-2.5-flash" },
+      credentials: null,
+    });
+
+    expect(result.source).toBe("tokenizer");
+    expect(result.inputTokens).toBeGreaterThan(0);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("handleGeminiModelAction()", () => {
+  const post = (url, body, headers = {}) =>
+    new Request(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    });
+
+  beforeEach(() => {
+    Object.values(handlers).forEach(fn => fn.mockReset());
+  });
+
+  it("parses provider-prefixed model paths", () => {
+    expect(
+      parseModelAction(["openai", "gpt-4o:streamGenerateContent"]),
+    ).toEqual({ model: "openai/gpt-4o", action: "streamGenerateContent" });
+    expect(parseModelAction(["gemini-2.5-flash"])).toBeNull();
+  });
+
+  it("forwards generateContent as a non-streaming chat request", async () => {
+    handlers.handleChat.mockResolvedValue(Response.json({ candidates: [] }));
+
+    await handleGeminiModelAction(
+      post(
+        "http://localhost/v1beta/models/openai/gpt-4o:generateContent",
+        { contents: [{ role: "user", parts: [{ text: "Hi" }] }] },
+        { "x-goog-api-key": "sk-router" },
+      ),
+      ["openai", "gpt-4o:generateContent"],
+    );
+
+    const forwarded = handlers.handleChat.mock.calls[0][0];
+    expect(forwarded.headers.get("Authorization")).toBe("Bearer sk-router");
+    expect(await forwarded.json()).toEqual({
+      contents: [{ role: "user", parts: [{ text: "Hi" }] }],
+      model: "openai/gpt-4o",
+      stream: false,
+    });
+  });
+
+  it("returns a JSON array stream unless alt=sse is requested", async () => {
+    const chunks = [
+      { candidates: [{ content: { parts: [{ text: "a" }] } }] },
+      {
+        candidates: [
+          { content: { parts: [{ text: "b" }] }, finishReason: "STOP" },
+        ],
+      },
+    ];
+    const sseResponse = () =>
+      new Response(streamOf(sse(chunks)), {
+        headers: { "Content-Type": "text/event-stream" },
+      });
+    const body = { contents: [{ role: "user", parts: [{ text: "Hi" }] }] };
+    const path = ["gpt-4o:streamGenerateContent"];
+
+    handlers.handleChat.mockResolvedValueOnce(sseResponse());
+    const array = await handleGeminiModelAction(
+      post("http://localhost/v1beta/models/gpt-4o:streamGenerateContent", body),
+      path,
+    );
+    expect(array.headers.get("Content-Type")).toBe("application/json");
+    expect(JSON.parse(await array.text())).toEqual(chunks);
+
+    handlers.handleChat.mockResolvedValueOnce(sseResponse());
+    const stream = await handleGeminiModelAction(
+      post(
+        "http://localhost/v1beta/models/gpt-4o:streamGenerateContent?alt=sse",
+        body,
+      ),
+      path,
+    );
+    expect(stream.headers.get("Content-Type")).toBe("text/event-stream");
+    expect((await handlers.handleChat.mock.calls[1][0].json()).stream).toBe(
+      true,
+    );
+  });
+
+  it("maps embedContent onto the embeddings pipeline", async () => {
+    handlers.handleEmbeddings.mockResolvedValue(
+      Response.json({ data: [{ embedding: [0.1, 0.2] }] }),
+    );
+
+    const response = await handleGeminiModelAction(
+      post(
+        "http://localhost/v1beta/models/gemini/text-embedding-004:embedContent",
+        {
+          content: { parts: [{ text: "Hello" }, { text: " world" }] },
+          outputDimensionality: 256,
+        },
+      ),
+      ["gemini", "text-embedding-004:embedContent"],
+    );
+
+    expect(await handlers.handleEmbeddings.mock.calls[0][0].json()).toEqual({
+      model: "gemini/text-embedding-004",
+      input: "Hello world",
+      dimensions: 256,
+    });
+    expect(await response.json()).toEqual({
+      embedding: { values: [0.1, 0.2] },
+    });
+  });
+
+  it("routes countTokens and rejects unknown actions", async () => {
+    handlers.handleGeminiCountTokens.mockResolvedValue(
+      Response.json({ totalTokens: 3 }),
+    );
+    const body = { contents: [{ role: "user", parts: [{ text: "Hi" }] }] };
+
+    const counted = await handleGeminiModelAction(
+      post("http://localhost/v1beta/models/gpt-4o:countTokens", body),
+      ["gpt-4o:countTokens"],
+    );
+    expect(await counted.json()).toEqual({ totalTokens: 3 });
+    expect(handlers.handleGeminiCountTokens.mock.calls[0][1]).toBe("gpt-4o");
+
+    const unknown = await handleGeminiModelAction(
+      post("http://localhost/v1beta/models/gpt-4o:predict", body),
+      ["gpt-4o:predict"],
+    );
+    expect(unknown.status).toBe(400);
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * Unit tests for open-sse/handlers/imagesCore.js
+ *
+ * Tests cover:
+ *  - sizeToAspectRatio()  — OpenAI size → nearest supported aspect ratio
+ *  - supportsImageTask()  — which providers / models can generate or edit
+ *  - handleImagesCore()   — OpenAI / Gemini / Imagen / NanoBanana requests,
+ *                           response_format conversion, usage recording
+ *  - calculateUsageCost() — per-image rate
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const usageDb = vi.hoisted(() => ({
+  saveRequestUsage: vi.fn(() => Promise.resolve()),
+  appendRequestLog: vi.fn(() => Promise.resolve()),
+}));
+vi.mock("@/lib/usageDb.js", () => usageDb);
+
+import {
+  IMAGE_TASKS,
+  sizeToAspectRatio,
+  supportsImageTask,
+  handleImagesCore,
+} from "../../open-sse/handlers/imagesCore.js";
+import { calculateUsageCost } from "../../open-sse/utils/usageCost.js";
+
+const jsonResponse = (data, status = 200) =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+const generation = (overrides = {}) => ({
+  prompt: "a red fox",
+  n: 1,
+  size: null,
+  responseFormat: null,
+  body: { model: "img", prompt: "a red fox" },
+  ...overrides,
+});
+
+describe("sizeToAspectRatio()", () => {
+  it("picks the closest supported ratio", () => {
+    expect(sizeToAspectRatio("1024x1024")).toBe("1:1");
+    expect(sizeToAspectRatio("1792x1024")).toBe("16:9");
+    expect(sizeToAspectRatio("1024x1536")).toBe("2:3");
+    expect(sizeToAspectRatio("1024x1536", ["1:1", "3:4", "9:16"])).toBe("3:4");
+  });
+
+  it("returns null without a pixel size", () => {
+    expect(sizeToAspectRatio(null)).toBeNull();
+    expect(sizeToAspectRatio("auto")).toBeNull();
+  });
+});
+
+describe("supportsImageTask()", () => {
+  it("limits edits to providers that accept uploads", () => {
+    const { GENERATION, EDIT } = IMAGE_TASKS;
+    expect(supportsImageTask("openai-compatible-x", EDIT)).toBe(true);
+    expect(supportsImageTask("gemini", EDIT, "gemini-2.5-flash-image")).toBe(
+      true,
+    );
+    expect(supportsImageTask("gemini", EDIT, "imagen-4.0-generate-001")).toBe(
+      false,
+    );
+    expect(supportsImageTask("nanobanana", GENERATION)).toBe(true);
+    expect(supportsImageTask("nanobanana", EDIT)).toBe(false);
+    expect(supportsImageTask("claude", GENERATION)).toBe(false);
+  });
+});
+
+describe("handleImagesCore()", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    usageDb.saveRequestUsage.mockClear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("passes OpenAI generations through with the upstream model", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({
+        created: 1,
+        data: [{ url: "https://img/1.png", revised_prompt: "a red fox, 4k" }],
+      }),
+    );
+
+    const result = await handleImagesCore({
+      task: IMAGE_TASKS.GENERATION,
+      input: generation(),
+      modelInfo: { provider: "openai", model: "dall-e-3" },
+      credentials: { apiKey: "sk" },
+      connectionId: "conn-1",
+      endpoint: "/v1/images/generations",
+    });
+
+    const body = await result.response.json();
+    expect(body.data).toEqual([
+      { url: "https://img/1.png", revised_prompt: "a red fox, 4k" },
+    ]);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.openai.com/v1/images/generations");
+    expect(init.headers.Authorization).toBe("Bearer sk");
+    expect(JSON.parse(init.body).model).toBe("dall-e-3");
+    expect(usageDb.saveRequestUsage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        provider: "openai",
+        model: "dall-e-3",
+        connectionId: "conn-1",
+        endpoint: "/v1/images/generations",
+        tokens: { prompt_tokens: 0, completion_tokens: 0, images: 1 },
+      }),
+    );
+  });
+
+  it("sends OpenAI-compatible edits as multipart to the node base URL", async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ data: [{ b64_json: "QQ==" }] }));
+    const image = new File([new Uint8Array([1])], "in.png", {
+      type: "image/png",
+    });
+    const form = new FormData();
+    form.append("image", image);
+    form.append("prompt", "add a hat");
+    form.append("model", "oc/edit");
+
+    await handleImagesCore({
+      task: IMAGE_TASKS.EDIT,
+      input: { ...generation(), form, images: [image] },
+      modelInfo: { provider: "openai-compatible-local", model: "edit" },
+      credentials: {
+        apiKey: "k",
+        providerSpecificData: { baseUrl: "http://localhost:8080/v1/" },
+      },
+    });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("http://localhost:8080/v1/images/edits");
+    expect(init.headers["Content-Type"]).toBeUndefined();
+    expect(init.body.get("model")).toBe("edit");
+    expect(init.body.get("image").name).toBe("in.png");
+  });
+
+  it("makes one Gemini generateContent call per image", async () => {
+    fetchMock.mockImplementation(async () =>
+      jsonResponse({
+        candidates: [
+          {
+            content: {
+              parts: [
+                { text: "Here you go" },
+                { inlineData: { mimeType: "image/png", data: "iVBOR" } },
+              ],
+            },
+          },
+        ],
+        usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 1290 },
+      }),
+    );
+
+    const result = await handleImagesCore({
+      task: IMAGE_TASKS.GENERATION,
+      input: generation({ n: 2, size: "1792x1024", responseFormat: "url" }),
+      modelInfo: { provider: "gemini", model: "gemini-2.5-flash-image" },
+      credentials: { apiKey: "g-key" },
+    });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent",
+    );
+    expect(init.headers["x-goog-api-key"]).toBe("g-key");
+    expect(JSON.parse(init.body)).toEqual({
+      contents: [{ role: "user", parts: [{ text: "a red fox" }] }],
+      generationConfig: {
+        responseModalities: ["TEXT", "IMAGE"],
+        imageConfig: { aspectRatio: "16:9" },
+      },
+    });
+
+    const body = await result.response.json();
+    expect(body.data).toEqual([
+      { url: "data:image/png;base64,iVBOR" },
+      { url: "data:image/png;base64,iVBOR" },
+    ]);
+    expect(usageDb.saveRequestUsage.mock.calls[0][0].tokens).toEqual({
+      prompt_tokens: 10,
+      completion_tokens: 2580,
+      images: 2,
+    });
+  });
+
+  it("sends uploaded images to Gemini as inline data for edits", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({
+        candidates: [
+          { content: { parts: [{ inlineData: { data: "AAAA" } }] } },
+        ],
+      }),
+    );
+    const image = new File([new Uint8Array([104, 105])], "in.jpg", {
+      type: "image/jpeg",
+    });
+
+    await handleImagesCore({
+      task: IMAGE_TASKS.EDIT,
+      input: { ...generation({ prompt: "make it blue" }), images: [image] },
+      modelInfo: { provider: "gemini", model: "gemini-2.5-flash-image" },
+      credentials: { apiKey: "g-key" },
+    });
+
+    const { contents } = JSON.parse(fetchMock.mock.calls[0][1].body);
+    expect(contents[0].parts).toEqual([
+      { inlineData: { mimeType: "image/jpeg", data: "aGk=" } },
+      { text: "make it blue" },
+    ]);
+  });
+
+  it("uses predict with sampleCount for Imagen models", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({
+        predictions: [
+          { bytesBase64Encoded: "AAA", mimeType: "image/png" },
+          { bytesBase64Encoded: "BBB", mimeType: "image/png" },
+        ],
+      }),
+    );
+
+    const result = await handleImagesCore({
+      task: IMAGE_TASKS.GENERATION,
+      input: generation({
+        n: 2,
+        size: "1024x1536",
+        responseFormat: "b64_json",
+      }),
+      modelInfo: { provider: "gemini", model: "imagen-4.0-generate-001" },
+      credentials: { apiKey: "g-key" },
+    });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "https://generativelanguage.googleapis.com/v1beta/models/imagen-4.0-generate-001:predict",
+    );
+    expect(JSON.parse(init.body)).toEqual({
+      instances: [{ prompt: "a red fox" }],
+      parameters: { sampleCount: 2, aspectRatio: "3:4" },
+    });
+    expect((await result.response.json()).data).toEqual([
+      { b64_json: "AAA" },
+      { b64_json: "BBB" },
+    ]);
+  });
+
+  it("polls NanoBanana and downloads the result for b64_json", async () => {
+    fetchMock
+      .mockResolvedValueOnce(
+        jsonResponse({ code: 200, msg: "success", data: { taskId: "t1" } }),
+      )
+      .mockResolvedValueOnce(
+        jsonResponse({ code: 200, data: { taskId: "t1", successFlag: 0 } }),
+      )
+      .mockResolvedValueOnce(
+        jsonResponse({
+          code: 200,
+          data: {
+            taskId: "t1",
+            successFlag: 1,
+            response: { resultImageUrl: "https://cdn/nb.png" },
+          },
+        }),
+      )
+      .mockResolvedValueOnce(new Response(new Uint8Array([104, 105])));
+
+    const result = await handleImagesCore({
+      task: IMAGE_TASKS.GENERATION,
+      input: generation({ size: "1024x1024", responseFormat: "b64_json" }),
+      modelInfo: { provider: "nanobanana", model: "nano-banana" },
+      credentials: { apiKey: "nb-key" },
+      pollIntervalMs: 0,
+    });
+
+    expect((await result.response.json()).data).toEqual([{ b64_json: "aGk=" }]);
+    const [createUrl, createInit] = fetchMock.mock.calls[0];
+    expect(createUrl).toBe(
+      "https://api.nanobananaapi.ai/api/v1/nanobanana/generate",
+    );
+    expect(createInit.headers.Authorization).toBe("Bearer nb-key");
+    expect(JSON.parse(createInit.body)).toEqual({
+      prompt: "a red fox",
+      type: "TEXTTOIAMGE",
+      numImages: 1,
+      image_size: "1:1",
+    });
+    expect(fetchMock.mock.calls[2][0]).toBe(
+      "https://api.nanobananaapi.ai/api/v1/nanobanana/record-info?taskId=t1",
+    );
+    expect(fetchMock.mock.calls[3][0]).toBe("https://cdn/nb.png");
+  });
+
+  it("returns failed NanoBanana tasks as bad requests", async () => {
+    fetchMock
+      .mockResolvedValueOnce(
+        jsonResponse({ code: 200, data: { taskId: "t1" } }),
+      )
+      .mockResolvedValueOnce(
+        jsonResponse({
+          code: 200,
+          data: { successFlag: 3, errorMessage: "Prompt rejected" },
+        }),
+      );
+
+    const result = await handleImagesCore({
+      task: IMAGE_TASKS.GENERATION,
+      input: generation(),
+      modelInfo: { provider: "nanobanana", model: "nano-banana" },
+      credentials: { apiKey: "nb-key" },
+      pollIntervalMs: 0,
+    });
+
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(result.error).toMatch(/Prompt rejected/);
+    expect(usageDb.saveRequestUsage).not.toHaveBeenCalled();
+  });
+
+  it("returns upstream errors without recording usage", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({ error: { message: "Rate limit reached" } }, 429),
+    );
+
+    const result = await handleImagesCore({
+      task: IMAGE_TASKS.GENERATION,
+      input: generation(),
+      modelInfo: { provider: "openai", model: "dall-e-3" },
+      credentials: { apiKey: "sk" },
+    });
+
+    expect(result).toMatchObject({ success: false, status: 429 });
+    expect(usageDb.saveRequestUsage).not.toHaveBeenCalled();
+  });
+
+  it("rejects edits for models that only take prompts", async () => {
+    const result = await handleImagesCore({
+      task: IMAGE_TASKS.EDIT,
+      input: generation(),
+      modelInfo: { provider: "nanobanana", model: "nano-banana" },
+      credentials: { apiKey: "nb-key" },
+    });
+    expect(result).toMatchObject({ success: false, status: 400 });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("calculateUsageCost() for images", () => {
+  it("prices generated images per image", () => {
+    expect(
+      calculateUsageCost(
+        { prompt_tokens: 0, completion_tokens: 0, images: 3 },
+        { image: 0.04 },
+      ),
+    ).toBeCloseTo(0.12);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Unit tests for open-sse/services/metrics.js
+ *
+ * Tests cover:
+ *  - recordRequestMetrics()  — request / error counters, latency histogram
+ *  - recordUsageMetrics()    — tokens in/out and cost
+ *  - trackActiveRequest()    — in-flight gauge never goes negative
+ *  - recordComboFallback()   — combo fallback counter
+ *  - renderMetrics()         — label resolution, cooldown gauges, scope, formats
+ *  - calculateUsageCost()    — shared pricing formula
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+
+import {
+  recordRequestMetrics,
+  recordUsageMetrics,
+  trackActiveRequest,
+  recordComboFallback,
+  resetMetrics,
+  renderMetrics,
+  negotiateMetricsFormat,
+} from "../../open-sse/services/metrics.js";
+import { calculateUsageCost } from "../../open-sse/utils/usageCost.js";
+
+const request = {
+  provider: "openai",
+  model: "gpt-4o",
+  connectionId: "conn-1",
+  apiKey: "sk-secret",
+};
+
+const render = options =>
+  renderMetrics({
+    connections: [{ id: "conn-1", name: "Work", provider: "openai" }],
+    apiKeyNames: { "sk-secret": "ci-bot" },
+    ...options,
+  });
+
+beforeEach(() => {
+  resetMetrics();
+});
+
+describe("recordRequestMetrics()", () => {
+  it("counts requests and errors by status", () => {
+    recordRequestMetrics({ ...request, status: 200, durationMs: 300 });
+    recordRequestMetrics({ ...request, status: 200, durationMs: 300 });
+    recordRequestMetrics({ ...request, status: 429, durationMs: 50 });
+
+    const text = render();
+    const labels =
+      'provider="openai",model="gpt-4o",connection="Work",api_key="ci-bot"';
+    expect(text).toContain(`router_requests_total{${labels},status="200"} 2`);
+    expect(text).toContain(`router_requests_total{${labels},status="429"} 1`);
+    expect(text).toContain(
+      `router_request_errors_total{${labels},status="429"} 1`,
+    );
+    expect(text).not.toContain(
+      "router_request_errors_total{" + labels + ',status="200"}',
+    );
+  });
+
+  it("fills cumulative latency buckets", () => {
+    recordRequestMetrics({ ...request, status: 200, durationMs: 300 });
+    recordRequestMetrics({ ...request, status: 200, durationMs: 3000 });
+
+    const text = render();
+    expect(text).toMatch(
+      /router_request_duration_seconds_bucket\{[^}]*le="0.25"\} 0/,
+    );
+    expect(text).toMatch(
+      /router_request_duration_seconds_bucket\{[^}]*le="0.5"\} 1/,
+    );
+    expect(text).toMatch(
+      /router_request_duration_seconds_bucket\{[^}]*le="5"\} 2/,
+    );
+    expect(text).toMatch(
+      /router_request_duration_seconds_bucket\{[^}]*le="\+Inf"\} 2/,
+    );
+    expect(text).toMatch(/router_request_duration_seconds_sum\{[^}]*\} 3.3/);
+    expect(text).toMatch(/router_request_duration_seconds_count\{[^}]*\} 2/);
+  });
+});
+
+describe("recordUsageMetrics()", () => {
+  it("adds input / output tokens and cost", () => {
+    recordUsageMetrics({
+      ...request,
+      tokens: { prompt_tokens: 100, completion_tokens: 20 },
+      cost: 0.5,
+    });
+    recordUsageMetrics({
+      ...request,
+      tokens: { input_tokens: 5, output_tokens: 1 },
+      cost: 0.25,
+    });
+
+    const text = render();
+    expect(text).toMatch(/router_tokens_total\{[^}]*direction="input"\} 105/);
+    expect(text).toMatch(/router_tokens_total\{[^}]*direction="output"\} 21/);
+    expect(text).toMatch(/router_cost_usd_total\{[^}]*\} 0.75/);
+  });
+
+  it("never exposes raw API keys", () => {
+    recordUsageMetrics({
+      ...request,
+      apiKey: "sk-deleted",
+      tokens: { prompt_tokens: 1 },
+    });
+    recordUsageMetrics({
+      ...request,
+      apiKey: null,
+      tokens: { prompt_tokens: 1 },
+    });
+
+    const text = render();
+    expect(text).not.toContain("sk-");
+    expect(text).toContain('api_key="unknown"');
+    expect(text).toContain('api_key="none"');
+  });
+});
+
+describe("trackActiveRequest()", () => {
+  it("tracks in-flight requests without going negative", () => {
+    trackActiveRequest("openai", "gpt-4o", "conn-1", true);
+    trackActiveRequest("openai", "gpt-4o", "conn-1", true);
+    trackActiveRequest("openai", "gpt-4o", "conn-1", false);
+    expect(render()).toContain(
+      'router_active_requests{provider="openai",model="gpt-4o",connection="Work"} 1',
+    );
+
+    trackActiveRequest("openai", "gpt-4o", "conn-1", false);
+    trackActiveRequest("openai", "gpt-4o", "conn-1", false);
+    expect(render()).toContain(
+      'router_active_requests{provider="openai",model="gpt-4o",connection="Work"} 0',
+    );
+  });
+});
+
+describe("recordComboFallback()", () => {
+  it("counts fallbacks per combo and failed model", () => {
+    recordComboFallback("fast", "openai/gpt-4o");
+    recordComboFallback("fast", "openai/gpt-4o");
+    expect(render()).toContain(
+      'router_combo_fallbacks_total{combo="fast",model="openai/gpt-4o"} 2',
+    );
+  });
+});
+
+describe("renderMetrics()", () => {
+  it("exposes circuit state and remaining cooldown per connection", () => {
+    const now = Date.parse("2026-01-01T00:00:00Z");
+    const text = renderMetrics({
+      now,
+      connections: [
+        {
+          id: "conn-1",
+          name: "Work",
+          provider: "claude",
+          rateLimitedUntil: "2026-01-01T00:01:30Z",
+        },
+        { id: "conn-2", email: "me@example.com", provider: "claude" },
+      ],
+    });
+    expect(text).toContain(
+      'router_connection_circuit_state{provider="claude",connection="Work",state="open"} 1',
+    );
+    expect(text).toContain(
+      'router_connection_circuit_state{provider="claude",connection="me@example.com",state="closed"} 1',
+    );
+    expect(text).toContain(
+      'router_connection_cooldown_seconds{provider="claude",connection="Work"} 90',
+    );
+    expect(text).toContain(
+      'router_connection_cooldown_seconds{provider="claude",connection="me@example.com"} 0',
+    );
+  });
+
+  it("limits output to the given scope", () => {
+    recordRequestMetrics({ ...request, status: 200, durationMs: 1 });
+    recordRequestMetrics({
+      ...request,
+      apiKey: "sk-other",
+      connectionId: "conn-9",
+      status: 200,
+      durationMs: 1,
+    });
+    recordComboFallback("other-machine", "openai/gpt-4o");
+
+    const text = render({
+      scope: {
+        apiKeys: new Set(["sk-secret"]),
+        connectionIds: new Set(["conn-1"]),
+        combos: new Set(["fast"]),
+      },
+    });
+    expect(text).toContain('api_key="ci-bot"');
+    expect(text).not.toContain("conn-9");
+    expect(text).not.toContain("other-machine");
+  });
+
+  it("renders OpenMetrics counter families and the EOF marker", () => {
+    recordComboFallback("fast", "m");
+    const prometheus = render();
+    expect(prometheus).toContain("# TYPE router_combo_fallbacks_total counter");
+    expect(prometheus).not.toContain("# EOF");
+
+    const openMetrics = render({ openMetrics: true });
+    expect(openMetrics).toContain("# TYPE router_combo_fallbacks counter");
+    expect(openMetrics).toContain("router_combo_fallbacks_total{");
+    expect(openMetrics.trimEnd().endsWith("# EOF")).toBe(true);
+  });
+
+  it("negotiates the format from the Accept header", () => {
+    expect(
+      negotiateMetricsFormat("application/openmetrics-text; version=1.0.0")
+        .openMetrics,
+    ).toBe(true);
+    expect(negotiateMetricsFormat(null).contentType).toMatch(/^text\/plain/);
+  });
+});
+
+describe("calculateUsageCost()", () => {
+  it("prices cached and output tokens separately", () => {
+    const cost = calculateUsageCost(
+      {
+        prompt_tokens: 1000000,
+        cached_tokens: 500000,
+        completion_tokens: 100000,
+      },
+      { input: 2, cached: 1, output: 10 },
+    );
+    expect(cost).toBeCloseTo(1 + 0.5 + 1);
+    expect(calculateUsageCost({ prompt_tokens: 10 }, null)).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for open-sse/services/modelLocks.js
+ *
+ * Tests cover:
+ *  - usesModelLocks()     — configured providers, default fallback
+ *  - addModelLock() / removeModelLock() / pruneModelLocks()
+ *  - isModelLocked()      — expiry handling
+ *  - listModelLocks()     — flattening across connections
+ */
+
+import { describe, it, expect } from "vitest";
+
+import {
+  DEFAULT_MODEL_LOCK_MS,
+  usesModelLocks,
+  addModelLock,
+  removeModelLock,
+  pruneModelLocks,
+  isModelLocked,
+  listModelLocks,
+} from "../../open-sse/services/modelLocks.js";
+
+const NOW = new Date("2026-03-15T10:30:00Z").getTime();
+const iso = offsetMs => new Date(NOW + offsetMs).toISOString();
+
+describe("usesModelLocks()", () => {
+  it("uses the configured list and falls back to antigravity", () => {
+    expect(usesModelLocks("antigravity", undefined)).toBe(true);
+    expect(usesModelLocks("codex", undefined)).toBe(false);
+    expect(usesModelLocks("codex", ["codex", "claude"])).toBe(true);
+    expect(usesModelLocks("antigravity", [])).toBe(false);
+  });
+});
+
+describe("lock map helpers", () => {
+  it("adds a lock and drops expired ones", () => {
+    const locks = addModelLock(
+      { "old-model": iso(-1000), "gemini-2.5-pro": iso(60_000) },
+      "claude-sonnet-4-5",
+      DEFAULT_MODEL_LOCK_MS,
+      NOW,
+    );
+    expect(locks).toEqual({
+      "gemini-2.5-pro": iso(60_000),
+      "claude-sonnet-4-5": iso(DEFAULT_MODEL_LOCK_MS),
+    });
+  });
+
+  it("removes a single lock", () => {
+    const locks = { a: iso(60_000), b: iso(60_000) };
+    expect(removeModelLock(locks, "a", NOW)).toEqual({ b: iso(60_000) });
+    expect(pruneModelLocks(undefined, NOW)).toEqual({});
+  });
+});
+
+describe("isModelLocked()", () => {
+  const connection = {
+    modelLocks: { active: iso(1000), expired: iso(-1000) },
+  };
+
+  it("only reports unexpired locks for the requested model", () => {
+    expect(isModelLocked(connection, "active", NOW)).toBe(true);
+    expect(isModelLocked(connection, "expired", NOW)).toBe(false);
+    expect(isModelLocked(connection, "other", NOW)).toBe(false);
+    expect(isModelLocked(connection, null, NOW)).toBe(false);
+    expect(isModelLocked({}, "active", NOW)).toBe(false);
+  });
+});
+
+describe("listModelLocks()", () => {
+  it("lists active locks across connections, soonest first", () => {
+    const locks = listModelLocks(
+      [
+        {
+          id: "conn-a-1234",
+          name: "Work",
+          provider: "antigravity",
+          modelLocks: { "claude-opus-4-5": iso(90_000), stale: iso(-1) },
+        },
+        {
+          id: "conn-b-5678",
+          provider: "codex",
+          modelLocks: { "gpt-5": iso(30_000) },
+        },
+        { id: "conn-c", provider: "claude" },
+      ],
+      NOW,
+    );
+
+    expect(locks).toEqual([
+      {
+        connectionId: "conn-b-5678",
+        connectionName: "conn-b-5",
+        provider: "codex",
+        model: "gpt-5",
+        until: iso(30_000),
+      },
+      {
+        connectionId: "conn-a-1234",
+        connectionName: "Work",
+        provider: "antigravity",
+        model: "claude-opus-4-5",
+        until: iso(90_000),
+      },
+    ]);
+  });
+});
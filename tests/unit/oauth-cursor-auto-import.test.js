@@ -12,6 +12,13 @@ vi.mock("next/server", () => ({
   },
 }));
 
+// The route is admin-only; act as a signed-in admin
+vi.mock("@/lib/dashboardAuth", () => ({
+  requirePermission: vi.fn(async () => ({
+    user: { id: "u1", username: "admin", role: "admin" },
+  })),
+}));
+
 // Mock os
 vi.mock("os", () => ({
   default: { homedir: vi.fn(() => "/mock/home") },
@@ -0,0 +1,211 @@
+/**
+ * Unit tests for open-sse/services/plugins.js
+ *
+ * Tests cover:
+ *  - validatePlugin() / registerPlugin()  — shape validation, registry
+ *  - resolvePlugins()                     — order, dedupe, unknown names
+ *  - runRequestHooks()                    — replace / keep body, block, errors
+ *  - createStreamChunkTransform()         — SSE event replace / drop
+ *  - applyResponsePlugins()               — JSON onResponse, passthrough
+ */
+
+import { describe, it, expect, beforeEach } from "vitest";
+
+import {
+  validatePlugin,
+  registerPlugin,
+  clearPlugins,
+  getRegisteredPlugins,
+  resolvePlugins,
+  validatePluginNames,
+  createPluginContext,
+  runRequestHooks,
+  applyResponsePlugins,
+} from "../../open-sse/services/plugins.js";
+
+async function readText(response) {
+  return new Response(response.body).text();
+}
+
+function sseResponse(events) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      // Split mid-event to exercise buffering
+      const raw = events.map(e => `${e}\n\n`).join("");
+      controller.enqueue(encoder.encode(raw.slice(0, 7)));
+      controller.enqueue(encoder.encode(raw.slice(7)));
+      controller.close();
+    },
+  });
+  return new Response(body, {
+    headers: { "Content-Type": "text/event-stream" },
+  });
+}
+
+beforeEach(() => {
+  clearPlugins();
+});
+
+describe("validatePlugin() / registerPlugin()", () => {
+  it("rejects malformed plugins", () => {
+    expect(validatePlugin(null)).toMatch(/must export an object/);
+    expect(validatePlugin({ name: "bad name", onRequest() {} })).toMatch(
+      /Plugin name/,
+    );
+    expect(validatePlugin({ name: "empty" })).toMatch(/defines no hooks/);
+    expect(validatePlugin({ name: "x", onResponse: "nope" })).toMatch(
+      /onResponse must be a function/,
+    );
+  });
+
+  it("registers valid plugins and lists their hooks", () => {
+    expect(
+      registerPlugin({
+        name: "redact",
+        description: "Mask secrets",
+        onRequest() {},
+        onStreamChunk() {},
+      }),
+    ).toBeNull();
+    expect(getRegisteredPlugins()).toEqual([
+      {
+        name: "redact",
+        description: "Mask secrets",
+        hooks: ["onRequest", "onStreamChunk"],
+      },
+    ]);
+  });
+});
+
+describe("resolvePlugins()", () => {
+  it("keeps order, drops duplicates and unknown names", () => {
+    registerPlugin({ name: "a", onRequest() {} });
+    registerPlugin({ name: "b", onRequest() {} });
+    const names = resolvePlugins(["b", "missing"], undefined, ["a", "b"]).map(
+      p => p.name,
+    );
+    expect(names).toEqual(["b", "a"]);
+  });
+
+  it("validates plugin name lists", () => {
+    expect(validatePluginNames(undefined)).toBeNull();
+    expect(validatePluginNames(["a"])).toBeNull();
+    expect(validatePluginNames("a")).toMatch(/array of plugin names/);
+    expect(validatePluginNames([""])).toMatch(/array of plugin names/);
+  });
+});
+
+describe("runRequestHooks()", () => {
+  it("chains replaced bodies and keeps the body on undefined", async () => {
+    const plugins = [
+      { name: "add", onRequest: body => ({ ...body, a: 1 }) },
+      { name: "noop", onRequest: () => undefined },
+      { name: "async", onRequest: async body => ({ ...body, b: 2 }) },
+    ];
+    const result = await runRequestHooks(
+      plugins,
+      "onRequest",
+      { model: "m" },
+      createPluginContext(),
+    );
+    expect(result).toEqual({ body: { model: "m", a: 1, b: 2 } });
+  });
+
+  it("stops at ctx.block() with the requested status", async () => {
+    let reached = false;
+    const plugins = [
+      {
+        name: "guard",
+        onRequest: (body, ctx) => ctx.block("Prompt not allowed", 422),
+      },
+      {
+        name: "after",
+        onRequest: () => {
+          reached = true;
+        },
+      },
+    ];
+    const result = await runRequestHooks(
+      plugins,
+      "onRequest",
+      {},
+      createPluginContext(),
+    );
+    expect(result.blocked).toEqual({
+      plugin: "guard",
+      status: 422,
+      message: "Prompt not allowed",
+    });
+    expect(reached).toBe(false);
+  });
+
+  it("turns unexpected errors into a 500", async () => {
+    const plugins = [
+      {
+        name: "broken",
+        onTranslatedRequest: () => {
+          throw new Error("boom");
+        },
+      },
+    ];
+    const result = await runRequestHooks(
+      plugins,
+      "onTranslatedRequest",
+      {},
+      createPluginContext(),
+    );
+    expect(result.blocked.status).toBe(500);
+    expect(result.blocked.message).toBe("Plugin broken failed: boom");
+  });
+});
+
+describe("applyResponsePlugins()", () => {
+  it("rewrites and drops SSE events", async () => {
+    const plugins = [
+      {
+        name: "upper",
+        onStreamChunk: event =>
+          event.includes("[DONE]") ? undefined : event.toUpperCase(),
+      },
+      {
+        name: "drop",
+        onStreamChunk: event => (event.includes("SECRET") ? null : undefined),
+      },
+    ];
+    const response = await applyResponsePlugins(
+      sseResponse(['data: {"a":"x"}', 'data: {"a":"secret"}', "data: [DONE]"]),
+      plugins,
+      createPluginContext(),
+    );
+    expect(response.headers.get("content-type")).toBe("text/event-stream");
+    expect(await readText(response)).toBe(
+      'DATA: {"A":"X"}\n\ndata: [DONE]\n\n',
+    );
+  });
+
+  it("applies onResponse to JSON bodies", async () => {
+    const plugins = [
+      {
+        name: "tag",
+        onResponse: (body, ctx) => ({ ...body, taggedBy: ctx.model }),
+      },
+    ];
+    const response = await applyResponsePlugins(
+      Response.json({ id: "1" }, { status: 200 }),
+      plugins,
+      createPluginContext({ model: "gpt-4o" }),
+    );
+    expect(await response.json()).toEqual({ id: "1", taggedBy: "gpt-4o" });
+  });
+
+  it("returns the response untouched when no hook applies", async () => {
+    const original = Response.json({ id: "1" });
+    const response = await applyResponsePlugins(
+      original,
+      [{ name: "req-only", onRequest() {} }],
+      createPluginContext(),
+    );
+    expect(response).toBe(original);
+  });
+});
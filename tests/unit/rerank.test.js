@@ -0,0 +1,232 @@
+/**
+ * Unit tests for open-sse/handlers/rerankCore.js
+ *
+ * Tests cover:
+ *  - Cohere:  native /v2/rerank request, search unit usage, return_documents
+ *  - NVIDIA:  passages request, logits → relevance scores, top_n
+ *  - Together / openai-compatible: Jina-style request, token usage
+ *  - Validation and unsupported providers → 400
+ *  - Upstream errors → error result without usage
+ *  - calculateUsageCost() per search unit
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+const usageDb = vi.hoisted(() => ({
+  saveRequestUsage: vi.fn(() => Promise.resolve()),
+  appendRequestLog: vi.fn(() => Promise.resolve()),
+}));
+vi.mock("@/lib/usageDb.js", () => usageDb);
+
+import {
+  supportsRerank,
+  handleRerankCore,
+} from "../../open-sse/handlers/rerankCore.js";
+import { calculateUsageCost } from "../../open-sse/utils/usageCost.js";
+
+const jsonResponse = (data, status = 200) =>
+  new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+const DOCUMENTS = ["Paris is in France", "Berlin is in Germany", "Cats purr"];
+
+const rerank = (provider, model, body = {}, credentials = { apiKey: "k" }) =>
+  handleRerankCore({
+    body: { query: "capital of France", documents: DOCUMENTS, ...body },
+    modelInfo: { provider, model },
+    credentials,
+    connectionId: "conn-1",
+    endpoint: "/v1/rerank",
+  });
+
+describe("handleRerankCore()", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    usageDb.saveRequestUsage.mockClear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("calls Cohere v2 rerank and records search units", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({
+        id: "abc",
+        results: [
+          { index: 0, relevance_score: 0.98 },
+          { index: 1, relevance_score: 0.12 },
+        ],
+        meta: { billed_units: { search_units: 1 } },
+      }),
+    );
+
+    const result = await rerank("cohere", "rerank-v3.5", {
+      top_n: 2,
+      return_documents: true,
+    });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("https://api.cohere.com/v2/rerank");
+    expect(init.headers.Authorization).toBe("Bearer k");
+    expect(JSON.parse(init.body)).toEqual({
+      model: "rerank-v3.5",
+      query: "capital of France",
+      documents: DOCUMENTS,
+      top_n: 2,
+    });
+
+    expect(await result.response.json()).toEqual({
+      id: "abc",
+      results: [
+        {
+          index: 0,
+          relevance_score: 0.98,
+          document: { text: "Paris is in France" },
+        },
+        {
+          index: 1,
+          relevance_score: 0.12,
+          document: { text: "Berlin is in Germany" },
+        },
+      ],
+      meta: { billed_units: { search_units: 1 } },
+    });
+    expect(usageDb.saveRequestUsage).toHaveBeenCalledWith(
+      expect.objectContaining({
+        provider: "cohere",
+        model: "rerank-v3.5",
+        connectionId: "conn-1",
+        endpoint: "/v1/rerank",
+        tokens: { prompt_tokens: 0, completion_tokens: 0, searches: 1 },
+      }),
+    );
+  });
+
+  it("maps NVIDIA passages and logits", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({
+        rankings: [
+          { index: 0, logit: 4 },
+          { index: 1, logit: 0 },
+          { index: 2, logit: -6 },
+        ],
+      }),
+    );
+
+    const result = await rerank(
+      "nvidia",
+      "nvidia/llama-3.2-nv-rerankqa-1b-v2",
+      { documents: DOCUMENTS.map(text => ({ text })), top_n: 2 },
+    );
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "https://ai.api.nvidia.com/v1/retrieval/nvidia/llama-3_2-nv-rerankqa-1b-v2/reranking",
+    );
+    expect(JSON.parse(init.body)).toEqual({
+      model: "nvidia/llama-3.2-nv-rerankqa-1b-v2",
+      query: { text: "capital of France" },
+      passages: DOCUMENTS.map(text => ({ text })),
+      truncate: "END",
+    });
+
+    const body = await result.response.json();
+    expect(body.results.map(r => r.index)).toEqual([0, 1]);
+    expect(body.results[0].relevance_score).toBeCloseTo(0.982, 3);
+    expect(body.results[1].relevance_score).toBe(0.5);
+    expect(body.id).toEqual(expect.any(String));
+  });
+
+  it("uses the Jina-style API for Together and openai-compatible nodes", async () => {
+    fetchMock.mockImplementation(async () =>
+      jsonResponse({
+        results: [{ index: 2, relevance_score: 0.3 }],
+        usage: { total_tokens: 42 },
+      }),
+    );
+
+    const together = await rerank("together", "Salesforce/Llama-Rank-V1", {
+      top_n: 1,
+    });
+    expect(fetchMock.mock.calls[0][0]).toBe(
+      "https://api.together.xyz/v1/rerank",
+    );
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+      model: "Salesforce/Llama-Rank-V1",
+      query: "capital of France",
+      documents: DOCUMENTS,
+      top_n: 1,
+      return_documents: false,
+    });
+    expect((await together.response.json()).meta).toEqual({
+      billed_units: { input_tokens: 42 },
+    });
+    expect(usageDb.saveRequestUsage.mock.calls[0][0].tokens).toEqual({
+      prompt_tokens: 42,
+      completion_tokens: 0,
+    });
+
+    await rerank(
+      "openai-compatible-local",
+      "bge-reranker",
+      {},
+      { apiKey: "k", providerSpecificData: { baseUrl: "http://tei:8080/v1/" } },
+    );
+    expect(fetchMock.mock.calls[1][0]).toBe("http://tei:8080/v1/rerank");
+  });
+
+  it("validates the request before calling the provider", async () => {
+    const noQuery = await rerank("cohere", "rerank-v3.5", { query: "" });
+    expect(noQuery).toMatchObject({ success: false, status: 400 });
+
+    const badDocs = await rerank("cohere", "rerank-v3.5", {
+      documents: [{ title: "no text" }],
+    });
+    expect(badDocs.error).toMatch(/text field/);
+
+    const badTopN = await rerank("cohere", "rerank-v3.5", { top_n: 0 });
+    expect(badTopN.error).toMatch(/top_n/);
+
+    const unsupported = await rerank("claude", "claude-sonnet-4");
+    expect(unsupported).toMatchObject({ success: false, status: 400 });
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it("returns upstream errors without recording usage", async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({ message: "too many requests" }, 429),
+    );
+
+    const result = await rerank("cohere", "rerank-v3.5");
+
+    expect(result).toMatchObject({ success: false, status: 429 });
+    expect(usageDb.saveRequestUsage).not.toHaveBeenCalled();
+  });
+});
+
+describe("supportsRerank()", () => {
+  it("accepts rerank providers and openai-compatible nodes", () => {
+    expect(supportsRerank("cohere")).toBe(true);
+    expect(supportsRerank("nvidia")).toBe(true);
+    expect(supportsRerank("together")).toBe(true);
+    expect(supportsRerank("openai-compatible-abc")).toBe(true);
+    expect(supportsRerank("openai")).toBe(false);
+  });
+});
+
+describe("calculateUsageCost() for rerank", () => {
+  it("prices search units", () => {
+    expect(
+      calculateUsageCost(
+        { prompt_tokens: 0, completion_tokens: 0, searches: 3 },
+        { search: 0.002 },
+      ),
+    ).toBeCloseTo(0.006);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Unit tests for open-sse/services/responseCache.js
+ *
+ * Tests cover:
+ *  - isCacheableChatRequest() / shouldBypassCache()
+ *  - getResponseCacheKey()        — normalization of volatile fields
+ *  - cacheResponse() + replay     — JSON and SSE bodies, TTL, eviction
+ *  - resolveResponseCacheOptions() / clearResponseCache() / stats
+ */
+
+import { describe, it, expect, beforeEach, vi, afterEach } from "vitest";
+
+import {
+  isCacheableChatRequest,
+  shouldBypassCache,
+  getResponseCacheKey,
+  getCachedResponse,
+  cacheResponse,
+  replayCachedResponse,
+  resolveResponseCacheOptions,
+  getResponseCacheStats,
+  clearResponseCache,
+} from "../../open-sse/services/responseCache.js";
+
+const OPTIONS = { ttlMs: 60000, maxEntries: 10 };
+
+function chatKey(request, variant = "openai:sse", namespace = "local") {
+  return getResponseCacheKey({
+    kind: "chat",
+    provider: "openai",
+    request,
+    variant,
+    namespace,
+  });
+}
+
+/** Send a response through the cache and drain it like a client would */
+async function store(key, body, contentType, options = OPTIONS) {
+  const response = cacheResponse(
+    key,
+    new Response(body, { headers: { "Content-Type": contentType } }),
+    options,
+  );
+  await response.text();
+  return response;
+}
+
+beforeEach(() => {
+  clearResponseCache();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("isCacheableChatRequest()", () => {
+  it("only caches temperature 0 requests", () => {
+    expect(isCacheableChatRequest({ temperature: 0 })).toBe(true);
+    expect(
+      isCacheableChatRequest({ generationConfig: { temperature: 0 } }),
+    ).toBe(true);
+    expect(isCacheableChatRequest({ temperature: 0.7 })).toBe(false);
+    expect(isCacheableChatRequest({})).toBe(false);
+  });
+});
+
+describe("shouldBypassCache()", () => {
+  it("honors the bypass header and Cache-Control", () => {
+    expect(shouldBypassCache(new Headers({ "x-cache-bypass": "1" }))).toBe(
+      true,
+    );
+    expect(shouldBypassCache(new Headers({ "x-cache-bypass": "false" }))).toBe(
+      false,
+    );
+    expect(
+      shouldBypassCache(new Headers({ "cache-control": "no-cache" })),
+    ).toBe(true);
+    expect(shouldBypassCache(new Headers())).toBe(false);
+  });
+});
+
+describe("getResponseCacheKey()", () => {
+  const request = {
+    model: "gpt-4o",
+    messages: [{ role: "user", content: "hi" }],
+    temperature: 0,
+  };
+
+  it("ignores key order and volatile top-level fields", () => {
+    expect(
+      chatKey({
+        temperature: 0,
+        stream: true,
+        metadata: { user_id: "abc" },
+        messages: [{ content: "hi", role: "user" }],
+        model: "gpt-4o",
+      }),
+    ).toBe(chatKey(request));
+  });
+
+  it("keeps nested fields that share a volatile name", () => {
+    const withTool = properties => ({
+      ...request,
+      tools: [{ function: { name: "t", parameters: { properties } } }],
+    });
+    expect(chatKey(withTool({ metadata: { type: "object" } }))).not.toBe(
+      chatKey(withTool({})),
+    );
+  });
+
+  it("separates client format, content and namespace", () => {
+    expect(chatKey(request, "openai:json")).not.toBe(chatKey(request));
+    expect(chatKey({ ...request, messages: [] })).not.toBe(chatKey(request));
+    expect(chatKey(request, "openai:sse", "m1")).toMatch(/^m1:/);
+  });
+});
+
+describe("cacheResponse() / replayCachedResponse()", () => {
+  it("stores a fully sent JSON body and replays it as a HIT", async () => {
+    const key = chatKey({ n: 1 });
+    const miss = await store(key, '{"ok":true}', "application/json");
+    expect(miss.headers.get("X-Cache")).toBe("MISS");
+
+    const entry = getCachedResponse(key);
+    const replay = replayCachedResponse(entry);
+    expect(replay.headers.get("X-Cache")).toBe("HIT");
+    expect(await replay.json()).toEqual({ ok: true });
+  });
+
+  it("re-emits SSE bodies as an event stream", async () => {
+    const key = chatKey({ n: 2 });
+    const sse = 'data: {"choices":[]}\n\ndata: [DONE]\n\n';
+    await store(key, sse, "text/event-stream");
+
+    const replay = replayCachedResponse(getCachedResponse(key));
+    expect(replay.headers.get("Content-Type")).toBe("text/event-stream");
+    expect(await replay.text()).toBe(sse);
+  });
+
+  it("does not store cancelled streams", async () => {
+    const key = chatKey({ n: 3 });
+    const response = cacheResponse(
+      key,
+      new Response(
+        new ReadableStream({
+          pull(controller) {
+            controller.enqueue(new TextEncoder().encode("data: x\n\n"));
+          },
+        }),
+        { headers: { "Content-Type": "text/event-stream" } },
+      ),
+      OPTIONS,
+    );
+    const reader = response.body.getReader();
+    await reader.read();
+    await reader.cancel();
+
+    expect(getCachedResponse(key)).toBeNull();
+  });
+
+  it("expires entries after the TTL", async () => {
+    vi.useFakeTimers();
+    const key = chatKey({ n: 4 });
+    await store(key, "{}", "application/json", { ttlMs: 1000 });
+
+    vi.advanceTimersByTime(1500);
+    expect(getCachedResponse(key)).toBeNull();
+  });
+
+  it("evicts least recently used entries beyond maxEntries", async () => {
+    const keys = [1, 2, 3].map(n => chatKey({ lru: n }));
+    const options = { ttlMs: 60000, maxEntries: 2 };
+    await store(keys[0], "{}", "application/json", options);
+    await store(keys[1], "{}", "application/json", options);
+    getCachedResponse(keys[0]); // touch → keys[1] is now oldest
+    await store(keys[2], "{}", "application/json", options);
+
+    expect(getCachedResponse(keys[1])).toBeNull();
+    expect(getCachedResponse(keys[0])).not.toBeNull();
+    expect(getResponseCacheStats().evictions).toBeGreaterThan(0);
+  });
+});
+
+describe("resolveResponseCacheOptions() / clearResponseCache()", () => {
+  it("returns null when disabled or bypassed and counts bypasses", () => {
+    const before = getResponseCacheStats().bypassed;
+    expect(resolveResponseCacheOptions({ enabled: false }, new Headers())).toBe(
+      null,
+    );
+    expect(
+      resolveResponseCacheOptions(
+        { enabled: true },
+        new Headers({ "x-cache-bypass": "true" }),
+      ),
+    ).toBeNull();
+    expect(getResponseCacheStats().bypassed).toBe(before + 1);
+
+    expect(
+      resolveResponseCacheOptions(
+        { enabled: true, ttlSeconds: 10, maxEntries: 5, namespace: "m1" },
+        new Headers(),
+      ),
+    ).toEqual({ ttlMs: 10000, maxEntries: 5, namespace: "m1" });
+  });
+
+  it("clears only the requested namespace", async () => {
+    await store(chatKey({}, "v", "m1"), "{}", "application/json");
+    await store(chatKey({}, "v", "m2"), "{}", "application/json");
+
+    expect(clearResponseCache("m1")).toBe(1);
+    expect(getResponseCacheStats().entries).toBe(1);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Unit tests for open-sse/services/routingRules.js
+ *
+ * Tests cover:
+ *  - validateRoutingRules()  — required fields, condition types, regexes
+ *  - getRequestFeatures()    — tokens, tools, images, effort, UA, system prompt
+ *  - findRoutingRule()       — first enabled match wins, AND of conditions
+ */
+
+import { describe, it, expect, vi } from "vitest";
+
+// usageTracking.js (token estimate) pulls in the Next.js usage DB
+vi.mock("@/lib/usageDb.js", () => ({
+  saveRequestUsage: vi.fn(),
+  appendRequestLog: vi.fn(),
+}));
+
+import {
+  validateRoutingRules,
+  getRequestFeatures,
+  findRoutingRule,
+} from "../../open-sse/services/routingRules.js";
+
+const rule = (name, match, extra = {}) => ({
+  name,
+  target: `${name}-target`,
+  match,
+  ...extra,
+});
+
+describe("validateRoutingRules()", () => {
+  it("accepts well-formed rules", () => {
+    expect(validateRoutingRules([])).toBeNull();
+    expect(
+      validateRoutingRules([
+        rule("long", { minInputTokens: 150000, hasTools: null }),
+        rule("title", { userAgent: "claude-cli", systemPrompt: "title" }),
+      ]),
+    ).toBeNull();
+  });
+
+  it("rejects malformed rules", () => {
+    expect(validateRoutingRules({})).toMatch(/must be an array/);
+    expect(validateRoutingRules([{ target: "x" }])).toMatch(/name is required/);
+    expect(validateRoutingRules([{ name: "a" }])).toMatch(
+      /target model is required/,
+    );
+    expect(validateRoutingRules([rule("a", { tokens: 1 })])).toMatch(
+      /unknown condition "tokens"/,
+    );
+    expect(validateRoutingRules([rule("a", { models: "cc/*" })])).toMatch(
+      /array of strings/,
+    );
+    expect(validateRoutingRules([rule("a", { minInputTokens: -1 })])).toMatch(
+      /non-negative number/,
+    );
+    expect(validateRoutingRules([rule("a", { hasImages: "yes" })])).toMatch(
+      /true or false/,
+    );
+    expect(validateRoutingRules([rule("a", { systemPrompt: "(" })])).toMatch(
+      /invalid systemPrompt pattern/,
+    );
+  });
+});
+
+describe("getRequestFeatures()", () => {
+  it("reads OpenAI requests", () => {
+    const features = getRequestFeatures(
+      {
+        model: "gpt-4o",
+        reasoning_effort: "high",
+        tools: [{ type: "function", function: { name: "f" } }],
+        messages: [
+          { role: "system", content: "Be terse." },
+          {
+            role: "user",
+            content: [
+              { type: "text", text: "What is this?" },
+              { type: "image_url", image_url: { url: "data:..." } },
+            ],
+          },
+        ],
+      },
+      new Headers({ "user-agent": "claude-cli/2.0.0" }),
+    );
+    expect(features).toMatchObject({
+      model: "gpt-4o",
+      hasTools: true,
+      hasImages: true,
+      reasoningEffort: "high",
+      userAgent: "claude-cli/2.0.0",
+      systemPrompt: "Be terse.",
+    });
+    expect(features.inputTokens).toBeGreaterThan(0);
+  });
+
+  it("reads Claude and Gemini system prompts and images", () => {
+    expect(
+      getRequestFeatures({
+        system: [{ type: "text", text: "Generate a title" }],
+        messages: [{ role: "user", content: [{ type: "image", source: {} }] }],
+      }),
+    ).toMatchObject({ systemPrompt: "Generate a title", hasImages: true });
+
+    expect(
+      getRequestFeatures({
+        systemInstruction: { parts: [{ text: "Gemini system" }] },
+        contents: [
+          {
+            role: "user",
+            parts: [{ inlineData: { mimeType: "image/png", data: "" } }],
+          },
+        ],
+      }),
+    ).toMatchObject({
+      systemPrompt: "Gemini system",
+      hasImages: true,
+      hasTools: false,
+      userAgent: "",
+    });
+  });
+});
+
+describe("findRoutingRule()", () => {
+  const features = {
+    model: "cc/claude-sonnet-4-5",
+    inputTokens: 200000,
+    hasTools: false,
+    hasImages: false,
+    reasoningEffort: null,
+    userAgent: "claude-cli/2.0.0",
+    systemPrompt: "Please write a 5-10 word title for this conversation",
+  };
+
+  it("returns the first enabled rule whose conditions all match", () => {
+    const rules = [
+      rule("disabled", {}, { enabled: false }),
+      rule("vision", { hasImages: true }),
+      rule("title", { userAgent: "^claude-cli", systemPrompt: "word title" }),
+      rule("long", { minInputTokens: 150000 }),
+    ];
+    expect(findRoutingRule(rules, features).name).toBe("title");
+    expect(
+      findRoutingRule(rules, { ...features, userAgent: "curl" }).name,
+    ).toBe("long");
+    expect(
+      findRoutingRule(rules, { ...features, userAgent: "", inputTokens: 10 }),
+    ).toBeNull();
+  });
+
+  it("filters on requested model globs, token bounds and effort", () => {
+    const rules = [
+      rule("gpt-only", { models: ["gpt-*"] }),
+      rule("mid", { minInputTokens: 1000, maxInputTokens: 100000 }),
+      rule("effort", { reasoningEffort: ["high", "xhigh"] }),
+      rule("cc", { models: ["cc/*"], maxInputTokens: 300000 }),
+    ];
+    expect(findRoutingRule(rules, features).name).toBe("cc");
+    expect(
+      findRoutingRule(rules, { ...features, reasoningEffort: "high" }).name,
+    ).toBe("effort");
+    expect(
+      findRoutingRule(rules, { ...features, inputTokens: 5000 }).name,
+    ).toBe("mid");
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Unit tests for open-sse/services/tokenCounter.js and
+ * open-sse/handlers/countTokensCore.js
+ *
+ * Tests cover:
+ *  - getTokenizerFamily()  — model id → tokenizer family
+ *  - countTextTokens()     — exact tiktoken counts, long runs stay fast,
+ *                            length estimate without a registered tokenizer
+ *  - countInputTokens()    — system / tools / tool results / images, all shapes
+ *  - countTokensCore()     — native Claude / Gemini counters, local fallback
+ */
+
+import { describe, it, expect, vi, afterEach } from "vitest";
+
+// The executors (native counters) pull in the Next.js usage DB
+vi.mock("@/lib/usageDb.js", () => ({
+  saveRequestUsage: vi.fn(),
+  appendRequestLog: vi.fn(),
+}));
+
+import {
+  getTokenizerFamily,
+  countTextTokens,
+  countInputTokens,
+} from "../../open-sse/services/tokenCounter.js";
+import { countTokensCore } from "../../open-sse/handlers/countTokensCore.js";
+import "../../open-sse/translator/request/openai-to-gemini.js";
+// The translator registry loads these with require() in the Next.js bundle
+import "../../open-sse/translator/request/claude-to-openai.js";
+
+describe("getTokenizerFamily()", () => {
+  it("maps model ids with or without provider prefix", () => {
+    expect(getTokenizerFamily("cc/claude-sonnet-4-5-20250929")).toBe("claude");
+    expect(getTokenizerFamily("gemini-2.5-pro")).toBe("gemini");
+    expect(getTokenizerFamily("openai/gpt-4o-mini")).toBe("openai");
+    expect(getTokenizerFamily("cx/gpt-5-codex")).toBe("openai");
+    expect(getTokenizerFamily("o3")).toBe("openai");
+    expect(getTokenizerFamily("gpt-4-turbo")).toBe("legacy");
+    expect(getTokenizerFamily(undefined)).toBe("legacy");
+  });
+});
+
+describe("countTextTokens()", () => {
+  it("matches the tiktoken encodings", () => {
+    expect(countTextTokens("hello world", "gpt-4o")).toBe(2);
+    expect(countTextTokens("hello world", "gpt-4")).toBe(2);
+    expect(countTextTokens("", "gpt-4o")).toBe(0);
+  });
+
+  it("encodes long runs without whitespace quickly", () => {
+    const started = Date.now();
+    expect(countTextTokens("x".repeat(20000), "gpt-4")).toBeGreaterThan(1000);
+    expect(Date.now() - started).toBeLessThan(5000);
+  });
+});
+
+describe("without a registered tokenizer", () => {
+  it("estimates 4 characters per token", async () => {
+    vi.resetModules();
+    const fresh = await import("../../open-sse/services/tokenCounter.js");
+
+    expect(fresh.countTextTokens("hello world", "gpt-4o")).toBe(3);
+    expect(
+      fresh.countInputTokens({
+        model: "gpt-4o",
+        messages: [{ role: "user", content: "x".repeat(400) }],
+      }),
+    ).toBe(100 + 3 + 3);
+  });
+});
+
+describe("countInputTokens()", () => {
+  const text = "The quick brown fox jumps over the lazy dog. ".repeat(20);
+
+  it("counts system prompts and tool definitions", () => {
+    const base = {
+      model: "gpt-4o",
+      messages: [{ role: "user", content: "hi" }],
+    };
+    const withSystem = countInputTokens({ ...base, system: text });
+    const withTools = countInputTokens({
+      ...base,
+      tools: [
+        {
+          type: "function",
+          function: {
+            name: "read_file",
+            description: text,
+            parameters: { type: "object" },
+          },
+        },
+      ],
+    });
+    const plain = countInputTokens(base);
+    expect(withSystem - plain).toBe(countTextTokens(text, "gpt-4o"));
+    expect(withTools - plain).toBeGreaterThan(countTextTokens(text, "gpt-4o"));
+  });
+
+  it("counts tool calls and tool results but not ids or thinking", () => {
+    const body = {
+      model: "claude-sonnet-4-5",
+      messages: [
+        {
+          role: "assistant",
+          content: [
+            { type: "thinking", thinking: text, signature: "sig" },
+            {
+              type: "tool_use",
+              id: "toolu_0123456789",
+              name: "ls",
+              input: { path: "/tmp" },
+            },
+          ],
+        },
+        {
+          role: "user",
+          content: [
+            {
+              type: "tool_result",
+              tool_use_id: "toolu_0123456789",
+              content: text,
+            },
+          ],
+        },
+      ],
+    };
+    const count = countInputTokens(body);
+    const resultTokens = countTextTokens(text, "claude-sonnet-4-5");
+    expect(count).toBeGreaterThan(resultTokens);
+    expect(count).toBeLessThan(resultTokens + 30);
+  });
+
+  it("counts images at a flat per-model cost", () => {
+    const data = "A".repeat(400000);
+    const claude = countInputTokens({
+      model: "claude-sonnet-4-5",
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "image",
+              source: { type: "base64", media_type: "image/png", data },
+            },
+          ],
+        },
+      ],
+    });
+    const gemini = countInputTokens({
+      model: "gemini-2.5-flash",
+      contents: [
+        {
+          role: "user",
+          parts: [{ inlineData: { mimeType: "image/png", data } }],
+        },
+      ],
+    });
+    expect(claude).toBe(1600 + 6);
+    expect(gemini).toBe(258 + 6);
+  });
+
+  it("reads Responses and Gemini CLI request shapes", () => {
+    const responses = countInputTokens({
+      model: "gpt-5",
+      instructions: text,
+      input: [{ role: "user", content: [{ type: "input_text", text }] }],
+    });
+    const geminiCli = countInputTokens(
+      {
+        request: {
+          systemInstruction: { parts: [{ text }] },
+          contents: [{ role: "user", parts: [{ text }] }],
+        },
+      },
+      "gemini-2.5-pro",
+    );
+    expect(responses).toBe(countTextTokens(text, "gpt-5") * 2 + 6);
+    expect(geminiCli).toBe(countTextTokens(text, "gemini-2.5-pro") * 2 + 6);
+  });
+});
+
+describe("countTokensCore()", () => {
+  const body = {
+    model: "claude-sonnet-4-5",
+    system: "Be brief.",
+    messages: [{ role: "user", content: "Hello!" }],
+    max_tokens: 1024,
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("asks Anthropic's count_tokens endpoint", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(
+        new Response(JSON.stringify({ input_tokens: 42 }), { status: 200 }),
+      );
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await countTokensCore({
+      body,
+      modelInfo: { provider: "claude", model: "claude-sonnet-4-5" },
+      credentials: { apiKey: "sk-ant" },
+    });
+
+    expect(result).toEqual({ inputTokens: 42, source: "provider" });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "https://api.anthropic.com/v1/messages/count_tokens?beta=true",
+    );
+    expect(init.headers["x-api-key"]).toBe("sk-ant");
+    expect(JSON.parse(init.body)).toEqual({
+      model: "claude-sonnet-4-5",
+      system: "Be brief.",
+      messages: [{ role: "user", content: "Hello!" }],
+    });
+  });
+
+  it("asks Gemini's countTokens endpoint", async () => {
+    const fetchMock = vi
+      .fn()
+      .mockResolvedValue(
+        new Response(JSON.stringify({ totalTokens: 7 }), { status: 200 }),
+      );
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await countTokensCore({
+      body: { ...body, model: "gemini-2.5-flash" },
+      modelInfo: { provider: "gemini", model: "gemini-2.5-flash" },
+      credentials: { apiKey: "g-key" },
+    });
+
+    expect(result).toEqual({ inputTokens: 7, source: "provider" });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(
+      "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:countTokens",
+    );
+    const request = JSON.parse(init.body).generateContentRequest;
+    expect(request.model).toBe("models/gemini-2.5-flash");
+    expect(request.contents).toHaveLength(1);
+    expect(request.systemInstruction).toBeDefined();
+  });
+
+  it("falls back to the local tokenizer", async () => {
+    vi.stubGlobal(
+      "fetch",
+      vi.fn().mockResolvedValue(new Response("nope", { status: 500 })),
+    );
+    const local = countInputTokens(body);
+
+    expect(
+      await countTokensCore({
+        body,
+        modelInfo: { provider: "claude", model: "claude-sonnet-4-5" },
+        credentials: { apiKey: "sk-ant" },
+      }),
+    ).toEqual({ inputTokens: local, source: "tokenizer" });
+    expect(
+      await countTokensCore({
+        body,
+        modelInfo: { provider: "openai", model: "gpt-4o" },
+        credentials: { apiKey: "sk" },
+      }),
+    ).toEqual({
+      inputTokens: countInputTokens(body, "gpt-4o"),
+      source: "tokenizer",
+    });
+  });
+});
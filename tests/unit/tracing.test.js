@@ -0,0 +1,215 @@
+/**
+ * Unit tests for open-sse/services/tracing.js
+ *
+ * Tests cover:
+ *  - parseTraceparent()   — W3C header validation and sampled flag
+ *  - startTrace()         — disabled without endpoint, nests in incoming trace
+ *  - startSpan/withSpan   — child spans, error status
+ *  - startStreamSpan()    — ancestors stay open until the stream ends
+ *  - flushTraces()        — OTLP/HTTP JSON payload and headers
+ *  - getTracingConfig()   — OTEL_* environment variables, malformed headers
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+
+import {
+  parseTraceparent,
+  startTrace,
+  startSpan,
+  startStreamSpan,
+  withSpan,
+  flushTraces,
+  configureTracing,
+  getTracingConfig,
+  SPAN_KIND,
+} from "../../open-sse/services/tracing.js";
+
+const TRACE_ID = "4bf92f3577b34da6a3ce929d0e0e4736";
+const PARENT_ID = "00f067aa0ba902b7";
+
+let fetchMock;
+
+beforeEach(async () => {
+  configureTracing(null);
+  await flushTraces();
+  fetchMock = vi.fn().mockResolvedValue(new Response("{}"));
+  vi.stubGlobal("fetch", fetchMock);
+});
+
+afterEach(() => {
+  configureTracing(null);
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+});
+
+function exportedSpans() {
+  const payload = JSON.parse(fetchMock.mock.calls[0][1].body);
+  return payload.resourceSpans[0].scopeSpans[0].spans;
+}
+
+describe("parseTraceparent()", () => {
+  it("parses a sampled header", () => {
+    expect(parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`)).toEqual({
+      traceId: TRACE_ID,
+      spanId: PARENT_ID,
+      sampled: true,
+    });
+  });
+
+  it("rejects malformed and all-zero ids", () => {
+    expect(parseTraceparent(null)).toBeNull();
+    expect(parseTraceparent("garbage")).toBeNull();
+    expect(parseTraceparent(`00-${"0".repeat(32)}-${PARENT_ID}-01`)).toBeNull();
+    expect(parseTraceparent(`ff-${TRACE_ID}-${PARENT_ID}-01`)).toBeNull();
+  });
+});
+
+describe("startTrace()", () => {
+  it("returns null when no exporter endpoint is configured", () => {
+    expect(startTrace("chat")).toBeNull();
+    expect(startSpan(null, "translate")).toBeNull();
+  });
+
+  it("continues the caller's trace and skips unsampled ones", () => {
+    configureTracing({ endpoint: "http://collector/v1/traces" });
+    const root = startTrace("chat", {
+      traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`,
+    });
+    expect(root.traceId).toBe(TRACE_ID);
+    expect(root.parentSpanId).toBe(PARENT_ID);
+    expect(root.kind).toBe(SPAN_KIND.SERVER);
+
+    expect(
+      startTrace("chat", { traceparent: `00-${TRACE_ID}-${PARENT_ID}-00` }),
+    ).toBeNull();
+  });
+});
+
+describe("flushTraces()", () => {
+  it("exports nested spans as OTLP JSON", async () => {
+    configureTracing({
+      endpoint: "http://collector/v1/traces",
+      headers: { "x-token": "abc" },
+      serviceName: "router-test",
+    });
+    const root = startTrace("chat", { attributes: { "http.route": "/v1" } });
+    const child = startSpan(root, "upstream", { "router.stream": true });
+    child.setHttpStatus(429).end();
+    root.end();
+    await flushTraces();
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("http://collector/v1/traces");
+    expect(init.headers["x-token"]).toBe("abc");
+
+    const payload = JSON.parse(init.body);
+    expect(payload.resourceSpans[0].resource.attributes).toEqual([
+      { key: "service.name", value: { stringValue: "router-test" } },
+    ]);
+    const [upstream, chat] = exportedSpans();
+    expect(upstream.name).toBe("upstream");
+    expect(upstream.traceId).toBe(chat.traceId);
+    expect(upstream.parentSpanId).toBe(chat.spanId);
+    expect(upstream.status.code).toBe(2);
+    expect(upstream.attributes).toContainEqual({
+      key: "http.status_code",
+      value: { intValue: "429" },
+    });
+    expect(chat.parentSpanId).toBeUndefined();
+    expect(BigInt(chat.endTimeUnixNano)).toBeGreaterThanOrEqual(
+      BigInt(chat.startTimeUnixNano),
+    );
+  });
+
+  it("records errors thrown inside withSpan", async () => {
+    configureTracing({ endpoint: "http://collector/v1/traces" });
+    const root = startTrace("chat");
+    await expect(
+      withSpan(root, "translate", {}, () => {
+        throw new Error("bad body");
+      }),
+    ).rejects.toThrow("bad body");
+    await flushTraces();
+
+    const [translate] = exportedSpans();
+    expect(translate.status).toEqual({ code: 2, message: "bad body" });
+  });
+
+  it("ignores export failures", async () => {
+    configureTracing({ endpoint: "http://collector/v1/traces" });
+    fetchMock.mockRejectedValue(new Error("ECONNREFUSED"));
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    startTrace("chat").end();
+    await expect(flushTraces()).resolves.toBeUndefined();
+    log.mockRestore();
+  });
+});
+
+describe("startStreamSpan()", () => {
+  it("keeps ancestor spans open until the stream ends", async () => {
+    configureTracing({ endpoint: "http://collector/v1/traces" });
+    const root = startTrace("chat");
+    const attempt = startSpan(root, "attempt");
+    const stream = startStreamSpan(attempt, "stream");
+
+    // Handlers return the Response before the body is read
+    attempt.end();
+    root.end();
+    await flushTraces();
+    expect(fetchMock).not.toHaveBeenCalled();
+
+    stream.end();
+    await flushTraces();
+    const spans = exportedSpans();
+    expect(spans.map(span => span.name)).toEqual(["stream", "attempt", "chat"]);
+    const [streamSpan, attemptSpan, chatSpan] = spans;
+    expect(BigInt(attemptSpan.endTimeUnixNano)).toBeGreaterThanOrEqual(
+      BigInt(streamSpan.endTimeUnixNano),
+    );
+    expect(BigInt(chatSpan.endTimeUnixNano)).toBeGreaterThanOrEqual(
+      BigInt(attemptSpan.endTimeUnixNano),
+    );
+  });
+
+  it("waits for every open stream (combo race losers)", async () => {
+    configureTracing({ endpoint: "http://collector/v1/traces" });
+    const root = startTrace("chat");
+    const winner = startStreamSpan(startSpan(root, "attempt"), "stream");
+    const loser = startStreamSpan(startSpan(root, "attempt"), "stream");
+    root.end();
+
+    loser.setAttribute("router.cancelled", true).end();
+    winner.end();
+    await flushTraces();
+    expect(exportedSpans().at(-1).name).toBe("chat");
+  });
+});
+
+describe("getTracingConfig()", () => {
+  it("reads the OTEL_* environment variables", () => {
+    vi.stubEnv("OTEL_EXPORTER_OTLP_ENDPOINT", "http://collector:4318/");
+    vi.stubEnv("OTEL_EXPORTER_OTLP_HEADERS", "Authorization=Bearer%20x,a=b");
+    vi.stubEnv("OTEL_SERVICE_NAME", "edge-router");
+    expect(getTracingConfig()).toEqual({
+      endpoint: "http://collector:4318/v1/traces",
+      headers: { Authorization: "Bearer x", a: "b" },
+      serviceName: "edge-router",
+    });
+
+    vi.stubEnv("OTEL_SDK_DISABLED", "true");
+    expect(getTracingConfig()).toBeNull();
+  });
+
+  it("skips malformed headers instead of failing requests", () => {
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.stubEnv("OTEL_EXPORTER_OTLP_ENDPOINT", "http://collector:4318");
+    vi.stubEnv("OTEL_EXPORTER_OTLP_HEADERS", "x-key=100%,a=b");
+
+    expect(getTracingConfig().headers).toEqual({ a: "b" });
+    expect(startTrace("chat")).not.toBeNull();
+    // Parsed (and warned about) once, not on every request
+    expect(log).toHaveBeenCalledTimes(1);
+    log.mockRestore();
+  });
+});
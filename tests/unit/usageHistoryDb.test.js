@@ -0,0 +1,193 @@
+/**
+ * Unit tests for src/lib/usageHistoryDb.js
+ *
+ * Tests cover:
+ *  - insertUsageEntries()  — raw rows + hourly / daily rollups
+ *  - pruneUsageHistory()   — raw retention, rollups survive
+ *  - getUsageTotals()      — grouped all-time totals
+ *  - getApiKeyUsage()      — tokens today / cost this month per key
+ *  - migrateJsonHistory()  — one-time usage.json import
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import Database from "better-sqlite3";
+import path from "path";
+import os from "os";
+import fs from "fs";
+
+import {
+  createUsageSchema,
+  insertUsageEntries,
+  pruneUsageHistory,
+  migrateJsonHistory,
+  getRecentUsageEntries,
+  queryUsageEntries,
+  getUsageTotals,
+  getUsageByMinute,
+  getRollupSeries,
+  getApiKeyUsage,
+  startOfHour,
+  startOfLocalDay,
+} from "../../src/lib/usageHistoryDb.js";
+
+const DAY = 86400000;
+const NOW = new Date(2026, 2, 15, 12, 30).getTime();
+
+const entry = (overrides = {}) => ({
+  timestamp: new Date(NOW).toISOString(),
+  provider: "openai",
+  model: "gpt-4o",
+  tokens: { prompt_tokens: 100, completion_tokens: 50 },
+  cost: 0.01,
+  ...overrides,
+});
+
+let db;
+
+beforeEach(() => {
+  db = new Database(":memory:");
+  createUsageSchema(db);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+describe("insertUsageEntries()", () => {
+  it("writes raw rows and aggregates rollups", () => {
+    insertUsageEntries(db, [
+      entry(),
+      entry({ tokens: { input_tokens: 10, output_tokens: 5 }, cost: 0.02 }),
+      entry({ timestamp: new Date(NOW - 2 * DAY).toISOString() }),
+    ]);
+
+    expect(queryUsageEntries(db)).toHaveLength(3);
+
+    const hourly = getRollupSeries(db, "hourly", startOfHour(NOW));
+    expect(hourly.get(startOfHour(NOW)).tokens).toBe(165);
+    expect(hourly.get(startOfHour(NOW)).cost).toBeCloseTo(0.03);
+
+    const daily = getRollupSeries(db, "daily", startOfLocalDay(NOW, -2));
+    expect(daily.get(startOfLocalDay(NOW)).tokens).toBe(165);
+    expect(daily.get(startOfLocalDay(NOW, -2)).tokens).toBe(150);
+  });
+
+  it("returns recent entries newest first, skipping empty ones", () => {
+    insertUsageEntries(db, [
+      entry({ model: "old", timestamp: new Date(NOW - 1000).toISOString() }),
+      entry({ model: "new" }),
+      entry({ model: "empty", tokens: {} }),
+    ]);
+    const recent = getRecentUsageEntries(db, 10);
+    expect(recent.map(e => e.model)).toEqual(["new", "old"]);
+    expect(recent[0].tokens).toEqual({
+      prompt_tokens: 100,
+      completion_tokens: 50,
+    });
+  });
+
+  it("counts requests per minute", () => {
+    insertUsageEntries(db, [entry(), entry(), entry({ cost: 0 })]);
+    const [minute] = getUsageByMinute(db, NOW - 60000);
+    expect(minute.minute).toBe(Math.floor(NOW / 60000) * 60000);
+    expect(minute.requests).toBe(3);
+    expect(minute.promptTokens).toBe(300);
+  });
+});
+
+describe("pruneUsageHistory()", () => {
+  it("deletes raw rows past retention and keeps daily totals", () => {
+    insertUsageEntries(db, [
+      entry({ timestamp: new Date(NOW - 40 * DAY).toISOString() }),
+      entry(),
+    ]);
+
+    expect(pruneUsageHistory(db, 30, NOW)).toBe(1);
+    expect(queryUsageEntries(db)).toHaveLength(1);
+
+    const [totals] = getUsageTotals(db);
+    expect(totals.requests).toBe(2);
+    expect(totals.promptTokens).toBe(200);
+    expect(totals.lastUsed).toBe(new Date(NOW).toISOString());
+  });
+
+  it("keeps raw rows forever with retention 0", () => {
+    insertUsageEntries(db, [
+      entry({ timestamp: new Date(NOW - 400 * DAY).toISOString() }),
+    ]);
+    expect(pruneUsageHistory(db, 0, NOW)).toBe(0);
+    expect(queryUsageEntries(db)).toHaveLength(1);
+  });
+});
+
+describe("getUsageTotals()", () => {
+  it("groups by provider, model, account, key and endpoint", () => {
+    insertUsageEntries(db, [
+      entry({ apiKey: "sk-a", endpoint: "/v1/chat/completions" }),
+      entry({ apiKey: "sk-a", endpoint: "/v1/chat/completions" }),
+      entry({ connectionId: "conn-1" }),
+    ]);
+    const totals = getUsageTotals(db);
+    expect(totals).toHaveLength(2);
+    const keyed = totals.find(t => t.apiKey === "sk-a");
+    expect(keyed.requests).toBe(2);
+    expect(keyed.endpoint).toBe("/v1/chat/completions");
+    expect(totals.find(t => t.connectionId === "conn-1").requests).toBe(1);
+  });
+});
+
+describe("getApiKeyUsage()", () => {
+  it("sums tokens for today and cost for the month", () => {
+    const monthStart = new Date(2026, 2, 1).getTime();
+    insertUsageEntries(db, [
+      entry({ apiKey: "sk-a" }),
+      entry({
+        apiKey: "sk-a",
+        timestamp: new Date(NOW - 3 * DAY).toISOString(),
+      }),
+      entry({
+        apiKey: "sk-a",
+        timestamp: new Date(monthStart - DAY).toISOString(),
+      }),
+      entry(),
+    ]);
+    const usage = getApiKeyUsage(db, startOfLocalDay(NOW), monthStart);
+    expect(Object.keys(usage)).toEqual(["sk-a"]);
+    expect(usage["sk-a"].tokensToday).toBe(150);
+    expect(usage["sk-a"].costThisMonth).toBeCloseTo(0.02);
+  });
+});
+
+describe("migrateJsonHistory()", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-migrate-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("imports usage.json once and renames it", () => {
+    const file = path.join(dir, "usage.json");
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ history: [entry(), entry({ model: "claude" })] }),
+    );
+
+    expect(migrateJsonHistory(db, file)).toBe(2);
+    expect(fs.existsSync(file)).toBe(false);
+    expect(fs.existsSync(`${file}.migrated`)).toBe(true);
+    expect(queryUsageEntries(db, { model: "claude" })).toHaveLength(1);
+
+    // A restored usage.json is not imported twice
+    fs.copyFileSync(`${file}.migrated`, file);
+    expect(migrateJsonHistory(db, file)).toBe(0);
+    expect(queryUsageEntries(db)).toHaveLength(2);
+  });
+
+  it("does nothing without a usage.json", () => {
+    expect(migrateJsonHistory(db, path.join(dir, "usage.json"))).toBe(0);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit tests for src/lib/usageReport.js
+ *
+ * Tests cover:
+ *  - parseLocalDate()         — YYYY-MM-DD validation
+ *  - getPeriodLabel()         — day / ISO week / month labels
+ *  - getDailyRollupRows()     — date range and dimension filters
+ *  - buildUsageReport()       — grouping, name resolution, totals
+ *  - formatUsageReportCsv()   — columns and escaping
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import Database from "better-sqlite3";
+
+import {
+  parseLocalDate,
+  getPeriodStart,
+  getPeriodLabel,
+  buildUsageReport,
+  formatUsageReportCsv,
+} from "../../src/lib/usageReport.js";
+import {
+  createUsageSchema,
+  insertUsageEntries,
+  getDailyRollupRows,
+} from "../../src/lib/usageHistoryDb.js";
+
+const at = (month, day, hour = 12) =>
+  new Date(2026, month - 1, day, hour).toISOString();
+
+const entry = (timestamp, overrides = {}) => ({
+  timestamp,
+  provider: "openai",
+  model: "gpt-4o",
+  connectionId: "conn-1",
+  apiKey: "sk-team-a",
+  tokens: { prompt_tokens: 100, completion_tokens: 10 },
+  cost: 0.5,
+  ...overrides,
+});
+
+let db;
+
+beforeEach(() => {
+  db = new Database(":memory:");
+  createUsageSchema(db);
+  insertUsageEntries(db, [
+    entry(at(9, 28)),
+    entry(at(9, 30), { model: "gpt-4o-mini", cost: 0.25 }),
+    entry(at(10, 1), { apiKey: "sk-team-b" }),
+    entry(at(10, 1), { provider: "claude", model: "sonnet", cost: 1 }),
+    entry(at(10, 19), { apiKey: "sk-deleted" }),
+  ]);
+});
+
+afterEach(() => {
+  db.close();
+});
+
+describe("parseLocalDate()", () => {
+  it("parses valid dates as local midnight", () => {
+    expect(parseLocalDate("2026-10-19")).toBe(new Date(2026, 9, 19).getTime());
+  });
+
+  it("rejects malformed and impossible dates", () => {
+    expect(parseLocalDate("2026-02-30")).toBeNull();
+    expect(parseLocalDate("19.10.2026")).toBeNull();
+    expect(parseLocalDate(null)).toBeNull();
+  });
+});
+
+describe("getPeriodLabel()", () => {
+  it("labels days, ISO weeks and months", () => {
+    const monday = new Date(2026, 9, 21).getTime();
+    expect(getPeriodLabel(getPeriodStart(monday, "day"), "day")).toBe(
+      "2026-10-21",
+    );
+    expect(getPeriodLabel(getPeriodStart(monday, "week"), "week")).toBe(
+      "2026-W43",
+    );
+    expect(getPeriodLabel(getPeriodStart(monday, "month"), "month")).toBe(
+      "2026-10",
+    );
+  });
+
+  it("puts year-boundary weeks in the ISO year", () => {
+    const sunday = new Date(2021, 0, 3).getTime();
+    expect(getPeriodLabel(getPeriodStart(sunday, "week"), "week")).toBe(
+      "2020-W53",
+    );
+    const monday = new Date(2024, 11, 30).getTime();
+    expect(getPeriodLabel(getPeriodStart(monday, "week"), "week")).toBe(
+      "2025-W01",
+    );
+  });
+});
+
+describe("getDailyRollupRows()", () => {
+  it("filters by inclusive local-day range and dimensions", () => {
+    const october = getDailyRollupRows(db, {
+      from: new Date(2026, 9, 1).getTime(),
+      to: new Date(2026, 9, 19).getTime(),
+    });
+    expect(october).toHaveLength(3);
+
+    const claude = getDailyRollupRows(db, { provider: "claude" });
+    expect(claude).toEqual([
+      expect.objectContaining({ model: "sonnet", requests: 1, cost: 1 }),
+    ]);
+
+    expect(getDailyRollupRows(db, { apiKey: "sk-team-b" })).toHaveLength(1);
+  });
+});
+
+describe("buildUsageReport()", () => {
+  const apiKeys = {
+    "sk-team-a": { id: "key-a", name: "Team A" },
+    "sk-team-b": { id: "key-b", name: "Team B" },
+  };
+
+  it("groups by month and API key without exposing raw keys", () => {
+    const report = buildUsageReport(getDailyRollupRows(db), {
+      period: "month",
+      groupBy: ["apiKey"],
+      apiKeys,
+    });
+
+    expect(report.rows).toEqual([
+      expect.objectContaining({
+        period: "2026-09",
+        periodStart: "2026-09-01",
+        apiKey: "Team A",
+        apiKeyId: "key-a",
+        requests: 2,
+        cost: 0.75,
+      }),
+      expect.objectContaining({
+        period: "2026-10",
+        apiKey: "(deleted key)",
+        apiKeyId: "",
+      }),
+      expect.objectContaining({
+        period: "2026-10",
+        apiKey: "Team A",
+        requests: 1,
+        cost: 1,
+      }),
+      expect.objectContaining({
+        period: "2026-10",
+        apiKey: "Team B",
+        requests: 1,
+      }),
+    ]);
+    expect(JSON.stringify(report)).not.toContain("sk-");
+    expect(report.totals).toEqual({
+      requests: 5,
+      promptTokens: 500,
+      completionTokens: 50,
+      totalTokens: 550,
+      cost: 2.75,
+    });
+  });
+
+  it("merges days of the same week", () => {
+    const report = buildUsageReport(getDailyRollupRows(db), {
+      period: "week",
+      groupBy: ["provider", "connection"],
+      connectionNames: { "conn-1": "Work" },
+    });
+    const openaiWeek = report.rows.find(
+      r => r.period === "2026-W40" && r.provider === "openai",
+    );
+    // Sep 28 - Oct 4: two September rows and the Team B row
+    expect(openaiWeek).toMatchObject({
+      periodStart: "2026-09-28",
+      connection: "Work",
+      connectionId: "conn-1",
+      requests: 3,
+    });
+  });
+});
+
+describe("formatUsageReportCsv()", () => {
+  it("writes grouped columns and escapes values", () => {
+    const csv = formatUsageReportCsv({
+      groupBy: ["model"],
+      rows: [
+        {
+          period: "2026-10",
+          periodStart: "2026-10-01",
+          model: 'odd,"model"',
+          requests: 2,
+          promptTokens: 10,
+          completionTokens: 5,
+          totalTokens: 15,
+          cost: 0.1234567,
+        },
+      ],
+    });
+    expect(csv).toBe(
+      "period,periodStart,model,requests,promptTokens,completionTokens,totalTokens,costUsd\n" +
+        '2026-10,2026-10-01,"odd,""model""",2,10,5,15,0.123457\n',
+    );
+  });
+});